@@ -0,0 +1,8 @@
+/**
+ * Babel configuration (used by babel-jest only)
+ * Files with import/export are converted to CommonJS; CommonJS files are left untouched.
+ */
+module.exports = {
+  sourceType: 'unambiguous',
+  plugins: ['@babel/plugin-transform-modules-commonjs']
+};
@@ -1,13 +1,11 @@
 /**
  * Jest configuration for backend testing
  */
-export default {
+module.exports = {
   // Use node environment
   testEnvironment: 'node',
 
-  // Support ES modules
-  transform: {},
-  extensionsToTreatAsEsm: ['.js'],
+  // ES module test files and parsers are transformed to CommonJS by babel-jest (babel.config.js)
   moduleNameMapper: {
     '^(\\.{1,2}/.*)\\.js$': '$1',
   },
@@ -15,6 +15,12 @@ const mttRoutes = require('./src/routes/mtt-routes');
 const kiyaDataRoutes = require('./src/routes/kiya-data-routes');
 const restorationRoutes = require('./src/routes/restoration-routes');
 const planLineRoutes = require('./src/routes/plan-line-routes');
+const mttProfileRoutes = require('./src/routes/mtt-profile-routes');
+const degradationTrendRoutes = require('./src/routes/degradation-trend-routes');
+
+// 永続化されたデータセットの読み込み用
+const kiyaDataProcessor = require('./src/processors/kiya-data-processor');
+const trackEnvironmentProcessor = require('./src/processors/track-environment-processor');
 
 // 環境変数の設定
 const PORT = process.env.PORT || 3003;
@@ -38,6 +44,8 @@ app.use('/api/mtt', mttRoutes);
 app.use('/api/kiya-data', kiyaDataRoutes);
 app.use('/api/restoration', restorationRoutes);
 app.use('/api/plan-line', planLineRoutes);
+app.use('/api/mtt-profiles', mttProfileRoutes);
+app.use('/api/degradation-trend', degradationTrendRoutes);
 
 // 移動量計算エンドポイント
 app.post('/api/calculate-movement', async (req, res) => {
@@ -422,6 +430,10 @@ async function startServer() {
     // 必要なディレクトリを作成
     await ensureDirectories();
 
+    // 保存済みデータセットの読み込み
+    await kiyaDataProcessor.initialize();
+    await trackEnvironmentProcessor.initialize();
+
     // サーバーを起動
     app.listen(PORT, HOST, () => {
       console.log('========================================');
@@ -434,6 +446,7 @@ async function startServer() {
       console.log('- POST /api/analysis/waveband - 波長帯域分析');
       console.log('- POST /api/analysis/quality - 品質分析');
       console.log('- POST /api/analysis/field-correlation - 手検測相関');
+      console.log('- POST /api/degradation-trend/lines/:lineId/analyze - 狂い進み分析');
       console.log('- POST /api/export/als - ALS形式エクスポート');
       console.log('- POST /api/export/mj - MJ形式エクスポート');
       console.log('- POST /api/report/comprehensive - 総合レポート生成');
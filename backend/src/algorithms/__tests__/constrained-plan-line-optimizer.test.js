@@ -0,0 +1,130 @@
+/**
+ * constrained-plan-line-optimizer.js のテスト
+ */
+import { describe, test, expect, beforeAll } from '@jest/globals';
+import ConstrainedPlanLineOptimizer from '../constrained-plan-line-optimizer.js';
+
+describe('ConstrainedPlanLineOptimizer', () => {
+  const SHORT = { wavelength: 5, amplitude: 3 };
+  const LONG = { wavelength: 120, amplitude: 6 };
+  const mttCapacity = { lift: 100, alignment: 100 };
+
+  /**
+   * 短波長と長波長を重ねた復元波形（0-400m）
+   */
+  function buildWaveform(interval) {
+    const waveform = [];
+    for (let position = 0; position <= 400; position += interval) {
+      waveform.push({
+        position,
+        value: SHORT.amplitude * Math.sin(2 * Math.PI * position / SHORT.wavelength) +
+          LONG.amplitude * Math.sin(2 * Math.PI * position / LONG.wavelength)
+      });
+    }
+    return waveform;
+  }
+
+  /**
+   * 計画線に含まれる波長成分の振幅（区間中央 80-320m で相関をとる）
+   */
+  function amplitudeOf(planLine, wavelength) {
+    const inner = planLine.filter(point => point.position >= 80 && point.position < 320);
+    const sum = inner.reduce((acc, point) => acc + point.value * Math.sin(2 * Math.PI * point.position / wavelength), 0);
+    return (2 * sum) / inner.length;
+  }
+
+  let fine;
+
+  beforeAll(() => {
+    fine = new ConstrainedPlanLineOptimizer().optimize(buildWaveform(0.5), { direction: 'lateral', mttCapacity });
+  });
+
+  test('計画線は短波長を除き、長波長を残す', () => {
+    expect(fine.solver.converged).toBe(true);
+    expect(Math.abs(amplitudeOf(fine.planLine, SHORT.wavelength))).toBeLessThan(0.1 * SHORT.amplitude);
+    expect(amplitudeOf(fine.planLine, LONG.wavelength)).toBeGreaterThan(0.9 * LONG.amplitude);
+  });
+
+  test('滑らかさはデータ間隔によらない', () => {
+    const coarse = new ConstrainedPlanLineOptimizer().optimize(buildWaveform(1), { direction: 'lateral', mttCapacity });
+
+    const fineByPosition = new Map(fine.planLine.map(point => [point.position, point.value]));
+    coarse.planLine
+      .filter(point => point.position >= 80 && point.position <= 320)
+      .forEach(point => {
+        expect(fineByPosition.get(point.position)).toBeCloseTo(point.value, 1);
+      });
+  });
+
+  test('こう上のみの場合、移動量は 0 以上', () => {
+    const result = new ConstrainedPlanLineOptimizer({ upwardOnly: true })
+      .optimize(buildWaveform(0.5), { direction: 'vertical', mttCapacity });
+
+    result.movements.forEach(point => {
+      expect(point.movement).toBeGreaterThanOrEqual(-1e-6);
+    });
+  });
+
+  test('不動点は計画線の値を固定し、拘束している制約として返す', () => {
+    const result = new ConstrainedPlanLineOptimizer().optimize(buildWaveform(1), {
+      direction: 'vertical',
+      mttCapacity,
+      fixedPoints: [{ position: 200, mustKeep: true, level: 0 }]
+    });
+
+    expect(result.planLine.find(point => point.position === 200).value).toBeCloseTo(0, 6);
+    expect(result.bindingConstraints).toContainEqual(expect.objectContaining({
+      type: 'fixedPoint',
+      start: 200,
+      end: 200,
+      pointCount: 1
+    }));
+  });
+
+  test('移動量制限箇所の上下限で拘束し、区間内の移動量は制限以内', () => {
+    const result = new ConstrainedPlanLineOptimizer().optimize(buildWaveform(1), {
+      direction: 'lateral',
+      mttCapacity,
+      workSection: { movementRestrictions: [{ direction: 'lateral', start: 100, end: 140, limit: 0.5 }] }
+    });
+
+    result.movements
+      .filter(point => point.position >= 100 && point.position <= 140)
+      .forEach(point => {
+        expect(Math.abs(point.movement)).toBeLessThanOrEqual(0.5 + 1e-6);
+      });
+
+    const binding = result.bindingConstraints.filter(item => item.type === 'movementRestriction');
+    expect(binding.map(item => item.bound)).toEqual(expect.arrayContaining(['lower', 'upper']));
+    binding.forEach(item => {
+      expect(item.start).toBeGreaterThanOrEqual(100);
+      expect(item.end).toBeLessThanOrEqual(140);
+      expect(Math.abs(item.value)).toBe(0.5);
+    });
+  });
+
+  test('不動点と移動量制限が矛盾する場合は矛盾箇所付きの422エラー', () => {
+    const optimize = () => new ConstrainedPlanLineOptimizer().optimize(buildWaveform(1), {
+      direction: 'lateral',
+      mttCapacity,
+      workSection: { movementRestrictions: [{ direction: 'lateral', start: 190, end: 210, limit: 1 }] },
+      fixedPoints: [{ position: 200, mustKeep: true, level: 0, description: '踏切' }]
+    });
+
+    expect(optimize).toThrow(expect.objectContaining({
+      status: 422,
+      conflicts: [expect.objectContaining({
+        start: 200,
+        end: 200,
+        lowerConstraint: expect.objectContaining({ type: 'fixedPoint', description: '踏切' }),
+        upperConstraint: expect.objectContaining({ type: 'movementRestriction' })
+      })]
+    }));
+  });
+
+  test('位置がすべて同じ場合は400エラー', () => {
+    const waveform = [0, 1, 2].map(value => ({ position: 10, value }));
+    expect(() => new ConstrainedPlanLineOptimizer().optimize(waveform, { mttCapacity }))
+      .toThrow(expect.objectContaining({ status: 400 }));
+  });
+});
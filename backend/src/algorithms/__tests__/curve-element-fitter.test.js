@@ -0,0 +1,114 @@
+/**
+ * curve-element-fitter.js のテスト
+ */
+import { describe, test, expect, beforeAll } from '@jest/globals';
+import { CurveElementFitter } from '../curve-element-fitter.js';
+
+describe('CurveElementFitter', () => {
+  // 直線 - クロソイド - 円曲線 - クロソイド - 直線 を2つ（右 R400、左 R600 は入口/出口の緩和曲線長が異なる）
+  const CURVES = [
+    { btc: 100, bcc: 160, ecc: 260, etc: 320, radius: 400, sign: 1 },
+    { btc: 420, bcc: 460, ecc: 540, etc: 570, radius: 600, sign: -1 }
+  ];
+
+  /**
+   * 曲率 (1/m)
+   */
+  function curvatureAt(position) {
+    for (const { btc, bcc, ecc, etc, radius, sign } of CURVES) {
+      if (position <= btc || position >= etc) continue;
+      const ratio = position < bcc ? (position - btc) / (bcc - btc)
+        : position <= ecc ? 1
+          : (etc - position) / (etc - ecc);
+      return sign * ratio / radius;
+    }
+    return 0;
+  }
+
+  /**
+   * 曲率を2回積分した横変位から 10m 弦の正矢 (mm) を 0.25m 間隔で求める
+   */
+  function buildVersine() {
+    const step = 0.05;
+    const count = Math.round(700 / step);
+    const offsets = new Float64Array(count + 1);
+    let slope = 0;
+    for (let i = 1; i <= count; i++) {
+      slope += curvatureAt((i - 0.5) * step) * step;
+      offsets[i] = offsets[i - 1] + slope * step;
+    }
+    const offsetAt = position => offsets[Math.round(position / step)];
+
+    const versine = [];
+    for (let position = 5; position <= 695; position += 0.25) {
+      versine.push({
+        position,
+        value: ((offsetAt(position - 5) + offsetAt(position + 5)) / 2 - offsetAt(position)) * 1000
+      });
+    }
+    return versine;
+  }
+
+  let fitter;
+  let result;
+
+  beforeAll(() => {
+    fitter = new CurveElementFitter();
+    result = fitter.fit(buildVersine(), { designSpeed: 60 });
+  });
+
+  test('曲線ごとに変化点・半径・緩和曲線長を推定する', () => {
+    expect(result.elements).toHaveLength(2);
+    result.elements.forEach((element, i) => {
+      const curve = CURVES[i];
+      expect(element.startPosition).toBeCloseTo(curve.btc, 0);
+      expect(element.bccPosition).toBeCloseTo(curve.bcc, 0);
+      expect(element.eccPosition).toBeCloseTo(curve.ecc, 0);
+      expect(element.endPosition).toBeCloseTo(curve.etc, 0);
+      expect(element.entryTransitionLength).toBeCloseTo(curve.bcc - curve.btc, 0);
+      expect(element.exitTransitionLength).toBeCloseTo(curve.etc - curve.ecc, 0);
+      expect(Math.abs(element.radius - curve.radius)).toBeLessThanOrEqual(curve.radius * 0.01);
+      expect(element.type).toBe('transition');
+    });
+    expect(result.elements.map(element => element.direction)).toEqual(['right', 'left']);
+    expect(result.statistics).toMatchObject({ curveCount: 2, rightCount: 1, leftCount: 1 });
+  });
+
+  test('全範囲を直線・緩和曲線・円曲線の区間で連続して覆う', () => {
+    expect(result.segments.map(segment => segment.curveType)).toEqual([
+      'straight', 'transition', 'circular', 'transition',
+      'straight', 'transition', 'circular', 'transition',
+      'straight'
+    ]);
+    expect(result.segments[0].start).toBe(5);
+    expect(result.segments[result.segments.length - 1].end).toBe(695);
+    result.segments.slice(1).forEach((segment, i) => {
+      expect(segment.start).toBe(result.segments[i].end);
+    });
+
+    const circular = result.segments.filter(segment => segment.curveType === 'circular');
+    expect(circular.map(segment => segment.cant)).toEqual(result.elements.map(element => element.cant));
+  });
+
+  test('KS.TXT に曲線ごとの諸元を出力し、入口と出口の緩和曲線長が異なれば備考に記す', () => {
+    const content = fitter.generateKSContent(result, { lineName: '試験線' });
+    const rows = content.split('\n').filter(line => /^\d{3}, /.test(line));
+
+    expect(content).toContain('路線名: 試験線');
+    expect(rows).toHaveLength(2);
+
+    const [first, second] = result.elements;
+    expect(rows[0]).toBe(
+      `001, ${first.startPosition.toFixed(3)}, ${first.endPosition.toFixed(3)}, ${first.radius.toFixed(1)}, R, ` +
+      `${first.cant}, ${first.entryTransitionLength.toFixed(1)}, TRANSITION, 60, 自動推定`
+    );
+    expect(rows[1]).toMatch(/^002, .*, L, \d+, .*, TRANSITION, 60, 自動推定 出口緩和\d+\.\dm$/);
+    expect(second.cant).toBe(Math.round(1067 * 60 * 60 / (127 * second.radius)));
+  });
+
+  test('正矢データが不足する場合は400エラー', () => {
+    expect(() => fitter.fit([])).toThrow(expect.objectContaining({ status: 400 }));
+    expect(() => fitter.fit([{ position: 0, value: 0 }, { position: 0.5, value: 0 }]))
+      .toThrow(expect.objectContaining({ status: 400 }));
+  });
+});
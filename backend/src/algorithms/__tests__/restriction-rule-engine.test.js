@@ -0,0 +1,114 @@
+/**
+ * restriction-rule-engine.js のテスト
+ */
+import { describe, test, expect } from '@jest/globals';
+import RestrictionRuleEngine from '../restriction-rule-engine.js';
+
+describe('RestrictionRuleEngine', () => {
+  const range = { startKm: 1, endKm: 2 };
+
+  describe('ルール', () => {
+    test('部分指定のルールを既定ルールと合成する', () => {
+      const { bridge } = RestrictionRuleEngine.resolveRules({ bridge: { margin: 0, lateral: { amount: 3 } } });
+
+      expect(bridge.margin).toBe(0);
+      expect(bridge.lateral).toEqual({ amount: 3, isFixed: false, direction: 'both' });
+      expect(bridge.match).toEqual(['橋']);
+    });
+
+    test('match は文字列の配列のみ受け付ける', () => {
+      expect(RestrictionRuleEngine.resolveRules({ bridge: { match: ['橋', '高架'] } }).bridge.match).toEqual(['橋', '高架']);
+      ['橋', { word: '橋' }, [], ['橋', 1]].forEach(match => {
+        expect(() => RestrictionRuleEngine.resolveRules({ bridge: { match } }))
+          .toThrow(expect.objectContaining({ status: 400 }));
+      });
+    });
+
+    test('要素種別のルールがオブジェクトでなければ400エラー', () => {
+      expect(() => RestrictionRuleEngine.resolveRules({ turnout: 'disabled' }))
+        .toThrow(expect.objectContaining({ status: 400 }));
+    });
+  });
+
+  describe('propose', () => {
+    test('要素の前後に余裕を広げ、重なる部分は最も厳しい制限をとる', () => {
+      const engine = new RestrictionRuleEngine();
+      const proposed = engine.propose({
+        turnouts: [{ from: 1.1, to: 1.12, turnoutNumber: '21' }],
+        structures: [{ from: 1.105, to: 1.2, structureType: '橋りょう', structureName: '第1橋梁' }]
+      }, range);
+      const lateral = proposed.filter(r => r.direction === 'both');
+
+      expect(lateral.map(r => [r.startKm, r.endKm, r.restrictionAmount, r.isFixed])).toEqual([
+        [1090, 1130, 0, true],
+        [1130, 1205, 10, false]
+      ]);
+      expect(lateral[0].elementTypes).toEqual(['turnout', 'bridge']);
+    });
+
+    test('ガードレールは GL を左、GR を右に制限し、ルールで方向を指定すればそれに従う', () => {
+      const rangeData = {
+        guardRails: [
+          { from: 1.1, to: 1.2, dataType: 'GL', guardRailType: '脱線防止' },
+          { from: 1.3, to: 1.4, dataType: 'GR' }
+        ]
+      };
+
+      const sided = new RestrictionRuleEngine().propose(rangeData, range);
+      expect(sided.map(r => [r.startKm, r.endKm, r.direction, r.restrictionAmount, r.notes])).toEqual([
+        [1100, 1200, 'left', 10, 'ガードレール 左 脱線防止'],
+        [1300, 1400, 'right', 10, 'ガードレール 右']
+      ]);
+
+      const amountOnly = new RestrictionRuleEngine({ guardRail: { lateral: { amount: 5 } } }).propose(rangeData, range);
+      expect(amountOnly.map(r => [r.direction, r.restrictionAmount])).toEqual([['left', 5], ['right', 5]]);
+
+      const both = new RestrictionRuleEngine({ guardRail: { lateral: { direction: 'both' } } }).propose(rangeData, range);
+      expect(both.map(r => r.direction)).toEqual(['both', 'both']);
+    });
+  });
+
+  describe('merge', () => {
+    const engine = new RestrictionRuleEngine();
+    const auto = {
+      id: 'auto-1',
+      startKm: 1000,
+      endKm: 1100,
+      direction: 'both',
+      restrictionAmount: 0,
+      isFixed: true,
+      notes: '分岐器',
+      source: 'auto',
+      elementTypes: ['turnout']
+    };
+
+    test('片側の手入力と重なる区間は、両側の自動設定を反対側の制限として残す', () => {
+      const manual = [{ startKm: 1020, endKm: 1050, direction: 'left', restrictionAmount: 5 }];
+      const { restrictions, conflicts } = engine.merge([auto], manual);
+
+      expect(restrictions.filter(r => r.source === 'auto').map(r => [r.startKm, r.endKm, r.direction])).toEqual([
+        [1000, 1020, 'both'],
+        [1020, 1050, 'right'],
+        [1050, 1100, 'both']
+      ]);
+      expect(conflicts).toEqual([expect.objectContaining({ startKm: 1020, endKm: 1050, direction: 'left', manualAmount: 5 })]);
+    });
+
+    test('両側の手入力は片側の自動設定も覆い、反対側の手入力とは競合しない', () => {
+      const leftAuto = { ...auto, direction: 'left' };
+      const both = engine.merge([leftAuto], [{ startKm: 900, endKm: 1200, direction: 'both', restrictionAmount: 10 }]);
+      expect(both.restrictions.filter(r => r.source === 'auto')).toHaveLength(0);
+      expect(both.conflicts[0].direction).toBe('left');
+
+      const right = engine.merge([leftAuto], [{ startKm: 900, endKm: 1200, direction: 'right', restrictionAmount: 10 }]);
+      expect(right.restrictions.filter(r => r.source === 'auto')).toHaveLength(1);
+      expect(right.conflicts).toHaveLength(0);
+    });
+
+    test('上下方向の手入力は左右の自動設定に影響しない', () => {
+      const { restrictions } = engine.merge([auto], [{ startKm: 900, endKm: 1200, direction: 'vertical', restrictionAmount: 0, isFixed: true }]);
+
+      expect(restrictions.find(r => r.source === 'auto')).toMatchObject({ startKm: 1000, endKm: 1100, direction: 'both' });
+    });
+  });
+});
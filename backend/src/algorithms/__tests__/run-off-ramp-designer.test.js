@@ -0,0 +1,59 @@
+/**
+ * run-off-ramp-designer.js のテスト
+ */
+import { describe, test, expect } from '@jest/globals';
+import RunOffRampDesigner from '../run-off-ramp-designer.js';
+
+describe('RunOffRampDesigner', () => {
+  const designer = new RunOffRampDesigner();
+  const stopPoint = { position: 100, lift: 30, lining: 20 };
+
+  // 30mm を3次曲線（最大勾配は平均の1.5倍）ですりつける
+  test.each([
+    [25, 5.0, 10],
+    [45, 3.3, 14],
+    [65, 2.5, 18],
+    [85, 2.0, 23],
+    [100, 1.6, 29],
+    [130, 1.2, 38],
+    [160, 1.0, 45]
+  ])('徐行速度 %i km/h は許容勾配 %f‰、最小すりつけ長 %i m', (speedRestriction, gradient, length) => {
+    const ramp = designer.design(stopPoint, { speedRestriction });
+
+    expect(ramp).toMatchObject({ allowedGradient: gradient, requiredLength: length, length, valid: true });
+    expect(ramp.violations).toEqual([]);
+    expect(ramp.maxGradient.vertical).toBeLessThanOrEqual(gradient);
+    expect(ramp.profile[0]).toEqual({ position: 100, lateral: 20, vertical: 30 });
+    expect(ramp.profile[ramp.profile.length - 1]).toMatchObject({ position: 100 + length, lateral: 0, vertical: 0 });
+  });
+
+  test('最小すりつけ長より短い指定は拒否せず、長さと勾配の違反として返す', () => {
+    const ramp = designer.design(stopPoint, { speedRestriction: 85, rampLength: 10 });
+
+    expect(ramp).toMatchObject({ length: 10, requiredLength: 23, start: 100, end: 110, valid: false });
+    expect(ramp.violations[0]).toMatchObject({ type: 'length', position: 100 });
+    expect(ramp.violations.slice(1).map(violation => [violation.type, violation.direction]))
+      .toEqual([['gradient', 'vertical'], ['gradient', 'lateral']]);
+    expect(ramp.violations[1].maxGradient).toBeGreaterThan(2.0);
+  });
+
+  test('すりつけ長 0 の指定は最小すりつけ長に置き換えず、違反として返す', () => {
+    const ramp = designer.design(stopPoint, { speedRestriction: 85, rampLength: 0 });
+
+    expect(ramp).toMatchObject({ length: 0, start: 100, end: 100, valid: false });
+    expect(ramp.profile).toEqual([{ position: 100, lateral: 20, vertical: 30 }]);
+    expect(ramp.violations.map(violation => violation.type)).toEqual(['length']);
+  });
+
+  test('作業方向が逆の場合は打切り点の手前にすりつける', () => {
+    const ramp = designer.design(stopPoint, { speedRestriction: 85, workDirection: 'backward' });
+
+    expect(ramp).toMatchObject({ start: 77, end: 100, valid: true });
+    expect(ramp.profile[0]).toMatchObject({ position: 77, lateral: 0, vertical: 0 });
+  });
+
+  test.each([-1, NaN, Infinity, '20'])('すりつけ長 %p は400エラー', rampLength => {
+    expect(() => designer.design(stopPoint, { speedRestriction: 85, rampLength }))
+      .toThrow(expect.objectContaining({ status: 400 }));
+  });
+});
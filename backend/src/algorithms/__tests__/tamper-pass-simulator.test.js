@@ -0,0 +1,74 @@
+/**
+ * tamper-pass-simulator.js のテスト
+ */
+import { describe, test, expect } from '@jest/globals';
+import TamperPassSimulator from '../tamper-pass-simulator.js';
+
+describe('TamperPassSimulator', () => {
+  // 0-1000m、0.5m間隔。通りは波長40m・振幅5mmの正弦波、高低は 0
+  const lateral = [];
+  for (let i = 0; i <= 2000; i++) {
+    const position = i * 0.5;
+    lateral.push({ position, value: 5 * Math.sin(2 * Math.PI * position / 40) });
+  }
+  const beforeWaveform = { lateral, vertical: lateral.map(point => ({ ...point, value: 0 })) };
+
+  // 100-900m で通りを 0 に戻す指令（高低は -2mm のこう下げ指令）
+  const movements = lateral
+    .filter(point => point.position >= 100 && point.position <= 900)
+    .map(point => ({ position: point.position, lateral: -point.value, vertical: -2 }));
+
+  test('指令どおりに整備でき、整備後の σ が小さくなる', () => {
+    const result = new TamperPassSimulator().simulate(beforeWaveform, { movements });
+
+    expect(result.commandSource).toBe('movements');
+    expect(result.lateral.statistics.residual.maxAbs).toBe(0);
+    expect(result.quality.sigmaAfter.lateral).toBeLessThan(result.quality.sigmaBefore.lateral);
+  });
+
+  test('指令範囲外の指令移動量は 0', () => {
+    const result = new TamperPassSimulator().simulate(beforeWaveform, { movements });
+    const outside = result.lateral.movements.filter(m => m.position < 100 || m.position > 900);
+
+    expect(outside.length).toBeGreaterThan(0);
+    outside.forEach(m => expect(m.commanded).toBe(0));
+  });
+
+  test('こう上のみの場合、こう下げ指令は下限で頭打ちになる', () => {
+    const result = new TamperPassSimulator().simulate(beforeWaveform, { movements });
+
+    expect(result.vertical.clamped).toHaveLength(1601);
+    expect(result.vertical.clamped[0]).toEqual({ position: 100, requested: -2, applied: 0, limit: 'lower' });
+    expect(result.vertical.statistics.applied.min).toBeGreaterThanOrEqual(0);
+  });
+
+  test('ALSデータの指令は同じ移動量の movements と同じ結果になる', () => {
+    const alsContent = movements
+      .map(m => `${(m.position / 1000).toFixed(4)}  ${m.lateral.toFixed(6)}  ${m.vertical.toFixed(6)}`)
+      .join('\r\n');
+    const simulator = new TamperPassSimulator();
+    const fromALS = simulator.simulate(beforeWaveform, { alsContent });
+    const fromMovements = simulator.simulate(beforeWaveform, { movements });
+
+    expect(fromALS.commandSource).toBe('als');
+    const { applied } = fromMovements.lateral.statistics;
+    expect(fromALS.lateral.statistics.applied.maxAbs).toBeCloseTo(applied.maxAbs, 3);
+    expect(fromALS.lateral.statistics.applied.rms).toBeCloseTo(applied.rms, 3);
+  });
+
+  test('ALSデータの分岐器区間の印（BK）付きの行も指令として読む', () => {
+    const simulator = new TamperPassSimulator();
+    const points = simulator.parseALS('  0.100    1.0    2.0\r\n  0.101    0.0    0.0  BK\r\n  0.102    3.0    4.0');
+
+    expect(points).toEqual([
+      { position: 100, lateral: 1, vertical: 2 },
+      { position: 101, lateral: 0, vertical: 0 },
+      { position: 102, lateral: 3, vertical: 4 }
+    ]);
+  });
+
+  test('指令値がない場合は400エラー', () => {
+    expect(() => new TamperPassSimulator().simulate(beforeWaveform, {}))
+      .toThrow(expect.objectContaining({ status: 400 }));
+  });
+});
@@ -0,0 +1,114 @@
+/**
+ * turnout-mask.js のテスト
+ */
+import { describe, test, expect, beforeAll, afterAll, jest } from '@jest/globals';
+import TurnoutMask from '../turnout-mask.js';
+import { RestorationEngine } from '../restoration-engine.js';
+
+/**
+ * 0.25m間隔の正弦波（波長20m、振幅3mm）
+ */
+function buildMeasurementData(length = 500) {
+  const data = [];
+  for (let i = 0; i <= length / 0.25; i++) {
+    const distance = i * 0.25;
+    data.push({ distance, value: 3 * Math.sin(2 * Math.PI * distance / 20) });
+  }
+  return data;
+}
+
+describe('TurnoutMask', () => {
+  test('分岐器区間（前後の余裕を含む）の点に印を付ける', () => {
+    const mask = new TurnoutMask([{ start: 10, end: 12 }], { margin: 1 });
+    const flags = mask.flag([8.5, 9, 10, 12, 13, 13.5].map(distance => ({ distance })));
+
+    expect(flags).toEqual([false, true, true, true, true, false]);
+  });
+
+  test('分岐器区間の値を前後の波形から滑らかに補間する', () => {
+    const data = [];
+    for (let i = 0; i <= 80; i++) {
+      const distance = i * 0.25;
+      data.push({ distance, value: distance >= 8 && distance <= 12 ? 50 : distance });
+    }
+    const mask = new TurnoutMask([{ start: 8, end: 12 }]);
+    const bridged = mask.bridge(data, mask.flag(data));
+
+    bridged.forEach((point, i) => {
+      expect(point.value).toBeCloseTo(data[i].distance, 3);
+    });
+    expect(bridged.filter(point => point.turnout)).toHaveLength(17);
+  });
+
+  test('計画線は分岐器区間で復元波形に一致し、すり付け長の外側は変わらない', () => {
+    const restored = buildMeasurementData(100);
+    const planLine = restored.map(point => ({ distance: point.distance, value: 0 }));
+    const mask = new TurnoutMask([{ start: 40, end: 50 }], { transitionLength: 10 });
+    const flags = mask.flag(restored);
+    const held = mask.holdPlanLine(planLine, restored, flags);
+
+    held.forEach((point, i) => {
+      if (flags[i]) {
+        expect(point.value).toBe(restored[i].value);
+        expect(point.turnout).toBe(true);
+      } else if (point.distance < 30 || point.distance > 60) {
+        expect(point.value).toBe(0);
+      }
+    });
+  });
+
+  test('軌道環境データの分岐器（km）を測定位置 (m) に変換する', () => {
+    const mask = TurnoutMask.fromTurnouts(
+      [{ from: 1.23, to: 1.2, turnoutNumber: '21' }, { from: 1.3, to: 1.3 }],
+      { startKP: 1 }
+    );
+
+    expect(mask.segments).toEqual([{ start: 200, end: 230, label: '分岐器 21', turnoutNumber: '21' }]);
+  });
+
+  test('start >= end の区間は400エラー', () => {
+    expect(() => new TurnoutMask([{ start: 10, end: 10 }]))
+      .toThrow(expect.objectContaining({ status: 400 }));
+  });
+});
+
+describe('RestorationEngine 分岐器モード', () => {
+  let consoleSpies;
+
+  beforeAll(() => {
+    consoleSpies = ['log', 'warn'].map(method => jest.spyOn(console, method).mockImplementation(() => {}));
+  });
+
+  afterAll(() => {
+    consoleSpies.forEach(spy => spy.mockRestore());
+  });
+
+  test('分岐器区間を統計から除き、移動量を 0 にする', () => {
+    const engine = new RestorationEngine();
+    const result = engine.calculate(buildMeasurementData(), { turnouts: [{ start: 200, end: 230 }] });
+
+    expect(result.success).toBe(true);
+    expect(result.statistics.excludedPoints).toBe(121);
+    expect(result.turnouts).toHaveLength(1);
+    result.movementData
+      .filter(point => point.turnout)
+      .forEach(point => {
+        expect(point.tamping).toBe(0);
+        expect(point.lining).toBe(0);
+      });
+  });
+
+  test('CSV出力の分岐器の列は分岐器区間がある場合のみ付ける', () => {
+    const engine = new RestorationEngine();
+    const data = buildMeasurementData();
+
+    const withTurnouts = engine.exportToCSV(engine.calculate(data, { turnouts: [{ start: 200, end: 230 }] })).split('\n');
+    expect(withTurnouts[0]).toMatch(/,分岐器$/);
+    expect(withTurnouts[801]).toMatch(/,分岐器$/);
+    expect(withTurnouts[1].split(',')).toHaveLength(7);
+
+    const withoutTurnouts = engine.exportToCSV(engine.calculate(data)).split('\n');
+    expect(withoutTurnouts[0]).not.toContain('分岐器');
+    expect(withoutTurnouts[1].split(',')).toHaveLength(6);
+  });
+});
@@ -0,0 +1,52 @@
+/**
+ * twist-calculator.js のテスト
+ */
+import { describe, test, expect } from '@jest/globals';
+import TwistCalculator from '../twist-calculator.js';
+import CurveDesignProfile from '../curve-design-profile.js';
+
+describe('TwistCalculator', () => {
+  // 0-300m、0.5m間隔。100-150m 緩和曲線、150-250m 円曲線（カント 100mm）
+  const curveSpecs = [
+    { startKP: 0.1, endKP: 0.15, curveType: 'transition' },
+    { startKP: 0.15, endKP: 0.25, curveType: 'circular', cant: 100, radius: 400 }
+  ];
+  const positions = [];
+  for (let i = 0; i <= 600; i++) positions.push(i * 0.5);
+
+  test('基準長 5m の平面性は 5m 手前の水準との差', () => {
+    const crossLevel = positions.map(position => position * 0.2);
+    const [base] = new TwistCalculator().calculate(crossLevel, { positions }).bases;
+
+    expect(base.label).toBe('5m');
+    expect(base.twist.slice(0, 10).every(value => value === null)).toBe(true);
+    expect(base.twist[10]).toBeCloseTo(1, 6);
+    expect(base.statistics.maxAbs).toBe(1);
+  });
+
+  test('設計カントは CurveDesignProfile と同じ値になる', () => {
+    const crossLevel = positions.map(() => 0);
+    const result = new TwistCalculator({ transitionType: 'cubic' }).calculate(crossLevel, { positions, curveSpecs });
+    const expected = CurveDesignProfile.calculate(positions, curveSpecs, { transitionType: 'cubic' })
+      .map(point => point.cant);
+
+    expect(result.designCant).toEqual(expected);
+    expect(result.designCant[positions.indexOf(200)]).toBe(100);
+  });
+
+  test('設計カントどおりの水準は補正後の平面性が 0', () => {
+    const crossLevel = CurveDesignProfile.calculate(positions, curveSpecs).map(point => point.cant);
+    const [base] = new TwistCalculator().calculate(crossLevel, { positions, curveSpecs }).bases;
+
+    expect(base.compensated).toBe(true);
+    expect(base.statistics.maxAbs).toBe(0);
+    expect(base.designTwist[positions.indexOf(125)]).toBeCloseTo(10, 6);
+  });
+
+  test('未対応の基準長・逓減形状は400エラー', () => {
+    expect(() => new TwistCalculator({ baseLengths: ['abc'] }).calculate([0, 1]))
+      .toThrow(expect.objectContaining({ status: 400 }));
+    expect(() => new TwistCalculator({ transitionType: 'spline' }).calculate([0, 1], { curveSpecs }))
+      .toThrow(expect.objectContaining({ status: 400 }));
+  });
+});
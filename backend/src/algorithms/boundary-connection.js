@@ -7,6 +7,8 @@
  * - MTT機械特性を考慮した接続処理
  */
 
+const mttRegistry = require('../config/mtt-registry');
+
 class BoundaryConnection {
   constructor(options = {}) {
     this.frontLength = options.frontLength || 50;     // 前方接続長 (m)
@@ -307,40 +309,8 @@ class BoundaryConnection {
    * @returns {Object} MTTパラメータ
    */
   getMttParameters(mttType) {
-    const params = {
-      '08-475': {
-        dPointDistance: 11.2,  // D点距離 (m)
-        cPointDistance: 5.6,   // C点距離 (m)
-        liftingPoints: 3,      // こう上点数
-        liningPoints: 2        // 通り整正点数
-      },
-      '08-275': {
-        dPointDistance: 9.8,
-        cPointDistance: 4.9,
-        liftingPoints: 3,
-        liningPoints: 2
-      },
-      '09-16': {
-        dPointDistance: 12.0,
-        cPointDistance: 6.0,
-        liftingPoints: 4,
-        liningPoints: 2
-      },
-      '09-32': {
-        dPointDistance: 13.5,
-        cPointDistance: 6.75,
-        liftingPoints: 4,
-        liningPoints: 3
-      },
-      'MTT-15': {
-        dPointDistance: 15.0,
-        cPointDistance: 7.5,
-        liftingPoints: 4,
-        liningPoints: 3
-      }
-    };
-
-    return params[mttType] || params['08-475'];
+    const profile = mttRegistry.getProfile(mttType) || mttRegistry.getProfile('08-475');
+    return mttRegistry.toConnectionParameters(profile);
   }
 
   /**
@@ -0,0 +1,629 @@
+/**
+ * 制約付き計画線最適化
+ * Constrained plan line optimizer (box-constrained quadratic programming)
+ *
+ * 移動量 m = 計画線 - 復元波形 を変数として
+ *   movementWeight * Σ m² + smoothness / h⁴ * Σ (計画線の2階差分)²   （h: データ間隔 m）
+ * を最小化する。2階差分を h² で割った2階微分に重みを掛けるため、滑らかさはデータ間隔によらない
+ * （約 2π·smoothness^(1/4) m より長い波長を残す。既定値 4000 で約50m）。
+ * 制約は各点の移動量の上下限として扱う。
+ * - WorkSection.movementRestrictions（移動量制限箇所）
+ * - ConvexPlanLine.applyFixedPoints の不動点（計画線の値を固定）
+ * - こう上のみ / 最大こう下量
+ * - MTTの最大こう上量・最大通り移動量
+ *
+ * 上下限が矛盾する点がある場合は解が存在しないため、矛盾箇所を付けたエラー（status 422）を投げる。
+ */
+
+const ConvexPlanLine = require('./convex-plan-line');
+const mttRegistry = require('../config/mtt-registry');
+const { createError } = require('../utils/common');
+
+const EPSILON = 1e-9;
+
+class ConstrainedPlanLineOptimizer {
+  constructor(options = {}) {
+    this.movementWeight = options.movementWeight ?? 1;     // 移動量の重み
+    this.smoothness = options.smoothness ?? 4000;           // 計画線の滑らかさの重み（2階微分、m⁴）
+    this.maxDownward = options.maxDownward ?? 10;           // 最大こう下量 (mm)
+    this.upwardOnly = options.upwardOnly ?? false;          // こう上のみ（高低）
+    this.maxIterations = options.maxIterations || 20000;    // ADMM最大反復回数
+    this.tolerance = options.tolerance || 1e-5;             // 収束閾値 (mm)
+    this.bindingTolerance = options.bindingTolerance || 1e-6; // 拘束判定の閾値
+  }
+
+  /**
+   * 制約付きで計画線を最適化
+   * @param {Array<{position?: number, distance?: number, value: number}>} restoredWaveform - 復元波形
+   * @param {Object} options - 最適化条件
+   * @param {string} [options.direction='vertical'] - 'vertical'（高低） / 'lateral'（通り）
+   * @param {WorkSection} [options.workSection] - 作業区間（movementRestrictions, mttType）
+   * @param {Array} [options.fixedPoints] - 不動点 [{position, mustKeep, level}]
+   * @param {string} [options.mttType] - MTT機種（workSection より優先）
+   * @param {Object} [options.mttCapacity] - MTT能力の直接指定 {lift, alignment} (mm)
+   * @returns {Object} 最適化結果
+   */
+  optimize(restoredWaveform, options = {}) {
+    if (!Array.isArray(restoredWaveform) || restoredWaveform.length < 3) {
+      throw createError(400, '復元波形データが不足しています（3点以上必要）');
+    }
+
+    const direction = options.direction || 'vertical';
+    if (direction !== 'vertical' && direction !== 'lateral') {
+      throw createError(400, `不正な方向: ${direction}`);
+    }
+
+    const positions = restoredWaveform.map(point => point.position ?? point.distance);
+    const restored = Float64Array.from(restoredWaveform, point => point.value);
+
+    const bounds = this.buildBounds(positions, restored, { ...options, direction });
+    this.checkFeasibility(positions, bounds);
+
+    const { hessian, linear } = this.buildProblem(restored, this.samplingInterval(positions));
+    const solution = this.solve(hessian, linear, bounds);
+
+    const planLine = positions.map((position, i) => ({
+      position,
+      value: restored[i] + solution.x[i]
+    }));
+    const movements = positions.map((position, i) => ({
+      position,
+      movement: solution.x[i]
+    }));
+
+    return {
+      planLine,
+      movements,
+      bindingConstraints: this.collectBindingConstraints(positions, bounds, solution),
+      constraints: bounds.constraints.map(({ id, type, description, start, end, lower, upper }) =>
+        ({ id, type, description, start, end, lower, upper })
+      ),
+      ignoredFixedPoints: bounds.ignoredFixedPoints,
+      statistics: this.calculateStatistics(planLine, solution.x),
+      solver: {
+        method: 'admm',
+        iterations: solution.iterations,
+        converged: solution.converged,
+        polished: solution.polished
+      },
+      direction,
+      capacity: bounds.capacity
+    };
+  }
+
+  /**
+   * 各点の移動量の上下限を構築
+   * 上下限ごとに、その値を決めた制約を記録する（拘束判定・矛盾表示用）
+   */
+  buildBounds(positions, restored, options) {
+    const n = positions.length;
+    const { direction, workSection = null } = options;
+    const lower = new Float64Array(n).fill(-Infinity);
+    const upper = new Float64Array(n).fill(Infinity);
+    const lowerSource = new Array(n).fill(null);
+    const upperSource = new Array(n).fill(null);
+    const constraints = [];
+
+    const addConstraint = (constraint, indices, lowerOf, upperOf) => {
+      constraint.id = constraints.length;
+      constraints.push(constraint);
+
+      for (const i of indices) {
+        const lo = lowerOf(i);
+        const hi = upperOf(i);
+        if (lo !== undefined && lo > lower[i]) {
+          lower[i] = lo;
+          lowerSource[i] = constraint.id;
+        }
+        if (hi !== undefined && hi < upper[i]) {
+          upper[i] = hi;
+          upperSource[i] = constraint.id;
+        }
+      }
+    };
+
+    const allIndices = positions.map((_, i) => i);
+    const rangeIndices = (start, end) =>
+      allIndices.filter(i => positions[i] >= start && positions[i] <= end);
+
+    // MTT能力
+    const mttType = options.mttType || workSection?.mttType;
+    const capacity = this.resolveCapacity(mttType, options.mttCapacity);
+    const capacityLimit = direction === 'vertical' ? capacity.lift : capacity.alignment;
+    addConstraint(
+      {
+        type: 'mttCapacity',
+        description: `MTT能力 ${mttType || 'default'}（${direction === 'vertical' ? '最大こう上量' : '最大通り移動量'} ${capacityLimit}mm）`,
+        start: positions[0],
+        end: positions[n - 1],
+        lower: direction === 'lateral' ? -capacityLimit : undefined,
+        upper: capacityLimit
+      },
+      allIndices,
+      () => (direction === 'lateral' ? -capacityLimit : undefined),
+      () => capacityLimit
+    );
+
+    // こう上優先（高低のみ）
+    if (direction === 'vertical') {
+      const minMovement = this.upwardOnly ? 0 : -this.maxDownward;
+      addConstraint(
+        {
+          type: this.upwardOnly ? 'upwardOnly' : 'maxDownward',
+          description: this.upwardOnly ? 'こう上のみ' : `最大こう下量 ${this.maxDownward}mm`,
+          start: positions[0],
+          end: positions[n - 1],
+          lower: minMovement
+        },
+        allIndices,
+        () => minMovement,
+        () => undefined
+      );
+    }
+
+    // 移動量制限箇所
+    const restrictions = (workSection?.movementRestrictions || [])
+      .filter(restriction => restriction.direction === direction);
+
+    for (const restriction of restrictions) {
+      const limit = Math.abs(restriction.limit ?? 0);
+      const upliftOnly = restriction.type === 'uplift';
+
+      addConstraint(
+        {
+          type: 'movementRestriction',
+          description: restriction.description || `移動量制限 ${limit}mm`,
+          start: restriction.start,
+          end: restriction.end,
+          side: restriction.side,
+          lower: upliftOnly ? 0 : -limit,
+          upper: limit
+        },
+        rangeIndices(restriction.start, restriction.end),
+        () => (upliftOnly ? 0 : -limit),
+        () => limit
+      );
+    }
+
+    // 不動点（計画線の値を固定 = 移動量の上下限が一致）
+    const ignoredFixedPoints = [];
+    const fixedPoints = options.fixedPoints || [];
+
+    if (fixedPoints.length > 0) {
+      const planLine = positions.map(position => ({ position, targetLevel: null }));
+
+      for (const fixed of fixedPoints) {
+        const marked = ConvexPlanLine.applyFixedPoints(
+          planLine.map(point => ({ ...point })),
+          [fixed]
+        );
+        const index = marked.findIndex(point => point.fixed);
+
+        if (index < 0) {
+          ignoredFixedPoints.push(fixed);
+          continue;
+        }
+
+        const movement = marked[index].targetLevel - restored[index];
+        addConstraint(
+          {
+            type: 'fixedPoint',
+            description: fixed.description || `不動点 ${fixed.position}m`,
+            start: positions[index],
+            end: positions[index],
+            level: marked[index].targetLevel,
+            lower: movement,
+            upper: movement
+          },
+          [index],
+          () => movement,
+          () => movement
+        );
+      }
+    }
+
+    return { lower, upper, lowerSource, upperSource, constraints, ignoredFixedPoints, capacity };
+  }
+
+  /**
+   * MTT能力（最大こう上量・最大通り移動量）を取得
+   * @param {string} mttType - MTT機種
+   * @param {Object} override - 直接指定 {lift, alignment}
+   * @returns {{lift: number, alignment: number}} 能力 (mm)
+   */
+  resolveCapacity(mttType, override = null) {
+    const profile = mttRegistry.getProfile(mttType) || mttRegistry.getProfile('08-32');
+
+    return {
+      lift: override?.lift ?? profile.liftCapacity,
+      alignment: override?.alignment ?? profile.liningCapacity
+    };
+  }
+
+  /**
+   * 上下限の矛盾をチェック
+   * 目的関数は狭義凸のため、全点で下限 <= 上限であれば解が必ず存在する
+   */
+  checkFeasibility(positions, bounds) {
+    const { lower, upper, lowerSource, upperSource, constraints } = bounds;
+    const conflicts = [];
+
+    for (let i = 0; i < positions.length; i++) {
+      if (lower[i] > upper[i] + EPSILON) {
+        const previous = conflicts[conflicts.length - 1];
+        if (previous &&
+            previous.lowerConstraint.id === lowerSource[i] &&
+            previous.upperConstraint.id === upperSource[i] &&
+            previous.endIndex === i - 1) {
+          previous.end = positions[i];
+          previous.endIndex = i;
+          continue;
+        }
+
+        conflicts.push({
+          start: positions[i],
+          end: positions[i],
+          endIndex: i,
+          lower: lower[i],
+          upper: upper[i],
+          lowerConstraint: constraints[lowerSource[i]],
+          upperConstraint: constraints[upperSource[i]]
+        });
+      }
+    }
+
+    if (conflicts.length > 0) {
+      const first = conflicts[0];
+      const error = createError(
+        422,
+        `制約条件を満たす計画線が存在しません: ${first.start}m で` +
+        `「${first.lowerConstraint.description}」の下限 ${first.lower.toFixed(1)}mm が` +
+        `「${first.upperConstraint.description}」の上限 ${first.upper.toFixed(1)}mm を超えています` +
+        (conflicts.length > 1 ? `（他 ${conflicts.length - 1} 箇所）` : '')
+      );
+      error.conflicts = conflicts.map(({ endIndex, ...conflict }) => conflict);
+      throw error;
+    }
+  }
+
+  /**
+   * 二次計画問題 ½xᵀHx + qᵀx を構築
+   * H = movementWeight·I + (smoothness / h⁴)·DᵀD（D: 2階差分、5重対角、h: データ間隔）
+   * q = (smoothness / h⁴)·DᵀD·r
+   */
+  buildProblem(restored, interval = 1) {
+    const n = restored.length;
+    const diag = new Float64Array(n).fill(this.movementWeight);
+    const off1 = new Float64Array(n);
+    const off2 = new Float64Array(n);
+    // 2階差分 / h² の2乗に smoothness を掛ける
+    const weight = this.smoothness / interval ** 4;
+
+    for (let k = 1; k < n - 1; k++) {
+      diag[k - 1] += weight;
+      diag[k] += 4 * weight;
+      diag[k + 1] += weight;
+      off1[k - 1] -= 2 * weight;
+      off1[k] -= 2 * weight;
+      off2[k - 1] += weight;
+    }
+
+    // q = λ·DᵀD·r は H·r から movementWeight·r を除いたもの
+    const hessian = { n, diag, off1, off2, weight };
+    const linear = this.multiply(hessian, restored);
+    for (let i = 0; i < n; i++) {
+      linear[i] -= this.movementWeight * restored[i];
+    }
+
+    return { hessian, linear };
+  }
+
+  /**
+   * データ間隔 (m)（平均間隔）
+   */
+  samplingInterval(positions) {
+    const n = positions.length;
+    const interval = Math.abs(positions[n - 1] - positions[0]) / (n - 1);
+    if (!(interval > 0)) {
+      throw createError(400, '復元波形の位置が不正です（全点が同じ位置）');
+    }
+    return interval;
+  }
+
+  /**
+   * ADMMで箱型制約付きQPを解き、得られた有効制約集合で厳密解に仕上げる
+   */
+  solve(hessian, linear, bounds) {
+    const { n, diag, weight } = hessian;
+    const { lower, upper } = bounds;
+
+    // ρ は H の固有値範囲の幾何平均（DᵀD の最大固有値は 16、weight はデータ間隔で換算した平滑化の重み）
+    const rho = Math.sqrt(this.movementWeight * (this.movementWeight + 16 * weight));
+    const factor = this.factorize({ ...hessian, diag: diag.map(value => value + rho) });
+
+    const x = new Float64Array(n);
+    const z = new Float64Array(n);
+    const u = new Float64Array(n);
+    const rhs = new Float64Array(n);
+
+    for (let i = 0; i < n; i++) {
+      z[i] = this.clip(0, lower[i], upper[i]);
+    }
+
+    let iterations = 0;
+    let converged = false;
+
+    while (iterations < this.maxIterations && !converged) {
+      iterations++;
+
+      for (let i = 0; i < n; i++) {
+        rhs[i] = rho * (z[i] - u[i]) - linear[i];
+      }
+      x.set(this.solveFactorized(factor, rhs));
+
+      let primalResidual = 0;
+      let dualResidual = 0;
+      for (let i = 0; i < n; i++) {
+        const previous = z[i];
+        z[i] = this.clip(x[i] + u[i], lower[i], upper[i]);
+        u[i] += x[i] - z[i];
+        primalResidual = Math.max(primalResidual, Math.abs(x[i] - z[i]));
+        dualResidual = Math.max(dualResidual, rho * Math.abs(z[i] - previous));
+      }
+
+      converged = primalResidual < this.tolerance && dualResidual < this.tolerance;
+    }
+
+    // 双対変数 y = ρu（正: 上限で拘束、負: 下限で拘束）
+    const multipliers = u.map(value => value * rho);
+    const polished = this.polish(hessian, linear, bounds, z, multipliers);
+
+    if (polished) {
+      return { ...polished, iterations, converged: true, polished: true };
+    }
+
+    return { x: z, multipliers, iterations, converged, polished: false };
+  }
+
+  /**
+   * 有効制約集合を固定して縮約系を厳密に解く
+   * KKT条件（上下限・乗数の符号）を満たさない場合は null
+   */
+  polish(hessian, linear, bounds, z, multipliers) {
+    const { n } = hessian;
+    const { lower, upper } = bounds;
+    const tolerance = Math.max(this.tolerance * 10, this.bindingTolerance);
+    const x = new Float64Array(n);
+    const free = [];
+
+    for (let i = 0; i < n; i++) {
+      if (upper[i] - lower[i] <= EPSILON) {
+        x[i] = lower[i];
+      } else if (z[i] <= lower[i] + tolerance && multipliers[i] < 0) {
+        x[i] = lower[i];
+      } else if (z[i] >= upper[i] - tolerance && multipliers[i] > 0) {
+        x[i] = upper[i];
+      } else {
+        free.push(i);
+      }
+    }
+
+    if (free.length > 0) {
+      const offset = this.multiply(hessian, x);
+      const reduced = this.reduce(hessian, free);
+      const rhs = Float64Array.from(free, i => -linear[i] - offset[i]);
+      const solution = this.solveFactorized(this.factorize(reduced), rhs);
+      free.forEach((index, k) => {
+        x[index] = solution[k];
+      });
+    }
+
+    // KKT: 勾配 g = Hx + q は、自由変数で0、下限拘束で >= 0、上限拘束で <= 0
+    const gradient = this.multiply(hessian, x);
+    const polishedMultipliers = new Float64Array(n);
+
+    for (let i = 0; i < n; i++) {
+      gradient[i] += linear[i];
+
+      if (x[i] < lower[i] - tolerance || x[i] > upper[i] + tolerance) {
+        return null;
+      }
+
+      const atLower = x[i] <= lower[i] + EPSILON;
+      const atUpper = x[i] >= upper[i] - EPSILON;
+      if (atLower && atUpper) {
+        polishedMultipliers[i] = -gradient[i];
+      } else if (atLower && gradient[i] >= -tolerance) {
+        polishedMultipliers[i] = -Math.max(gradient[i], 0);
+      } else if (atUpper && gradient[i] <= tolerance) {
+        polishedMultipliers[i] = Math.max(-gradient[i], 0);
+      } else if (Math.abs(gradient[i]) > tolerance) {
+        return null;
+      }
+    }
+
+    return { x, multipliers: polishedMultipliers };
+  }
+
+  /**
+   * 拘束している制約（乗数が0でない上下限）を区間ごとにまとめる
+   */
+  collectBindingConstraints(positions, bounds, solution) {
+    const { lowerSource, upperSource, constraints } = bounds;
+    const binding = [];
+    let current = null;
+
+    for (let i = 0; i < positions.length; i++) {
+      const multiplier = solution.multipliers[i];
+      let entry = null;
+
+      if (multiplier < -this.bindingTolerance && lowerSource[i] !== null) {
+        entry = { id: lowerSource[i], bound: 'lower' };
+      } else if (multiplier > this.bindingTolerance && upperSource[i] !== null) {
+        entry = { id: upperSource[i], bound: 'upper' };
+      }
+
+      if (entry && current && current.id === entry.id && current.bound === entry.bound &&
+          current.lastIndex === i - 1) {
+        current.end = positions[i];
+        current.lastIndex = i;
+        current.pointCount++;
+        current.maxMultiplier = Math.max(current.maxMultiplier, Math.abs(multiplier));
+        continue;
+      }
+
+      if (entry) {
+        const constraint = constraints[entry.id];
+        current = {
+          id: entry.id,
+          type: constraint.type,
+          description: constraint.description,
+          bound: entry.bound,
+          value: entry.bound === 'lower' ? bounds.lower[i] : bounds.upper[i],
+          start: positions[i],
+          end: positions[i],
+          lastIndex: i,
+          pointCount: 1,
+          maxMultiplier: Math.abs(multiplier)
+        };
+        binding.push(current);
+      } else {
+        current = null;
+      }
+    }
+
+    return binding.map(({ lastIndex, ...item }) => item);
+  }
+
+  /**
+   * 統計情報
+   */
+  calculateStatistics(planLine, movements) {
+    const n = movements.length;
+    let maxUpward = 0;
+    let maxDownward = 0;
+    let sumSquares = 0;
+    let upwardCount = 0;
+    let roughnessSquares = 0;
+
+    for (let i = 0; i < n; i++) {
+      maxUpward = Math.max(maxUpward, movements[i]);
+      maxDownward = Math.max(maxDownward, -movements[i]);
+      sumSquares += movements[i] * movements[i];
+      if (movements[i] >= 0) upwardCount++;
+
+      if (i > 0 && i < n - 1) {
+        const curvature = planLine[i - 1].value - 2 * planLine[i].value + planLine[i + 1].value;
+        roughnessSquares += curvature * curvature;
+      }
+    }
+
+    return {
+      maxUpward,
+      maxDownward,
+      rmsMovement: Math.sqrt(sumSquares / n),
+      upwardRatio: upwardCount / n,
+      roughness: Math.sqrt(roughnessSquares / Math.max(n - 2, 1))
+    };
+  }
+
+  /**
+   * 5重対角対称行列とベクトルの積
+   */
+  multiply({ n, diag, off1, off2 }, vector) {
+    const result = new Float64Array(n);
+
+    for (let i = 0; i < n; i++) {
+      let sum = diag[i] * vector[i];
+      if (i > 0) sum += off1[i - 1] * vector[i - 1];
+      if (i > 1) sum += off2[i - 2] * vector[i - 2];
+      if (i < n - 1) sum += off1[i] * vector[i + 1];
+      if (i < n - 2) sum += off2[i] * vector[i + 2];
+      result[i] = sum;
+    }
+
+    return result;
+  }
+
+  /**
+   * 自由変数のみの部分行列（インデックス昇順なので帯幅2のまま）
+   */
+  reduce({ diag, off1, off2 }, indices) {
+    const m = indices.length;
+    const reduced = {
+      n: m,
+      diag: new Float64Array(m),
+      off1: new Float64Array(m),
+      off2: new Float64Array(m)
+    };
+
+    for (let k = 0; k < m; k++) {
+      const i = indices[k];
+      reduced.diag[k] = diag[i];
+
+      if (k + 1 < m) {
+        const gap = indices[k + 1] - i;
+        reduced.off1[k] = gap === 1 ? off1[i] : gap === 2 ? off2[i] : 0;
+      }
+      if (k + 2 < m && indices[k + 2] - i === 2) {
+        reduced.off2[k] = off2[i];
+      }
+    }
+
+    return reduced;
+  }
+
+  /**
+   * 5重対角対称正定値行列の LDLᵀ 分解
+   */
+  factorize({ n, diag, off1, off2 }) {
+    const d = new Float64Array(n);
+    const l1 = new Float64Array(n);
+    const l2 = new Float64Array(n);
+
+    for (let i = 0; i < n; i++) {
+      let value = diag[i];
+      if (i > 0) value -= l1[i - 1] * l1[i - 1] * d[i - 1];
+      if (i > 1) value -= l2[i - 2] * l2[i - 2] * d[i - 2];
+      d[i] = value;
+
+      if (i < n - 1) {
+        let coupling = off1[i];
+        if (i > 0) coupling -= l2[i - 1] * l1[i - 1] * d[i - 1];
+        l1[i] = coupling / value;
+      }
+      if (i < n - 2) {
+        l2[i] = off2[i] / value;
+      }
+    }
+
+    return { n, d, l1, l2 };
+  }
+
+  /**
+   * LDLᵀ 分解を用いた連立方程式の解
+   */
+  solveFactorized({ n, d, l1, l2 }, rhs) {
+    const x = Float64Array.from(rhs);
+
+    for (let i = 0; i < n; i++) {
+      if (i > 0) x[i] -= l1[i - 1] * x[i - 1];
+      if (i > 1) x[i] -= l2[i - 2] * x[i - 2];
+    }
+    for (let i = 0; i < n; i++) {
+      x[i] /= d[i];
+    }
+    for (let i = n - 1; i >= 0; i--) {
+      if (i < n - 1) x[i] -= l1[i] * x[i + 1];
+      if (i < n - 2) x[i] -= l2[i] * x[i + 2];
+    }
+
+    return x;
+  }
+
+  clip(value, lower, upper) {
+    return Math.min(Math.max(value, lower), upper);
+  }
+}
+
+module.exports = ConstrainedPlanLineOptimizer;
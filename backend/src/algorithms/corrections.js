@@ -1,48 +1,59 @@
 /**
  * カント補正・スラック補正処理の実装
- * VBシステムの補正ロジックを再実装
+ * 曲線諸元（CurveSpecParser 形式）の設計カント・設計スラックを測定値から差し引く
+ * 緩和曲線内の逓減形状は CurveTrapezoid と同じ（linear / clothoid / cubic / sine）
  */
 
-import { CANT_CORRECTION, SLACK_CORRECTION } from '../utils/constants.js';
+import CurveDesignProfile from './curve-design-profile.js';
+
+/**
+ * 補正対象の測定項目と、設計カント・設計スラックを差し引く割合
+ * - 水準: 設計カントを差し引いて水準狂いにする
+ * - 軌間: 設計スラックを差し引いて軌間狂いにする
+ */
+export const CORRECTION_CHANNELS = {
+  crossLevel: { label: '水準', cant: 1, slack: 0 },
+  gauge: { label: '軌間', cant: 0, slack: 1 }
+};
 
 /**
  * カント補正を適用
  * @param {number} measuredValue - 測定値 (mm)
- * @param {number} cantValue - カント値 (mm)
- * @param {number} coefficient - カント補正係数（デフォルト: 0.15）
+ * @param {number} cantValue - 設計カント (mm)
+ * @param {number} factor - 差し引く割合（デフォルト: 1）
  * @returns {number} 補正後の値
  */
-export function applyCantCorrection(measuredValue, cantValue, coefficient = CANT_CORRECTION.coefficient) {
-  const correction = cantValue * coefficient;
+export function applyCantCorrection(measuredValue, cantValue, factor = 1) {
+  const correction = cantValue * factor;
   return measuredValue - correction;
 }
 
 /**
  * スラック補正を適用
  * @param {number} measuredValue - 測定値 (mm)
- * @param {number} slackValue - スラック値 (mm)
- * @param {number} coefficient - スラック補正係数（デフォルト: 0.08）
+ * @param {number} slackValue - 設計スラック (mm)
+ * @param {number} factor - 差し引く割合（デフォルト: 1）
  * @returns {number} 補正後の値
  */
-export function applySlackCorrection(measuredValue, slackValue, coefficient = SLACK_CORRECTION.coefficient) {
-  const correction = slackValue * coefficient;
+export function applySlackCorrection(measuredValue, slackValue, factor = 1) {
+  const correction = slackValue * factor;
   return measuredValue - correction;
 }
 
 /**
  * カントとスラックの両方の補正を適用
  * @param {number} measuredValue - 測定値 (mm)
- * @param {number} cantValue - カント値 (mm)
- * @param {number} slackValue - スラック値 (mm)
- * @param {Object} coefficients - 補正係数 {cant, slack}
+ * @param {number} cantValue - 設計カント (mm)
+ * @param {number} slackValue - 設計スラック (mm)
+ * @param {Object} factors - 差し引く割合 {cant, slack}
  * @returns {Object} 補正結果
  */
-export function applyBothCorrections(measuredValue, cantValue, slackValue, coefficients = {}) {
-  const cantCoeff = coefficients.cant || CANT_CORRECTION.coefficient;
-  const slackCoeff = coefficients.slack || SLACK_CORRECTION.coefficient;
+export function applyBothCorrections(measuredValue, cantValue, slackValue, factors = {}) {
+  const cantFactor = factors.cant ?? 1;
+  const slackFactor = factors.slack ?? 1;
 
-  const cantCorrection = cantValue * cantCoeff;
-  const slackCorrection = slackValue * slackCoeff;
+  const cantCorrection = cantValue * cantFactor;
+  const slackCorrection = slackValue * slackFactor;
   const correctedValue = measuredValue - cantCorrection - slackCorrection;
 
   return {
@@ -57,24 +68,24 @@ export function applyBothCorrections(measuredValue, cantValue, slackValue, coeff
 /**
  * データセット全体にカント補正を適用
  * @param {Array} data - 軌道データ配列 [{distance, irregularity, cant}, ...]
- * @param {number} coefficient - カント補正係数
+ * @param {number} factor - 差し引く割合
  * @returns {Array} 補正後のデータ
  */
-export function applyCantCorrectionToDataset(data, coefficient = CANT_CORRECTION.coefficient) {
+export function applyCantCorrectionToDataset(data, factor = 1) {
   if (!data || data.length === 0) {
     throw new Error('データが空です');
   }
 
   return data.map(point => {
     const cantValue = point.cant || 0;
-    const corrected = applyCantCorrection(point.irregularity, cantValue, coefficient);
+    const corrected = applyCantCorrection(point.irregularity, cantValue, factor);
 
     return {
       distance: point.distance,
       irregularity: parseFloat(corrected.toFixed(3)),
       originalIrregularity: point.irregularity,
       cant: cantValue,
-      cantCorrection: parseFloat((cantValue * coefficient).toFixed(3))
+      cantCorrection: parseFloat((cantValue * factor).toFixed(3))
     };
   });
 }
@@ -82,35 +93,35 @@ export function applyCantCorrectionToDataset(data, coefficient = CANT_CORRECTION
 /**
  * データセット全体にスラック補正を適用
  * @param {Array} data - 軌道データ配列 [{distance, irregularity, slack}, ...]
- * @param {number} coefficient - スラック補正係数
+ * @param {number} factor - 差し引く割合
  * @returns {Array} 補正後のデータ
  */
-export function applySlackCorrectionToDataset(data, coefficient = SLACK_CORRECTION.coefficient) {
+export function applySlackCorrectionToDataset(data, factor = 1) {
   if (!data || data.length === 0) {
     throw new Error('データが空です');
   }
 
   return data.map(point => {
     const slackValue = point.slack || 0;
-    const corrected = applySlackCorrection(point.irregularity, slackValue, coefficient);
+    const corrected = applySlackCorrection(point.irregularity, slackValue, factor);
 
     return {
       distance: point.distance,
       irregularity: parseFloat(corrected.toFixed(3)),
       originalIrregularity: point.irregularity,
       slack: slackValue,
-      slackCorrection: parseFloat((slackValue * coefficient).toFixed(3))
+      slackCorrection: parseFloat((slackValue * factor).toFixed(3))
     };
   });
 }
 
 /**
- * データセット全体にカント・スラック両方の補正を適用
- * @param {Array} data - 軌道データ配列 [{distance, irregularity, cant, slack}, ...]
- * @param {Object} coefficients - 補正係数 {cant, slack}
+ * データセット全体に測定項目に応じたカント・スラック補正を適用
+ * @param {Array} data - 軌道データ配列 [{distance, irregularity, cant, slack}, ...]（cant/slack は addCantSlackToDataset で付与）
+ * @param {Object} options - {channel: 'crossLevel' | 'gauge'}
  * @returns {Object} 補正結果
  */
-export function applyAllCorrectionsToDataset(data, coefficients = {}) {
+export function applyAllCorrectionsToDataset(data, options = {}) {
   if (!data || data.length === 0) {
     return {
       success: false,
@@ -119,23 +130,27 @@ export function applyAllCorrectionsToDataset(data, coefficients = {}) {
     };
   }
 
-  try {
-    const cantCoeff = coefficients.cant || CANT_CORRECTION.coefficient;
-    const slackCoeff = coefficients.slack || SLACK_CORRECTION.coefficient;
+  const channel = options.channel || 'crossLevel';
+  const factors = CORRECTION_CHANNELS[channel];
+  if (!factors) {
+    return {
+      success: false,
+      error: `未対応の測定項目: ${channel}（${Object.keys(CORRECTION_CHANNELS).join(' / ')}）`,
+      corrected: []
+    };
+  }
 
+  try {
     const correctedData = data.map(point => {
       const cantValue = point.cant || 0;
       const slackValue = point.slack || 0;
 
-      const result = applyBothCorrections(
-        point.irregularity,
-        cantValue,
-        slackValue,
-        { cant: cantCoeff, slack: slackCoeff }
-      );
+      const result = applyBothCorrections(point.irregularity, cantValue, slackValue, factors);
 
       return {
         distance: point.distance,
+        cant: cantValue,
+        slack: slackValue,
         ...result
       };
     });
@@ -157,9 +172,11 @@ export function applyAllCorrectionsToDataset(data, coefficients = {}) {
       success: true,
       data: correctedData,
       statistics,
-      coefficients: {
-        cant: cantCoeff,
-        slack: slackCoeff
+      channel,
+      channelLabel: factors.label,
+      factors: {
+        cant: factors.cant,
+        slack: factors.slack
       },
       dataPoints: correctedData.length
     };
@@ -174,76 +191,45 @@ export function applyAllCorrectionsToDataset(data, coefficients = {}) {
 }
 
 /**
- * カント値を推定（モック実装）
- * 実際のVBシステムでは複雑な計算があるが、簡易版として実装
+ * 位置の設計カント
  * @param {number} distance - 距離 (m)
- * @param {Object} sectionInfo - 区間情報
- * @returns {number} 推定カント値 (mm)
+ * @param {Array} curveSpecs - 曲線諸元
+ * @param {Object} options - {startKP: 距離 0m のキロ程 (km), transitionType: 既定の逓減形状}
+ * @returns {number} 設計カント (mm)
  */
-export function estimateCant(distance, sectionInfo = {}) {
-  const baseCant = sectionInfo.baseCant || 50.0;
-  const curvatureRadius = sectionInfo.curvatureRadius || 800.0;
-
-  // 簡易的な計算式（実際はもっと複雑）
-  // カント = 基準カント + 曲線による変動
-  const variation = Math.sin(distance / curvatureRadius * Math.PI) * 30.0;
-
-  return parseFloat((baseCant + variation).toFixed(2));
+export function getDesignCant(distance, curveSpecs = [], options = {}) {
+  return CurveDesignProfile.calculate([distance], curveSpecs, options)[0].cant;
 }
 
 /**
- * スラック値を推定（モック実装）
+ * 位置の設計スラック
  * @param {number} distance - 距離 (m)
- * @param {Object} sectionInfo - 区間情報
- * @returns {number} 推定スラック値 (mm)
+ * @param {Array} curveSpecs - 曲線諸元
+ * @param {Object} options - {startKP: 距離 0m のキロ程 (km), transitionType: 既定の逓減形状}
+ * @returns {number} 設計スラック (mm)
  */
-export function estimateSlack(distance, sectionInfo = {}) {
-  const baseSlack = sectionInfo.baseSlack || 10.0;
-  const variation = Math.cos(distance / 100.0 * Math.PI) * 3.0;
-
-  return parseFloat((baseSlack + variation).toFixed(2));
+export function getDesignSlack(distance, curveSpecs = [], options = {}) {
+  return CurveDesignProfile.calculate([distance], curveSpecs, options)[0].slack;
 }
 
 /**
- * カント・スラック値を含むデータセットを生成（モック）
- * @param {Array} data - 基本軌道データ配列
- * @param {Object} sectionInfo - 区間情報
+ * 曲線諸元の設計カント・スラックをデータセットに付与
+ * 曲線諸元がなければ直線（カント・スラック 0）とみなす
+ * @param {Array} data - 基本軌道データ配列 [{distance, ...}]
+ * @param {Array} curveSpecs - 曲線諸元
+ * @param {Object} options - {startKP: 距離 0m のキロ程 (km), transitionType: 既定の逓減形状}
  * @returns {Array} カント・スラック付きデータ
  */
-export function addCantSlackToDataset(data, sectionInfo = {}) {
+export function addCantSlackToDataset(data, curveSpecs = [], options = {}) {
   if (!data || data.length === 0) {
     return [];
   }
 
-  return data.map(point => ({
+  const profile = CurveDesignProfile.calculate(data.map(point => point.distance), curveSpecs, options);
+
+  return data.map((point, i) => ({
     ...point,
-    cant: estimateCant(point.distance, sectionInfo),
-    slack: estimateSlack(point.distance, sectionInfo)
+    cant: profile[i].cant,
+    slack: profile[i].slack
   }));
 }
-
-/**
- * 補正係数の妥当性をチェック
- * @param {number} coefficient - 補正係数
- * @param {string} type - 補正タイプ ('cant' or 'slack')
- * @returns {Object} チェック結果
- */
-export function validateCorrectionCoefficient(coefficient, type = 'cant') {
-  const limits = type === 'cant' ?
-    { min: 0.0, max: 1.0, recommended: 0.15 } :
-    { min: 0.0, max: 0.5, recommended: 0.08 };
-
-  const isValid = coefficient >= limits.min && coefficient <= limits.max;
-  const isRecommended = Math.abs(coefficient - limits.recommended) < 0.05;
-
-  return {
-    isValid,
-    isRecommended,
-    coefficient,
-    type,
-    message: isValid ?
-      (isRecommended ? '推奨値です' : '有効な範囲内ですが、推奨値から外れています') :
-      `範囲外です（${limits.min} - ${limits.max}）`,
-    limits
-  };
-}
@@ -0,0 +1,141 @@
+/**
+ * 曲線諸元からの設計カント・スラック
+ * Design cant and slack profile from the curve register
+ *
+ * 曲線諸元（CurveSpecParser 形式、キロ程は km）から位置ごとの設計カント・設計スラックを求める
+ * - 円曲線: 曲線諸元のカント、スラック（指定がなければ半径から算出）
+ * - 緩和曲線: 隣接する円曲線の値まで逓減。逓減形状は CurveTrapezoid と同じ
+ *   （linear / clothoid / cubic / sine、曲線諸元の transitionType が優先）
+ */
+
+const CurveTrapezoid = require('./curve-trapezoid');
+const { round } = require('../utils/common');
+
+/**
+ * 設計スラック (mm) = coefficient / R − offset（0 〜 max に丸め）
+ * 在来線狭軌の標準式
+ */
+const SLACK_RULE = {
+  coefficient: 2400,
+  offset: 6,
+  max: 20
+};
+
+const TRANSITION_TYPES = ['linear', 'clothoid', 'cubic', 'sine'];
+
+class CurveDesignProfile {
+  /**
+   * 位置ごとの設計カント・スラック
+   * @param {number[]} distances - 位置 (m)
+   * @param {Array} curveSpecs - 曲線諸元
+   * @param {Object} [options] - 計算条件
+   * @param {number} [options.startKP=0] - 位置 0m のキロ程 (km)
+   * @param {string} [options.transitionType='linear'] - 既定の逓減形状
+   * @returns {Array<{distance: number, cant: number, slack: number, curveType: string|null}>}
+   */
+  static calculate(distances, curveSpecs = [], options = {}) {
+    const { startKP = 0, transitionType = 'linear' } = options;
+    this.validateTransitionType(transitionType);
+
+    const specs = [...curveSpecs].sort((a, b) => a.startKP - b.startKP);
+    const profiles = specs.map((spec, i) => this.buildProfile(spec, specs[i - 1], specs[i + 1], transitionType));
+
+    return distances.map(distance => {
+      const km = startKP + distance / 1000;
+      const profile = profiles.find(p => km >= p.startKP && km <= p.endKP);
+      if (!profile) {
+        return { distance, cant: 0, slack: 0, curveType: null };
+      }
+
+      const progress = profile.endKP > profile.startKP
+        ? (km - profile.startKP) / (profile.endKP - profile.startKP)
+        : 0;
+      const ratio = CurveTrapezoid.calculateTransitionVersine(progress, 1, profile.transitionType);
+      return {
+        distance,
+        cant: round(profile.startCant + (profile.endCant - profile.startCant) * ratio),
+        slack: round(profile.startSlack + (profile.endSlack - profile.startSlack) * ratio),
+        curveType: profile.curveType
+      };
+    });
+  }
+
+  /**
+   * 曲線諸元1区間の始終点の値
+   */
+  static buildProfile(spec, previous, next, defaultTransitionType) {
+    const profile = {
+      startKP: spec.startKP,
+      endKP: spec.endKP,
+      curveType: spec.curveType,
+      transitionType: 'linear'
+    };
+
+    if (spec.curveType === 'transition') {
+      const transitionType = spec.transitionType || defaultTransitionType;
+      this.validateTransitionType(transitionType);
+      const from = this.neighbour(previous, spec.startKP);
+      const to = this.neighbour(next, spec.endKP);
+      return {
+        ...profile,
+        transitionType,
+        startCant: this.getSpecCant(from),
+        endCant: this.getSpecCant(to),
+        startSlack: this.getSpecSlack(from),
+        endSlack: this.getSpecSlack(to)
+      };
+    }
+
+    const cant = this.getSpecCant(spec);
+    const slack = this.getSpecSlack(spec);
+    return { ...profile, startCant: cant, endCant: cant, startSlack: slack, endSlack: slack };
+  }
+
+  /**
+   * 緩和曲線に接する区間（接していなければ null）
+   */
+  static neighbour(spec, boundaryKP) {
+    if (!spec) return null;
+    if (Math.abs(spec.startKP - boundaryKP) > 1e-6 && Math.abs(spec.endKP - boundaryKP) > 1e-6) return null;
+    return spec;
+  }
+
+  /**
+   * 区間の設計カント（円曲線以外は 0）
+   */
+  static getSpecCant(spec) {
+    if (!spec || spec.curveType !== 'circular') return 0;
+    return Number.isFinite(spec.cant) ? spec.cant : 0;
+  }
+
+  /**
+   * 区間の設計スラック（円曲線以外は 0、指定がなければ半径から算出）
+   */
+  static getSpecSlack(spec) {
+    if (!spec || spec.curveType !== 'circular') return 0;
+    return Number.isFinite(spec.slack) ? spec.slack : this.calculateSlack(spec.radius);
+  }
+
+  /**
+   * 半径から設計スラック (mm)
+   * @param {number} radius - 曲線半径 (m)
+   * @returns {number}
+   */
+  static calculateSlack(radius) {
+    if (!Number.isFinite(radius) || radius <= 0) return 0;
+    const slack = SLACK_RULE.coefficient / radius - SLACK_RULE.offset;
+    return Math.min(SLACK_RULE.max, Math.max(0, Math.round(slack)));
+  }
+
+  static validateTransitionType(type) {
+    if (!TRANSITION_TYPES.includes(type)) {
+      const error = new Error(`未対応の逓減形状: ${type}（${TRANSITION_TYPES.join(' / ')}）`);
+      error.status = 400;
+      throw error;
+    }
+  }
+}
+
+module.exports = CurveDesignProfile;
+module.exports.SLACK_RULE = SLACK_RULE;
+module.exports.TRANSITION_TYPES = TRANSITION_TYPES;
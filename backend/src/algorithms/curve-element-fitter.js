@@ -0,0 +1,476 @@
+/**
+ * 曲線諸元の自動推定
+ * Automatic curve element fitting from measured alignment (versine)
+ *
+ * 通り（弦正矢）の測定値・復元値を直線／緩和曲線（クロソイド）／円曲線に区分し、
+ * 曲線ごとに半径・入口/出口緩和曲線長・BTC/BCC/ECC/ETC 位置を推定する。
+ * 曲線台帳が無い・古い線区向けに、CurveSpecParser 形式および .KS.TXT（CurveElementExporter）形式で出力する。
+ *
+ * 推定方法:
+ * - 曲率の台形モデル（0 → 線形増加 → 一定 → 線形減少 → 0）に弦の応答（三角形の重み）を畳み込んだ正矢モデルを当てはめる
+ * - 円曲線の曲率は最小二乗で解析的に求め、4つの変化点を座標降下法で探索する
+ */
+
+const CurveElementExporter = require('../exporters/curve-element-exporter');
+const { createError } = require('../utils/common');
+
+class CurveElementFitter {
+  constructor(options = {}) {
+    this.chordLength = options.chordLength || 10;             // 測定弦長 (m)
+    this.gridInterval = options.gridInterval || 1;            // 推定に用いる間隔 (m)
+    this.smoothingLength = options.smoothingLength || 10;     // 曲線検出用の移動平均長 (m)
+    this.maxRadius = options.maxRadius || 4000;               // 検出する最大半径 (m)
+    this.minCurveLength = options.minCurveLength || 20;       // 最小曲線長 (m)
+    this.mergeGap = options.mergeGap || 20;                   // 同方向曲線を結合する間隔 (m)
+    this.rightPositive = options.rightPositive ?? true;       // 正の正矢を右曲線とする
+    this.gaugeWidth = options.gaugeWidth || 1067;             // 軌間 (mm)
+    this.maxCant = options.maxCant || 105;                    // 最大カント (mm)
+  }
+
+  /**
+   * 正矢データから曲線諸元を推定
+   * @param {Array<{position?: number, distance?: number, value: number}>} versineData - 正矢データ（位置m, 値mm）
+   * @param {Object} options - オプション
+   * @param {number} [options.designSpeed] - 設計速度 (km/h)。指定時は均衡カントを算出
+   * @returns {Object} 推定結果 { elements, segments, statistics }
+   */
+  fit(versineData, options = {}) {
+    if (!Array.isArray(versineData) || versineData.length < 2) {
+      throw createError(400, '正矢データが不足しています');
+    }
+
+    const grid = this.resample(versineData);
+    if (grid.positions.length < 3) {
+      throw createError(400, '推定に必要なデータ長がありません');
+    }
+
+    const smoothed = this.movingAverage(grid.values, Math.max(1, Math.round(this.smoothingLength / this.gridInterval)));
+    const regions = this.detectCurveRegions(grid.positions, smoothed);
+
+    const elements = [];
+    const rejected = [];
+
+    regions.forEach(region => {
+      const element = this.fitRegion(grid, smoothed, region, options);
+
+      if (element.radius > this.maxRadius) {
+        rejected.push({ ...element, reason: `半径が${this.maxRadius}mを超えています` });
+      } else {
+        elements.push(element);
+      }
+    });
+
+    const startPosition = grid.positions[0];
+    const endPosition = grid.positions[grid.positions.length - 1];
+
+    return {
+      elements,
+      rejected,
+      segments: this.toSegments(elements, startPosition, endPosition),
+      statistics: {
+        startPosition,
+        endPosition,
+        curveCount: elements.length,
+        rightCount: elements.filter(e => e.direction === 'right').length,
+        leftCount: elements.filter(e => e.direction === 'left').length,
+        minRadius: elements.length > 0 ? Math.min(...elements.map(e => e.radius)) : null
+      }
+    };
+  }
+
+  /**
+   * 推定間隔の格子に平均化して再標本化
+   */
+  resample(versineData) {
+    const points = versineData
+      .map(point => ({ position: point.position ?? point.distance, value: point.value }))
+      .filter(point => Number.isFinite(point.position) && Number.isFinite(point.value))
+      .sort((a, b) => a.position - b.position);
+
+    const start = points[0].position;
+    const count = Math.floor((points[points.length - 1].position - start) / this.gridInterval) + 1;
+    const sums = new Float64Array(count);
+    const counts = new Float64Array(count);
+
+    for (const point of points) {
+      const index = Math.min(count - 1, Math.round((point.position - start) / this.gridInterval));
+      sums[index] += point.value;
+      counts[index]++;
+    }
+
+    const positions = [];
+    const values = [];
+    for (let i = 0; i < count; i++) {
+      if (counts[i] > 0) {
+        positions.push(start + i * this.gridInterval);
+        values.push(sums[i] / counts[i]);
+      } else if (values.length > 0) {
+        // 欠測は直前の値で補う
+        positions.push(start + i * this.gridInterval);
+        values.push(values[values.length - 1]);
+      }
+    }
+
+    return { positions, values: Float64Array.from(values) };
+  }
+
+  /**
+   * 移動平均
+   */
+  movingAverage(values, windowSize) {
+    const half = Math.floor(windowSize / 2);
+    const result = new Float64Array(values.length);
+
+    for (let i = 0; i < values.length; i++) {
+      const from = Math.max(0, i - half);
+      const to = Math.min(values.length - 1, i + half);
+      let sum = 0;
+      for (let j = from; j <= to; j++) {
+        sum += values[j];
+      }
+      result[i] = sum / (to - from + 1);
+    }
+
+    return result;
+  }
+
+  /**
+   * 半径 R の円曲線に対する正矢 (mm)
+   */
+  versineOf(radius) {
+    return (this.chordLength * this.chordLength) / (8 * radius) * 1000;
+  }
+
+  /**
+   * 曲線区間の検出
+   * 平滑化した正矢が最大半径相当の正矢を超える同符号の連続区間を曲線とする
+   * @returns {Array<{startIndex: number, endIndex: number, sign: number, windowStart: number, windowEnd: number}>}
+   */
+  detectCurveRegions(positions, smoothed) {
+    const threshold = this.versineOf(this.maxRadius);
+    const runs = [];
+    let current = null;
+
+    for (let i = 0; i < smoothed.length; i++) {
+      const sign = smoothed[i] > threshold ? 1 : smoothed[i] < -threshold ? -1 : 0;
+
+      if (sign !== 0 && current && current.sign === sign) {
+        current.endIndex = i;
+      } else {
+        current = sign !== 0 ? { startIndex: i, endIndex: i, sign } : null;
+        if (current) runs.push(current);
+      }
+    }
+
+    // 短い間隔で途切れた同方向の曲線を結合
+    const merged = [];
+    for (const run of runs) {
+      const previous = merged[merged.length - 1];
+      if (previous && previous.sign === run.sign &&
+          positions[run.startIndex] - positions[previous.endIndex] <= this.mergeGap) {
+        previous.endIndex = run.endIndex;
+      } else {
+        merged.push({ ...run });
+      }
+    }
+
+    const regions = merged.filter(run =>
+      positions[run.endIndex] - positions[run.startIndex] >= this.minCurveLength
+    );
+
+    // 探索範囲: 正矢が0付近に戻る（または符号が変わる）まで広げ、隣接曲線との中点で打ち切る
+    const tail = threshold * 0.2;
+    regions.forEach((region, k) => {
+      const lowerLimit = k > 0
+        ? Math.ceil((regions[k - 1].endIndex + region.startIndex) / 2)
+        : 0;
+      const upperLimit = k < regions.length - 1
+        ? Math.floor((region.endIndex + regions[k + 1].startIndex) / 2)
+        : smoothed.length - 1;
+      const margin = Math.round(this.chordLength / this.gridInterval);
+
+      let start = region.startIndex;
+      while (start > lowerLimit && region.sign * smoothed[start - 1] > tail) start--;
+      let end = region.endIndex;
+      while (end < upperLimit && region.sign * smoothed[end + 1] > tail) end++;
+
+      region.windowStart = Math.max(lowerLimit, start - margin);
+      region.windowEnd = Math.min(upperLimit, end + margin);
+    });
+
+    return regions;
+  }
+
+  /**
+   * 1つの曲線区間に台形曲率モデルを当てはめる
+   */
+  fitRegion(grid, smoothed, region, options) {
+    const positions = grid.positions.slice(region.windowStart, region.windowEnd + 1);
+    const values = Array.from(grid.values.slice(region.windowStart, region.windowEnd + 1), v => v * region.sign);
+    const smooth = Array.from(smoothed.slice(region.windowStart, region.windowEnd + 1), v => v * region.sign);
+
+    const lower = positions[0];
+    const upper = positions[positions.length - 1];
+    const breakpoints = this.initialBreakpoints(positions, smooth, region);
+
+    let best = this.evaluate(positions, values, breakpoints);
+    const moves = [[0], [1], [2], [3], [0, 1], [2, 3], [1, 2]];
+
+    for (const step of [16, 8, 4, 2, 1, 0.5, 0.25]) {
+      let improved = true;
+      while (improved) {
+        improved = false;
+
+        for (const indices of moves) {
+          for (const delta of [-step, step]) {
+            const candidate = [...best.breakpoints];
+            indices.forEach(i => { candidate[i] += delta; });
+
+            if (candidate[0] < lower || candidate[3] > upper ||
+                candidate[0] > candidate[1] || candidate[1] > candidate[2] || candidate[2] > candidate[3]) {
+              continue;
+            }
+
+            const result = this.evaluate(positions, values, candidate);
+            if (result.cost < best.cost - 1e-9) {
+              best = result;
+              improved = true;
+            }
+          }
+        }
+      }
+    }
+
+    const [btc, bcc, ecc, etc] = best.breakpoints.map(value => Math.round(value * 4) / 4);
+    const radius = Math.round(1 / best.curvature);
+    const entryTransition = bcc - btc;
+    const exitTransition = etc - ecc;
+    const isRight = (region.sign > 0) === this.rightPositive;
+
+    return {
+      startPosition: btc,
+      bccPosition: bcc,
+      eccPosition: ecc,
+      endPosition: etc,
+      radius,
+      direction: isRight ? 'right' : 'left',
+      entryTransitionLength: entryTransition,
+      exitTransitionLength: exitTransition,
+      circularLength: ecc - bcc,
+      type: entryTransition > 0 || exitTransition > 0 ? 'transition' : 'circular',
+      versine: this.versineOf(radius),
+      cant: options.designSpeed ? this.calculateCant(radius, options.designSpeed) : 0,
+      speed: options.designSpeed || 0,
+      rmsResidual: Math.sqrt(best.cost / positions.length)
+    };
+  }
+
+  /**
+   * 変化点の初期値（正矢が円曲線部の10%/90%となる位置から推定）
+   */
+  initialBreakpoints(positions, smooth, region) {
+    const offset = region.windowStart;
+    const core = smooth.slice(region.startIndex - offset, region.endIndex - offset + 1);
+    const sorted = [...core].sort((a, b) => a - b);
+    const plateau = sorted[Math.floor(sorted.length * 0.75)];
+
+    const firstAbove = ratio => {
+      const index = smooth.findIndex(value => value >= plateau * ratio);
+      return positions[Math.max(0, index)];
+    };
+    const lastAbove = ratio => {
+      let index = smooth.length - 1;
+      while (index > 0 && smooth[index] < plateau * ratio) index--;
+      return positions[index];
+    };
+
+    const lower = positions[0];
+    const upper = positions[positions.length - 1];
+    const clamp = value => Math.min(upper, Math.max(lower, value));
+
+    const entry10 = firstAbove(0.1);
+    const entry90 = firstAbove(0.9);
+    const exit90 = lastAbove(0.9);
+    const exit10 = lastAbove(0.1);
+
+    const btc = clamp(entry10);
+    const bcc = clamp(Math.max(btc, entry90));
+    const ecc = clamp(Math.max(bcc, exit90));
+    const etc = clamp(Math.max(ecc, exit10));
+
+    return [btc, bcc, ecc, etc];
+  }
+
+  /**
+   * 変化点に対する正矢モデルの評価
+   * 円曲線の曲率は最小二乗で解析的に決定する
+   * @returns {{breakpoints: number[], curvature: number, cost: number}}
+   */
+  evaluate(positions, values, breakpoints) {
+    const shape = this.chordResponse(positions, breakpoints);
+    const scale = (this.chordLength * this.chordLength) / 8 * 1000;
+
+    let numerator = 0;
+    let denominator = 0;
+    for (let i = 0; i < positions.length; i++) {
+      numerator += values[i] * shape[i];
+      denominator += shape[i] * shape[i];
+    }
+
+    const amplitude = denominator > 0 ? Math.max(numerator / denominator, 1e-9) : 1e-9;
+    let cost = 0;
+    for (let i = 0; i < positions.length; i++) {
+      const residual = values[i] - amplitude * shape[i];
+      cost += residual * residual;
+    }
+
+    return { breakpoints, curvature: amplitude / scale, cost };
+  }
+
+  /**
+   * 単位曲率の台形モデルに弦の応答（半弦長の三角形重み）を畳み込む
+   */
+  chordResponse(positions, breakpoints) {
+    const half = this.chordLength / 2;
+    const step = this.gridInterval / 2;
+    const offsets = [];
+    for (let d = -half; d <= half + 1e-9; d += step) {
+      offsets.push({ d, weight: 1 - Math.abs(d) / half });
+    }
+    const total = offsets.reduce((sum, o) => sum + o.weight, 0);
+
+    return positions.map(position =>
+      offsets.reduce((sum, o) => sum + o.weight * this.unitCurvature(position + o.d, breakpoints), 0) / total
+    );
+  }
+
+  /**
+   * 台形曲率モデル（円曲線部で1）
+   */
+  unitCurvature(position, [btc, bcc, ecc, etc]) {
+    if (position <= btc || position >= etc) return 0;
+    if (position < bcc) return (position - btc) / (bcc - btc);
+    if (position <= ecc) return 1;
+    return (etc - position) / (etc - ecc);
+  }
+
+  /**
+   * 均衡カント (mm) = G·V²/(127·R)、最大カントで制限
+   */
+  calculateCant(radius, speed) {
+    return Math.min(this.maxCant, Math.round(this.gaugeWidth * speed * speed / (127 * radius)));
+  }
+
+  /**
+   * 直線・緩和曲線・円曲線の区間列（全範囲を連続して覆う）
+   */
+  toSegments(elements, startPosition, endPosition) {
+    const segments = [];
+    let cursor = startPosition;
+
+    const push = (start, end, curveType, element = null) => {
+      if (end - start <= 0) return;
+      segments.push({
+        start,
+        end,
+        curveType,
+        radius: element && curveType === 'circular' ? element.radius : null,
+        cant: element && curveType === 'circular' && element.cant ? element.cant : null,
+        direction: element ? element.direction : null
+      });
+    };
+
+    for (const element of elements) {
+      push(cursor, element.startPosition, 'straight');
+      push(element.startPosition, element.bccPosition, 'transition', element);
+      push(element.bccPosition, element.eccPosition, 'circular', element);
+      push(element.eccPosition, element.endPosition, 'transition', element);
+      cursor = element.endPosition;
+    }
+    push(cursor, endPosition, 'straight');
+
+    return segments;
+  }
+
+  /**
+   * CurveSpecParser 形式（キロ程 km）の曲線諸元に変換
+   * @param {Object} result - fit() の結果
+   * @returns {Array} curveSpecs
+   */
+  toCurveSpecs(result) {
+    let straightNo = 0;
+    let transitionNo = 0;
+
+    return result.segments.map(segment => {
+      let label;
+      if (segment.curveType === 'straight') {
+        label = `直線区間${++straightNo}`;
+      } else if (segment.curveType === 'transition') {
+        label = `緩和曲線${++transitionNo}`;
+      } else {
+        label = `R${segment.radius}円曲線（推定）`;
+      }
+
+      const startKP = segment.start / 1000;
+      const endKP = segment.end / 1000;
+
+      return {
+        startKP,
+        endKP,
+        curveType: segment.curveType,
+        radius: segment.radius,
+        cant: segment.cant,
+        direction: segment.direction,
+        label,
+        length: endKP - startKP
+      };
+    });
+  }
+
+  /**
+   * CurveElementExporter（.KS.TXT）形式の曲線データに変換
+   * @param {Object} result - fit() の結果
+   * @returns {{horizontalCurves: Array, verticalCurves: Array, gradientSections: Array}}
+   */
+  toKSCurveData(result) {
+    return {
+      horizontalCurves: result.elements.map(element => {
+        const asymmetric = element.entryTransitionLength !== element.exitTransitionLength;
+
+        return {
+          startKm: element.startPosition,
+          endKm: element.endPosition,
+          radius: element.radius,
+          direction: element.direction,
+          cant: element.cant,
+          transitionLength: element.entryTransitionLength,
+          type: element.type,
+          speed: element.speed,
+          notes: asymmetric
+            ? `自動推定 出口緩和${element.exitTransitionLength.toFixed(1)}m`
+            : '自動推定'
+        };
+      }),
+      verticalCurves: [],
+      gradientSections: []
+    };
+  }
+
+  /**
+   * .KS.TXT の内容を生成
+   * @param {Object} result - fit() の結果
+   * @param {Object} workSection - 作業区間情報（lineName, trackName, direction 等）
+   * @returns {string} KSファイル内容
+   */
+  generateKSContent(result, workSection = {}) {
+    const exporter = new CurveElementExporter();
+
+    return exporter.generateKSContent(this.toKSCurveData(result), {
+      startKm: result.statistics.startPosition,
+      endKm: result.statistics.endPosition,
+      ...workSection
+    });
+  }
+}
+
+module.exports = { CurveElementFitter };
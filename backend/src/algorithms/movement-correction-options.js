@@ -5,6 +5,8 @@
  * 移動量の補正設定：無、有、M の3種類
  */
 
+const mttRegistry = require('../config/mtt-registry');
+
 class MovementCorrectionOptions {
   constructor(options = {}) {
     this.mttType = options.mttType || '08-475';
@@ -283,45 +285,8 @@ class MovementCorrectionOptions {
    * @returns {Object} パラメータ
    */
   getMTTParameters(mttType) {
-    const params = {
-      '08-475': {
-        bcDistance: 3.63,  // BC間距離
-        cdDistance: 9.37,  // CD間距離
-        liftingPoints: 3,
-        liningPoints: 2,
-        eccFactor: 3       // 偏心矢の倍率
-      },
-      '08-275': {
-        bcDistance: 3.2,
-        cdDistance: 8.5,
-        liftingPoints: 3,
-        liningPoints: 2,
-        eccFactor: 3
-      },
-      '09-16': {
-        bcDistance: 7.5,
-        cdDistance: 7.5,
-        liftingPoints: 4,
-        liningPoints: 2,
-        eccFactor: 3
-      },
-      '09-32': {
-        bcDistance: 8.0,
-        cdDistance: 8.0,
-        liftingPoints: 4,
-        liningPoints: 3,
-        eccFactor: 3
-      },
-      'MTT-15': {
-        bcDistance: 10.0,
-        cdDistance: 10.0,
-        liftingPoints: 4,
-        liningPoints: 3,
-        eccFactor: 2.5
-      }
-    };
-
-    return params[mttType] || params['08-475'];
+    const profile = mttRegistry.getProfile(mttType) || mttRegistry.getProfile('08-475');
+    return mttRegistry.toCorrectionParameters(profile);
   }
 
   /**
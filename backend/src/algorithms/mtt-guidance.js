@@ -4,78 +4,15 @@
  * 文書「057_復元波形を用いた軌道整正計算」の仕様に基づく実装
  */
 
+const mttRegistry = require('../config/mtt-registry');
+
 class MTTGuidanceSystem {
   constructor(options = {}) {
-    // MTT機種別パラメータ
+    // MTT機種別パラメータ（MTT機種レジストリから取得）
     this.mttParameters = {
-      // 08-32型（標準型）
-      '08-32': {
-        name: '08-32型',
-        manufacturer: 'Plasser & Theurer',
-        frontOffset: 12.5,        // フロント位置オフセット (m)
-        workingSpeed: 0.8,         // 作業速度 (km/h)
-        liftCapacity: 50,          // 最大こう上量 (mm)
-        alignmentCapacity: 40,     // 最大通り移動量 (mm)
-        tampingUnits: 32,          // タンピングユニット数
-        measurementChord: 10,      // 測定弦長 (m)
-        correctionFactors: {
-          level: 1.0,
-          alignment: 1.05,
-          cant: 1.0,
-          gauge: 1.0
-        }
-      },
-      // 09-32型（新型）
-      '09-32': {
-        name: '09-32型',
-        manufacturer: 'Plasser & Theurer',
-        frontOffset: 13.0,
-        workingSpeed: 1.0,
-        liftCapacity: 60,
-        alignmentCapacity: 45,
-        tampingUnits: 32,
-        measurementChord: 10,
-        correctionFactors: {
-          level: 1.0,
-          alignment: 1.03,
-          cant: 1.0,
-          gauge: 1.0
-        }
-      },
-      // DGS-90型（動的安定装置付き）
-      'DGS-90': {
-        name: 'DGS-90型',
-        manufacturer: 'Matisa',
-        frontOffset: 14.5,
-        workingSpeed: 0.6,
-        liftCapacity: 55,
-        alignmentCapacity: 42,
-        tampingUnits: 24,
-        measurementChord: 12,
-        correctionFactors: {
-          level: 0.98,
-          alignment: 1.08,
-          cant: 1.02,
-          gauge: 1.0
-        }
-      },
-      // マルタイ（マルチプルタイタンパー）
-      'multi-tie': {
-        name: 'マルチプルタイタンパー',
-        manufacturer: 'Various',
-        frontOffset: 11.5,
-        workingSpeed: 0.5,
-        liftCapacity: 45,
-        alignmentCapacity: 35,
-        tampingUnits: 16,
-        measurementChord: 10,
-        correctionFactors: {
-          level: 1.02,
-          alignment: 1.06,
-          cant: 1.0,
-          gauge: 1.0
-        }
-      },
+      ...Object.fromEntries(
+        mttRegistry.getAllProfiles().map(profile => [profile.id, mttRegistry.toGuidanceParameters(profile)])
+      ),
       // カスタム設定
       'custom': {
         name: 'カスタム',
@@ -8,11 +8,15 @@
  * 3. 復元波形の計算
  * 4. 矢中弦変換（10m/20m/40m弦）
  * 5. 統計情報の算出
+ *
+ * 分岐器モード（options.turnouts / options.turnoutMask）では分岐器区間を
+ * 復元計算・統計から除き、計画線は移動量 0 で前後をすり付ける（TurnoutMask 参照）
  */
 
 const { InverseFilter } = require('./inverse-filter');
 const { VersineConverter } = require('./versine-converter');
 const PlanLineZeroPointSystem = require('./plan-line-zero-point');
+const TurnoutMask = require('./turnout-mask');
 
 class RestorationEngine {
   constructor(options = {}) {
@@ -48,6 +52,9 @@ class RestorationEngine {
    * @param {Object} options - オプション
    * @param {boolean} options.calculateVersine - 矢中弦を計算するか（デフォルト: true）
    * @param {string[]} options.versineChords - 計算する弦長 (デフォルト: ['10m', '20m', '40m'])
+   * @param {Array<{start: number, end: number}>} options.turnouts - 分岐器区間 (m)（分岐器モード）
+   * @param {Object} options.turnoutOptions - 分岐器区間のオプション（margin, transitionLength）
+   * @param {TurnoutMask} options.turnoutMask - 分岐器区間マスク（turnouts より優先）
    * @returns {RestorationWaveformResult} 復元結果
    */
   calculate(measurementData, options = {}) {
@@ -55,14 +62,28 @@ class RestorationEngine {
     const versineChords = options.versineChords || ['10m', '20m', '40m'];
 
     try {
-      // 1. 元データの統計情報
-      const originalStatistics = this.calculateStatistics(measurementData);
+      // 分岐器モード: 分岐器区間の測定値を前後から補間して逆フィルタにかける
+      const turnoutMask = options.turnoutMask ||
+        (options.turnouts ? new TurnoutMask(options.turnouts, options.turnoutOptions) : null);
+      const turnoutFlags = turnoutMask ? turnoutMask.flag(measurementData) : null;
+      const hasTurnouts = turnoutFlags !== null && turnoutFlags.some(Boolean);
+      const filterInput = hasTurnouts ? turnoutMask.bridge(measurementData, turnoutFlags) : measurementData;
+
+      // 1. 元データの統計情報（分岐器区間を除く）
+      const originalStatistics = this.calculateStatistics(
+        hasTurnouts ? turnoutMask.exclude(measurementData, turnoutFlags) : measurementData
+      );
 
       // 2. 逆フィルタ適用
-      const restoredWaveform = this.inverseFilter.applyToMeasurementData(measurementData);
+      let restoredWaveform = this.inverseFilter.applyToMeasurementData(filterInput);
+      if (hasTurnouts) {
+        restoredWaveform = restoredWaveform.map((point, i) => (turnoutFlags[i] ? { ...point, turnout: true } : point));
+      }
 
-      // 3. 復元波形の統計情報
-      const restoredStatistics = this.calculateStatistics(restoredWaveform);
+      // 3. 復元波形の統計情報（分岐器区間を除く）
+      const restoredStatistics = this.calculateStatistics(
+        hasTurnouts ? turnoutMask.exclude(restoredWaveform, turnoutFlags) : restoredWaveform
+      );
 
       // 4. 良化率の計算
       const improvementRate = this.calculateImprovementRate(
@@ -80,12 +101,22 @@ class RestorationEngine {
       }
 
       // 6. 計画線の計算（ゼロ点方式または移動平均）
-      const planLine = this.planLineMethod === 'zero-point'
+      let planLine = this.planLineMethod === 'zero-point'
         ? this.calculateZeroPointPlanLine(restoredWaveform, options.restrictions)
         : this.calculatePlanLine(restoredWaveform);
 
+      // 分岐器区間は移動量 0 で保持し、前後をすり付ける
+      if (hasTurnouts) {
+        planLine = turnoutMask.holdPlanLine(planLine, restoredWaveform, turnoutFlags);
+      }
+
       // 7. 移動量データの計算
-      const movementData = this.calculateMovementData(restoredWaveform, planLine);
+      let movementData = this.calculateMovementData(restoredWaveform, planLine);
+      if (hasTurnouts) {
+        movementData = movementData.map((point, i) => (
+          turnoutFlags[i] ? { ...point, tamping: 0, lining: 0, turnout: true } : point
+        ));
+      }
 
       return {
         success: true,
@@ -93,10 +124,12 @@ class RestorationEngine {
         planLine,
         movementData,
         versineData,
+        turnouts: hasTurnouts ? turnoutMask.describe(measurementData, turnoutFlags) : [],
         statistics: {
           original: originalStatistics,
           restored: restoredStatistics,
-          improvementRate
+          improvementRate,
+          excludedPoints: hasTurnouts ? turnoutFlags.filter(Boolean).length : 0
         },
         filterParams: this.inverseFilter.getParameters()
       };
@@ -294,8 +327,9 @@ class RestorationEngine {
 
     const lines = [];
 
-    // ヘッダー行
-    lines.push('距離(m),測定値(mm),復元波形(mm),計画線(mm),こう上量(mm),移動量(mm)');
+    // ヘッダー行（分岐器モードで分岐器区間がある場合のみ分岐器の列を付ける）
+    const hasTurnouts = movementData.some(point => point.turnout);
+    lines.push(`距離(m),測定値(mm),復元波形(mm),計画線(mm),こう上量(mm),移動量(mm)${hasTurnouts ? ',分岐器' : ''}`);
 
     // データ行
     for (let i = 0; i < restoredWaveform.length; i++) {
@@ -307,6 +341,9 @@ class RestorationEngine {
         movementData[i].tamping,
         movementData[i].lining
       ];
+      if (hasTurnouts) {
+        row.push(movementData[i].turnout ? '分岐器' : '');
+      }
 
       lines.push(row.join(','));
     }
@@ -0,0 +1,455 @@
+/**
+ * 移動量制限の自動設定ルール
+ * Rule engine deriving movement restrictions from track-environment data
+ *
+ * 軌道環境データ（LABOCS）の分岐器・構造物・ガードレール・EJ/IJ・駅（ホーム）から、
+ * 要素種別ごとのルールに従って左右・上下方向の移動量制限箇所を作成する。
+ * - 制限箇所の形式は MovementRestrictionEditor / RestrictionExporter と同じ
+ *   （startKm / endKm は m、direction: left / right / both / vertical）
+ * - 重なる自動設定の制限は、重なった部分で最も厳しい値をとる
+ * - 手入力の制限箇所と重なる部分は手入力を優先し、自動設定の方が厳しい箇所は conflicts で知らせる
+ *   （片側の手入力は同じ側だけを優先し、両側の自動設定は反対側の制限として残す）
+ */
+
+const { createError, round } = require('../utils/common');
+
+/**
+ * 要素種別ごとの既定ルール
+ * source: 軌道環境データの項目、match: 構造物種別に含まれる語（KR のみ）
+ * margin: 要素の前後に広げる距離 (m)、platformLength: ホーム長 (m、駅キロ程を中心とする)
+ * lateral / vertical: 左右・上下方向の制限（null は制限しない）。isFixed は不動点（制限量 0）
+ * sided: 要素に左右の別がある（lateral.direction を省略すると要素の側に制限する。GL → left、GR → right）
+ */
+const DEFAULT_RULES = {
+  turnout: {
+    label: '分岐器',
+    source: 'BK',
+    enabled: true,
+    margin: 10,
+    lateral: { amount: 0, isFixed: true, direction: 'both' },
+    vertical: { amount: 20, isFixed: false }
+  },
+  bridge: {
+    label: '橋梁',
+    source: 'KR',
+    match: ['橋'],
+    enabled: true,
+    margin: 5,
+    lateral: { amount: 10, isFixed: false, direction: 'both' },
+    vertical: { amount: 0, isFixed: true }
+  },
+  tunnel: {
+    label: 'トンネル',
+    source: 'KR',
+    match: ['トンネル', '隧道'],
+    enabled: true,
+    margin: 0,
+    lateral: { amount: 20, isFixed: false, direction: 'both' },
+    vertical: { amount: 20, isFixed: false }
+  },
+  crossing: {
+    label: '踏切',
+    source: 'KR',
+    match: ['踏切'],
+    enabled: true,
+    margin: 5,
+    lateral: null,
+    vertical: { amount: 10, isFixed: false }
+  },
+  guardRail: {
+    label: 'ガードレール',
+    source: 'GL/GR',
+    enabled: true,
+    sided: true,
+    margin: 0,
+    lateral: { amount: 10, isFixed: false },
+    vertical: null
+  },
+  ej: {
+    label: 'EJ',
+    source: 'EJ',
+    enabled: true,
+    margin: 5,
+    lateral: { amount: 0, isFixed: true, direction: 'both' },
+    vertical: { amount: 10, isFixed: false }
+  },
+  ij: {
+    label: 'IJ',
+    source: 'IJ',
+    enabled: true,
+    margin: 2,
+    lateral: null,
+    vertical: { amount: 10, isFixed: false }
+  },
+  platform: {
+    label: 'ホーム',
+    source: 'EM',
+    enabled: true,
+    margin: 0,
+    platformLength: 200,
+    lateral: { amount: 5, isFixed: false, direction: 'both' },
+    vertical: { amount: 10, isFixed: false }
+  }
+};
+
+const LATERAL_DIRECTIONS = ['both', 'left', 'right'];
+const DIRECTIONS = [...LATERAL_DIRECTIONS, 'vertical'];
+
+class RestrictionRuleEngine {
+  /**
+   * @param {Object} [rules] - 要素種別ごとのルール（省略した種別・項目は既定ルール）
+   */
+  constructor(rules = {}) {
+    this.rules = RestrictionRuleEngine.resolveRules(rules);
+  }
+
+  /**
+   * ルールを既定ルールと合成して検証
+   * @param {Object} [rules] - 要素種別ごとのルール（部分指定可）
+   * @returns {Object} 全要素種別のルール
+   */
+  static resolveRules(rules = {}) {
+    if (!rules || typeof rules !== 'object' || Array.isArray(rules)) {
+      throw createError(400, 'ルールは要素種別をキーとするオブジェクトで指定してください');
+    }
+    const unknown = Object.keys(rules).filter(type => !DEFAULT_RULES[type]);
+    if (unknown.length > 0) {
+      throw createError(400, `未対応の要素種別: ${unknown.join(', ')}（${Object.keys(DEFAULT_RULES).join(' / ')}）`);
+    }
+
+    const resolved = {};
+    for (const [type, defaults] of Object.entries(DEFAULT_RULES)) {
+      const override = rules[type] || {};
+      if (typeof override !== 'object' || Array.isArray(override)) {
+        throw createError(400, `${defaults.label}: ルールはオブジェクトで指定してください`);
+      }
+      const rule = {
+        ...defaults,
+        ...override,
+        label: defaults.label,
+        source: defaults.source,
+        lateral: this.resolveLimit(type, 'lateral', defaults.lateral, override.lateral),
+        vertical: this.resolveLimit(type, 'vertical', defaults.vertical, override.vertical)
+      };
+      if (defaults.match) rule.match = this.resolveMatch(type, override.match, defaults.match);
+
+      if (!Number.isFinite(rule.margin) || rule.margin < 0) {
+        throw createError(400, `${rule.label}: margin は 0 以上の数値で指定してください`);
+      }
+      if (defaults.platformLength !== undefined && (!Number.isFinite(rule.platformLength) || rule.platformLength <= 0)) {
+        throw createError(400, `${rule.label}: platformLength は正の数値で指定してください`);
+      }
+      rule.enabled = rule.enabled !== false;
+      resolved[type] = rule;
+    }
+    return resolved;
+  }
+
+  /**
+   * 構造物種別に含まれる語の指定を検証（空でない文字列の配列）
+   */
+  static resolveMatch(type, match, defaults) {
+    if (match === undefined || match === null) return defaults;
+    if (!Array.isArray(match) || match.length === 0 || !match.every(word => typeof word === 'string' && word.length > 0)) {
+      throw createError(400, `${DEFAULT_RULES[type].label}: match は構造物種別に含まれる語（文字列）の配列で指定してください`);
+    }
+    return match;
+  }
+
+  /**
+   * 方向別の制限を既定値と合成（override に null を指定するとその方向は制限しない）
+   */
+  static resolveLimit(type, axis, defaults, override) {
+    if (override === null) return null;
+    if (override === undefined) return defaults ? { ...defaults } : null;
+
+    const sided = axis === 'lateral' && DEFAULT_RULES[type].sided === true;
+    const limit = {
+      amount: 0,
+      isFixed: false,
+      ...(axis === 'lateral' && !sided ? { direction: 'both' } : {}),
+      ...defaults,
+      ...override
+    };
+    if (limit.isFixed) limit.amount = 0;
+    if (!Number.isFinite(limit.amount) || limit.amount < 0) {
+      throw createError(400, `${DEFAULT_RULES[type].label}: ${axis}.amount は 0 以上の数値で指定してください`);
+    }
+    if (axis === 'lateral' && !(sided && limit.direction === undefined) && !LATERAL_DIRECTIONS.includes(limit.direction)) {
+      throw createError(400, `${DEFAULT_RULES[type].label}: lateral.direction は ${LATERAL_DIRECTIONS.join(' / ')} で指定してください`);
+    }
+    return limit;
+  }
+
+  /**
+   * 軌道環境データから制限箇所を作成
+   * @param {Object} rangeData - TrackEnvironmentProcessor.findDataByRange の結果（キロ程は km）
+   * @param {Object} range - 対象範囲
+   * @param {number} range.startKm - 開始キロ程 (km)
+   * @param {number} range.endKm - 終了キロ程 (km)
+   * @returns {Array} 制限箇所（startKm / endKm は m）
+   */
+  propose(rangeData, range) {
+    const start = range.startKm * 1000;
+    const end = range.endKm * 1000;
+    const elements = this.collectElements(rangeData);
+
+    const restrictions = [];
+    for (const element of elements) {
+      const rule = this.rules[element.type];
+      if (!rule.enabled) continue;
+
+      const from = Math.max(start, element.from - rule.margin);
+      const to = Math.min(end, element.to + rule.margin);
+      if (!(to > from)) continue;
+
+      const notes = element.name ? `${rule.label} ${element.name}` : rule.label;
+      if (rule.lateral) {
+        const direction = rule.lateral.direction || element.direction || 'both';
+        restrictions.push(this.createRestriction(element.type, from, to, direction, rule.lateral, notes));
+      }
+      if (rule.vertical) {
+        restrictions.push(this.createRestriction(element.type, from, to, 'vertical', rule.vertical, notes));
+      }
+    }
+
+    return this.combine(restrictions).map((restriction, i) => ({ ...restriction, id: `auto-${i + 1}` }));
+  }
+
+  /**
+   * 軌道環境データの要素をルールの要素種別に振り分け（位置は m）
+   * @returns {Array<{type: string, from: number, to: number, name: string, direction?: string}>}
+   *   direction は左右の別がある要素のみ（left / right）
+   */
+  collectElements(rangeData) {
+    const elements = [];
+    const push = (type, fromKm, toKm, name, direction) => {
+      if (!Number.isFinite(fromKm)) return;
+      const from = Math.min(fromKm, Number.isFinite(toKm) ? toKm : fromKm) * 1000;
+      const to = Math.max(fromKm, Number.isFinite(toKm) ? toKm : fromKm) * 1000;
+      elements.push({ type, from, to, name: name || '', ...(direction ? { direction } : {}) });
+    };
+
+    (rangeData.turnouts || []).forEach(record => {
+      push('turnout', record.from, record.to, [record.turnoutNumber, record.number ? `${record.number}番` : ''].filter(Boolean).join(' '));
+    });
+    (rangeData.structures || []).forEach(record => {
+      const structureType = record.structureType || '';
+      const type = ['bridge', 'tunnel', 'crossing'].find(key =>
+        this.rules[key].match.some(word => structureType.includes(word))
+      );
+      if (type) push(type, record.from, record.to, record.structureName || structureType);
+    });
+    (rangeData.guardRails || []).forEach(record => {
+      const right = record.dataType === 'GR';
+      push('guardRail', record.from, record.to, `${right ? '右' : '左'} ${record.guardRailType || ''}`.trim(), right ? 'right' : 'left');
+    });
+    (rangeData.ejs || []).forEach(record => push('ej', record.from, record.to, record.ejType));
+    (rangeData.ijs || []).forEach(record => push('ij', record.from, record.to, record.ijType));
+    (rangeData.stations || []).forEach(record => {
+      const half = this.rules.platform.platformLength / 2000;
+      push('platform', record.kilometer - half, record.kilometer + half, record.stationName);
+    });
+
+    return elements;
+  }
+
+  createRestriction(type, from, to, direction, limit, notes) {
+    return {
+      startKm: round(from),
+      endKm: round(to),
+      direction,
+      restrictionAmount: limit.isFixed ? 0 : limit.amount,
+      isFixed: !!limit.isFixed,
+      notes,
+      source: 'auto',
+      elementTypes: [type]
+    };
+  }
+
+  /**
+   * 同じ方向で重なる制限箇所を、重なった部分で最も厳しい値をとるように分割・統合
+   */
+  combine(restrictions) {
+    const combined = [];
+    for (const direction of DIRECTIONS) {
+      const items = restrictions.filter(r => r.direction === direction);
+      if (items.length === 0) continue;
+
+      const boundaries = Array.from(new Set(items.flatMap(r => [r.startKm, r.endKm]))).sort((a, b) => a - b);
+      let current = null;
+      for (let i = 0; i < boundaries.length - 1; i++) {
+        const from = boundaries[i];
+        const to = boundaries[i + 1];
+        const covering = items.filter(r => r.startKm <= from && r.endKm >= to);
+        if (covering.length === 0) {
+          current = null;
+          continue;
+        }
+
+        const strictest = covering.reduce((best, r) => (this.isStricter(r, best) ? r : best));
+        const notes = Array.from(new Set(covering.map(r => r.notes)));
+        const elementTypes = Array.from(new Set(covering.flatMap(r => r.elementTypes)));
+        if (current && current.endKm === from &&
+            current.isFixed === strictest.isFixed && current.restrictionAmount === strictest.restrictionAmount) {
+          current.endKm = to;
+          current.notes = Array.from(new Set([...current.notes, ...notes]));
+          current.elementTypes = Array.from(new Set([...current.elementTypes, ...elementTypes]));
+          continue;
+        }
+
+        current = { ...strictest, startKm: from, endKm: to, notes, elementTypes };
+        combined.push(current);
+      }
+    }
+
+    return combined
+      .map(r => ({ ...r, notes: r.notes.join('・') }))
+      .sort((a, b) => a.startKm - b.startKm || DIRECTIONS.indexOf(a.direction) - DIRECTIONS.indexOf(b.direction));
+  }
+
+  /**
+   * a が b より厳しい制限か（不動点が最も厳しく、次に制限量が小さいもの）
+   */
+  isStricter(a, b) {
+    if (a.isFixed !== b.isFixed) return a.isFixed;
+    return a.restrictionAmount < b.restrictionAmount;
+  }
+
+  /**
+   * 自動設定の制限箇所と手入力の制限箇所を統合
+   * 同じ側（左 / 右 / 上下）で手入力と重なる部分は手入力を優先し、自動設定を除く
+   * 両側（both）の自動設定が片側の手入力と重なる部分は、反対側の制限として残す
+   * @param {Array} proposed - 自動設定の制限箇所
+   * @param {Array} manual - 手入力の制限箇所（startKm / endKm は m）
+   * @returns {{restrictions: Array, conflicts: Array}}
+   */
+  merge(proposed, manual = []) {
+    const manualItems = this.validateManual(manual);
+    const conflicts = [];
+    const remaining = [];
+
+    for (const auto of proposed) {
+      const autoSides = this.sides(auto.direction);
+      const overlapping = manualItems
+        .map(m => ({ manual: m, shared: autoSides.filter(side => this.sides(m.direction).includes(side)) }))
+        .filter(({ manual: m, shared }) => shared.length > 0 && m.startKm < auto.endKm && m.endKm > auto.startKm);
+
+      overlapping
+        .filter(({ manual: m }) => this.isStricter(auto, m))
+        .forEach(({ manual: m, shared }) => conflicts.push({
+          manualId: m.id,
+          autoId: auto.id,
+          startKm: Math.max(m.startKm, auto.startKm),
+          endKm: Math.min(m.endKm, auto.endKm),
+          direction: this.directionOf(shared),
+          manualAmount: m.isFixed ? 0 : m.restrictionAmount,
+          autoAmount: auto.restrictionAmount,
+          autoIsFixed: auto.isFixed,
+          notes: auto.notes,
+          message: `手入力の制限より自動設定（${auto.notes}）の方が厳しい区間があります`
+        }));
+
+      // 手入力で覆われていない区間・側の残り
+      const boundaries = Array.from(new Set(
+        [auto.startKm, auto.endKm].concat(overlapping.flatMap(({ manual: m }) => [m.startKm, m.endKm]))
+      ))
+        .filter(km => km >= auto.startKm && km <= auto.endKm)
+        .sort((a, b) => a - b);
+      const pieces = [];
+      for (let i = 0; i < boundaries.length - 1; i++) {
+        const from = boundaries[i];
+        const to = boundaries[i + 1];
+        const covered = overlapping
+          .filter(({ manual: m }) => m.startKm <= from && m.endKm >= to)
+          .flatMap(({ shared }) => shared);
+        const sides = autoSides.filter(side => !covered.includes(side));
+        if (sides.length === 0) continue;
+
+        const direction = this.directionOf(sides);
+        const last = pieces[pieces.length - 1];
+        if (last && last.endKm === from && last.direction === direction) {
+          last.endKm = to;
+        } else {
+          pieces.push({ startKm: from, endKm: to, direction });
+        }
+      }
+      pieces.forEach((piece, i) => remaining.push({
+        ...auto,
+        ...piece,
+        id: pieces.length > 1 ? `${auto.id}-${i + 1}` : auto.id
+      }));
+    }
+
+    const restrictions = [...manualItems, ...remaining]
+      .sort((a, b) => a.startKm - b.startKm || DIRECTIONS.indexOf(a.direction) - DIRECTIONS.indexOf(b.direction));
+    return { restrictions, conflicts };
+  }
+
+  /**
+   * 手入力の制限箇所を検証
+   */
+  validateManual(manual) {
+    if (!Array.isArray(manual)) {
+      throw createError(400, '手入力の制限箇所は配列で指定してください');
+    }
+    return manual.map((restriction, i) => {
+      const { startKm, endKm, direction } = restriction;
+      if (!Number.isFinite(startKm) || !Number.isFinite(endKm) || startKm >= endKm) {
+        throw createError(400, `手入力の制限箇所 ${i + 1}: startKm < endKm（m）で指定してください`);
+      }
+      if (!DIRECTIONS.includes(direction)) {
+        throw createError(400, `手入力の制限箇所 ${i + 1}: 未対応の方向 ${direction}`);
+      }
+      return {
+        ...restriction,
+        id: restriction.id || `manual-${i + 1}`,
+        restrictionAmount: restriction.isFixed ? 0 : (restriction.restrictionAmount || 0),
+        isFixed: !!restriction.isFixed,
+        source: 'manual'
+      };
+    });
+  }
+
+  /**
+   * 制限の方向が覆う側（both は左右の両側）
+   */
+  sides(direction) {
+    return direction === 'both' ? ['left', 'right'] : [direction];
+  }
+
+  /**
+   * 側の組から制限の方向
+   */
+  directionOf(sides) {
+    return sides.length === 2 ? 'both' : sides[0];
+  }
+
+  /**
+   * 要素種別・方向ごとの件数
+   */
+  summarize(restrictions, conflicts = []) {
+    const byElementType = {};
+    const byDirection = {};
+    restrictions.forEach(r => {
+      byDirection[r.direction] = (byDirection[r.direction] || 0) + 1;
+      (r.elementTypes || []).forEach(type => {
+        byElementType[type] = (byElementType[type] || 0) + 1;
+      });
+    });
+
+    return {
+      total: restrictions.length,
+      auto: restrictions.filter(r => r.source === 'auto').length,
+      manual: restrictions.filter(r => r.source === 'manual').length,
+      fixed: restrictions.filter(r => r.isFixed).length,
+      byDirection,
+      byElementType,
+      conflictCount: conflicts.length
+    };
+  }
+}
+
+module.exports = RestrictionRuleEngine;
+module.exports.DEFAULT_RULES = DEFAULT_RULES;
+module.exports.DIRECTIONS = DIRECTIONS;
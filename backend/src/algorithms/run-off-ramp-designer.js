@@ -0,0 +1,269 @@
+/**
+ * 仮すりつけ設計
+ * Temporary run-off ramp designer
+ *
+ * 作業を途中で打ち切る位置（打切り点）の移動量を、次列車の徐行速度に応じた許容勾配で0へすりつける。
+ * - 徐行速度 → 許容すりつけ勾配（‰）
+ * - すりつけ形状（BoundaryConnection の接続タイプ）ごとの最大勾配から最小すりつけ長を算出
+ * - 指定されたすりつけ長・形状が許容勾配を超える箇所を違反として返す
+ *   （最小すりつけ長より短い指定は拒否せず、type: 'length' の違反として返す）
+ */
+
+const BoundaryConnection = require('./boundary-connection');
+const { createError } = require('../utils/common');
+
+/**
+ * 徐行速度ごとの許容すりつけ勾配（‰ = mm/m）
+ * maxSpeed 以下の速度に適用する
+ */
+const DEFAULT_GRADIENT_TABLE = [
+  { maxSpeed: 25, gradient: 5.0 },
+  { maxSpeed: 45, gradient: 3.3 },
+  { maxSpeed: 65, gradient: 2.5 },
+  { maxSpeed: 85, gradient: 2.0 },
+  { maxSpeed: 100, gradient: 1.6 },
+  { maxSpeed: 130, gradient: 1.2 },
+  { maxSpeed: Infinity, gradient: 1.0 }
+];
+
+/**
+ * 接続タイプごとの 最大勾配 / 平均勾配
+ */
+const PEAK_FACTORS = {
+  linear: 1,
+  quadratic: 2,
+  cubic: 1.5,
+  cosine: Math.PI / 2,
+  exponential: 2.5
+};
+
+class RunOffRampDesigner {
+  constructor(options = {}) {
+    this.gradientTable = options.gradientTable || DEFAULT_GRADIENT_TABLE;
+    this.rampType = options.rampType || 'cubic';   // すりつけ形状
+    this.minLength = options.minLength || 10;      // 最小すりつけ長 (m)
+    this.lengthStep = options.lengthStep || 1;     // すりつけ長の丸め単位 (m)
+    this.interval = options.interval || 0.5;       // 形状の出力間隔 (m)
+    this.connection = new BoundaryConnection({ verbose: false });
+  }
+
+  /**
+   * 徐行速度に対する許容すりつけ勾配
+   * @param {number} speedRestriction - 次列車の徐行速度 (km/h)
+   * @returns {number} 許容勾配 (‰)
+   */
+  getAllowedGradient(speedRestriction) {
+    if (!(speedRestriction > 0)) {
+      throw createError(400, `徐行速度が不正です: ${speedRestriction}`);
+    }
+
+    const entry = this.gradientTable.find(row => speedRestriction <= row.maxSpeed);
+    return (entry || this.gradientTable[this.gradientTable.length - 1]).gradient;
+  }
+
+  /**
+   * 接続タイプの 最大勾配 / 平均勾配
+   */
+  getPeakFactor(rampType) {
+    if (PEAK_FACTORS[rampType] === undefined) {
+      throw createError(400, `未対応のすりつけ形状: ${rampType}`);
+    }
+    return PEAK_FACTORS[rampType];
+  }
+
+  /**
+   * 最小すりつけ長
+   * @param {number} movement - 打切り点の移動量 (mm)
+   * @param {number} speedRestriction - 徐行速度 (km/h)
+   * @param {string} [rampType] - すりつけ形状
+   * @returns {number} すりつけ長 (m)
+   */
+  calculateMinimumLength(movement, speedRestriction, rampType = this.rampType) {
+    const allowed = this.getAllowedGradient(speedRestriction);
+    const length = Math.abs(movement) * this.getPeakFactor(rampType) / allowed;
+    const rounded = Math.ceil(length / this.lengthStep - 1e-9) * this.lengthStep;
+    return Math.max(this.minLength, rounded);
+  }
+
+  /**
+   * 打切り点からの仮すりつけを設計
+   * @param {Object} stopPoint - 打切り点 {position (m), lift (mm), lining (mm)}
+   * @param {Object} options - 設計条件
+   * @param {number} options.speedRestriction - 次列車の徐行速度 (km/h)
+   * @param {string} [options.workDirection='forward'] - 作業方向（すりつけは作業方向の前方に設ける）
+   * @param {string} [options.rampType] - すりつけ形状
+   * @param {number} [options.rampLength] - すりつけ長の指定 (m, 0以上)。省略時は最小すりつけ長
+   * @returns {Object} すりつけ設計
+   */
+  design(stopPoint, options = {}) {
+    if (!stopPoint || !Number.isFinite(stopPoint.position)) {
+      throw createError(400, '打切り点の位置（stopPoint.position）が指定されていません');
+    }
+
+    const rampType = options.rampType || this.rampType;
+    const speedRestriction = options.speedRestriction;
+    const sign = options.workDirection === 'backward' ? -1 : 1;
+    const lift = stopPoint.lift || 0;
+    const lining = stopPoint.lining || 0;
+
+    const allowedGradient = this.getAllowedGradient(speedRestriction);
+    const requiredLength = this.calculateMinimumLength(
+      Math.max(Math.abs(lift), Math.abs(lining)),
+      speedRestriction,
+      rampType
+    );
+    const length = this.resolveLength(options.rampLength, requiredLength);
+
+    const ramp = {
+      stopPosition: stopPoint.position,
+      start: Math.min(stopPoint.position, stopPoint.position + sign * length),
+      end: Math.max(stopPoint.position, stopPoint.position + sign * length),
+      length,
+      requiredLength,
+      rampType,
+      speedRestriction,
+      allowedGradient,
+      lift,
+      lining
+    };
+
+    ramp.profile = this.buildProfile(ramp);
+    ramp.maxGradient = {
+      lateral: this.maxGradient(ramp.profile, 'lateral'),
+      vertical: this.maxGradient(ramp.profile, 'vertical')
+    };
+    ramp.violations = this.checkRamp(ramp.profile, speedRestriction);
+    if (length < requiredLength) {
+      ramp.violations.unshift({
+        type: 'length',
+        position: stopPoint.position,
+        message: `すりつけ長 ${length}m が最小すりつけ長 ${requiredLength}m より短い`
+      });
+    }
+    ramp.valid = ramp.violations.length === 0;
+
+    return ramp;
+  }
+
+  /**
+   * すりつけ長の指定を検証（省略時は最小すりつけ長）
+   * @param {number} [rampLength] - すりつけ長の指定 (m)
+   * @param {number} requiredLength - 最小すりつけ長 (m)
+   * @returns {number} すりつけ長 (m)
+   */
+  resolveLength(rampLength, requiredLength) {
+    if (rampLength === undefined || rampLength === null) {
+      return requiredLength;
+    }
+    if (typeof rampLength !== 'number' || !Number.isFinite(rampLength) || rampLength < 0) {
+      throw createError(400, `すりつけ長が不正です: ${rampLength}`);
+    }
+    return rampLength;
+  }
+
+  /**
+   * すりつけ形状（打切り点で移動量そのまま、すりつけ終点で0）
+   * すりつけ長 0 の場合は打切り点の1点のみ
+   * @returns {Array<{position: number, lateral: number, vertical: number}>} 位置順 (mm)
+   */
+  buildProfile(ramp) {
+    const count = ramp.length > 0 ? Math.max(1, Math.round(ramp.length / this.interval)) : 0;
+    const profile = [];
+
+    for (let k = 0; k <= count; k++) {
+      const position = count > 0 ? ramp.start + (ramp.length * k) / count : ramp.stopPosition;
+      const factor = this.getFactor(ramp, position);
+      profile.push({
+        position,
+        lateral: ramp.lining * factor,
+        vertical: ramp.lift * factor
+      });
+    }
+
+    return profile;
+  }
+
+  /**
+   * 位置におけるすりつけ係数（打切り点 1 → 終点 0）
+   */
+  getFactor(ramp, position) {
+    if (ramp.length === 0) return 1;
+    const relative = 1 - Math.abs(position - ramp.stopPosition) / ramp.length;
+    return this.connection.getConnectionFactor(relative, ramp.rampType);
+  }
+
+  /**
+   * すりつけ形状の勾配が許容値を超える箇所を抽出
+   * @param {Array<{position: number, lateral?: number, vertical?: number}>} profile - 形状 (mm)
+   * @param {number} speedRestriction - 徐行速度 (km/h)
+   * @returns {Array} 違反箇所（方向ごとに連続区間をまとめる）
+   */
+  checkRamp(profile, speedRestriction) {
+    const allowed = this.getAllowedGradient(speedRestriction);
+    const violations = [];
+
+    for (const direction of ['vertical', 'lateral']) {
+      let current = null;
+
+      for (let i = 1; i < profile.length; i++) {
+        const dx = profile[i].position - profile[i - 1].position;
+        if (dx <= 0) continue;
+
+        const gradient = Math.abs((profile[i][direction] || 0) - (profile[i - 1][direction] || 0)) / dx;
+        if (gradient > allowed + 1e-9) {
+          if (!current) {
+            current = { type: 'gradient', direction, start: profile[i - 1].position, maxGradient: 0, allowedGradient: allowed };
+            violations.push(current);
+          }
+          current.end = profile[i].position;
+          current.maxGradient = Math.max(current.maxGradient, Math.round(gradient * 1000) / 1000);
+        } else {
+          current = null;
+        }
+      }
+    }
+
+    for (const violation of violations) {
+      violation.message =
+        `${violation.direction === 'vertical' ? '高低' : '通り'}のすりつけ勾配 ${violation.maxGradient}‰ が許容値 ${violation.allowedGradient}‰ を超過（${violation.start}m - ${violation.end}m）`;
+    }
+    return violations;
+  }
+
+  /**
+   * 移動量データのすりつけ区間を設計形状で置き換える
+   * @param {Array<{position: number, lateral: number, vertical: number}>} movements - 移動量 (mm)
+   * @param {Object} ramp - design() の結果
+   * @returns {Array} すりつけ区間に ramp: true を付けた移動量
+   */
+  applyToMovements(movements, ramp) {
+    return movements.map(point => {
+      if (point.position < ramp.start || point.position > ramp.end) {
+        return { ...point };
+      }
+      const factor = this.getFactor(ramp, point.position);
+      return {
+        ...point,
+        lateral: ramp.lining * factor,
+        vertical: ramp.lift * factor,
+        ramp: true
+      };
+    });
+  }
+
+  /**
+   * 最大勾配 (‰)
+   */
+  maxGradient(profile, direction) {
+    let max = 0;
+    for (let i = 1; i < profile.length; i++) {
+      const dx = profile[i].position - profile[i - 1].position;
+      if (dx <= 0) continue;
+      max = Math.max(max, Math.abs(profile[i][direction] - profile[i - 1][direction]) / dx);
+    }
+    return Math.round(max * 1000) / 1000;
+  }
+}
+
+module.exports = RunOffRampDesigner;
+module.exports.DEFAULT_GRADIENT_TABLE = DEFAULT_GRADIENT_TABLE;
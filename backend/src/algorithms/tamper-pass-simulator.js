@@ -0,0 +1,446 @@
+/**
+ * MTT作業通過シミュレーション
+ * Tamper machine-pass simulator (3-point B/C/D chord)
+ *
+ * MTTが作業方向に進みながら各点をつき固める過程を再現し、整備後の軌道形状を予測する。
+ * - B点（後方）: 整備済みの軌道上
+ * - C点（つき固め位置）: B点とD点を結ぶ弦上 + C点補正値 の位置まで移動
+ * - D点（前方）: 未整備の軌道上 + D点誘導量
+ * B点に残った誤差は CD間 / BD間 の割合でC点に伝播する。
+ * こう上は上方向のみ・MTT能力で頭打ちとし、頭打ちした箇所を記録する。
+ *
+ * 指令値は次のいずれかで与える（単位 mm）
+ * - movements: [{position, lateral, vertical}] 各点の移動量（ALS相当、MTT内部で弦の補正を行う）
+ * - alsContent: ALS移動量データファイル（キロ程・横移動・縦移動）
+ * - mjContent: MJデータファイル（D点誘導量・C点補正値・D点こう上量）
+ */
+
+const QualityAnalyzer = require('../analyzers/quality-analyzer');
+const mttRegistry = require('../config/mtt-registry');
+const { createError, round, interpolate, findInterval } = require('../utils/common');
+
+const DIRECTIONS = ['lateral', 'vertical'];
+
+class TamperPassSimulator {
+  constructor(options = {}) {
+    this.versineChord = options.versineChord || 10;         // 予測正矢の弦長 (m)
+    this.liftOnly = options.liftOnly ?? true;               // こう上のみ（こう下げ不可）
+    this.clampTolerance = options.clampTolerance || 1e-6;   // 頭打ち判定の閾値 (mm)
+    this.qualityAnalyzer = new QualityAnalyzer({ chordLength: this.versineChord });
+  }
+
+  /**
+   * 1回の作業通過をシミュレーション
+   * @param {Object} beforeWaveform - 整備前の軌道狂い {lateral: [{position, value}], vertical: [...]} (mm)
+   * @param {Object} commands - 指令値 {movements} / {alsContent} / {mjContent}
+   * @param {Object} options - シミュレーション条件
+   * @param {string} [options.mttType='08-475'] - MTT機種
+   * @param {string} [options.workDirection='forward'] - 作業方向（forward: キロ程増加方向）
+   * @param {number} [options.startPosition] - シミュレーション開始位置 (m)
+   * @param {number} [options.endPosition] - シミュレーション終了位置 (m)
+   * @returns {Object} 予測結果
+   */
+  simulate(beforeWaveform, commands = {}, options = {}) {
+    const mttType = options.mttType || '08-475';
+    const workDirection = options.workDirection || 'forward';
+    if (workDirection !== 'forward' && workDirection !== 'backward') {
+      throw createError(400, `不正な作業方向: ${workDirection}`);
+    }
+
+    const profile = mttRegistry.requireProfile(mttType);
+    const tracks = this.normalizeWaveform(beforeWaveform);
+    const commandSet = this.parseCommands(commands, profile, workDirection);
+
+    const results = {};
+    for (const direction of DIRECTIONS) {
+      if (!tracks[direction]) continue;
+
+      results[direction] = this.simulateDirection(
+        tracks[direction],
+        commandSet,
+        direction,
+        profile,
+        { workDirection, startPosition: options.startPosition, endPosition: options.endPosition }
+      );
+    }
+
+    return {
+      mttType,
+      workDirection,
+      commandSource: commandSet.source,
+      chords: {
+        leveling: { ...profile.leveling },
+        lining: { ...profile.lining }
+      },
+      capacity: {
+        lift: profile.liftCapacity,
+        lining: profile.liningCapacity
+      },
+      lateral: results.lateral || null,
+      vertical: results.vertical || null,
+      quality: this.evaluateQuality(results)
+    };
+  }
+
+  /**
+   * 複数の機種・作業方向を比較
+   * @param {Object} beforeWaveform - 整備前の軌道狂い
+   * @param {Object} commands - 指令値
+   * @param {Array<{mttType: string, workDirection: string}>} scenarios - 比較する条件
+   * @param {Object} options - 共通のシミュレーション条件
+   * @returns {Object} 条件ごとの要約と整備後σの小さい順の順位
+   */
+  compare(beforeWaveform, commands, scenarios, options = {}) {
+    if (!Array.isArray(scenarios) || scenarios.length === 0) {
+      throw createError(400, '比較条件（scenarios）が指定されていません');
+    }
+
+    const results = scenarios.map(scenario => {
+      const result = this.simulate(beforeWaveform, commands, { ...options, ...scenario });
+      return {
+        mttType: result.mttType,
+        workDirection: result.workDirection,
+        quality: result.quality,
+        residual: {
+          lateral: result.lateral?.statistics.residual || null,
+          vertical: result.vertical?.statistics.residual || null
+        },
+        clampedCount: {
+          lateral: result.lateral?.clamped.length || 0,
+          vertical: result.vertical?.clamped.length || 0
+        }
+      };
+    });
+
+    const score = result => {
+      const after = result.quality.sigmaAfter;
+      return (after.lateral || 0) + (after.vertical || 0);
+    };
+    const ranking = results
+      .map((result, index) => ({ index, score: score(result) }))
+      .sort((a, b) => a.score - b.score)
+      .map(({ index, score: sigmaSum }, rank) => ({
+        rank: rank + 1,
+        mttType: results[index].mttType,
+        workDirection: results[index].workDirection,
+        sigmaSum: Math.round(sigmaSum * 1000) / 1000
+      }));
+
+    return { scenarios: results, ranking };
+  }
+
+  /**
+   * 1方向（通り / 高低）の作業通過
+   */
+  simulateDirection(track, commandSet, direction, profile, range) {
+    const chord = direction === 'vertical' ? profile.leveling : profile.lining;
+    const capacity = direction === 'vertical' ? profile.liftCapacity : profile.liningCapacity;
+    const lowerLimit = direction === 'vertical' && this.liftOnly ? 0 : -capacity;
+    const upperLimit = capacity;
+
+    const { positions, values: before } = track;
+    const n = positions.length;
+    const sign = range.workDirection === 'forward' ? 1 : -1;
+    const startPosition = range.startPosition ?? -Infinity;
+    const endPosition = range.endPosition ?? Infinity;
+
+    const state = Float64Array.from(before);     // 現在の軌道形状（作業に伴い更新）
+    const target = new Float64Array(n);          // 指令どおりに整備した場合の形状
+    const commanded = new Float64Array(n);
+    const applied = new Float64Array(n);
+    const clamped = [];
+
+    for (let i = 0; i < n; i++) {
+      commanded[i] = this.commandedMovement(commandSet, direction, positions[i]);
+      target[i] = before[i] + commanded[i];
+    }
+    const targetAt = position =>
+      interpolate(positions, before, position) + this.commandedMovement(commandSet, direction, position);
+
+    const span = chord.bcLength + chord.cdLength;
+    const order = positions.map((_, i) => i);
+    if (sign < 0) order.reverse();
+
+    for (const i of order) {
+      const xC = positions[i];
+      if (xC < startPosition || xC > endPosition) continue;
+
+      const xB = xC - sign * chord.bcLength;
+      const xD = xC + sign * chord.cdLength;
+      const bValue = interpolate(positions, state, xB);
+      const dState = interpolate(positions, state, xD);
+
+      let dReference;
+      let cCorrection;
+      if (commandSet.source === 'mj') {
+        const line = this.interpolateMJ(commandSet, xC);
+        dReference = dState + (direction === 'vertical' ? line.dUplift : line.dGuidance);
+        cCorrection = direction === 'vertical' ? 0 : line.cCorrection;
+      } else {
+        // ALS相当: D点は指令後の位置へ誘導し、C点補正値は指令後形状の偏心矢
+        const targetB = targetAt(xB);
+        const targetD = targetAt(xD);
+        dReference = dState + this.commandedMovement(commandSet, direction, xD);
+        cCorrection = target[i] - (chord.cdLength * targetB + chord.bcLength * targetD) / span;
+      }
+
+      const chordValue = (chord.cdLength * bValue + chord.bcLength * dReference) / span;
+      const requested = chordValue + cCorrection - state[i];
+      const movement = Math.min(upperLimit, Math.max(lowerLimit, requested));
+
+      if (Math.abs(movement - requested) > this.clampTolerance) {
+        clamped.push({
+          position: xC,
+          requested: round(requested),
+          applied: round(movement),
+          limit: movement >= upperLimit ? 'upper' : 'lower'
+        });
+      }
+
+      applied[i] = movement;
+      state[i] += movement;
+    }
+
+    const after = Array.from(state);
+    const versineBefore = this.calculateVersine(positions, before);
+    const versineAfter = this.calculateVersine(positions, after);
+    const residual = after.map((value, i) => value - target[i]);
+
+    return {
+      predictedWaveform: positions.map((position, i) => ({ position, value: after[i] })),
+      versine: {
+        chord: this.versineChord,
+        before: positions.map((position, i) => ({ position, value: versineBefore[i] })),
+        after: positions.map((position, i) => ({ position, value: versineAfter[i] }))
+      },
+      residual: positions.map((position, i) => ({ position, value: residual[i] })),
+      movements: positions.map((position, i) => ({
+        position,
+        commanded: commanded[i],
+        applied: applied[i]
+      })),
+      clamped,
+      statistics: {
+        residual: this.summarize(residual),
+        applied: this.summarize(Array.from(applied))
+      }
+    };
+  }
+
+  /**
+   * 整備前後の正矢から σ値・良化率を算出（QualityAnalyzer）
+   */
+  evaluateQuality(results) {
+    const beforeData = {};
+    const afterData = {};
+
+    // 片方向のみの場合は、区間別分析の長さを揃えるため他方を0で埋める
+    const length = (results.lateral || results.vertical).versine.before.length;
+    for (const direction of DIRECTIONS) {
+      if (!results[direction]) {
+        beforeData[direction] = new Array(length).fill(0);
+        afterData[direction] = new Array(length).fill(0);
+        continue;
+      }
+      beforeData[direction] = results[direction].versine.before.map(point => point.value);
+      afterData[direction] = results[direction].versine.after.map(point => point.value);
+    }
+
+    const overall = this.qualityAnalyzer.calculateOverallQuality(beforeData, afterData);
+
+    return {
+      sigmaBefore: overall.before,
+      sigmaAfter: overall.after,
+      improvementRate: overall.improvementRate,
+      evaluation: overall.evaluation,
+      bySection: this.qualityAnalyzer.analyzeBySections(beforeData, afterData)
+    };
+  }
+
+  /**
+   * 整備前波形を方向ごとに {positions, values} に揃える
+   */
+  normalizeWaveform(beforeWaveform) {
+    if (!beforeWaveform || typeof beforeWaveform !== 'object') {
+      throw createError(400, '整備前波形（beforeWaveform）が指定されていません');
+    }
+
+    const tracks = {};
+    for (const direction of DIRECTIONS) {
+      const data = beforeWaveform[direction];
+      if (!Array.isArray(data) || data.length === 0) continue;
+      if (data.length < 3) {
+        throw createError(400, `${direction} の波形データが不足しています（3点以上必要）`);
+      }
+
+      const points = data
+        .map(point => ({ position: point.position ?? point.distance, value: point.value }))
+        .sort((a, b) => a.position - b.position);
+      tracks[direction] = {
+        positions: points.map(point => point.position),
+        values: points.map(point => point.value)
+      };
+    }
+
+    if (!tracks.lateral && !tracks.vertical) {
+      throw createError(400, '整備前波形に lateral / vertical のいずれかが必要です');
+    }
+    return tracks;
+  }
+
+  /**
+   * 指令値を解釈
+   * @returns {{source: string, points: Array, positions: number[]}} 位置順に並んだ指令点とその位置（補間用）
+   */
+  parseCommands(commands, profile, workDirection) {
+    const commandSet = (source, points) => ({ source, points, positions: points.map(point => point.position) });
+
+    if (Array.isArray(commands.movements) && commands.movements.length > 0) {
+      return commandSet('movements', commands.movements
+        .map(m => ({
+          position: m.position ?? m.distance,
+          lateral: m.lateral || 0,
+          vertical: m.vertical || 0
+        }))
+        .sort((a, b) => a.position - b.position));
+    }
+
+    if (typeof commands.alsContent === 'string') {
+      return commandSet('als', this.parseALS(commands.alsContent));
+    }
+
+    if (typeof commands.mjContent === 'string') {
+      return commandSet('mj', this.parseMJ(commands.mjContent, profile, workDirection));
+    }
+
+    throw createError(400, '指令値（movements / alsContent / mjContent）が指定されていません');
+  }
+
+  /**
+   * ALS移動量データを解釈
+   * 各行: キロ程(km) 横移動(mm) 縦移動(mm) [BK（分岐器区間）]
+   */
+  parseALS(content) {
+    const points = [];
+    for (const line of content.split(/\r?\n/)) {
+      const fields = line.trim().split(/\s+/).slice(0, 3).map(Number);
+      if (fields.length < 3 || fields.some(Number.isNaN)) continue;
+
+      points.push({ position: fields[0] * 1000, lateral: fields[1], vertical: fields[2] });
+    }
+
+    if (points.length === 0) {
+      throw createError(400, 'ALSデータに有効な行がありません');
+    }
+    return points.sort((a, b) => a.position - b.position);
+  }
+
+  /**
+   * MJデータを解釈
+   * 1行目: 予圧方向,カント方向,ファイル種別
+   * 各行: キロ程(km),D点誘導量,C点補正値,D点こう上量,ダミー,カント,ダミー (mm)
+   * 09-16在 はD点のキロ程基準のため、C点の位置に換算する
+   */
+  parseMJ(content, profile, workDirection) {
+    const lines = content.split(/\r?\n/).filter(line => line.trim() !== '');
+    const dBased = profile.id === '09-16在';
+    const sign = workDirection === 'forward' ? 1 : -1;
+
+    const points = [];
+    for (const line of lines.slice(1)) {
+      const fields = line.split(',').map(field => Number(field.trim()));
+      if (fields.length < 4 || fields.slice(0, 4).some(Number.isNaN)) continue;
+
+      const position = fields[0] * 1000;
+      points.push({
+        position: dBased ? position - sign * profile.lining.cdLength : position,
+        dGuidance: fields[1],
+        cCorrection: fields[2],
+        dUplift: fields[3]
+      });
+    }
+
+    if (points.length === 0) {
+      throw createError(400, 'MJデータに有効な行がありません');
+    }
+    return points.sort((a, b) => a.position - b.position);
+  }
+
+  /**
+   * 指令移動量（指令点間は直線補間、指令範囲外は0）
+   * MJではD点誘導量・D点こう上量をその位置の指令移動量とみなす
+   */
+  commandedMovement(commandSet, direction, position) {
+    if (commandSet.source === 'mj') {
+      return direction === 'vertical'
+        ? this.interpolateMJ(commandSet, position).dUplift
+        : this.interpolateMJ(commandSet, position).dGuidance;
+    }
+    return this.interpolateCommand(commandSet, position, [direction])[direction];
+  }
+
+  /**
+   * MJの指令行を位置で補間
+   */
+  interpolateMJ(commandSet, position) {
+    return this.interpolateCommand(commandSet, position, ['dGuidance', 'cCorrection', 'dUplift']);
+  }
+
+  /**
+   * 指令点の直線補間（範囲外は0）
+   * 区間の探索は parseCommands で求めた positions に対して1回だけ行う
+   * @returns {Object} keys ごとの補間値
+   */
+  interpolateCommand(commandSet, position, keys) {
+    const { points, positions } = commandSet;
+    const n = points.length;
+    const result = {};
+    if (position < positions[0] || position > positions[n - 1]) {
+      keys.forEach(key => { result[key] = 0; });
+      return result;
+    }
+
+    const j = findInterval(positions, position);
+    const p0 = points[j];
+    const p1 = points[Math.min(j + 1, n - 1)];
+    const t = p1.position === p0.position ? 0 : (position - p0.position) / (p1.position - p0.position);
+    keys.forEach(key => { result[key] = p0[key] + (p1[key] - p0[key]) * t; });
+    return result;
+  }
+
+  /**
+   * 正矢を計算（中央点基準、弦の両端は補間値）
+   */
+  calculateVersine(positions, values) {
+    const half = this.versineChord / 2;
+    return positions.map((position, i) =>
+      values[i] - (interpolate(positions, values, position - half) +
+        interpolate(positions, values, position + half)) / 2
+    );
+  }
+
+  /**
+   * 統計量
+   */
+  summarize(values) {
+    const n = values.length;
+    const mean = values.reduce((sum, v) => sum + v, 0) / n;
+    let max = -Infinity;
+    let min = Infinity;
+    let maxAbs = 0;
+    for (const value of values) {
+      if (value > max) max = value;
+      if (value < min) min = value;
+      if (Math.abs(value) > maxAbs) maxAbs = Math.abs(value);
+    }
+    return {
+      max: round(max),
+      min: round(min),
+      maxAbs: round(maxAbs),
+      rms: round(Math.sqrt(values.reduce((sum, v) => sum + v * v, 0) / n)),
+      mean: round(mean)
+    };
+  }
+}
+
+module.exports = TamperPassSimulator;
@@ -0,0 +1,231 @@
+/**
+ * 分岐器区間マスク
+ * Turnout-aware masking for restoration and plan-line calculation
+ *
+ * 分岐器（BK）区間の通り・軌間はポイント・クロッシングの線形に支配されるため、
+ * 復元波形・計画線の計算では次のように扱う。
+ * - 分岐器区間の測定値は前後の波形から補間した値（端の勾配に接する滑らかな線）に置き換えて逆フィルタにかける
+ * - σ などの統計から分岐器区間の点を除く
+ * - 計画線は分岐器区間で復元波形に一致させ（移動量 0）、前後の接続区間で滑らかにすり付ける
+ */
+
+const { createError } = require('../utils/common');
+
+class TurnoutMask {
+  /**
+   * @param {Array<{start: number, end: number, label?: string, turnoutNumber?: string}>} segments - 分岐器区間（測定データの distance と同じ単位 m）
+   * @param {Object} options - オプション
+   * @param {number} [options.margin=0] - 分岐器区間の前後に加える余裕 (m)
+   * @param {number} [options.transitionLength=10] - 計画線のすり付け長 (m)
+   * @param {number} [options.slopeLength=1] - 補間端の勾配を求める長さ (m)
+   * @param {number} [options.decayLength=2] - 補間端の勾配の影響が減衰する長さ (m)
+   */
+  constructor(segments = [], options = {}) {
+    this.margin = options.margin ?? 0;
+    this.transitionLength = options.transitionLength ?? 10;
+    this.slopeLength = options.slopeLength ?? 1;
+    this.decayLength = options.decayLength ?? 2;
+
+    if (!Array.isArray(segments)) {
+      throw createError(400, '分岐器区間は配列で指定してください');
+    }
+    if (!(this.margin >= 0) || !(this.transitionLength >= 0)) {
+      throw createError(400, 'margin / transitionLength は 0 以上で指定してください');
+    }
+
+    this.segments = segments
+      .map((segment, i) => {
+        const start = Number(segment.start);
+        const end = Number(segment.end);
+        if (!Number.isFinite(start) || !Number.isFinite(end) || start >= end) {
+          throw createError(400, `分岐器区間 ${i + 1} の start / end が不正です（start < end）`);
+        }
+        return {
+          start: start - this.margin,
+          end: end + this.margin,
+          label: segment.label || (segment.turnoutNumber ? `分岐器 ${segment.turnoutNumber}` : '分岐器'),
+          turnoutNumber: segment.turnoutNumber || ''
+        };
+      })
+      .sort((a, b) => a.start - b.start);
+  }
+
+  /**
+   * 軌道環境データの分岐器（BK、キロ程は km）から作成
+   * @param {Array} turnouts - parseTurnoutData 形式の分岐器データ
+   * @param {Object} options - TurnoutMask のオプション + startKP（測定位置 0m のキロ程 km）
+   * @returns {TurnoutMask}
+   */
+  static fromTurnouts(turnouts = [], options = {}) {
+    const startKP = options.startKP ?? 0;
+    const segments = turnouts
+      .filter(turnout => Number.isFinite(turnout.from) && Number.isFinite(turnout.to) && turnout.from !== turnout.to)
+      .map(turnout => ({
+        start: Math.round((Math.min(turnout.from, turnout.to) - startKP) * 1e6) / 1000,
+        end: Math.round((Math.max(turnout.from, turnout.to) - startKP) * 1e6) / 1000,
+        turnoutNumber: turnout.turnoutNumber || '',
+        label: turnout.turnoutNumber ? `分岐器 ${turnout.turnoutNumber}` : '分岐器'
+      }));
+    return new TurnoutMask(segments, options);
+  }
+
+  /**
+   * 位置を含む分岐器区間（なければ null）
+   * @param {number} distance - 位置 (m)
+   */
+  segmentAt(distance) {
+    return this.segments.find(segment => distance >= segment.start && distance <= segment.end) || null;
+  }
+
+  /**
+   * 各点が分岐器区間内かどうか
+   * @param {Array<{distance: number}>} data - 測定データ
+   * @returns {boolean[]}
+   */
+  flag(data) {
+    return data.map(point => this.segmentAt(point.distance) !== null);
+  }
+
+  /**
+   * 分岐器区間の値を前後の波形から補間した値に置き換える
+   * 片側にしかデータがなければその端の値で保持する
+   * @param {Array<{distance: number, value: number}>} data - 測定データ
+   * @param {boolean[]} flags - flag() の結果
+   * @returns {Array<{distance: number, value: number, turnout?: boolean}>} 補間済みデータ
+   */
+  bridge(data, flags) {
+    const result = data.map(point => ({ ...point }));
+
+    for (const { first, last } of this.runs(flags)) {
+      const before = first - 1;
+      const after = last + 1;
+      const hasBefore = before >= 0;
+      const hasAfter = after < data.length;
+
+      for (let i = first; i <= last; i++) {
+        let value = 0;
+        if (hasBefore && hasAfter) {
+          value = this.interpolate(data, before, after, data[i].distance);
+        } else if (hasBefore) {
+          value = data[before].value;
+        } else if (hasAfter) {
+          value = data[after].value;
+        }
+        result[i] = {
+          ...result[i],
+          value: parseFloat(value.toFixed(3)),
+          turnout: true
+        };
+      }
+    }
+
+    return result;
+  }
+
+  /**
+   * 計画線を分岐器区間で復元波形に一致させ（移動量 0）、前後 transitionLength でコサイン状にすり付ける
+   * @param {Array<{distance: number, value: number}>} planLine - 計画線
+   * @param {Array<{distance: number, value: number}>} restoredWaveform - 復元波形
+   * @param {boolean[]} flags - flag() の結果
+   * @returns {Array<{distance: number, value: number, turnout?: boolean}>} 調整後の計画線
+   */
+  holdPlanLine(planLine, restoredWaveform, flags) {
+    // 各点の最寄りの分岐器区間端までの距離（区間内は 0）
+    const gaps = planLine.map((point, i) => (flags[i] ? 0 : Infinity));
+    for (const { first, last } of this.runs(flags)) {
+      for (let i = first - 1; i >= 0 && !flags[i]; i--) {
+        const gap = planLine[first].distance - planLine[i].distance;
+        if (gap > this.transitionLength) break;
+        gaps[i] = Math.min(gaps[i], gap);
+      }
+      for (let i = last + 1; i < planLine.length && !flags[i]; i++) {
+        const gap = planLine[i].distance - planLine[last].distance;
+        if (gap > this.transitionLength) break;
+        gaps[i] = Math.min(gaps[i], gap);
+      }
+    }
+
+    return planLine.map((point, i) => {
+      if (flags[i]) {
+        return { ...point, value: restoredWaveform[i].value, turnout: true };
+      }
+      if (!Number.isFinite(gaps[i]) || this.transitionLength === 0) {
+        return point;
+      }
+      const weight = 0.5 * (1 + Math.cos(Math.PI * gaps[i] / this.transitionLength));
+      const value = point.value + weight * (restoredWaveform[i].value - point.value);
+      return { ...point, value: parseFloat(value.toFixed(3)) };
+    });
+  }
+
+  /**
+   * 分岐器区間外の点だけを残す（統計用）
+   */
+  exclude(data, flags) {
+    return data.filter((point, i) => !flags[i]);
+  }
+
+  /**
+   * 測定範囲にかかる分岐器区間と点数
+   * @returns {Array<{start, end, label, turnoutNumber, pointCount}>}
+   */
+  describe(data, flags) {
+    return this.segments
+      .map(segment => ({
+        ...segment,
+        pointCount: data.filter((point, i) => flags[i] && point.distance >= segment.start && point.distance <= segment.end).length
+      }))
+      .filter(segment => segment.pointCount > 0);
+  }
+
+  /**
+   * 連続する分岐器区間内の点の範囲
+   * @returns {Array<{first: number, last: number}>}
+   */
+  runs(flags) {
+    const runs = [];
+    let first = -1;
+    flags.forEach((masked, i) => {
+      if (masked && first < 0) first = i;
+      if (!masked && first >= 0) {
+        runs.push({ first, last: i - 1 });
+        first = -1;
+      }
+    });
+    if (first >= 0) runs.push({ first, last: flags.length - 1 });
+    return runs;
+  }
+
+  /**
+   * 区間両端を結ぶ直線に、端の勾配との差を decayLength で減衰させて加える
+   * 端で値・勾配が連続し、長い区間でも3次補間のような膨らみが出ない
+   */
+  interpolate(data, before, after, distance) {
+    const x0 = data[before].distance;
+    const x1 = data[after].distance;
+    const chord = (data[after].value - data[before].value) / (x1 - x0);
+    const m0 = this.slope(data, before, -1);
+    const m1 = this.slope(data, after, 1);
+    const u0 = distance - x0;
+    const u1 = x1 - distance;
+
+    return data[before].value + chord * u0
+      + (m0 - chord) * u0 * Math.exp(-u0 / this.decayLength)
+      - (m1 - chord) * u1 * Math.exp(-u1 / this.decayLength);
+  }
+
+  /**
+   * 区間の外側 slopeLength の範囲で端点の勾配を求める（direction: -1 手前側、1 先側）
+   */
+  slope(data, index, direction) {
+    let j = index;
+    while (j + direction >= 0 && j + direction < data.length &&
+           Math.abs(data[j + direction].distance - data[index].distance) <= this.slopeLength) {
+      j += direction;
+    }
+    if (j === index) return 0;
+    return (data[index].value - data[j].value) / (data[index].distance - data[j].distance);
+  }
+}
+
+module.exports = TurnoutMask;
@@ -0,0 +1,161 @@
+/**
+ * 平面性（ねじれ）計算
+ * Twist (plane) computation over configurable base lengths
+ *
+ * 平面性 = 位置 x の水準 − 位置 x − 基準長 の水準
+ * - 基準長は 2.5m / 5m などの標準値、台車の軸距・台車中心間距離、または任意の長さ (m)
+ * - 緩和曲線ではカント逓減そのものが平面性として現れるため、
+ *   CurveDesignProfile による設計カントの平面性を差し引いて補正する
+ */
+
+const CurveDesignProfile = require('./curve-design-profile');
+const { createError, findInterval } = require('../utils/common');
+
+/**
+ * 名前付きの基準長 (m)
+ */
+const NAMED_BASE_LENGTHS = {
+  '2.5m': 2.5,
+  '5m': 5,
+  '10m': 10,
+  // 台車軸距（代表値）
+  'wheelbase-conventional': 2.1,
+  'wheelbase-shinkansen': 2.5,
+  // 台車中心間距離（代表値）
+  'bogie-center-conventional': 13.8,
+  'bogie-center-shinkansen': 17.5
+};
+
+class TwistCalculator {
+  /**
+   * @param {Object} options - 計算条件
+   * @param {Array<number|string>} [options.baseLengths=['5m']] - 基準長（数値 (m) または NAMED_BASE_LENGTHS のキー）
+   * @param {string} [options.transitionType='linear'] - カント逓減の形状（linear / clothoid / cubic / sine、曲線諸元の transitionType が優先）
+   * @param {number} [options.dataInterval=0.25] - 位置を省略した場合のデータ間隔 (m)
+   */
+  constructor(options = {}) {
+    this.baseLengths = options.baseLengths || ['5m'];
+    this.transitionType = options.transitionType || 'linear';
+    this.dataInterval = options.dataInterval || 0.25;
+  }
+
+  /**
+   * 基準長を解決
+   * @param {number|string} base - 基準長
+   * @returns {{label: string, length: number}}
+   */
+  resolveBaseLength(base) {
+    if (Number.isFinite(base) && base > 0) {
+      return { label: `${base}m`, length: base };
+    }
+    if (NAMED_BASE_LENGTHS[base] !== undefined) {
+      return { label: base, length: NAMED_BASE_LENGTHS[base] };
+    }
+    const numeric = parseFloat(base);
+    if (typeof base === 'string' && /^\d+(\.\d+)?m?$/.test(base) && numeric > 0) {
+      return { label: `${numeric}m`, length: numeric };
+    }
+    throw createError(400, `未対応の平面性基準長: ${base}`);
+  }
+
+  /**
+   * 水準から平面性を計算
+   * @param {Array<number|null>} crossLevel - 水準 (mm)
+   * @param {Object} [options] - 計算条件
+   * @param {number[]} [options.positions] - 位置 (m)。省略時は dataInterval 間隔
+   * @param {Array} [options.curveSpecs] - 曲線諸元（CurveSpecParser 形式、キロ程は km）。指定時は設計カントで補正
+   * @param {Array<number|string>} [options.baseLengths] - 基準長（省略時はコンストラクタの値）
+   * @returns {Object} {positions, designCant, bases: [{label, length, twist, designTwist, statistics}]}
+   */
+  calculate(crossLevel, options = {}) {
+    if (!Array.isArray(crossLevel) || crossLevel.length === 0) {
+      throw createError(400, '水準データがありません');
+    }
+
+    const positions = options.positions || crossLevel.map((_, i) => i * this.dataInterval);
+    const values = crossLevel.map(value => (Number.isFinite(value) ? value : null));
+    const designCant = options.curveSpecs && options.curveSpecs.length > 0
+      ? CurveDesignProfile.calculate(positions, options.curveSpecs, { transitionType: this.transitionType })
+        .map(point => point.cant)
+      : null;
+
+    const bases = (options.baseLengths || this.baseLengths).map(base => {
+      const { label, length } = this.resolveBaseLength(base);
+      const raw = this.difference(positions, values, length);
+      const designTwist = designCant ? this.difference(positions, designCant, length) : null;
+      const twist = raw.map((value, i) =>
+        value === null || !designTwist ? value : value - (designTwist[i] ?? 0)
+      );
+
+      return {
+        label,
+        length,
+        compensated: designTwist !== null,
+        twist,
+        designTwist,
+        statistics: this.calculateStatistics(positions, twist)
+      };
+    });
+
+    return { positions, designCant, bases };
+  }
+
+  /**
+   * 位置 x の値 − 位置 x − 基準長 の値（基準長の手前・欠測は null）
+   */
+  difference(positions, values, length) {
+    return positions.map((position, i) => {
+      if (values[i] === null) return null;
+      const previous = this.interpolate(positions, values, position - length);
+      return previous === null ? null : values[i] - previous;
+    });
+  }
+
+  /**
+   * 線形補間（範囲外・欠測は null）
+   */
+  interpolate(positions, values, position) {
+    if (position < positions[0] || position > positions[positions.length - 1]) return null;
+
+    const lo = findInterval(positions, position);
+    const hi = Math.min(lo + 1, positions.length - 1);
+    if (values[lo] === null || values[hi] === null) return null;
+    if (positions[hi] === positions[lo]) return values[lo];
+
+    const t = (position - positions[lo]) / (positions[hi] - positions[lo]);
+    return values[lo] + (values[hi] - values[lo]) * t;
+  }
+
+  /**
+   * 平面性の統計（最大値は絶対値最大の位置）
+   */
+  calculateStatistics(positions, twist) {
+    const valid = [];
+    let maxAbs = 0;
+    let maxPosition = null;
+    twist.forEach((value, i) => {
+      if (value === null) return;
+      valid.push(value);
+      if (Math.abs(value) > maxAbs) {
+        maxAbs = Math.abs(value);
+        maxPosition = positions[i];
+      }
+    });
+
+    if (valid.length === 0) {
+      return { count: 0, sigma: 0, maxAbs: 0, maxPosition: null };
+    }
+
+    const mean = valid.reduce((sum, v) => sum + v, 0) / valid.length;
+    const sigma = Math.sqrt(valid.reduce((sum, v) => sum + (v - mean) ** 2, 0) / valid.length);
+    return {
+      count: valid.length,
+      sigma: Math.round(sigma * 1000) / 1000,
+      maxAbs: Math.round(maxAbs * 1000) / 1000,
+      maxPosition
+    };
+  }
+}
+
+module.exports = TwistCalculator;
+module.exports.NAMED_BASE_LENGTHS = NAMED_BASE_LENGTHS;
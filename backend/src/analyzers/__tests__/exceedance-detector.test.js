@@ -0,0 +1,81 @@
+/**
+ * exceedance-detector.js のテスト
+ */
+import { describe, test, expect } from '@jest/globals';
+import ExceedanceDetector from '../exceedance-detector.js';
+
+describe('ExceedanceDetector', () => {
+  // 0-100m、0.25m間隔。高低（左）に 20-21m で +7mm、60m で -9mm、80m と 81.5m で +7mm
+  const measurements = [];
+  for (let i = 0; i <= 400; i++) {
+    const distance = i * 0.25;
+    let value = 0;
+    if (distance >= 20 && distance <= 21) value = 7;
+    if (distance === 60) value = -9;
+    if (distance === 80 || distance === 81.5) value = 7;
+    measurements.push({ distance, measurements: { elevation_left: value } });
+  }
+  // 高低の管理値 6.0mm（LK の 0060）
+  const managementValues = [{ startKm: 0, endKm: 1, elevation: 60, marker: 'L1' }];
+
+  test('隣接する超過点を1箇所にまとめ、管理値との比で重大度を付ける', () => {
+    const detector = new ExceedanceDetector({ items: ['level'] });
+    const { exceedances, summary } = detector.detect(measurements, managementValues);
+
+    expect(exceedances.map(e => [e.startPosition, e.endPosition, e.sign, e.severity])).toEqual([
+      [20, 21, '+', 'planned'],
+      [60, 60, '-', 'urgent'],
+      [80, 80, '+', 'planned'],
+      [81.5, 81.5, '+', 'planned']
+    ]);
+    expect(exceedances[0]).toMatchObject({ limit: 6, limitSource: 'lk', lkMarker: 'L1', count: 5, excess: 1, side: 'left' });
+    expect(summary).toMatchObject({ total: 4, byItem: { level: 4 }, bySeverity: { urgent: 1, priority: 0, planned: 3 } });
+  });
+
+  test('mergeGap 以内の超過点は1箇所にまとめる', () => {
+    const detector = new ExceedanceDetector({ items: ['level'], mergeGap: 2 });
+    const { exceedances } = detector.detect(measurements, managementValues);
+
+    expect(exceedances[2]).toMatchObject({ startPosition: 80, endPosition: 81.5, count: 2 });
+  });
+
+  test('指定した管理値は LK より優先し、管理値のない範囲は判定しない', () => {
+    const detector = new ExceedanceDetector({ items: ['level'], limits: { level: { plus: 8 } } });
+    const { exceedances } = detector.detect(measurements, managementValues);
+    expect(exceedances).toHaveLength(0);
+
+    const { exceedances: outside, warnings } = new ExceedanceDetector({ items: ['level'] })
+      .detect(measurements, [{ startKm: 1, endKm: 2, elevation: 60 }]);
+    expect(outside).toHaveLength(0);
+    expect(warnings).toContain('高低は管理値がないため判定しません');
+  });
+
+  test('曲線内は L 行の曲線部管理値で判定する', () => {
+    const detector = new ExceedanceDetector({
+      items: ['level'],
+      positionInfo: { curves: [{ id: 'C1', startKm: 0.05, endKm: 0.09 }] }
+    });
+    const { exceedances } = detector.detect(measurements, [{ ...managementValues[0], curveStandard: 80 }]);
+
+    expect(exceedances.map(e => [e.startPosition, e.lkSection, e.limit, e.severity])).toEqual([
+      [20, 'straight', 6, 'planned'],
+      [60, 'curve', 8, 'planned']
+    ]);
+  });
+
+  test('曲線部管理値がなければ曲線内も直線部の管理値で判定する', () => {
+    const detector = new ExceedanceDetector({
+      items: ['level'],
+      curveSpecs: [{ curveType: 'circular', startKP: 0.05, endKP: 0.09 }]
+    });
+    const { exceedances } = detector.detect(measurements, managementValues);
+
+    expect(exceedances).toHaveLength(4);
+    expect(exceedances.every(e => e.lkSection === 'straight' && e.limit === 6)).toBe(true);
+  });
+
+  test('未対応の検査項目・測定データなしは400エラー', () => {
+    expect(() => new ExceedanceDetector({ items: ['speed'] })).toThrow(expect.objectContaining({ status: 400 }));
+    expect(() => new ExceedanceDetector().detect([])).toThrow(expect.objectContaining({ status: 400 }));
+  });
+});
@@ -0,0 +1,61 @@
+/**
+ * gauge-analyzer.js のテスト
+ */
+import { describe, test, expect } from '@jest/globals';
+import GaugeAnalyzer from '../gauge-analyzer.js';
+
+describe('GaugeAnalyzer', () => {
+  const circular = { startKP: 0.1, endKP: 0.2, curveType: 'circular', radius: 300, slack: 10 };
+
+  test('設計スラックを控除して軌間狂いを評価する', () => {
+    const measurements = [];
+    for (let i = 0; i <= 1200; i++) {
+      const distance = i * 0.25;
+      measurements.push({ distance, measurements: { gauge: distance >= 100 && distance <= 200 ? 12 : 1 } });
+    }
+
+    const result = new GaugeAnalyzer().analyze(measurements, { curveSpecs: [circular] });
+
+    expect(result.curves).toHaveLength(1);
+    expect(result.curves[0].designSlack).toBe(10);
+    expect(result.curves[0].max).toBe(2);
+    expect(result.curves[0].min).toBe(2);
+    expect(result.wideRegions).toHaveLength(0);
+  });
+
+  test('急変する拡大は締結不良、緩やかな拡大はレール摩耗に分類する', () => {
+    const measurements = [];
+    for (let i = 0; i <= 1200; i++) {
+      const distance = i * 0.25;
+      let gauge = 0;
+      if (distance >= 50 && distance <= 51) gauge = 10;
+      if (distance >= 170 && distance <= 290) gauge = 8 - Math.abs(distance - 230) * 8 / 60;
+      measurements.push({ distance, measurements: { gauge } });
+    }
+
+    const { wideRegions, summary } = new GaugeAnalyzer().analyze(measurements);
+
+    expect(wideRegions.map(region => region.cause)).toEqual(['fastening', 'wear']);
+    expect(summary.byCause).toEqual({ wear: 1, fastening: 1 });
+  });
+
+  test('20万点の測定データでも統計を計算できる', () => {
+    const measurements = [];
+    for (let i = 0; i < 200000; i++) {
+      const distance = 100 + i * 0.0005;
+      measurements.push({ distance, measurements: { gauge: 10 + Math.sin(i / 100) } });
+    }
+
+    const result = new GaugeAnalyzer().analyze(measurements, { curveSpecs: [circular] });
+
+    expect(result.summary.count).toBe(200000);
+    expect(result.summary.min).toBeCloseTo(-1, 2);
+    expect(result.curves[0].count).toBe(200000);
+    expect(result.curves[0].max).toBeCloseTo(1, 2);
+  });
+
+  test('軌間の測定データがない場合は400エラー', () => {
+    expect(() => new GaugeAnalyzer().analyze([{ distance: 0, measurements: {} }]))
+      .toThrow(expect.objectContaining({ status: 400 }));
+  });
+});
@@ -0,0 +1,71 @@
+/**
+ * joint-irregularity-detector.js のテスト
+ */
+import { describe, test, expect } from '@jest/globals';
+import JointIrregularityDetector from '../joint-irregularity-detector.js';
+
+describe('JointIrregularityDetector', () => {
+  /**
+   * 0-300m の測定データ（継目 100m に高低の落ち込み、200m は微小な計算誤差のみ）
+   */
+  function buildMeasurements() {
+    const measurements = [];
+    for (let i = 0; i <= 1200; i++) {
+      const distance = i * 0.25;
+      const dip = Math.abs(distance - 100) <= 1 ? -10 * (1 - Math.abs(distance - 100)) : 0;
+      const noise = Math.abs(distance - 200) <= 3 ? 1e-15 : 0;
+      measurements.push({
+        distance,
+        measurements: {
+          elevation_left: dip + noise,
+          elevation_right: noise,
+          alignment_left: 0,
+          alignment_right: 0
+        }
+      });
+    }
+    return measurements;
+  }
+
+  const joints = [
+    { from: 0.1, dataType: 'RT', jointNumber: '1' },
+    { from: 0.2, dataType: 'RT', jointNumber: '2' },
+    { from: 0.25, dataType: 'RT', jointNumber: '3', category: '溶接' }
+  ];
+
+  test('継目部の落ち込みを検出し、劣化度順に継目整備リストを作成する', () => {
+    const result = new JointIrregularityDetector().detect(buildMeasurements(), joints);
+
+    expect(result.joints).toHaveLength(2);
+    const [worst] = result.joints;
+    expect(worst.jointNumber).toBe('1');
+    expect(worst.rank).toBe(1);
+    expect(worst.level.shape).toBe('dip');
+    expect(worst.level.amplitude).toBe(-10);
+    expect(worst.severity).toBe('priority');
+    expect(result.maintenanceList.map(joint => joint.jointNumber)).toEqual(['1']);
+    expect(result.summary.excludedWelded).toBe(1);
+    expect(result.summary.maxLevelAmplitude).toBe(10);
+  });
+
+  test('計算誤差程度の残差は落ち込み・突起とみなさない', () => {
+    const result = new JointIrregularityDetector().detect(buildMeasurements(), joints);
+    const clean = result.joints.find(joint => joint.jointNumber === '2');
+
+    expect(clean.level.amplitude).toBe(0);
+    expect(clean.level.shape).toBeNull();
+    expect(clean.severity).toBe('good');
+  });
+
+  test('溶接継目は includeWelded で評価する', () => {
+    const result = new JointIrregularityDetector({ includeWelded: true }).detect(buildMeasurements(), joints);
+
+    expect(result.joints).toHaveLength(3);
+    expect(result.summary.excludedWelded).toBe(0);
+  });
+
+  test('baselineWindow が window 以下の場合は400エラー', () => {
+    expect(() => new JointIrregularityDetector({ window: 5, baselineWindow: 5 }))
+      .toThrow(expect.objectContaining({ status: 400 }));
+  });
+});
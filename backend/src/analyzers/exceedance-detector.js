@@ -0,0 +1,379 @@
+/**
+ * 管理値超過箇所検出
+ * Management-value exceedance detection from LK files
+ *
+ * キヤ検測データ（standardMeasurements）を LK ファイルの管理値（L行）と照合し、
+ * 軌間・高低・通り・水準・平面性が管理値を超える箇所を抽出する。
+ * - 測定位置のキロ程から適用する L 行（管理値区分）を選び、曲線内では曲線部管理値を使う
+ * - 隣接する超過点を1箇所にまとめ、最大値と超過の程度（重大度）を付ける
+ * - 平面性は TwistCalculator で水準から算出（曲線諸元があれば緩和曲線のカント逓減を補正）
+ * - 軌間は GaugeAnalyzer で設計スラックを控除し、拡大箇所には推定原因（摩耗 / 締結不良）を付ける
+ */
+
+const TwistCalculator = require('../algorithms/twist-calculator');
+const GaugeAnalyzer = require('./gauge-analyzer');
+const { createError, round } = require('../utils/common');
+
+/**
+ * 検査項目
+ * channels: standardMeasurements の測定項目、lk: 管理値の L 行項目（先頭から順に有効な値を使う）
+ * lkCurve: 曲線内で使う L 行の曲線部管理値（値がなければ lk を使う）
+ * plus/minus: 正側/負側の管理値、both: 両側共通の管理値
+ */
+const ITEMS = {
+  gauge: {
+    label: '軌間',
+    channels: ['gauge'],
+    lk: { plus: ['gauge'] },
+    lkCurve: { plus: ['irregularity'] }
+  },
+  level: {
+    label: '高低',
+    channels: ['elevation_left', 'elevation_right'],
+    lk: { both: ['elevation', 'standard10m'] },
+    lkCurve: { both: ['curveStandard'] }
+  },
+  alignment: {
+    label: '通り',
+    channels: ['alignment_left', 'alignment_right'],
+    lk: { both: ['straightness10m'] },
+    lkCurve: { both: ['straightness'] }
+  },
+  crossLevel: {
+    label: '水準',
+    channels: ['level_left', 'level_right'],
+    lk: { plus: ['levelPlus'], minus: ['levelMinus'] }
+  },
+  twist: {
+    label: '平面性',
+    source: 'crossLevel', // 水準から算出
+    lk: {}
+  }
+};
+
+/**
+ * LK 管理値の単位 (mm)。0210 = 21.0mm
+ */
+const LK_VALUE_SCALE = 0.1;
+
+/**
+ * LK に項目のない管理値の既定値 (mm)
+ */
+const DEFAULT_LIMITS = {
+  twist: { plus: 23, minus: 23 } // 平面性（5m）
+};
+
+/**
+ * 重大度区分（測定値 / 管理値 の比）
+ */
+const SEVERITY_LEVELS = [
+  { minRatio: 1.5, level: 'urgent', label: '緊急' },
+  { minRatio: 1.2, level: 'priority', label: '早急' },
+  { minRatio: 1.0, level: 'planned', label: '計画' }
+];
+
+class ExceedanceDetector {
+  /**
+   * @param {Object} options - 検出条件
+   * @param {number} [options.mergeGap=1] - この距離 (m) 以内の超過点を1箇所にまとめる
+   * @param {number|string} [options.twistBase='5m'] - 平面性の基準長（TwistCalculator の基準長）
+   * @param {Array} [options.curveSpecs] - 曲線諸元（平面性のカント逓減補正・軌間のスラック控除・曲線部管理値の適用範囲）
+   * @param {Object} [options.positionInfo] - CK 由来の位置情報（curves を曲線部管理値の適用範囲に使う）
+   * @param {Object} [options.gauge] - 軌間分析の条件（GaugeAnalyzer のオプション）
+   * @param {Object} [options.limits] - 項目ごとの管理値 (mm)。数値または {plus, minus}。指定時は LK より優先
+   * @param {string[]} [options.items] - 検査する項目（省略時は全項目）
+   */
+  constructor(options = {}) {
+    this.mergeGap = options.mergeGap ?? 1;
+    this.twistBase = options.twistBase || '5m';
+    this.curveSpecs = options.curveSpecs || null;
+    this.positionInfo = options.positionInfo || null;
+    this.twistCalculator = new TwistCalculator();
+    this.gaugeAnalyzer = new GaugeAnalyzer(options.gauge);
+    this.limits = options.limits || {};
+    this.items = options.items || Object.keys(ITEMS);
+
+    const unknown = this.items.filter(item => !ITEMS[item]);
+    if (unknown.length > 0) {
+      throw createError(400, `未対応の検査項目: ${unknown.join(', ')}`);
+    }
+  }
+
+  /**
+   * 管理値超過箇所を検出
+   * @param {Array<{distance: number, measurements: Object}>} measurements - 測定データ（distance は m）
+   * @param {Array} managementValues - LK の管理値（L行）
+   * @returns {Object} {exceedances, summary, warnings}
+   */
+  detect(measurements, managementValues = []) {
+    if (!Array.isArray(measurements) || measurements.length === 0) {
+      throw createError(400, '測定データがありません');
+    }
+
+    const warnings = [];
+    if (managementValues.length === 0) {
+      warnings.push('LK管理値がないため、指定された管理値・既定値のみで判定します');
+    }
+
+    const points = measurements
+      .filter(m => Number.isFinite(m.distance))
+      .sort((a, b) => a.distance - b.distance);
+    const positions = points.map(m => m.distance);
+
+    const exceedances = [];
+    const entries = positions.map(position => this.findManagementValue(managementValues, position));
+    const inCurve = positions.map(position => this.isInCurve(position));
+    for (const item of this.items) {
+      const limits = entries.map((entry, i) => this.getLimit(item, entry, inCurve[i]));
+      if (limits.every(limit => !limit)) {
+        warnings.push(`${ITEMS[item].label}は管理値がないため判定しません`);
+        continue;
+      }
+      for (const series of this.buildSeries(item, points, positions)) {
+        const groups = this.group(item, series, positions, limits);
+        exceedances.push(...(item === 'gauge' ? this.classifyGauge(groups, series, positions) : groups));
+      }
+    }
+
+    exceedances.sort((a, b) => a.startPosition - b.startPosition || a.item.localeCompare(b.item));
+    return {
+      exceedances,
+      summary: this.summarize(exceedances),
+      warnings
+    };
+  }
+
+  /**
+   * 項目の測定系列（左右別）
+   * @returns {Array<{channel: string, values: Array<number|null>}>}
+   */
+  buildSeries(item, points, positions) {
+    const definition = ITEMS[item];
+
+    if (definition.source) {
+      return this.buildSeries(definition.source, points, positions).map(series => {
+        const [base] = this.twistCalculator.calculate(series.values, {
+          positions,
+          curveSpecs: this.curveSpecs,
+          baseLengths: [this.twistBase]
+        }).bases;
+        return { channel: `${series.channel}:twist${base.label}`, values: base.twist };
+      });
+    }
+
+    if (item === 'gauge') {
+      if (!points.some(m => Number.isFinite(m.measurements?.gauge))) return [];
+      const { deviation } = this.gaugeAnalyzer.buildDeviation(points, this.curveSpecs || []);
+      return [{ channel: 'gauge', values: deviation }];
+    }
+
+    return definition.channels
+      .map(channel => ({
+        channel,
+        values: points.map(m => {
+          const value = m.measurements?.[channel];
+          return Number.isFinite(value) ? value : null;
+        })
+      }))
+      .filter(series => series.values.some(value => value !== null));
+  }
+
+  /**
+   * 軌間拡大の超過箇所に推定原因（レール摩耗 / 締結不良）を付ける
+   */
+  classifyGauge(groups, series, positions) {
+    return groups.map(entry => {
+      if (entry.sign !== '+') return { ...entry, cause: null, causeLabel: null };
+
+      const { cause, maxRate } = this.gaugeAnalyzer.classifyCause(
+        positions,
+        series.values,
+        positions.indexOf(entry.startPosition),
+        positions.indexOf(entry.endPosition)
+      );
+      return {
+        ...entry,
+        cause,
+        causeLabel: GaugeAnalyzer.CAUSES[cause].label,
+        gaugeRate: maxRate
+      };
+    });
+  }
+
+  /**
+   * 位置 (m) に適用する LK 管理値（L行）
+   */
+  findManagementValue(managementValues, position) {
+    const km = position / 1000;
+    return managementValues.find(value => km >= value.startKm && km < value.endKm) || null;
+  }
+
+  /**
+   * 位置 (m) が曲線内か（曲線諸元の直線以外の区間、または CK の曲線）
+   */
+  isInCurve(position) {
+    const km = position / 1000;
+    if (this.curveSpecs && this.curveSpecs.some(spec =>
+      spec.curveType !== 'straight' && km >= spec.startKP && km <= spec.endKP
+    )) {
+      return true;
+    }
+    return (this.positionInfo?.curves || []).some(curve => km >= curve.startKm && km <= curve.endKm);
+  }
+
+  /**
+   * 項目の管理値 (mm)
+   * @param {string} item - 検査項目
+   * @param {Object|null} entry - LK 管理値（L行）
+   * @param {boolean} [inCurve=false] - 曲線内か（曲線部管理値を優先する）
+   * @returns {{plus: number|null, minus: number|null, source: string, section?: string}|null}
+   */
+  getLimit(item, entry, inCurve = false) {
+    const override = this.limits[item];
+    if (Number.isFinite(override)) {
+      return { plus: override, minus: override, source: 'option' };
+    }
+    if (override && (Number.isFinite(override.plus) || Number.isFinite(override.minus))) {
+      return { plus: override.plus ?? null, minus: override.minus ?? null, source: 'option' };
+    }
+
+    if (entry) {
+      const { lk, lkCurve } = ITEMS[item];
+      const sections = inCurve && lkCurve ? [['curve', lkCurve], ['straight', lk]] : [['straight', lk]];
+      for (const [section, fields] of sections) {
+        const both = this.readLKValue(entry, fields.both);
+        const plus = this.readLKValue(entry, fields.plus) ?? both;
+        const minus = this.readLKValue(entry, fields.minus) ?? both;
+        if (plus !== null || minus !== null) {
+          return { plus, minus, source: 'lk', marker: entry.marker, section };
+        }
+      }
+    }
+
+    return DEFAULT_LIMITS[item] ? { ...DEFAULT_LIMITS[item], source: 'default' } : null;
+  }
+
+  readLKValue(entry, fields = []) {
+    for (const field of fields) {
+      if (Number.isFinite(entry[field])) {
+        return Math.round(entry[field] * LK_VALUE_SCALE * 10) / 10;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * 超過点を抽出し、隣接する超過点（同じ側）を1箇所にまとめる
+   */
+  group(item, series, positions, limits) {
+    const groups = [];
+    let current = null;
+
+    series.values.forEach((value, i) => {
+      const limit = limits[i];
+      if (value === null || !limit) return;
+
+      let sign = null;
+      let limitValue = null;
+      if (Number.isFinite(limit.plus) && value > limit.plus) {
+        sign = '+';
+        limitValue = limit.plus;
+      } else if (Number.isFinite(limit.minus) && value < -limit.minus) {
+        sign = '-';
+        limitValue = limit.minus;
+      }
+      if (!sign) return;
+
+      const position = positions[i];
+      const ratio = Math.abs(value) / limitValue;
+      if (!current || current.sign !== sign || position - current.endPosition > this.mergeGap) {
+        current = {
+          item,
+          itemLabel: ITEMS[item].label,
+          channel: series.channel,
+          side: this.getSide(series.channel),
+          sign,
+          startPosition: position,
+          endPosition: position,
+          peakPosition: position,
+          peakValue: value,
+          limit: limitValue,
+          limitSource: limit.source,
+          lkMarker: limit.marker || null,
+          lkSection: limit.section || null,
+          ratio,
+          count: 0
+        };
+        groups.push(current);
+      }
+
+      current.endPosition = position;
+      current.count++;
+      if (ratio > current.ratio) {
+        current.peakPosition = position;
+        current.peakValue = value;
+        current.limit = limitValue;
+        current.ratio = ratio;
+      }
+    });
+
+    return groups.map(entry => {
+      const severity = this.classifySeverity(entry.ratio);
+      return {
+        ...entry,
+        startKm: this.toKm(entry.startPosition),
+        endKm: this.toKm(entry.endPosition),
+        peakKm: this.toKm(entry.peakPosition),
+        length: round(entry.endPosition - entry.startPosition),
+        peakValue: round(entry.peakValue),
+        excess: round(Math.abs(entry.peakValue) - entry.limit),
+        ratio: round(entry.ratio),
+        severity: severity.level,
+        severityLabel: severity.label
+      };
+    });
+  }
+
+  /**
+   * 重大度区分
+   */
+  classifySeverity(ratio) {
+    return SEVERITY_LEVELS.find(level => ratio >= level.minRatio) || SEVERITY_LEVELS[SEVERITY_LEVELS.length - 1];
+  }
+
+  /**
+   * 項目別・重大度別の件数
+   */
+  summarize(exceedances) {
+    const byItem = {};
+    const bySeverity = {};
+    for (const level of SEVERITY_LEVELS) bySeverity[level.level] = 0;
+
+    for (const entry of exceedances) {
+      byItem[entry.item] = (byItem[entry.item] || 0) + 1;
+      bySeverity[entry.severity]++;
+    }
+
+    return {
+      total: exceedances.length,
+      byItem,
+      bySeverity,
+      severityLevels: SEVERITY_LEVELS.map(level => ({ ...level, count: bySeverity[level.level] }))
+    };
+  }
+
+  getSide(channel) {
+    if (channel.includes('_left')) return 'left';
+    if (channel.includes('_right')) return 'right';
+    return null;
+  }
+
+  toKm(position) {
+    return Math.round(position * 10) / 10000;
+  }
+}
+
+module.exports = ExceedanceDetector;
+module.exports.ITEMS = ITEMS;
+module.exports.SEVERITY_LEVELS = SEVERITY_LEVELS;
+module.exports.LK_VALUE_SCALE = LK_VALUE_SCALE;
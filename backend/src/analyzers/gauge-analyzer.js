@@ -0,0 +1,311 @@
+/**
+ * 軌間分析
+ * Gauge analysis with slack-aware evaluation
+ *
+ * キヤ検測データの軌間を曲線諸元の設計スラックと比較し、軌間狂い（スラック控除後）を評価する。
+ * - 設計スラックは CurveDesignProfile で曲線諸元から求める（円曲線は半径から算出、緩和曲線内で逓減）
+ * - 曲線ごとに拡大傾向（平均・拡大延長比率・キロ程方向の勾配）を判定
+ * - 拡大箇所は軌間の変化率から、レール摩耗による拡大（緩やか）と締結不良による拡大（急変）に分類
+ */
+
+const CurveDesignProfile = require('../algorithms/curve-design-profile');
+const { createError, round } = require('../utils/common');
+
+/**
+ * 拡大原因の区分
+ */
+const CAUSES = {
+  wear: { label: 'レール摩耗', description: '軌間が緩やかに拡大（側摩耗の進行）' },
+  fastening: { label: '締結不良', description: '軌間が局所的に急変（締結装置・まくらぎの不良）' }
+};
+
+class GaugeAnalyzer {
+  /**
+   * @param {Object} options - 分析条件
+   * @param {number} [options.nominalGauge=1067] - 基本軌間 (mm)。測定値が軌間そのものの場合に差し引く
+   * @param {number} [options.wideThreshold=5] - 拡大箇所とみなす軌間狂い (mm)
+   * @param {number} [options.trendThreshold=3] - 曲線の拡大傾向とみなす平均軌間狂い (mm)
+   * @param {number} [options.fasteningRate=2] - 締結不良とみなす軌間の変化率 (mm/m)
+   * @param {number} [options.rateWindow=1] - 変化率を求める距離 (m)
+   * @param {number} [options.mergeGap=1] - この距離 (m) 以内の拡大点を1箇所にまとめる
+   */
+  constructor(options = {}) {
+    this.nominalGauge = options.nominalGauge ?? 1067;
+    this.wideThreshold = options.wideThreshold ?? 5;
+    this.trendThreshold = options.trendThreshold ?? 3;
+    this.fasteningRate = options.fasteningRate ?? 2;
+    this.rateWindow = options.rateWindow ?? 1;
+    this.mergeGap = options.mergeGap ?? 1;
+  }
+
+  /**
+   * 軌間を分析
+   * @param {Array<{distance: number, measurements: Object}>} measurements - 測定データ（distance は m）
+   * @param {Object} [options] - 分析条件
+   * @param {Array} [options.curveSpecs] - 曲線諸元（CurveSpecParser 形式、キロ程は km）
+   * @param {boolean} [options.includeSeries=false] - 位置ごとの系列を結果に含める
+   * @returns {Object} {summary, curves, wideRegions, warnings, series?}
+   */
+  analyze(measurements, options = {}) {
+    const curveSpecs = options.curveSpecs || [];
+    const series = this.buildDeviation(measurements, curveSpecs);
+    const warnings = [];
+    if (curveSpecs.length === 0) {
+      warnings.push('曲線諸元がないため、設計スラックを 0 として評価します');
+    }
+    if (series.absolute) {
+      warnings.push(`測定値を軌間とみなし、基本軌間 ${this.nominalGauge}mm を差し引きました`);
+    }
+
+    const wideRegions = this.findWideRegions(series.positions, series.deviation, curveSpecs);
+    const curves = this.analyzeCurves(series.positions, series.deviation, series.slack, curveSpecs);
+
+    const result = {
+      summary: this.summarize(series, wideRegions, curves),
+      curves,
+      wideRegions,
+      warnings
+    };
+    if (options.includeSeries) {
+      result.series = series;
+    }
+    return result;
+  }
+
+  /**
+   * 測定データから軌間狂い（設計スラック控除後）の系列を作成
+   * @returns {{positions: number[], measured: Array<number|null>, slack: number[], deviation: Array<number|null>, absolute: boolean}}
+   */
+  buildDeviation(measurements, curveSpecs = []) {
+    if (!Array.isArray(measurements) || measurements.length === 0) {
+      throw createError(400, '測定データがありません');
+    }
+
+    const points = measurements
+      .filter(m => Number.isFinite(m.distance))
+      .sort((a, b) => a.distance - b.distance);
+    const positions = points.map(m => m.distance);
+    const measured = points.map(m => {
+      const value = m.measurements?.gauge;
+      return Number.isFinite(value) ? value : null;
+    });
+
+    const valid = measured.filter(value => value !== null);
+    if (valid.length === 0) {
+      throw createError(400, '軌間の測定データがありません');
+    }
+
+    // 測定値が軌間そのもの（1067mm 前後）なら基本軌間を差し引いて軌間狂いにする
+    const sorted = [...valid].sort((a, b) => a - b);
+    const absolute = sorted[Math.floor(sorted.length / 2)] > this.nominalGauge / 2;
+    const gauge = absolute
+      ? measured.map(value => (value === null ? null : value - this.nominalGauge))
+      : measured;
+
+    const slack = this.buildDesignSlack(positions, curveSpecs);
+    const deviation = gauge.map((value, i) => (value === null ? null : round(value - slack[i])));
+
+    return { positions, measured: gauge, slack, deviation, absolute };
+  }
+
+  /**
+   * 曲線諸元の区間の設計スラック（円曲線以外は 0）
+   */
+  getSpecSlack(spec) {
+    return CurveDesignProfile.getSpecSlack(spec);
+  }
+
+  /**
+   * 位置ごとの設計スラック (mm)
+   */
+  buildDesignSlack(positions, curveSpecs = []) {
+    if (curveSpecs.length === 0) return positions.map(() => 0);
+    return CurveDesignProfile.calculate(positions, curveSpecs).map(point => point.slack);
+  }
+
+  /**
+   * 拡大箇所を抽出し、変化率から原因を分類
+   */
+  findWideRegions(positions, deviation, curveSpecs = []) {
+    const regions = [];
+    let current = null;
+
+    deviation.forEach((value, i) => {
+      if (value === null || value <= this.wideThreshold) return;
+
+      const position = positions[i];
+      if (!current || position - positions[current.endIndex] > this.mergeGap) {
+        current = { startIndex: i, endIndex: i, peakIndex: i };
+        regions.push(current);
+      }
+      current.endIndex = i;
+      if (value > deviation[current.peakIndex]) current.peakIndex = i;
+    });
+
+    return regions.map(region => {
+      const { cause, maxRate } = this.classifyCause(positions, deviation, region.startIndex, region.endIndex);
+      const peakPosition = positions[region.peakIndex];
+      const curve = this.findCurve(curveSpecs, peakPosition);
+      return {
+        startKm: this.toKm(positions[region.startIndex]),
+        endKm: this.toKm(positions[region.endIndex]),
+        peakKm: this.toKm(peakPosition),
+        length: round(positions[region.endIndex] - positions[region.startIndex]),
+        peakDeviation: deviation[region.peakIndex],
+        maxRate,
+        cause,
+        causeLabel: CAUSES[cause].label,
+        curve: curve ? this.describeCurve(curve) : null
+      };
+    });
+  }
+
+  /**
+   * 拡大原因を分類
+   * 区間内（前後 rateWindow を含む）の軌間の最大変化率が fasteningRate 以上なら締結不良、未満ならレール摩耗
+   * @returns {{cause: string, maxRate: number}}
+   */
+  classifyCause(positions, deviation, startIndex, endIndex) {
+    let first = startIndex;
+    let last = endIndex;
+    while (first > 0 && positions[startIndex] - positions[first - 1] <= this.rateWindow) first--;
+    while (last < positions.length - 1 && positions[last + 1] - positions[endIndex] <= this.rateWindow) last++;
+
+    let maxRate = 0;
+    let j = first;
+    for (let i = first; i <= last; i++) {
+      if (deviation[i] === null) continue;
+      while (j < i && positions[i] - positions[j] > this.rateWindow) j++;
+      for (let k = j; k < i; k++) {
+        const distance = positions[i] - positions[k];
+        if (deviation[k] === null || distance <= 0) continue;
+        const rate = Math.abs(deviation[i] - deviation[k]) / Math.max(distance, this.rateWindow);
+        if (rate > maxRate) maxRate = rate;
+      }
+    }
+
+    return {
+      cause: maxRate >= this.fasteningRate ? 'fastening' : 'wear',
+      maxRate: round(maxRate)
+    };
+  }
+
+  /**
+   * 曲線（円曲線・緩和曲線）ごとの軌間狂いと拡大傾向
+   */
+  analyzeCurves(positions, deviation, slack, curveSpecs = []) {
+    return curveSpecs
+      .filter(spec => spec.curveType !== 'straight')
+      .map(spec => {
+        const start = spec.startKP * 1000;
+        const end = spec.endKP * 1000;
+        const xs = [];
+        const ys = [];
+        let designSlack = 0;
+        positions.forEach((position, i) => {
+          if (position < start || position > end) return;
+          designSlack = Math.max(designSlack, slack[i]);
+          if (deviation[i] !== null) {
+            xs.push(position);
+            ys.push(deviation[i]);
+          }
+        });
+        if (ys.length === 0) {
+          return { ...this.describeCurve(spec), count: 0, wideTrend: false };
+        }
+
+        const mean = ys.reduce((sum, v) => sum + v, 0) / ys.length;
+        const max = ys.reduce((acc, v) => Math.max(acc, v), -Infinity);
+        const min = ys.reduce((acc, v) => Math.min(acc, v), Infinity);
+        const wideCount = ys.filter(v => v > this.wideThreshold).length;
+        return {
+          ...this.describeCurve(spec),
+          designSlack,
+          count: ys.length,
+          mean: round(mean),
+          max: round(max),
+          min: round(min),
+          wideRatio: round(wideCount / ys.length),
+          slopePer100m: round(this.slope(xs, ys) * 100),
+          wideTrend: mean >= this.trendThreshold
+        };
+      });
+  }
+
+  /**
+   * 最小二乗法の傾き (mm/m)
+   */
+  slope(xs, ys) {
+    if (xs.length < 2) return 0;
+    const n = xs.length;
+    const meanX = xs.reduce((sum, v) => sum + v, 0) / n;
+    const meanY = ys.reduce((sum, v) => sum + v, 0) / n;
+    let sxy = 0;
+    let sxx = 0;
+    for (let i = 0; i < n; i++) {
+      sxy += (xs[i] - meanX) * (ys[i] - meanY);
+      sxx += (xs[i] - meanX) ** 2;
+    }
+    return sxx > 0 ? sxy / sxx : 0;
+  }
+
+  /**
+   * 全体の統計と拡大箇所の件数
+   */
+  summarize(series, wideRegions, curves) {
+    const valid = series.deviation.filter(value => value !== null);
+    const mean = valid.reduce((sum, v) => sum + v, 0) / valid.length;
+    const sigma = Math.sqrt(valid.reduce((sum, v) => sum + (v - mean) ** 2, 0) / valid.length);
+    const maxIndex = series.deviation.reduce(
+      (best, value, i) => (value !== null && (best < 0 || value > series.deviation[best]) ? i : best),
+      -1
+    );
+
+    const byCause = {};
+    for (const cause of Object.keys(CAUSES)) byCause[cause] = 0;
+    wideRegions.forEach(region => byCause[region.cause]++);
+
+    return {
+      count: valid.length,
+      mean: round(mean),
+      sigma: round(sigma),
+      max: series.deviation[maxIndex],
+      maxKm: this.toKm(series.positions[maxIndex]),
+      min: round(valid.reduce((acc, v) => Math.min(acc, v), Infinity)),
+      wideThreshold: this.wideThreshold,
+      wideRegionCount: wideRegions.length,
+      byCause,
+      causes: Object.entries(CAUSES).map(([cause, info]) => ({ cause, ...info, count: byCause[cause] })),
+      curveCount: curves.length,
+      wideTrendCurveCount: curves.filter(curve => curve.wideTrend).length
+    };
+  }
+
+  /**
+   * 位置 (m) を含む曲線（直線区間は除く）
+   */
+  findCurve(curveSpecs, position) {
+    const km = position / 1000;
+    return curveSpecs.find(spec =>
+      spec.curveType !== 'straight' && km >= spec.startKP && km <= spec.endKP
+    ) || null;
+  }
+
+  describeCurve(spec) {
+    return {
+      startKm: spec.startKP,
+      endKm: spec.endKP,
+      curveType: spec.curveType,
+      radius: spec.radius ?? null,
+      direction: spec.direction ?? null,
+      label: spec.label || ''
+    };
+  }
+
+  toKm(position) {
+    return Math.round(position * 10) / 10000;
+  }
+}
+
+module.exports = GaugeAnalyzer;
+module.exports.CAUSES = CAUSES;
@@ -0,0 +1,288 @@
+/**
+ * レール継目部の軌道狂い検出
+ * Joint-related irregularity detection using rail joint tables
+ *
+ * 軌道環境データのレール継目（RT: 左、RU: 右）の位置でキヤ検測データの高低・通りを切り出し、
+ * 継目前後の波形から局所的な落ち込み（dip）・突起（bump）の大きさを求める。
+ * - 継目の前後 window (m) を評価区間、その外側 baselineWindow (m) までを基準区間とし、
+ *   基準区間の一次回帰を差し引いた残差の最大値を継目部の振幅とする
+ * - 振幅 / 閾値 の比で継目を順位付けし、補修対象を継目整備リストとして出力する
+ */
+
+const { createError, round } = require('../utils/common');
+
+/**
+ * 評価項目
+ * channels: 継目の側ごとの測定項目（standardMeasurements）
+ */
+const CHANNELS = {
+  level: {
+    label: '高低',
+    channels: { left: 'elevation_left', right: 'elevation_right' },
+    work: '継目部突き固め'
+  },
+  alignment: {
+    label: '通り',
+    channels: { left: 'alignment_left', right: 'alignment_right' },
+    work: '継目部通り整正'
+  }
+};
+
+/**
+ * 劣化度区分（振幅 / 閾値 の比）。maintenance: 継目整備リストの対象
+ */
+const SEVERITY_LEVELS = [
+  { minRatio: 2.0, level: 'priority', label: '優先補修', maintenance: true },
+  { minRatio: 1.0, level: 'repair', label: '補修', maintenance: true },
+  { minRatio: 0.5, level: 'watch', label: '要注意', maintenance: false },
+  { minRatio: 0, level: 'good', label: '良好', maintenance: false }
+];
+
+class JointIrregularityDetector {
+  /**
+   * @param {Object} options - 検出条件
+   * @param {number} [options.window=3] - 継目前後の評価区間 (m)
+   * @param {number} [options.baselineWindow=10] - 基準区間の外端（継目からの距離、m）
+   * @param {number} [options.levelThreshold=4] - 高低の補修閾値 (mm)
+   * @param {number} [options.alignmentThreshold=3] - 通りの補修閾値 (mm)
+   * @param {boolean} [options.includeWelded=false] - 溶接継目も評価する
+   * @param {number} [options.startKP=0] - 測定位置 0m のキロ程 (km)
+   */
+  constructor(options = {}) {
+    this.window = options.window ?? 3;
+    this.baselineWindow = options.baselineWindow ?? 10;
+    this.thresholds = {
+      level: options.levelThreshold ?? 4,
+      alignment: options.alignmentThreshold ?? 3
+    };
+    this.includeWelded = options.includeWelded ?? false;
+    this.startKP = options.startKP ?? 0;
+
+    if (!(this.window > 0) || !(this.baselineWindow > this.window)) {
+      throw createError(400, 'window > 0、baselineWindow > window で指定してください');
+    }
+    if (!(this.thresholds.level > 0) || !(this.thresholds.alignment > 0)) {
+      throw createError(400, '補修閾値は正の数値で指定してください');
+    }
+  }
+
+  /**
+   * 継目部の軌道狂いを検出
+   * @param {Array<{distance: number, measurements: Object}>} measurements - 測定データ（distance は m）
+   * @param {Array} joints - レール継目（parseJointData 形式、キロ程は km、dataType: RT / RU）
+   * @returns {Object} {joints, maintenanceList, summary, warnings}
+   */
+  detect(measurements, joints = []) {
+    if (!Array.isArray(measurements) || measurements.length === 0) {
+      throw createError(400, '測定データがありません');
+    }
+    if (!Array.isArray(joints) || joints.length === 0) {
+      throw createError(400, 'レール継目データがありません');
+    }
+
+    const points = measurements
+      .filter(m => Number.isFinite(m.distance))
+      .sort((a, b) => a.distance - b.distance);
+    const positions = points.map(m => m.distance);
+    const warnings = [];
+
+    const targets = this.includeWelded ? joints : joints.filter(joint => !this.isWelded(joint));
+    const weldedCount = joints.length - targets.length;
+    if (weldedCount > 0) {
+      warnings.push(`溶接継目 ${weldedCount} 箇所は評価対象外です（includeWelded で評価）`);
+    }
+
+    const evaluated = [];
+    let skipped = 0;
+    for (const joint of targets) {
+      const result = this.evaluateJoint(joint, points, positions);
+      if (result) evaluated.push(result);
+      else skipped++;
+    }
+    if (skipped > 0) {
+      warnings.push(`測定範囲外または測定値のない継目 ${skipped} 箇所は評価できませんでした`);
+    }
+
+    evaluated.sort((a, b) => b.ratio - a.ratio || a.km - b.km);
+    evaluated.forEach((joint, i) => { joint.rank = i + 1; });
+
+    return {
+      joints: evaluated,
+      maintenanceList: evaluated.filter(joint => joint.maintenance),
+      summary: this.summarize(joints.length, weldedCount, skipped, evaluated),
+      warnings
+    };
+  }
+
+  /**
+   * 継目1箇所の評価（評価できなければ null）
+   */
+  evaluateJoint(joint, points, positions) {
+    const km = joint.from;
+    if (!Number.isFinite(km)) return null;
+    const position = (km - this.startKP) * 1000;
+    if (position - this.baselineWindow < positions[0] || position + this.baselineWindow > positions[positions.length - 1]) {
+      return null;
+    }
+
+    const sides = joint.dataType === 'RU' ? ['right'] : joint.dataType === 'RT' ? ['left'] : ['left', 'right'];
+    const items = {};
+    for (const item of Object.keys(CHANNELS)) {
+      const candidates = sides
+        .map(side => this.measure(points, positions, position, CHANNELS[item].channels[side], item))
+        .filter(result => result !== null);
+      if (candidates.length > 0) {
+        items[item] = candidates.reduce((worst, r) => (r.ratio > worst.ratio ? r : worst));
+      }
+    }
+    if (Object.keys(items).length === 0) return null;
+
+    const dominant = Object.keys(items).reduce((worst, item) =>
+      (!worst || items[item].ratio > items[worst].ratio ? item : worst), null);
+    const ratio = items[dominant].ratio;
+    const severity = this.classifySeverity(ratio);
+
+    return {
+      km,
+      position: round(position),
+      side: sides.length === 1 ? sides[0] : null,
+      dataType: joint.dataType || null,
+      jointType: joint.jointType || '',
+      jointNumber: joint.jointNumber || '',
+      category: joint.category || '',
+      kind: joint.kind || '',
+      method: joint.method || '',
+      level: items.level || null,
+      alignment: items.alignment || null,
+      dominant,
+      dominantLabel: CHANNELS[dominant].label,
+      ratio,
+      severity: severity.level,
+      severityLabel: severity.label,
+      maintenance: severity.maintenance,
+      recommendedWork: severity.maintenance ? CHANNELS[dominant].work : null
+    };
+  }
+
+  /**
+   * 継目前後の波形から局所的な振幅を求める
+   * @returns {{channel, amplitude, shape: "dip"|"bump"|null, peakToPeak, offset, ratio}|null}
+   */
+  measure(points, positions, position, channel, item) {
+    const local = [];
+    const shoulderX = [];
+    const shoulderY = [];
+    const first = this.lowerBound(positions, position - this.baselineWindow);
+    for (let i = first; i < positions.length && positions[i] <= position + this.baselineWindow; i++) {
+      const value = points[i].measurements?.[channel];
+      if (!Number.isFinite(value)) continue;
+      const offset = positions[i] - position;
+      if (Math.abs(offset) <= this.window) {
+        local.push({ offset, value });
+      } else {
+        shoulderX.push(offset);
+        shoulderY.push(value);
+      }
+    }
+    if (local.length === 0) return null;
+
+    // 基準区間の一次回帰（点が足りなければ 0 基準）
+    const { slope, intercept } = shoulderX.length >= 2
+      ? this.regression(shoulderX, shoulderY)
+      : { slope: 0, intercept: 0 };
+    const residuals = local.map(p => ({ offset: p.offset, value: p.value - (intercept + slope * p.offset) }));
+
+    const peak = residuals.reduce((best, r) => (Math.abs(r.value) > Math.abs(best.value) ? r : best));
+    const max = residuals.reduce((acc, r) => Math.max(acc, r.value), -Infinity);
+    const min = residuals.reduce((acc, r) => Math.min(acc, r.value), Infinity);
+    // 丸め後の振幅で判定し、回帰の計算誤差程度の残差を落ち込み・突起とみなさない
+    const amplitude = round(peak.value);
+
+    return {
+      channel,
+      amplitude,
+      shape: amplitude < 0 ? 'dip' : amplitude > 0 ? 'bump' : null,
+      peakToPeak: round(max - min),
+      offset: round(peak.offset),
+      ratio: round(Math.abs(peak.value) / this.thresholds[item])
+    };
+  }
+
+  /**
+   * 最小二乗法の一次回帰
+   */
+  regression(xs, ys) {
+    const n = xs.length;
+    const meanX = xs.reduce((sum, v) => sum + v, 0) / n;
+    const meanY = ys.reduce((sum, v) => sum + v, 0) / n;
+    let sxy = 0;
+    let sxx = 0;
+    for (let i = 0; i < n; i++) {
+      sxy += (xs[i] - meanX) * (ys[i] - meanY);
+      sxx += (xs[i] - meanX) ** 2;
+    }
+    const slope = sxx > 0 ? sxy / sxx : 0;
+    return { slope, intercept: meanY - slope * meanX };
+  }
+
+  /**
+   * value 以上の最初のインデックス
+   */
+  lowerBound(positions, value) {
+    let lo = 0;
+    let hi = positions.length;
+    while (lo < hi) {
+      const mid = (lo + hi) >> 1;
+      if (positions[mid] < value) lo = mid + 1;
+      else hi = mid;
+    }
+    return lo;
+  }
+
+  /**
+   * 溶接継目か（継目区分・種別の名称で判定）
+   */
+  isWelded(joint) {
+    return `${joint.category || ''}${joint.jointType || ''}`.includes('溶接');
+  }
+
+  /**
+   * 劣化度区分
+   */
+  classifySeverity(ratio) {
+    return SEVERITY_LEVELS.find(level => ratio >= level.minRatio) || SEVERITY_LEVELS[SEVERITY_LEVELS.length - 1];
+  }
+
+  /**
+   * 件数と最大振幅
+   */
+  summarize(jointCount, weldedCount, skipped, evaluated) {
+    const bySeverity = {};
+    for (const level of SEVERITY_LEVELS) bySeverity[level.level] = 0;
+    evaluated.forEach(joint => bySeverity[joint.severity]++);
+
+    const maxAmplitude = item => {
+      const values = evaluated.filter(joint => joint[item]).map(joint => Math.abs(joint[item].amplitude));
+      return values.length > 0 ? values.reduce((acc, v) => Math.max(acc, v), 0) : null;
+    };
+
+    return {
+      jointCount,
+      excludedWelded: weldedCount,
+      skipped,
+      evaluated: evaluated.length,
+      maintenanceCount: evaluated.filter(joint => joint.maintenance).length,
+      bySeverity,
+      severityLevels: SEVERITY_LEVELS.map(level => ({ ...level, count: bySeverity[level.level] })),
+      maxLevelAmplitude: maxAmplitude('level'),
+      maxAlignmentAmplitude: maxAmplitude('alignment'),
+      thresholds: { ...this.thresholds },
+      window: this.window,
+      baselineWindow: this.baselineWindow
+    };
+  }
+}
+
+module.exports = JointIrregularityDetector;
+module.exports.CHANNELS = CHANNELS;
+module.exports.SEVERITY_LEVELS = SEVERITY_LEVELS;
@@ -95,17 +95,34 @@ class QualityAnalyzer {
       vertical: this.calculateSigma(afterData.vertical)
     };
 
+    const improvementRate = {
+      lateral: this.calculateImprovementRate(sigmaBefore.lateral, sigmaAfter.lateral),
+      vertical: this.calculateImprovementRate(sigmaBefore.vertical, sigmaAfter.vertical)
+    };
+
+    // 平面性（水準から算出したデータがある場合のみ）
+    if (this.hasTwist(beforeData, afterData)) {
+      sigmaBefore.twist = this.calculateSigma(beforeData.twist.filter(Number.isFinite));
+      sigmaAfter.twist = this.calculateSigma(afterData.twist.filter(Number.isFinite));
+      improvementRate.twist = this.calculateImprovementRate(sigmaBefore.twist, sigmaAfter.twist);
+    }
+
     return {
       before: sigmaBefore,
       after: sigmaAfter,
-      improvementRate: {
-        lateral: this.calculateImprovementRate(sigmaBefore.lateral, sigmaAfter.lateral),
-        vertical: this.calculateImprovementRate(sigmaBefore.vertical, sigmaAfter.vertical)
-      },
+      improvementRate,
       evaluation: this.evaluateImprovement(sigmaBefore, sigmaAfter)
     };
   }
 
+  /**
+   * 整備前後とも平面性データがあるか
+   */
+  hasTwist(beforeData, afterData) {
+    return Array.isArray(beforeData.twist) && beforeData.twist.length > 0 &&
+      Array.isArray(afterData.twist) && afterData.twist.length > 0;
+  }
+
   /**
    * 区間別に分析
    * @param {Object} beforeData - 整備前データ
@@ -129,6 +146,11 @@ class QualityAnalyzer {
         vertical: afterData.vertical.slice(start, end)
       };
 
+      if (this.hasTwist(beforeData, afterData)) {
+        sectionBefore.twist = beforeData.twist.slice(start, end);
+        sectionAfter.twist = afterData.twist.slice(start, end);
+      }
+
       results.push({
         section: `${start}m - ${end}m`,
         startPosition: start,
@@ -176,7 +198,7 @@ class QualityAnalyzer {
    * 詳細統計を計算
    */
   calculateStatistics(beforeData, afterData) {
-    return {
+    const statistics = {
       lateral: {
         before: this.calculateDetailedStats(beforeData.lateral),
         after: this.calculateDetailedStats(afterData.lateral)
@@ -186,6 +208,15 @@ class QualityAnalyzer {
         after: this.calculateDetailedStats(afterData.vertical)
       }
     };
+
+    if (this.hasTwist(beforeData, afterData)) {
+      statistics.twist = {
+        before: this.calculateDetailedStats(beforeData.twist.filter(Number.isFinite)),
+        after: this.calculateDetailedStats(afterData.twist.filter(Number.isFinite))
+      };
+    }
+
+    return statistics;
   }
 
   /**
@@ -374,6 +405,15 @@ class QualityAnalyzer {
       });
     }
 
+    // 平面性の改善について
+    if (overall.improvementRate.twist !== undefined && overall.improvementRate.twist < 30) {
+      recommendations.push({
+        type: 'twist',
+        priority: 'medium',
+        message: '平面性の改善が不十分です。水準狂いの整備を検討してください。'
+      });
+    }
+
     // 区間別の問題点
     const problematicSections = analysisResults.bySection.filter(s =>
       s.quality.improvementRate.lateral < 20 ||
@@ -408,6 +448,9 @@ class QualityAnalyzer {
     lines.push('項目,整備前σ値,整備後σ値,良化率(%)');
     lines.push(`通り狂い,${analysisResults.overall.before.lateral.toFixed(2)},${analysisResults.overall.after.lateral.toFixed(2)},${analysisResults.overall.improvementRate.lateral}`);
     lines.push(`高低狂い,${analysisResults.overall.before.vertical.toFixed(2)},${analysisResults.overall.after.vertical.toFixed(2)},${analysisResults.overall.improvementRate.vertical}`);
+    if (analysisResults.overall.improvementRate.twist !== undefined) {
+      lines.push(`平面性,${analysisResults.overall.before.twist.toFixed(2)},${analysisResults.overall.after.twist.toFixed(2)},${analysisResults.overall.improvementRate.twist}`);
+    }
 
     return lines.join('\n');
   }
@@ -13,6 +13,7 @@ const fs = require('fs').promises;
 
 // ルーター
 const fileRoutes = require('./routes/file-routes');
+const importRoutes = require('./routes/import-routes');
 const restorationRoutes = require('./routes/restoration-routes');
 const reportRoutes = require('./routes/report-routes');
 const batchRoutes = require('./routes/batch-routes');
@@ -25,6 +26,16 @@ const kiyaDataRoutes = require('./routes/kiya-data-routes');
 const trackEnvironmentRoutes = require('./routes/track-environment-routes');
 const eccentricVersineRoutes = require('./routes/eccentric-versine-routes');
 const legacyDataRoutes = require('./routes/legacy-data-routes');
+const workPackageRoutes = require('./routes/work-package-routes');
+const mttProfileRoutes = require('./routes/mtt-profile-routes');
+const degradationTrendRoutes = require('./routes/degradation-trend-routes');
+const restrictionRoutes = require('./routes/restriction-routes');
+const databaseRoutes = require('./routes/database-routes');
+const { initializeStorage } = require('./db/repositories');
+
+// 永続化データセット
+const kiyaDataProcessor = require('./processors/kiya-data-processor');
+const trackEnvironmentProcessor = require('./processors/track-environment-processor');
 
 // アプリケーション初期化
 const app = express();
@@ -62,6 +73,7 @@ async function initializeDirectories() {
 
 // ルーティング
 app.use('/api/files', fileRoutes);
+app.use('/api/import', importRoutes);
 app.use('/api/restoration', restorationRoutes);
 app.use('/api/reports', reportRoutes);
 app.use('/api/batch', batchRoutes);
@@ -74,6 +86,11 @@ app.use('/api/kiya-data', kiyaDataRoutes);
 app.use('/api/track-env', trackEnvironmentRoutes);
 app.use('/api/eccentric-versine', eccentricVersineRoutes);
 app.use('/api/legacy-data', legacyDataRoutes);
+app.use('/api/work-packages', workPackageRoutes);
+app.use('/api/mtt-profiles', mttProfileRoutes);
+app.use('/api/degradation-trend', degradationTrendRoutes);
+app.use('/api/restrictions', restrictionRoutes);
+app.use('/api/db', databaseRoutes);
 
 // ヘルスチェック
 app.get('/api/health', (req, res) => {
@@ -104,14 +121,34 @@ app.get('/api/endpoints', (req, res) => {
         'POST /api/files/upload-dcp - DCPファイルアップロード',
         'POST /api/files/upload-pnt - PNTファイルアップロード',
         'POST /api/files/upload-tblddb - TBL/DDBファイルアップロード',
+        'POST /api/files/upload-labox - LABOX (LBX/LDT) ファイルアップロード',
         'GET /api/files/list - アップロードファイル一覧'
       ],
+      import: [
+        'POST /api/import - ファイルインポート（形式自動判定）',
+        'POST /api/import/detect - ファイル形式判定',
+        'GET /api/import/formats - 対応形式一覧'
+      ],
       restoration: [
-        'POST /api/restoration/calculate - 復元波形計算',
+        'POST /api/restoration/calculate - 復元波形計算（分岐器モード: options.turnouts / options.trackEnvDatasetId）',
+        'POST /api/restoration/reproduce-from-prm - PRMファイルからの計算再現',
         'POST /api/restoration/generate-plan-line - 計画線生成',
         'POST /api/restoration/set-straight-line - 直線設定',
         'POST /api/restoration/set-circular-curve - 曲線設定',
         'POST /api/restoration/smooth-section - 区間平滑化',
+        'POST /api/restoration/plan-line-sessions - 計画線編集セッション作成',
+        'GET /api/restoration/plan-line-sessions - 計画線編集セッション一覧',
+        'GET /api/restoration/plan-line-sessions/:sessionId - セッション状態取得',
+        'POST /api/restoration/plan-line-sessions/:sessionId/operations - 編集操作',
+        'POST /api/restoration/plan-line-sessions/:sessionId/undo - 元に戻す',
+        'POST /api/restoration/plan-line-sessions/:sessionId/redo - やり直す',
+        'GET /api/restoration/plan-line-sessions/:sessionId/history - 編集履歴',
+        'GET /api/restoration/plan-line-sessions/:sessionId/versions - バージョン一覧',
+        'GET /api/restoration/plan-line-sessions/:sessionId/diff - バージョン間差分',
+        'POST /api/restoration/plan-line-sessions/:sessionId/restore - バージョン復元',
+        'POST /api/restoration/plan-line-sessions/:sessionId/checkpoints - チェックポイント作成',
+        'POST /api/restoration/plan-line-sessions/:sessionId/branches - 分岐作成',
+        'POST /api/restoration/plan-line-sessions/:sessionId/branches/:name/checkout - 分岐切り替え',
         'POST /api/restoration/connect-plan-lines - 計画線接続',
         'POST /api/restoration/gaussian-smoothing - ガウシアン平滑化',
         'POST /api/restoration/remove-outliers - 異常値除去',
@@ -169,6 +206,8 @@ app.get('/api/endpoints', (req, res) => {
         'POST /api/conversion/dcp-to-rsq - DCP→RSQ変換',
         'POST /api/conversion/csv-to-labocs - CSV→LABOCS変換',
         'POST /api/conversion/labocs-to-csv - LABOCS→CSV変換',
+        'POST /api/conversion/labox-to-csv - LABOX→CSV変換',
+        'POST /api/conversion/labox-to-rsq - LABOX→RSQ変換',
         'GET /api/conversion/supported - サポート変換タイプ取得',
         'GET /api/conversion/dcp-items - DCP項目コード取得',
         'GET /api/conversion/labocs-tables - LABOCSテーブル種別取得'
@@ -190,7 +229,29 @@ app.get('/api/endpoints', (req, res) => {
         'POST /api/curve-spec/validate - 曲線諸元整合性チェック',
         'GET /api/curve-spec/export - 曲線諸元CSVエクスポート',
         'PUT /api/curve-spec/update - 曲線諸元更新',
-        'DELETE /api/curve-spec/clear - 曲線諸元データクリア'
+        'DELETE /api/curve-spec/clear - 曲線諸元データクリア',
+        'POST /api/curve-spec/fit - 通り正矢からの曲線諸元自動推定（CSV/KS.TXT出力）'
+      ],
+      mttProfiles: [
+        'GET /api/mtt-profiles - MTT機種一覧（組み込み・利用者定義）',
+        'GET /api/mtt-profiles/:id - MTT機種詳細',
+        'POST /api/mtt-profiles - 利用者定義MTT機種作成',
+        'PUT /api/mtt-profiles/:id - 利用者定義MTT機種更新',
+        'DELETE /api/mtt-profiles/:id - 利用者定義MTT機種削除',
+        'POST /api/mtt-profiles/validate - MTT機種設定の検証'
+      ],
+      degradationTrend: [
+        'GET /api/degradation-trend/lines/:lineId/runs - 線区の検測回一覧',
+        'POST /api/degradation-trend/lines/:lineId/runs - 検測回登録（データまたはキヤデータセット）',
+        'DELETE /api/degradation-trend/runs/:runId - 検測回削除',
+        'POST /api/degradation-trend/lines/:lineId/analyze - ロット別狂い進み・管理値超過予測・整備優先順位'
+      ],
+      restrictions: [
+        'GET /api/restrictions/rules - 移動量制限の自動設定ルール（要素種別ごと）',
+        'PUT /api/restrictions/rules - 自動設定ルールの保存',
+        'DELETE /api/restrictions/rules - 自動設定ルールを既定値に戻す',
+        'POST /api/restrictions/propose - 軌道環境データから制限箇所を自動設定し手入力と統合',
+        'POST /api/restrictions/export - 制限箇所の .I1.TXT / .I3.TXT 内容作成'
       ],
       kiyaData: [
         'POST /api/kiya-data/dataset - データセット作成',
@@ -203,6 +264,14 @@ app.get('/api/endpoints', (req, res) => {
         'POST /api/kiya-data/convert/labocs - LABOCS形式変換',
         'GET /api/kiya-data/dataset/:datasetId/position-info - 位置情報取得',
         'GET /api/kiya-data/dataset/:datasetId/measurements - 測定データ取得',
+        'GET /api/kiya-data/dataset/:datasetId/exceedances - LK管理値超過箇所一覧（JSON/CSV/HTML）',
+        'POST /api/kiya-data/dataset/:datasetId/exceedances - LK管理値超過箇所一覧（曲線諸元による平面性・軌間スラック補正）',
+        'GET /api/kiya-data/dataset/:datasetId/gauge - 軌間分析（JSON/CSV/HTML）',
+        'POST /api/kiya-data/dataset/:datasetId/gauge - 軌間分析（曲線諸元の設計スラック控除）',
+        'GET /api/kiya-data/dataset/:datasetId/joints - レール継目部の軌道狂い・継目整備リスト（JSON/CSV/HTML）',
+        'POST /api/kiya-data/dataset/:datasetId/joints - レール継目部の軌道狂い（継目一覧を直接指定）',
+        'GET /api/kiya-data/dataset/:datasetId/versions/:fileType - ファイルバージョン一覧',
+        'POST /api/kiya-data/dataset/:datasetId/versions/:fileType/:version/restore - 過去バージョン復元',
         'DELETE /api/kiya-data/dataset/:datasetId - データセット削除',
         'GET /api/kiya-data/statistics - 統計情報取得',
         'GET /api/kiya-data/info - キヤデータ処理情報取得'
@@ -214,8 +283,11 @@ app.get('/api/endpoints', (req, res) => {
         'POST /api/track-env/upload - 軌道環境データアップロード',
         'POST /api/track-env/upload/batch - 複数ファイル一括アップロード',
         'GET /api/track-env/dataset/:datasetId/range - キロ程範囲で検索',
+        'GET /api/track-env/dataset/:datasetId/overlay - チャート重ね描き用の軌道環境（帯・目印）',
         'GET /api/track-env/dataset/:datasetId/statistics - 統計情報取得',
         'GET /api/track-env/dataset/:datasetId/export - データエクスポート',
+        'GET /api/track-env/dataset/:datasetId/versions/:dataType - ファイルバージョン一覧',
+        'POST /api/track-env/dataset/:datasetId/versions/:dataType/:version/restore - 過去バージョン復元',
         'DELETE /api/track-env/dataset/:datasetId - データセット削除',
         'GET /api/track-env/statistics - 全体統計情報取得',
         'GET /api/track-env/supported-types - サポートデータ型一覧',
@@ -236,6 +308,40 @@ app.get('/api/endpoints', (req, res) => {
         'POST /api/legacy-data/parse-mdt - MDTファイル解析',
         'POST /api/legacy-data/parse-o010 - O010ファイル解析',
         'GET /api/legacy-data/info - レガシーデータ処理情報'
+      ],
+      workPackages: [
+        'POST /api/work-packages - 作業パッケージ作成・実行',
+        'GET /api/work-packages - 作業パッケージ一覧',
+        'GET /api/work-packages/stages - 処理工程一覧',
+        'GET /api/work-packages/:packageId - 作業パッケージ状態取得',
+        'GET /api/work-packages/:packageId/download - 標準フォルダ構成ZIPダウンロード',
+        'DELETE /api/work-packages/:packageId - 作業パッケージ削除'
+      ],
+      database: [
+        'POST /api/db/auth/register - ユーザー登録',
+        'POST /api/db/auth/login - ログイン（JWT発行）',
+        'GET /api/db/auth/verify - トークン検証',
+        'POST /api/db/auth/change-password - パスワード変更',
+        'GET /api/db/users/profile - プロフィール・利用統計取得',
+        'PUT /api/db/users/profile - プロフィール更新',
+        'GET /api/db/users - ユーザー一覧（管理者）',
+        'PUT /api/db/users/:id/role - ロール変更（管理者）',
+        'POST /api/db/calculations - 計算結果保存',
+        'GET /api/db/calculations - 計算結果検索',
+        'GET /api/db/calculations/stats - 計算統計',
+        'GET /api/db/calculations/:id - 計算結果取得',
+        'GET /api/db/calculations/:id/versine - 正矢データ取得',
+        'POST /api/db/calculations/compare - 計算結果比較',
+        'POST /api/db/sessions - 測定セッション作成',
+        'GET /api/db/sessions - 測定セッション検索',
+        'GET /api/db/sessions/:id - 測定セッション取得',
+        'GET /api/db/history/exports/:resultId - 出力履歴',
+        'GET /api/db/history/logs - システムログ（管理者）',
+        'GET /api/db/history/audit/:table/:id - 監査証跡（管理者）',
+        'GET /api/db/history/activity/:userId - ユーザー操作履歴',
+        'GET /api/db/history/timeline - 計算履歴タイムライン',
+        'POST /api/db/history/metrics - 性能メトリクス記録',
+        'GET /api/db/history/metrics/:type - 性能メトリクス集計'
       ]
     }
   });
@@ -269,6 +375,19 @@ async function startServer() {
     console.log('Initializing directories...');
     await initializeDirectories();
 
+    // 保存済みデータセットの読み込み
+    console.log('Loading stored datasets...');
+    await kiyaDataProcessor.initialize();
+    await trackEnvironmentProcessor.initialize();
+
+    // 認証・計算履歴ストレージの初期化（DB_STORAGE=file ならPostgreSQL不要）
+    console.log('Initializing database storage...');
+    try {
+      await initializeStorage();
+    } catch (error) {
+      console.error('Database storage initialization failed (/api/db unavailable):', error.message);
+    }
+
     // サーバー起動
     app.listen(PORT, () => {
       console.log('\n' + '='.repeat(70));
@@ -282,6 +401,7 @@ async function startServer() {
       console.log('='.repeat(70));
       console.log('\n📡 Available API Groups:');
       console.log('  ├─ /api/files        - ファイルアップロード・パース');
+      console.log('  ├─ /api/import       - ファイルインポート（形式自動判定）');
       console.log('  ├─ /api/restoration  - 復元波形計算・計画線編集');
       console.log('  ├─ /api/reports      - レポート生成');
       console.log('  ├─ /api/batch        - バッチ処理');
@@ -293,7 +413,12 @@ async function startServer() {
       console.log('  ├─ /api/kiya-data    - キヤ141検測車データ処理');
       console.log('  ├─ /api/track-env    - 軌道環境データ管理');
       console.log('  ├─ /api/eccentric-versine - 偏心矢計算・変換');
-      console.log('  └─ /api/legacy-data  - レガシーデータ（MDT/O010）処理');
+      console.log('  ├─ /api/legacy-data  - レガシーデータ（MDT/O010）処理');
+      console.log('  ├─ /api/work-packages - 作業パッケージ（一括軌道整正処理）');
+      console.log('  ├─ /api/mtt-profiles - MTT機種プロファイル管理');
+      console.log('  ├─ /api/degradation-trend - 軌道狂い進み分析（経年傾向・整備優先順位）');
+      console.log('  ├─ /api/restrictions - 移動量制限箇所の自動設定（軌道環境データ）');
+      console.log('  └─ /api/db           - 認証・計算結果・測定セッション・監査履歴');
       console.log('\n' + '='.repeat(70) + '\n');
     });
   } catch (error) {
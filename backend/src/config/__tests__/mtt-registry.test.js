@@ -0,0 +1,66 @@
+/**
+ * mtt-registry.js のテスト
+ */
+import { describe, test, expect } from '@jest/globals';
+import { MTTRegistry } from '../mtt-registry.js';
+
+describe('MTTRegistry', () => {
+  const createRegistry = () => new MTTRegistry({
+    loadAllSync: () => [],
+    save: async () => {},
+    delete: async () => {}
+  });
+
+  // 旧 BoundaryConnection.getMttParameters の機種別の値
+  const CONNECTION = {
+    '08-475': { dPointDistance: 11.2, cPointDistance: 5.6, liftingPoints: 3, liningPoints: 2 },
+    '08-275': { dPointDistance: 9.8, cPointDistance: 4.9, liftingPoints: 3, liningPoints: 2 },
+    '09-16': { dPointDistance: 12.0, cPointDistance: 6.0, liftingPoints: 4, liningPoints: 2 },
+    '09-32': { dPointDistance: 13.5, cPointDistance: 6.75, liftingPoints: 4, liningPoints: 3 },
+    'MTT-15': { dPointDistance: 15.0, cPointDistance: 7.5, liftingPoints: 4, liningPoints: 3 }
+  };
+
+  // 旧 MovementCorrectionOptions.getMTTParameters の機種別の値
+  const CORRECTION = {
+    '08-475': { bcDistance: 3.63, cdDistance: 9.37, liftingPoints: 3, liningPoints: 2, eccFactor: 3 },
+    '08-275': { bcDistance: 3.2, cdDistance: 8.5, liftingPoints: 3, liningPoints: 2, eccFactor: 3 },
+    '09-16': { bcDistance: 7.5, cdDistance: 7.5, liftingPoints: 4, liningPoints: 2, eccFactor: 3 },
+    '09-32': { bcDistance: 8.0, cdDistance: 8.0, liftingPoints: 4, liningPoints: 3, eccFactor: 3 },
+    'MTT-15': { bcDistance: 10.0, cdDistance: 10.0, liftingPoints: 4, liningPoints: 3, eccFactor: 2.5 }
+  };
+
+  test.each(Object.keys(CONNECTION))('%s の接続・偏心矢パラメータは従来の値', id => {
+    const registry = createRegistry();
+    const profile = registry.requireProfile(id);
+
+    expect(registry.toConnectionParameters(profile)).toEqual(CONNECTION[id]);
+    expect(registry.toCorrectionParameters(profile)).toEqual(CORRECTION[id]);
+  });
+
+  test('従来の表にない機種は 08-475 の値', () => {
+    const registry = createRegistry();
+    const profile = registry.requireProfile('08-16');
+
+    expect(registry.toConnectionParameters(profile)).toEqual(CONNECTION['08-475']);
+    expect(registry.toCorrectionParameters(profile)).toEqual(CORRECTION['08-475']);
+  });
+
+  test('利用者定義機種は元の機種の値を引き継ぎ、接続距離を変更できる', async () => {
+    const registry = createRegistry();
+    const profile = await registry.createProfile({
+      id: 'custom-275',
+      basedOn: '08-275',
+      connection: { dPointDistance: 10 }
+    });
+
+    expect(registry.toConnectionParameters(profile)).toMatchObject({ dPointDistance: 10, cPointDistance: 4.9 });
+    expect(registry.toCorrectionParameters(profile)).toMatchObject({ bcDistance: 3.2, cdDistance: 8.5 });
+  });
+
+  test('範囲外の値は詳細付きの400エラー', async () => {
+    const registry = createRegistry();
+
+    await expect(registry.createProfile({ id: 'bad', connection: { dPointDistance: -1 } }))
+      .rejects.toMatchObject({ status: 400, details: [expect.stringContaining('接続 D点距離')] });
+  });
+});
@@ -1,106 +1,20 @@
 /**
  * MTT（Multiple Tie Tamper）機種設定管理
  * PDFドキュメント仕様に基づくMTT機種別の弦長設定
+ *
+ * 機種の定義は config/mtt-registry.js に一元化（利用者定義機種を含む）
  */
 
-class MTTConfiguration {
-  static MTT_TYPES = {
-    '08-16': {
-      name: '08-16',
-      description: '標準型MTT',
-      leveling: {
-        bcLength: 3.63,  // BC間弦長（m）
-        cdLength: 9.37,  // CD間弦長（m）
-      },
-      lining: {
-        bcLength: 5.20,  // BC間弦長（m）
-        cdLength: 9.50,  // CD間弦長（m）
-      }
-    },
-    '09-16在': {
-      name: '09-16在',
-      description: '在来線用MTT',
-      leveling: {
-        bcLength: 3.21,  // BC間弦長（m）
-        cdLength: 9.79,  // CD間弦長（m）
-      },
-      lining: {
-        bcLength: 5.20,  // BC間弦長（m）
-        cdLength: 9.50,  // CD間弦長（m）
-      }
-    },
-    '08-32幹': {
-      name: '08-32幹',
-      description: '新幹線用MTT',
-      leveling: {
-        bcLength: 3.63,  // BC間弦長（m）
-        cdLength: 9.37,  // CD間弦長（m）
-      },
-      lining: {
-        bcLength: 5.20,  // BC間弦長（m）
-        cdLength: 9.50,  // CD間弦長（m）
-      }
-    },
-    '08-475': {
-      name: '08-475',
-      description: '大型MTT',
-      leveling: {
-        bcLength: 3.63,
-        cdLength: 9.37,
-      },
-      lining: {
-        bcLength: 5.20,
-        cdLength: 9.50,
-      }
-    },
-    '08-1X': {
-      name: '08-1X',
-      description: '小型MTT',
-      leveling: {
-        bcLength: 3.21,
-        cdLength: 9.79,
-      },
-      lining: {
-        bcLength: 5.20,
-        cdLength: 9.50,
-      }
-    },
-    '08-2X': {
-      name: '08-2X',
-      description: '中型MTT',
-      leveling: {
-        bcLength: 3.21,
-        cdLength: 9.79,
-      },
-      lining: {
-        bcLength: 5.20,
-        cdLength: 9.50,
-      }
-    },
-    '08-275': {
-      name: '08-275',
-      description: '特殊型MTT',
-      leveling: {
-        bcLength: 3.63,
-        cdLength: 9.37,
-      },
-      lining: {
-        bcLength: 5.20,
-        cdLength: 9.50,
-      }
-    }
-  };
+const mttRegistry = require('./mtt-registry');
 
+class MTTConfiguration {
   /**
    * MTT機種設定を取得
    * @param {string} mttType - MTT機種名
    * @returns {Object} MTT設定情報
    */
   static getConfig(mttType) {
-    if (!this.MTT_TYPES[mttType]) {
-      throw new Error(`未知のMTT機種: ${mttType}`);
-    }
-    return this.MTT_TYPES[mttType];
+    return mttRegistry.toChordConfig(mttRegistry.requireProfile(mttType));
   }
 
   /**
@@ -108,10 +22,11 @@ class MTTConfiguration {
    * @returns {Array} MTT機種リスト
    */
   static getAllTypes() {
-    return Object.keys(this.MTT_TYPES).map(key => ({
-      value: key,
-      label: `${key} - ${this.MTT_TYPES[key].description}`,
-      config: this.MTT_TYPES[key]
+    return mttRegistry.getAllProfiles().map(profile => ({
+      value: profile.id,
+      label: `${profile.id} - ${profile.description}`,
+      builtIn: profile.builtIn,
+      config: mttRegistry.toChordConfig(profile)
     }));
   }
 
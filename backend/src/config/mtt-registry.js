@@ -0,0 +1,486 @@
+/**
+ * MTT機種レジストリ
+ * Single source of MTT machine profiles (built-in + user-defined)
+ *
+ * 機能:
+ * - 組み込み機種と利用者定義機種（ファイル保存）を一元管理
+ * - 弦長（BC間・CD間）、フロントオフセット、こう上/通り能力、補正係数を1つのプロファイルで保持
+ * - MTTConfiguration / MTTGuidanceSystem / BoundaryConnection / MovementCorrectionOptions
+ *   向けの形式への変換
+ * - 保存時の入力検証
+ */
+
+const path = require('path');
+const { ProjectStore } = require('../utils/project-store');
+const { createError } = require('../utils/common');
+
+/**
+ * プロファイルの既定値（組み込み機種で未定義の項目に使用）
+ */
+const PROFILE_DEFAULTS = {
+  manufacturer: 'Plasser & Theurer',
+  leveling: { bcLength: 3.63, cdLength: 9.37 },
+  lining: { bcLength: 5.20, cdLength: 9.50 },
+  // 縦断接続の B点からの D点・C点距離 (m)、偏心矢計算の弦長 (m)。旧 08-475 の値（未登録機種の既定）
+  connection: { dPointDistance: 11.2, cPointDistance: 5.6 },
+  correctionChord: { bcLength: 3.63, cdLength: 9.37 },
+  frontOffset: 12.5,          // フロント位置オフセット (m)
+  liftCapacity: 50,           // 最大こう上量 (mm)
+  liningCapacity: 40,         // 最大通り移動量 (mm)
+  workingSpeed: 0.8,          // 作業速度 (km/h)
+  tampingUnits: 16,           // タンピングユニット数
+  measurementChord: 10,       // 測定弦長 (m)
+  liftingPoints: 3,           // こう上点数
+  liningPoints: 2,            // 通り整正点数
+  eccFactor: 3,               // 偏心矢の倍率
+  correctionFactors: { level: 1.0, alignment: 1.0, cant: 1.0, gauge: 1.0 }
+};
+
+/**
+ * 組み込み機種
+ * 旧 config/mtt-config.js の弦長を正とし、MTTGuidanceSystem・MovementCorrectionOptions の値で補完
+ * connection / correctionChord は旧 BoundaryConnection・MovementCorrectionOptions の機種別の値
+ */
+const BUILT_IN_PROFILES = [
+  {
+    id: '08-16',
+    name: '08-16',
+    description: '標準型MTT',
+    leveling: { bcLength: 3.63, cdLength: 9.37 },
+    lining: { bcLength: 5.20, cdLength: 9.50 }
+  },
+  {
+    id: '09-16在',
+    name: '09-16在',
+    description: '在来線用MTT',
+    leveling: { bcLength: 3.21, cdLength: 9.79 },
+    lining: { bcLength: 5.20, cdLength: 9.50 }
+  },
+  {
+    id: '08-32幹',
+    name: '08-32幹',
+    description: '新幹線用MTT',
+    leveling: { bcLength: 3.63, cdLength: 9.37 },
+    lining: { bcLength: 5.20, cdLength: 9.50 },
+    tampingUnits: 32
+  },
+  {
+    id: '08-475',
+    name: '08-475',
+    description: '大型MTT',
+    leveling: { bcLength: 3.63, cdLength: 9.37 },
+    lining: { bcLength: 5.20, cdLength: 9.50 }
+  },
+  {
+    id: '08-1X',
+    name: '08-1X',
+    description: '小型MTT',
+    leveling: { bcLength: 3.21, cdLength: 9.79 },
+    lining: { bcLength: 5.20, cdLength: 9.50 }
+  },
+  {
+    id: '08-2X',
+    name: '08-2X',
+    description: '中型MTT',
+    leveling: { bcLength: 3.21, cdLength: 9.79 },
+    lining: { bcLength: 5.20, cdLength: 9.50 }
+  },
+  {
+    id: '08-275',
+    name: '08-275',
+    description: '特殊型MTT',
+    leveling: { bcLength: 3.63, cdLength: 9.37 },
+    lining: { bcLength: 5.20, cdLength: 9.50 },
+    connection: { dPointDistance: 9.8, cPointDistance: 4.9 },
+    correctionChord: { bcLength: 3.2, cdLength: 8.5 }
+  },
+  {
+    id: '08-32',
+    name: '08-32型',
+    description: '標準型（誘導補正）',
+    frontOffset: 12.5,
+    workingSpeed: 0.8,
+    liftCapacity: 50,
+    liningCapacity: 40,
+    tampingUnits: 32,
+    correctionFactors: { level: 1.0, alignment: 1.05, cant: 1.0, gauge: 1.0 }
+  },
+  {
+    id: '09-32',
+    name: '09-32型',
+    description: '新型',
+    leveling: { bcLength: 8.0, cdLength: 8.0 },
+    connection: { dPointDistance: 13.5, cPointDistance: 6.75 },
+    correctionChord: { bcLength: 8.0, cdLength: 8.0 },
+    frontOffset: 13.0,
+    workingSpeed: 1.0,
+    liftCapacity: 60,
+    liningCapacity: 45,
+    tampingUnits: 32,
+    liftingPoints: 4,
+    liningPoints: 3,
+    correctionFactors: { level: 1.0, alignment: 1.03, cant: 1.0, gauge: 1.0 }
+  },
+  {
+    id: '09-16',
+    name: '09-16',
+    description: '連続式MTT',
+    leveling: { bcLength: 7.5, cdLength: 7.5 },
+    connection: { dPointDistance: 12.0, cPointDistance: 6.0 },
+    correctionChord: { bcLength: 7.5, cdLength: 7.5 },
+    liftingPoints: 4
+  },
+  {
+    id: 'MTT-15',
+    name: 'MTT-15',
+    description: '15m弦MTT',
+    leveling: { bcLength: 10.0, cdLength: 10.0 },
+    connection: { dPointDistance: 15.0, cPointDistance: 7.5 },
+    correctionChord: { bcLength: 10.0, cdLength: 10.0 },
+    liftingPoints: 4,
+    liningPoints: 3,
+    eccFactor: 2.5
+  },
+  {
+    id: 'DGS-90',
+    name: 'DGS-90型',
+    description: '動的安定装置付き',
+    manufacturer: 'Matisa',
+    frontOffset: 14.5,
+    workingSpeed: 0.6,
+    liftCapacity: 55,
+    liningCapacity: 42,
+    tampingUnits: 24,
+    measurementChord: 12,
+    correctionFactors: { level: 0.98, alignment: 1.08, cant: 1.02, gauge: 1.0 }
+  },
+  {
+    id: 'multi-tie',
+    name: 'マルチプルタイタンパー',
+    description: '汎用',
+    manufacturer: 'Various',
+    frontOffset: 11.5,
+    workingSpeed: 0.5,
+    liftCapacity: 45,
+    liningCapacity: 35,
+    tampingUnits: 16,
+    correctionFactors: { level: 1.02, alignment: 1.06, cant: 1.0, gauge: 1.0 }
+  }
+];
+
+/**
+ * 数値項目の検証範囲
+ */
+const NUMERIC_RULES = {
+  'leveling.bcLength': { min: 0.5, max: 30, label: 'レベリングBC間弦長 (m)' },
+  'leveling.cdLength': { min: 0.5, max: 30, label: 'レベリングCD間弦長 (m)' },
+  'lining.bcLength': { min: 0.5, max: 30, label: 'ライニングBC間弦長 (m)' },
+  'lining.cdLength': { min: 0.5, max: 30, label: 'ライニングCD間弦長 (m)' },
+  'connection.dPointDistance': { min: 0.5, max: 50, label: '接続 D点距離 (m)' },
+  'connection.cPointDistance': { min: 0.5, max: 50, label: '接続 C点距離 (m)' },
+  'correctionChord.bcLength': { min: 0.5, max: 30, label: '偏心矢 BC間弦長 (m)' },
+  'correctionChord.cdLength': { min: 0.5, max: 30, label: '偏心矢 CD間弦長 (m)' },
+  frontOffset: { min: 0, max: 50, label: 'フロントオフセット (m)' },
+  liftCapacity: { min: 1, max: 200, label: '最大こう上量 (mm)' },
+  liningCapacity: { min: 1, max: 200, label: '最大通り移動量 (mm)' },
+  workingSpeed: { min: 0.05, max: 5, label: '作業速度 (km/h)' },
+  tampingUnits: { min: 1, max: 64, integer: true, label: 'タンピングユニット数' },
+  measurementChord: { min: 1, max: 40, label: '測定弦長 (m)' },
+  liftingPoints: { min: 1, max: 10, integer: true, label: 'こう上点数' },
+  liningPoints: { min: 1, max: 10, integer: true, label: '通り整正点数' },
+  eccFactor: { min: 0.1, max: 10, label: '偏心矢の倍率' },
+  'correctionFactors.level': { min: 0.5, max: 1.5, label: '高低補正係数' },
+  'correctionFactors.alignment': { min: 0.5, max: 1.5, label: '通り補正係数' },
+  'correctionFactors.cant': { min: 0.5, max: 1.5, label: '水準補正係数' },
+  'correctionFactors.gauge': { min: 0.5, max: 1.5, label: '軌間補正係数' }
+};
+
+const PROFILE_ID_PATTERN = /^[A-Za-z0-9_.-]{1,32}$/;
+
+/**
+ * 既定値を補ったプロファイルを作成
+ * @param {Object} source - 部分的なプロファイル
+ * @param {Object} base - 補完元
+ * @returns {Object} プロファイル
+ */
+function completeProfile(source, base = PROFILE_DEFAULTS) {
+  return {
+    ...base,
+    ...source,
+    leveling: { ...base.leveling, ...source.leveling },
+    lining: { ...base.lining, ...source.lining },
+    connection: { ...base.connection, ...source.connection },
+    correctionChord: { ...base.correctionChord, ...source.correctionChord },
+    correctionFactors: { ...base.correctionFactors, ...source.correctionFactors }
+  };
+}
+
+/**
+ * ドット区切りのパスで値を取得
+ */
+function getPath(object, keyPath) {
+  return keyPath.split('.').reduce((value, key) => (value == null ? undefined : value[key]), object);
+}
+
+class MTTRegistry {
+  /**
+   * @param {ProjectStore} store - 利用者定義機種の永続化ストア
+   */
+  constructor(store = new ProjectStore(path.join(__dirname, '../../data/projects/mtt-profiles'))) {
+    this.builtIns = new Map(
+      BUILT_IN_PROFILES.map(profile => [profile.id, { ...completeProfile(profile), builtIn: true }])
+    );
+    this.customProfiles = new Map();
+    this.store = store;
+    this.loaded = false;
+  }
+
+  /**
+   * 保存済みの利用者定義機種を読み込み（初回参照時に一度だけ）
+   * 各アルゴリズムのコンストラクタから同期的に参照されるため同期読み込みとする
+   */
+  ensureLoaded() {
+    if (this.loaded) return;
+    this.loaded = true;
+
+    for (const record of this.store.loadAllSync()) {
+      if (record && record.id && !this.builtIns.has(record.id)) {
+        this.customProfiles.set(record.id, { ...completeProfile(record), builtIn: false });
+      }
+    }
+  }
+
+  /**
+   * 全プロファイル一覧（組み込み → 利用者定義の順）
+   * @returns {Object[]} プロファイル配列
+   */
+  getAllProfiles() {
+    this.ensureLoaded();
+    return [...this.builtIns.values(), ...this.customProfiles.values()];
+  }
+
+  /**
+   * プロファイルを取得
+   * @param {string} id - 機種ID
+   * @returns {Object|null} プロファイル
+   */
+  getProfile(id) {
+    this.ensureLoaded();
+    return this.builtIns.get(id) || this.customProfiles.get(id) || null;
+  }
+
+  /**
+   * プロファイルを取得（存在しない場合は404エラー）
+   * @param {string} id - 機種ID
+   * @returns {Object} プロファイル
+   */
+  requireProfile(id) {
+    const profile = this.getProfile(id);
+    if (!profile) {
+      throw createError(404, `未知のMTT機種: ${id}`);
+    }
+    return profile;
+  }
+
+  /**
+   * 利用者定義機種を作成
+   * @param {Object} input - プロファイル（basedOn を指定するとその機種の値で補完）
+   * @returns {Promise<Object>} 作成したプロファイル
+   */
+  async createProfile(input = {}) {
+    this.ensureLoaded();
+
+    if (this.getProfile(input.id)) {
+      throw createError(409, `MTT機種 ${input.id} は既に存在します`);
+    }
+
+    const profile = this.buildProfile(input);
+
+    const record = {
+      ...profile,
+      builtIn: false,
+      basedOn: input.basedOn || null,
+      createdAt: new Date().toISOString(),
+      updatedAt: new Date().toISOString()
+    };
+
+    await this.store.save(record);
+    this.customProfiles.set(record.id, record);
+    return record;
+  }
+
+  /**
+   * 入力から保存用プロファイルを組み立てて検証
+   * @param {Object} input - プロファイル（basedOn を指定するとその機種の値で補完）
+   * @returns {Object} 検証済みプロファイル
+   */
+  buildProfile(input = {}) {
+    const { basedOn, builtIn, ...fields } = input;
+    const base = basedOn ? this.requireProfile(basedOn) : PROFILE_DEFAULTS;
+    return this.validateProfile(completeProfile(fields, base));
+  }
+
+  /**
+   * 利用者定義機種を更新（部分更新）
+   * @param {string} id - 機種ID
+   * @param {Object} changes - 変更内容
+   * @returns {Promise<Object>} 更新後のプロファイル
+   */
+  async updateProfile(id, changes = {}) {
+    const current = this.requireCustomProfile(id);
+    const profile = this.validateProfile(completeProfile({ ...changes, id }, current));
+
+    const record = {
+      ...profile,
+      builtIn: false,
+      basedOn: current.basedOn || null,
+      createdAt: current.createdAt,
+      updatedAt: new Date().toISOString()
+    };
+
+    await this.store.save(record);
+    this.customProfiles.set(id, record);
+    return record;
+  }
+
+  /**
+   * 利用者定義機種を削除
+   * @param {string} id - 機種ID
+   */
+  async deleteProfile(id) {
+    this.requireCustomProfile(id);
+    await this.store.delete(id);
+    this.customProfiles.delete(id);
+  }
+
+  /**
+   * 利用者定義機種を取得（組み込み機種は変更不可）
+   */
+  requireCustomProfile(id) {
+    const profile = this.requireProfile(id);
+    if (profile.builtIn) {
+      throw createError(403, `組み込みMTT機種 ${id} は変更・削除できません`);
+    }
+    return profile;
+  }
+
+  /**
+   * プロファイルの検証
+   * @param {Object} profile - 検証対象
+   * @returns {Object} 保存用に整えたプロファイル
+   */
+  validateProfile(profile) {
+    const errors = [];
+
+    if (typeof profile.id !== 'string' || !PROFILE_ID_PATTERN.test(profile.id)) {
+      errors.push('機種IDは英数字・「_」「.」「-」の32文字以内で指定してください');
+    }
+    if (profile.name !== undefined && typeof profile.name !== 'string') {
+      errors.push('機種名は文字列で指定してください');
+    }
+
+    for (const [keyPath, rule] of Object.entries(NUMERIC_RULES)) {
+      const value = getPath(profile, keyPath);
+      if (typeof value !== 'number' || !Number.isFinite(value)) {
+        errors.push(`${rule.label}は数値で指定してください`);
+      } else if (value < rule.min || value > rule.max) {
+        errors.push(`${rule.label}は${rule.min}〜${rule.max}の範囲で指定してください (${value})`);
+      } else if (rule.integer && !Number.isInteger(value)) {
+        errors.push(`${rule.label}は整数で指定してください (${value})`);
+      }
+    }
+
+    if (errors.length > 0) {
+      throw createError(400, 'MTT機種設定が不正です', errors);
+    }
+
+    return {
+      id: profile.id,
+      name: profile.name || profile.id,
+      description: profile.description || '',
+      manufacturer: profile.manufacturer || '',
+      leveling: { bcLength: profile.leveling.bcLength, cdLength: profile.leveling.cdLength },
+      lining: { bcLength: profile.lining.bcLength, cdLength: profile.lining.cdLength },
+      connection: {
+        dPointDistance: profile.connection.dPointDistance,
+        cPointDistance: profile.connection.cPointDistance
+      },
+      correctionChord: { bcLength: profile.correctionChord.bcLength, cdLength: profile.correctionChord.cdLength },
+      frontOffset: profile.frontOffset,
+      liftCapacity: profile.liftCapacity,
+      liningCapacity: profile.liningCapacity,
+      workingSpeed: profile.workingSpeed,
+      tampingUnits: profile.tampingUnits,
+      measurementChord: profile.measurementChord,
+      liftingPoints: profile.liftingPoints,
+      liningPoints: profile.liningPoints,
+      eccFactor: profile.eccFactor,
+      correctionFactors: { ...profile.correctionFactors }
+    };
+  }
+
+  /**
+   * MTTConfiguration 形式（弦長設定）
+   * @param {Object} profile - プロファイル
+   * @returns {{name, description, leveling, lining}}
+   */
+  toChordConfig(profile) {
+    return {
+      name: profile.id,
+      description: profile.description,
+      leveling: { ...profile.leveling },
+      lining: { ...profile.lining }
+    };
+  }
+
+  /**
+   * MTTGuidanceSystem 形式（誘導補正パラメータ）
+   * @param {Object} profile - プロファイル
+   */
+  toGuidanceParameters(profile) {
+    return {
+      name: profile.name,
+      manufacturer: profile.manufacturer,
+      frontOffset: profile.frontOffset,
+      workingSpeed: profile.workingSpeed,
+      liftCapacity: profile.liftCapacity,
+      alignmentCapacity: profile.liningCapacity,
+      tampingUnits: profile.tampingUnits,
+      measurementChord: profile.measurementChord,
+      correctionFactors: { ...profile.correctionFactors }
+    };
+  }
+
+  /**
+   * BoundaryConnection 形式（B点からのC点・D点距離）
+   * @param {Object} profile - プロファイル
+   */
+  toConnectionParameters(profile) {
+    return {
+      dPointDistance: profile.connection.dPointDistance,
+      cPointDistance: profile.connection.cPointDistance,
+      liftingPoints: profile.liftingPoints,
+      liningPoints: profile.liningPoints
+    };
+  }
+
+  /**
+   * MovementCorrectionOptions 形式（偏心矢計算用）
+   * @param {Object} profile - プロファイル
+   */
+  toCorrectionParameters(profile) {
+    return {
+      bcDistance: profile.correctionChord.bcLength,
+      cdDistance: profile.correctionChord.cdLength,
+      liftingPoints: profile.liftingPoints,
+      liningPoints: profile.liningPoints,
+      eccFactor: profile.eccFactor
+    };
+  }
+}
+
+// シングルトンインスタンス
+const mttRegistry = new MTTRegistry();
+
+module.exports = mttRegistry;
+module.exports.MTTRegistry = MTTRegistry;
@@ -0,0 +1,97 @@
+/**
+ * labox-to-rsq-converter.js のテスト
+ */
+import { describe, test, expect } from '@jest/globals';
+import iconv from 'iconv-lite';
+import LaboxParser from '../../parsers/labox-parser.js';
+import { RSQParser } from '../../parsers/rsq-parser.js';
+import { LaboxToRSQConverter } from '../labox-to-rsq-converter.js';
+
+/**
+ * テスト用のLBXデータ（7チャンネル: 左右高低・左右通り・軌間・カント・水準）
+ * 開始キロ程 1.1995km のため、先頭2点は整数mに掛からない
+ */
+function createLBXData({ dataInterval = 0.25, direction = 1 } = {}) {
+  const channelCount = 7;
+  const dataCount = 8;
+  const buffer = Buffer.alloc(256 + dataCount * channelCount * 4);
+  buffer.write('LABOX\0\0\0', 0, 'latin1');
+  buffer.writeBigInt64LE(BigInt(new Date(2024, 0, 31).getTime() / 1000), 10);
+  buffer.writeDoubleLE(1.1995, 22);
+  buffer.writeFloatLE(dataInterval, 38);
+  buffer.writeUInt32LE(dataCount, 42);
+  buffer.writeUInt16LE(channelCount, 46);
+  buffer.writeUInt16LE(direction, 114);
+
+  for (let i = 0; i < dataCount; i++) {
+    for (let ch = 0; ch < channelCount; ch++) {
+      buffer.writeFloatLE(ch * 10 + i * 0.5, 256 + (i * channelCount + ch) * 4);
+    }
+  }
+  return LaboxParser.parseLBX(buffer);
+}
+
+describe('LaboxToRSQConverter', () => {
+  const converter = new LaboxToRSQConverter();
+  const rsqParser = new RSQParser();
+
+  test('RSQ に出力できる全チャンネルを項目別のファイルにし、先頭の端数点を切り捨てる', () => {
+    const files = converter.convertToRSQFiles(createLBXData());
+
+    expect(files.map(file => [file.channel, file.itemCode, file.fileName])).toEqual([
+      ['leftLevel', '2C', 'TKR0142C_20240131.RSQ'],
+      ['rightLevel', '1C', 'TKR0141C_20240131.RSQ'],
+      ['leftAlignment', '6C', 'TKR0146C_20240131.RSQ'],
+      ['rightAlignment', '5C', 'TKR0145C_20240131.RSQ'],
+      ['gauge', 'GC', 'TKR014GC_20240131.RSQ'],
+      ['twist', 'SC', 'TKR014SC_20240131.RSQ']
+    ]);
+
+    const gauge = rsqParser.parse(files[4].buffer);
+    expect(gauge.header).toMatchObject({
+      fileId: 'TKR014GC',
+      direction: 'R',
+      measurementDate: new Date(2024, 0, 31),
+      startKilometer: 1200,
+      dataPoints: 6,
+      samplingInterval: 0.25
+    });
+    expect(Array.from(gauge.data)).toEqual([41, 41.5, 42, 42.5, 43, 43.5]);
+  });
+
+  test('チャンネル・路線コード・上下区分を指定して変換する', () => {
+    const files = converter.convertToRSQFiles(createLBXData(), ['gauge'], { lineCode: 'SY', direction: 'D' });
+
+    expect(files).toHaveLength(1);
+    expect(files[0].fileName).toBe('SYD014GC_20240131.RSQ');
+  });
+
+  test('LDT のキロ程列 (km) から変換する', () => {
+    const text = [
+      '測定日: 2024/01/31',
+      'キロ程\t右高低',
+      '0.50000\t1.5',
+      '0.50025\t-1.5',
+      '0.50050\t2.5'
+    ].join('\r\n');
+
+    const [file] = converter.convertToRSQFiles(LaboxParser.parseLDT(iconv.encode(text, 'Shift_JIS')));
+
+    expect(file.fileName).toBe('TKD0141C_20240131.RSQ');
+    expect(rsqParser.toMeasurementData(rsqParser.parse(file.buffer))).toEqual([
+      { distance: 500, value: 1.5 },
+      { distance: 500.25, value: -1.5 },
+      { distance: 500.5, value: 2.5 }
+    ]);
+  });
+
+  test('RSQ の項目にないチャンネルはエラー', () => {
+    expect(() => converter.convertToRSQFiles(createLBXData(), ['gauge', 'cant']))
+      .toThrow('Channels not supported by RSQ: cant');
+  });
+
+  test('0.25m 間隔でないデータはエラー', () => {
+    expect(() => converter.convertToRSQFiles(createLBXData({ dataInterval: 0.5 }), ['gauge']))
+      .toThrow('RSQ requires 0.25m interval data');
+  });
+});
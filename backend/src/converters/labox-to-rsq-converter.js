@@ -0,0 +1,129 @@
+/**
+ * LABOX→RSQ変換機能
+ * LABOX（LBX/LDT）の各チャンネルをRSQファイル（項目別）に分割
+ *
+ * 変換内容:
+ * - LABOXデータから選択チャンネルを抽出
+ * - RSQは0.25m間隔・開始キロ程が整数(m)のため、先頭の端数点を切り捨てて出力
+ * - ファイル名規則は DCP→RSQ 変換と同一
+ */
+
+const LaboxParser = require('../parsers/labox-parser');
+const { RSQParser } = require('../parsers/rsq-parser');
+const { DCPToRSQConverter } = require('./dcp-to-rsq-converter');
+
+class LaboxToRSQConverter {
+  constructor() {
+    this.SAMPLING_INTERVAL = 0.25;
+
+    // LABOXチャンネルとRSQ項目コードのマッピング
+    this.ITEM_CODE_MAP = {
+      'rightLevel': '1C',      // 高低右 10m弦
+      'leftLevel': '2C',       // 高低左 10m弦
+      'rightAlignment': '5C',  // 通り右 10m弦
+      'leftAlignment': '6C',   // 通り左 10m弦
+      'gauge': 'GC',           // 軌間
+      'twist': 'SC'            // 水準
+    };
+
+    this.rsqParser = new RSQParser();
+    this.fileNaming = new DCPToRSQConverter();
+  }
+
+  /**
+   * LABOXデータからRSQファイル情報を生成
+   * @param {{header: Object, data: Array}} laboxData - LaboxParser.parseLBX / parseLDT の結果
+   * @param {string[]} channels - 出力するチャンネル名（省略時はRSQ出力可能な全チャンネル）
+   * @param {Object} options - オプション
+   * @param {string} [options.lineCode] - 路線コード（2文字）
+   * @param {string} [options.direction] - 上下区分（D:下り, R:上り、省略時はLBXヘッダーから判定）
+   * @returns {Array<{fileName: string, buffer: Buffer, itemCode: string, channel: string}>} ファイル情報配列
+   */
+  convertToRSQFiles(laboxData, channels = null, options = {}) {
+    const { header = {} } = laboxData;
+    const targetChannels = channels || LaboxParser.getAvailableChannels(laboxData.data)
+      .filter(channel => this.ITEM_CODE_MAP[channel]);
+
+    const unsupported = targetChannels.filter(channel => !this.ITEM_CODE_MAP[channel]);
+    if (unsupported.length > 0) {
+      throw new Error(`Channels not supported by RSQ: ${unsupported.join(', ')}`);
+    }
+
+    const lineCode = options.lineCode || 'TK';
+    const direction = options.direction || (header.direction === 1 ? 'R' : 'D');
+    const measurementDate = this.isValidDate(header.measurementDate) ? header.measurementDate : null;
+
+    const { items } = LaboxParser.toMeasurementData(laboxData, { channels: targetChannels });
+    const files = [];
+
+    for (const channel of targetChannels) {
+      const itemCode = this.ITEM_CODE_MAP[channel];
+      const measurementData = this.alignToMeter(items[channel], channel);
+
+      const rsqData = this.rsqParser.fromMeasurementData(measurementData, {
+        fileId: this.fileNaming.generateFileId(lineCode, direction, itemCode),
+        measurementDate
+      });
+      const fileName = this.fileNaming.generateFileName(lineCode, direction, itemCode, measurementDate);
+
+      files.push({
+        fileName: `${fileName}.RSQ`,
+        buffer: this.rsqParser.write(rsqData),
+        itemCode,
+        channel
+      });
+    }
+
+    return files;
+  }
+
+  /**
+   * RSQの配置（0.25m間隔・整数m始まり）に合わせて測定データを整える
+   * @param {MeasurementData[]} measurementData - 測定データ
+   * @param {string} channel - チャンネル名（エラー表示用）
+   * @returns {MeasurementData[]} 先頭の端数点を除いた測定データ
+   */
+  alignToMeter(measurementData, channel) {
+    const tolerance = 1e-3;
+
+    for (let i = 1; i < measurementData.length; i++) {
+      const interval = measurementData[i].distance - measurementData[i - 1].distance;
+      if (Math.abs(interval - this.SAMPLING_INTERVAL) > tolerance) {
+        throw new Error(
+          `RSQ requires ${this.SAMPLING_INTERVAL}m interval data (${channel}: ${interval.toFixed(3)}m at ${measurementData[i].distance}m)`
+        );
+      }
+    }
+
+    const firstIndex = measurementData.findIndex(point =>
+      Math.abs(point.distance - Math.round(point.distance)) < tolerance
+    );
+    if (firstIndex < 0) {
+      throw new Error(`No data point on a whole meter for ${channel}`);
+    }
+
+    return measurementData.slice(firstIndex).map(point => ({
+      distance: Math.round(point.distance / this.SAMPLING_INTERVAL) * this.SAMPLING_INTERVAL,
+      value: point.value
+    }));
+  }
+
+  /**
+   * 有効な日付か判定
+   * @param {*} date - 判定対象
+   * @returns {boolean} 有効な Date の場合 true
+   */
+  isValidDate(date) {
+    return date instanceof Date && !isNaN(date.getTime());
+  }
+
+  /**
+   * サポートされているチャンネル名を取得
+   * @returns {string[]} チャンネル名配列
+   */
+  getSupportedChannels() {
+    return Object.keys(this.ITEM_CODE_MAP);
+  }
+}
+
+module.exports = { LaboxToRSQConverter };
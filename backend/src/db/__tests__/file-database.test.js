@@ -0,0 +1,113 @@
+/**
+ * file-database.js のテスト
+ */
+import { describe, test, expect, beforeEach, afterEach, jest } from '@jest/globals';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { FileDatabase } from '../file-database.js';
+import { resolveStorage } from '../config.js';
+
+describe('FileDatabase', () => {
+  let directory;
+  let consoleSpies;
+
+  const open = () => new FileDatabase({ directory, adminPassword: 'admin-password' });
+  const readLines = tableName => fs.readFileSync(path.join(directory, `${tableName}.jsonl`), 'utf8')
+    .split('\n')
+    .filter(Boolean)
+    .map(line => JSON.parse(line));
+  const log = (db, message) => db.insert('system_logs', { log_level: 'info', message });
+
+  beforeEach(() => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'file-database-'));
+    consoleSpies = ['log', 'warn'].map(method => jest.spyOn(console, method).mockImplementation(() => {}));
+  });
+
+  afterEach(() => {
+    consoleSpies.forEach(spy => spy.mockRestore());
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  test('追記専用テーブルは1行ずつ追記し、テーブル全体を書き直さない', async () => {
+    const db = open();
+    log(db, 'first');
+    await db.flush();
+    const usersFile = path.join(directory, 'users.json');
+    const usersWritten = fs.statSync(usersFile).mtimeMs;
+
+    log(db, 'second');
+    await db.flush();
+
+    expect(readLines('system_logs').map(row => row.message)).toEqual(['first', 'second']);
+    expect(fs.existsSync(path.join(directory, 'system_logs.json'))).toBe(false);
+    expect(fs.statSync(usersFile).mtimeMs).toBe(usersWritten);
+  });
+
+  test('再読み込みで行と連番を復元する', async () => {
+    const db = open();
+    log(db, 'first');
+    log(db, 'second');
+    await db.flush();
+
+    const reopened = open();
+    expect(reopened.select('system_logs').map(row => row.message)).toEqual(['first', 'second']);
+    expect(log(reopened, 'third').id).toBe(3);
+    await reopened.flush();
+  });
+
+  test('削除時はファイルを書き直し、削除した id を再利用しない', async () => {
+    const db = open();
+    log(db, 'first');
+    log(db, 'second');
+    db.delete('system_logs', row => row.message === 'second');
+    await db.flush();
+
+    expect(readLines('system_logs').map(row => row.message)).toEqual(['first']);
+    const reopened = open();
+    expect(log(reopened, 'third').id).toBe(3);
+    await reopened.flush();
+  });
+
+  test('トランザクションを取り消した行は書き込まない', async () => {
+    const db = open();
+    expect(() => db.transaction(() => {
+      log(db, 'rolled back');
+      throw new Error('abort');
+    })).toThrow('abort');
+    log(db, 'kept');
+    await db.flush();
+
+    expect(readLines('system_logs').map(row => row.message)).toEqual(['kept']);
+  });
+
+  test('テーブル全体のレコードに保存された既存の行は次の書き込みで変換する', async () => {
+    const db = open();
+    db.insert('users', { username: 'u1', email: 'u1@example.com', password_hash: 'x' });
+    await db.flush();
+    fs.writeFileSync(path.join(directory, 'system_logs.json'), JSON.stringify({
+      id: 'system_logs',
+      sequence: 1,
+      rows: [{ id: 1, log_level: 'info', message: 'legacy' }]
+    }));
+
+    const reopened = open();
+    log(reopened, 'new');
+    await reopened.flush();
+
+    expect(readLines('system_logs').map(row => row.message)).toEqual(['legacy', 'new']);
+    expect(JSON.parse(fs.readFileSync(path.join(directory, 'system_logs.json'), 'utf8')).rows).toBeUndefined();
+  });
+});
+
+describe('resolveStorage', () => {
+  test('DB_STORAGE の指定を優先する', () => {
+    expect(resolveStorage({ DB_STORAGE: 'file', PG_HOST: 'db' })).toBe('file');
+  });
+
+  test('SQLデータベースの設定があれば sql、なければ file', () => {
+    expect(resolveStorage({ PG_HOST: 'db' })).toBe('sql');
+    expect(resolveStorage({ DB_TYPE: 'oracle' })).toBe('sql');
+    expect(resolveStorage({})).toBe('file');
+  });
+});
@@ -1,12 +1,38 @@
 /**
  * Database Configuration
- * PostgreSQL and Oracle connection settings
+ * PostgreSQL, Oracle and embedded file storage settings
  */
 
+const path = require('path');
+
+/**
+ * Repository storage backend: DB_STORAGE, otherwise 'sql' when a SQL database is configured
+ * (DB_TYPE, PG_HOST or ORACLE_CONNECT_STRING), otherwise 'file'
+ */
+function resolveStorage(env) {
+  if (env.DB_STORAGE) return env.DB_STORAGE;
+  return env.DB_TYPE || env.PG_HOST || env.ORACLE_CONNECT_STRING ? 'sql' : 'file';
+}
+
 const config = {
+  // Repository storage backend: 'file' (embedded, offline) or 'sql' (PostgreSQL / Oracle via DB_TYPE)
+  storage: resolveStorage(process.env),
+
   // Default database type
   defaultType: process.env.DB_TYPE || 'postgresql',
 
+  // Embedded file storage configuration
+  file: {
+    directory: process.env.DB_FILE_DIR || path.join(__dirname, '../../data/projects/db'),
+    adminPassword: process.env.DB_ADMIN_PASSWORD || null // initial password of the seeded admin user
+  },
+
+  // Authentication token settings (shared by both backends)
+  auth: {
+    jwtSecret: process.env.JWT_SECRET || 'your-secret-key-change-in-production',
+    jwtExpiry: process.env.JWT_EXPIRY || '24h'
+  },
+
   // PostgreSQL configuration
   postgresql: {
     host: process.env.PG_HOST || 'localhost',
@@ -57,4 +83,5 @@ const config = {
   }
 };
 
-module.exports = config;
\ No newline at end of file
+module.exports = config;
+module.exports.resolveStorage = resolveStorage;
\ No newline at end of file
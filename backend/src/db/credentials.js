@@ -0,0 +1,120 @@
+/**
+ * Credentials
+ * Password hashing and JWT (HS256) tokens built on node:crypto
+ *
+ * Used by the file storage backend so authentication works without bcryptjs / jsonwebtoken.
+ * Tokens are standard HS256 JWTs signed with JWT_SECRET, so they stay interchangeable
+ * with tokens issued by jsonwebtoken.
+ */
+
+const crypto = require('crypto');
+
+const SCRYPT_PARAMS = { N: 16384, r: 8, p: 1 };
+const KEY_LENGTH = 64;
+
+/**
+ * Hash a password (format: scrypt$N$r$p$salt$hash)
+ */
+function hashPassword(password) {
+  if (typeof password !== 'string' || password.length === 0) {
+    throw new Error('Password is required');
+  }
+  const salt = crypto.randomBytes(16).toString('base64');
+  const hash = crypto.scryptSync(password, salt, KEY_LENGTH, SCRYPT_PARAMS).toString('base64');
+  return `scrypt$${SCRYPT_PARAMS.N}$${SCRYPT_PARAMS.r}$${SCRYPT_PARAMS.p}$${salt}$${hash}`;
+}
+
+/**
+ * Verify a password against a stored hash
+ * bcrypt hashes (e.g. imported from PostgreSQL) are checked when bcryptjs is installed
+ */
+async function verifyPassword(password, storedHash) {
+  if (typeof password !== 'string' || typeof storedHash !== 'string') {
+    return false;
+  }
+
+  if (storedHash.startsWith('scrypt$')) {
+    const [, N, r, p, salt, hash] = storedHash.split('$');
+    const expected = Buffer.from(hash, 'base64');
+    const actual = crypto.scryptSync(password, salt, expected.length, { N: Number(N), r: Number(r), p: Number(p) });
+    return crypto.timingSafeEqual(expected, actual);
+  }
+
+  if (/^\$2[aby]\$/.test(storedHash)) {
+    try {
+      return await require('bcryptjs').compare(password, storedHash);
+    } catch (error) {
+      console.warn('bcrypt password hash found but bcryptjs is not available:', error.message);
+      return false;
+    }
+  }
+
+  return false;
+}
+
+function base64url(input) {
+  return Buffer.from(input).toString('base64').replace(/=+$/, '').replace(/\+/g, '-').replace(/\//g, '_');
+}
+
+function sign(data, secret) {
+  return crypto.createHmac('sha256', secret).update(data).digest('base64')
+    .replace(/=+$/, '').replace(/\+/g, '-').replace(/\//g, '_');
+}
+
+/**
+ * Expiry ('24h', '30m', '7d', '3600s' or seconds) to seconds
+ */
+function parseExpiry(expiresIn) {
+  if (typeof expiresIn === 'number') return expiresIn;
+  const match = String(expiresIn).trim().match(/^(\d+)\s*([smhd]?)$/);
+  if (!match) {
+    throw new Error(`Invalid token expiry: ${expiresIn}`);
+  }
+  const units = { '': 1, s: 1, m: 60, h: 3600, d: 86400 };
+  return Number(match[1]) * units[match[2]];
+}
+
+/**
+ * Sign a JWT (HS256)
+ */
+function signToken(payload, secret, expiresIn) {
+  const iat = Math.floor(Date.now() / 1000);
+  const header = base64url(JSON.stringify({ alg: 'HS256', typ: 'JWT' }));
+  const body = base64url(JSON.stringify({ ...payload, iat, exp: iat + parseExpiry(expiresIn) }));
+  return `${header}.${body}.${sign(`${header}.${body}`, secret)}`;
+}
+
+/**
+ * Verify a JWT (HS256) and return its payload
+ */
+function verifyToken(token, secret) {
+  const parts = typeof token === 'string' ? token.split('.') : [];
+  if (parts.length !== 3) {
+    throw new Error('Invalid token');
+  }
+
+  const [header, body, signature] = parts;
+  const expected = Buffer.from(sign(`${header}.${body}`, secret));
+  const actual = Buffer.from(signature);
+  if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+    throw new Error('Invalid token');
+  }
+
+  const { alg } = JSON.parse(Buffer.from(header, 'base64').toString('utf8'));
+  if (alg !== 'HS256') {
+    throw new Error('Invalid token');
+  }
+
+  const payload = JSON.parse(Buffer.from(body, 'base64').toString('utf8'));
+  if (payload.exp && payload.exp < Math.floor(Date.now() / 1000)) {
+    throw new Error('Token expired');
+  }
+  return payload;
+}
+
+module.exports = {
+  hashPassword,
+  verifyPassword,
+  signToken,
+  verifyToken
+};
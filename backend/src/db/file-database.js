@@ -0,0 +1,453 @@
+/**
+ * File Database
+ * Embedded JSON-file storage for the offline (DB_STORAGE=file) backend
+ *
+ * Tables, columns, defaults and constraints are read from migrations/001_create_tables.sql,
+ * so rows keep the same shape as the PostgreSQL schema:
+ * - SERIAL ids, column DEFAULTs and CURRENT_TIMESTAMP
+ * - NOT NULL / UNIQUE / CHECK (column IN (...)) constraints
+ * - REFERENCES checks, ON DELETE CASCADE and restrict-on-delete otherwise
+ * - updated_at triggers
+ * Each table is persisted as one record of the ProjectStore (atomic writes).
+ * Append-only tables (logs, audit trail, metrics) are stored as JSON lines: an insert appends its row,
+ * and only updates/deletes rewrite the file.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { ProjectStore } = require('../utils/project-store');
+const { createError } = require('../utils/common');
+const config = require('./config');
+
+const SCHEMA_FILE = path.join(__dirname, 'migrations/001_create_tables.sql');
+
+// Tables that only grow by inserts (stored as JSON lines)
+const APPEND_ONLY_TABLES = ['system_logs', 'audit_trail', 'performance_metrics'];
+
+/**
+ * Parse CREATE TABLE statements
+ * @returns {Object} table name -> { columns: { name -> column definition } }
+ */
+function parseSchema(sql) {
+  const tables = {};
+  const tablePattern = /CREATE TABLE IF NOT EXISTS (\w+) \(([\s\S]*?)\n\);/g;
+  let match;
+
+  while ((match = tablePattern.exec(sql)) !== null) {
+    const [, tableName, body] = match;
+    const columns = {};
+
+    for (const rawLine of body.split('\n')) {
+      const line = rawLine.trim().replace(/,$/, '');
+      const columnMatch = line.match(/^(\w+)\s+([A-Z]+)(?:\s*\([^)]*\))?(.*)$/);
+      if (!columnMatch) continue;
+
+      const [, name, type, rest] = columnMatch;
+      const defaultMatch = rest.match(/DEFAULT\s+('[^']*'|[\w.]+)/);
+      const referenceMatch = rest.match(/REFERENCES\s+(\w+)\((\w+)\)/);
+      const checkMatch = rest.match(/CHECK \(\w+ IN \(([^)]*)\)\)/);
+
+      columns[name] = {
+        type,
+        primaryKey: /PRIMARY KEY/.test(rest),
+        notNull: /NOT NULL/.test(rest),
+        unique: /UNIQUE/.test(rest),
+        default: defaultMatch ? parseDefault(defaultMatch[1]) : undefined,
+        references: referenceMatch ? {
+          table: referenceMatch[1],
+          column: referenceMatch[2],
+          onDeleteCascade: /ON DELETE CASCADE/.test(rest)
+        } : null,
+        allowed: checkMatch ? checkMatch[1].split(',').map(v => v.trim().replace(/^'|'$/g, '')) : null
+      };
+    }
+
+    tables[tableName] = { columns };
+  }
+
+  return tables;
+}
+
+function parseDefault(value) {
+  if (value === 'CURRENT_TIMESTAMP') return { now: true };
+  if (value === 'true' || value === 'false') return { value: value === 'true' };
+  if (value.startsWith("'")) return { value: value.slice(1, -1) };
+  return { value: Number(value) };
+}
+
+/**
+ * Coerce a value to the column type
+ */
+function coerce(column, value) {
+  if (value === undefined || value === null || value === '') {
+    return value === '' && !['INTEGER', 'BIGINT', 'DECIMAL', 'SERIAL'].includes(column.type) ? value : null;
+  }
+  switch (column.type) {
+    case 'SERIAL':
+    case 'INTEGER':
+    case 'BIGINT': {
+      const number = Number(value);
+      if (!Number.isFinite(number)) throw createError(400, `invalid input syntax for type integer: "${value}"`);
+      return Math.trunc(number);
+    }
+    case 'DECIMAL': {
+      const number = Number(value);
+      if (!Number.isFinite(number)) throw createError(400, `invalid input syntax for type numeric: "${value}"`);
+      return number;
+    }
+    case 'BOOLEAN':
+      return value === true || value === 'true' || value === 't' || value === 1;
+    case 'JSONB':
+      return typeof value === 'string' ? JSON.parse(value) : value;
+    case 'TIMESTAMP':
+    case 'DATE':
+      return new Date(value).toISOString();
+    default:
+      return String(value);
+  }
+}
+
+class FileDatabase {
+  /**
+   * @param {Object} options
+   * @param {string} options.directory - storage directory
+   * @param {string} options.adminPassword - initial password of the seeded admin user
+   */
+  constructor(options = {}) {
+    this.schema = parseSchema(fs.readFileSync(SCHEMA_FILE, 'utf8'));
+    this.store = new ProjectStore(options.directory || config.file.directory);
+    this.adminPassword = options.adminPassword ?? config.file.adminPassword;
+    this.tables = null;        // table name -> { sequence, rows }
+    this.transactionDepth = 0;
+    this.dirty = new Set();    // tables changed inside the current transaction
+    this.appended = new Map(); // append-only table name -> rows not yet written
+    this.rewrites = new Set(); // append-only tables whose file must be rewritten
+  }
+
+  /**
+   * Load tables (and seed a new database the way 001_create_tables.sql does)
+   */
+  async initialize() {
+    this.ensureLoaded();
+    console.log(`File database ready: ${this.store.storeDirectory}`);
+    return true;
+  }
+
+  /**
+   * Load tables synchronously on first access
+   */
+  ensureLoaded() {
+    if (this.tables) return;
+
+    const records = this.store.loadAllSync();
+    const isNew = records.length === 0;
+    this.tables = {};
+    for (const tableName of Object.keys(this.schema)) {
+      const record = records.find(r => r.id === tableName);
+      this.tables[tableName] = APPEND_ONLY_TABLES.includes(tableName)
+        ? this.loadAppendOnly(tableName, record)
+        : record
+          ? { sequence: record.sequence, rows: record.rows }
+          : { sequence: 0, rows: [] };
+    }
+
+    if (isNew) {
+      this.seed();
+    }
+  }
+
+  /**
+   * Load an append-only table from its JSON lines
+   * The table record only keeps the sequence, so ids are not reused after deleting the latest rows.
+   * Rows of an older whole-table record are converted on the next write.
+   */
+  loadAppendOnly(tableName, record) {
+    let rows = this.store.loadLinesSync(tableName);
+    if (rows === null) {
+      rows = record && record.rows ? record.rows : [];
+      if (rows.length > 0) this.rewrites.add(tableName);
+    }
+    const lastId = rows.reduce((max, row) => (row.id > max ? row.id : max), 0);
+    return { sequence: Math.max(record ? record.sequence : 0, lastId), rows };
+  }
+
+  /**
+   * Initial rows of 001_create_tables.sql
+   */
+  seed() {
+    const { hashPassword } = require('./credentials');
+
+    this.transaction(() => {
+      this.insert('users', {
+        username: 'admin',
+        email: 'admin@railtrack.local',
+        // Without DB_ADMIN_PASSWORD the admin keeps the schema's placeholder hash and cannot log in
+        password_hash: this.adminPassword ? hashPassword(this.adminPassword) : '$2b$10$YourHashedPasswordHere',
+        full_name: 'System Administrator',
+        role: 'admin'
+      });
+
+      [
+        ['Standard Lowpass', '標準ローパスフィルタ', 'lowpass', { cutoff: 0.5, order: 4 }, true],
+        ['Strong Noise Reduction', '強力ノイズ除去', 'lowpass', { cutoff: 0.3, order: 6 }, false],
+        ['Bandpass Filter', 'バンドパスフィルタ', 'bandpass', { low: 0.1, high: 0.8 }, false]
+      ].forEach(([name, description, filterType, parameters, isDefault]) => {
+        this.insert('filter_configurations', {
+          name,
+          description,
+          filter_type: filterType,
+          parameters,
+          is_default: isDefault
+        });
+      });
+    });
+
+    if (!this.adminPassword) {
+      console.warn('File database: set DB_ADMIN_PASSWORD before the first start to enable the admin account');
+    }
+  }
+
+  getTable(tableName) {
+    this.ensureLoaded();
+    const table = this.tables[tableName];
+    if (!table) {
+      throw createError(500, `relation "${tableName}" does not exist`);
+    }
+    return table;
+  }
+
+  /**
+   * Insert a row
+   * @returns {Object} inserted row (copy)
+   */
+  insert(tableName, values) {
+    const table = this.getTable(tableName);
+    const { columns } = this.schema[tableName];
+    const now = new Date().toISOString();
+    const row = { id: null };
+
+    for (const [name, column] of Object.entries(columns)) {
+      if (column.type === 'SERIAL') continue;
+      let value = values[name];
+      if (value === undefined || value === null) {
+        value = column.default ? (column.default.now ? now : column.default.value) : null;
+      }
+      row[name] = coerce(column, value);
+    }
+
+    this.validate(tableName, row, null);
+    row.id = ++table.sequence;
+    table.rows.push(row);
+    if (APPEND_ONLY_TABLES.includes(tableName)) {
+      if (!this.appended.has(tableName)) this.appended.set(tableName, []);
+      this.appended.get(tableName).push({ ...row });
+    }
+    this.persist(tableName);
+
+    return { ...row };
+  }
+
+  /**
+   * Select rows
+   * @param {Function} [predicate] - row filter
+   * @returns {Object[]} rows (copies)
+   */
+  select(tableName, predicate = () => true) {
+    return this.getTable(tableName).rows.filter(predicate).map(row => ({ ...row }));
+  }
+
+  /**
+   * Find a row by id
+   */
+  findById(tableName, id) {
+    const numericId = Number(id);
+    const row = this.getTable(tableName).rows.find(r => r.id === numericId);
+    return row ? { ...row } : null;
+  }
+
+  /**
+   * Update rows
+   * @param {Function|Object} changes - new column values, or function(row) returning them
+   * @returns {Object[]} updated rows (copies)
+   */
+  update(tableName, predicate, changes) {
+    const table = this.getTable(tableName);
+    const { columns } = this.schema[tableName];
+    const updated = [];
+
+    for (const row of table.rows.filter(predicate)) {
+      const values = typeof changes === 'function' ? changes({ ...row }) : changes;
+      const next = { ...row };
+      for (const [name, value] of Object.entries(values)) {
+        if (!columns[name] || name === 'id') continue;
+        next[name] = coerce(columns[name], value);
+      }
+      if (columns.updated_at && values.updated_at === undefined) {
+        next.updated_at = new Date().toISOString();
+      }
+      this.validate(tableName, next, row.id);
+      Object.assign(row, next);
+      updated.push({ ...row });
+    }
+
+    if (updated.length > 0) {
+      this.markRewrite(tableName);
+      this.persist(tableName);
+    }
+    return updated;
+  }
+
+  /**
+   * Delete rows (ON DELETE CASCADE, otherwise restrict)
+   * @returns {number} deleted row count
+   */
+  delete(tableName, predicate) {
+    const table = this.getTable(tableName);
+    const targets = table.rows.filter(predicate);
+    if (targets.length === 0) return 0;
+
+    const ids = new Set(targets.map(row => row.id));
+    this.transaction(() => {
+      for (const [childName, child] of Object.entries(this.schema)) {
+        for (const [columnName, column] of Object.entries(child.columns)) {
+          if (!column.references || column.references.table !== tableName) continue;
+          const isChild = row => ids.has(row[columnName]);
+          if (column.references.onDeleteCascade) {
+            this.delete(childName, isChild);
+          } else if (this.tables[childName].rows.some(isChild)) {
+            throw createError(409,
+              `update or delete on table "${tableName}" violates foreign key constraint on table "${childName}"`);
+          }
+        }
+      }
+      table.rows = table.rows.filter(row => !ids.has(row.id));
+      this.markRewrite(tableName);
+      this.persist(tableName);
+    });
+
+    return targets.length;
+  }
+
+  /**
+   * Run fn atomically: all changes are persisted together, or rolled back on error
+   * @param {Function} fn - synchronous function
+   */
+  transaction(fn) {
+    this.ensureLoaded();
+    const snapshot = this.transactionDepth === 0
+      ? Object.fromEntries(Object.entries(this.tables).map(([name, t]) => [name, { sequence: t.sequence, rows: t.rows.map(r => ({ ...r })) }]))
+      : null;
+
+    this.transactionDepth++;
+    try {
+      const result = fn();
+      this.transactionDepth--;
+      if (this.transactionDepth === 0) {
+        const dirty = [...this.dirty];
+        this.dirty.clear();
+        dirty.forEach(name => this.persist(name));
+      }
+      return result;
+    } catch (error) {
+      this.transactionDepth--;
+      if (snapshot) {
+        this.tables = snapshot;
+        this.dirty.clear();
+        this.appended.clear();
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * NOT NULL / UNIQUE / CHECK / REFERENCES
+   */
+  validate(tableName, row, currentId) {
+    const table = this.getTable(tableName);
+    for (const [name, column] of Object.entries(this.schema[tableName].columns)) {
+      const value = row[name];
+      if (column.type === 'SERIAL') continue;
+      if (column.notNull && (value === null || value === undefined)) {
+        throw createError(400, `null value in column "${name}" violates not-null constraint`);
+      }
+      if (value === null || value === undefined) continue;
+      if (column.allowed && !column.allowed.includes(value)) {
+        throw createError(400, `new row for relation "${tableName}" violates check constraint on "${name}"`);
+      }
+      if (column.unique && table.rows.some(r => r.id !== currentId && r[name] === value)) {
+        throw createError(409, `duplicate key value violates unique constraint "${tableName}_${name}_key"`);
+      }
+      if (column.references && !this.getTable(column.references.table).rows.some(r => r.id === value)) {
+        throw createError(400,
+          `insert or update on table "${tableName}" violates foreign key constraint on "${name}"`);
+      }
+    }
+  }
+
+  /**
+   * Rewrite an append-only table on the next persist (rows were changed or removed)
+   */
+  markRewrite(tableName) {
+    if (APPEND_ONLY_TABLES.includes(tableName)) {
+      this.rewrites.add(tableName);
+    }
+  }
+
+  /**
+   * Write a table to disk (deferred until commit inside a transaction)
+   */
+  persist(tableName) {
+    if (this.transactionDepth > 0) {
+      this.dirty.add(tableName);
+      return;
+    }
+    const table = this.tables[tableName];
+    const onError = error => console.error(`File database write error (${tableName}):`, error);
+
+    if (!APPEND_ONLY_TABLES.includes(tableName)) {
+      this.store.save({ id: tableName, sequence: table.sequence, rows: table.rows }).catch(onError);
+      return;
+    }
+
+    const appended = this.appended.get(tableName) || [];
+    this.appended.delete(tableName);
+    if (this.rewrites.delete(tableName)) {
+      this.store.save({ id: tableName, sequence: table.sequence }).catch(onError);
+      this.store.saveLines(tableName, table.rows).catch(onError);
+    } else if (appended.length > 0) {
+      this.store.appendLines(tableName, appended).catch(onError);
+    }
+  }
+
+  /**
+   * Wait for pending writes
+   */
+  async flush() {
+    await this.store.flush();
+  }
+
+  getStats() {
+    this.ensureLoaded();
+    return {
+      type: 'file',
+      connected: true,
+      directory: this.store.storeDirectory,
+      tables: Object.fromEntries(Object.entries(this.tables).map(([name, t]) => [name, t.rows.length]))
+    };
+  }
+}
+
+// Singleton instance
+let fileDatabase = null;
+
+module.exports = {
+  getFileDatabase: () => {
+    if (!fileDatabase) {
+      fileDatabase = new FileDatabase();
+    }
+    return fileDatabase;
+  },
+  FileDatabase,
+  parseSchema,
+  APPEND_ONLY_TABLES
+};
@@ -0,0 +1,315 @@
+/**
+ * File Calculation Repository
+ * Calculation results and versine data on the embedded file storage
+ */
+
+const { getFileDatabase } = require('../file-database');
+
+class FileCalculationRepository {
+  constructor(db = getFileDatabase()) {
+    this.db = db;
+  }
+
+  /**
+   * Save calculation result
+   */
+  async saveCalculation(data) {
+    const {
+      sessionId,
+      calculationType,
+      parameters,
+      processingTimeMs,
+      resultSummary,
+      qualityScore,
+      createdBy,
+      versineData
+    } = data;
+
+    try {
+      const result = this.db.transaction(() => {
+        const calculation = this.db.insert('calculation_results', {
+          session_id: sessionId,
+          calculation_type: calculationType,
+          parameters,
+          processing_time_ms: processingTimeMs,
+          result_summary: resultSummary,
+          quality_score: qualityScore,
+          created_by: createdBy
+        });
+
+        // Insert versine data if provided
+        if (versineData && versineData.length > 0) {
+          this.saveVersineData(calculation.id, versineData);
+        }
+
+        return calculation;
+      });
+
+      return {
+        id: result.id,
+        createdAt: result.created_at,
+        success: true
+      };
+    } catch (error) {
+      console.error('Error saving calculation:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Save versine data points
+   */
+  saveVersineData(resultId, versineData) {
+    versineData.forEach(point => {
+      this.db.insert('versine_data', {
+        result_id: resultId,
+        position: point.position,
+        versine_10m: point.versine10m,
+        versine_10m_restored: point.versine10mRestored,
+        restoration_amount: point.restorationAmount,
+        angle: point.angle,
+        radius: point.radius,
+        quality_flag: point.qualityFlag
+      });
+    });
+  }
+
+  /**
+   * Get calculation by ID
+   */
+  async getCalculation(id) {
+    const calculation = this.db.findById('calculation_results', id);
+    if (!calculation) {
+      return null;
+    }
+
+    const session = calculation.session_id ? this.db.findById('measurement_sessions', calculation.session_id) : null;
+    return {
+      ...this.withJoins(calculation, session),
+      original_filename: session ? session.original_filename : null,
+      data_points: session ? session.data_points : null
+    };
+  }
+
+  /**
+   * Get versine data for calculation
+   */
+  async getVersineData(resultId, options = {}) {
+    const { limit, offset, minPosition, maxPosition } = options;
+    const rows = this.db
+      .select('versine_data', vd =>
+        vd.result_id === Number(resultId) &&
+        (!Number.isFinite(minPosition) || vd.position >= minPosition) &&
+        (!Number.isFinite(maxPosition) || vd.position <= maxPosition))
+      .sort((a, b) => a.position - b.position);
+
+    const start = offset || 0;
+    return limit ? rows.slice(start, start + limit) : rows.slice(start);
+  }
+
+  /**
+   * Search calculations
+   */
+  async searchCalculations(filters = {}) {
+    const {
+      calculationType,
+      sessionId,
+      projectId,
+      createdBy,
+      startDate,
+      endDate,
+      minQuality,
+      limit = 50,
+      offset = 0
+    } = filters;
+    const start = startDate ? new Date(startDate).toISOString() : null;
+    const end = endDate ? new Date(endDate).toISOString() : null;
+
+    return this.db
+      .select('calculation_results', cr => {
+        const session = cr.session_id ? this.db.findById('measurement_sessions', cr.session_id) : null;
+        return (!calculationType || cr.calculation_type === calculationType) &&
+          (!sessionId || cr.session_id === Number(sessionId)) &&
+          (!projectId || (session && session.project_id === Number(projectId))) &&
+          (!createdBy || cr.created_by === Number(createdBy)) &&
+          (!start || cr.created_at >= start) &&
+          (!end || cr.created_at <= end) &&
+          (!minQuality || (cr.quality_score !== null && cr.quality_score >= minQuality));
+      })
+      .sort(byCreatedAtDesc)
+      .slice(offset, offset + limit)
+      .map(cr => {
+        const session = cr.session_id ? this.db.findById('measurement_sessions', cr.session_id) : null;
+        const { session_name, project_name, created_by_username } = this.withJoins(cr, session);
+        return {
+          id: cr.id,
+          calculation_type: cr.calculation_type,
+          parameters: cr.parameters,
+          processing_time_ms: cr.processing_time_ms,
+          quality_score: cr.quality_score,
+          created_at: cr.created_at,
+          session_name,
+          original_filename: session ? session.original_filename : null,
+          project_name,
+          created_by_username
+        };
+      });
+  }
+
+  /**
+   * Get calculation statistics
+   */
+  async getStatistics(options = {}) {
+    const { startDate, endDate, groupBy = 'day' } = options;
+    const start = startDate ? new Date(startDate).toISOString() : null;
+    const end = endDate ? new Date(endDate).toISOString() : null;
+
+    const groups = new Map();
+    this.db
+      .select('calculation_results', cr => (!start || cr.created_at >= start) && (!end || cr.created_at <= end))
+      .forEach(cr => {
+        const period = formatPeriod(new Date(cr.created_at), groupBy);
+        const key = `${period}\u0000${cr.calculation_type}`;
+        if (!groups.has(key)) {
+          groups.set(key, { period, calculation_type: cr.calculation_type, rows: [] });
+        }
+        groups.get(key).rows.push(cr);
+      });
+
+    return [...groups.values()]
+      .sort((a, b) => b.period.localeCompare(a.period) || a.calculation_type.localeCompare(b.calculation_type))
+      .map(({ period, calculation_type, rows }) => {
+        const times = rows.map(r => r.processing_time_ms).filter(v => v !== null);
+        const scores = rows.map(r => r.quality_score).filter(v => v !== null);
+        return {
+          period,
+          calculation_type,
+          count: rows.length,
+          avg_processing_time: average(times),
+          avg_quality: average(scores),
+          min_quality: scores.length > 0 ? scores.reduce((min, v) => (v < min ? v : min)) : null,
+          max_quality: scores.length > 0 ? scores.reduce((max, v) => (v > max ? v : max)) : null
+        };
+      });
+  }
+
+  /**
+   * Delete calculation and related data
+   */
+  async deleteCalculation(id) {
+    return this.db.delete('calculation_results', cr => cr.id === Number(id)) > 0;
+  }
+
+  /**
+   * Update calculation quality score
+   */
+  async updateQualityScore(id, qualityScore) {
+    return this.db.update('calculation_results', cr => cr.id === Number(id), { quality_score: qualityScore }).length > 0;
+  }
+
+  /**
+   * Get recent calculations (v_recent_calculations)
+   */
+  async getRecentCalculations(limit = 10) {
+    return this.db
+      .select('calculation_results', cr => cr.session_id !== null)
+      .sort(byCreatedAtDesc)
+      .slice(0, Math.min(limit, 100))
+      .map(cr => {
+        const session = this.db.findById('measurement_sessions', cr.session_id);
+        const { session_name, project_name, created_by_username } = this.withJoins(cr, session);
+        return {
+          id: cr.id,
+          calculation_type: cr.calculation_type,
+          parameters: cr.parameters,
+          processing_time_ms: cr.processing_time_ms,
+          quality_score: cr.quality_score,
+          created_at: cr.created_at,
+          session_name,
+          original_filename: session ? session.original_filename : null,
+          project_name,
+          created_by_username
+        };
+      });
+  }
+
+  /**
+   * Compare calculations
+   */
+  async compareCalculations(ids) {
+    if (ids.length < 2) {
+      throw new Error('At least 2 calculation IDs required for comparison');
+    }
+
+    const idSet = new Set(ids.map(Number));
+    return this.db
+      .select('calculation_results', cr => idSet.has(cr.id))
+      .map(cr => {
+        const session = cr.session_id ? this.db.findById('measurement_sessions', cr.session_id) : null;
+        const amounts = this.db
+          .select('versine_data', vd => vd.result_id === cr.id)
+          .map(vd => vd.restoration_amount)
+          .filter(v => v !== null);
+        const mean = average(amounts);
+
+        return {
+          id: cr.id,
+          calculation_type: cr.calculation_type,
+          parameters: cr.parameters,
+          quality_score: cr.quality_score,
+          created_at: cr.created_at,
+          session_name: session ? session.session_name : null,
+          data_points: this.db.select('versine_data', vd => vd.result_id === cr.id).length,
+          avg_restoration: mean,
+          // STDDEV (sample standard deviation)
+          restoration_stddev: amounts.length > 1
+            ? Math.sqrt(amounts.reduce((sum, v) => sum + (v - mean) ** 2, 0) / (amounts.length - 1))
+            : null
+        };
+      });
+  }
+
+  withJoins(calculation, session) {
+    const project = session && session.project_id ? this.db.findById('projects', session.project_id) : null;
+    const user = calculation.created_by ? this.db.findById('users', calculation.created_by) : null;
+    return {
+      ...calculation,
+      session_name: session ? session.session_name : null,
+      project_name: project ? project.name : null,
+      created_by_username: user ? user.username : null
+    };
+  }
+}
+
+function byCreatedAtDesc(a, b) {
+  return b.created_at.localeCompare(a.created_at) || b.id - a.id;
+}
+
+function average(values) {
+  return values.length > 0 ? values.reduce((sum, v) => sum + v, 0) / values.length : null;
+}
+
+/**
+ * TO_CHAR period of getStatistics (hour / day / week (ISO) / month)
+ */
+function formatPeriod(date, groupBy) {
+  const pad = value => String(value).padStart(2, '0');
+  const day = `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+
+  switch (groupBy) {
+    case 'hour':
+      return `${day} ${pad(date.getHours())}:00:00`;
+    case 'week': {
+      const thursday = new Date(date.getFullYear(), date.getMonth(), date.getDate() + 3 - ((date.getDay() + 6) % 7));
+      const firstThursday = new Date(thursday.getFullYear(), 0, 4);
+      const week = 1 + Math.round(((thursday - firstThursday) / 86400000 - 3 + ((firstThursday.getDay() + 6) % 7)) / 7);
+      return `${thursday.getFullYear()}-${pad(week)}`;
+    }
+    case 'month':
+      return `${date.getFullYear()}-${pad(date.getMonth() + 1)}`;
+    default:
+      return day;
+  }
+}
+
+module.exports = FileCalculationRepository;
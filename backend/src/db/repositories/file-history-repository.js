@@ -0,0 +1,282 @@
+/**
+ * File History Repository
+ * Calculation history and audit trails on the embedded file storage
+ */
+
+const { getFileDatabase } = require('../file-database');
+
+class FileHistoryRepository {
+  constructor(db = getFileDatabase()) {
+    this.db = db;
+  }
+
+  /**
+   * Record export history
+   */
+  async recordExport(exportData) {
+    const {
+      resultId,
+      exportFormat,
+      filePath,
+      fileSize,
+      exportedBy
+    } = exportData;
+
+    const record = this.db.insert('export_history', {
+      result_id: resultId,
+      export_format: exportFormat,
+      file_path: filePath,
+      file_size: fileSize,
+      exported_by: exportedBy
+    });
+
+    return {
+      id: record.id,
+      exportedAt: record.exported_at
+    };
+  }
+
+  /**
+   * Get export history for calculation
+   */
+  async getExportHistory(resultId) {
+    return this.db
+      .select('export_history', eh => eh.result_id === Number(resultId))
+      .sort((a, b) => b.exported_at.localeCompare(a.exported_at) || b.id - a.id)
+      .map(eh => ({ ...eh, exported_by_name: this.username(eh.exported_by) }));
+  }
+
+  /**
+   * Increment download count
+   */
+  async incrementDownloadCount(exportId) {
+    const [record] = this.db.update('export_history', eh => eh.id === Number(exportId), eh => ({
+      download_count: (eh.download_count || 0) + 1
+    }));
+    return record?.download_count;
+  }
+
+  /**
+   * Log system event
+   */
+  async logSystemEvent(logData) {
+    const {
+      logLevel,
+      category,
+      message,
+      details,
+      userId,
+      ipAddress,
+      userAgent
+    } = logData;
+
+    return this.db.insert('system_logs', {
+      log_level: logLevel,
+      category,
+      message,
+      details,
+      user_id: userId,
+      ip_address: ipAddress,
+      user_agent: userAgent
+    }).id;
+  }
+
+  /**
+   * Get system logs
+   */
+  async getSystemLogs(filters = {}) {
+    const {
+      logLevel,
+      category,
+      userId,
+      startDate,
+      endDate,
+      searchTerm,
+      limit = 100,
+      offset = 0
+    } = filters;
+    const term = searchTerm ? searchTerm.toLowerCase() : null;
+    const start = startDate ? new Date(startDate).toISOString() : null;
+    const end = endDate ? new Date(endDate).toISOString() : null;
+
+    return this.db
+      .select('system_logs', sl =>
+        (!logLevel || sl.log_level === logLevel) &&
+        (!category || sl.category === category) &&
+        (!userId || sl.user_id === Number(userId)) &&
+        (!start || sl.created_at >= start) &&
+        (!end || sl.created_at <= end) &&
+        (!term || sl.message.toLowerCase().includes(term)))
+      .sort((a, b) => b.created_at.localeCompare(a.created_at) || b.id - a.id)
+      .slice(Number(offset) || 0, (Number(offset) || 0) + (Number(limit) || 100))
+      .map(sl => ({ ...sl, username: this.username(sl.user_id) }));
+  }
+
+  /**
+   * Record audit trail
+   */
+  async recordAudit(auditData) {
+    const {
+      tableName,
+      recordId,
+      action,
+      oldValues,
+      newValues,
+      changedBy
+    } = auditData;
+
+    return this.db.insert('audit_trail', {
+      table_name: tableName,
+      record_id: recordId,
+      action,
+      old_values: oldValues,
+      new_values: newValues,
+      changed_by: changedBy
+    }).id;
+  }
+
+  /**
+   * Get audit trail for record
+   */
+  async getAuditTrail(tableName, recordId) {
+    return this.db
+      .select('audit_trail', at => at.table_name === tableName && at.record_id === Number(recordId))
+      .sort((a, b) => b.changed_at.localeCompare(a.changed_at) || b.id - a.id)
+      .map(at => ({ ...at, changed_by_name: this.username(at.changed_by) }));
+  }
+
+  /**
+   * Get user activity history
+   */
+  async getUserActivity(userId, days = 30) {
+    const id = Number(userId);
+    const since = new Date(Date.now() - days * 86400000).toISOString();
+    const activity = [
+      ...this.db.select('calculation_results', cr => cr.created_by === id && cr.created_at >= since)
+        .map(cr => ({ type: 'calculation', created_at: cr.created_at })),
+      ...this.db.select('export_history', eh => eh.exported_by === id && eh.exported_at >= since)
+        .map(eh => ({ type: 'export', created_at: eh.exported_at })),
+      ...this.db.select('measurement_sessions', ms => ms.operator_id === id && ms.created_at >= since)
+        .map(ms => ({ type: 'session', created_at: ms.created_at }))
+    ];
+
+    // DATE_TRUNC('day', created_at)
+    const counts = new Map();
+    activity.forEach(({ type, created_at }) => {
+      const date = new Date(created_at);
+      date.setHours(0, 0, 0, 0);
+      const key = `${date.toISOString()}\u0000${type}`;
+      counts.set(key, (counts.get(key) || 0) + 1);
+    });
+
+    return [...counts.entries()]
+      .map(([key, count]) => {
+        const [date, type] = key.split('\u0000');
+        return { date, type, count };
+      })
+      .sort((a, b) => b.date.localeCompare(a.date) || a.type.localeCompare(b.type));
+  }
+
+  /**
+   * Clean old logs
+   */
+  async cleanOldLogs(daysToKeep = 90) {
+    const logsCutoff = new Date(Date.now() - daysToKeep * 86400000).toISOString();
+    const exportsCutoff = new Date(Date.now() - daysToKeep * 2 * 86400000).toISOString();
+
+    return this.db.transaction(() => {
+      // Clean system logs
+      const logsDeleted = this.db.delete('system_logs', sl => sl.created_at < logsCutoff);
+
+      // Clean old export history (keep metadata, remove file paths)
+      const exportsCleared = this.db.update('export_history', eh => eh.exported_at < exportsCutoff, {
+        file_path: null
+      }).length;
+
+      return { logsDeleted, exportsCleared };
+    });
+  }
+
+  /**
+   * Get calculation history timeline
+   */
+  async getCalculationTimeline(options = {}) {
+    const { projectId, sessionId, limit = 100 } = options;
+
+    return this.db
+      .select('calculation_results')
+      .map(cr => ({
+        calculation: cr,
+        session: cr.session_id ? this.db.findById('measurement_sessions', cr.session_id) : null
+      }))
+      .filter(({ calculation, session }) =>
+        (!projectId || (session && session.project_id === Number(projectId))) &&
+        (!sessionId || calculation.session_id === Number(sessionId)))
+      .sort((a, b) => b.calculation.created_at.localeCompare(a.calculation.created_at) || b.calculation.id - a.calculation.id)
+      .slice(0, Number(limit) || 100)
+      .map(({ calculation, session }) => {
+        const project = session && session.project_id ? this.db.findById('projects', session.project_id) : null;
+        return {
+          event_type: 'calculation',
+          event_id: calculation.id,
+          event_subtype: calculation.calculation_type,
+          event_time: calculation.created_at,
+          quality_score: calculation.quality_score,
+          session_name: session ? session.session_name : null,
+          project_name: project ? project.name : null,
+          user_name: this.username(calculation.created_by)
+        };
+      });
+  }
+
+  /**
+   * Get performance metrics
+   */
+  async recordPerformanceMetric(metric) {
+    const { metricType, metricName, value, unit, context } = metric;
+
+    return this.db.insert('performance_metrics', {
+      metric_type: metricType,
+      metric_name: metricName,
+      value,
+      unit,
+      context
+    }).id;
+  }
+
+  /**
+   * Get performance metrics summary
+   */
+  async getPerformanceMetrics(metricType, hours = 24) {
+    const since = new Date(Date.now() - hours * 3600000).toISOString();
+    const groups = new Map();
+
+    this.db
+      .select('performance_metrics', pm => pm.metric_type === metricType && pm.recorded_at >= since)
+      .forEach(pm => {
+        const key = `${pm.metric_name}\u0000${pm.unit}`;
+        if (!groups.has(key)) {
+          groups.set(key, { metric_name: pm.metric_name, unit: pm.unit, values: [], count: 0 });
+        }
+        const group = groups.get(key);
+        group.count++;
+        if (pm.value !== null) group.values.push(pm.value);
+      });
+
+    return [...groups.values()].map(({ metric_name, unit, values, count }) => ({
+      metric_name,
+      avg_value: values.length > 0 ? values.reduce((sum, v) => sum + v, 0) / values.length : null,
+      min_value: values.length > 0 ? values.reduce((min, v) => (v < min ? v : min)) : null,
+      max_value: values.length > 0 ? values.reduce((max, v) => (v > max ? v : max)) : null,
+      sample_count: count,
+      unit
+    }));
+  }
+
+  username(userId) {
+    const user = userId ? this.db.findById('users', userId) : null;
+    return user ? user.username : null;
+  }
+}
+
+module.exports = FileHistoryRepository;
@@ -0,0 +1,215 @@
+/**
+ * File Session Repository
+ * Measurement sessions on the embedded file storage
+ */
+
+const { getFileDatabase } = require('../file-database');
+
+class FileSessionRepository {
+  constructor(db = getFileDatabase()) {
+    this.db = db;
+  }
+
+  /**
+   * Create new measurement session
+   */
+  async createSession(sessionData) {
+    const {
+      projectId,
+      sessionName,
+      measurementType,
+      filePath,
+      originalFilename,
+      fileSize,
+      dataPoints,
+      startPosition,
+      endPosition,
+      measurementInterval,
+      speed,
+      temperature,
+      weatherCondition,
+      operatorId,
+      notes
+    } = sessionData;
+
+    const session = this.db.insert('measurement_sessions', {
+      project_id: projectId,
+      session_name: sessionName,
+      measurement_type: measurementType || 'versine',
+      file_path: filePath,
+      original_filename: originalFilename,
+      file_size: fileSize,
+      data_points: dataPoints,
+      start_position: startPosition,
+      end_position: endPosition,
+      measurement_interval: measurementInterval || 0.25,
+      speed,
+      temperature,
+      weather_condition: weatherCondition,
+      operator_id: operatorId,
+      notes
+    });
+
+    return {
+      id: session.id,
+      createdAt: session.created_at
+    };
+  }
+
+  /**
+   * Get session by ID
+   */
+  async getSession(id) {
+    const session = this.db.findById('measurement_sessions', id);
+    if (!session) {
+      return null;
+    }
+
+    const project = session.project_id ? this.db.findById('projects', session.project_id) : null;
+    return {
+      ...this.withOperator(session),
+      project_name: project ? project.name : null,
+      railway_line: project ? project.railway_line : null,
+      calculation_count: this.countCalculations(session.id)
+    };
+  }
+
+  /**
+   * Get sessions for project
+   */
+  async getProjectSessions(projectId) {
+    return this.db
+      .select('measurement_sessions', ms => ms.project_id === Number(projectId))
+      .sort(byCreatedAtDesc)
+      .map(session => ({
+        ...this.withOperator(session),
+        calculation_count: this.countCalculations(session.id)
+      }));
+  }
+
+  /**
+   * Search sessions
+   */
+  async searchSessions(filters = {}) {
+    const {
+      projectId,
+      measurementType,
+      operatorId,
+      startDate,
+      endDate,
+      searchTerm,
+      limit = 50,
+      offset = 0
+    } = filters;
+    const term = searchTerm ? searchTerm.toLowerCase() : null;
+    const start = startDate ? new Date(startDate).toISOString() : null;
+    const end = endDate ? new Date(endDate).toISOString() : null;
+
+    return this.db
+      .select('measurement_sessions', ms =>
+        (!projectId || ms.project_id === Number(projectId)) &&
+        (!measurementType || ms.measurement_type === measurementType) &&
+        (!operatorId || ms.operator_id === Number(operatorId)) &&
+        (!start || ms.created_at >= start) &&
+        (!end || ms.created_at <= end) &&
+        (!term || [ms.session_name, ms.original_filename, ms.notes].some(v => v && v.toLowerCase().includes(term))))
+      .sort(byCreatedAtDesc)
+      .slice(Number(offset) || 0, (Number(offset) || 0) + (Number(limit) || 50))
+      .map(session => {
+        const project = session.project_id ? this.db.findById('projects', session.project_id) : null;
+        return {
+          ...this.withOperator(session),
+          project_name: project ? project.name : null,
+          calculation_count: this.countCalculations(session.id)
+        };
+      });
+  }
+
+  /**
+   * Update session
+   */
+  async updateSession(id, updates) {
+    const allowedFields = [
+      'session_name',
+      'notes',
+      'weather_condition',
+      'temperature',
+      'speed'
+    ];
+    const changes = Object.fromEntries(Object.entries(updates).filter(([key]) => allowedFields.includes(key)));
+
+    if (Object.keys(changes).length === 0) {
+      return false;
+    }
+
+    return this.db.update('measurement_sessions', ms => ms.id === Number(id), changes).length > 0;
+  }
+
+  /**
+   * Delete session and related data
+   */
+  async deleteSession(id) {
+    // Cascading delete will handle related calculation_results and versine_data
+    return this.db.delete('measurement_sessions', ms => ms.id === Number(id)) > 0;
+  }
+
+  /**
+   * Get session statistics
+   */
+  async getSessionStatistics(sessionId) {
+    const session = this.db.findById('measurement_sessions', sessionId);
+    if (!session) {
+      return null;
+    }
+
+    const calculations = this.db.select('calculation_results', cr => cr.session_id === session.id);
+    const qualityScores = calculations.map(cr => cr.quality_score).filter(v => v !== null);
+    const times = calculations.map(cr => cr.created_at).sort();
+
+    return {
+      id: session.id,
+      data_points: session.data_points,
+      total_calculations: calculations.length,
+      avg_quality: qualityScores.length > 0
+        ? qualityScores.reduce((sum, v) => sum + v, 0) / qualityScores.length
+        : null,
+      first_calculation: times[0] || null,
+      last_calculation: times[times.length - 1] || null,
+      total_processing_time: calculations.length > 0
+        ? calculations.reduce((sum, cr) => sum + (cr.processing_time_ms || 0), 0)
+        : null
+    };
+  }
+
+  /**
+   * Get recent sessions
+   */
+  async getRecentSessions(limit = 10) {
+    return this.db
+      .select('measurement_sessions')
+      .sort(byCreatedAtDesc)
+      .slice(0, limit)
+      .map(session => {
+        const project = session.project_id ? this.db.findById('projects', session.project_id) : null;
+        return {
+          ...this.withOperator(session),
+          project_name: project ? project.name : null
+        };
+      });
+  }
+
+  withOperator(session) {
+    const operator = session.operator_id ? this.db.findById('users', session.operator_id) : null;
+    return { ...session, operator_name: operator ? operator.username : null };
+  }
+
+  countCalculations(sessionId) {
+    return this.db.select('calculation_results', cr => cr.session_id === sessionId).length;
+  }
+}
+
+function byCreatedAtDesc(a, b) {
+  return b.created_at.localeCompare(a.created_at) || b.id - a.id;
+}
+
+module.exports = FileSessionRepository;
@@ -0,0 +1,252 @@
+/**
+ * File User Repository
+ * User management and authentication on the embedded file storage
+ */
+
+const { getFileDatabase } = require('../file-database');
+const credentials = require('../credentials');
+const config = require('../config');
+
+const PUBLIC_FIELDS = ['id', 'username', 'email', 'full_name', 'role', 'is_active', 'created_at', 'updated_at', 'last_login'];
+
+function pick(row, fields) {
+  return row ? Object.fromEntries(fields.map(field => [field, row[field]])) : null;
+}
+
+class FileUserRepository {
+  constructor(db = getFileDatabase()) {
+    this.db = db;
+    this.jwtSecret = config.auth.jwtSecret;
+    this.jwtExpiry = config.auth.jwtExpiry;
+  }
+
+  /**
+   * Create new user
+   */
+  async createUser(userData) {
+    const { username, email, password, fullName, role } = userData;
+
+    // Check if user already exists
+    const existingUser = await this.findByUsernameOrEmail(username, email);
+    if (existingUser) {
+      throw new Error('Username or email already exists');
+    }
+
+    const user = this.db.insert('users', {
+      username,
+      email,
+      password_hash: credentials.hashPassword(password),
+      full_name: fullName,
+      role: role || 'user'
+    });
+
+    return pick(user, ['id', 'username', 'email', 'full_name', 'role', 'created_at']);
+  }
+
+  /**
+   * Authenticate user
+   */
+  async authenticate(username, password) {
+    const [user] = this.db.select('users', u => (u.username === username || u.email === username) && u.is_active);
+
+    if (!user || !(await credentials.verifyPassword(password, user.password_hash))) {
+      throw new Error('Invalid credentials');
+    }
+
+    // Update last login
+    await this.updateLastLogin(user.id);
+
+    // Generate JWT token
+    const token = this.generateToken(user);
+
+    return {
+      user: pick(user, ['id', 'username', 'email', 'full_name', 'role', 'is_active']),
+      token
+    };
+  }
+
+  /**
+   * Generate JWT token
+   */
+  generateToken(user) {
+    const payload = {
+      id: user.id,
+      username: user.username,
+      email: user.email,
+      role: user.role
+    };
+
+    return credentials.signToken(payload, this.jwtSecret, this.jwtExpiry);
+  }
+
+  /**
+   * Verify JWT token
+   */
+  async verifyToken(token) {
+    try {
+      const decoded = credentials.verifyToken(token, this.jwtSecret);
+
+      // Get current user data
+      const user = await this.getUserById(decoded.id);
+      if (!user || !user.is_active) {
+        throw new Error('User not found or inactive');
+      }
+
+      return user;
+    } catch (error) {
+      throw new Error('Invalid token');
+    }
+  }
+
+  /**
+   * Get user by ID
+   */
+  async getUserById(id) {
+    return pick(this.db.findById('users', id), PUBLIC_FIELDS);
+  }
+
+  /**
+   * Find user by username or email
+   */
+  async findByUsernameOrEmail(username, email) {
+    const [user] = this.db.select('users', u => u.username === username || u.email === email);
+    return pick(user, ['id', 'username', 'email']);
+  }
+
+  /**
+   * Update last login time
+   */
+  async updateLastLogin(userId) {
+    this.db.update('users', u => u.id === Number(userId), { last_login: new Date().toISOString() });
+  }
+
+  /**
+   * Update user profile
+   */
+  async updateProfile(userId, updates) {
+    const allowedFields = ['full_name', 'email'];
+    const changes = Object.fromEntries(
+      Object.entries(updates).filter(([key, value]) => allowedFields.includes(key) && value !== undefined)
+    );
+
+    if (Object.keys(changes).length === 0) {
+      return false;
+    }
+
+    const [user] = this.db.update('users', u => u.id === Number(userId), changes);
+    return pick(user, ['id', 'username', 'email', 'full_name', 'role']);
+  }
+
+  /**
+   * Change password
+   */
+  async changePassword(userId, oldPassword, newPassword) {
+    const user = this.db.findById('users', userId);
+    if (!user) {
+      throw new Error('User not found');
+    }
+
+    if (!(await credentials.verifyPassword(oldPassword, user.password_hash))) {
+      throw new Error('Invalid current password');
+    }
+
+    this.db.update('users', u => u.id === user.id, { password_hash: credentials.hashPassword(newPassword) });
+    return true;
+  }
+
+  /**
+   * Reset password (admin function)
+   */
+  async resetPassword(userId, newPassword) {
+    const updated = this.db.update('users', u => u.id === Number(userId), {
+      password_hash: credentials.hashPassword(newPassword)
+    });
+    return updated.length > 0;
+  }
+
+  /**
+   * List users
+   */
+  async listUsers(options = {}) {
+    const { role, isActive, searchTerm, limit = 50, offset = 0 } = options;
+    const term = searchTerm ? searchTerm.toLowerCase() : null;
+
+    return this.db
+      .select('users', u =>
+        (!role || u.role === role) &&
+        (isActive === undefined || u.is_active === isActive) &&
+        (!term || [u.username, u.email, u.full_name].some(v => v && v.toLowerCase().includes(term))))
+      .sort((a, b) => b.created_at.localeCompare(a.created_at) || b.id - a.id)
+      .slice(offset, offset + limit)
+      .map(u => pick(u, ['id', 'username', 'email', 'full_name', 'role', 'is_active', 'created_at', 'last_login']));
+  }
+
+  /**
+   * Update user role
+   */
+  async updateUserRole(userId, newRole) {
+    const validRoles = ['admin', 'operator', 'viewer', 'user'];
+    if (!validRoles.includes(newRole)) {
+      throw new Error('Invalid role');
+    }
+
+    const [user] = this.db.update('users', u => u.id === Number(userId), { role: newRole });
+    return pick(user, ['id', 'username', 'role']);
+  }
+
+  /**
+   * Activate/deactivate user
+   */
+  async setUserActive(userId, isActive) {
+    const [user] = this.db.update('users', u => u.id === Number(userId), { is_active: isActive });
+    return pick(user, ['id', 'username', 'is_active']);
+  }
+
+  /**
+   * Get user statistics
+   */
+  async getUserStatistics(userId) {
+    const user = this.db.findById('users', userId);
+    if (!user) {
+      return null;
+    }
+
+    const calculations = this.db.select('calculation_results', cr => cr.created_by === user.id);
+    const qualityScores = calculations.map(cr => cr.quality_score).filter(v => v !== null);
+
+    return {
+      id: user.id,
+      username: user.username,
+      member_since: user.created_at,
+      last_login: user.last_login,
+      total_calculations: calculations.length,
+      total_sessions: this.db.select('measurement_sessions', ms => ms.operator_id === user.id).length,
+      total_exports: this.db.select('export_history', eh => eh.exported_by === user.id).length,
+      avg_quality_score: qualityScores.length > 0
+        ? qualityScores.reduce((sum, v) => sum + v, 0) / qualityScores.length
+        : null
+    };
+  }
+
+  /**
+   * Check user permission
+   */
+  async checkPermission(userId, resource, action) {
+    const user = this.db.findById('users', userId);
+    if (!user || !user.is_active) {
+      return false;
+    }
+
+    // Define permission matrix
+    const permissions = {
+      admin: ['create', 'read', 'update', 'delete'],
+      operator: ['create', 'read', 'update'],
+      viewer: ['read'],
+      user: ['read', 'create'] // Can create but only their own
+    };
+
+    return permissions[user.role]?.includes(action) || false;
+  }
+}
+
+module.exports = FileUserRepository;
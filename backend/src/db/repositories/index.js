@@ -0,0 +1,48 @@
+/**
+ * Repository Factory
+ * Selects the repository implementations for the configured storage backend
+ *
+ * DB_STORAGE=file: embedded JSON file storage, works offline without PostgreSQL
+ * DB_STORAGE=sql: PostgreSQL / Oracle repositories (requires the pg driver)
+ * Without DB_STORAGE, 'sql' is used when DB_TYPE, PG_HOST or ORACLE_CONNECT_STRING is set, otherwise 'file'
+ */
+
+const config = require('../config');
+
+function loadRepositories(storage) {
+  if (storage === 'sql') {
+    // Loaded lazily so the file backend does not require the pg driver
+    return {
+      UserRepository: require('./user-repository'),
+      SessionRepository: require('./session-repository'),
+      CalculationRepository: require('./calculation-repository'),
+      HistoryRepository: require('./history-repository')
+    };
+  }
+
+  if (storage === 'file') {
+    return {
+      UserRepository: require('./file-user-repository'),
+      SessionRepository: require('./file-session-repository'),
+      CalculationRepository: require('./file-calculation-repository'),
+      HistoryRepository: require('./file-history-repository')
+    };
+  }
+
+  throw new Error(`Unsupported storage backend: ${storage}`);
+}
+
+/**
+ * Initialize the configured storage backend
+ */
+async function initializeStorage() {
+  if (config.storage === 'sql') {
+    return require('../connection').getConnection().initialize();
+  }
+  return require('../file-database').getFileDatabase().initialize();
+}
+
+module.exports = {
+  ...loadRepositories(config.storage),
+  initializeStorage
+};
@@ -0,0 +1,32 @@
+/**
+ * ALS / MJ 出力の分岐器区間の表示のテスト
+ */
+import { describe, test, expect } from '@jest/globals';
+import ALSDataExporter from '../als-exporter.js';
+import MJDataExporter from '../mj-exporter.js';
+
+describe('分岐器区間の表示', () => {
+  const movements = [0, 1, 2, 3].map(i => ({ lateral: 0.001 * i, vertical: 0.002 * i }));
+  const withTurnout = movements.map((movement, i) => (i === 2 ? { ...movement, lateral: 0, vertical: 0, turnout: true } : movement));
+
+  test('ALS: 分岐器区間の行末に BK を付け、それ以外の行は変えない', () => {
+    const exporter = new ALSDataExporter({ dataInterval: 1 });
+    const plain = exporter.formatALSData(movements, { startKm: 0 }).split('\r\n');
+    const marked = exporter.formatALSData(withTurnout, { startKm: 0 }).split('\r\n');
+
+    expect(plain.some(line => line.includes('BK'))).toBe(false);
+    expect(marked[2]).toMatch(/ {2}BK$/);
+    expect(marked[1]).toBe(plain[1]);
+    expect(marked[3]).toBe(plain[3]);
+  });
+
+  test('MJ: 分岐器区間がある場合のみ分岐器の列を付ける', () => {
+    const exporter = new MJDataExporter({ mttType: '08-475' });
+    const plain = exporter.generateDataLines({ movements, predictions: [] }, { startPosition: 0 });
+    const marked = exporter.generateDataLines({ movements: withTurnout, predictions: [] }, { startPosition: 0 });
+
+    expect(plain[0].split(',')).toHaveLength(7);
+    expect(marked.map(line => line.split(',')[7])).toEqual(['', '', 'BK', '']);
+    expect(marked[0]).toBe(`${plain[0]},`);
+  });
+});
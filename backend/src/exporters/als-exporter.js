@@ -46,6 +46,7 @@ class ALSDataExporter {
   /**
    * ALS用データフォーマットに変換
    * 各行フォーマット: キロ程(7.3) + 空白(2) + 横移動(5.1) + 空白(2) + 縦移動(5.1)
+   * 分岐器モードの分岐器区間（movement.turnout）は行末に 空白(2) + 'BK' を付ける
    */
   formatALSData(movements, workSection) {
     const lines = [];
@@ -65,7 +66,7 @@ class ALSDataExporter {
 
       // 1行のフォーマット
       const line = this.formatALSLine(kmPosition, lateralMovement, verticalMovement);
-      lines.push(line);
+      lines.push(movement.turnout ? `${line}  BK` : line);
     }
 
     return lines.join('\r\n'); // Windows改行コード
@@ -99,28 +99,31 @@ class MJDataExporter {
 
   /**
    * データ行生成
+   * 分岐器モードで分岐器区間（movement.turnout）がある場合は、各行の末尾に分岐器の列（'BK' / 空）を付ける
    */
   generateDataLines(data, workSection) {
     const lines = [];
     const startPosition = workSection.startPosition || 0;
+    const hasTurnouts = data.movements.some(movement => movement && movement.turnout);
 
     // 09-16在の場合と、それ以外で処理を分ける
     const is0916 = this.mttType === '09-16在';
 
-    for (let i = 0; i < data.movements.length; i += 0.5) {
+    // movements は0.5m間隔のため、開始位置からの距離は length * 0.5 まで
+    for (let i = 0; i < data.movements.length * 0.5; i += 0.5) {
       const position = startPosition + i;
       const movement = data.movements[Math.floor(i / 0.5)] || {};
       const prediction = data.predictions[Math.floor(i / 0.5)] || {};
 
+      let line;
       if (is0916) {
         // 09-16在の場合: D点基準
-        const line = this.format0916Line(position, movement, prediction);
-        lines.push(line);
+        line = this.format0916Line(position, movement, prediction);
       } else {
         // その他のMTT: C点基準
-        const line = this.formatStandardLine(position, movement, prediction);
-        lines.push(line);
+        line = this.formatStandardLine(position, movement, prediction);
       }
+      lines.push(hasTurnouts ? `${line},${movement.turnout ? 'BK' : ''}` : line);
     }
 
     return lines;
@@ -1,10 +1,10 @@
 /**
- * MTTt
+ * MTT整備データエクスポーター
  *
- * 057_Cb(D_Stcn\KP33-36keO
- * - DCc$n
- * - MTT.%kX_&wc
- * - 09-16(h]n:%
+ * 仕様書「057_復元波形を用いた軌道整正計算の操作手順」P33-36に基づく実装
+ * - D点誘導量、C点補正値の計算
+ * - MTT種別に応じた弦長補正
+ * - 09-16在とそれ以外の区別
  */
 
 const fs = require('fs').promises;
@@ -12,20 +12,20 @@ const path = require('path');
 
 class MTTDataExporter {
   constructor(options = {}) {
-    this.mttType = options.mttType || '08-475';  // MTT.%
-    this.dataInterval = options.dataInterval || 0.5;  //  (m)
+    this.mttType = options.mttType || '08-475';  // MTT種別
+    this.dataInterval = options.dataInterval || 0.5;  // データ間隔 (m)
     this.outputDir = options.outputDir || './output/MTT';
   }
 
   /**
-   * MTT.%n
+   * MTT種別の定義
    */
   static MTT_TYPES = {
     '08-475': {
       code: 5,
-      chordLength: 10,  // &w (m)
-      dPointOffset: -5,  // Dnջ (m)
-      cPointOffset: 0    // Cnջ (m)
+      chordLength: 10,  // 弦長 (m)
+      dPointOffset: -5,  // D点のオフセット (m)
+      cPointOffset: 0    // C点のオフセット (m)
     },
     '08-1X': {
       code: 6,
@@ -39,13 +39,13 @@ class MTTDataExporter {
       dPointOffset: -5,
       cPointOffset: 0
     },
-    '08-32y': {
+    '08-32幹': {
       code: 7,
       chordLength: 20,
       dPointOffset: -10,
       cPointOffset: 0
     },
-    '08-32y2670': {
+    '08-32幹2670': {
       code: 8,
       chordLength: 20,
       dPointOffset: -10,
@@ -57,34 +57,34 @@ class MTTDataExporter {
       dPointOffset: -5,
       cPointOffset: 0
     },
-    '09-16(': {
+    '09-16在': {
       code: 10,
       chordLength: 10,
       dPointOffset: -5,
       cPointOffset: 0,
-      special: true  // y
+      special: true  // 特殊処理フラグ
     }
   };
 
   /**
-   * MTTt
+   * MTT整備データをエクスポート
    */
   async exportMTTData(movementData, curveData, workSection) {
     try {
-      // ǣn\
+      // 出力ディレクトリの作成
       await this.ensureDirectoryExists(this.outputDir);
 
-      // MTT.%1n֗
+      // MTT種別情報の取得
       const mttInfo = MTTDataExporter.MTT_TYPES[this.mttType];
       if (!mttInfo) {
-        throw new Error(`*nMTT.%: ${this.mttType}`);
+        throw new Error(`未対応のMTT種別: ${this.mttType}`);
       }
 
-      // աn
+      // ファイル名の生成
       const fileName = this.generateFileName(workSection);
       const filePath = path.join(this.outputDir, fileName);
 
-      // թ	
+      // データフォーマット変換
       const formattedData = this.formatMTTData(
         movementData,
         curveData,
@@ -92,27 +92,27 @@ class MTTDataExporter {
         mttInfo
       );
 
-      // ա
+      // ファイル出力
       await fs.writeFile(filePath, formattedData, 'utf8');
 
-      console.log(`MTTtW~W_: ${filePath}`);
+      console.log(`MTT整備データを出力しました: ${filePath}`);
       return filePath;
     } catch (error) {
-      console.error('MTT:', error);
+      console.error('MTTデータ出力エラー:', error);
       throw error;
     }
   }
 
   /**
-   * MTTթk	
+   * MTTデータフォーマットに変換
    */
   formatMTTData(movementData, curveData, workSection, mttInfo) {
     const lines = [];
 
-    // Ln
+    // ヘッダー行の生成
     lines.push(this.generateHeaderLine(workSection, mttInfo));
 
-    // Ln
+    // データ行の生成
     for (let i = 0; i < movementData.length; i++) {
       const movement = movementData[i];
       const curve = curveData ? curveData[i] : null;
@@ -128,17 +128,17 @@ class MTTDataExporter {
       lines.push(dataLine);
     }
 
-    // ÿLn
+    // フッター行の追加
     lines.push(this.generateFooterLine());
 
     return lines.join('\r\n');
   }
 
   /**
-   * Ln
+   * ヘッダー行の生成
    */
   generateHeaderLine(workSection, mttInfo) {
-    // 1L: ɹա.%
+    // 1行目: プレロード方向、カント、ファイル種別
     const preloadDirection = workSection.lateralRail === 'left' ? '0' : '1';
     const cantDirection = workSection.verticalRail === 'right' ? '0' : '1';
     const fileType = mttInfo.code.toString();
@@ -147,37 +147,36 @@ class MTTDataExporter {
   }
 
   /**
-   * Ln
+   * データ行の生成
    */
   generateDataLine(movement, curve, index, workSection, mttInfo) {
-    // n
+    // キロ程の計算
     const kilometer = this.calculateKilometer(index, workSection, mttInfo);
 
-    // Dn
+    // D点誘導量の計算
     const dPointGuidance = this.calculateDPointGuidance(
       movement,
       index,
       mttInfo
     );
 
-    // Cc$nMTTnO	
+    // C点補正値の計算（MTTの偏心矢）
     const cPointCorrection = this.calculateCPointCorrection(
       curve,
       mttInfo
     );
 
-    // DSF
-n
+    // D点こう上量の計算
     const dPointLift = this.calculateDPointLift(
       movement,
       index,
       mttInfo
     );
 
-    // $
+    // カント値
     const cant = curve ? curve.cant || 0 : 0;
 
-    // 09-16(n4nyթ
+    // 09-16在の場合の特殊フォーマット
     if (mttInfo.special) {
       return this.format0916DataLine(
         kilometer,
@@ -188,7 +187,7 @@ class MTTDataExporter {
       );
     }
 
-    // 8թ
+    // 通常フォーマット
     return this.formatStandardDataLine(
       kilometer,
       dPointGuidance,
@@ -199,35 +198,35 @@ class MTTDataExporter {
   }
 
   /**
-   * n
+   * キロ程の計算
    */
   calculateKilometer(index, workSection, mttInfo) {
     const baseKm = workSection.startKm || 0;
     const position = index * this.dataInterval;
 
-    // MTT.%kMnc
+    // MTT種別による位置補正
     let adjustedPosition = position;
     if (!mttInfo.special) {
-      // C
+      // C点基準
       adjustedPosition = position + mttInfo.cPointOffset;
     } else {
-      // D09-16(	
+      // D点基準（09-16在）
       adjustedPosition = position + mttInfo.dPointOffset;
     }
 
-    return (baseKm + adjustedPosition) / 1000;  // kmXM
+    return (baseKm + adjustedPosition) / 1000;  // km単位
   }
 
   /**
-   * Dn
+   * D点誘導量の計算
    */
   calculateDPointGuidance(movement, index, mttInfo) {
     if (!movement || !movement.lateral) {
       return 0;
     }
 
-    // Dgn*mmXM	
-    // MTTn&wnW_c
+    // D点での横移動量（mm単位）
+    // MTTの弦長を考慮した補正
     const dPointIndex = index + Math.round(mttInfo.dPointOffset / this.dataInterval);
 
     if (movement.lateralArray && movement.lateralArray[dPointIndex]) {
@@ -238,20 +237,20 @@ class MTTDataExporter {
   }
 
   /**
-   * Cc$nMTTnO	
+   * C点補正値の計算（MTTの偏心矢）
    */
   calculateCPointCorrection(curve, mttInfo) {
     if (!curve) {
       return 0;
     }
 
-    // JKO
-    // O = L^2 / (8R)
-    // L: &w, R: J
+    // 曲線半径から偏心矢を計算
+    // 偏心矢 = L^2 / (8R)
+    // L: 弦長, R: 半径
     if (curve.radius && curve.radius > 0) {
       const eccentricity = (mttInfo.chordLength * mttInfo.chordLength) / (8 * curve.radius);
 
-      // LLޤʹ
+      // 右カーブがプラス、左カーブがマイナス
       return curve.direction === 'right' ? eccentricity : -eccentricity;
     }
 
@@ -259,15 +258,14 @@ class MTTDataExporter {
   }
 
   /**
-   * DSF
-n
+   * D点こう上量の計算
    */
   calculateDPointLift(movement, index, mttInfo) {
     if (!movement || !movement.vertical) {
       return 0;
     }
 
-    // Dgn&mmXM	
+    // D点での縦移動量（mm単位）
     const dPointIndex = index + Math.round(mttInfo.dPointOffset / this.dataInterval);
 
     if (movement.verticalArray && movement.verticalArray[dPointIndex]) {
@@ -278,54 +276,53 @@ class MTTDataExporter {
   }
 
   /**
-   * Lnթ
+   * 標準データ行のフォーマット
    */
   formatStandardDataLine(kilometer, dGuidance, cCorrection, dLift, cant) {
-    // : 10Ap4A
+    // キロ程: 10桁、小数4桁
     const kmStr = kilometer.toFixed(4).padStart(10, ' ');
 
-    // D: 7Ap3A&M
+    // D点誘導量: 7桁、小数3桁、符号付き
     const dGuidanceStr = this.formatSignedNumber(dGuidance, 7, 3);
 
-    // Cc$: 7Ap3A&M
+    // C点補正値: 7桁、小数3桁、符号付き
     const cCorrectionStr = this.formatSignedNumber(cCorrection, 7, 3);
 
-    // DSF
-: 7Ap3A&M
+    // D点こう上量: 7桁、小数3桁、符号付き
     const dLiftStr = this.formatSignedNumber(dLift, 7, 3);
 
-    // : 5Ap1A&M
+    // カント: 5桁、小数1桁、符号付き
     const cantStr = this.formatSignedNumber(cant, 5, 1);
 
     return `${kmStr}${dGuidanceStr}${cCorrectionStr}${dLiftStr}${cantStr}`;
   }
 
   /**
-   * 09-16((Lnթ
+   * 09-16在用データ行のフォーマット
    */
   format0916DataLine(kilometer, dGuidance, cCorrection, dLift, cant) {
-    // yթkeO	
+    // 特殊フォーマット（仕様書に基づく）
     const kmStr = kilometer.toFixed(4).padStart(10, ' ');
     const dGuidanceStr = this.formatSignedNumber(dGuidance, 7, 3);
     const cCorrectionStr = this.formatSignedNumber(cCorrection, 7, 3);
     const dLiftStr = this.formatSignedNumber(dLift, 7, 3);
     const cantStr = this.formatSignedNumber(cant, 5, 1);
 
-    // գ
-    const reserved = '0000000000000';  // 
+    // 追加フィールド
+    const reserved = '0000000000000';  // 予約領域
 
     return `${kmStr}${dGuidanceStr}${cCorrectionStr}${dLiftStr}${cantStr}${reserved}`;
   }
 
   /**
-   * ÿLn
+   * フッター行の生成
    */
   generateFooterLine() {
     return 'END';
   }
 
   /**
-   * &Mp$nթ
+   * 符号付き数値のフォーマット
    */
   formatSignedNumber(value, totalWidth, decimalPlaces) {
     const formatted = value.toFixed(decimalPlaces);
@@ -333,7 +330,7 @@ class MTTDataExporter {
   }
 
   /**
-   * ա
+   * ファイル名生成
    */
   generateFileName(workSection) {
     const prefix = workSection.filePrefix || 'X';
@@ -342,15 +339,14 @@ class MTTDataExporter {
   }
 
   /**
-   * MTT(
-,bn
-   * C/nP6mhW_CbK
+   * MTT用仕上り予測波形の計算
+   * 復元帯域の下限を6mとした復元波形から計算
    */
   async calculateMTTPrediction(restoredWaveform, movementData) {
-    // 6m*nգ
+    // 6m未満の成分をフィルタリング
     const filteredWaveform = this.filterShortWavelength(restoredWaveform, 6);
 
-    // ϒi(W_,b
+    // 移動量を適用した予測波形
     const prediction = filteredWaveform.map((point, index) => {
       const movement = movementData[index] || { lateral: 0, vertical: 0 };
       return {
@@ -364,16 +360,16 @@ class MTTDataExporter {
   }
 
   /**
-   * wnգ
+   * 短波長成分のフィルタリング
    */
   filterShortWavelength(waveform, minWavelength) {
-    // FFT(Wfwd
-    // o%FFT(	
-    return waveform;  // 
+    // FFTを使用して短波長成分を除去
+    // （実装は別途FFTモジュールを使用）
+    return waveform;  // 仮実装
   }
 
   /**
-   * ǣnX(h\
+   * ディレクトリの存在確認と作成
    */
   async ensureDirectoryExists(dirPath) {
     try {
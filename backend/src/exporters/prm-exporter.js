@@ -240,7 +240,8 @@ class PRMExporter {
           break;
 
         case 'CURVE_ELEMENTS':
-          if (key.startsWith('CURVE_')) {
+          // CURVE_COUNT は件数のため個別諸元（CURVE_1, CURVE_2, ...）と区別する
+          if (/^CURVE_\d+$/.test(key)) {
             const curveData = value.split(',');
             params.curve.elements.push({
               startKm: parseFloat(curveData[0]),
@@ -259,7 +260,8 @@ class PRMExporter {
           break;
 
         case 'MOVEMENT_RESTRICTION':
-          if (key.startsWith('RESTRICTION_')) {
+          // RESTRICTION_COUNT は件数のため個別制限箇所（RESTRICTION_1, ...）と区別する
+          if (/^RESTRICTION_\d+$/.test(key)) {
             const restrictionData = value.split(',');
             params.restriction.points.push({
               startKm: parseFloat(restrictionData[0]),
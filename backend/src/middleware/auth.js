@@ -3,7 +3,7 @@
  * JWT-based authentication and authorization
  */
 
-const UserRepository = require('../db/repositories/user-repository');
+const { UserRepository } = require('../db/repositories');
 
 class AuthMiddleware {
   constructor() {
@@ -142,7 +142,7 @@ class AuthMiddleware {
     return async (req, res, next) => {
       try {
         if (req.user) {
-          const HistoryRepository = require('../db/repositories/history-repository');
+          const { HistoryRepository } = require('../db/repositories');
           const historyRepo = new HistoryRepository();
 
           await historyRepo.logSystemEvent({
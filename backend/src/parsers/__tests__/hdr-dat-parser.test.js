@@ -0,0 +1,94 @@
+/**
+ * hdr-dat-parser.js の書き込み（ラウンドトリップ）テスト
+ */
+import { describe, test, expect, beforeEach } from '@jest/globals';
+import { HDRDATParser } from '../hdr-dat-parser.js';
+
+/**
+ * テスト用のHDR/DATデータを作成
+ */
+function createHDRDATData(values, header = {}) {
+  const data = Float32Array.from(values);
+  return {
+    header: {
+      fileId: 'TKD0141F',
+      lineCode: 'TK',
+      direction: 'D',
+      measurementDate: new Date(2024, 0, 31),
+      dataPoints: data.length,
+      dataType: '1F',
+      metadata: {
+        startKilometer: 1234.5,
+        endKilometer: 1234.5 + (data.length - 1) * 0.25,
+        samplingInterval: 0.25,
+        lineName: '山陽本線',
+        VEHICLE: 'マヤ34',
+        OPERATOR: 'A=B'
+      },
+      ...header
+    },
+    data
+  };
+}
+
+describe('HDRDATParser 書き込み', () => {
+  let parser;
+
+  beforeEach(() => {
+    parser = new HDRDATParser();
+  });
+
+  test('parse(write(x)) が x と一致する', () => {
+    const hdrDatData = createHDRDATData([0, -1.5, 2.75, 10.125]);
+
+    const { hdr, dat } = parser.write(hdrDatData);
+    const result = parser.parse(hdr, dat);
+
+    expect(result).toEqual(hdrDatData);
+  });
+
+  test('HDRはKEY=VALUE形式、DATはFloat32LEで出力する', () => {
+    const { hdr, dat } = parser.write(createHDRDATData([1.5, -2.25]));
+    const lines = hdr.toString('utf8').split('\r\n');
+
+    expect(lines).toContain('FILE_ID=TKD0141F');
+    expect(lines).toContain('MEASUREMENT_DATE=2024/01/31');
+    expect(lines).toContain('DATA_POINTS=2');
+    expect(lines).toContain('START_KM=1234.5');
+    expect(lines).toContain('LINE_NAME=山陽本線');
+    expect(dat.length).toBe(8);
+    expect(dat.readFloatLE(0)).toBe(1.5);
+    expect(dat.readFloatLE(4)).toBe(-2.25);
+  });
+
+  test('ファイルIDと異なるデータ項目も保持する', () => {
+    const hdrDatData = createHDRDATData([1], { dataType: '5F' });
+
+    const { hdr, dat } = parser.write(hdrDatData);
+
+    expect(parser.parse(hdr, dat).header.dataType).toBe('5F');
+  });
+
+  test('測定データ配列から作成したHDR/DATを往復できる', () => {
+    const measurementData = [
+      { distance: 100, value: 0.125 },
+      { distance: 100.5, value: -3.25 },
+      { distance: 101, value: 4.5 }
+    ];
+
+    const hdrDatData = parser.fromMeasurementData(measurementData, { fileId: 'TKR0145F' });
+    const { hdr, dat } = parser.write(hdrDatData);
+    const result = parser.parse(hdr, dat);
+
+    expect(result).toEqual(hdrDatData);
+    expect(result.header.metadata.samplingInterval).toBe(0.5);
+    expect(parser.toMeasurementData(result)).toEqual(measurementData);
+  });
+
+  test('改行を含む値はエラー', () => {
+    const hdrDatData = createHDRDATData([1]);
+    hdrDatData.header.metadata.NOTE = 'a\nb';
+
+    expect(() => parser.write(hdrDatData)).toThrow();
+  });
+});
@@ -0,0 +1,188 @@
+/**
+ * labox-parser.js のテスト
+ */
+import { describe, test, expect } from '@jest/globals';
+import iconv from 'iconv-lite';
+import LaboxParser from '../labox-parser.js';
+
+/**
+ * テスト用のLBXファイルイメージを作成
+ * ヘッダー256byte + データ点ごとに Float32LE × チャンネル数
+ */
+function createLBX(rows, header = {}) {
+  const {
+    startKilometer = 1.2,
+    dataInterval = 0.25,
+    channelCount = rows[0].length,
+    direction = 0,
+    lineSection = iconv.encode('東海道線', 'Shift_JIS'),
+    measurementDate = new Date(2024, 0, 31)
+  } = header;
+
+  const buffer = Buffer.alloc(256 + rows.length * channelCount * 4);
+  buffer.write('LABOX\0\0\0', 0, 'latin1');
+  buffer.writeUInt16LE(1, 8);
+  buffer.writeBigInt64LE(BigInt(measurementDate.getTime() / 1000), 10);
+  buffer.writeFloatLE(40, 18);
+  buffer.writeDoubleLE(startKilometer, 22);
+  buffer.writeDoubleLE(startKilometer + (rows.length - 1) * dataInterval / 1000, 30);
+  buffer.writeFloatLE(dataInterval, 38);
+  buffer.writeUInt32LE(rows.length, 42);
+  buffer.writeUInt16LE(channelCount, 46);
+  lineSection.copy(buffer, 50);
+  buffer.writeUInt16LE(direction, 114);
+
+  rows.forEach((row, i) => {
+    row.forEach((value, ch) => buffer.writeFloatLE(value, 256 + (i * channelCount + ch) * 4));
+  });
+  return buffer;
+}
+
+// 左右高低・左右通り・軌間（Float32 で誤差なく表せる値）
+const ROWS = [
+  [0.5, -0.5, 1.25, -1.25, 2],
+  [1, -1, 1.5, -1.5, 2.5],
+  [1.5, -1.5, 1.75, -1.75, 3],
+  [2, -2, 2, -2, 3.5]
+];
+
+const LDT_LINES = [
+  'LABOX 測定データ',
+  '測定日: 2024/01/31',
+  '線区: 東海道線',
+  'キロ程\t左高低\t右高低\t軌間',
+  '1.200\t0.5\t-0.5\t2.0',
+  '1.201\t1.0\t-1.0\t2.5',
+  '',
+  '1.202\t1.5\t-1.5\t3.0'
+];
+
+describe('LaboxParser', () => {
+  describe('parseLBX', () => {
+    test('ヘッダーを読み、Shift-JIS の線区名を復号する', () => {
+      const { header } = LaboxParser.parseLBX(createLBX(ROWS, { direction: 1 }));
+
+      expect(header).toMatchObject({
+        version: 1,
+        trainSpeed: 40,
+        startKilometer: 1.2,
+        dataInterval: 0.25,
+        dataCount: 4,
+        channelCount: 5,
+        lineSection: '東海道線',
+        direction: 1,
+        directionName: 'up'
+      });
+      expect(header.measurementDate).toEqual(new Date(2024, 0, 31));
+    });
+
+    test('データ点ごとに位置 (m)・キロ程 (km) とチャンネル値を返す', () => {
+      const { data, statistics } = LaboxParser.parseLBX(createLBX(ROWS));
+
+      expect(data).toHaveLength(4);
+      expect(data[1]).toEqual({
+        index: 1,
+        position: 0.25,
+        kilometer: 1.2 + 0.25 / 1000,
+        leftLevel: 1,
+        rightLevel: -1,
+        leftAlignment: 1.5,
+        rightAlignment: -1.5,
+        gauge: 2.5
+      });
+      expect(statistics.gauge).toMatchObject({ count: 4, mean: 2.75, min: 2, max: 3.5 });
+      expect(statistics.dataTypes).toEqual(['leftLevel', 'rightLevel', 'leftAlignment', 'rightAlignment', 'gauge']);
+    });
+
+    test('チャンネルとキロ程 (km) の範囲を指定して読み込む', () => {
+      const { data } = LaboxParser.parseLBX(createLBX(ROWS), {
+        channels: ['gauge', 0],
+        startKm: 1.2002,
+        endKm: 1.2006
+      });
+
+      expect(data.map(point => [point.index, point.leftLevel, point.gauge, point.rightLevel])).toEqual([
+        [1, 1, 2.5, undefined],
+        [2, 1.5, 3, undefined]
+      ]);
+    });
+
+    test('シグネチャが LABOX でなければエラー', () => {
+      const buffer = createLBX(ROWS);
+      buffer.write('XXXXX', 0, 'latin1');
+
+      expect(() => LaboxParser.parseLBX(buffer)).toThrow('無効なファイル形式');
+    });
+  });
+
+  describe('parseLDT', () => {
+    test('Shift-JIS のヘッダー行から測定日・線区・列名を読み、空行を除いてデータを返す', () => {
+      const { header, data, lineCount } = LaboxParser.parseLDT(iconv.encode(LDT_LINES.join('\r\n'), 'Shift_JIS'));
+
+      expect(header).toMatchObject({
+        measurementDate: new Date(2024, 0, 31),
+        lineSection: '東海道線',
+        columns: ['キロ程', '左高低', '右高低', '軌間'],
+        dataStartLine: 4
+      });
+      expect(lineCount).toBe(7);
+      expect(data).toEqual([
+        { kilometer: 1.2, leftLevel: 0.5, rightLevel: -0.5, gauge: 2 },
+        { kilometer: 1.201, leftLevel: 1, rightLevel: -1, gauge: 2.5 },
+        { kilometer: 1.202, leftLevel: 1.5, rightLevel: -1.5, gauge: 3 }
+      ]);
+    });
+
+    test('区切り文字と文字コードを指定して読み込む', () => {
+      const text = ['KM,左通り,右通り', '0.5,1.5,-1.5', '0.501,abc,-2'].join('\n');
+
+      const { data } = LaboxParser.parseLDT(Buffer.from(text, 'utf8'), { encoding: 'utf8', delimiter: ',' });
+
+      expect(data).toEqual([
+        { kilometer: 0.5, leftAlignment: 1.5, rightAlignment: -1.5 },
+        { kilometer: 0.501, rightAlignment: -2 }
+      ]);
+    });
+  });
+
+  describe('toMeasurementData', () => {
+    test('LBX は開始キロ程と位置から距離 (m) を求め、チャンネル別の測定データにする', () => {
+      const laboxData = LaboxParser.parseLBX(createLBX(ROWS));
+
+      const { channels, items, range } = LaboxParser.toMeasurementData(laboxData);
+
+      expect(channels).toEqual(['leftLevel', 'rightLevel', 'leftAlignment', 'rightAlignment', 'gauge']);
+      expect(items.gauge).toEqual([
+        { distance: 1200, value: 2 },
+        { distance: 1200.25, value: 2.5 },
+        { distance: 1200.5, value: 3 },
+        { distance: 1200.75, value: 3.5 }
+      ]);
+      expect(range).toEqual({ startKm: 1200, endKm: 1200.75, dataPoints: 4 });
+    });
+
+    test('LDT はキロ程列 (km) から距離 (m) を求め、チャンネルと範囲 (m) で絞り込む', () => {
+      const laboxData = LaboxParser.parseLDT(iconv.encode(LDT_LINES.join('\r\n'), 'Shift_JIS'));
+
+      const { channels, items, range } = LaboxParser.toMeasurementData(laboxData, {
+        channels: ['rightLevel'],
+        startKm: 1201,
+        endKm: 1202
+      });
+
+      expect(channels).toEqual(['rightLevel']);
+      expect(Object.keys(items)).toEqual(['rightLevel']);
+      expect(items.rightLevel).toEqual([{ distance: 1201, value: -1 }, { distance: 1202, value: -1.5 }]);
+      expect(range).toEqual({ startKm: 1201, endKm: 1202, dataPoints: 2 });
+    });
+
+    test('範囲内にデータがなければ空の測定データを返す', () => {
+      const laboxData = LaboxParser.parseLBX(createLBX(ROWS));
+
+      const { items, range } = LaboxParser.toMeasurementData(laboxData, { startKm: 5000 });
+
+      expect(items.gauge).toEqual([]);
+      expect(range).toEqual({ startKm: null, endKm: null, dataPoints: 0 });
+    });
+  });
+});
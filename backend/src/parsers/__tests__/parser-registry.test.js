@@ -0,0 +1,213 @@
+/**
+ * parser-registry.js のテスト
+ */
+import { describe, test, expect, beforeAll, afterAll } from '@jest/globals';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import iconv from 'iconv-lite';
+import { createDefaultRegistry } from '../parser-registry.js';
+import { RSQParser } from '../rsq-parser.js';
+import { HDRDATParser } from '../hdr-dat-parser.js';
+
+describe('ParserRegistry', () => {
+  let tempDir;
+
+  beforeAll(() => {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'parser-registry-'));
+  });
+
+  afterAll(() => {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  const writeFile = (name, content) => {
+    const filePath = path.join(tempDir, name);
+    fs.writeFileSync(filePath, content);
+    return { path: filePath, originalName: name };
+  };
+
+  const values = count => Array.from({ length: count }, (_, i) => Math.sin(i / 5));
+
+  const createRSQ = () => {
+    const parser = new RSQParser();
+    const measurementData = values(40).map((value, i) => ({ distance: 1000 + i * 0.25, value }));
+    return parser.write(parser.fromMeasurementData(measurementData, { fileId: 'TKD0141F', startKilometer: 1000 }));
+  };
+
+  const createHDRDAT = () => {
+    const data = Float32Array.from(values(40));
+    return new HDRDATParser().write({
+      header: {
+        fileId: 'TKD0141F',
+        lineCode: 'TK',
+        direction: 'D',
+        measurementDate: new Date(2024, 0, 31),
+        dataPoints: data.length,
+        dataType: '1F',
+        metadata: { startKilometer: 1000, endKilometer: 1000 + (data.length - 1) * 0.25, samplingInterval: 0.25 }
+      },
+      data
+    });
+  };
+
+  // キロ程 (km) と左右高低のLDT（Shift-JIS, タブ区切り）
+  const createLDT = () => iconv.encode([
+    'LABOX 測定データ',
+    'キロ程\t左高低\t右高低',
+    ...values(20).map((value, i) => `${(1 + i * 0.001).toFixed(3)}\t${value.toFixed(3)}\t${(-value).toFixed(3)}`)
+  ].join('\r\n'), 'Shift_JIS');
+
+  const ckText = [
+    '# 作成年月日 2024/01/31',
+    'BC=1.2345',
+    'EC=1.4567',
+    'EOD'
+  ].join('\r\n');
+
+  describe('マジックバイト', () => {
+    test('先頭が LABOX のファイルは拡張子によらず LBX と判定する', async () => {
+      const buffer = Buffer.alloc(256);
+      buffer.write('LABOX\0\0\0', 0, 'latin1');
+      const file = writeFile('measure.bin', buffer);
+
+      const [candidate] = await createDefaultRegistry().detect(file);
+
+      expect(candidate).toMatchObject({ format: 'lbx', confidence: 0.7 });
+    });
+
+    test('先頭が MTT でデータ数と間隔が妥当なら MTT と判定する', async () => {
+      const buffer = Buffer.alloc(256);
+      buffer.write('MTT', 0, 'latin1');
+      buffer.writeUInt32LE(100, 9);
+      buffer.writeFloatLE(0.25, 13);
+      const file = writeFile('work.mtt', buffer);
+
+      const [candidate] = await createDefaultRegistry().detect(file);
+
+      expect(candidate).toMatchObject({ format: 'mtt', confidence: 0.96 });
+    });
+  });
+
+  describe('ヘッダー構造', () => {
+    test('データ点数とファイルサイズが整合する RSQ を判定する', async () => {
+      const file = writeFile('TKD0141F.dat0', createRSQ());
+
+      const [candidate] = await createDefaultRegistry().detect(file);
+
+      expect(candidate).toMatchObject({ format: 'rsq', confidence: 0.7 });
+    });
+
+    test('Ctrl+Z 終端のヘッダーを DCP と判定する', async () => {
+      const buffer = Buffer.concat([Buffer.from('DATA_POINTS=10\r\n'), Buffer.from([0x1A]), Buffer.alloc(64)]);
+      const file = writeFile('all.dcp', buffer);
+
+      const [candidate] = await createDefaultRegistry().detect(file);
+
+      expect(candidate).toMatchObject({ format: 'dcp', confidence: 0.93 });
+    });
+
+    test('DATA_POINTS/FILE_ID を持つ HDR を判定し、DAT がなければ400エラー', async () => {
+      const { hdr } = createHDRDAT();
+      const file = writeFile('TKD0141F.HDR', hdr);
+      const registry = createDefaultRegistry();
+
+      const [candidate] = await registry.detect(file);
+
+      expect(candidate).toMatchObject({ format: 'hdrdat', confidence: 0.93 });
+      await expect(registry.import([file])).rejects.toMatchObject({ status: 400 });
+    });
+
+    test('HDR と DAT を対にして読み込む', async () => {
+      const { hdr, dat } = createHDRDAT();
+      const files = [writeFile('pair.hdr', hdr), writeFile('pair.dat', dat)];
+
+      const result = await createDefaultRegistry().import(files);
+
+      expect(result).toMatchObject({ format: 'hdrdat', files: ['pair.hdr', 'pair.dat'], dataPoints: 40 });
+      expect(result.range).toEqual({ truncated: false, nextStartKm: null });
+    });
+  });
+
+  describe('ファイル名の規則', () => {
+    test('CK*.csv は名前の規則に一致しない CSV より信頼度が高い', async () => {
+      const registry = createDefaultRegistry();
+
+      const [named] = await registry.detect(writeFile('CK0001.csv', ckText));
+      const [unnamed] = await registry.detect(writeFile('curve.csv', ckText));
+
+      expect(named).toMatchObject({ format: 'ck', confidence: 0.93 });
+      expect(unnamed).toMatchObject({ format: 'ck', confidence: 0.78 });
+    });
+
+    test('内容が判定できなければ拡張子だけでは採用せず415エラー', async () => {
+      const file = writeFile('notes.pnt', 'この行はキロ程対照表ではありません');
+
+      await expect(createDefaultRegistry().import([file]))
+        .rejects.toMatchObject({ status: 415, candidates: [expect.objectContaining({ format: 'pnt', confidence: 0.3 })] });
+    });
+  });
+
+  describe('文字コード', () => {
+    test('Shift-JIS の LDT を判定して読み込む', async () => {
+      const file = writeFile('labox.ldt', createLDT());
+      const registry = createDefaultRegistry();
+
+      const [candidate] = await registry.detect(file);
+      const result = await registry.import([file]);
+
+      expect(candidate).toMatchObject({ format: 'ldt', confidence: 0.79 });
+      expect(result.dataPoints).toBe(20);
+      expect(result.multiMeasurementData[1]).toEqual({
+        distance: 1001,
+        measurements: { leftLevel: 0.199, rightLevel: -0.199 }
+      });
+    });
+
+    test('テキストとして読めないファイルはテキスト形式と判定しない', async () => {
+      const buffer = Buffer.from(Array.from({ length: 512 }, (_, i) => (i * 73 + 128) % 256));
+      const file = writeFile('binary.ldt', buffer);
+
+      const candidates = await createDefaultRegistry().detect(file);
+
+      expect(candidates.find(c => c.format === 'ldt')).toEqual({ format: 'ldt', name: expect.any(String), confidence: 0.3 });
+      expect(candidates.every(c => c.confidence < 0.5)).toBe(true);
+    });
+  });
+
+  describe('読み込みの上限', () => {
+    test('ファイル全体を読み込む形式は上限を超えると413エラー', async () => {
+      const file = writeFile('large.ldt', createLDT());
+
+      await expect(createDefaultRegistry({ maxWholeFileSize: 100 }).import([file]))
+        .rejects.toMatchObject({ status: 413 });
+    });
+
+    test('範囲抽出に対応する RSQ はファイルサイズの上限を適用しない', async () => {
+      const file = writeFile('TKD0141F.rsq', createRSQ());
+
+      const result = await createDefaultRegistry({ maxWholeFileSize: 100 }).import([file]);
+
+      expect(result).toMatchObject({ format: 'rsq', dataPoints: 40 });
+    });
+
+    test('ファイル全体を読み込む形式にもキロ程範囲を適用する', async () => {
+      const file = writeFile('range.ldt', createLDT());
+
+      const result = await createDefaultRegistry().import([file], { range: { startKm: 1005, endKm: 1010 } });
+
+      expect(result.multiMeasurementData.map(point => point.distance)).toEqual([1005, 1006, 1007, 1008, 1009, 1010]);
+      expect(result.range).toEqual({ truncated: false, nextStartKm: null });
+    });
+
+    test('値の数が上限を超える場合は打ち切って続きのキロ程を返す', () => {
+      const measurements = Object.fromEntries(Array.from({ length: 10 }, (_, i) => [`item${i}`, 0]));
+      const multiMeasurementData = Array.from({ length: 40001 }, (_, i) => ({ distance: i * 0.25, measurements }));
+
+      const result = createDefaultRegistry().limitRange({ multiMeasurementData });
+
+      expect(result.multiMeasurementData).toHaveLength(40000);
+      expect(result.range).toEqual({ truncated: true, nextStartKm: 10000 });
+    });
+  });
+});
@@ -0,0 +1,95 @@
+/**
+ * rsq-parser.js の書き込み（ラウンドトリップ）テスト
+ */
+import { describe, test, expect, beforeEach } from '@jest/globals';
+import { RSQParser } from '../rsq-parser.js';
+
+/**
+ * テスト用のRSQデータを作成
+ */
+function createRSQData(values, header = {}) {
+  const data = Float32Array.from(values);
+  return {
+    header: {
+      fileId: 'TKD014KC',
+      lineCode: 'TK',
+      direction: 'D',
+      measurementDate: new Date(2024, 3, 15),
+      startKilometer: 12000,
+      endKilometer: 12000 + Math.floor((data.length - 1) * 0.25),
+      dataType: 'KC',
+      dataPoints: data.length,
+      samplingInterval: 0.25,
+      ...header
+    },
+    data
+  };
+}
+
+describe('RSQParser 書き込み', () => {
+  let parser;
+
+  beforeEach(() => {
+    parser = new RSQParser();
+  });
+
+  test('parse(write(x)) が x と一致する', () => {
+    const rsqData = createRSQData([0, 1.5, -2.25, 3.125, -12.5, 100.75]);
+
+    const result = parser.parse(parser.write(rsqData));
+
+    expect(result).toEqual(rsqData);
+  });
+
+  test('ヘッダー2048byte + Float32LE のバイト配置で出力する', () => {
+    const buffer = parser.write(createRSQData([1.5, -2.25]));
+
+    expect(buffer.length).toBe(2048 + 2 * 4);
+    expect(buffer.toString('ascii', 0, 8)).toBe('TKD014KC');
+    expect(buffer.toString('ascii', 16, 24)).toBe('20240415');
+    expect(buffer.readInt32LE(32)).toBe(2);
+    expect(buffer.readInt32LE(40)).toBe(12000);
+    expect(buffer.readInt32LE(44)).toBe(12000);
+    expect(buffer.readFloatLE(2048)).toBe(1.5);
+    expect(buffer.readFloatLE(2052)).toBe(-2.25);
+  });
+
+  test('write(parse(buffer)) が元のバッファと一致する', () => {
+    const original = parser.write(createRSQData([0.5, 0.75, -1]));
+
+    expect(parser.write(parser.parse(original)).equals(original)).toBe(true);
+  });
+
+  test('測定日なし・データ0点でも往復できる', () => {
+    const rsqData = createRSQData([], { measurementDate: null, endKilometer: 12000 });
+
+    expect(parser.parse(parser.write(rsqData))).toEqual(rsqData);
+  });
+
+  test('測定データ配列から作成したRSQを往復できる', () => {
+    const measurementData = [
+      { distance: 500, value: 1.234 },
+      { distance: 500.25, value: -0.5 },
+      { distance: 500.5, value: 7.875 }
+    ];
+
+    const rsqData = parser.fromMeasurementData(measurementData, {
+      fileId: 'TKR014GC',
+      measurementDate: new Date(2023, 11, 1)
+    });
+    const result = parser.parse(parser.write(rsqData));
+
+    expect(result.header.lineCode).toBe('TK');
+    expect(result.header.direction).toBe('R');
+    expect(result.header.dataType).toBe('GC');
+    expect(parser.toMeasurementData(result)).toEqual(measurementData);
+  });
+
+  test('整数でない開始キロ程はエラー', () => {
+    expect(() => parser.write(createRSQData([1], { startKilometer: 10.5 }))).toThrow();
+  });
+
+  test('0.25m以外のサンプリング間隔はエラー', () => {
+    expect(() => parser.write(createRSQData([1], { samplingInterval: 0.5 }))).toThrow();
+  });
+});
@@ -4,12 +4,16 @@
  * CSV形式の曲線諸元データを解析し、構造化データに変換
  *
  * CSVフォーマット:
- * 開始KP,終了KP,曲線種別,半径,カント,方向,ラベル
+ * 開始KP,終了KP,曲線種別,半径,カント,方向,ラベル[,スラック,逓減形状]
  * 0.000,3.000,straight,,,直線区間1
- * 3.000,5.000,transition,,,緩和曲線1
- * 5.000,9.000,circular,600,80,right,R600円曲線
+ * 3.000,5.000,transition,,,,緩和曲線1,,sine
+ * 5.000,9.000,circular,600,80,right,R600円曲線,5
+ *
+ * スラック（mm）・逓減形状（linear / clothoid / cubic / sine）は省略可
  */
 
+const { TRANSITION_TYPES } = require('../algorithms/curve-design-profile');
+
 class CurveSpecParser {
   /**
    * CSV文字列を曲線諸元データに変換
@@ -85,6 +89,8 @@ class CurveSpecParser {
     const cant = parts[4] ? this.parseFloat(parts[4], 'カント', true) : null;
     const direction = parts[5] ? this.parseDirection(parts[5]) : null;
     const label = parts[6] || '';
+    const slack = parts[7] ? this.parseFloat(parts[7], 'スラック', true) : null;
+    const transitionType = parts[8] ? this.parseTransitionType(parts[8]) : null;
 
     // バリデーション
     if (startKP >= endKP) {
@@ -103,6 +109,8 @@ class CurveSpecParser {
       cant,
       direction,
       label,
+      slack,
+      transitionType,
       length: endKP - startKP
     };
   }
@@ -148,6 +156,29 @@ class CurveSpecParser {
     return curveType;
   }
 
+  /**
+   * 緩和曲線の逓減形状をパース
+   */
+  static parseTransitionType(value) {
+    const normalized = value.toLowerCase().trim();
+
+    const typeMap = {
+      '直線': 'linear',
+      '直線逓減': 'linear',
+      'クロソイド': 'clothoid',
+      '3次放物線': 'cubic',
+      'サイン': 'sine',
+      'サイン逓減': 'sine'
+    };
+
+    const transitionType = typeMap[normalized] || normalized;
+    if (!TRANSITION_TYPES.includes(transitionType)) {
+      throw new Error(`不正な逓減形状: "${value}" (${TRANSITION_TYPES.join('/')} のいずれかを指定してください)`);
+    }
+
+    return transitionType;
+  }
+
   /**
    * 方向をパース
    */
@@ -184,7 +215,7 @@ class CurveSpecParser {
     const lines = [];
 
     if (includeHeader) {
-      lines.push('開始KP,終了KP,曲線種別,半径,カント,方向,ラベル');
+      lines.push('開始KP,終了KP,曲線種別,半径,カント,方向,ラベル,スラック,逓減形状');
     }
 
     for (const spec of curveSpecs) {
@@ -195,7 +226,9 @@ class CurveSpecParser {
         spec.radius || '',
         spec.cant || '',
         spec.direction || '',
-        spec.label || ''
+        spec.label || '',
+        spec.slack ?? '',
+        spec.transitionType || ''
       ];
       lines.push(row.join(','));
     }
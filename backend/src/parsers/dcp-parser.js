@@ -23,7 +23,9 @@
  * - 継目検知左 (RC)
  */
 
+const fs = require('fs').promises;
 const { EncodingDetector } = require('../utils/encoding-detector');
+const { getIndexRange } = require('../utils/kilometer-range');
 
 class DCPParser {
   constructor() {
@@ -44,6 +46,11 @@ class DCPParser {
     ];
 
     this.HEADER_END_MARKER = '\x1A'; // Ctrl+Z (ヘッダー終端マーカー)
+
+    // ストリーム読み込み設定
+    this.HEADER_READ_SIZE = 4096;          // ヘッダー探索時の読み込み単位 (byte)
+    this.MAX_HEADER_SIZE = 1024 * 1024;    // ヘッダー部の上限 (byte)
+    this.DEFAULT_CHUNK_POINTS = 65536;     // 1チャンクあたりのデータ点数
   }
 
   /**
@@ -202,26 +209,222 @@ class DCPParser {
         break;
       }
 
-      if (itemDef.type === 'float') {
-        // Float32配列
-        const data = new Float32Array(dataPoints);
-        for (let i = 0; i < dataPoints; i++) {
-          data[i] = dataBuffer.readFloatLE(offset + i * 4);
+      items[itemDef.key] = this.decodeItemData(dataBuffer, offset, itemDef, dataPoints);
+
+      offset += dataSize;
+    }
+
+    return items;
+  }
+
+  /**
+   * 項目データをデコード
+   * @param {Buffer} buffer - データバッファ
+   * @param {number} offset - 読み込み開始位置
+   * @param {Object} itemDef - 項目定義
+   * @param {number} count - データ点数
+   * @returns {Float32Array|Uint8Array} 項目データ
+   */
+  decodeItemData(buffer, offset, itemDef, count) {
+    if (itemDef.type === 'float') {
+      // Float32配列
+      const data = new Float32Array(count);
+      for (let i = 0; i < count; i++) {
+        data[i] = buffer.readFloatLE(offset + i * 4);
+      }
+      return data;
+    }
+
+    // Uint8配列（マーカー類）
+    const data = new Uint8Array(count);
+    for (let i = 0; i < count; i++) {
+      data[i] = buffer.readUInt8(offset + i);
+    }
+    return data;
+  }
+
+  /**
+   * ファイルからヘッダー部のみを読み込む
+   * データ部は読み込まないため、大容量ファイルでもメモリを消費しない
+   * @param {string} filePath - DCPファイルパス
+   * @returns {Promise<{header: DCPFileHeader, dataOffset: number, dataSize: number}>}
+   *   ヘッダー情報・データ部の開始位置・データ部のサイズ
+   */
+  async readHeaderFromFile(filePath) {
+    const handle = await fs.open(filePath, 'r');
+
+    try {
+      const { size } = await handle.stat();
+      const chunks = [];
+      let position = 0;
+      let headerEndIndex = -1;
+
+      while (headerEndIndex === -1 && position < size && position < this.MAX_HEADER_SIZE) {
+        const chunk = Buffer.alloc(Math.min(this.HEADER_READ_SIZE, size - position));
+        const { bytesRead } = await handle.read(chunk, 0, chunk.length, position);
+        if (bytesRead === 0) break;
+
+        const markerIndex = chunk.subarray(0, bytesRead).indexOf(0x1A);
+        if (markerIndex !== -1) {
+          headerEndIndex = position + markerIndex;
         }
-        items[itemDef.key] = data;
-      } else if (itemDef.type === 'uint8') {
-        // Uint8配列（マーカー類）
-        const data = new Uint8Array(dataPoints);
-        for (let i = 0; i < dataPoints; i++) {
-          data[i] = dataBuffer.readUInt8(offset + i);
+
+        chunks.push(chunk.subarray(0, bytesRead));
+        position += bytesRead;
+      }
+
+      if (headerEndIndex === -1) {
+        throw new Error('Header end marker not found');
+      }
+
+      const header = this.parseHeader(Buffer.concat(chunks).subarray(0, headerEndIndex));
+      const dataOffset = headerEndIndex + 1;
+
+      return {
+        header,
+        dataOffset,
+        dataSize: size - dataOffset
+      };
+    } finally {
+      await handle.close();
+    }
+  }
+
+  /**
+   * データ部における各項目の配置を取得
+   * @param {number} dataPoints - データ点数
+   * @param {number} dataSize - データ部のサイズ (byte)
+   * @param {string[]} [itemKeys] - 対象項目キー（省略時は全項目）
+   * @returns {Array<Object>} 項目定義 + offset（データ部先頭からの位置）
+   */
+  getItemLayout(dataPoints, dataSize, itemKeys = null) {
+    const layout = [];
+    let offset = 0;
+
+    for (const itemDef of this.ITEM_DEFINITIONS) {
+      const itemSize = dataPoints * itemDef.size;
+
+      if (offset + itemSize > dataSize) {
+        console.warn(`Insufficient data for ${itemDef.name} (${itemDef.key}), skipping`);
+        break;
+      }
+
+      if (!itemKeys || itemKeys.includes(itemDef.key)) {
+        layout.push({ ...itemDef, offset });
+      }
+
+      offset += itemSize;
+    }
+
+    return layout;
+  }
+
+  /**
+   * データ点の配置（getIndexRange 用）
+   * @param {DCPFileHeader} header - ヘッダー情報
+   * @returns {{startPosition: number, samplingInterval: number, dataPoints: number}}
+   */
+  getPointLayout(header) {
+    return {
+      startPosition: header.startKm,
+      samplingInterval: header.samplingInterval,
+      dataPoints: header.dataPoints
+    };
+  }
+
+  /**
+   * DCPファイルを固定長チャンク単位で読み込む（ストリーム版）
+   * ヘッダーを読み込んだ後、指定範囲のデータ部を chunkSize 点ずつ返す
+   * @param {string} filePath - DCPファイルパス
+   * @param {Object} options - オプション
+   * @param {string[]} [options.items] - 対象項目キー（省略時は全項目）
+   * @param {number} [options.startKm] - 開始キロ程 (m)
+   * @param {number} [options.endKm] - 終了キロ程 (m)
+   * @param {number} [options.maxPoints] - データ点数の上限（超える分は読み込まない）
+   * @param {number} [options.chunkSize] - 1チャンクあたりのデータ点数
+   * @yields {{header: DCPFileHeader, startIndex: number, count: number,
+   *   items: Object.<string, Float32Array|Uint8Array>}} チャンク
+   */
+  async *streamChunks(filePath, options = {}) {
+    const chunkSize = options.chunkSize || this.DEFAULT_CHUNK_POINTS;
+    const { header, dataOffset, dataSize } = await this.readHeaderFromFile(filePath);
+    const layout = this.getItemLayout(header.dataPoints, dataSize, options.items);
+    const { startIndex, endIndex } = getIndexRange(this.getPointLayout(header), options);
+
+    const handle = await fs.open(filePath, 'r');
+
+    try {
+      for (let index = startIndex; index < endIndex; index += chunkSize) {
+        const count = Math.min(chunkSize, endIndex - index);
+        const items = {};
+
+        // 項目ごとに連続格納されているため、各項目の該当区間を個別に読み込む
+        for (const itemDef of layout) {
+          const buffer = Buffer.alloc(count * itemDef.size);
+          await handle.read(buffer, 0, buffer.length, dataOffset + itemDef.offset + index * itemDef.size);
+          items[itemDef.key] = this.decodeItemData(buffer, 0, itemDef, count);
+        }
+
+        yield { header, startIndex: index, count, items };
+      }
+    } finally {
+      await handle.close();
+    }
+  }
+
+  /**
+   * DCPファイルからキロ程範囲を抽出（ストリーム版）
+   * @param {string} filePath - DCPファイルパス
+   * @param {Object} options - streamChunks と同じオプション
+   * @returns {Promise<{header: DCPFileHeader, range: Object, items: Object.<string, MeasurementData[]>}>}
+   *   ヘッダー・抽出範囲・項目別測定データ
+   */
+  async extractRange(filePath, options = {}) {
+    let header = null;
+    let startIndex = null;
+    let dataPoints = 0;
+    const items = {};
+
+    for await (const chunk of this.streamChunks(filePath, options)) {
+      header = chunk.header;
+      if (startIndex === null) startIndex = chunk.startIndex;
+      dataPoints += chunk.count;
+
+      for (const [itemKey, data] of Object.entries(chunk.items)) {
+        if (!items[itemKey]) items[itemKey] = [];
+
+        for (let i = 0; i < chunk.count; i++) {
+          const distance = header.startKm + (chunk.startIndex + i) * header.samplingInterval;
+          items[itemKey].push({
+            distance: parseFloat(distance.toFixed(2)),
+            value: parseFloat(data[i].toFixed(3))
+          });
         }
-        items[itemDef.key] = data;
       }
+    }
 
-      offset += dataSize;
+    // 範囲内にデータが無い場合もヘッダーは返す
+    if (!header) {
+      header = (await this.readHeaderFromFile(filePath)).header;
     }
 
-    return items;
+    const firstIndex = startIndex ?? 0;
+    const positionAt = index => parseFloat((header.startKm + index * header.samplingInterval).toFixed(2));
+    const { truncated, endIndex } = getIndexRange(this.getPointLayout(header), options);
+
+    return {
+      header,
+      range: {
+        startIndex: firstIndex,
+        endIndex: firstIndex + dataPoints,
+        startKm: dataPoints > 0 ? positionAt(firstIndex) : null,
+        endKm: dataPoints > 0 ? positionAt(firstIndex + dataPoints - 1) : null,
+        dataPoints,
+        truncated,
+        nextStartKm: truncated ? positionAt(endIndex) : null
+      },
+      items
+    };
   }
 
   /**
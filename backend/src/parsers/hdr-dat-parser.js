@@ -7,6 +7,7 @@
  * - DATファイル（データ）: バイナリ形式（4byte × データ点数）
  */
 
+const fs = require('fs').promises;
 const { EncodingDetector } = require('../utils/encoding-detector');
 
 class HDRDATParser {
@@ -211,6 +212,124 @@ class HDRDATParser {
     return result;
   }
 
+  /**
+   * 距離-値のペアの配列からHDR/DATデータを作成（toMeasurementData の逆変換）
+   * @param {Array<{distance: number, value: number}>} measurementData - 測定データ（等間隔）
+   * @param {Object} header - ヘッダー情報（fileId, measurementDate, dataType, metadata）
+   * @returns {HDRDATData} HDR/DATデータ
+   */
+  fromMeasurementData(measurementData, header = {}) {
+    const data = Float32Array.from(measurementData, point => point.value);
+    const metadata = { ...(header.metadata || {}) };
+
+    if (metadata.startKilometer === undefined && measurementData.length > 0) {
+      metadata.startKilometer = measurementData[0].distance;
+    }
+    if (metadata.endKilometer === undefined && measurementData.length > 0) {
+      metadata.endKilometer = measurementData[measurementData.length - 1].distance;
+    }
+    if (metadata.samplingInterval === undefined && measurementData.length > 1) {
+      metadata.samplingInterval = parseFloat(
+        (measurementData[1].distance - measurementData[0].distance).toFixed(3)
+      );
+    }
+
+    const fileId = header.fileId || '';
+    const hasFileIdFields = fileId.length >= 8;
+
+    return {
+      header: {
+        fileId,
+        lineCode: hasFileIdFields ? fileId.substring(0, 2) : '',
+        direction: hasFileIdFields ? fileId.substring(2, 3) : '',
+        measurementDate: header.measurementDate || null,
+        dataPoints: data.length,
+        dataType: header.dataType || (hasFileIdFields ? fileId.substring(6, 8) : ''),
+        metadata
+      },
+      data
+    };
+  }
+
+  /**
+   * HDR/DATデータをファイルイメージに書き出す
+   * HDRは parseHeader() が解釈する KEY=VALUE 形式（UTF-8, CRLF）、DATは Float32LE で出力する
+   * @param {HDRDATData} hdrDatData - HDR/DATデータ
+   * @returns {{hdr: Buffer, dat: Buffer}} HDRファイル・DATファイルのバッファ
+   */
+  write(hdrDatData) {
+    const { header, data } = hdrDatData;
+    const { startKilometer, endKilometer, samplingInterval, lineName, ...extra } = header.metadata || {};
+    const entries = [];
+
+    // 既知キー（FILE_ID の後に DATA_TYPE を出力し、ファイルID由来の項目を上書きさせる）
+    entries.push(['FILE_ID', header.fileId]);
+    entries.push(['DATA_TYPE', header.dataType]);
+    entries.push(['MEASUREMENT_DATE', header.measurementDate ? this.formatDate(header.measurementDate) : '']);
+    entries.push(['DATA_POINTS', data.length]);
+    entries.push(['START_KM', startKilometer]);
+    entries.push(['END_KM', endKilometer]);
+    entries.push(['SAMPLING_INTERVAL', samplingInterval]);
+    entries.push(['LINE_NAME', lineName]);
+
+    // その他のメタデータはキーをそのまま出力
+    for (const [key, value] of Object.entries(extra)) {
+      entries.push([key, value]);
+    }
+
+    const lines = [];
+    for (const [key, value] of entries) {
+      // 値が空の行は parseHeader() で読み飛ばされるため出力しない
+      if (value === undefined || value === null || String(value).trim() === '') continue;
+
+      const text = String(value);
+      if (/[\r\n]/.test(text) || /[=\r\n]/.test(key)) {
+        throw new Error(`HDR entry "${key}" cannot contain line breaks or "=" in its key`);
+      }
+      lines.push(`${key}=${text}`);
+    }
+
+    const hdr = Buffer.from(lines.join('\r\n') + '\r\n', 'utf8');
+
+    const dat = Buffer.alloc(data.length * this.DATA_SIZE_PER_POINT);
+    for (let i = 0; i < data.length; i++) {
+      dat.writeFloatLE(data[i], i * this.DATA_SIZE_PER_POINT);
+    }
+
+    return { hdr, dat };
+  }
+
+  /**
+   * HDRファイルとDATファイルを書き込む
+   * @param {string} hdrPath - HDRファイルの出力パス
+   * @param {string} datPath - DATファイルの出力パス
+   * @param {HDRDATData} hdrDatData - HDR/DATデータ
+   * @returns {Promise<{hdrBytes: number, datBytes: number, dataPoints: number}>} 書き込み結果
+   */
+  async writeFiles(hdrPath, datPath, hdrDatData) {
+    const { hdr, dat } = this.write(hdrDatData);
+    await fs.writeFile(hdrPath, hdr);
+    await fs.writeFile(datPath, dat);
+
+    return {
+      hdrBytes: hdr.length,
+      datBytes: dat.length,
+      dataPoints: hdrDatData.data.length
+    };
+  }
+
+  /**
+   * 日付をYYYY/MM/DD形式にフォーマット
+   * @param {Date} date - 日付オブジェクト
+   * @returns {string} YYYY/MM/DD形式の文字列
+   */
+  formatDate(date) {
+    const year = String(date.getFullYear()).padStart(4, '0');
+    const month = String(date.getMonth() + 1).padStart(2, '0');
+    const day = String(date.getDate()).padStart(2, '0');
+    return `${year}/${month}/${day}`;
+  }
+
   /**
    * ファイルIDからファイルタイプを取得
    * @param {string} fileId - ファイルID
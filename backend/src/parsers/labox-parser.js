@@ -71,21 +71,7 @@ class LaboxParser {
       // ファイル読み込み
       const buffer = await fs.readFile(filePath);
 
-      // ヘッダー解析
-      const header = this.parseLBXHeader(buffer);
-
-      if (verbose) {
-        console.log(`測定日: ${header.measurementDate}`);
-        console.log(`線区: ${header.lineSection}`);
-        console.log(`キロ程: ${header.startKilometer}km - ${header.endKilometer}km`);
-        console.log(`データ点数: ${header.dataCount}`);
-      }
-
-      // データ部の解析
-      const data = this.parseLBXData(buffer, header, { channels, startKm, endKm });
-
-      // 統計情報の計算
-      const statistics = this.calculateStatistics(data);
+      const { header, data, statistics } = this.parseLBX(buffer, { channels, startKm, endKm, verbose });
 
       if (verbose) {
         console.log(`LBXファイル読み込み完了: ${data.length}点`);
@@ -107,6 +93,40 @@ class LaboxParser {
     }
   }
 
+  /**
+   * LBXファイルのバッファを解析する
+   *
+   * @param {Buffer} buffer - LBXファイルのバッファ
+   * @param {Object} options - readLBX と同じオプション
+   * @returns {{header: Object, data: Array, statistics: Object}} パース結果
+   */
+  static parseLBX(buffer, options = {}) {
+    const {
+      channels = null,
+      startKm = null,
+      endKm = null,
+      verbose = false
+    } = options;
+
+    // ヘッダー解析
+    const header = this.parseLBXHeader(buffer);
+
+    if (verbose) {
+      console.log(`測定日: ${header.measurementDate}`);
+      console.log(`線区: ${header.lineSection}`);
+      console.log(`キロ程: ${header.startKilometer}km - ${header.endKilometer}km`);
+      console.log(`データ点数: ${header.dataCount}`);
+    }
+
+    // データ部の解析
+    const data = this.parseLBXData(buffer, header, { channels, startKm, endKm });
+
+    // 統計情報の計算
+    const statistics = this.calculateStatistics(data);
+
+    return { header, data, statistics };
+  }
+
   /**
    * LBXヘッダーの解析
    */
@@ -216,17 +236,7 @@ class LaboxParser {
 
       // ファイル読み込み
       const buffer = await fs.readFile(filePath);
-      const text = iconv.decode(buffer, encoding);
-      const lines = text.split(/\r?\n/).filter(line => line.trim());
-
-      // ヘッダー行の解析
-      const header = this.parseLDTHeader(lines);
-
-      // データ行の解析
-      const data = this.parseLDTData(lines, header, delimiter);
-
-      // 統計情報
-      const statistics = this.calculateStatistics(data);
+      const { header, data, statistics, lineCount } = this.parseLDT(buffer, { encoding, delimiter });
 
       if (verbose) {
         console.log(`LDTファイル読み込み完了: ${data.length}点`);
@@ -238,7 +248,7 @@ class LaboxParser {
         statistics,
         metadata: {
           fileName: path.basename(filePath),
-          lineCount: lines.length,
+          lineCount,
           encoding
         }
       };
@@ -248,6 +258,34 @@ class LaboxParser {
     }
   }
 
+  /**
+   * LDTファイルのバッファを解析する
+   *
+   * @param {Buffer} buffer - LDTファイルのバッファ
+   * @param {Object} options - readLDT と同じオプション（encoding, delimiter）
+   * @returns {{header: Object, data: Array, statistics: Object, lineCount: number}} パース結果
+   */
+  static parseLDT(buffer, options = {}) {
+    const {
+      encoding = 'shift_jis',
+      delimiter = '\t'
+    } = options;
+
+    const text = iconv.decode(buffer, encoding);
+    const lines = text.split(/\r?\n/).filter(line => line.trim());
+
+    // ヘッダー行の解析
+    const header = this.parseLDTHeader(lines);
+
+    // データ行の解析
+    const data = this.parseLDTData(lines, header, delimiter);
+
+    // 統計情報
+    const statistics = this.calculateStatistics(data);
+
+    return { header, data, statistics, lineCount: lines.length };
+  }
+
   /**
    * LDTヘッダーの解析
    */
@@ -425,7 +463,7 @@ class LaboxParser {
       'kilometer': 9
     };
 
-    return map[name] || -1;
+    return map[name] ?? -1;
   }
 
   /**
@@ -569,12 +607,120 @@ class LaboxParser {
   }
 
   /**
-   * CSV形式でエクスポート
+   * データに含まれる測定チャンネル名の取得
+   *
+   * @param {Array} data - readLBX / readLDT のデータ
+   * @returns {string[]} チャンネル名（leftLevel, gauge 等）
    */
-  static async exportToCSV(data, outputPath, options = {}) {
+  static getAvailableChannels(data) {
+    const channels = new Set();
+
+    data.forEach(point => {
+      Object.keys(point).forEach(key => {
+        if (key !== 'index' && key !== 'position' && key !== 'kilometer' &&
+            typeof point[key] === 'number') {
+          channels.add(key);
+        }
+      });
+    });
+
+    return Array.from(channels);
+  }
+
+  /**
+   * データ点の距離 (m) を取得
+   * LBXは開始キロ程 (km) + 先頭からの位置 (m)、LDTはキロ程列 (km) から求める
+   *
+   * @param {Object} point - データ点
+   * @param {number} index - データ番号
+   * @param {Object} header - ヘッダー情報
+   * @returns {number} 距離 (m)
+   */
+  static getDistance(point, index, header = {}) {
+    if (header.startKilometer !== undefined && point.position !== undefined) {
+      return header.startKilometer * 1000 + point.position;
+    }
+    if (point.kilometer !== undefined) {
+      return point.kilometer * 1000;
+    }
+    if (point.position !== undefined) {
+      return point.position;
+    }
+    return index * 0.25;
+  }
+
+  /**
+   * 指定チャンネルを標準の測定データ形式（距離-値のペア）に変換
+   * 復元波形計算などの MeasurementData[] を入力とする処理にそのまま渡せる
+   *
+   * @param {{header: Object, data: Array}} laboxData - readLBX / readLDT の結果
+   * @param {Object} options - 変換オプション
+   * @param {string[]} [options.channels] - 変換するチャンネル名（省略時は全チャンネル）
+   * @param {number} [options.startKm] - 開始キロ程 (m)
+   * @param {number} [options.endKm] - 終了キロ程 (m)
+   * @returns {{channels: string[], items: Object<string, MeasurementData[]>, range: Object}} チャンネル別の測定データ
+   */
+  static toMeasurementData(laboxData, options = {}) {
+    const { header = {}, data } = laboxData;
+    const channels = options.channels && options.channels.length > 0
+      ? options.channels
+      : this.getAvailableChannels(data);
+    const hasStart = options.startKm !== undefined && options.startKm !== null;
+    const hasEnd = options.endKm !== undefined && options.endKm !== null;
+
+    const items = {};
+    channels.forEach(channel => {
+      items[channel] = [];
+    });
+
+    let startDistance = null;
+    let endDistance = null;
+    let dataPoints = 0;
+
+    data.forEach((point, index) => {
+      const distance = parseFloat(this.getDistance(point, index, header).toFixed(2));
+      if (hasStart && distance < options.startKm) return;
+      if (hasEnd && distance > options.endKm) return;
+
+      if (startDistance === null) startDistance = distance;
+      endDistance = distance;
+      dataPoints++;
+
+      channels.forEach(channel => {
+        const value = point[channel];
+        if (typeof value === 'number' && !isNaN(value)) {
+          items[channel].push({ distance, value: parseFloat(value.toFixed(3)) });
+        }
+      });
+    });
+
+    return {
+      channels,
+      items,
+      range: { startKm: startDistance, endKm: endDistance, dataPoints }
+    };
+  }
+
+  /**
+   * 測定データを相関マッチング用の形式に変換
+   * CorrelationMatching.findBestMatch の laboxData ({ position, value }) として使用する
+   *
+   * @param {MeasurementData[]} measurementData - 測定データ
+   * @returns {Array<{position: number, value: number}>} 相関マッチング用データ
+   */
+  static toCorrelationData(measurementData) {
+    return measurementData.map(point => ({
+      position: point.distance,
+      value: point.value
+    }));
+  }
+
+  /**
+   * CSV内容の生成
+   */
+  static generateCSVContent(data, options = {}) {
     const {
       delimiter = ',',
-      encoding = 'utf8',
       headers = true
     } = options;
 
@@ -599,6 +745,17 @@ class LaboxParser {
       csvContent += values.join(delimiter) + '\n';
     });
 
+    return { csvContent, rowCount: standardData.length };
+  }
+
+  /**
+   * CSV形式でエクスポート
+   */
+  static async exportToCSV(data, outputPath, options = {}) {
+    const { encoding = 'utf8' } = options;
+
+    const { csvContent, rowCount } = this.generateCSVContent(data, options);
+
     // ファイルに書き込み
     if (encoding === 'shift_jis') {
       const buffer = iconv.encode(csvContent, 'shift_jis');
@@ -609,7 +766,7 @@ class LaboxParser {
 
     return {
       success: true,
-      rowCount: standardData.length,
+      rowCount,
       fileSize: csvContent.length
     };
   }
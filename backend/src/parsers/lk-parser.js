@@ -32,11 +32,11 @@ export class LKParser {
         this.sections.push(this.parseSection(trimmed));
       }
       // Lマーカー（管理値）
-      else if (trimmed.startsWith('L') && trimmed.match(/^L\d+,/)) {
+      else if (trimmed.startsWith('L') && trimmed.match(/^L\d+\s*,/)) {
         this.managementValues.push(this.parseManagementValue(trimmed));
       }
       // Kマーカー（管理区間）
-      else if (trimmed.startsWith('K') && trimmed.match(/^K\d+,/)) {
+      else if (trimmed.startsWith('K') && trimmed.match(/^K\d+\s*,/)) {
         this.managementSections.push(this.parseManagementSection(trimmed));
       }
       // EOD
@@ -0,0 +1,705 @@
+/**
+ * パーサーレジストリ
+ * ファイル形式の自動判定と共通形式への変換
+ *
+ * 判定に用いる情報:
+ * - マジックバイト（LBX, MTT）
+ * - ヘッダー構造（RSQのデータ点数とファイルサイズの整合, DCPのCtrl+Z終端, DDBのセクション等）
+ * - ファイル名の規則（拡張子, CK*.csv / LK*.csv / O010*.csv 等）
+ * - encoding-detector の検出結果（テキスト形式/バイナリ形式の区別）
+ *
+ * 変換結果は types/index.js の MeasurementData / MultiMeasurementData 形式で返す
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const iconv = require('iconv-lite');
+
+const { EncodingDetector } = require('../utils/encoding-detector');
+const { RSQParser } = require('./rsq-parser');
+const { HDRDATParser } = require('./hdr-dat-parser');
+const { DCPParser } = require('./dcp-parser');
+const { PNTParser } = require('./pnt-parser');
+const { TBLDDBParser } = require('./tbl-ddb-parser');
+const LaboxParser = require('./labox-parser');
+const MTTParser = require('./mtt-parser');
+const { getIndexRange, MAX_RANGE_VALUES } = require('../utils/kilometer-range');
+
+// 判定用に読み込む先頭バイト数
+const SAMPLE_SIZE = 8192;
+
+// 判定結果として採用する最低信頼度
+const MIN_CONFIDENCE = 0.5;
+
+// 信頼度の重み（内容判定 / ファイル名判定）
+const CONTENT_WEIGHT = 0.7;
+const NAME_WEIGHT = 0.3;
+
+// ファイル全体を読み込む形式（RSQ, DCP 以外）で受け付けるファイルサイズの上限（対になるファイルを含む）
+const MAX_WHOLE_FILE_SIZE = 64 * 1024 * 1024;
+
+/**
+ * ESモジュールのパーサーを動的にロード
+ * @param {string} parserName - パーサーファイル名
+ * @returns {Promise<Object>} パーサーモジュール
+ */
+async function loadESMParser(parserName) {
+  const parserPath = path.join(__dirname, parserName);
+  return import(`file:///${parserPath.replace(/\\/g, '/')}`);
+}
+
+/**
+ * テキストファイルをデコード（Shift-JIS / UTF-8）
+ * @param {Buffer} buffer - ファイルバッファ
+ * @param {string} encoding - EncodingDetector の検出結果
+ * @returns {string} テキスト
+ */
+function decodeText(buffer, encoding) {
+  return encoding === 'shift_jis'
+    ? iconv.decode(buffer, 'Shift_JIS')
+    : buffer.toString('utf8');
+}
+
+/**
+ * 空でない行を取得
+ * @param {string} text - テキスト
+ * @returns {string[]} 行配列
+ */
+function getLines(text) {
+  return text.split(/\r?\n/).map(line => line.trim()).filter(line => line.length > 0);
+}
+
+/**
+ * 行のうち条件に一致する割合
+ * @param {string[]} lines - 行配列
+ * @param {RegExp} pattern - 条件
+ * @returns {number} 割合 (0-1)
+ */
+function matchRatio(lines, pattern) {
+  if (lines.length === 0) return 0;
+  return lines.filter(line => pattern.test(line)).length / lines.length;
+}
+
+/**
+ * 項目別の値を MultiMeasurementData に変換
+ * @param {Array<Object>} points - データ点配列
+ * @param {Function} getDistance - データ点から距離(m)を取得する関数
+ * @param {string[]} excludeKeys - 測定値として扱わないキー
+ * @returns {MultiMeasurementData[]} 統合測定データ
+ */
+function toMultiMeasurementData(points, getDistance, excludeKeys) {
+  return points.map((point, index) => {
+    const measurements = {};
+    for (const [key, value] of Object.entries(point)) {
+      if (!excludeKeys.includes(key) && typeof value === 'number') {
+        measurements[key] = parseFloat(value.toFixed(3));
+      }
+    }
+
+    return {
+      distance: parseFloat(getDistance(point, index).toFixed(2)),
+      measurements
+    };
+  });
+}
+
+/**
+ * 既定のパーサー定義
+ *
+ * sniff(sample) は内容による判定スコア (0-1) を返す
+ * parse(file, companion, range) は ImportResult の format/confidence 以外の部分を返す
+ * （range はキロ程範囲 {startKm, endKm} (m)。streaming の形式のみ使用し、
+ *   それ以外の形式は ParserRegistry.limitRange で変換後に範囲と値の数を制限する）
+ */
+const DEFAULT_DEFINITIONS = [
+  {
+    format: 'rsq',
+    name: 'RSQ（旧形式検測データ）',
+    extensions: ['.rsq'],
+    streaming: true,
+    sniff(sample) {
+      if (sample.size < 2048 || sample.head.length < 48) return 0;
+
+      const dataPoints = sample.head.readInt32LE(32);
+      if (dataPoints <= 0) return 0;
+
+      const dataSize = sample.size - 2048;
+      let score = 0;
+      if (dataSize === dataPoints * 4) {
+        score = 0.9;
+      } else if (dataSize > dataPoints * 4) {
+        score = 0.5;
+      } else {
+        return 0;
+      }
+
+      // ファイルID（先頭8文字）が英数字
+      if (/^[A-Z0-9]{6}[0-9A-Z]{2}$/i.test(sample.head.toString('latin1', 0, 8))) {
+        score += 0.1;
+      }
+      return score;
+    },
+    async parse(file, companion, range = {}) {
+      const parser = new RSQParser();
+      const extracted = await parser.extractRange(file.path, { ...range, maxPoints: MAX_RANGE_VALUES });
+      const { header, measurementData } = extracted;
+      return {
+        header: { ...header, dataTypeName: parser.getDataTypeName(header.dataType) },
+        range: extracted.range,
+        measurementData
+      };
+    }
+  },
+  {
+    format: 'hdrdat',
+    name: 'HDR/DAT（新形式検測データ）',
+    extensions: ['.hdr'],
+    companion: { extension: '.dat', label: 'DAT' },
+    sniff(sample) {
+      if (sample.encoding === 'latin1' || sample.head.includes(0x1A)) return 0;
+      if (/^\s*(DATA_POINTS|データ点数)\s*=/m.test(sample.text)) {
+        return /^\s*(FILE_ID|ファイルID)\s*=/m.test(sample.text) ? 0.9 : 0.7;
+      }
+      return 0;
+    },
+    async parse(file, companion) {
+      const parser = new HDRDATParser();
+      const hdrDatData = parser.parse(await fs.readFile(file.path), await fs.readFile(companion.path));
+      return {
+        header: { ...hdrDatData.header, dataTypeName: parser.getDataTypeName(hdrDatData.header.dataType) },
+        measurementData: parser.toMeasurementData(hdrDatData)
+      };
+    }
+  },
+  {
+    format: 'dcp',
+    name: 'DCP（全項目一括データ）',
+    extensions: ['.dcp'],
+    streaming: true,
+    sniff(sample) {
+      const markerIndex = sample.head.indexOf(0x1A);
+      if (markerIndex === -1) return 0;
+
+      const headerText = sample.head.subarray(0, markerIndex).toString('utf8');
+      return /^\s*(DATA_POINTS|データ点数)\s*=/m.test(headerText) ? 0.9 : 0.4;
+    },
+    async parse(file, companion, range = {}) {
+      const parser = new DCPParser();
+      const options = {
+        ...range,
+        maxPoints: Math.floor(MAX_RANGE_VALUES / parser.getAllItemDefinitions().length)
+      };
+      let header = null;
+      const multiMeasurementData = [];
+
+      // 大容量ファイルに対応するためチャンク単位で変換
+      for await (const chunk of parser.streamChunks(file.path, options)) {
+        header = chunk.header;
+        const itemKeys = Object.keys(chunk.items);
+
+        for (let i = 0; i < chunk.count; i++) {
+          const measurements = {};
+          for (const itemKey of itemKeys) {
+            measurements[itemKey] = parseFloat(chunk.items[itemKey][i].toFixed(3));
+          }
+          multiMeasurementData.push({
+            distance: parseFloat((header.startKm + (chunk.startIndex + i) * header.samplingInterval).toFixed(2)),
+            measurements
+          });
+        }
+      }
+
+      if (!header) {
+        header = (await parser.readHeaderFromFile(file.path)).header;
+      }
+
+      const { truncated, endIndex } = getIndexRange(parser.getPointLayout(header), options);
+      return {
+        header,
+        range: {
+          truncated,
+          nextStartKm: truncated ? parseFloat((header.startKm + endIndex * header.samplingInterval).toFixed(2)) : null
+        },
+        multiMeasurementData
+      };
+    }
+  },
+  {
+    format: 'pnt',
+    name: 'PNT（キロ程対照表）',
+    extensions: ['.pnt'],
+    sniff(sample) {
+      if (sample.encoding === 'latin1') return 0;
+      const lines = sample.lines.filter(line => !line.startsWith('#') && !line.startsWith('//'));
+      return matchRatio(lines, /^\d+(\.\d+)?([Kk]\d+(\+\d+)?)?\s*,\s*\d+/) >= 0.8 ? 0.6 : 0;
+    },
+    async parse(file) {
+      const parser = new PNTParser();
+      const pntData = parser.parse(await fs.readFile(file.path));
+      return {
+        header: { lineCode: pntData.lineCode, direction: pntData.direction },
+        records: pntData.points
+      };
+    }
+  },
+  {
+    format: 'tblddb',
+    name: 'TBL/DDB（LABOCS表形式データ）',
+    extensions: ['.ddb'],
+    companion: { extension: '.tbl', label: 'TBL' },
+    sniff(sample) {
+      if (sample.encoding === 'latin1') return 0;
+      const hasTable = sample.lines.some(line => line.startsWith('[TABLE]'));
+      const hasFields = sample.lines.some(line => line.startsWith('[FIELDS]'));
+      return hasTable && hasFields ? 0.9 : 0;
+    },
+    async parse(file, companion) {
+      const parser = new TBLDDBParser();
+      const tblData = parser.parse(await fs.readFile(file.path), await fs.readFile(companion.path));
+      return {
+        header: { ...tblData.header, tableTypeName: parser.getTableTypeName(tblData.header.tableType) },
+        records: tblData.records
+      };
+    }
+  },
+  {
+    format: 'mdt',
+    name: 'MDT（旧ラボデータ見出し）',
+    extensions: ['.mdt'],
+    async sniff(sample) {
+      const { isValidMDTFile } = await loadESMParser('mdt-parser.js');
+      return isValidMDTFile(sample.head) ? 0.9 : 0;
+    },
+    async parse(file) {
+      const { parseMDTFile } = await loadESMParser('mdt-parser.js');
+      const result = parseMDTFile(await fs.readFile(file.path));
+      if (!result.success) {
+        throw new Error(result.error);
+      }
+      // 実データはLZHファイルに格納されている
+      return { header: result.data };
+    }
+  },
+  {
+    format: 'o010',
+    name: 'O010（旧ラボ測定データ）',
+    extensions: ['.csv'],
+    namePattern: /^O010/i,
+    async sniff(sample) {
+      const { isValidO010CSV } = await loadESMParser('o010-parser.js');
+      return isValidO010CSV(sample.head) ? 0.9 : 0;
+    },
+    async parse(file) {
+      const { parseO010CSV, convertToStandardFormat } = await loadESMParser('o010-parser.js');
+      const result = parseO010CSV(await fs.readFile(file.path));
+      if (!result.success) {
+        throw new Error(result.error);
+      }
+      return {
+        header: result.data.header,
+        multiMeasurementData: convertToStandardFormat(result)
+      };
+    }
+  },
+  {
+    format: 'ck',
+    name: 'CK（キヤ曲線情報）',
+    extensions: ['.csv'],
+    namePattern: /^CK/i,
+    sniff(sample) {
+      if (sample.encoding === 'latin1') return 0;
+      const markers = sample.lines.filter(line => /^(BC|EC|BR|ER|BT|ET|BB|EB|SN|BP|EP)=/.test(line));
+      if (markers.length === 0) return 0;
+      return sample.lines.some(line => line.includes('作成年月日')) ? 0.9 : 0.7;
+    },
+    async parse(file) {
+      const { parseCK } = await loadESMParser('ck-parser.js');
+      const buffer = await fs.readFile(file.path);
+      const { curves, structures, stations, metadata } = parseCK(
+        decodeText(buffer, new EncodingDetector().detect(buffer))
+      );
+      return {
+        header: metadata,
+        records: { curves, structures, stations }
+      };
+    }
+  },
+  {
+    format: 'lk',
+    name: 'LK（キヤ線区管理）',
+    extensions: ['.csv'],
+    namePattern: /^LK/i,
+    sniff(sample) {
+      if (sample.encoding === 'latin1') return 0;
+      const hasSection = sample.lines.some(line => /^LK\d*,/.test(line));
+      const hasValues = sample.lines.some(line => /^[LK]\d+,/.test(line));
+      if (hasSection && hasValues) return 0.9;
+      return hasSection ? 0.6 : 0;
+    },
+    async parse(file) {
+      const { parseLK } = await loadESMParser('lk-parser.js');
+      const buffer = await fs.readFile(file.path);
+      const { sections, managementValues, managementSections } = parseLK(
+        decodeText(buffer, new EncodingDetector().detect(buffer))
+      );
+      return {
+        header: { sections },
+        records: { managementValues, managementSections }
+      };
+    }
+  },
+  {
+    format: 'lbx',
+    name: 'LABOX LBX（バイナリ）',
+    extensions: ['.lbx'],
+    sniff(sample) {
+      const signature = sample.head.toString('latin1', 0, 5);
+      if (signature === 'LABOX') return 1;
+      const altSignature = sample.head.toString('latin1', 0, 4);
+      return altSignature === 'LBX\0' || altSignature === 'LAB\0' ? 0.9 : 0;
+    },
+    async parse(file) {
+      const { header, data } = await LaboxParser.readLBX(file.path, { verbose: false });
+      return {
+        header,
+        multiMeasurementData: toMultiMeasurementData(
+          data,
+          (point, index) => LaboxParser.getDistance(point, index, header),
+          ['index', 'position', 'kilometer']
+        )
+      };
+    }
+  },
+  {
+    format: 'ldt',
+    name: 'LABOX LDT（テキスト）',
+    extensions: ['.ldt'],
+    sniff(sample) {
+      if (sample.encoding === 'latin1') return 0;
+      const columnLine = sample.lines.find(line =>
+        (line.includes('キロ程') || line.includes('KM')) && (line.includes('高低') || line.includes('通り'))
+      );
+      return columnLine ? 0.7 : 0;
+    },
+    async parse(file) {
+      const { header, data } = await LaboxParser.readLDT(file.path, { verbose: false });
+      return {
+        header,
+        multiMeasurementData: toMultiMeasurementData(
+          data,
+          (point, index) => LaboxParser.getDistance(point, index, header),
+          ['kilometer', 'position']
+        )
+      };
+    }
+  },
+  {
+    format: 'mtt',
+    name: 'MTT（MTTデータ）',
+    extensions: ['.mtt'],
+    sniff(sample) {
+      if (sample.size < 128 || sample.head.toString('latin1', 0, 3) !== 'MTT') return 0;
+      // データ数と間隔が妥当か確認
+      const dataCount = sample.head.readUInt32LE(9);
+      const dataInterval = sample.head.readFloatLE(13);
+      return dataCount > 0 && dataInterval > 0 ? 0.95 : 0.6;
+    },
+    async parse(file) {
+      const { header, data, metadata } = await MTTParser.readFile(file.path);
+      return {
+        header: { ...header, metadata },
+        multiMeasurementData: data.map(point => ({
+          distance: parseFloat(point.position.toFixed(2)),
+          measurements: Object.fromEntries(
+            Object.entries(point.values).map(([key, value]) => [key, parseFloat(value.toFixed(3))])
+          )
+        }))
+      };
+    }
+  }
+];
+
+class ParserRegistry {
+  /**
+   * @param {Object} [options] - オプション
+   * @param {number} [options.maxWholeFileSize] - ファイル全体を読み込む形式のファイルサイズ上限 (bytes)
+   */
+  constructor(options = {}) {
+    this.definitions = new Map();
+    this.maxWholeFileSize = options.maxWholeFileSize || MAX_WHOLE_FILE_SIZE;
+  }
+
+  /**
+   * パーサー定義を登録
+   * @param {Object} definition - パーサー定義
+   * @param {string} definition.format - 形式ID
+   * @param {string} definition.name - 形式名
+   * @param {string[]} definition.extensions - 拡張子（小文字, ドット付き）
+   * @param {RegExp} [definition.namePattern] - ファイル名の規則
+   * @param {Object} [definition.companion] - 対になるファイル { extension, label }
+   * @param {boolean} [definition.streaming] - 範囲を指定して部分的に読み込む（ファイルサイズの上限を適用しない）
+   * @param {Function} definition.sniff - 内容判定 (sample) => 0-1
+   * @param {Function} definition.parse - 変換 (file, companion) => Promise<Object>
+   */
+  register(definition) {
+    if (!definition.format || typeof definition.sniff !== 'function' || typeof definition.parse !== 'function') {
+      throw new Error('Parser definition requires format, sniff and parse');
+    }
+    this.definitions.set(definition.format, definition);
+  }
+
+  /**
+   * 登録済みの形式一覧を取得
+   * @returns {Array<Object>} 形式一覧
+   */
+  getFormats() {
+    return Array.from(this.definitions.values()).map(definition => ({
+      format: definition.format,
+      name: definition.name,
+      extensions: definition.extensions,
+      companion: definition.companion ? definition.companion.extension : null
+    }));
+  }
+
+  /**
+   * 判定用のサンプルを読み込む
+   * @param {Object} file - ファイル { path, originalName }
+   * @returns {Promise<Object>} サンプル
+   */
+  async readSample(file) {
+    const handle = await fs.open(file.path, 'r');
+
+    try {
+      const { size } = await handle.stat();
+      const head = Buffer.alloc(Math.min(SAMPLE_SIZE, size));
+      await handle.read(head, 0, head.length, 0);
+
+      const encoding = new EncodingDetector().detect(head);
+      const text = encoding === 'latin1' ? '' : decodeText(head, encoding);
+
+      return {
+        name: file.originalName,
+        extension: path.extname(file.originalName).toLowerCase(),
+        size,
+        head,
+        encoding,
+        text,
+        lines: getLines(text)
+      };
+    } finally {
+      await handle.close();
+    }
+  }
+
+  /**
+   * ファイル名による判定スコア
+   * @param {Object} definition - パーサー定義
+   * @param {Object} sample - サンプル
+   * @returns {number} スコア (0-1)
+   */
+  scoreName(definition, sample) {
+    const extensionMatches = definition.extensions.includes(sample.extension);
+
+    if (!definition.namePattern) {
+      return extensionMatches ? 1 : 0;
+    }
+
+    const patternMatches = definition.namePattern.test(path.basename(sample.name));
+    return (extensionMatches ? 0.5 : 0) + (patternMatches ? 0.5 : 0);
+  }
+
+  /**
+   * ファイル形式を判定
+   * @param {Object} file - ファイル { path, originalName }
+   * @returns {Promise<Array<{format: string, name: string, confidence: number}>>} 候補（信頼度順）
+   */
+  async detect(file) {
+    const sample = await this.readSample(file);
+    const candidates = [];
+
+    for (const definition of this.definitions.values()) {
+      let contentScore = 0;
+      try {
+        contentScore = await definition.sniff(sample);
+      } catch (error) {
+        contentScore = 0;
+      }
+
+      const nameScore = this.scoreName(definition, sample);
+      const confidence = parseFloat((CONTENT_WEIGHT * contentScore + NAME_WEIGHT * nameScore).toFixed(2));
+
+      if (confidence > 0) {
+        candidates.push({
+          format: definition.format,
+          name: definition.name,
+          confidence
+        });
+      }
+    }
+
+    return candidates.sort((a, b) => b.confidence - a.confidence);
+  }
+
+  /**
+   * 対になるファイルを検索（同じベース名を優先）
+   * @param {Object} file - 主ファイル
+   * @param {Array<Object>} files - アップロードされた全ファイル
+   * @param {string} extension - 対になるファイルの拡張子
+   * @returns {Object|null} 対になるファイル
+   */
+  findCompanion(file, files, extension) {
+    const baseName = path.basename(file.originalName, path.extname(file.originalName)).toLowerCase();
+    const matches = files.filter(f => path.extname(f.originalName).toLowerCase() === extension);
+
+    return matches.find(f =>
+      path.basename(f.originalName, path.extname(f.originalName)).toLowerCase() === baseName
+    ) || (matches.length === 1 ? matches[0] : null);
+  }
+
+  /**
+   * ファイル全体を読み込む形式のファイルサイズを確認
+   * @param {Object} definition - パーサー定義
+   * @param {Array<Object>} files - 読み込むファイル（主ファイル, 対になるファイル）
+   */
+  async checkFileSize(definition, files) {
+    let totalSize = 0;
+    for (const file of files) {
+      totalSize += Number.isFinite(file.size) ? file.size : (await fs.stat(file.path)).size;
+    }
+
+    if (totalSize > this.maxWholeFileSize) {
+      throw Object.assign(
+        new Error(
+          `${definition.name}はファイル全体を読み込むため、${Math.floor(this.maxWholeFileSize / 1024 / 1024)}MBを超えるファイルは読み込めません`
+        ),
+        { status: 413 }
+      );
+    }
+  }
+
+  /**
+   * 変換結果をキロ程範囲と値の数の上限（MAX_RANGE_VALUES）で制限
+   * streaming の形式が読み込み時に行う制限を、変換後の測定データに適用する
+   * @param {Object} parsed - parse の結果
+   * @param {Object} [range] - キロ程範囲 {startKm, endKm} (m)
+   * @returns {Object} 制限後の結果（測定データがなければそのまま）
+   */
+  limitRange(parsed, range = {}) {
+    const key = ['measurementData', 'multiMeasurementData'].find(k => Array.isArray(parsed[k]));
+    if (!key) return parsed;
+
+    const { startKm = null, endKm = null } = range || {};
+    const points = parsed[key].filter(point =>
+      (startKm === null || point.distance >= startKm) && (endKm === null || point.distance <= endKm)
+    );
+    const itemCount = key === 'measurementData'
+      ? 1
+      : Math.max(1, ...points.slice(0, 1).map(point => Object.keys(point.measurements).length));
+    const maxPoints = Math.floor(MAX_RANGE_VALUES / itemCount);
+    const truncated = points.length > maxPoints;
+
+    return {
+      ...parsed,
+      range: {
+        truncated,
+        nextStartKm: truncated ? points[maxPoints].distance : null
+      },
+      [key]: truncated ? points.slice(0, maxPoints) : points
+    };
+  }
+
+  /**
+   * ファイルを判定して共通形式に変換
+   * @param {Array<Object>} files - ファイル [{ path, originalName }]
+   * @param {Object} options - オプション
+   * @param {string} [options.format] - 形式を指定する場合の形式ID
+   * @param {Object} [options.range] - キロ程範囲 {startKm, endKm} (m)
+   * @returns {Promise<ImportResult>} 変換結果
+   */
+  async import(files, options = {}) {
+    if (!files || files.length === 0) {
+      throw Object.assign(new Error('No files to import'), { status: 400 });
+    }
+
+    if (options.format && !this.definitions.has(options.format)) {
+      throw Object.assign(new Error(`Unknown format: ${options.format}`), { status: 400 });
+    }
+
+    // 対になるファイル（DAT, TBL）以外を主ファイルの候補とする
+    const companionExtensions = Array.from(this.definitions.values())
+      .filter(d => d.companion)
+      .map(d => d.companion.extension);
+    const primaryFiles = files.length > 1
+      ? files.filter(f => !companionExtensions.includes(path.extname(f.originalName).toLowerCase()))
+      : files;
+
+    // 各主ファイルを判定し、最も信頼度の高いものを採用
+    let best = null;
+    for (const file of primaryFiles.length > 0 ? primaryFiles : files) {
+      const candidates = await this.detect(file);
+      const selected = options.format
+        ? candidates.find(c => c.format === options.format) || { format: options.format, confidence: 0 }
+        : candidates[0];
+
+      if (selected && (!best || selected.confidence > best.selected.confidence)) {
+        best = { file, selected, candidates };
+      }
+    }
+
+    if (!best || (!options.format && best.selected.confidence < MIN_CONFIDENCE)) {
+      throw Object.assign(new Error('ファイル形式を判定できませんでした'), {
+        status: 415,
+        candidates: best ? best.candidates.slice(0, 5) : []
+      });
+    }
+
+    const definition = this.definitions.get(best.selected.format);
+    let companion = null;
+    if (definition.companion) {
+      companion = this.findCompanion(best.file, files, definition.companion.extension);
+      if (!companion) {
+        throw Object.assign(
+          new Error(`${definition.name}の読み込みには${definition.companion.label}ファイルが必要です`),
+          { status: 400 }
+        );
+      }
+    }
+
+    let parsed;
+    if (definition.streaming) {
+      parsed = await definition.parse(best.file, companion, options.range);
+    } else {
+      await this.checkFileSize(definition, [best.file, companion].filter(Boolean));
+      parsed = this.limitRange(await definition.parse(best.file, companion), options.range);
+    }
+    const dataPoints = (parsed.measurementData || parsed.multiMeasurementData || []).length;
+
+    return {
+      format: definition.format,
+      formatName: definition.name,
+      confidence: best.selected.confidence,
+      candidates: best.candidates.slice(0, 5),
+      files: [best.file, companion].filter(Boolean).map(f => f.originalName),
+      dataPoints,
+      ...parsed
+    };
+  }
+}
+
+/**
+ * 既定のパーサーを登録したレジストリを作成
+ * @param {Object} [options] - ParserRegistry のオプション
+ * @returns {ParserRegistry} レジストリ
+ */
+function createDefaultRegistry(options = {}) {
+  const registry = new ParserRegistry(options);
+  DEFAULT_DEFINITIONS.forEach(definition => registry.register(definition));
+  return registry;
+}
+
+module.exports = {
+  ParserRegistry,
+  createDefaultRegistry,
+  MIN_CONFIDENCE,
+  MAX_WHOLE_FILE_SIZE
+};
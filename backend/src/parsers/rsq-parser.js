@@ -7,12 +7,15 @@
  * - データ: 4 byte × データ点数（Float32）
  */
 
+const fs = require('fs').promises;
 const { EncodingDetector } = require('../utils/encoding-detector');
+const { getIndexRange } = require('../utils/kilometer-range');
 
 class RSQParser {
   constructor() {
     this.HEADER_SIZE = 2048;
     this.DATA_SIZE_PER_POINT = 4; // Float32
+    this.DEFAULT_CHUNK_POINTS = 65536; // ストリーム読み込み時の1チャンクあたりのデータ点数
   }
 
   /**
@@ -119,6 +122,132 @@ class RSQParser {
     return data;
   }
 
+  /**
+   * ファイルからヘッダー部のみを読み込む
+   * @param {string} filePath - RSQファイルパス
+   * @returns {Promise<RSQHeader>} ヘッダー情報
+   */
+  async readHeaderFromFile(filePath) {
+    const handle = await fs.open(filePath, 'r');
+
+    try {
+      const { size } = await handle.stat();
+
+      if (size < this.HEADER_SIZE) {
+        throw new Error(`File too small. Expected at least ${this.HEADER_SIZE} bytes, got ${size}`);
+      }
+
+      const headerBuffer = Buffer.alloc(this.HEADER_SIZE);
+      await handle.read(headerBuffer, 0, this.HEADER_SIZE, 0);
+      const header = this.parseHeader(headerBuffer);
+
+      const dataSize = size - this.HEADER_SIZE;
+      const expectedDataSize = header.dataPoints * this.DATA_SIZE_PER_POINT;
+
+      if (dataSize < expectedDataSize) {
+        throw new Error(
+          `Data size mismatch. Expected ${expectedDataSize} bytes for ${header.dataPoints} points, got ${dataSize} bytes`
+        );
+      }
+
+      return header;
+    } finally {
+      await handle.close();
+    }
+  }
+
+  /**
+   * データ点の配置（getIndexRange 用）
+   * @param {RSQHeader} header - ヘッダー情報
+   * @returns {{startPosition: number, samplingInterval: number, dataPoints: number}}
+   */
+  getPointLayout(header) {
+    return {
+      startPosition: header.startKilometer,
+      samplingInterval: header.samplingInterval,
+      dataPoints: header.dataPoints
+    };
+  }
+
+  /**
+   * RSQファイルを固定長チャンク単位で読み込む（ストリーム版）
+   * ヘッダーを読み込んだ後、指定範囲のデータ部を chunkSize 点ずつ返す
+   * @param {string} filePath - RSQファイルパス
+   * @param {Object} options - オプション
+   * @param {number} [options.startKm] - 開始キロ程 (m)
+   * @param {number} [options.endKm] - 終了キロ程 (m)
+   * @param {number} [options.maxPoints] - データ点数の上限（超える分は読み込まない）
+   * @param {number} [options.chunkSize] - 1チャンクあたりのデータ点数
+   * @yields {{header: RSQHeader, startIndex: number, count: number, data: Float32Array}} チャンク
+   */
+  async *streamChunks(filePath, options = {}) {
+    const chunkSize = options.chunkSize || this.DEFAULT_CHUNK_POINTS;
+    const header = await this.readHeaderFromFile(filePath);
+    const { startIndex, endIndex } = getIndexRange(this.getPointLayout(header), options);
+
+    const handle = await fs.open(filePath, 'r');
+
+    try {
+      for (let index = startIndex; index < endIndex; index += chunkSize) {
+        const count = Math.min(chunkSize, endIndex - index);
+        const buffer = Buffer.alloc(count * this.DATA_SIZE_PER_POINT);
+        await handle.read(buffer, 0, buffer.length, this.HEADER_SIZE + index * this.DATA_SIZE_PER_POINT);
+
+        yield { header, startIndex: index, count, data: this.parseData(buffer, count) };
+      }
+    } finally {
+      await handle.close();
+    }
+  }
+
+  /**
+   * RSQファイルからキロ程範囲を抽出（ストリーム版）
+   * @param {string} filePath - RSQファイルパス
+   * @param {Object} options - streamChunks と同じオプション
+   * @returns {Promise<{header: RSQHeader, range: Object, measurementData: Array<{distance: number, value: number}>}>}
+   *   ヘッダー・抽出範囲・測定データ
+   */
+  async extractRange(filePath, options = {}) {
+    let header = null;
+    let startIndex = null;
+    const measurementData = [];
+
+    for await (const chunk of this.streamChunks(filePath, options)) {
+      header = chunk.header;
+      if (startIndex === null) startIndex = chunk.startIndex;
+
+      for (let i = 0; i < chunk.count; i++) {
+        const distance = header.startKilometer + (chunk.startIndex + i) * header.samplingInterval;
+        measurementData.push({
+          distance: parseFloat(distance.toFixed(2)),
+          value: parseFloat(chunk.data[i].toFixed(3))
+        });
+      }
+    }
+
+    // 範囲内にデータが無い場合もヘッダーは返す
+    if (!header) {
+      header = await this.readHeaderFromFile(filePath);
+    }
+
+    const firstIndex = startIndex ?? 0;
+    const { truncated, endIndex } = getIndexRange(this.getPointLayout(header), options);
+
+    return {
+      header,
+      range: {
+        startIndex: firstIndex,
+        endIndex: firstIndex + measurementData.length,
+        startKm: measurementData.length > 0 ? measurementData[0].distance : null,
+        endKm: measurementData.length > 0 ? measurementData[measurementData.length - 1].distance : null,
+        dataPoints: measurementData.length,
+        truncated,
+        nextStartKm: truncated ? parseFloat((header.startKilometer + endIndex * header.samplingInterval).toFixed(2)) : null
+      },
+      measurementData
+    };
+  }
+
   /**
    * バッファから文字列をデコード
    * @param {Buffer} buffer - バッファ
@@ -178,6 +307,115 @@ class RSQParser {
     return result;
   }
 
+  /**
+   * 距離-値のペアの配列からRSQデータを作成（toMeasurementData の逆変換）
+   * @param {Array<{distance: number, value: number}>} measurementData - 測定データ（0.25m間隔）
+   * @param {Object} header - ヘッダー情報（fileId, measurementDate 等）
+   * @returns {RSQData} RSQデータ
+   */
+  fromMeasurementData(measurementData, header = {}) {
+    const data = Float32Array.from(measurementData, point => point.value);
+    const samplingInterval = 0.25;
+    const startKilometer = header.startKilometer ??
+      (measurementData.length > 0 ? measurementData[0].distance : 0);
+    const endKilometer = header.endKilometer ??
+      Math.floor(startKilometer + Math.max(data.length - 1, 0) * samplingInterval);
+    const fileId = header.fileId || '';
+
+    return {
+      header: {
+        fileId,
+        lineCode: fileId.substring(0, 2),
+        direction: fileId.substring(2, 3),
+        measurementDate: header.measurementDate || null,
+        startKilometer,
+        endKilometer,
+        dataType: fileId.substring(6, 8),
+        dataPoints: data.length,
+        samplingInterval
+      },
+      data
+    };
+  }
+
+  /**
+   * RSQデータをファイルイメージに書き出す
+   * ヘッダー 2048 byte + データ部（Float32LE × データ点数）を parse() と同じ配置で出力する
+   * @param {RSQData} rsqData - RSQデータ
+   * @returns {Buffer} RSQファイルのバッファ
+   */
+  write(rsqData) {
+    const { header, data } = rsqData;
+    const dataPoints = data.length;
+    const fileId = header.fileId || '';
+
+    if (!/^[\x20-\x7e]{0,8}$/.test(fileId)) {
+      throw new Error(`Invalid file ID "${fileId}". Expected up to 8 ASCII characters`);
+    }
+
+    if (header.samplingInterval !== undefined && header.samplingInterval !== 0.25) {
+      throw new Error(`RSQ format supports only 0.25m sampling interval, got ${header.samplingInterval}`);
+    }
+
+    if (!Number.isInteger(header.startKilometer) ||
+        (header.endKilometer !== undefined && !Number.isInteger(header.endKilometer))) {
+      throw new Error('RSQ format requires start/end kilometer as integers (m)');
+    }
+
+    const endKilometer = header.endKilometer ??
+      Math.floor(header.startKilometer + Math.max(dataPoints - 1, 0) * 0.25);
+
+    const buffer = Buffer.alloc(this.HEADER_SIZE + dataPoints * this.DATA_SIZE_PER_POINT);
+
+    // ファイルID（先頭8文字、不足分は空白で埋める）
+    buffer.write(fileId.padEnd(8, ' '), 0, 8, 'ascii');
+
+    // 測定日（オフセット16、YYYYMMDD形式）
+    // 未設定時は空白で埋める（NULのままでは parseHeader() で不正な日付になる）
+    const dateStr = header.measurementDate ? this.formatDate(header.measurementDate) : '';
+    buffer.write(dateStr.padEnd(8, ' '), 16, 8, 'ascii');
+
+    // データ点数・開始キロ程・終了キロ程（32bit整数）
+    buffer.writeInt32LE(dataPoints, 32);
+    buffer.writeInt32LE(header.startKilometer, 40);
+    buffer.writeInt32LE(endKilometer, 44);
+
+    // データ部（4byte Float × データ点数）
+    for (let i = 0; i < dataPoints; i++) {
+      buffer.writeFloatLE(data[i], this.HEADER_SIZE + i * this.DATA_SIZE_PER_POINT);
+    }
+
+    return buffer;
+  }
+
+  /**
+   * RSQファイルを書き込む
+   * @param {string} filePath - 出力ファイルパス
+   * @param {RSQData} rsqData - RSQデータ
+   * @returns {Promise<{bytesWritten: number, dataPoints: number}>} 書き込み結果
+   */
+  async writeFile(filePath, rsqData) {
+    const buffer = this.write(rsqData);
+    await fs.writeFile(filePath, buffer);
+
+    return {
+      bytesWritten: buffer.length,
+      dataPoints: rsqData.data.length
+    };
+  }
+
+  /**
+   * 日付をYYYYMMDD形式にフォーマット
+   * @param {Date} date - 日付オブジェクト
+   * @returns {string} YYYYMMDD形式の文字列
+   */
+  formatDate(date) {
+    const year = String(date.getFullYear()).padStart(4, '0');
+    const month = String(date.getMonth() + 1).padStart(2, '0');
+    const day = String(date.getDate()).padStart(2, '0');
+    return `${year}${month}${day}`;
+  }
+
   /**
    * データ項目名を取得
    * @param {string} dataType - データ項目コード (1C, 2C, 5C, 6C, GC, SC, AC, BC, RC, PC)
@@ -10,6 +10,8 @@
  * - HS: 曲線データ（平面線形）
  * - KR: 構造物・路盤データ
  * - RT/RU: レール継目データ（左/右）
+ * - LR: ロングレールデータ
+ * - GL/GR: ガードレールデータ（左/右）
  * - DS: 道床データ
  * - BK: 分岐器データ
  * - EJ: EJデータ
@@ -116,6 +118,9 @@ function getParserForType(dataType) {
     'KR': parseStructureData,
     'RT': parseJointData,
     'RU': parseJointData,
+    'LR': parseLongRailData,
+    'GL': parseGuardRailData,
+    'GR': parseGuardRailData,
     'DS': parseBallastData,
     'BK': parseTurnoutData,
     'EJ': parseEJData,
@@ -244,6 +249,60 @@ function parseJointData(line) {
   };
 }
 
+/**
+ * ロングレールデータ解析 (LABOCS 101. 区間型西日本データ)
+ * @param {string} line - データ行
+ * @param {number} lineNumber - 行番号
+ * @returns {Object} - 解析結果
+ */
+function parseLongRailData(line) {
+  const fields = line.split(',').map(f => f.trim());
+
+  return {
+    type: 'longRail',
+    from: parseFloat(fields[1]) / 1000 || 0,
+    to: parseFloat(fields[3]) / 1000 || 0,
+    value: parseFloat(fields[4]) || 1.0,
+    text1: fields[5] || '',
+    text2: fields[6] || '',
+    text3: fields[7] || '',
+    length: parseInt(fields[8]) || 0,
+    longRailNumber: fields[9] || '', // ロングレール番号
+    railWeight: fields[10] || '',
+    newUsed: fields[11] || '', // 新/再
+    settingTemperature: fields[12] || '', // 設定温度(℃)
+    installDate: fields[13] || '',
+    note1: fields[14] || '',
+    note2: fields[15] || ''
+  };
+}
+
+/**
+ * ガードレールデータ解析 (LABOCS 101. 区間型西日本データ)
+ * @param {string} line - データ行
+ * @param {number} lineNumber - 行番号
+ * @returns {Object} - 解析結果
+ */
+function parseGuardRailData(line) {
+  const fields = line.split(',').map(f => f.trim());
+
+  return {
+    type: 'guardRail',
+    from: parseFloat(fields[1]) / 1000 || 0,
+    to: parseFloat(fields[3]) / 1000 || 0,
+    value: parseFloat(fields[4]) || 1.0,
+    text1: fields[5] || '',
+    text2: fields[6] || '',
+    text3: fields[7] || '',
+    length: parseInt(fields[8]) || 0,
+    guardRailType: fields[9] || '', // 脱線防止ガード等
+    railWeight: fields[10] || '',
+    installDate: fields[11] || '',
+    note1: fields[12] || '',
+    note2: fields[13] || ''
+  };
+}
+
 /**
  * 道床データ解析 (LABOCS 101. 区間型西日本データ)
  * @param {string} line - データ行
@@ -0,0 +1,88 @@
+/**
+ * kiya-data-processor.js のテスト（ファイルのバージョン管理）
+ */
+import { describe, test, expect, beforeEach, afterEach, jest } from '@jest/globals';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { KiyaDataProcessor } from '../kiya-data-processor.js';
+import { ProjectStore } from '../../utils/project-store.js';
+
+describe('KiyaDataProcessor', () => {
+  let tempDir;
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'kiya-datasets-'));
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  // ファイルパスごとの解析結果（CK/LKの解析の代わり）
+  const CK_RESULTS = {
+    'ck-v1.csv': { curves: [{ id: 'C1', start: 1.1, end: 1.2 }], stations: [{ id: 'ST1', km: 1.0 }] },
+    'ck-v2.csv': { curves: [{ id: 'C1', start: 1.1, end: 1.25 }, { id: 'C2', start: 1.4, end: 1.5 }], stations: [] }
+  };
+
+  const createProcessor = () => {
+    const processor = new KiyaDataProcessor(new ProjectStore(tempDir));
+    jest.spyOn(processor, 'processCKFile').mockImplementation(async (datasetId, filePath) => {
+      const dataset = processor.getDataset(datasetId);
+      Object.assign(dataset.data, { ...CK_RESULTS[filePath], structures: [], positionInfo: { source: filePath } });
+    });
+    jest.spyOn(processor, 'processLKFile').mockImplementation(async datasetId => {
+      const dataset = processor.getDataset(datasetId);
+      dataset.data.sections = [{ routeName: '東海道線' }];
+      dataset.metadata.lineName = '東海道線';
+    });
+    return processor;
+  };
+
+  const reload = async processor => {
+    await processor.store.flush();
+    const reloaded = createProcessor();
+    await reloaded.initialize();
+    return reloaded;
+  };
+
+  test('再アップロードした解析結果を退避し、再起動後に過去バージョンへ戻せる', async () => {
+    const processor = createProcessor();
+    const id = processor.createDataset({ name: 'test' });
+    await processor.addFile(id, 'lk', 'lk.csv');
+    await processor.addFile(id, 'ck', 'ck-v1.csv');
+    await processor.addFile(id, 'ck', 'ck-v2.csv');
+
+    expect(processor.getFileVersions(id, 'ck').map(v => [v.version, v.filePath, v.current])).toEqual([
+      [2, 'ck-v2.csv', true],
+      [1, 'ck-v1.csv', false]
+    ]);
+
+    const reloaded = await reload(processor);
+    expect(reloaded.getDataset(id)).toEqual(processor.getDataset(id));
+
+    const restored = await reloaded.restoreFileVersion(id, 'ck', 1);
+    expect(restored.files.ck).toBe('ck-v1.csv');
+    expect(restored.fileVersions).toEqual({ lk: 1, ck: 1 });
+    expect(restored.data).toMatchObject({ ...CK_RESULTS['ck-v1.csv'], positionInfo: { source: 'ck-v1.csv' } });
+    expect(restored.data.sections).toEqual([{ routeName: '東海道線' }]);
+    expect(restored.metadata.lineName).toBe('東海道線');
+    expect(restored.versions.ck.map(v => [v.version, v.filePath, v.data.curves.length])).toEqual([[2, 'ck-v2.csv', 2]]);
+    expect(reloaded.getAttachedFiles(id).sort()).toEqual(['ck-v1.csv', 'ck-v2.csv', 'lk.csv']);
+
+    const restarted = await reload(reloaded);
+    expect(restarted.getDataset(id)).toEqual(restored);
+    expect((await restarted.restoreFileVersion(id, 'ck', 2)).data.curves).toEqual(CK_RESULTS['ck-v2.csv'].curves);
+  });
+
+  test('保存されていないバージョンは404エラー', async () => {
+    const processor = createProcessor();
+    const id = processor.createDataset({});
+    await processor.addFile(id, 'ck', 'ck-v1.csv');
+
+    await expect(processor.restoreFileVersion(id, 'ck', 1)).rejects.toMatchObject({ status: 404 });
+    await expect(processor.restoreFileVersion(id, 'lk', 1)).rejects.toMatchObject({ status: 404 });
+  });
+});
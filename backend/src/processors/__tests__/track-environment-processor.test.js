@@ -0,0 +1,77 @@
+/**
+ * track-environment-processor.js のテスト（データ項目のバージョン管理）
+ */
+import { describe, test, expect, beforeEach, afterEach, jest } from '@jest/globals';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { TrackEnvironmentProcessor } from '../track-environment-processor.js';
+import { ProjectStore } from '../../utils/project-store.js';
+
+describe('TrackEnvironmentProcessor', () => {
+  let tempDir;
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'track-env-datasets-'));
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  const fileInfo = { lineName: '東海道線', lineType: '1', section: '01', updateYear: 2024, updateMonth: 1 };
+
+  const reload = async processor => {
+    await processor.store.flush();
+    const reloaded = new TrackEnvironmentProcessor(new ProjectStore(tempDir));
+    await reloaded.initialize();
+    return reloaded;
+  };
+
+  test('再アップロードしたレコードを退避し、再起動後に過去バージョンへ戻せる', async () => {
+    const processor = new TrackEnvironmentProcessor(new ProjectStore(tempDir));
+    const id = processor.createDataset({ name: 'test' });
+    const gl1 = [{ from: 1.1, to: 1.2, guardRailType: '脱線防止' }];
+    const gl2 = [{ from: 1.1, to: 1.25 }, { from: 1.5, to: 1.6 }];
+    const gr = [{ from: 1.3, to: 1.4 }];
+    await processor.addFile(id, 'GL', 'GL-v1.csv', { fileInfo, records: gl1 });
+    await processor.addFile(id, 'GR', 'GR.csv', { fileInfo, records: gr });
+    await processor.addFile(id, 'GL', 'GL-v2.csv', { fileInfo, records: gl2 });
+
+    expect(processor.getFileVersions(id, 'GL').map(v => [v.version, v.filePath, v.recordCount, v.current])).toEqual([
+      [2, 'GL-v2.csv', 2, true],
+      [1, 'GL-v1.csv', 1, false]
+    ]);
+
+    const reloaded = await reload(processor);
+    expect(reloaded.getDataset(id)).toEqual(processor.getDataset(id));
+
+    // 左右のガードレールは同じ配列に格納されるため、GL を戻しても GR はそのまま
+    const restored = await reloaded.restoreFileVersion(id, 'GL', 1);
+    expect(restored.files).toEqual({ GL: 'GL-v1.csv', GR: 'GR.csv' });
+    expect(restored.fileVersions).toEqual({ GL: 1, GR: 1 });
+    expect(restored.data.guardRails).toEqual([
+      { ...gr[0], dataType: 'GR' },
+      { ...gl1[0], dataType: 'GL' }
+    ]);
+    expect(restored.versions.GL.map(v => [v.version, v.filePath, v.records.length])).toEqual([[2, 'GL-v2.csv', 2]]);
+    expect(restored.versions.GR).toBeUndefined();
+
+    const restarted = await reload(reloaded);
+    expect(restarted.getDataset(id)).toEqual(restored);
+    const forward = await restarted.restoreFileVersion(id, 'GL', 2);
+    expect(forward.data.guardRails.filter(record => record.dataType === 'GL')).toEqual(
+      gl2.map(record => ({ ...record, dataType: 'GL' }))
+    );
+  });
+
+  test('保存されていないバージョンは404エラー', async () => {
+    const processor = new TrackEnvironmentProcessor(new ProjectStore(tempDir));
+    const id = processor.createDataset({});
+    await processor.addFile(id, 'EJ', 'EJ.csv', { records: [] });
+
+    await expect(processor.restoreFileVersion(id, 'EJ', 1)).rejects.toMatchObject({ status: 404 });
+  });
+});
@@ -13,11 +13,57 @@
 const fs = require('fs').promises;
 const path = require('path');
 const iconv = require('iconv-lite');
+const { ProjectStore } = require('../utils/project-store');
+
+// ファイルタイプごとの解析結果の格納先（バージョン管理の単位）
+const FILE_DATA_KEYS = {
+  lk: ['sections', 'managementValues', 'managementSections'],
+  ck: ['curves', 'structures', 'stations', 'positionInfo'],
+  o010: ['measurements', 'standardMeasurements']
+};
+
+const FILE_METADATA_KEYS = {
+  lk: ['lineName'],
+  ck: [],
+  o010: ['measurementDate', 'startKm', 'endKm']
+};
 
 class KiyaDataProcessor {
-  constructor() {
+  /**
+   * @param {ProjectStore} store - 永続化ストア
+   */
+  constructor(store = new ProjectStore(path.join(__dirname, '../../data/projects/kiya'))) {
     this.datasets = new Map(); // データセット管理
     this.datasetIdCounter = 0;
+    this.store = store;
+  }
+
+  /**
+   * 保存済みデータセットを読み込み（サーバー起動時に呼び出す）
+   * @returns {Promise<number>} - 読み込んだデータセット数
+   */
+  async initialize() {
+    const records = await this.store.loadAll();
+
+    records.forEach(dataset => {
+      dataset.versions = dataset.versions || {};
+      dataset.fileVersions = dataset.fileVersions || {};
+      this.datasets.set(dataset.id, dataset);
+    });
+
+    console.log(`✓ キヤデータセット読み込み完了: ${records.length}件`);
+    return records.length;
+  }
+
+  /**
+   * データセットを永続化
+   * @param {Object} dataset - データセット
+   * @returns {Promise<void>}
+   */
+  persist(dataset) {
+    return this.store.save(dataset).catch(error => {
+      console.error(`データセット保存エラー (${dataset.id}):`, error);
+    });
   }
 
   /**
@@ -50,11 +96,14 @@ class KiyaDataProcessor {
         startKm: null,
         endKm: null
       },
+      fileVersions: {}, // ファイルタイプ → 現在のバージョン番号
+      versions: {},     // ファイルタイプ → 過去バージョンの解析結果
       createdAt: new Date().toISOString(),
       updatedAt: new Date().toISOString()
     };
 
     this.datasets.set(datasetId, dataset);
+    this.persist(dataset);
     return datasetId;
   }
 
@@ -89,25 +138,146 @@ class KiyaDataProcessor {
       throw new Error('Dataset not found');
     }
 
+    // 再アップロード時は前回の解析結果を過去バージョンとして退避
+    if (dataset.files[fileType]) {
+      this.archiveFileVersion(dataset, fileType);
+    }
+
     dataset.files[fileType] = filePath;
+    dataset.fileVersions[fileType] = (dataset.fileVersions[fileType] || 0) + 1;
     dataset.updatedAt = new Date().toISOString();
 
-    // ファイルタイプに応じて自動処理
-    switch (fileType) {
-      case 'lk':
-        await this.processLKFile(datasetId, filePath);
-        break;
-      case 'ck':
-        await this.processCKFile(datasetId, filePath);
-        break;
-      case 'o010':
-        await this.processO010File(datasetId, filePath);
-        break;
+    try {
+      // ファイルタイプに応じて自動処理
+      switch (fileType) {
+        case 'lk':
+          await this.processLKFile(datasetId, filePath);
+          break;
+        case 'ck':
+          await this.processCKFile(datasetId, filePath);
+          break;
+        case 'o010':
+          await this.processO010File(datasetId, filePath);
+          break;
+      }
+    } finally {
+      await this.persist(dataset);
     }
 
     return dataset;
   }
 
+  /**
+   * 現在のファイルと解析結果を過去バージョンとして退避
+   * @param {Object} dataset - データセット
+   * @param {string} fileType - ファイルタイプ (ck/lk/o010)
+   */
+  archiveFileVersion(dataset, fileType) {
+    const dataKeys = FILE_DATA_KEYS[fileType] || [];
+    const metadataKeys = FILE_METADATA_KEYS[fileType] || [];
+
+    const snapshot = {
+      version: dataset.fileVersions[fileType] || 1,
+      filePath: dataset.files[fileType],
+      archivedAt: new Date().toISOString(),
+      data: {},
+      metadata: {}
+    };
+
+    dataKeys.forEach(key => {
+      snapshot.data[key] = dataset.data[key] !== undefined ? dataset.data[key] : null;
+    });
+    metadataKeys.forEach(key => {
+      snapshot.metadata[key] = dataset.metadata[key];
+    });
+
+    if (!dataset.versions[fileType]) {
+      dataset.versions[fileType] = [];
+    }
+    dataset.versions[fileType].push(snapshot);
+  }
+
+  /**
+   * ファイルのバージョン一覧を取得
+   * @param {string} datasetId - データセットID
+   * @param {string} fileType - ファイルタイプ (ck/lk/o010)
+   * @returns {Array} - バージョン一覧（新しい順）
+   */
+  getFileVersions(datasetId, fileType) {
+    const dataset = this.datasets.get(datasetId);
+    if (!dataset) throw new Error('Dataset not found');
+
+    const versions = (dataset.versions[fileType] || []).map(v => ({
+      version: v.version,
+      filePath: v.filePath,
+      archivedAt: v.archivedAt,
+      current: false
+    }));
+
+    if (dataset.files[fileType]) {
+      versions.push({
+        version: dataset.fileVersions[fileType] || 1,
+        filePath: dataset.files[fileType],
+        archivedAt: null,
+        current: true
+      });
+    }
+
+    return versions.sort((a, b) => b.version - a.version);
+  }
+
+  /**
+   * 過去バージョンの解析結果を現在の状態に戻す
+   * 現在の解析結果は過去バージョンとして退避される
+   * @param {string} datasetId - データセットID
+   * @param {string} fileType - ファイルタイプ (ck/lk/o010)
+   * @param {number} version - 復元するバージョン番号
+   * @returns {Promise<Object>} - データセット
+   */
+  async restoreFileVersion(datasetId, fileType, version) {
+    const dataset = this.datasets.get(datasetId);
+    if (!dataset) throw new Error('Dataset not found');
+
+    const archived = dataset.versions[fileType] || [];
+    const index = archived.findIndex(v => v.version === version);
+    if (index === -1) {
+      const error = new Error(`Version ${version} of ${fileType} not found`);
+      error.status = 404;
+      throw error;
+    }
+
+    const [snapshot] = archived.splice(index, 1);
+    this.archiveFileVersion(dataset, fileType);
+
+    Object.assign(dataset.data, snapshot.data);
+    Object.assign(dataset.metadata, snapshot.metadata);
+    dataset.files[fileType] = snapshot.filePath;
+    dataset.fileVersions[fileType] = snapshot.version;
+    dataset.versions[fileType].sort((a, b) => a.version - b.version);
+    dataset.updatedAt = new Date().toISOString();
+
+    await this.persist(dataset);
+    return dataset;
+  }
+
+  /**
+   * データセットに添付されたすべてのファイルパスを取得（過去バージョン含む）
+   * @param {string} datasetId - データセットID
+   * @returns {Array<string>} - ファイルパス一覧
+   */
+  getAttachedFiles(datasetId) {
+    const dataset = this.datasets.get(datasetId);
+    if (!dataset) return [];
+
+    const current = Object.values(dataset.files).filter(f => f);
+    const archived = Object.values(dataset.versions || {})
+      .flat()
+      .map(v => v.filePath)
+      .filter(f => f);
+
+    return Array.from(new Set([...current, ...archived]));
+  }
+
   /**
    * LKファイル処理（線路名抽出）
    * @param {string} datasetId - データセットID
@@ -316,6 +486,7 @@ class KiyaDataProcessor {
       dataset.data.labocs = labocs;
       dataset.status = 'completed';
       dataset.updatedAt = new Date().toISOString();
+      await this.persist(dataset);
 
       console.log(`✓ LABOCS変換完了: ${labocs.data.measurements.length}データポイント`);
 
@@ -324,6 +495,7 @@ class KiyaDataProcessor {
       console.error('LABOCS変換エラー:', error);
       dataset.status = 'error';
       dataset.error = error.message;
+      await this.persist(dataset);
       throw error;
     }
   }
@@ -395,8 +567,12 @@ class KiyaDataProcessor {
    * データセットを削除
    * @param {string} datasetId - データセットID
    */
-  deleteDataset(datasetId) {
-    return this.datasets.delete(datasetId);
+  async deleteDataset(datasetId) {
+    const deleted = this.datasets.delete(datasetId);
+    if (deleted) {
+      await this.store.delete(datasetId);
+    }
+    return deleted;
   }
 
   /**
@@ -420,3 +596,4 @@ class KiyaDataProcessor {
 const kiyaDataProcessor = new KiyaDataProcessor();
 
 module.exports = kiyaDataProcessor;
+module.exports.KiyaDataProcessor = KiyaDataProcessor;
@@ -7,11 +7,61 @@
 
 const fs = require('fs').promises;
 const path = require('path');
+const { ProjectStore } = require('../utils/project-store');
+
+// データ項目コード → 格納先キー
+const DATA_TYPE_KEYS = {
+  EM: 'stations',
+  JS: 'gradients',
+  HS: 'curves',
+  KR: 'structures',
+  RT: 'joints',
+  RU: 'joints',
+  LR: 'longRails',
+  GL: 'guardRails',
+  GR: 'guardRails',
+  DS: 'ballasts',
+  BK: 'turnouts',
+  EJ: 'ejs',
+  IJ: 'ijs'
+};
 
 class TrackEnvironmentProcessor {
-  constructor() {
+  /**
+   * @param {ProjectStore} store - 永続化ストア
+   */
+  constructor(store = new ProjectStore(path.join(__dirname, '../../data/projects/track-env'))) {
     this.datasets = new Map(); // データセット管理
     this.datasetIdCounter = 0;
+    this.store = store;
+  }
+
+  /**
+   * 保存済みデータセットを読み込み（サーバー起動時に呼び出す）
+   * @returns {Promise<number>} - 読み込んだデータセット数
+   */
+  async initialize() {
+    const records = await this.store.loadAll();
+
+    records.forEach(dataset => {
+      dataset.versions = dataset.versions || {};
+      dataset.fileVersions = dataset.fileVersions || {};
+      this.datasets.set(dataset.id, dataset);
+    });
+
+    console.log(`✓ 軌道環境データセット読み込み完了: ${records.length}件`);
+    return records.length;
+  }
+
+  /**
+   * データセットを永続化
+   * @param {Object} dataset - データセット
+   * @returns {Promise<void>}
+   */
+  persist(dataset) {
+    return this.store.save(dataset).catch(error => {
+      console.error(`データセット保存エラー (${dataset.id}):`, error);
+    });
   }
 
   /**
@@ -33,6 +83,8 @@ class TrackEnvironmentProcessor {
         curves: [],        // 曲線 (HS)
         structures: [],    // 構造物 (KR)
         joints: [],        // レール継目 (RT/RU)
+        longRails: [],     // ロングレール (LR)
+        guardRails: [],    // ガードレール (GL/GR)
         ballasts: [],      // 道床 (DS)
         turnouts: [],      // 分岐器 (BK)
         ejs: [],           // EJ
@@ -45,11 +97,14 @@ class TrackEnvironmentProcessor {
         updateYear: null,
         updateMonth: null
       },
+      fileVersions: {}, // データ項目コード → 現在のバージョン番号
+      versions: {},     // データ項目コード → 過去バージョンのレコード
       createdAt: new Date().toISOString(),
       updatedAt: new Date().toISOString()
     };
 
     this.datasets.set(datasetId, dataset);
+    this.persist(dataset);
     return datasetId;
   }
 
@@ -85,7 +140,13 @@ class TrackEnvironmentProcessor {
       throw new Error('Dataset not found');
     }
 
+    // 再アップロード時は前回のレコードを過去バージョンとして退避
+    if (dataset.files[dataType]) {
+      this.archiveFileVersion(dataset, dataType);
+    }
+
     dataset.files[dataType] = filePath;
+    dataset.fileVersions[dataType] = (dataset.fileVersions[dataType] || 0) + 1;
 
     // ファイル情報からメタデータを更新
     if (parsedData.fileInfo) {
@@ -104,9 +165,132 @@ class TrackEnvironmentProcessor {
     // 必須データが揃っているか確認
     this.checkDatasetStatus(dataset);
 
+    await this.persist(dataset);
+    return dataset;
+  }
+
+  /**
+   * データ項目のレコードを取得
+   * @param {Object} dataset - データセット
+   * @param {string} dataType - データ項目コード
+   * @returns {Array} - レコード配列
+   */
+  getStoredRecords(dataset, dataType) {
+    const key = DATA_TYPE_KEYS[dataType];
+
+    if (key === 'joints' || key === 'guardRails') {
+      return (dataset.data[key] || []).filter(record => record.dataType === dataType);
+    }
+    if (key) {
+      return dataset.data[key] || [];
+    }
+    return (dataset.data.other && dataset.data.other[dataType]) || [];
+  }
+
+  /**
+   * 現在のレコードを過去バージョンとして退避
+   * @param {Object} dataset - データセット
+   * @param {string} dataType - データ項目コード
+   */
+  archiveFileVersion(dataset, dataType) {
+    if (!dataset.versions[dataType]) {
+      dataset.versions[dataType] = [];
+    }
+
+    dataset.versions[dataType].push({
+      version: dataset.fileVersions[dataType] || 1,
+      filePath: dataset.files[dataType],
+      archivedAt: new Date().toISOString(),
+      records: this.getStoredRecords(dataset, dataType)
+    });
+  }
+
+  /**
+   * データ項目のバージョン一覧を取得
+   * @param {string} datasetId - データセットID
+   * @param {string} dataType - データ項目コード
+   * @returns {Array} - バージョン一覧（新しい順）
+   */
+  getFileVersions(datasetId, dataType) {
+    const dataset = this.datasets.get(datasetId);
+    if (!dataset) {
+      throw new Error('Dataset not found');
+    }
+
+    const versions = (dataset.versions[dataType] || []).map(v => ({
+      version: v.version,
+      filePath: v.filePath,
+      archivedAt: v.archivedAt,
+      recordCount: v.records.length,
+      current: false
+    }));
+
+    if (dataset.files[dataType]) {
+      versions.push({
+        version: dataset.fileVersions[dataType] || 1,
+        filePath: dataset.files[dataType],
+        archivedAt: null,
+        recordCount: this.getStoredRecords(dataset, dataType).length,
+        current: true
+      });
+    }
+
+    return versions.sort((a, b) => b.version - a.version);
+  }
+
+  /**
+   * 過去バージョンのレコードを現在の状態に戻す
+   * 現在のレコードは過去バージョンとして退避される
+   * @param {string} datasetId - データセットID
+   * @param {string} dataType - データ項目コード
+   * @param {number} version - 復元するバージョン番号
+   * @returns {Promise<Object>} - データセット
+   */
+  async restoreFileVersion(datasetId, dataType, version) {
+    const dataset = this.datasets.get(datasetId);
+    if (!dataset) {
+      throw new Error('Dataset not found');
+    }
+
+    const archived = dataset.versions[dataType] || [];
+    const index = archived.findIndex(v => v.version === version);
+    if (index === -1) {
+      const error = new Error(`Version ${version} of ${dataType} not found`);
+      error.status = 404;
+      throw error;
+    }
+
+    const [snapshot] = archived.splice(index, 1);
+    this.archiveFileVersion(dataset, dataType);
+
+    this.storeData(dataset, dataType, snapshot.records);
+    dataset.files[dataType] = snapshot.filePath;
+    dataset.fileVersions[dataType] = snapshot.version;
+    dataset.versions[dataType].sort((a, b) => a.version - b.version);
+    dataset.updatedAt = new Date().toISOString();
+
+    await this.persist(dataset);
     return dataset;
   }
 
+  /**
+   * データセットに添付されたすべてのファイルパスを取得（過去バージョン含む）
+   * @param {string} datasetId - データセットID
+   * @returns {Array<string>} - ファイルパス一覧
+   */
+  getAttachedFiles(datasetId) {
+    const dataset = this.datasets.get(datasetId);
+    if (!dataset) return [];
+
+    const current = Object.values(dataset.files).filter(f => f);
+    const archived = Object.values(dataset.versions || {})
+      .flat()
+      .map(v => v.filePath)
+      .filter(f => f);
+
+    return Array.from(new Set([...current, ...archived]));
+  }
+
   /**
    * データを格納
    * @param {Object} dataset - データセット
@@ -129,7 +313,22 @@ class TrackEnvironmentProcessor {
         break;
       case 'RT':
       case 'RU':
-        dataset.data.joints = [...dataset.data.joints, ...records];
+        // 左右のレール継目は同一配列に格納し、データ項目コードで区別する
+        dataset.data.joints = [
+          ...dataset.data.joints.filter(joint => joint.dataType !== dataType),
+          ...records.map(record => ({ ...record, dataType }))
+        ];
+        break;
+      case 'LR':
+        dataset.data.longRails = records;
+        break;
+      case 'GL':
+      case 'GR':
+        // 左右のガードレールもレール継目と同様に同一配列に格納する
+        dataset.data.guardRails = [
+          ...(dataset.data.guardRails || []).filter(guardRail => guardRail.dataType !== dataType),
+          ...records.map(record => ({ ...record, dataType }))
+        ];
         break;
       case 'DS':
         dataset.data.ballasts = records;
@@ -182,7 +381,9 @@ class TrackEnvironmentProcessor {
   findDataByRange(datasetId, startKm, endKm) {
     const dataset = this.datasets.get(datasetId);
     if (!dataset) {
-      throw new Error('Dataset not found');
+      const error = new Error('Dataset not found');
+      error.status = 404;
+      throw error;
     }
 
     const filterByRange = (items, fromField = 'from', toField = 'to') => {
@@ -202,6 +403,8 @@ class TrackEnvironmentProcessor {
       curves: filterByRange(dataset.data.curves),
       structures: filterByRange(dataset.data.structures),
       joints: filterByRange(dataset.data.joints),
+      longRails: filterByRange(dataset.data.longRails || []),
+      guardRails: filterByRange(dataset.data.guardRails || []),
       ballasts: filterByRange(dataset.data.ballasts),
       turnouts: filterByRange(dataset.data.turnouts),
       ejs: filterByRange(dataset.data.ejs),
@@ -229,6 +432,8 @@ class TrackEnvironmentProcessor {
         curves: dataset.data.curves.length,
         structures: dataset.data.structures.length,
         joints: dataset.data.joints.length,
+        longRails: (dataset.data.longRails || []).length,
+        guardRails: (dataset.data.guardRails || []).length,
         ballasts: dataset.data.ballasts.length,
         turnouts: dataset.data.turnouts.length,
         ejs: dataset.data.ejs.length,
@@ -263,8 +468,12 @@ class TrackEnvironmentProcessor {
    * データセットを削除
    * @param {string} datasetId - データセットID
    */
-  deleteDataset(datasetId) {
-    return this.datasets.delete(datasetId);
+  async deleteDataset(datasetId) {
+    const deleted = this.datasets.delete(datasetId);
+    if (deleted) {
+      await this.store.delete(datasetId);
+    }
+    return deleted;
   }
 
   /**
@@ -331,6 +540,8 @@ class TrackEnvironmentProcessor {
       { name: '曲線', data: dataset.data.curves },
       { name: '構造物', data: dataset.data.structures },
       { name: 'レール継目', data: dataset.data.joints },
+      { name: 'ロングレール', data: dataset.data.longRails },
+      { name: 'ガードレール', data: dataset.data.guardRails },
       { name: '道床', data: dataset.data.ballasts },
       { name: '分岐器', data: dataset.data.turnouts },
       { name: 'EJ', data: dataset.data.ejs },
@@ -366,3 +577,4 @@ class TrackEnvironmentProcessor {
 const trackEnvironmentProcessor = new TrackEnvironmentProcessor();
 
 module.exports = trackEnvironmentProcessor;
+module.exports.TrackEnvironmentProcessor = TrackEnvironmentProcessor;
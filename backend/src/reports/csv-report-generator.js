@@ -304,6 +304,188 @@ class CSVReportGenerator {
     return lines.join(this.lineBreak);
   }
 
+  /**
+   * 管理値超過箇所一覧を生成
+   * @param {Object} result - ExceedanceDetector.detect() の結果
+   * @param {Object} metadata - メタデータ
+   * @returns {string} CSV文字列
+   */
+  generateExceedanceReport(result, metadata = {}) {
+    const lines = [];
+
+    // ヘッダー情報
+    lines.push('# 管理値超過箇所一覧');
+    lines.push(`# 路線: ${metadata.lineName || ''}`);
+    lines.push(`# 測定日: ${metadata.measurementDate || ''}`);
+    lines.push(`# 超過箇所数: ${result.summary.total}`);
+    lines.push('');
+
+    // データヘッダー
+    lines.push('No,項目,測定項目,正負,開始キロ程(km),終了キロ程(km),延長(m),最大値キロ程(km),最大値(mm),管理値(mm),超過量(mm),管理値比,重大度,管理値区分,推定原因');
+
+    // データ行
+    result.exceedances.forEach((entry, i) => {
+      const row = [
+        i + 1,
+        entry.itemLabel,
+        entry.channel,
+        entry.sign,
+        entry.startKm.toFixed(4),
+        entry.endKm.toFixed(4),
+        entry.length,
+        entry.peakKm.toFixed(4),
+        entry.peakValue,
+        entry.limit,
+        entry.excess,
+        entry.ratio,
+        entry.severityLabel,
+        entry.lkMarker || entry.limitSource,
+        entry.causeLabel || ''
+      ];
+      lines.push(row.join(this.delimiter));
+    });
+
+    return lines.join(this.lineBreak);
+  }
+
+  /**
+   * 軌間分析レポートを生成
+   * @param {Object} result - GaugeAnalyzer.analyze() の結果
+   * @param {Object} metadata - メタデータ
+   * @returns {string} CSV文字列
+   */
+  generateGaugeReport(result, metadata = {}) {
+    const lines = [];
+    const { summary } = result;
+
+    // ヘッダー情報
+    lines.push('# 軌間分析レポート（設計スラック控除後）');
+    lines.push(`# 路線: ${metadata.lineName || ''}`);
+    lines.push(`# 測定日: ${metadata.measurementDate || ''}`);
+    lines.push(`# 平均(mm): ${summary.mean}`);
+    lines.push(`# σ(mm): ${summary.sigma}`);
+    lines.push(`# 最大拡大(mm): ${summary.max} (${summary.maxKm.toFixed(4)}km)`);
+    lines.push(`# 拡大箇所数(${summary.wideThreshold}mm超): ${summary.wideRegionCount}`);
+    summary.causes.forEach(cause => {
+      lines.push(`# ${cause.label}: ${cause.count}`);
+    });
+    lines.push('');
+
+    // 曲線別
+    lines.push('[曲線別]');
+    lines.push('開始キロ程(km),終了キロ程(km),種別,半径(m),方向,設計スラック(mm),平均(mm),最大(mm),拡大比率,勾配(mm/100m),拡大傾向');
+    result.curves.forEach(curve => {
+      const row = [
+        curve.startKm.toFixed(3),
+        curve.endKm.toFixed(3),
+        curve.curveType,
+        curve.radius ?? '',
+        curve.direction || '',
+        curve.designSlack ?? '',
+        curve.mean ?? '',
+        curve.max ?? '',
+        curve.wideRatio ?? '',
+        curve.slopePer100m ?? '',
+        curve.wideTrend ? 'あり' : ''
+      ];
+      lines.push(row.join(this.delimiter));
+    });
+    lines.push('');
+
+    // 拡大箇所
+    lines.push('[拡大箇所]');
+    lines.push('No,開始キロ程(km),終了キロ程(km),延長(m),最大値キロ程(km),最大軌間狂い(mm),最大変化率(mm/m),推定原因,曲線');
+    result.wideRegions.forEach((region, i) => {
+      const row = [
+        i + 1,
+        region.startKm.toFixed(4),
+        region.endKm.toFixed(4),
+        region.length,
+        region.peakKm.toFixed(4),
+        region.peakDeviation,
+        region.maxRate,
+        region.causeLabel,
+        region.curve ? (region.curve.label || `R${region.curve.radius ?? ''}`) : ''
+      ];
+      lines.push(row.join(this.delimiter));
+    });
+
+    return lines.join(this.lineBreak);
+  }
+
+  /**
+   * 継目整備リストを生成
+   * @param {Object} result - JointIrregularityDetector.detect() の結果
+   * @param {Object} metadata - メタデータ
+   * @returns {string} CSV文字列
+   */
+  generateJointMaintenanceReport(result, metadata = {}) {
+    const lines = [];
+    const { summary } = result;
+    const sideLabel = { left: '左', right: '右' };
+    const shapeLabel = { dip: '落ち込み', bump: '突起' };
+    const formatItem = item => (item
+      ? [item.amplitude, shapeLabel[item.shape], item.peakToPeak, item.offset, item.ratio]
+      : ['', '', '', '', '']);
+
+    // ヘッダー情報
+    lines.push('# 継目整備リスト');
+    lines.push(`# 路線: ${metadata.lineName || ''}`);
+    lines.push(`# 測定日: ${metadata.measurementDate || ''}`);
+    lines.push(`# 補修閾値(mm): 高低 ${summary.thresholds.level} / 通り ${summary.thresholds.alignment}`);
+    lines.push(`# 評価区間(m): ±${summary.window}（基準区間 ±${summary.baselineWindow}）`);
+    lines.push(`# 評価継目数: ${summary.evaluated} / ${summary.jointCount}`);
+    summary.severityLevels.forEach(level => {
+      lines.push(`# ${level.label}: ${level.count}`);
+    });
+    result.warnings.forEach(warning => {
+      lines.push(`# ${warning}`);
+    });
+    lines.push('');
+
+    // 補修対象（劣化度順）
+    lines.push('[継目整備リスト]');
+    lines.push('順位,キロ程(km),左右,継目番号,継目区分,種別,劣化度,主因,推奨作業,' +
+      '高低振幅(mm),高低形状,高低P-P(mm),高低位置(m),高低比率,' +
+      '通り振幅(mm),通り形状,通りP-P(mm),通り位置(m),通り比率');
+    result.maintenanceList.forEach(joint => {
+      const row = [
+        joint.rank,
+        joint.km.toFixed(4),
+        sideLabel[joint.side] || '左右',
+        joint.jointNumber,
+        joint.category,
+        joint.kind,
+        joint.severityLabel,
+        joint.dominantLabel,
+        joint.recommendedWork,
+        ...formatItem(joint.level),
+        ...formatItem(joint.alignment)
+      ];
+      lines.push(row.join(this.delimiter));
+    });
+    lines.push('');
+
+    // 全継目
+    lines.push('[全継目]');
+    lines.push('順位,キロ程(km),左右,継目番号,劣化度,高低振幅(mm),通り振幅(mm),比率');
+    result.joints.forEach(joint => {
+      const row = [
+        joint.rank,
+        joint.km.toFixed(4),
+        sideLabel[joint.side] || '左右',
+        joint.jointNumber,
+        joint.severityLabel,
+        joint.level ? joint.level.amplitude : '',
+        joint.alignment ? joint.alignment.amplitude : '',
+        joint.ratio
+      ];
+      lines.push(row.join(this.delimiter));
+    });
+
+    return lines.join(this.lineBreak);
+  }
+
   /**
    * CSV文字列をBufferに変換
    * @param {string} csv - CSV文字列
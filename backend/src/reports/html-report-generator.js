@@ -468,6 +468,276 @@ class HTMLReportGenerator {
     return html;
   }
 
+  /**
+   * 管理値超過箇所一覧を生成
+   * @param {Object} result - ExceedanceDetector.detect() の結果
+   * @param {Object} metadata - メタデータ
+   * @returns {string} HTML文字列
+   */
+  generateExceedanceReport(result, metadata = {}) {
+    let html = this.generateHeader('管理値超過箇所一覧');
+
+    html += '<h1>管理値超過箇所一覧</h1>';
+
+    // メタデータ
+    html += this.generateMetadataSection(metadata);
+
+    // 重大度別件数
+    html += `
+    <h2>超過箇所数</h2>
+    <div class="statistics-grid">
+      <div class="stat-card">
+        <div class="stat-label">合計</div>
+        <div class="stat-value">${result.summary.total} <span class="stat-unit">箇所</span></div>
+      </div>
+      ${result.summary.severityLevels.map(level => `
+      <div class="stat-card">
+        <div class="stat-label">${this.escapeHtml(level.label)}（管理値の${level.minRatio}倍以上）</div>
+        <div class="stat-value">${level.count} <span class="stat-unit">箇所</span></div>
+      </div>`).join('')}
+    </div>
+`;
+
+    if (result.warnings && result.warnings.length > 0) {
+      html += `
+    <div class="metadata">
+      ${result.warnings.map(warning => `<div class="metadata-item">⚠ ${this.escapeHtml(warning)}</div>`).join('')}
+    </div>
+`;
+    }
+
+    // 超過箇所テーブル（キロ程は小数4桁の文字列で表示）
+    html += '<h2>超過箇所</h2>';
+    const tableData = result.exceedances.map((entry, i) => ({
+      no: String(i + 1),
+      item: entry.itemLabel,
+      channel: entry.channel,
+      sign: entry.sign,
+      startKm: entry.startKm.toFixed(4),
+      endKm: entry.endKm.toFixed(4),
+      length: entry.length,
+      peakKm: entry.peakKm.toFixed(4),
+      peakValue: entry.peakValue,
+      limit: entry.limit,
+      ratio: entry.ratio,
+      severity: entry.severityLabel,
+      cause: entry.causeLabel || ''
+    }));
+
+    const columns = [
+      { key: 'no', label: 'No' },
+      { key: 'item', label: '項目' },
+      { key: 'channel', label: '測定項目' },
+      { key: 'sign', label: '正負' },
+      { key: 'startKm', label: '開始キロ程', unit: 'km' },
+      { key: 'endKm', label: '終了キロ程', unit: 'km' },
+      { key: 'length', label: '延長', unit: 'm' },
+      { key: 'peakKm', label: '最大値キロ程', unit: 'km' },
+      { key: 'peakValue', label: '最大値', unit: 'mm' },
+      { key: 'limit', label: '管理値', unit: 'mm' },
+      { key: 'ratio', label: '管理値比' },
+      { key: 'severity', label: '重大度' },
+      { key: 'cause', label: '推定原因' }
+    ];
+
+    html += this.generateDataTable(tableData, columns, tableData.length);
+
+    html += this.generateFooter();
+
+    return html;
+  }
+
+  /**
+   * 軌間分析レポートを生成
+   * @param {Object} result - GaugeAnalyzer.analyze() の結果
+   * @param {Object} metadata - メタデータ
+   * @returns {string} HTML文字列
+   */
+  generateGaugeReport(result, metadata = {}) {
+    const { summary } = result;
+    let html = this.generateHeader('軌間分析レポート');
+
+    html += '<h1>軌間分析レポート</h1>';
+
+    // メタデータ
+    html += this.generateMetadataSection(metadata);
+
+    // 統計（設計スラック控除後）
+    html += `
+    <h2>軌間狂い（設計スラック控除後）</h2>
+    <div class="statistics-grid">
+      <div class="stat-card">
+        <div class="stat-label">平均</div>
+        <div class="stat-value">${summary.mean} <span class="stat-unit">mm</span></div>
+      </div>
+      <div class="stat-card">
+        <div class="stat-label">σ</div>
+        <div class="stat-value">${summary.sigma} <span class="stat-unit">mm</span></div>
+      </div>
+      <div class="stat-card">
+        <div class="stat-label">最大拡大（${summary.maxKm.toFixed(4)}km）</div>
+        <div class="stat-value">${summary.max} <span class="stat-unit">mm</span></div>
+      </div>
+      <div class="stat-card">
+        <div class="stat-label">拡大箇所（${summary.wideThreshold}mm超）</div>
+        <div class="stat-value">${summary.wideRegionCount} <span class="stat-unit">箇所</span></div>
+      </div>
+      ${summary.causes.map(cause => `
+      <div class="stat-card">
+        <div class="stat-label">${this.escapeHtml(cause.label)}</div>
+        <div class="stat-value">${cause.count} <span class="stat-unit">箇所</span></div>
+      </div>`).join('')}
+    </div>
+`;
+
+    if (result.warnings && result.warnings.length > 0) {
+      html += `
+    <div class="metadata">
+      ${result.warnings.map(warning => `<div class="metadata-item">⚠ ${this.escapeHtml(warning)}</div>`).join('')}
+    </div>
+`;
+    }
+
+    // 曲線別
+    html += '<h2>曲線別</h2>';
+    const curveData = result.curves.map(curve => ({
+      startKm: curve.startKm.toFixed(3),
+      endKm: curve.endKm.toFixed(3),
+      curveType: curve.curveType,
+      radius: curve.radius ?? '',
+      designSlack: curve.designSlack ?? '',
+      mean: curve.mean ?? '',
+      max: curve.max ?? '',
+      wideRatio: curve.wideRatio ?? '',
+      slope: curve.slopePer100m ?? '',
+      wideTrend: curve.wideTrend ? 'あり' : ''
+    }));
+    const curveColumns = [
+      { key: 'startKm', label: '開始キロ程', unit: 'km' },
+      { key: 'endKm', label: '終了キロ程', unit: 'km' },
+      { key: 'curveType', label: '種別' },
+      { key: 'radius', label: '半径', unit: 'm' },
+      { key: 'designSlack', label: '設計スラック', unit: 'mm' },
+      { key: 'mean', label: '平均', unit: 'mm' },
+      { key: 'max', label: '最大', unit: 'mm' },
+      { key: 'wideRatio', label: '拡大比率' },
+      { key: 'slope', label: '勾配', unit: 'mm/100m' },
+      { key: 'wideTrend', label: '拡大傾向' }
+    ];
+    html += this.generateDataTable(curveData, curveColumns, curveData.length);
+
+    // 拡大箇所
+    html += '<h2>拡大箇所</h2>';
+    const regionData = result.wideRegions.map((region, i) => ({
+      no: String(i + 1),
+      startKm: region.startKm.toFixed(4),
+      endKm: region.endKm.toFixed(4),
+      length: region.length,
+      peakKm: region.peakKm.toFixed(4),
+      peakDeviation: region.peakDeviation,
+      maxRate: region.maxRate,
+      cause: region.causeLabel
+    }));
+    const regionColumns = [
+      { key: 'no', label: 'No' },
+      { key: 'startKm', label: '開始キロ程', unit: 'km' },
+      { key: 'endKm', label: '終了キロ程', unit: 'km' },
+      { key: 'length', label: '延長', unit: 'm' },
+      { key: 'peakKm', label: '最大値キロ程', unit: 'km' },
+      { key: 'peakDeviation', label: '最大軌間狂い', unit: 'mm' },
+      { key: 'maxRate', label: '最大変化率', unit: 'mm/m' },
+      { key: 'cause', label: '推定原因' }
+    ];
+    html += this.generateDataTable(regionData, regionColumns, regionData.length);
+
+    html += this.generateFooter();
+
+    return html;
+  }
+
+  /**
+   * 継目整備リストを生成
+   * @param {Object} result - JointIrregularityDetector.detect() の結果
+   * @param {Object} metadata - メタデータ
+   * @returns {string} HTML文字列
+   */
+  generateJointMaintenanceReport(result, metadata = {}) {
+    const { summary } = result;
+    const sideLabel = { left: '左', right: '右' };
+    const shapeLabel = { dip: '落ち込み', bump: '突起' };
+    let html = this.generateHeader('継目整備リスト');
+
+    html += '<h1>継目整備リスト</h1>';
+
+    // メタデータ
+    html += this.generateMetadataSection(metadata);
+
+    // 劣化度別件数
+    html += `
+    <h2>継目部の軌道狂い（補修閾値 高低 ${summary.thresholds.level}mm / 通り ${summary.thresholds.alignment}mm）</h2>
+    <div class="statistics-grid">
+      <div class="stat-card">
+        <div class="stat-label">評価継目</div>
+        <div class="stat-value">${summary.evaluated} <span class="stat-unit">/ ${summary.jointCount} 箇所</span></div>
+      </div>
+      <div class="stat-card">
+        <div class="stat-label">最大高低振幅</div>
+        <div class="stat-value">${summary.maxLevelAmplitude ?? '-'} <span class="stat-unit">mm</span></div>
+      </div>
+      <div class="stat-card">
+        <div class="stat-label">最大通り振幅</div>
+        <div class="stat-value">${summary.maxAlignmentAmplitude ?? '-'} <span class="stat-unit">mm</span></div>
+      </div>
+      ${summary.severityLevels.map(level => `
+      <div class="stat-card">
+        <div class="stat-label">${this.escapeHtml(level.label)}</div>
+        <div class="stat-value">${level.count} <span class="stat-unit">箇所</span></div>
+      </div>`).join('')}
+    </div>
+`;
+
+    if (result.warnings && result.warnings.length > 0) {
+      html += `
+    <div class="metadata">
+      ${result.warnings.map(warning => `<div class="metadata-item">⚠ ${this.escapeHtml(warning)}</div>`).join('')}
+    </div>
+`;
+    }
+
+    // 補修対象
+    html += '<h2>補修対象（劣化度順）</h2>';
+    const formatItem = item => (item ? (item.shape ? `${item.amplitude}（${shapeLabel[item.shape]}）` : String(item.amplitude)) : '');
+    const maintenanceData = result.maintenanceList.map(joint => ({
+      rank: String(joint.rank),
+      km: joint.km.toFixed(4),
+      side: sideLabel[joint.side] || '左右',
+      jointNumber: joint.jointNumber,
+      category: joint.category,
+      severity: joint.severityLabel,
+      level: formatItem(joint.level),
+      alignment: formatItem(joint.alignment),
+      ratio: joint.ratio,
+      work: joint.recommendedWork
+    }));
+    const maintenanceColumns = [
+      { key: 'rank', label: '順位' },
+      { key: 'km', label: 'キロ程', unit: 'km' },
+      { key: 'side', label: '左右' },
+      { key: 'jointNumber', label: '継目番号' },
+      { key: 'category', label: '継目区分' },
+      { key: 'severity', label: '劣化度' },
+      { key: 'level', label: '高低振幅', unit: 'mm' },
+      { key: 'alignment', label: '通り振幅', unit: 'mm' },
+      { key: 'ratio', label: '閾値比' },
+      { key: 'work', label: '推奨作業' }
+    ];
+    html += this.generateDataTable(maintenanceData, maintenanceColumns, maintenanceData.length);
+
+    html += this.generateFooter();
+
+    return html;
+  }
+
   /**
    * HTML文字列をBufferに変換
    * @param {string} html - HTML文字列
@@ -0,0 +1,83 @@
+/**
+ * file-routes.js のテスト（LABOXファイルアップロード）
+ */
+import { describe, test, expect, beforeAll, afterAll } from '@jest/globals';
+import fs from 'fs';
+import path from 'path';
+import express from 'express';
+import iconv from 'iconv-lite';
+import fileRoutes from '../file-routes.js';
+
+describe('POST /api/files/upload-labox', () => {
+  const uploadDir = path.join(__dirname, '../../../uploads');
+  let server;
+  let baseUrl;
+  let uploadedBefore;
+
+  beforeAll(async () => {
+    const app = express();
+    app.use('/api/files', fileRoutes);
+    server = app.listen(0);
+    await new Promise(resolve => server.once('listening', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}/api/files`;
+    uploadedBefore = fs.readdirSync(uploadDir).sort();
+  });
+
+  afterAll(async () => {
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  const ldt = iconv.encode([
+    '測定日: 2024/01/31',
+    'キロ程\t左高低\t右高低',
+    '1.20000\t0.5\t-0.5',
+    '1.20025\t1.0\t-1.0',
+    '1.20050\t1.5\t-1.5',
+    '1.20075\t2.0\t-2.0'
+  ].join('\r\n'), 'Shift_JIS');
+
+  const upload = async (fields, content = ldt, name = 'measure.ldt') => {
+    const form = new FormData();
+    if (content) form.append('file', new Blob([content]), name);
+    Object.entries(fields).forEach(([key, value]) => form.append(key, value));
+    const response = await fetch(`${baseUrl}/upload-labox`, { method: 'POST', body: form });
+    return { status: response.status, body: await response.json() };
+  };
+
+  test('LDT をチャンネル・キロ程範囲 (m) で抽出し、アップロードしたファイルを削除する', async () => {
+    const { status, body } = await upload({ channels: 'rightLevel', startKm: '1200.25', endKm: '1200.5' });
+
+    expect(status).toBe(200);
+    expect(body).toMatchObject({
+      success: true,
+      filename: 'measure.ldt',
+      format: 'ldt',
+      channels: ['rightLevel'],
+      availableChannels: ['leftLevel', 'rightLevel'],
+      dataPoints: 2,
+      range: { startKm: 1200.25, endKm: 1200.5, dataPoints: 2 }
+    });
+    expect(body.items).toEqual({
+      rightLevel: [{ distance: 1200.25, value: -1 }, { distance: 1200.5, value: -1.5 }]
+    });
+    expect(fs.readdirSync(uploadDir).sort()).toEqual(uploadedBefore);
+  });
+
+  test('LDT 以外の拡張子は LBX として読み、形式が不正なら400エラー', async () => {
+    const { status, body } = await upload({}, Buffer.alloc(256), 'measure.lbx');
+
+    expect(status).toBe(400);
+    expect(body).toEqual({ success: false, error: expect.stringContaining('無効なファイル形式') });
+  });
+
+  test('データにないチャンネル・不正なキロ程範囲・ファイルなしは400エラー', async () => {
+    const unknown = await upload({ channels: 'leftLevel,gauge' });
+    expect(unknown).toEqual({ status: 400, body: { success: false, error: 'Unknown channels: gauge' } });
+
+    const invalidRange = await upload({ startKm: 'abc' });
+    expect(invalidRange.status).toBe(400);
+
+    const noFile = await upload({ channels: 'leftLevel' }, null);
+    expect(noFile).toEqual({ status: 400, body: { success: false, error: 'No file uploaded' } });
+  });
+});
@@ -14,6 +14,9 @@ const QualityAnalyzer = require('../analyzers/quality-analyzer');
 const FieldMeasurementAnalyzer = require('../analyzers/field-measurement');
 const VerticalCurveManager = require('../analyzers/vertical-curve-manager');
 
+// 平面性
+const TwistCalculator = require('../algorithms/twist-calculator');
+
 // エクスポーターのインポート
 const ALSExporter = require('../exporters/als-exporter');
 const ALCExporter = require('../exporters/alc-exporter');
@@ -23,6 +26,10 @@ const GeneralDataExporter = require('../exporters/general-exporter');
 // レポート生成器
 const ComprehensiveReportGenerator = require('../reports/comprehensive-report');
 
+// 整備前後比較
+const BeforeAfterComparisonService = require('../services/before-after-comparison-service');
+const kiyaDataProcessor = require('../processors/kiya-data-processor');
+
 // ファイルアップロード設定
 const storage = multer.diskStorage({
   destination: (req, file, cb) => {
@@ -81,6 +88,19 @@ router.post('/quality', async (req, res) => {
       });
     }
 
+    // 水準が指定された場合は平面性を算出して品質分析に含める
+    if (beforeData.crossLevel && afterData.crossLevel && !(beforeData.twist && afterData.twist)) {
+      const twistCalculator = new TwistCalculator({
+        baseLengths: [options?.twistBase || '5m'],
+        dataInterval: options?.dataInterval
+      });
+      const toTwist = crossLevel => twistCalculator.calculate(crossLevel, {
+        curveSpecs: options?.curveSpecs
+      }).bases[0].twist;
+      beforeData.twist = toTwist(beforeData.crossLevel);
+      afterData.twist = toTwist(afterData.crossLevel);
+    }
+
     const analyzer = new QualityAnalyzer(options);
     const results = analyzer.analyzeQuality(beforeData, afterData);
     const report = analyzer.generateReport(results);
@@ -94,7 +114,55 @@ router.post('/quality', async (req, res) => {
     });
   } catch (error) {
     console.error('品質分析エラー:', error);
-    res.status(500).json({
+    res.status(error.status || 500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * 整備前後の検測データ比較（キロ程ずれの自動補正つき）
+ * POST /api/analysis/before-after
+ *
+ * body: { before, after } 検測データ {lateral, vertical: [{position, value}], markers, positionInfo, pnt}
+ *   または { beforeDatasetId, afterDatasetId, channels } キヤ検測データセット
+ *   共通: { start, end, alignChannel, options }
+ */
+router.post('/before-after', async (req, res) => {
+  try {
+    const { beforeDatasetId, afterDatasetId, channels, start, end, alignChannel, options } = req.body;
+    const service = new BeforeAfterComparisonService(options);
+
+    const resolveRun = (run, datasetId, label) => {
+      if (run) return run;
+      if (!datasetId) {
+        const error = new Error(`${label}の検測データ（データまたはデータセットID）が必要です`);
+        error.status = 400;
+        throw error;
+      }
+      const dataset = kiyaDataProcessor.getDataset(datasetId);
+      if (!dataset) {
+        const error = new Error(`Dataset not found: ${datasetId}`);
+        error.status = 404;
+        throw error;
+      }
+      return service.fromKiyaDataset(dataset, channels);
+    };
+
+    const before = resolveRun(req.body.before, beforeDatasetId, '整備前');
+    const after = resolveRun(req.body.after, afterDatasetId, '整備後');
+    const result = service.compare(before, after, { start, end, alignChannel });
+
+    res.json({
+      success: true,
+      data: result
+    });
+  } catch (error) {
+    if (!error.status) {
+      console.error('整備前後比較エラー:', error);
+    }
+    res.status(error.status || 500).json({
       success: false,
       error: error.message
     });
@@ -6,6 +6,7 @@
  * - DCP → RSQ (全項目一括データから項目別データへ)
  * - CSV → LABOCS (Oracle形式からLABOCS形式へ)
  * - TBL/DDB → CSV (LABOCS形式からCSV形式へ)
+ * - LABOX (LBX/LDT) → CSV / RSQ (選択チャンネルの出力)
  */
 
 const express = require('express');
@@ -17,6 +18,46 @@ const { DCPToRSQConverter } = require('../converters/dcp-to-rsq-converter');
 const { OracleToLabocsConverter } = require('../converters/oracle-to-labocs-converter');
 const { DCPParser } = require('../parsers/dcp-parser');
 const { TBLDDBParser } = require('../parsers/tbl-ddb-parser');
+const LaboxParser = require('../parsers/labox-parser');
+const { LaboxToRSQConverter } = require('../converters/labox-to-rsq-converter');
+
+/**
+ * アップロードされたLABOXファイル（LBX/LDT）をパース
+ * @param {Object} file - multer のファイル情報（memoryStorage）
+ * @returns {{header: Object, data: Array, statistics: Object}} パース結果
+ */
+function parseLaboxUpload(file) {
+  const ext = file.originalname.toLowerCase().split('.').pop();
+  return ext === 'ldt' ? LaboxParser.parseLDT(file.buffer) : LaboxParser.parseLBX(file.buffer);
+}
+
+/**
+ * チャンネル指定（JSON配列）を取得し、データに存在するか検証
+ * @param {string|undefined} value - リクエストの channels
+ * @param {Array} data - LABOXデータ
+ * @returns {string[]|null} チャンネル名配列（省略時は null）
+ */
+function parseLaboxChannels(value, data) {
+  if (!value) return null;
+
+  let channels;
+  try {
+    channels = JSON.parse(value);
+  } catch (e) {
+    throw new Error('Invalid channels format');
+  }
+  if (!Array.isArray(channels)) {
+    throw new Error('Invalid channels format');
+  }
+
+  const availableChannels = LaboxParser.getAvailableChannels(data);
+  const unknownChannels = channels.filter(channel => !availableChannels.includes(channel));
+  if (unknownChannels.length > 0) {
+    throw new Error(`Unknown channels: ${unknownChannels.join(', ')}`);
+  }
+
+  return channels;
+}
 
 /**
  * DCP → RSQ 変換
@@ -246,6 +287,132 @@ router.post('/labocs-to-csv', upload.fields([
   }
 });
 
+/**
+ * LABOX → CSV 変換
+ * POST /api/conversion/labox-to-csv
+ *
+ * Request body (multipart/form-data):
+ * - file: LBXファイルまたはLDTファイル
+ * - channels: 出力するチャンネル名のJSON配列（省略時は全チャンネル）
+ *
+ * Response:
+ * - success: boolean
+ * - csvFile: CSVファイル情報
+ */
+router.post('/labox-to-csv', upload.single('file'), async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({
+        success: false,
+        error: 'LABOX file is required'
+      });
+    }
+
+    let laboxData;
+    let channels;
+    try {
+      laboxData = parseLaboxUpload(req.file);
+      channels = parseLaboxChannels(req.body.channels, laboxData.data);
+    } catch (error) {
+      return res.status(400).json({
+        success: false,
+        error: error.message
+      });
+    }
+
+    const { csvContent, rowCount } = LaboxParser.generateCSVContent(laboxData.data, {
+      dataTypes: channels
+    });
+    const csvBuffer = Buffer.from(csvContent, 'utf8');
+    const baseName = req.file.originalname.replace(/\.[^.]+$/, '');
+
+    res.json({
+      success: true,
+      message: 'LABOX to CSV conversion successful',
+      csvFile: {
+        fileName: `${baseName}.csv`,
+        data: csvBuffer.toString('base64'),
+        size: csvBuffer.length,
+        rowCount
+      },
+      channels: channels || LaboxParser.getAvailableChannels(laboxData.data),
+      sourceFile: req.file.originalname,
+      conversion: 'LABOX → CSV'
+    });
+  } catch (error) {
+    console.error('LABOX to CSV conversion error:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * LABOX → RSQ 変換
+ * POST /api/conversion/labox-to-rsq
+ *
+ * Request body (multipart/form-data):
+ * - file: LBXファイルまたはLDTファイル
+ * - channels: 出力するチャンネル名のJSON配列（省略時はRSQ出力可能な全チャンネル）
+ * - lineCode: 路線コード
+ * - direction: 上下区分（省略時はLBXヘッダーから判定）
+ *
+ * Response:
+ * - success: boolean
+ * - files: 変換されたRSQファイル情報配列
+ */
+router.post('/labox-to-rsq', upload.single('file'), async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({
+        success: false,
+        error: 'LABOX file is required'
+      });
+    }
+
+    const converter = new LaboxToRSQConverter();
+    let rsqFiles;
+    try {
+      const laboxData = parseLaboxUpload(req.file);
+      const channels = parseLaboxChannels(req.body.channels, laboxData.data);
+
+      rsqFiles = converter.convertToRSQFiles(laboxData, channels, {
+        lineCode: req.body.lineCode,
+        direction: req.body.direction
+      });
+    } catch (error) {
+      return res.status(400).json({
+        success: false,
+        error: error.message
+      });
+    }
+
+    // ファイル情報をBase64エンコードして返す
+    const filesData = rsqFiles.map(file => ({
+      fileName: file.fileName,
+      itemCode: file.itemCode,
+      channel: file.channel,
+      data: file.buffer.toString('base64'),
+      size: file.buffer.length
+    }));
+
+    res.json({
+      success: true,
+      message: `${rsqFiles.length} RSQ files generated`,
+      files: filesData,
+      sourceFile: req.file.originalname,
+      conversion: 'LABOX → RSQ'
+    });
+  } catch (error) {
+    console.error('LABOX to RSQ conversion error:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
 /**
  * サポートされている変換タイプを取得
  * GET /api/conversion/supported
@@ -253,6 +420,7 @@ router.post('/labocs-to-csv', upload.fields([
 router.get('/supported', (req, res) => {
   const dcpConverter = new DCPToRSQConverter();
   const oracleConverter = new OracleToLabocsConverter();
+  const laboxConverter = new LaboxToRSQConverter();
 
   res.json({
     success: true,
@@ -282,6 +450,23 @@ router.get('/supported', (req, res) => {
         inputFormat: 'TBL + DDB (2 files)',
         outputFormat: 'CSV (single file)',
         endpoint: '/api/conversion/labocs-to-csv'
+      },
+      {
+        type: 'LABOX_TO_CSV',
+        name: 'LABOX → CSV',
+        description: 'ラボックスデータの選択チャンネルをCSVへ変換',
+        inputFormat: 'LBX or LDT (single file)',
+        outputFormat: 'CSV (single file)',
+        endpoint: '/api/conversion/labox-to-csv'
+      },
+      {
+        type: 'LABOX_TO_RSQ',
+        name: 'LABOX → RSQ',
+        description: 'ラボックスデータの選択チャンネルを項目別RSQへ変換',
+        supportedChannels: laboxConverter.getSupportedChannels(),
+        inputFormat: 'LBX or LDT (single file)',
+        outputFormat: 'RSQ (multiple files)',
+        endpoint: '/api/conversion/labox-to-rsq'
       }
     ]
   });
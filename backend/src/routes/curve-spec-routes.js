@@ -7,12 +7,14 @@
 const express = require('express');
 const multer = require('multer');
 const CurveSpecParser = require('../parsers/curve-spec-parser');
+const { CurveElementFitter } = require('../algorithms/curve-element-fitter');
+const curveSpecStore = require('../services/curve-spec-store');
+const { sendError } = require('../utils/common');
 
 const router = express.Router();
 const upload = multer({ storage: multer.memoryStorage() });
 
-// メモリ上の曲線諸元データストア（実運用ではデータベースを使用）
-let curveSpecStore = new Map();
+// 曲線諸元はプロジェクトID（曲線諸元データセットID）ごとに curveSpecStore へ保存する
 let currentProjectId = 'default';
 
 /**
@@ -265,6 +267,76 @@ router.put('/update', (req, res) => {
   }
 });
 
+/**
+ * POST /api/curve-spec/fit
+ * 通り（正矢）データから曲線諸元を自動推定
+ *
+ * body:
+ * - versineData: 正矢データ [{ position, value }]（位置m, 値mm）
+ * - chordLength, maxRadius, minCurveLength, rightPositive: 推定設定（任意）
+ * - designSpeed: 設計速度（任意、指定時は均衡カントを算出）
+ * - workSection: KSファイルの作業区間情報（任意）
+ * - save: true の場合、推定結果を曲線諸元として登録
+ */
+router.post('/fit', (req, res) => {
+  try {
+    const {
+      versineData,
+      chordLength,
+      maxRadius,
+      minCurveLength,
+      rightPositive,
+      designSpeed,
+      workSection = {},
+      save = false
+    } = req.body;
+
+    if (!Array.isArray(versineData) || versineData.length === 0) {
+      return res.status(400).json({
+        success: false,
+        error: '正矢データ（versineData）が必要です'
+      });
+    }
+
+    const fitter = new CurveElementFitter({ chordLength, maxRadius, minCurveLength, rightPositive });
+    const result = fitter.fit(versineData, { designSpeed });
+    const curveSpecs = fitter.toCurveSpecs(result);
+    const summary = {
+      totalCurves: curveSpecs.length,
+      straightCount: curveSpecs.filter(c => c.curveType === 'straight').length,
+      transitionCount: curveSpecs.filter(c => c.curveType === 'transition').length,
+      circularCount: curveSpecs.filter(c => c.curveType === 'circular').length,
+      totalLength: curveSpecs.reduce((sum, c) => sum + (c.endKP - c.startKP), 0)
+    };
+
+    const projectId = req.body.projectId || currentProjectId;
+    if (save) {
+      curveSpecStore.set(projectId, {
+        curveSpecs,
+        filename: 'fitted',
+        uploadedAt: new Date().toISOString(),
+        summary
+      });
+    }
+
+    res.json({
+      success: true,
+      message: `${result.elements.length}件の曲線を推定しました`,
+      projectId: save ? projectId : undefined,
+      elements: result.elements,
+      rejected: result.rejected,
+      statistics: result.statistics,
+      curveSpecs,
+      summary,
+      csvContent: CurveSpecParser.toCurveSpecCSV(curveSpecs, true),
+      ksContent: fitter.generateKSContent(result, workSection),
+      ksFileName: `${workSection.filePrefix || 'CURVE'}.KS.TXT`
+    });
+  } catch (error) {
+    sendError(res, error, 'Curve element fitting error');
+  }
+});
+
 /**
  * DELETE /api/curve-spec/clear
  * 曲線諸元データをクリア
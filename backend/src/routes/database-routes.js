@@ -6,10 +6,12 @@
 const express = require('express');
 const router = express.Router();
 const { authenticate, requireRole, logActivity } = require('../middleware/auth');
-const UserRepository = require('../db/repositories/user-repository');
-const CalculationRepository = require('../db/repositories/calculation-repository');
-const SessionRepository = require('../db/repositories/session-repository');
-const HistoryRepository = require('../db/repositories/history-repository');
+const {
+  UserRepository,
+  CalculationRepository,
+  SessionRepository,
+  HistoryRepository
+} = require('../db/repositories');
 
 // Initialize repositories
 const userRepo = new UserRepository();
@@ -123,7 +125,7 @@ router.get('/users', authenticate, requireRole('admin'), async (req, res) => {
 
     const users = await userRepo.listUsers({
       role,
-      isActive: active === 'true',
+      isActive: active === undefined ? undefined : active === 'true',
       searchTerm: search,
       limit: parseInt(limit) || 50,
       offset: parseInt(offset) || 0
@@ -186,6 +188,24 @@ router.post('/calculations', authenticate, logActivity('save-calculation'), asyn
   }
 });
 
+// Get calculation statistics (registered before /calculations/:id)
+router.get('/calculations/stats', authenticate, async (req, res) => {
+  try {
+    const { startDate, endDate, groupBy } = req.query;
+
+    const stats = await calcRepo.getStatistics({
+      startDate,
+      endDate,
+      groupBy: groupBy || 'day'
+    });
+
+    res.json({ statistics: stats });
+  } catch (error) {
+    console.error('Get statistics error:', error);
+    res.status(500).json({ error: 'Failed to fetch statistics' });
+  }
+});
+
 // Get calculation by ID
 router.get('/calculations/:id', authenticate, async (req, res) => {
   try {
@@ -254,24 +274,6 @@ router.get('/calculations', authenticate, async (req, res) => {
   }
 });
 
-// Get calculation statistics
-router.get('/calculations/stats', authenticate, async (req, res) => {
-  try {
-    const { startDate, endDate, groupBy } = req.query;
-
-    const stats = await calcRepo.getStatistics({
-      startDate,
-      endDate,
-      groupBy: groupBy || 'day'
-    });
-
-    res.json({ statistics: stats });
-  } catch (error) {
-    console.error('Get statistics error:', error);
-    res.status(500).json({ error: 'Failed to fetch statistics' });
-  }
-});
-
 // Compare calculations
 router.post('/calculations/compare', authenticate, async (req, res) => {
   try {
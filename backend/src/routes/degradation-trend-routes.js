@@ -0,0 +1,104 @@
+/**
+ * 軌道狂い進み分析API
+ * Long-term track degradation trend routes
+ *
+ * 線区ごとに検測回を蓄積し、ロット別の狂い進み・LK管理値超過予測・整備優先順位を返す
+ */
+
+const express = require('express');
+const router = express.Router();
+
+const degradationTrendService = require('../services/degradation-trend-service');
+const kiyaDataProcessor = require('../processors/kiya-data-processor');
+const { sendError } = require('../utils/common');
+
+/**
+ * 検測回一覧
+ * GET /api/degradation-trend/lines/:lineId/runs
+ */
+router.get('/lines/:lineId/runs', async (req, res) => {
+  try {
+    const runs = await degradationTrendService.listRuns(req.params.lineId);
+
+    res.json({
+      success: true,
+      runs,
+      count: runs.length
+    });
+  } catch (error) {
+    sendError(res, error, 'List inspection runs error');
+  }
+});
+
+/**
+ * 検測回を登録
+ * POST /api/degradation-trend/lines/:lineId/runs
+ *
+ * body: { date, label, lateral, vertical: [{position, value}], markers, positionInfo, pnt, managementValues }
+ *   または { datasetId, date, label, channels } キヤ検測データセットから登録
+ */
+router.post('/lines/:lineId/runs', async (req, res) => {
+  try {
+    const { lineId } = req.params;
+    const { datasetId } = req.body;
+    let run;
+
+    if (datasetId) {
+      const dataset = kiyaDataProcessor.getDataset(datasetId);
+      if (!dataset) {
+        return res.status(404).json({
+          success: false,
+          error: `Dataset not found: ${datasetId}`
+        });
+      }
+      run = await degradationTrendService.addRunFromKiyaDataset(lineId, dataset, req.body);
+    } else {
+      run = await degradationTrendService.addRun(lineId, req.body);
+    }
+
+    res.status(201).json({
+      success: true,
+      run
+    });
+  } catch (error) {
+    sendError(res, error, 'Add inspection run error');
+  }
+});
+
+/**
+ * 検測回を削除
+ * DELETE /api/degradation-trend/runs/:runId
+ */
+router.delete('/runs/:runId', async (req, res) => {
+  try {
+    await degradationTrendService.deleteRun(req.params.runId);
+
+    res.json({
+      success: true,
+      message: 'Inspection run deleted successfully'
+    });
+  } catch (error) {
+    sendError(res, error, 'Delete inspection run error');
+  }
+});
+
+/**
+ * 狂い進み分析
+ * POST /api/degradation-trend/lines/:lineId/analyze
+ *
+ * body: { lotLength, start, end, limits, sigmaLimits, managementValues, asOf, horizonYears }
+ */
+router.post('/lines/:lineId/analyze', async (req, res) => {
+  try {
+    const result = await degradationTrendService.analyze(req.params.lineId, req.body);
+
+    res.json({
+      success: true,
+      data: result
+    });
+  } catch (error) {
+    sendError(res, error, 'Degradation trend analysis error');
+  }
+});
+
+module.exports = router;
@@ -15,6 +15,8 @@ const { HDRDATParser } = require('../parsers/hdr-dat-parser');
 const { DCPParser } = require('../parsers/dcp-parser');
 const { PNTParser } = require('../parsers/pnt-parser');
 const { TBLDDBParser } = require('../parsers/tbl-ddb-parser');
+const LaboxParser = require('../parsers/labox-parser');
+const { parseKilometerRange, MAX_RANGE_VALUES } = require('../utils/kilometer-range');
 
 // Multer設定
 const storage = multer.diskStorage({
@@ -27,26 +29,42 @@ const storage = multer.diskStorage({
   }
 });
 
+const fileFilter = (req, file, cb) => {
+  const ext = path.extname(file.originalname).toLowerCase();
+  const allowed = ['.rsq', '.hdr', '.dat', '.dcp', '.pnt', '.tbl', '.ddb', '.csv', '.lbx', '.ldt'];
+
+  if (allowed.includes(ext)) {
+    cb(null, true);
+  } else {
+    cb(new Error(`Unsupported file type: ${ext}`));
+  }
+};
+
 const upload = multer({
   storage,
   limits: { fileSize: 100 * 1024 * 1024 }, // 100MB
-  fileFilter: (req, file, cb) => {
-    const ext = path.extname(file.originalname).toLowerCase();
-    const allowed = ['.rsq', '.hdr', '.dat', '.dcp', '.pnt', '.tbl', '.ddb', '.csv'];
-
-    if (allowed.includes(ext)) {
-      cb(null, true);
-    } else {
-      cb(new Error(`Unsupported file type: ${ext}`));
-    }
-  }
+  fileFilter
+});
+
+// 線区全体の検測データ（数百MB）用のアップロード設定
+// ファイルはディスクに保存し、パーサーがストリームで必要な範囲のみ読み込む
+const largeFileUpload = multer({
+  storage,
+  limits: { fileSize: 2 * 1024 * 1024 * 1024 }, // 2GB
+  fileFilter
 });
 
 /**
  * RSQファイルアップロード
  * POST /api/files/upload-rsq
+ *
+ * body:
+ * - startKm, endKm: 抽出するキロ程範囲 (m, 任意)
+ *
+ * 1回に返すのは MAX_RANGE_VALUES 点まで。超える場合は range.truncated を true とし、
+ * range.nextStartKm から続きを指定して再度アップロードする
  */
-router.post('/upload-rsq', upload.single('file'), async (req, res) => {
+router.post('/upload-rsq', largeFileUpload.single('file'), async (req, res) => {
   try {
     if (!req.file) {
       return res.status(400).json({
@@ -55,21 +73,35 @@ router.post('/upload-rsq', upload.single('file'), async (req, res) => {
       });
     }
 
-    const buffer = await fs.readFile(req.file.path);
-    const parser = new RSQParser();
-    const rsqData = parser.parse(buffer);
-    const measurementData = parser.toMeasurementData(rsqData);
+    let range;
+    try {
+      range = parseKilometerRange(req.body);
+    } catch (error) {
+      await fs.unlink(req.file.path);
+      return res.status(400).json({
+        success: false,
+        error: error.message
+      });
+    }
 
-    // ファイル削除
-    await fs.unlink(req.file.path);
+    const parser = new RSQParser();
+    let rsqData;
+    try {
+      rsqData = await parser.extractRange(req.file.path, { ...range, maxPoints: MAX_RANGE_VALUES });
+    } finally {
+      // ファイル削除
+      await fs.unlink(req.file.path);
+    }
+    const { header, measurementData } = rsqData;
 
     res.json({
       success: true,
       filename: req.file.originalname,
-      header: rsqData.header,
+      header,
+      range: rsqData.range,
       dataPoints: measurementData.length,
       measurementData,
-      dataType: parser.getDataTypeName(rsqData.header.dataType)
+      dataType: parser.getDataTypeName(header.dataType)
     });
   } catch (error) {
     console.error('RSQ parse error:', error);
@@ -130,8 +162,15 @@ router.post('/upload-hdrdat', upload.fields([
 /**
  * DCPファイルアップロード
  * POST /api/files/upload-dcp
+ *
+ * body:
+ * - startKm, endKm: 抽出するキロ程範囲 (m, 任意)
+ * - items: 抽出する項目キー（カンマ区切り, 任意, 省略時は全項目）
+ *
+ * 1回に返すのは データ点数 × 項目数 が MAX_RANGE_VALUES までの範囲。超える場合は range.truncated を true とし、
+ * range.nextStartKm から続きを指定して再度アップロードする
  */
-router.post('/upload-dcp', upload.single('file'), async (req, res) => {
+router.post('/upload-dcp', largeFileUpload.single('file'), async (req, res) => {
   try {
     if (!req.file) {
       return res.status(400).json({
@@ -140,31 +179,50 @@ router.post('/upload-dcp', upload.single('file'), async (req, res) => {
       });
     }
 
-    const buffer = await fs.readFile(req.file.path);
     const parser = new DCPParser();
-    const dcpData = parser.parse(buffer);
-
-    // 全項目のデータを抽出
     const itemDefinitions = parser.getAllItemDefinitions();
-    const extractedItems = {};
 
-    for (const itemDef of itemDefinitions) {
-      try {
-        extractedItems[itemDef.key] = parser.extractItem(dcpData, itemDef.key);
-      } catch (error) {
-        console.warn(`Failed to extract ${itemDef.key}:`, error.message);
+    let range;
+    let itemKeys = null;
+    try {
+      range = parseKilometerRange(req.body);
+
+      if (req.body.items) {
+        itemKeys = String(req.body.items).split(',').map(key => key.trim()).filter(Boolean);
+        const unknownKeys = itemKeys.filter(key => !parser.getItemDefinition(key));
+        if (unknownKeys.length > 0) {
+          throw new Error(`Unknown items: ${unknownKeys.join(', ')}`);
+        }
       }
+    } catch (error) {
+      await fs.unlink(req.file.path);
+      return res.status(400).json({
+        success: false,
+        error: error.message
+      });
     }
 
-    // ファイル削除
-    await fs.unlink(req.file.path);
+    // 指定範囲・項目のみをストリームで抽出
+    let dcpData;
+    try {
+      const itemCount = itemKeys ? itemKeys.length : itemDefinitions.length;
+      dcpData = await parser.extractRange(req.file.path, {
+        ...range,
+        items: itemKeys,
+        maxPoints: Math.floor(MAX_RANGE_VALUES / Math.max(1, itemCount))
+      });
+    } finally {
+      // ファイル削除
+      await fs.unlink(req.file.path);
+    }
 
     res.json({
       success: true,
       filename: req.file.originalname,
       header: dcpData.header,
-      dataPoints: dcpData.header.dataPoints,
-      items: extractedItems,
+      range: dcpData.range,
+      dataPoints: dcpData.range.dataPoints,
+      items: dcpData.items,
       availableItems: itemDefinitions.map(d => ({
         key: d.key,
         code: d.code,
@@ -180,6 +238,75 @@ router.post('/upload-dcp', upload.single('file'), async (req, res) => {
   }
 });
 
+/**
+ * LABOXファイルアップロード（LBX/LDT）
+ * POST /api/files/upload-labox
+ *
+ * body:
+ * - startKm, endKm: 抽出するキロ程範囲 (m, 任意)
+ * - channels: 抽出するチャンネル名（カンマ区切り, 任意, 省略時は全チャンネル）
+ */
+router.post('/upload-labox', upload.single('file'), async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({
+        success: false,
+        error: 'No file uploaded'
+      });
+    }
+
+    let laboxData;
+    let range;
+    let channels = null;
+    const format = path.extname(req.file.originalname).toLowerCase() === '.ldt' ? 'ldt' : 'lbx';
+
+    try {
+      range = parseKilometerRange(req.body);
+
+      const buffer = await fs.readFile(req.file.path);
+      laboxData = format === 'ldt' ? LaboxParser.parseLDT(buffer) : LaboxParser.parseLBX(buffer);
+
+      if (req.body.channels) {
+        const availableChannels = LaboxParser.getAvailableChannels(laboxData.data);
+        channels = String(req.body.channels).split(',').map(key => key.trim()).filter(Boolean);
+        const unknownChannels = channels.filter(key => !availableChannels.includes(key));
+        if (unknownChannels.length > 0) {
+          throw new Error(`Unknown channels: ${unknownChannels.join(', ')}`);
+        }
+      }
+    } catch (error) {
+      return res.status(400).json({
+        success: false,
+        error: error.message
+      });
+    } finally {
+      // ファイル削除
+      await fs.unlink(req.file.path);
+    }
+
+    const converted = LaboxParser.toMeasurementData(laboxData, { ...range, channels });
+
+    res.json({
+      success: true,
+      filename: req.file.originalname,
+      format,
+      header: laboxData.header,
+      range: converted.range,
+      dataPoints: converted.range.dataPoints,
+      channels: converted.channels,
+      items: converted.items,
+      availableChannels: LaboxParser.getAvailableChannels(laboxData.data),
+      statistics: laboxData.statistics
+    });
+  } catch (error) {
+    console.error('LABOX parse error:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
 /**
  * PNTファイルアップロード
  * POST /api/files/upload-pnt
@@ -0,0 +1,143 @@
+/**
+ * 統合インポートAPI
+ * Unified import routes with format auto-detection
+ */
+
+const express = require('express');
+const multer = require('multer');
+const path = require('path');
+const fs = require('fs').promises;
+const router = express.Router();
+
+const { createDefaultRegistry } = require('../parsers/parser-registry');
+const { parseKilometerRange } = require('../utils/kilometer-range');
+
+const parserRegistry = createDefaultRegistry();
+
+// Multer設定（形式判定前のため拡張子による制限は行わない）
+const storage = multer.diskStorage({
+  destination: async (req, file, cb) => {
+    const uploadDir = path.join(__dirname, '../../uploads/import');
+    try {
+      await fs.mkdir(uploadDir, { recursive: true });
+      cb(null, uploadDir);
+    } catch (error) {
+      cb(error);
+    }
+  },
+  filename: (req, file, cb) => {
+    const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
+    cb(null, `${uniqueSuffix}-${path.basename(file.originalname)}`);
+  }
+});
+
+const upload = multer({
+  storage,
+  limits: { fileSize: 2 * 1024 * 1024 * 1024 } // 2GB（範囲抽出に対応する RSQ/DCP の上限）
+});
+
+/**
+ * ファイルのインポート（形式自動判定）
+ * POST /api/import
+ *
+ * multipart/form-data:
+ * - files: インポートするファイル（HDR/DAT, DDB/TBL は2ファイルを同時に指定）
+ * - format: 形式ID（任意, 指定時は自動判定を行わない）
+ * - startKm, endKm: 抽出するキロ程範囲 (m, 任意)
+ *
+ * 測定データは1回に返す値の数に上限がある。超える場合は range.truncated を true とし、
+ * range.nextStartKm から続きを指定して再度インポートする
+ * RSQ/DCP 以外の形式はファイル全体を読み込むため、ファイルサイズの上限（MAX_WHOLE_FILE_SIZE）を超えると413
+ */
+router.post('/', upload.array('files', 10), async (req, res) => {
+  const uploadedFiles = req.files || [];
+
+  try {
+    if (uploadedFiles.length === 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'No files uploaded'
+      });
+    }
+
+    const files = uploadedFiles.map(file => ({
+      path: file.path,
+      originalName: Buffer.from(file.originalname, 'latin1').toString('utf8'),
+      size: file.size
+    }));
+
+    const result = await parserRegistry.import(files, {
+      format: req.body.format || null,
+      range: parseKilometerRange(req.body)
+    });
+
+    res.json({
+      success: true,
+      ...result
+    });
+  } catch (error) {
+    console.error('Import error:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      error: error.message,
+      candidates: error.candidates
+    });
+  } finally {
+    // アップロードファイル削除
+    for (const file of uploadedFiles) {
+      await fs.unlink(file.path).catch(() => {});
+    }
+  }
+});
+
+/**
+ * ファイル形式の判定のみ実行
+ * POST /api/import/detect
+ */
+router.post('/detect', upload.array('files', 10), async (req, res) => {
+  const uploadedFiles = req.files || [];
+
+  try {
+    if (uploadedFiles.length === 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'No files uploaded'
+      });
+    }
+
+    const results = [];
+    for (const file of uploadedFiles) {
+      const originalName = Buffer.from(file.originalname, 'latin1').toString('utf8');
+      const candidates = await parserRegistry.detect({ path: file.path, originalName });
+      results.push({ filename: originalName, candidates });
+    }
+
+    res.json({
+      success: true,
+      files: results
+    });
+  } catch (error) {
+    console.error('Detect format error:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  } finally {
+    for (const file of uploadedFiles) {
+      await fs.unlink(file.path).catch(() => {});
+    }
+  }
+});
+
+/**
+ * 対応形式一覧
+ * GET /api/import/formats
+ */
+router.get('/formats', (req, res) => {
+  res.json({
+    success: true,
+    formats: parserRegistry.getFormats()
+  });
+});
+
+module.exports = router;
@@ -9,6 +9,12 @@ const multer = require('multer');
 const path = require('path');
 const fs = require('fs').promises;
 const kiyaDataProcessor = require('../processors/kiya-data-processor');
+const ExceedanceDetector = require('../analyzers/exceedance-detector');
+const GaugeAnalyzer = require('../analyzers/gauge-analyzer');
+const JointIrregularityDetector = require('../analyzers/joint-irregularity-detector');
+const trackEnvironmentProcessor = require('../processors/track-environment-processor');
+const { CSVReportGenerator } = require('../reports/csv-report-generator');
+const { HTMLReportGenerator } = require('../reports/html-report-generator');
 
 // アップロード設定
 const storage = multer.diskStorage({
@@ -426,6 +432,381 @@ router.get('/dataset/:datasetId/measurements', (req, res) => {
   }
 });
 
+/**
+ * 分析結果を JSON / CSV / HTML で返す
+ * @param {Object} res - レスポンス
+ * @param {Object} options - {format, filename, result, metadata, generate: レポート生成メソッド名}
+ */
+function sendReport(res, { format, filename, result, metadata, generate }) {
+  if (format === 'csv') {
+    const csv = new CSVReportGenerator()[generate](result, metadata);
+    res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}.csv"`);
+    return res.send('\uFEFF' + csv); // UTF-8 BOM
+  }
+
+  if (format === 'html') {
+    const html = new HTMLReportGenerator()[generate](result, metadata);
+    res.setHeader('Content-Type', 'text/html; charset=utf-8');
+    return res.send(html);
+  }
+
+  res.json({
+    success: true,
+    ...result
+  });
+}
+
+/**
+ * データセットのレポート用メタデータ
+ */
+function getReportMetadata(dataset) {
+  return {
+    lineName: dataset.metadata.lineName || dataset.data.sections?.[0]?.routeName,
+    measurementDate: dataset.metadata.measurementDate
+  };
+}
+
+/**
+ * LK管理値の超過箇所一覧を返す（GET / POST 共通）
+ * @param {Object} req - リクエスト
+ * @param {Object} res - レスポンス
+ * @param {Object} params - {format, mergeGap, twistBase, items, limits, curveSpecs, gauge}
+ */
+function sendExceedances(req, res, params) {
+  try {
+    const { datasetId } = req.params;
+    const { format = 'json', mergeGap, twistBase, items, limits, curveSpecs, gauge } = params;
+    const dataset = kiyaDataProcessor.getDataset(datasetId);
+
+    if (!dataset) {
+      return res.status(404).json({
+        success: false,
+        error: 'Dataset not found'
+      });
+    }
+
+    if (!['json', 'csv', 'html'].includes(format)) {
+      return res.status(400).json({
+        success: false,
+        error: `未対応の出力形式: ${format}`
+      });
+    }
+
+    const detector = new ExceedanceDetector({
+      mergeGap: mergeGap !== undefined ? Number(mergeGap) : undefined,
+      twistBase,
+      items: typeof items === 'string' ? items.split(',').map(item => item.trim()) : items,
+      limits,
+      curveSpecs,
+      positionInfo: dataset.data.positionInfo,
+      gauge
+    });
+    const result = detector.detect(
+      dataset.data.standardMeasurements || [],
+      dataset.data.managementValues || []
+    );
+
+    sendReport(res, {
+      format,
+      filename: `exceedances_${datasetId}`,
+      result,
+      metadata: getReportMetadata(dataset),
+      generate: 'generateExceedanceReport'
+    });
+  } catch (error) {
+    if (!error.status) {
+      console.error('管理値超過箇所検出エラー:', error);
+    }
+    res.status(error.status || 500).json({
+      success: false,
+      error: error.message
+    });
+  }
+}
+
+/**
+ * GET /api/kiya-data/dataset/:datasetId/exceedances
+ * LK管理値の超過箇所一覧
+ *
+ * query: format (json | csv | html), mergeGap (m), twistBase (m または名前), items (カンマ区切り), limits (JSON)
+ */
+router.get('/dataset/:datasetId/exceedances', (req, res) => {
+  let limits;
+  try {
+    limits = req.query.limits ? JSON.parse(req.query.limits) : undefined;
+  } catch (error) {
+    return res.status(400).json({
+      success: false,
+      error: 'limits はJSON形式で指定してください'
+    });
+  }
+
+  sendExceedances(req, res, { ...req.query, limits });
+});
+
+/**
+ * POST /api/kiya-data/dataset/:datasetId/exceedances
+ * LK管理値の超過箇所一覧（曲線諸元による平面性のカント逓減補正・軌間の設計スラック控除つき）
+ * 曲線内（曲線諸元または CK の曲線）は LK の曲線部管理値で判定する
+ *
+ * body: { format, mergeGap, twistBase, items, limits, curveSpecs, gauge }
+ */
+router.post('/dataset/:datasetId/exceedances', (req, res) => {
+  sendExceedances(req, res, req.body);
+});
+
+/**
+ * 軌間分析結果を返す（GET / POST 共通）
+ * @param {Object} req - リクエスト
+ * @param {Object} res - レスポンス
+ * @param {Object} params - {format, curveSpecs, includeSeries, ...GaugeAnalyzer のオプション}
+ */
+function sendGaugeAnalysis(req, res, params) {
+  try {
+    const { datasetId } = req.params;
+    const { format = 'json', curveSpecs, includeSeries, ...options } = params;
+    const dataset = kiyaDataProcessor.getDataset(datasetId);
+
+    if (!dataset) {
+      return res.status(404).json({
+        success: false,
+        error: 'Dataset not found'
+      });
+    }
+
+    if (!['json', 'csv', 'html'].includes(format)) {
+      return res.status(400).json({
+        success: false,
+        error: `未対応の出力形式: ${format}`
+      });
+    }
+
+    const numericOptions = {};
+    for (const key of ['nominalGauge', 'wideThreshold', 'trendThreshold', 'fasteningRate', 'rateWindow', 'mergeGap']) {
+      if (options[key] !== undefined) numericOptions[key] = Number(options[key]);
+    }
+
+    const result = new GaugeAnalyzer(numericOptions).analyze(dataset.data.standardMeasurements || [], {
+      curveSpecs,
+      includeSeries: format === 'json' && (includeSeries === true || includeSeries === 'true')
+    });
+
+    sendReport(res, {
+      format,
+      filename: `gauge_${datasetId}`,
+      result,
+      metadata: getReportMetadata(dataset),
+      generate: 'generateGaugeReport'
+    });
+  } catch (error) {
+    if (!error.status) {
+      console.error('軌間分析エラー:', error);
+    }
+    res.status(error.status || 500).json({
+      success: false,
+      error: error.message
+    });
+  }
+}
+
+/**
+ * GET /api/kiya-data/dataset/:datasetId/gauge
+ * 軌間分析（設計スラック 0 として評価）
+ *
+ * query: format (json | csv | html), wideThreshold, trendThreshold, fasteningRate, rateWindow, mergeGap, nominalGauge, includeSeries
+ */
+router.get('/dataset/:datasetId/gauge', (req, res) => {
+  sendGaugeAnalysis(req, res, req.query);
+});
+
+/**
+ * POST /api/kiya-data/dataset/:datasetId/gauge
+ * 軌間分析（曲線諸元の設計スラックを控除して評価）
+ *
+ * body: { format, curveSpecs, wideThreshold, trendThreshold, fasteningRate, rateWindow, mergeGap, nominalGauge, includeSeries }
+ */
+router.post('/dataset/:datasetId/gauge', (req, res) => {
+  sendGaugeAnalysis(req, res, req.body);
+});
+
+/**
+ * レール継目部の軌道狂い（継目整備リスト）を返す（GET / POST 共通）
+ * @param {Object} req - リクエスト
+ * @param {Object} res - レスポンス
+ * @param {Object} params - {format, trackEnvDatasetId, joints, ...JointIrregularityDetector のオプション}
+ */
+function sendJointAnalysis(req, res, params) {
+  try {
+    const { datasetId } = req.params;
+    const { format = 'json', trackEnvDatasetId, joints, includeWelded, ...options } = params;
+    const dataset = kiyaDataProcessor.getDataset(datasetId);
+
+    if (!dataset) {
+      return res.status(404).json({
+        success: false,
+        error: 'Dataset not found'
+      });
+    }
+
+    if (!['json', 'csv', 'html'].includes(format)) {
+      return res.status(400).json({
+        success: false,
+        error: `未対応の出力形式: ${format}`
+      });
+    }
+
+    if (!trackEnvDatasetId && !Array.isArray(joints)) {
+      return res.status(400).json({
+        success: false,
+        error: 'trackEnvDatasetId または joints を指定してください'
+      });
+    }
+
+    const numericOptions = {};
+    for (const key of ['window', 'baselineWindow', 'levelThreshold', 'alignmentThreshold', 'startKP']) {
+      if (options[key] !== undefined) numericOptions[key] = Number(options[key]);
+    }
+    const detector = new JointIrregularityDetector({
+      ...numericOptions,
+      includeWelded: includeWelded === true || includeWelded === 'true'
+    });
+
+    const measurements = dataset.data.standardMeasurements || [];
+    let jointTable = joints;
+    if (!Array.isArray(jointTable)) {
+      // 測定範囲のレール継目を軌道環境データセットから取得
+      const distances = measurements.map(m => m.distance).filter(Number.isFinite);
+      if (distances.length === 0) {
+        return res.status(400).json({
+          success: false,
+          error: '測定データがありません'
+        });
+      }
+      const range = distances.reduce(
+        (acc, distance) => ({ min: Math.min(acc.min, distance), max: Math.max(acc.max, distance) }),
+        { min: Infinity, max: -Infinity }
+      );
+      jointTable = trackEnvironmentProcessor.findDataByRange(
+        trackEnvDatasetId,
+        detector.startKP + range.min / 1000,
+        detector.startKP + range.max / 1000
+      ).joints;
+    }
+
+    const result = detector.detect(measurements, jointTable);
+
+    sendReport(res, {
+      format,
+      filename: `joints_${datasetId}`,
+      result,
+      metadata: getReportMetadata(dataset),
+      generate: 'generateJointMaintenanceReport'
+    });
+  } catch (error) {
+    if (!error.status) {
+      console.error('継目部軌道狂い検出エラー:', error);
+    }
+    res.status(error.status || 500).json({
+      success: false,
+      error: error.message
+    });
+  }
+}
+
+/**
+ * GET /api/kiya-data/dataset/:datasetId/joints
+ * レール継目部の軌道狂い（軌道環境データセットのレール継目 RT / RU で評価）
+ *
+ * query: format (json | csv | html), trackEnvDatasetId, window, baselineWindow, levelThreshold, alignmentThreshold, startKP, includeWelded
+ */
+router.get('/dataset/:datasetId/joints', (req, res) => {
+  sendJointAnalysis(req, res, req.query);
+});
+
+/**
+ * POST /api/kiya-data/dataset/:datasetId/joints
+ * レール継目部の軌道狂い（継目一覧を直接指定する場合は joints、キロ程は km）
+ *
+ * body: { format, trackEnvDatasetId, joints, window, baselineWindow, levelThreshold, alignmentThreshold, startKP, includeWelded }
+ */
+router.post('/dataset/:datasetId/joints', (req, res) => {
+  sendJointAnalysis(req, res, req.body);
+});
+
+/**
+ * GET /api/kiya-data/dataset/:datasetId/versions/:fileType
+ * ファイルのバージョン一覧を取得
+ */
+router.get('/dataset/:datasetId/versions/:fileType', (req, res) => {
+  try {
+    const { datasetId, fileType } = req.params;
+    const dataset = kiyaDataProcessor.getDataset(datasetId);
+
+    if (!dataset) {
+      return res.status(404).json({
+        success: false,
+        error: 'Dataset not found'
+      });
+    }
+
+    const versions = kiyaDataProcessor.getFileVersions(datasetId, fileType);
+
+    res.json({
+      success: true,
+      fileType,
+      versions,
+      count: versions.length
+    });
+  } catch (error) {
+    console.error('バージョン一覧取得エラー:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/kiya-data/dataset/:datasetId/versions/:fileType/:version/restore
+ * 過去バージョンの解析結果を復元
+ */
+router.post('/dataset/:datasetId/versions/:fileType/:version/restore', async (req, res) => {
+  try {
+    const { datasetId, fileType } = req.params;
+    const version = parseInt(req.params.version, 10);
+    const dataset = kiyaDataProcessor.getDataset(datasetId);
+
+    if (!dataset) {
+      return res.status(404).json({
+        success: false,
+        error: 'Dataset not found'
+      });
+    }
+
+    if (Number.isNaN(version)) {
+      return res.status(400).json({
+        success: false,
+        error: 'version must be a number'
+      });
+    }
+
+    const restored = await kiyaDataProcessor.restoreFileVersion(datasetId, fileType, version);
+
+    res.json({
+      success: true,
+      message: `バージョン${version}を復元しました`,
+      dataset: restored
+    });
+  } catch (error) {
+    console.error('バージョン復元エラー:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
 /**
  * DELETE /api/kiya-data/dataset/:datasetId
  * データセットを削除
@@ -442,8 +823,8 @@ router.delete('/dataset/:datasetId', async (req, res) => {
       });
     }
 
-    // ファイルを削除
-    const filesToDelete = Object.values(dataset.files).filter(f => f);
+    // ファイルを削除（過去バージョンのファイルを含む）
+    const filesToDelete = kiyaDataProcessor.getAttachedFiles(datasetId);
     for (const filePath of filesToDelete) {
       try {
         await fs.unlink(filePath);
@@ -453,7 +834,7 @@ router.delete('/dataset/:datasetId', async (req, res) => {
     }
 
     // データセットを削除
-    kiyaDataProcessor.deleteDataset(datasetId);
+    await kiyaDataProcessor.deleteDataset(datasetId);
 
     res.json({
       success: true,
@@ -0,0 +1,125 @@
+/**
+ * MTT機種プロファイルAPI
+ * MTT machine profile registry routes (built-in + user-defined)
+ *
+ * 組み込み機種は参照のみ、利用者定義機種は作成・更新・削除が可能
+ */
+
+const express = require('express');
+const router = express.Router();
+
+const mttRegistry = require('../config/mtt-registry');
+const { sendError } = require('../utils/common');
+
+/**
+ * 機種一覧
+ * GET /api/mtt-profiles
+ */
+router.get('/', (req, res) => {
+  try {
+    const profiles = mttRegistry.getAllProfiles();
+
+    res.json({
+      success: true,
+      profiles,
+      count: profiles.length
+    });
+  } catch (error) {
+    sendError(res, error, 'List MTT profiles error');
+  }
+});
+
+/**
+ * 入力検証のみ（保存しない）
+ * POST /api/mtt-profiles/validate
+ */
+router.post('/validate', (req, res) => {
+  try {
+    const profile = mttRegistry.buildProfile(req.body);
+
+    res.json({
+      success: true,
+      valid: true,
+      profile
+    });
+  } catch (error) {
+    if (error.status === 400) {
+      return res.json({
+        success: true,
+        valid: false,
+        errors: error.details
+      });
+    }
+    sendError(res, error, 'Validate MTT profile error');
+  }
+});
+
+/**
+ * 機種詳細
+ * GET /api/mtt-profiles/:id
+ */
+router.get('/:id', (req, res) => {
+  try {
+    res.json({
+      success: true,
+      profile: mttRegistry.requireProfile(req.params.id)
+    });
+  } catch (error) {
+    sendError(res, error, 'Get MTT profile error');
+  }
+});
+
+/**
+ * 利用者定義機種の作成
+ * POST /api/mtt-profiles
+ *
+ * body: プロファイル（id 必須、basedOn を指定すると未指定項目をその機種の値で補完）
+ */
+router.post('/', async (req, res) => {
+  try {
+    const profile = await mttRegistry.createProfile(req.body);
+
+    res.status(201).json({
+      success: true,
+      profile
+    });
+  } catch (error) {
+    sendError(res, error, 'Create MTT profile error');
+  }
+});
+
+/**
+ * 利用者定義機種の更新（部分更新）
+ * PUT /api/mtt-profiles/:id
+ */
+router.put('/:id', async (req, res) => {
+  try {
+    const profile = await mttRegistry.updateProfile(req.params.id, req.body);
+
+    res.json({
+      success: true,
+      profile
+    });
+  } catch (error) {
+    sendError(res, error, 'Update MTT profile error');
+  }
+});
+
+/**
+ * 利用者定義機種の削除
+ * DELETE /api/mtt-profiles/:id
+ */
+router.delete('/:id', async (req, res) => {
+  try {
+    await mttRegistry.deleteProfile(req.params.id);
+
+    res.json({
+      success: true,
+      message: 'MTT profile deleted'
+    });
+  } catch (error) {
+    sendError(res, error, 'Delete MTT profile error');
+  }
+});
+
+module.exports = router;
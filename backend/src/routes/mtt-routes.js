@@ -10,6 +10,10 @@ const ALSDataExporter = require('../exporters/als-exporter');
 const ALCDataExporter = require('../exporters/alc-exporter');
 const WorkSection = require('../models/work-section');
 const VerticalCurveManager = require('../models/vertical-curve');
+const TamperPassSimulator = require('../algorithms/tamper-pass-simulator');
+const NightWorkScheduler = require('../services/night-work-scheduler');
+const RunOffRampDesigner = require('../algorithms/run-off-ramp-designer');
+const { createError } = require('../utils/common');
 
 /**
  * MTT機種一覧を取得
@@ -292,6 +296,161 @@ router.post('/vertical-curves/add', (req, res) => {
   }
 });
 
+/**
+ * MTT作業通過シミュレーション（整備後の予測正矢・残存狂い・σ良化率）
+ * body: { beforeWaveform: {lateral, vertical}, movements | alsContent | mjContent,
+ *         mttType, workDirection, startPosition, endPosition, options }
+ */
+router.post('/simulate-pass', (req, res) => {
+  try {
+    const { beforeWaveform, movements, alsContent, mjContent, options = {} } = req.body;
+
+    const simulator = new TamperPassSimulator(options);
+    const result = simulator.simulate(
+      beforeWaveform,
+      { movements, alsContent, mjContent },
+      {
+        mttType: req.body.mttType,
+        workDirection: req.body.workDirection,
+        startPosition: req.body.startPosition,
+        endPosition: req.body.endPosition
+      }
+    );
+
+    res.json({ success: true, data: result });
+  } catch (error) {
+    res.status(error.status || 500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * 機種・作業方向ごとの作業通過シミュレーション比較
+ * body: /simulate-pass と同じ + scenarios: [{mttType, workDirection}]
+ *       （scenarios 省略時は mttTypes × workDirections の全組み合わせ）
+ */
+router.post('/simulate-pass/compare', (req, res) => {
+  try {
+    const { beforeWaveform, movements, alsContent, mjContent, options = {} } = req.body;
+
+    let scenarios = req.body.scenarios;
+    if (!scenarios) {
+      const mttTypes = req.body.mttTypes || [req.body.mttType || '08-475'];
+      const workDirections = req.body.workDirections || ['forward', 'backward'];
+      scenarios = mttTypes.flatMap(mttType =>
+        workDirections.map(workDirection => ({ mttType, workDirection }))
+      );
+    }
+
+    const simulator = new TamperPassSimulator(options);
+    const result = simulator.compare(
+      beforeWaveform,
+      { movements, alsContent, mjContent },
+      scenarios,
+      { startPosition: req.body.startPosition, endPosition: req.body.endPosition }
+    );
+
+    res.json({ success: true, data: result });
+  } catch (error) {
+    res.status(error.status || 500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * 仮すりつけ設計
+ * body: { stopPoint: {position, lift, lining}, speedRestriction, workDirection, rampType, rampLength, options }
+ */
+router.post('/ramp-design', (req, res) => {
+  try {
+    const { stopPoint, speedRestriction, workDirection, rampType, rampLength, options = {} } = req.body;
+
+    const designer = new RunOffRampDesigner(options);
+    const ramp = designer.design(stopPoint, { speedRestriction, workDirection, rampType, rampLength });
+
+    res.json({ success: true, data: ramp });
+  } catch (error) {
+    res.status(error.status || 500).json({ success: false, error: error.message });
+  }
+});
+
+// 夜間作業スケジューラへ渡せる計画条件（出力先などサーバー側の設定は受け付けない）
+const SCHEDULER_NUMERIC_OPTIONS = ['setupTime', 'clearanceTime', 'rampLength', 'boundaryStep', 'minSegmentLength'];
+const MIN_BOUNDARY_STEP = 0.25; // 区切り位置の探索間隔の下限 (m)
+
+/**
+ * リクエストの options から NightWorkScheduler のオプションを組み立てる
+ * @param {Object} options - req.body.options
+ * @returns {Object} 許可された計画条件のみのオプション
+ */
+function buildSchedulerOptions(options) {
+  const schedulerOptions = {};
+
+  for (const key of SCHEDULER_NUMERIC_OPTIONS) {
+    if (options[key] === undefined) continue;
+    const value = Number(options[key]);
+    if (!Number.isFinite(value) || value < 0) {
+      throw createError(400, `options.${key} must be a non-negative number`);
+    }
+    schedulerOptions[key] = value;
+  }
+
+  if (schedulerOptions.boundaryStep !== undefined && schedulerOptions.boundaryStep < MIN_BOUNDARY_STEP) {
+    throw createError(400, `options.boundaryStep must be at least ${MIN_BOUNDARY_STEP} m`);
+  }
+
+  if (options.rampType !== undefined) {
+    schedulerOptions.rampType = String(options.rampType);
+  }
+
+  return schedulerOptions;
+}
+
+/**
+ * 線路閉鎖時間帯ごとの夜間作業計画
+ * body: { workSection, possessionWindows: [{start, end}], exclusionZones, mttType, speed, rampLength,
+ *         speedRestriction, movements: [{position, lateral, vertical}] (mm), export: {formats, scheduleId}, options }
+ * speedRestriction と movements を指定すると仮すりつけを許容勾配から設計する
+ * export を指定すると夜ごとのALS/MJ/ALCデータを出力する
+ */
+router.post('/night-schedule', async (req, res) => {
+  try {
+    const { workSection, possessionWindows, exclusionZones, movements, options = {} } = req.body;
+
+    if (!workSection) {
+      return res.status(400).json({ success: false, error: 'workSection is required' });
+    }
+
+    const scheduler = new NightWorkScheduler(buildSchedulerOptions(options));
+    const schedule = scheduler.plan(workSection, {
+      possessionWindows,
+      exclusionZones,
+      mttType: req.body.mttType,
+      speed: req.body.speed,
+      rampLength: req.body.rampLength,
+      speedRestriction: req.body.speedRestriction,
+      movements
+    });
+
+    let files = null;
+    if (req.body.export) {
+      // filePrefix は出力ファイル名に使われるため ProjectStore と同じ文字種に限定する
+      if (workSection.filePrefix !== undefined && !/^[A-Za-z0-9_.-]+$/.test(String(workSection.filePrefix))) {
+        return res.status(400).json({
+          success: false,
+          error: 'workSection.filePrefix may only contain A-Z, a-z, 0-9, "_", "." and "-"'
+        });
+      }
+      files = await scheduler.exportNightFiles(schedule, movements, {
+        ...req.body.export,
+        workSection
+      });
+    }
+
+    res.json({ success: true, data: { ...schedule, files } });
+  } catch (error) {
+    res.status(error.status || 500).json({ success: false, error: error.message });
+  }
+});
+
 /**
  * 統合処理エンドポイント
  * 復元波形計算から移動量補正、データ出力まで一括処理
@@ -8,6 +8,8 @@ const express = require('express');
 const router = express.Router();
 const InitialPlanLineGenerator = require('../algorithms/initial-plan-line-generator');
 const UpwardPriorityOptimizer = require('../algorithms/upward-priority-optimizer');
+const ConstrainedPlanLineOptimizer = require('../algorithms/constrained-plan-line-optimizer');
+const WorkSection = require('../models/work-section');
 
 /**
  * POST /api/plan-line/generate-initial
@@ -108,6 +110,66 @@ router.post('/optimize', async (req, res) => {
   }
 });
 
+/**
+ * POST /api/plan-line/optimize-constrained
+ * 制約付き最適化（移動量制限・不動点・こう上のみ・MTT能力を厳守）
+ *
+ * 制約を満たす計画線が存在しない場合は 422 と矛盾箇所（conflicts）を返す
+ */
+router.post('/optimize-constrained', async (req, res) => {
+  try {
+    const {
+      restoredWaveform,
+      direction = 'vertical',
+      workSection,
+      fixedPoints = [],
+      mttType,
+      mttCapacity,
+      movementWeight,
+      smoothness,
+      maxDownward,
+      upwardOnly
+    } = req.body;
+
+    if (!restoredWaveform || restoredWaveform.length === 0) {
+      return res.status(400).json({
+        error: '復元波形データが必要です'
+      });
+    }
+
+    const optimizer = new ConstrainedPlanLineOptimizer({
+      movementWeight,
+      smoothness,
+      maxDownward,
+      upwardOnly
+    });
+
+    const result = optimizer.optimize(restoredWaveform, {
+      direction,
+      workSection: workSection ? new WorkSection(workSection) : null,
+      fixedPoints,
+      mttType,
+      mttCapacity
+    });
+
+    res.json(result);
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({
+        error: error.status === 422 ? '制約条件を満たす計画線が存在しません' : '入力が不正です',
+        message: error.message,
+        conflicts: error.conflicts
+      });
+    }
+
+    console.error('制約付き最適化エラー:', error);
+    res.status(500).json({
+      error: '制約付き最適化に失敗しました',
+      message: error.message
+    });
+  }
+});
+
 /**
  * POST /api/plan-line/validate
  * 計画線の妥当性検証
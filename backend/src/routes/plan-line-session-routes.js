@@ -0,0 +1,400 @@
+/**
+ * 計画線編集セッションAPI
+ * Plan line editing session routes (undo/redo, checkpoints, branches, diff, restore)
+ *
+ * restoration-routes から /api/restoration/plan-line-sessions にマウントされる
+ */
+
+const express = require('express');
+const router = express.Router();
+
+const planLineSessionManager = require('../utils/plan-line-session-manager');
+const { sendError } = require('../utils/common');
+
+/**
+ * セッション作成
+ * POST /api/restoration/plan-line-sessions
+ *
+ * body:
+ * - name: セッション名（任意）
+ * - planLine: 初期計画線 [{ distance, value }]
+ * - restoredWaveform, windowSize: 復元波形から初期計画線を生成する場合
+ * - samplingInterval, constraints: 編集設定（任意）
+ */
+router.post('/', async (req, res) => {
+  try {
+    const session = await planLineSessionManager.createSession(req.body);
+
+    res.status(201).json({
+      success: true,
+      session: planLineSessionManager.getState(session)
+    });
+  } catch (error) {
+    sendError(res, error, 'Create plan line session error');
+  }
+});
+
+/**
+ * セッション一覧
+ * GET /api/restoration/plan-line-sessions
+ */
+router.get('/', async (req, res) => {
+  try {
+    const sessions = await planLineSessionManager.getAllSessions();
+
+    res.json({
+      success: true,
+      sessions,
+      count: sessions.length
+    });
+  } catch (error) {
+    sendError(res, error, 'List plan line sessions error');
+  }
+});
+
+/**
+ * セッションの現在の状態（現在の分岐の計画線を含む）
+ * GET /api/restoration/plan-line-sessions/:sessionId
+ */
+router.get('/:sessionId', async (req, res) => {
+  try {
+    const session = await planLineSessionManager.getSession(req.params.sessionId);
+
+    res.json({
+      success: true,
+      session: planLineSessionManager.getState(session)
+    });
+  } catch (error) {
+    sendError(res, error, 'Get plan line session error');
+  }
+});
+
+/**
+ * セッション削除
+ * DELETE /api/restoration/plan-line-sessions/:sessionId
+ */
+router.delete('/:sessionId', async (req, res) => {
+  try {
+    await planLineSessionManager.deleteSession(req.params.sessionId);
+
+    res.json({
+      success: true,
+      message: 'Session deleted'
+    });
+  } catch (error) {
+    sendError(res, error, 'Delete plan line session error');
+  }
+});
+
+/**
+ * 編集操作の適用
+ * POST /api/restoration/plan-line-sessions/:sessionId/operations
+ *
+ * body:
+ * - type: straight | curve | smooth | editPoint | replace
+ * - params: 操作パラメータ（startDistance, endDistance, radius, direction, windowSize, distance, value, planLine）
+ */
+router.post('/:sessionId/operations', async (req, res) => {
+  try {
+    const { type, params } = req.body;
+
+    if (!type) {
+      return res.status(400).json({
+        success: false,
+        error: 'Operation type is required'
+      });
+    }
+
+    const session = await planLineSessionManager.applyOperation(req.params.sessionId, type, params);
+
+    res.json({
+      success: true,
+      session
+    });
+  } catch (error) {
+    sendError(res, error, 'Plan line operation error');
+  }
+});
+
+/**
+ * 元に戻す
+ * POST /api/restoration/plan-line-sessions/:sessionId/undo
+ */
+router.post('/:sessionId/undo', async (req, res) => {
+  try {
+    const session = await planLineSessionManager.undo(req.params.sessionId);
+
+    res.json({
+      success: true,
+      session
+    });
+  } catch (error) {
+    sendError(res, error, 'Plan line undo error');
+  }
+});
+
+/**
+ * やり直す
+ * POST /api/restoration/plan-line-sessions/:sessionId/redo
+ */
+router.post('/:sessionId/redo', async (req, res) => {
+  try {
+    const session = await planLineSessionManager.redo(req.params.sessionId);
+
+    res.json({
+      success: true,
+      session
+    });
+  } catch (error) {
+    sendError(res, error, 'Plan line redo error');
+  }
+});
+
+/**
+ * 現在の分岐の編集履歴
+ * GET /api/restoration/plan-line-sessions/:sessionId/history
+ */
+router.get('/:sessionId/history', async (req, res) => {
+  try {
+    const history = await planLineSessionManager.getHistory(req.params.sessionId);
+
+    res.json({
+      success: true,
+      history
+    });
+  } catch (error) {
+    sendError(res, error, 'Plan line history error');
+  }
+});
+
+/**
+ * バージョン一覧（全分岐）
+ * GET /api/restoration/plan-line-sessions/:sessionId/versions
+ */
+router.get('/:sessionId/versions', async (req, res) => {
+  try {
+    const versions = await planLineSessionManager.listVersions(req.params.sessionId);
+
+    res.json({
+      success: true,
+      versions,
+      count: versions.length
+    });
+  } catch (error) {
+    sendError(res, error, 'List plan line versions error');
+  }
+});
+
+/**
+ * バージョン取得（計画線を含む）
+ * GET /api/restoration/plan-line-sessions/:sessionId/versions/:ref
+ *
+ * ref: バージョンID / チェックポイント名 / 分岐名
+ */
+router.get('/:sessionId/versions/:ref', async (req, res) => {
+  try {
+    const version = await planLineSessionManager.getVersion(req.params.sessionId, req.params.ref);
+
+    res.json({
+      success: true,
+      version
+    });
+  } catch (error) {
+    sendError(res, error, 'Get plan line version error');
+  }
+});
+
+/**
+ * バージョン間の差分
+ * GET /api/restoration/plan-line-sessions/:sessionId/diff?from=&to=&tolerance=&includePoints=
+ *
+ * from, to: バージョンID / チェックポイント名 / 分岐名（to 省略時は現在の状態）
+ */
+router.get('/:sessionId/diff', async (req, res) => {
+  try {
+    const { from, to, tolerance, includePoints } = req.query;
+
+    if (!from) {
+      return res.status(400).json({
+        success: false,
+        error: 'from is required'
+      });
+    }
+
+    const diff = await planLineSessionManager.diff(req.params.sessionId, from, to || null, {
+      tolerance: tolerance !== undefined ? parseFloat(tolerance) : undefined,
+      includePoints: includePoints === 'true'
+    });
+
+    res.json({
+      success: true,
+      diff
+    });
+  } catch (error) {
+    sendError(res, error, 'Plan line diff error');
+  }
+});
+
+/**
+ * バージョンの復元（現在の分岐に新しい編集として記録）
+ * POST /api/restoration/plan-line-sessions/:sessionId/restore
+ *
+ * body:
+ * - target: バージョンID / チェックポイント名 / 分岐名
+ */
+router.post('/:sessionId/restore', async (req, res) => {
+  try {
+    if (!req.body.target) {
+      return res.status(400).json({
+        success: false,
+        error: 'target is required'
+      });
+    }
+
+    const session = await planLineSessionManager.restore(req.params.sessionId, req.body.target);
+
+    res.json({
+      success: true,
+      session
+    });
+  } catch (error) {
+    sendError(res, error, 'Plan line restore error');
+  }
+});
+
+/**
+ * チェックポイント一覧
+ * GET /api/restoration/plan-line-sessions/:sessionId/checkpoints
+ */
+router.get('/:sessionId/checkpoints', async (req, res) => {
+  try {
+    const session = await planLineSessionManager.getSession(req.params.sessionId);
+
+    res.json({
+      success: true,
+      checkpoints: session.checkpoints
+    });
+  } catch (error) {
+    sendError(res, error, 'List checkpoints error');
+  }
+});
+
+/**
+ * チェックポイント作成（現在の状態に名前を付ける）
+ * POST /api/restoration/plan-line-sessions/:sessionId/checkpoints
+ *
+ * body:
+ * - name: チェックポイント名
+ * - description: 説明（任意）
+ */
+router.post('/:sessionId/checkpoints', async (req, res) => {
+  try {
+    const checkpoint = await planLineSessionManager.createCheckpoint(
+      req.params.sessionId,
+      req.body.name,
+      req.body.description
+    );
+
+    res.status(201).json({
+      success: true,
+      checkpoint
+    });
+  } catch (error) {
+    sendError(res, error, 'Create checkpoint error');
+  }
+});
+
+/**
+ * チェックポイント削除
+ * DELETE /api/restoration/plan-line-sessions/:sessionId/checkpoints/:name
+ */
+router.delete('/:sessionId/checkpoints/:name', async (req, res) => {
+  try {
+    await planLineSessionManager.deleteCheckpoint(req.params.sessionId, req.params.name);
+
+    res.json({
+      success: true,
+      message: 'Checkpoint deleted'
+    });
+  } catch (error) {
+    sendError(res, error, 'Delete checkpoint error');
+  }
+});
+
+/**
+ * 分岐一覧
+ * GET /api/restoration/plan-line-sessions/:sessionId/branches
+ */
+router.get('/:sessionId/branches', async (req, res) => {
+  try {
+    const branches = await planLineSessionManager.listBranches(req.params.sessionId);
+
+    res.json({
+      success: true,
+      branches
+    });
+  } catch (error) {
+    sendError(res, error, 'List branches error');
+  }
+});
+
+/**
+ * 分岐作成（作成後はその分岐に切り替わる）
+ * POST /api/restoration/plan-line-sessions/:sessionId/branches
+ *
+ * body:
+ * - name: 分岐名（例: 案A, 案B）
+ * - from: 分岐元（バージョンID / チェックポイント名 / 分岐名、省略時は現在の状態）
+ */
+router.post('/:sessionId/branches', async (req, res) => {
+  try {
+    const session = await planLineSessionManager.createBranch(
+      req.params.sessionId,
+      req.body.name,
+      req.body.from || null
+    );
+
+    res.status(201).json({
+      success: true,
+      session
+    });
+  } catch (error) {
+    sendError(res, error, 'Create branch error');
+  }
+});
+
+/**
+ * 分岐の切り替え
+ * POST /api/restoration/plan-line-sessions/:sessionId/branches/:name/checkout
+ */
+router.post('/:sessionId/branches/:name/checkout', async (req, res) => {
+  try {
+    const session = await planLineSessionManager.checkoutBranch(req.params.sessionId, req.params.name);
+
+    res.json({
+      success: true,
+      session
+    });
+  } catch (error) {
+    sendError(res, error, 'Checkout branch error');
+  }
+});
+
+/**
+ * 分岐削除
+ * DELETE /api/restoration/plan-line-sessions/:sessionId/branches/:name
+ */
+router.delete('/:sessionId/branches/:name', async (req, res) => {
+  try {
+    await planLineSessionManager.deleteBranch(req.params.sessionId, req.params.name);
+
+    res.json({
+      success: true,
+      message: 'Branch deleted'
+    });
+  } catch (error) {
+    sendError(res, error, 'Delete branch error');
+  }
+});
+
+module.exports = router;
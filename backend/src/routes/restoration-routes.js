@@ -18,13 +18,61 @@ const CorrelationMatcher = require('../algorithms/correlation-matcher');
 // Phase 5: 復元波形計算システム
 const RestorationFilter = require('../algorithms/restoration-filter');
 const MovementCalculator = require('../algorithms/movement-calculator');
+const TwistCalculator = require('../algorithms/twist-calculator');
 
 // キヤデータパーサー
 const { parseKiyaO010, convertToPlanLineData } = require('../parsers/kiya-o010-parser');
 
+// PRMファイルからの計算再現
+const CalculationReproductionService = require('../services/calculation-reproduction-service');
+const TurnoutMask = require('../algorithms/turnout-mask');
+const trackEnvironmentProcessor = require('../processors/track-environment-processor');
+
+// 計画線編集セッション（Undo/Redo・チェックポイント・分岐）
+const planLineSessionRoutes = require('./plan-line-session-routes');
+router.use('/plan-line-sessions', planLineSessionRoutes);
+
+/**
+ * 分岐器モードの区間マスクを作成（指定がなければ null）
+ * - options.turnouts: 分岐器区間 [{ start, end, label }] (m)
+ * - options.trackEnvDatasetId: 軌道環境データセットの分岐器 (BK) を使う（options.startKP: 測定位置 0m のキロ程 km）
+ * - options.turnoutMargin / options.turnoutTransition: 前後の余裕 / 計画線のすり付け長 (m)
+ */
+function resolveTurnoutMask(measurementData, options = {}) {
+  const maskOptions = {
+    margin: options.turnoutMargin !== undefined ? Number(options.turnoutMargin) : undefined,
+    transitionLength: options.turnoutTransition !== undefined ? Number(options.turnoutTransition) : undefined
+  };
+
+  if (Array.isArray(options.turnouts)) {
+    return new TurnoutMask(options.turnouts, maskOptions);
+  }
+
+  if (options.trackEnvDatasetId) {
+    const startKP = Number(options.startKP) || 0;
+    const distances = measurementData.map(d => d.distance).filter(Number.isFinite);
+    if (distances.length === 0) return null;
+    const range = distances.reduce(
+      (acc, distance) => ({ min: Math.min(acc.min, distance), max: Math.max(acc.max, distance) }),
+      { min: Infinity, max: -Infinity }
+    );
+    const { turnouts } = trackEnvironmentProcessor.findDataByRange(
+      options.trackEnvDatasetId,
+      startKP + range.min / 1000,
+      startKP + range.max / 1000
+    );
+    return TurnoutMask.fromTurnouts(turnouts, { ...maskOptions, startKP });
+  }
+
+  return null;
+}
+
 /**
  * 復元波形計算
  * POST /api/restoration/calculate
+ *
+ * 分岐器モード: options.turnouts または options.trackEnvDatasetId を指定すると、
+ * 分岐器区間を復元計算・σ統計から除き、計画線は移動量 0 で前後をすり付ける
  */
 router.post('/calculate', async (req, res) => {
   try {
@@ -37,10 +85,20 @@ router.post('/calculate', async (req, res) => {
       });
     }
 
+    let turnoutMask;
+    try {
+      turnoutMask = resolveTurnoutMask(measurementData, options);
+    } catch (error) {
+      return res.status(error.status || 500).json({
+        success: false,
+        error: error.message
+      });
+    }
+
     console.log(`復元波形計算開始: ${measurementData.length}点`);
 
     const engine = new RestorationEngine(options);
-    const result = engine.calculate(measurementData, options);
+    const result = engine.calculate(measurementData, { ...options, turnoutMask });
 
     if (!result.success) {
       console.error('復元波形計算失敗:', result.error);
@@ -55,8 +113,10 @@ router.post('/calculate', async (req, res) => {
         planLine: result.planLine || [],
         movementAmounts: result.movementData?.map(d => ({
           distance: d.distance,
-          amount: d.tamping
+          amount: d.tamping,
+          ...(d.turnout ? { turnout: true } : {})
         })) || [],
+        turnouts: result.turnouts || [],
         zeroCrossPoints: [], // TODO: ゼロクロス点の計算を実装
         filterInfo: {
           minFreq: 1 / (options?.maxWavelength || 40),
@@ -71,7 +131,8 @@ router.post('/calculate', async (req, res) => {
           zeroCrossCount: 0,
           minWavelength: options?.minWavelength || 6,
           maxWavelength: options?.maxWavelength || 40,
-          samplingInterval: options?.samplingInterval || 0.25
+          samplingInterval: options?.samplingInterval || 0.25,
+          turnoutExcludedPoints: result.statistics?.excludedPoints || 0
         }
       }
     };
@@ -88,6 +149,84 @@ router.post('/calculate', async (req, res) => {
   }
 });
 
+/**
+ * PRMファイルからの計算再現
+ * POST /api/restoration/reproduce-from-prm
+ *
+ * PRMファイルの設定で元の測定データを再計算し、保存済みの結果と比較する
+ * - prmContent: PRMファイル内容
+ * - measurementData: 測定データ [{ distance, value }]（measurementContent と択一）
+ * - measurementContent: 測定データファイル内容（CSV または JSON）
+ * - storedResult: 保存済みの計算結果（任意, /calculate のレスポンス形式）
+ * - tolerance: 差分判定の許容値 mm（任意）
+ */
+router.post('/reproduce-from-prm', async (req, res) => {
+  try {
+    const { prmContent, measurementContent, storedResult, tolerance } = req.body;
+    let { measurementData } = req.body;
+
+    if (!prmContent) {
+      return res.status(400).json({
+        success: false,
+        error: 'PRMファイルの内容が必要です'
+      });
+    }
+
+    const reproductionService = new CalculationReproductionService();
+
+    if (!measurementData && measurementContent) {
+      try {
+        measurementData = reproductionService.parseMeasurementContent(measurementContent);
+      } catch (parseError) {
+        return res.status(400).json({
+          success: false,
+          error: '測定データの解析に失敗しました',
+          details: parseError.message
+        });
+      }
+    }
+
+    if (!Array.isArray(measurementData) || measurementData.length === 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Measurement data is required (format: [{ distance, value }])'
+      });
+    }
+
+    console.log(`PRM計算再現開始: ${measurementData.length}点`);
+
+    const reproduction = reproductionService.reproduce({
+      prmContent,
+      measurementData,
+      storedResult,
+      tolerance
+    });
+    const { result } = reproduction;
+
+    res.json({
+      success: true,
+      data: {
+        restorationWaveform: result.restoredWaveform || [],
+        planLine: result.planLine || [],
+        movementAmounts: result.movementData?.map(d => ({
+          distance: d.distance,
+          amount: d.tamping
+        })) || [],
+        statistics: result.statistics
+      },
+      parameters: reproduction.parameters,
+      settings: reproduction.settings,
+      comparison: reproduction.comparison
+    });
+  } catch (error) {
+    console.error('PRM reproduction error:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
 /**
  * 計画線生成
  * POST /api/restoration/generate-plan-line
@@ -621,17 +760,41 @@ router.post('/vb6/calculate', (req, res) => {
       dataType
     };
 
+    // 平面性: 検測データ（水準）から基準長ごとの平面性を算出して復元する
+    let input = measurementData;
+    let twist = null;
+    if (dataType === 'twist') {
+      const { baseLength = '5m', curveSpecs } = req.body.twistOptions || {};
+      const isPoints = typeof measurementData[0] === 'object';
+      const calculation = new TwistCalculator({ dataInterval: params.dataInterval }).calculate(
+        isPoints ? measurementData.map(point => point.value) : measurementData,
+        {
+          positions: isPoints ? measurementData.map(point => point.distance) : undefined,
+          baseLengths: [baseLength],
+          curveSpecs
+        }
+      );
+      const [base] = calculation.bases;
+      input = calculation.positions.map((distance, i) => ({ distance, value: base.twist[i] ?? 0 }));
+      twist = {
+        baseLength: base.label,
+        length: base.length,
+        compensated: base.compensated,
+        statistics: base.statistics
+      };
+    }
+
     const result = RestorationFilter.calculateRestorationWaveform(
-      measurementData,
+      input,
       params
     );
 
-    res.json(result);
+    res.json(twist ? { ...result, twist } : result);
   } catch (error) {
     console.error('VB6復元波形計算エラー:', error);
-    res.status(500).json({
+    res.status(error.status || 500).json({
       success: false,
-      error: '復元波形計算中にエラーが発生しました',
+      error: error.status ? error.message : '復元波形計算中にエラーが発生しました',
       details: error.message
     });
   }
@@ -1107,12 +1270,15 @@ router.post('/export/plan-line-csv', async (req, res) => {
       csvContent += `# Description: ${metadata.description}\n`;
     }
 
-    // ヘッダー行
-    csvContent += 'distance,value\n';
+    // ヘッダー行（分岐器モードの計画線は分岐器区間の列を付ける）
+    const hasTurnouts = planLine.some(point => point.turnout);
+    csvContent += hasTurnouts ? 'distance,value,turnout\n' : 'distance,value\n';
 
     // データ行を追加
     planLine.forEach(point => {
-      csvContent += `${point.distance},${point.value}\n`;
+      csvContent += hasTurnouts
+        ? `${point.distance},${point.value},${point.turnout ? 1 : 0}\n`
+        : `${point.distance},${point.value}\n`;
     });
 
     // ファイル名を生成
@@ -0,0 +1,179 @@
+/**
+ * 移動量制限箇所API
+ * Automatic movement restrictions from track-environment data
+ *
+ * 軌道環境データセットから移動量制限箇所を自動設定し、手入力の制限箇所と統合する。
+ * 要素種別ごとのルールは編集・保存でき、.I1.TXT / .I3.TXT の内容も返す。
+ */
+
+const express = require('express');
+const router = express.Router();
+
+const RestrictionRuleEngine = require('../algorithms/restriction-rule-engine');
+const RestrictionExporter = require('../exporters/restriction-exporter');
+const restrictionRuleStore = require('../services/restriction-rule-store');
+const trackEnvironmentProcessor = require('../processors/track-environment-processor');
+const { sendError } = require('../utils/common');
+
+/**
+ * 現在のルール（既定ルールと合成済み）
+ * GET /api/restrictions/rules
+ */
+router.get('/rules', (req, res) => {
+  try {
+    const { rules, updatedAt } = restrictionRuleStore.get();
+    res.json({
+      success: true,
+      rules,
+      updatedAt,
+      defaults: RestrictionRuleEngine.DEFAULT_RULES
+    });
+  } catch (error) {
+    sendError(res, error, 'Get restriction rules error');
+  }
+});
+
+/**
+ * ルールを保存
+ * PUT /api/restrictions/rules
+ *
+ * body: { rules: { turnout: { enabled, margin, lateral: {amount, isFixed, direction}, vertical }, ... } }
+ */
+router.put('/rules', async (req, res) => {
+  try {
+    const { rules, updatedAt } = await restrictionRuleStore.set(req.body.rules || {});
+    res.json({
+      success: true,
+      rules,
+      updatedAt
+    });
+  } catch (error) {
+    sendError(res, error, 'Save restriction rules error');
+  }
+});
+
+/**
+ * ルールを既定値に戻す
+ * DELETE /api/restrictions/rules
+ */
+router.delete('/rules', async (req, res) => {
+  try {
+    const { rules, updatedAt } = await restrictionRuleStore.reset();
+    res.json({
+      success: true,
+      rules,
+      updatedAt
+    });
+  } catch (error) {
+    sendError(res, error, 'Reset restriction rules error');
+  }
+});
+
+/**
+ * 軌道環境データセットから制限箇所を自動設定し、手入力の制限箇所と統合
+ * POST /api/restrictions/propose
+ *
+ * body: {
+ *   datasetId,                 // 軌道環境データセットID
+ *   startKm, endKm,            // 対象範囲 (km)
+ *   rules,                     // 保存済みルールへの一時的な上書き（省略可）
+ *   manualRestrictions         // 手入力の制限箇所（startKm / endKm は m、省略可）
+ * }
+ */
+router.post('/propose', (req, res) => {
+  try {
+    const { datasetId, startKm, endKm, rules = {}, manualRestrictions = [] } = req.body;
+
+    if (!datasetId) {
+      return res.status(400).json({
+        success: false,
+        error: 'datasetId is required'
+      });
+    }
+    if (!Number.isFinite(startKm) || !Number.isFinite(endKm) || startKm >= endKm) {
+      return res.status(400).json({
+        success: false,
+        error: 'startKm and endKm (km, startKm < endKm) are required'
+      });
+    }
+
+    const { rules: savedRules } = restrictionRuleStore.get();
+    const engine = new RestrictionRuleEngine(mergeRuleOverrides(savedRules, rules));
+    const rangeData = trackEnvironmentProcessor.findDataByRange(datasetId, startKm, endKm);
+    const proposed = engine.propose(rangeData, { startKm, endKm });
+    const { restrictions, conflicts } = engine.merge(proposed, manualRestrictions);
+
+    res.json({
+      success: true,
+      datasetId,
+      range: { startKm, endKm },
+      rules: engine.rules,
+      proposed,
+      restrictions,
+      conflicts,
+      summary: engine.summarize(restrictions, conflicts)
+    });
+  } catch (error) {
+    sendError(res, error, 'Propose restrictions error');
+  }
+});
+
+/**
+ * 制限箇所から .I1.TXT（左右）/ .I3.TXT（上下）の内容を作成
+ * POST /api/restrictions/export
+ *
+ * body: { restrictions, workSection: { lineName, trackName, direction, workDate, filePrefix } }
+ */
+router.post('/export', (req, res) => {
+  try {
+    const { restrictions, workSection = {} } = req.body;
+    if (!Array.isArray(restrictions)) {
+      return res.status(400).json({
+        success: false,
+        error: 'restrictions array is required'
+      });
+    }
+
+    const exporter = new RestrictionExporter();
+    const lateral = restrictions.filter(r => ['left', 'right', 'both'].includes(r.direction));
+    const vertical = restrictions.filter(r => r.direction === 'vertical');
+
+    res.json({
+      success: true,
+      i1: {
+        fileName: exporter.generateI1FileName(workSection),
+        content: exporter.generateI1Content(lateral, workSection),
+        count: lateral.length
+      },
+      i3: {
+        fileName: exporter.generateI3FileName(workSection),
+        content: exporter.generateI3Content(vertical, workSection),
+        count: vertical.length
+      }
+    });
+  } catch (error) {
+    sendError(res, error, 'Export restrictions error');
+  }
+});
+
+/**
+ * 保存済みルールに要素種別ごとの上書きを重ねる（lateral / vertical は項目単位で合成）
+ */
+function mergeRuleOverrides(savedRules, overrides) {
+  if (!overrides || typeof overrides !== 'object' || Array.isArray(overrides)) {
+    return overrides;
+  }
+  const merged = { ...savedRules };
+  for (const [type, override] of Object.entries(overrides)) {
+    const base = savedRules[type] || {};
+    merged[type] = { ...base, ...override };
+    for (const axis of ['lateral', 'vertical']) {
+      if (override && override[axis] && base[axis]) {
+        merged[type][axis] = { ...base[axis], ...override[axis] };
+      }
+    }
+  }
+  return merged;
+}
+
+module.exports = router;
@@ -9,6 +9,7 @@ const multer = require('multer');
 const path = require('path');
 const fs = require('fs').promises;
 const trackEnvironmentProcessor = require('../processors/track-environment-processor');
+const TrackEnvironmentOverlayService = require('../services/track-environment-overlay-service');
 
 // アップロード設定
 const storage = multer.diskStorage({
@@ -318,7 +319,43 @@ router.get('/dataset/:datasetId/range', (req, res) => {
     });
   } catch (error) {
     console.error('範囲検索エラー:', error);
-    res.status(500).json({
+    res.status(error.status || 500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/track-env/dataset/:datasetId/overlay
+ * 波形チャート重ね描き用の軌道環境（帯・目印）を取得
+ * query: startKm, endKm, kinds（カンマ区切り、省略時は全種別）
+ */
+router.get('/dataset/:datasetId/overlay', (req, res) => {
+  try {
+    const { datasetId } = req.params;
+    const { startKm, endKm, kinds } = req.query;
+
+    if (!startKm || !endKm) {
+      return res.status(400).json({
+        success: false,
+        error: 'startKm and endKm are required'
+      });
+    }
+
+    const start = parseFloat(startKm);
+    const end = parseFloat(endKm);
+    const data = trackEnvironmentProcessor.findDataByRange(datasetId, start, end);
+    const overlay = TrackEnvironmentOverlayService.build(data, { startKm: start, endKm: end, kinds });
+
+    res.json({
+      success: true,
+      datasetId,
+      overlay
+    });
+  } catch (error) {
+    console.error('オーバーレイ作成エラー:', error);
+    res.status(error.status || 500).json({
       success: false,
       error: error.message
     });
@@ -377,6 +414,79 @@ router.get('/dataset/:datasetId/export', (req, res) => {
   }
 });
 
+/**
+ * GET /api/track-env/dataset/:datasetId/versions/:dataType
+ * ファイルのバージョン一覧を取得
+ */
+router.get('/dataset/:datasetId/versions/:dataType', (req, res) => {
+  try {
+    const { datasetId, dataType } = req.params;
+    const dataset = trackEnvironmentProcessor.getDataset(datasetId);
+
+    if (!dataset) {
+      return res.status(404).json({
+        success: false,
+        error: 'Dataset not found'
+      });
+    }
+
+    const versions = trackEnvironmentProcessor.getFileVersions(datasetId, dataType);
+
+    res.json({
+      success: true,
+      dataType,
+      versions,
+      count: versions.length
+    });
+  } catch (error) {
+    console.error('バージョン一覧取得エラー:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/track-env/dataset/:datasetId/versions/:dataType/:version/restore
+ * 過去バージョンの解析結果を復元
+ */
+router.post('/dataset/:datasetId/versions/:dataType/:version/restore', async (req, res) => {
+  try {
+    const { datasetId, dataType } = req.params;
+    const version = parseInt(req.params.version, 10);
+    const dataset = trackEnvironmentProcessor.getDataset(datasetId);
+
+    if (!dataset) {
+      return res.status(404).json({
+        success: false,
+        error: 'Dataset not found'
+      });
+    }
+
+    if (Number.isNaN(version)) {
+      return res.status(400).json({
+        success: false,
+        error: 'version must be a number'
+      });
+    }
+
+    const restored = await trackEnvironmentProcessor.restoreFileVersion(datasetId, dataType, version);
+
+    res.json({
+      success: true,
+      message: `バージョン${version}を復元しました`,
+      dataset: restored
+    });
+  } catch (error) {
+    console.error('バージョン復元エラー:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
 /**
  * DELETE /api/track-env/dataset/:datasetId
  * データセットを削除
@@ -393,8 +503,8 @@ router.delete('/dataset/:datasetId', async (req, res) => {
       });
     }
 
-    // ファイルを削除
-    const filesToDelete = Object.values(dataset.files);
+    // ファイルを削除（過去バージョンのファイルを含む）
+    const filesToDelete = trackEnvironmentProcessor.getAttachedFiles(datasetId);
     for (const filePath of filesToDelete) {
       try {
         await fs.unlink(filePath);
@@ -404,7 +514,7 @@ router.delete('/dataset/:datasetId', async (req, res) => {
     }
 
     // データセットを削除
-    trackEnvironmentProcessor.deleteDataset(datasetId);
+    await trackEnvironmentProcessor.deleteDataset(datasetId);
 
     res.json({
       success: true,
@@ -484,6 +594,8 @@ router.get('/info', (req, res) => {
         'HS: 曲線データ（平面線形）',
         'KR: 構造物・路盤データ',
         'RT/RU: レール継目データ（左/右）',
+        'LR: ロングレールデータ',
+        'GL/GR: ガードレールデータ（左/右）',
         'DS: 道床データ',
         'BK: 分岐器データ',
         'EJ: EJデータ',
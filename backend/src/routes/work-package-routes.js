@@ -0,0 +1,357 @@
+/**
+ * 作業パッケージAPI
+ * Work package routes - end-to-end track correction pipeline
+ */
+
+const express = require('express');
+const router = express.Router();
+const multer = require('multer');
+const path = require('path');
+const fs = require('fs').promises;
+
+const workPackageManager = require('../utils/work-package-manager');
+const WorkPackageService = require('../services/work-package-service');
+
+const workPackageService = new WorkPackageService();
+
+// アップロード設定（パッケージ作成後に作業ディレクトリへ移動する）
+const storage = multer.diskStorage({
+  destination: async (req, file, cb) => {
+    const uploadDir = path.join(__dirname, '../../uploads/work-packages');
+    try {
+      await fs.mkdir(uploadDir, { recursive: true });
+      cb(null, uploadDir);
+    } catch (error) {
+      cb(error);
+    }
+  },
+  filename: (req, file, cb) => {
+    const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
+    cb(null, `wp-${uniqueSuffix}-${path.basename(file.originalname)}`);
+  }
+});
+
+const upload = multer({
+  storage,
+  limits: { fileSize: 200 * 1024 * 1024 } // 200MB
+});
+
+/**
+ * JSON文字列またはオブジェクトを解析
+ * @param {string|Object} value - multipartフィールドの値
+ * @param {*} defaultValue - 未指定時の値
+ */
+function parseJSONField(value, defaultValue) {
+  if (value === undefined || value === null || value === '') {
+    return defaultValue;
+  }
+  return typeof value === 'string' ? JSON.parse(value) : value;
+}
+
+/**
+ * 出力ファイル名に使用できる値か判定（ProjectStoreと同じ文字種、'.'のみは不可）
+ * @param {string} value - filePrefix / 作業区間ID
+ * @returns {boolean}
+ */
+function isSafeFileNamePart(value) {
+  return typeof value === 'string' && /^[A-Za-z0-9_.-]+$/.test(value) && !/^\.+$/.test(value);
+}
+
+/**
+ * ファイル名からプレフィックスを推定
+ * 例: XTK0011C.RSQ → XTK001, XTK001KK.KDT → XTK001
+ * @param {Array<string>} fileNames - ファイル名一覧
+ * @returns {string|null} プレフィックス
+ */
+function inferFilePrefix(fileNames) {
+  const candidate = fileNames.find(name => /\.(RSQ|KDT)$/i.test(name));
+  if (!candidate) return null;
+
+  const baseName = path.basename(candidate).replace(/\.(RSQ|KDT)$/i, '');
+  return baseName.length > 2 ? baseName.slice(0, -2) : null;
+}
+
+/**
+ * 作業パッケージ作成・実行開始
+ * POST /api/work-packages
+ *
+ * multipart/form-data:
+ * - files: 検測データ (XXXXXX1C.RSQ 等, XXXXXXKK.KDT)
+ * - handMeasurement: 手検測データ (JSON, 任意)
+ * - workSection: 作業区間定義 (JSON)
+ * - curveSpecs: 曲線諸元 (JSON配列, 任意)
+ * - parameters: 計算パラメータ (JSON, 任意)
+ * - filePrefix: ファイルプレフィックス (任意, 省略時はファイル名から推定)
+ * - workDirection: 作業方向 up/down (任意)
+ */
+router.post('/', upload.fields([
+  { name: 'files', maxCount: 20 },
+  { name: 'handMeasurement', maxCount: 1 }
+]), async (req, res) => {
+  const uploadedFiles = [
+    ...((req.files && req.files.files) || []),
+    ...((req.files && req.files.handMeasurement) || [])
+  ];
+
+  try {
+    const inputFiles = (req.files && req.files.files) || [];
+
+    if (inputFiles.length === 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'No files uploaded'
+      });
+    }
+
+    let workSectionDefinition;
+    let curveSpecs;
+    let parameters;
+    try {
+      workSectionDefinition = parseJSONField(req.body.workSection, null);
+      curveSpecs = parseJSONField(req.body.curveSpecs, []);
+      parameters = parseJSONField(req.body.parameters, {});
+    } catch (error) {
+      return res.status(400).json({
+        success: false,
+        error: `Invalid JSON field: ${error.message}`
+      });
+    }
+
+    if (!workSectionDefinition) {
+      return res.status(400).json({
+        success: false,
+        error: 'workSection is required'
+      });
+    }
+
+    if (!Array.isArray(curveSpecs)) {
+      return res.status(400).json({
+        success: false,
+        error: 'curveSpecs must be an array'
+      });
+    }
+
+    const fileNames = inputFiles.map(f => path.basename(f.originalname));
+    const filePrefix = req.body.filePrefix || inferFilePrefix(fileNames);
+
+    if (!filePrefix) {
+      return res.status(400).json({
+        success: false,
+        error: 'filePrefix could not be determined from the uploaded files'
+      });
+    }
+
+    if (!isSafeFileNamePart(filePrefix)) {
+      return res.status(400).json({
+        success: false,
+        error: 'filePrefix may only contain A-Z, a-z, 0-9, "_", "." and "-"'
+      });
+    }
+
+    if (workSectionDefinition.id !== undefined && !isSafeFileNamePart(String(workSectionDefinition.id))) {
+      return res.status(400).json({
+        success: false,
+        error: 'workSection.id may only contain A-Z, a-z, 0-9, "_", "." and "-"'
+      });
+    }
+
+    // パッケージ作成
+    const packageId = workPackageManager.createPackage({
+      filePrefix,
+      workDirection: req.body.workDirection || 'up',
+      curveSpecs,
+      parameters,
+      files: fileNames
+    });
+    const workPackage = workPackageManager.getPackage(packageId);
+
+    try {
+      workPackage.config.workSection = workPackageService.buildWorkSection(
+        workSectionDefinition,
+        packageId
+      );
+    } catch (error) {
+      workPackageManager.deletePackage(packageId);
+      return res.status(error.status || 500).json({
+        success: false,
+        error: error.message
+      });
+    }
+
+    // アップロードファイルを作業ディレクトリへ移動（元のファイル名で配置）
+    const dirs = workPackageService.getPackageDirectories(packageId);
+    await fs.mkdir(dirs.input, { recursive: true });
+
+    for (const file of inputFiles) {
+      await fs.rename(file.path, path.join(dirs.input, path.basename(file.originalname)));
+    }
+
+    const handMeasurementFile = req.files.handMeasurement && req.files.handMeasurement[0];
+    if (handMeasurementFile) {
+      const targetName = `hand_measurement_${workPackage.config.workSection.id}.json`;
+      await fs.rename(handMeasurementFile.path, path.join(dirs.input, targetName));
+    }
+
+    // バックグラウンドで実行
+    workPackageService.run(packageId).catch(error => {
+      console.error(`Work package ${packageId} error:`, error);
+    });
+
+    res.status(202).json({
+      success: true,
+      packageId,
+      message: '作業パッケージの処理を開始しました',
+      workPackage
+    });
+  } catch (error) {
+    console.error('Create work package error:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  } finally {
+    // 作業ディレクトリへ移動しなかったアップロードファイルを削除（検証エラー時を含む）
+    for (const file of uploadedFiles) {
+      await fs.unlink(file.path).catch(() => {});
+    }
+  }
+});
+
+/**
+ * 作業パッケージ一覧取得
+ * GET /api/work-packages
+ */
+router.get('/', (req, res) => {
+  try {
+    const workPackages = workPackageManager.getAllPackages();
+    const statistics = workPackageManager.getStatistics();
+
+    res.json({
+      success: true,
+      workPackages,
+      statistics,
+      count: workPackages.length
+    });
+  } catch (error) {
+    console.error('Get work packages error:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * 作業パッケージの工程一覧取得
+ * GET /api/work-packages/stages
+ */
+router.get('/stages', (req, res) => {
+  res.json({
+    success: true,
+    stages: workPackageManager.WORK_PACKAGE_STAGES
+  });
+});
+
+/**
+ * 作業パッケージ詳細取得（工程ごとの状態を含む）
+ * GET /api/work-packages/:packageId
+ */
+router.get('/:packageId', (req, res) => {
+  try {
+    const { packageId } = req.params;
+    const workPackage = workPackageManager.getPackage(packageId);
+
+    if (!workPackage) {
+      return res.status(404).json({
+        success: false,
+        error: 'Work package not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      workPackage
+    });
+  } catch (error) {
+    console.error('Get work package error:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * 作業パッケージZIPダウンロード
+ * GET /api/work-packages/:packageId/download
+ */
+router.get('/:packageId/download', (req, res) => {
+  try {
+    const { packageId } = req.params;
+    const workPackage = workPackageManager.getPackage(packageId);
+
+    if (!workPackage) {
+      return res.status(404).json({
+        success: false,
+        error: 'Work package not found'
+      });
+    }
+
+    if (workPackage.status !== 'completed' || !workPackage.archivePath) {
+      return res.status(409).json({
+        success: false,
+        error: `Work package is not completed (status: ${workPackage.status})`
+      });
+    }
+
+    res.download(workPackage.archivePath, path.basename(workPackage.archivePath));
+  } catch (error) {
+    console.error('Download work package error:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * 作業パッケージ削除
+ * DELETE /api/work-packages/:packageId
+ */
+router.delete('/:packageId', async (req, res) => {
+  try {
+    const { packageId } = req.params;
+    const workPackage = workPackageManager.getPackage(packageId);
+
+    if (!workPackage) {
+      return res.status(404).json({
+        success: false,
+        error: 'Work package not found'
+      });
+    }
+
+    if (workPackage.status === 'running') {
+      return res.status(409).json({
+        success: false,
+        error: 'Work package is still running'
+      });
+    }
+
+    await workPackageService.removePackageFiles(packageId);
+    workPackageManager.deletePackage(packageId);
+
+    res.json({
+      success: true,
+      message: 'Work package deleted successfully',
+      packageId
+    });
+  } catch (error) {
+    console.error('Delete work package error:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+module.exports = router;
@@ -4,6 +4,7 @@ import multer from 'multer';
 import path from 'path';
 import { fileURLToPath } from 'url';
 import fs from 'fs/promises';
+import { createRequire } from 'module';
 
 // 新規追加: アルゴリズムとエクスポート機能
 import { applyFilter } from './algorithms/filters.js';
@@ -32,6 +33,23 @@ import RestorationWaveformCalculator from './calculators/restoration-waveform.js
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
+// CommonJSモジュールの読み込み
+const require = createRequire(import.meta.url);
+const curveSpecStore = require('./services/curve-spec-store.js');
+
+/**
+ * リクエストの曲線諸元を取得
+ * curveSpecId（曲線諸元データセットID）があればストアから、なければ curveSpecs 配列、どちらもなければ直線とみなす
+ * @param {Object} body - リクエストボディ
+ * @returns {Array} 曲線諸元
+ */
+function resolveCurveSpecs(body) {
+  if (body.curveSpecId) {
+    return curveSpecStore.requireCurveSpecs(body.curveSpecId);
+  }
+  return Array.isArray(body.curveSpecs) ? body.curveSpecs : [];
+}
+
 const app = express();
 const PORT = 3002;
 
@@ -384,6 +402,7 @@ app.post('/api/detect-outliers', (req, res) => {
 });
 
 // MTT値計算エンドポイント
+// body: { data, params, curveSpecId または curveSpecs, curveOptions: {startKP, transitionType} }
 app.post('/api/calculate-mtt', (req, res) => {
   try {
     const { data, params } = req.body;
@@ -392,9 +411,9 @@ app.post('/api/calculate-mtt', (req, res) => {
       return res.status(400).json({ error: 'データが必要です' });
     }
 
-    // カント・スラック値がなければモックデータを追加
+    // カント・スラック値がなければ曲線諸元の設計値を追加
     const dataWithCorrections = data[0].cant !== undefined ?
-      data : addCantSlackToDataset(data);
+      data : addCantSlackToDataset(data, resolveCurveSpecs(req.body), req.body.curveOptions);
 
     const result = calculateMTTValues(dataWithCorrections, params || {});
 
@@ -408,29 +427,39 @@ app.post('/api/calculate-mtt', (req, res) => {
 
   } catch (error) {
     console.error('MTT calculation error:', error);
-    res.status(500).json({ error: 'MTT値計算中にエラーが発生しました: ' + error.message });
+    res.status(error.status || 500).json({ error: 'MTT値計算中にエラーが発生しました: ' + error.message });
   }
 });
 
 // カント・スラック補正エンドポイント
+// body: { data: [{distance (m), irregularity}], curveSpecId, channel: 'crossLevel' | 'gauge', startKP, transitionType }
 app.post('/api/apply-corrections', (req, res) => {
   try {
-    const { data, coefficients } = req.body;
+    const { data, curveSpecId, channel, startKP, transitionType } = req.body;
 
     if (!data || !Array.isArray(data)) {
       return res.status(400).json({ error: 'データが必要です' });
     }
+    if (!curveSpecId) {
+      return res.status(400).json({ error: '曲線諸元データセットID（curveSpecId）が必要です' });
+    }
 
-    // カント・スラック値がなければモックデータを追加
-    const dataWithCorrections = data[0].cant !== undefined ?
-      data : addCantSlackToDataset(data);
+    // 曲線諸元の設計カント・スラックを付与して補正
+    const curveSpecs = curveSpecStore.requireCurveSpecs(curveSpecId);
+    const dataWithDesign = addCantSlackToDataset(data, curveSpecs, {
+      startKP: startKP !== undefined ? Number(startKP) : undefined,
+      transitionType
+    });
 
-    const result = applyAllCorrectionsToDataset(dataWithCorrections, coefficients || {});
-    res.json(result);
+    const result = applyAllCorrectionsToDataset(dataWithDesign, { channel });
+    if (!result.success) {
+      return res.status(400).json(result);
+    }
+    res.json({ ...result, curveSpecId });
 
   } catch (error) {
     console.error('Correction error:', error);
-    res.status(500).json({ error: '補正処理中にエラーが発生しました: ' + error.message });
+    res.status(error.status || 500).json({ error: '補正処理中にエラーが発生しました: ' + error.message });
   }
 });
 
@@ -522,6 +551,7 @@ app.post('/api/upload-dual-rail', upload.single('file'), async (req, res) => {
 });
 
 // 左右レール別MTT値計算エンドポイント
+// body: { leftRail, rightRail, params, curveSpecId または curveSpecs, curveOptions: {startKP, transitionType} }
 app.post('/api/calculate-dual-mtt', (req, res) => {
   try {
     const { leftRail, rightRail, params } = req.body;
@@ -530,11 +560,12 @@ app.post('/api/calculate-dual-mtt', (req, res) => {
       return res.status(400).json({ error: '左右レールのデータが必要です' });
     }
 
-    // カント・スラック値がなければモックデータを追加
+    // カント・スラック値がなければ曲線諸元の設計値を追加
+    const curveSpecs = resolveCurveSpecs(req.body);
     const leftWithCorrections = leftRail[0]?.cant !== undefined ?
-      leftRail : addCantSlackToDataset(leftRail);
+      leftRail : addCantSlackToDataset(leftRail, curveSpecs, req.body.curveOptions);
     const rightWithCorrections = rightRail[0]?.cant !== undefined ?
-      rightRail : addCantSlackToDataset(rightRail);
+      rightRail : addCantSlackToDataset(rightRail, curveSpecs, req.body.curveOptions);
 
     const dualData = {
       leftRail: leftWithCorrections,
@@ -560,7 +591,7 @@ app.post('/api/calculate-dual-mtt', (req, res) => {
 
   } catch (error) {
     console.error('Dual MTT calculation error:', error);
-    res.status(500).json({ error: '左右レールMTT値計算中にエラーが発生しました: ' + error.message });
+    res.status(error.status || 500).json({ error: '左右レールMTT値計算中にエラーが発生しました: ' + error.message });
   }
 });
 
@@ -843,8 +874,6 @@ app.post('/api/upload-legacy-data', upload.fields([
 
 // ========== 復元波形ルートの登録 ==========
 // CommonJSモジュールの動的インポート
-import { createRequire } from 'module';
-const require = createRequire(import.meta.url);
 try {
   const restorationRoutes = require('./routes/restoration-routes.js');
   app.use('/api/restoration', restorationRoutes);
@@ -0,0 +1,88 @@
+/**
+ * before-after-comparison-service.js のテスト
+ */
+import { describe, test, expect } from '@jest/globals';
+import BeforeAfterComparisonService from '../before-after-comparison-service.js';
+
+describe('BeforeAfterComparisonService', () => {
+  const waveform = position =>
+    Math.sin(2 * Math.PI * position / 17) +
+    0.8 * Math.sin(2 * Math.PI * position / 43 + 1) +
+    0.5 * Math.sin(2 * Math.PI * position / 97 + 2);
+
+  // 0-800m、0.25m間隔。shift: 整備後のキロ程のずれ (m)、scale: 整備後の振幅
+  const createRun = (shift, scale) => {
+    const vertical = [];
+    for (let i = 0; i <= 3200; i++) {
+      const position = i * 0.25;
+      vertical.push({ position, value: scale * waveform(position - shift) });
+    }
+    return { vertical };
+  };
+
+  describe('キロ程マーカー', () => {
+    const service = new BeforeAfterComparisonService();
+
+    test('同じキーのマーカーを対応付け、順序が入れ替わる対応は除外する', () => {
+      const anchors = service.matchMarkers(
+        [{ key: 'A', position: 100 }, { key: 'B', position: 300 }, { key: 'C', position: 200 }],
+        [{ key: 'A', position: 102 }, { key: 'B', position: 305 }, { key: 'C', position: 310 }, { key: 'D', position: 400 }]
+      );
+
+      expect(anchors.map(anchor => [anchor.key, anchor.offset])).toEqual([['A', -2], ['B', -5]]);
+    });
+
+    test('マーカー間は区分線形、両端の外側は端のずれで変換する', () => {
+      const anchors = [{ before: 100, after: 102 }, { before: 300, after: 306 }];
+
+      expect(service.mapByAnchors(anchors, 204)).toBe(200);
+      expect(service.mapByAnchors(anchors, 50)).toBe(48);
+      expect(service.mapByAnchors(anchors, 406)).toBe(400);
+    });
+  });
+
+  describe('compare', () => {
+    test('マーカーがなくても相互相関でずれを補正し、振幅の半減を良化率50%とする', () => {
+      const service = new BeforeAfterComparisonService();
+      const result = service.compare(createRun(0, 1), createRun(3, 0.5));
+
+      expect(result.alignment.offsetRange.min).toBeCloseTo(-3, 1);
+      expect(result.alignment.offsetRange.max).toBeCloseTo(-3, 1);
+      expect(result.overall.improvementRate.vertical).toBeCloseTo(50, 0);
+      expect(result.bySection.every(section => section.achieved)).toBe(true);
+      expect(result.warnings).toContain('対応するキロ程マーカーがないため、相互相関のみで位置合わせします');
+    });
+
+    test('CK（km）と PNT（m）のマーカーを m で対応付け、相互相関の探索範囲を超えるずれを補正する', () => {
+      const service = new BeforeAfterComparisonService();
+      const marked = (run, shift) => ({
+        ...run,
+        positionInfo: {
+          stations: [{ id: 'ST1', km: (100 + shift) / 1000 }],
+          structures: [{ id: 'BR1', startKm: (500 + shift) / 1000, endKm: (520 + shift) / 1000 }]
+        },
+        pnt: { points: [{ pointType: 'P', pointNumber: 1, kilometer: 300 + shift }] }
+      });
+
+      const result = service.compare(marked(createRun(0, 1), 0), marked(createRun(30, 0.5), 30));
+
+      expect(result.alignment.anchors.map(anchor => [anchor.source, anchor.before, anchor.offset])).toEqual([
+        ['ck', 100, -30],
+        ['pnt', 300, -30],
+        ['ck', 500, -30],
+        ['ck', 520, -30]
+      ]);
+      expect(result.alignment.offsetRange.min).toBeCloseTo(-30, 1);
+      expect(result.alignment.offsetRange.max).toBeCloseTo(-30, 1);
+      expect(result.overall.improvementRate.vertical).toBeCloseTo(50, 0);
+    });
+
+    test('共通の方向がなければ400エラー', () => {
+      const service = new BeforeAfterComparisonService();
+      const { vertical } = createRun(0, 1);
+
+      expect(() => service.compare({ vertical }, { lateral: vertical }))
+        .toThrow(expect.objectContaining({ status: 400 }));
+    });
+  });
+});
@@ -0,0 +1,87 @@
+/**
+ * calculation-reproduction-service.js のテスト
+ */
+import { describe, test, expect, beforeAll, afterAll, jest } from '@jest/globals';
+import CalculationReproductionService from '../calculation-reproduction-service.js';
+import PRMExporter from '../../exporters/prm-exporter.js';
+import { RestorationEngine } from '../../algorithms/restoration-engine.js';
+
+describe('CalculationReproductionService', () => {
+  let consoleSpy;
+
+  beforeAll(() => {
+    consoleSpy = jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterAll(() => {
+    consoleSpy.mockRestore();
+  });
+
+  const parameters = {
+    restoration: { minWavelength: 6, maxWavelength: 40, samplingInterval: 0.25 },
+    planLine: { method: 'CONVEX', priorityMode: 'UPWARD' },
+    restriction: {
+      standardLimit: 30,
+      maximumLimit: 50,
+      points: [
+        { startKm: 100, endKm: 110, direction: 'both', amount: 0, isFixed: true },
+        { startKm: 150, endKm: 160, direction: 'both', amount: 5, isFixed: false }
+      ]
+    }
+  };
+  const prmContent = new PRMExporter().generatePRMContent(parameters, { lineName: 'TEST', startKm: 0, endKm: 200 });
+
+  // 0-200m、0.25m間隔の測定データ
+  const measurementData = [];
+  for (let i = 0; i <= 800; i++) {
+    const distance = i * 0.25;
+    measurementData.push({
+      distance,
+      value: 3 * Math.sin(2 * Math.PI * distance / 15) + 2 * Math.sin(2 * Math.PI * distance / 33 + 1)
+    });
+  }
+
+  test('件数の行を制限箇所として読まない', () => {
+    const service = new CalculationReproductionService();
+    const { restrictions } = service.buildSettings(new PRMExporter().parsePRMContent(prmContent));
+
+    expect(restrictions.fixedPoints).toEqual([
+      { startDistance: 100, endDistance: 110, maxMovement: 0, direction: 'both' },
+      { startDistance: 150, endDistance: 160, maxMovement: 5, direction: 'both' }
+    ]);
+    expect(restrictions).toMatchObject({ standard: 30, maximum: 50, upwardPriority: true });
+  });
+
+  test('数値でない制限箇所は不動点に含めない', () => {
+    const service = new CalculationReproductionService();
+    const { restrictions } = service.buildSettings({
+      restriction: { points: [{ startKm: 10, endKm: NaN, amount: 3 }, { startKm: 10, endKm: 20, amount: NaN }] }
+    });
+
+    expect(restrictions.fixedPoints).toEqual([]);
+  });
+
+  test('エクスポーターで書いた PRM から同じ計算結果を再現する', () => {
+    const engine = new RestorationEngine({ minWavelength: 6, maxWavelength: 40, samplingInterval: 0.25 });
+    const storedResult = engine.calculate(measurementData, {
+      restrictions: {
+        standard: 30,
+        maximum: 50,
+        upwardPriority: true,
+        fixedPoints: [
+          { startDistance: 100, endDistance: 110, maxMovement: 0, direction: 'both' },
+          { startDistance: 150, endDistance: 160, maxMovement: 5, direction: 'both' }
+        ]
+      }
+    });
+    expect(storedResult.success).toBe(true);
+
+    const { comparison } = new CalculationReproductionService().reproduce({ prmContent, measurementData, storedResult });
+
+    expect(comparison.reproducible).toBe(true);
+    expect(comparison.comparedSeries).toEqual(expect.arrayContaining(['restoredWaveform', 'planLine']));
+    for (const name of comparison.comparedSeries) {
+      expect(comparison.series[name]).toMatchObject({ lengthMatches: true, maxAbsDiff: 0, mismatchCount: 0 });
+    }
+  });
+});
@@ -0,0 +1,77 @@
+/**
+ * degradation-trend-service.js のテスト
+ */
+import { describe, test, expect } from '@jest/globals';
+import { DegradationTrendService } from '../degradation-trend-service.js';
+
+describe('DegradationTrendService', () => {
+  const createService = () => new DegradationTrendService({
+    loadAll: async () => [],
+    save: async () => {},
+    delete: async () => {}
+  });
+
+  // 0-600m、0.25m間隔の波形を amplitude 倍した検測データ
+  const createRun = (date, amplitude) => {
+    const vertical = [];
+    for (let i = 0; i <= 2400; i++) {
+      const position = i * 0.25;
+      const value = Math.sin(2 * Math.PI * position / 23) + 0.6 * Math.sin(2 * Math.PI * position / 61 + 1);
+      vertical.push({ position, value: amplitude * value });
+    }
+    return { date, vertical };
+  };
+
+  describe('regress', () => {
+    test('直線上の点は傾き・切片を再現し、2回のみなら決定係数は null', () => {
+      const service = createService();
+
+      expect(service.regress([0, 1, 2], [1, 3, 5])).toEqual({ slope: 2, intercept: 1, r2: 1, count: 3 });
+      expect(service.regress([0, 1], [1, 3]).r2).toBeNull();
+      expect(service.regress([1], [1])).toBeNull();
+    });
+  });
+
+  describe('forecastExceedance', () => {
+    const service = createService();
+    const origin = Date.UTC(2020, 0, 1);
+
+    test('回帰直線が管理値に達する時期を予測する', () => {
+      const forecast = service.forecastExceedance({ slope: 2, intercept: 1 }, 9, 2, origin);
+      expect(forecast).toMatchObject({ status: 'forecast', remainingYears: 2, current: 5 });
+    });
+
+    test('既に超過していれば exceeded、進みがなければ stable', () => {
+      expect(service.forecastExceedance({ slope: 2, intercept: 1 }, 4, 2, origin).status).toBe('exceeded');
+      expect(service.forecastExceedance({ slope: -1, intercept: 5 }, 9, 2, origin).status).toBe('stable');
+      expect(service.forecastExceedance({ slope: 2, intercept: 1 }, null, 2, origin)).toBeNull();
+    });
+  });
+
+  describe('analyze', () => {
+    test('ロット別に狂い進みを回帰し、管理値に早く達するロットを優先する', async () => {
+      const service = createService();
+      await service.addRun('L1', createRun('2020-01-01', 1));
+      await service.addRun('L1', createRun('2021-01-01', 1.5));
+      await service.addRun('L1', createRun('2022-01-01', 2));
+
+      const result = await service.analyze('L1', { limits: { vertical: 5 } });
+
+      expect(result.directions).toEqual(['vertical']);
+      expect(result.lots.length).toBeGreaterThanOrEqual(2);
+      const { history, peakTrend, forecast } = result.lots[0].directions.vertical;
+      expect(history).toHaveLength(3);
+      expect(peakTrend.slope).toBeGreaterThan(0);
+      expect(history[2].peak / history[0].peak).toBeCloseTo(2, 1);
+      expect(forecast.peak.status).toBe('forecast');
+      expect(result.priorities.length).toBeGreaterThan(0);
+    });
+
+    test('検測回が2回未満なら422エラー', async () => {
+      const service = createService();
+      await service.addRun('L1', createRun('2020-01-01', 1));
+
+      await expect(service.analyze('L1')).rejects.toMatchObject({ status: 422 });
+    });
+  });
+});
@@ -0,0 +1,127 @@
+/**
+ * night-work-scheduler.js のテスト
+ */
+import { describe, test, expect, beforeAll, afterAll, jest } from '@jest/globals';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import NightWorkScheduler from '../night-work-scheduler.js';
+
+describe('NightWorkScheduler', () => {
+  // 3時間の閉鎖（準備・撤収各0.5h）→ 08-475 (0.8km/h) で1夜1600m
+  const possessionWindows = [
+    { start: '2024-01-01T01:00:00+09:00', end: '2024-01-01T04:00:00+09:00' },
+    { start: '2024-01-02T01:00:00+09:00', end: '2024-01-02T04:00:00+09:00' }
+  ];
+  const workSection = { startPosition: 0, endPosition: 3000, mttType: '08-475' };
+
+  test('作業区間を閉鎖時間ごとに分割し、区切り位置に仮すりつけを設ける', () => {
+    const schedule = new NightWorkScheduler().plan(workSection, { possessionWindows });
+
+    expect(schedule.complete).toBe(true);
+    expect(schedule.nights).toHaveLength(2);
+
+    const [first, second] = schedule.nights;
+    expect(first.segment.start).toBe(0);
+    expect(first.segment.length + first.ramp.length).toBeLessThanOrEqual(1600);
+    expect(first.ramp.start).toBe(first.segment.end);
+    expect(second.segment.start).toBe(first.segment.end);
+    expect(second.segment.end).toBe(3000);
+    expect(second.ramp).toBeNull();
+  });
+
+  test('区切り位置とすりつけは除外区間の安全距離に掛からない', () => {
+    const schedule = new NightWorkScheduler().plan(workSection, {
+      possessionWindows,
+      exclusionZones: [{ start: 1500, end: 1560 }]
+    });
+    const { ramp } = schedule.nights[0];
+
+    expect(ramp.stopPosition).toBe(1400);
+    expect(ramp.end).toBeLessThanOrEqual(1500 - 50);
+  });
+
+  test('閉鎖時間が不足する場合は未計画区間を返す', () => {
+    const schedule = new NightWorkScheduler().plan(workSection, {
+      possessionWindows: possessionWindows.slice(0, 1)
+    });
+
+    expect(schedule.complete).toBe(false);
+    expect(schedule.unscheduled.end).toBe(3000);
+    expect(schedule.warnings.length).toBeGreaterThan(0);
+  });
+
+  test('開始位置が終了位置より後の場合は400エラー', () => {
+    expect(() => new NightWorkScheduler().plan({ startPosition: 100, endPosition: 0 }, { possessionWindows }))
+      .toThrow(expect.objectContaining({ status: 400 }));
+  });
+
+  describe('仮すりつけの設計と出力', () => {
+    let consoleSpy;
+    let tempDir;
+
+    beforeAll(() => {
+      consoleSpy = jest.spyOn(console, 'log').mockImplementation(() => {});
+      tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'night-schedules-'));
+    });
+
+    afterAll(() => {
+      consoleSpy.mockRestore();
+      fs.rmSync(tempDir, { recursive: true, force: true });
+    });
+
+    // 1m間隔、通り 20mm・こう上 30mm で一定の移動量
+    const movements = Array.from({ length: 3001 }, (_, i) => ({ position: i, lateral: 20, vertical: 30 }));
+
+    test('徐行速度から最小すりつけ長を設計し、MJ/ALC に打切り点から0までのすりつけを含める', async () => {
+      const scheduler = new NightWorkScheduler({ outputDirectory: tempDir });
+      const schedule = scheduler.plan(workSection, { possessionWindows, speedRestriction: 85, movements });
+      const { ramp } = schedule.nights[0];
+
+      expect(ramp).toMatchObject({ length: 23, requiredLength: 23, valid: true });
+      expect(schedule.warnings).toEqual([]);
+
+      const [first] = await scheduler.exportNightFiles(schedule, movements, { scheduleId: 'ramp', formats: ['mj', 'alc'] });
+
+      // ALC: 位置 (m)、通り・こう上 (mm)
+      const alcRows = fs.readFileSync(first.files.alc, 'utf8').split('\r\n')
+        .filter(line => /^\s+\d+\.\d{3}\s/.test(line))
+        .map(line => line.trim().split(/\s+/).map(Number));
+      const workRows = alcRows.filter(([position]) => position <= ramp.stopPosition);
+      const rampRows = alcRows.filter(([position]) => position > ramp.stopPosition);
+      expect(workRows.every(([, lateral, vertical]) => lateral === 20 && vertical === 30)).toBe(true);
+      expect(rampRows.length).toBeGreaterThan(1);
+      expect(rampRows[rampRows.length - 1].slice(0, 3)).toEqual([ramp.end, 0, 0]);
+      rampRows.slice(1).forEach(([, lateral, vertical], i) => {
+        expect(lateral).toBeLessThan(rampRows[i][1]);
+        expect(vertical).toBeLessThan(rampRows[i][2]);
+      });
+
+      // MJ: 0.5m間隔ですりつけ終点まで
+      const mjRows = fs.readFileSync(first.files.mj, 'utf8').split('\r\n').slice(1);
+      expect(mjRows[0].split(',')[0]).toBe('0.0000');
+      expect(mjRows[mjRows.length - 1].split(',')[0]).toBe((ramp.end / 1000).toFixed(4));
+      expect(mjRows).toHaveLength(ramp.end * 2 + 1);
+    });
+
+    test('最小すりつけ長より短い指定は夜ごとの警告として返す', () => {
+      const schedule = new NightWorkScheduler().plan(workSection, {
+        possessionWindows, speedRestriction: 85, movements, rampLength: 10
+      });
+
+      expect(schedule.nights[0].ramp).toMatchObject({ length: 10, requiredLength: 23, valid: false });
+      expect(schedule.warnings[0]).toBe('第1夜: すりつけ長 10m が最小すりつけ長 23m より短い');
+    });
+
+    test('すりつけ長 0 の指定は既定値に置き換えない', () => {
+      const schedule = new NightWorkScheduler().plan(workSection, { possessionWindows, rampLength: 0 });
+
+      expect(schedule.nights[0].ramp).toMatchObject({ length: 0, start: 1600, end: 1600 });
+    });
+
+    test.each([-1, NaN, '50'])('すりつけ長 %p は400エラー', rampLength => {
+      expect(() => new NightWorkScheduler().plan(workSection, { possessionWindows, rampLength }))
+        .toThrow(expect.objectContaining({ status: 400 }));
+    });
+  });
+});
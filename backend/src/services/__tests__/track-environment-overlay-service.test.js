@@ -0,0 +1,65 @@
+/**
+ * track-environment-overlay-service.js のテスト
+ */
+import { describe, test, expect } from '@jest/globals';
+import TrackEnvironmentOverlayService from '../track-environment-overlay-service.js';
+
+describe('TrackEnvironmentOverlayService', () => {
+  const rangeData = {
+    structures: [
+      { from: 1.05, to: 1.12, structureType: '橋りょう', structureName: '第1橋梁' },
+      { from: 1.3, to: 1.6, structureType: 'トンネル', structureName: '第1トンネル' }
+    ],
+    curves: [
+      { from: 1.2, to: 1.4, direction: '右', radius: 600, cant: 80, btcKm: 1.2, bccKm: 1.25, eccKm: 1.35, etcKm: 1.4 }
+    ],
+    turnouts: [{ from: 1.02, to: 1.05, turnoutNumber: '21', number: 12, leftRight: '左' }],
+    stations: [{ kilometer: 1.01, stationName: 'A駅' }, { kilometer: 2.5, stationName: 'B駅' }],
+    joints: [{ from: 1.1, dataType: 'RU', category: '普通継目' }]
+  };
+
+  test('帯を表示範囲で切り詰め、元のキロ程を detail に残す', () => {
+    const overlay = TrackEnvironmentOverlayService.build(rangeData, { startKm: 1, endKm: 1.5 });
+    const tunnel = overlay.bands.find(band => band.kind === 'tunnel');
+
+    expect(tunnel).toMatchObject({ startKm: 1.3, endKm: 1.5, label: '第1トンネル' });
+    expect(tunnel.detail).toMatchObject({ fromKm: 1.3, toKm: 1.6 });
+    expect(overlay.bands.find(band => band.kind === 'bridge').label).toBe('第1橋梁');
+  });
+
+  test('曲線を緩和曲線・円曲線・緩和曲線に分割する', () => {
+    const overlay = TrackEnvironmentOverlayService.build(rangeData, { startKm: 1, endKm: 1.5 });
+    const curves = overlay.bands
+      .filter(band => band.lane === 'alignment')
+      .map(band => [band.kind, band.startKm, band.endKm]);
+
+    expect(curves).toEqual([
+      ['transitionCurve', 1.2, 1.25],
+      ['circularCurve', 1.25, 1.35],
+      ['transitionCurve', 1.35, 1.4]
+    ]);
+  });
+
+  test('範囲外の目印を除き、凡例は含まれる種別のみ数える', () => {
+    const overlay = TrackEnvironmentOverlayService.build(rangeData, { startKm: 1, endKm: 1.5 });
+
+    expect(overlay.markers.map(marker => marker.kind)).toEqual(['station', 'joint']);
+    expect(overlay.markers[1].detail.side).toBe('right');
+    expect(overlay.legend.find(item => item.kind === 'transitionCurve').count).toBe(2);
+    expect(overlay.legend.some(item => item.kind === 'longRail')).toBe(false);
+  });
+
+  test('表示種別を絞り込む', () => {
+    const overlay = TrackEnvironmentOverlayService.build(rangeData, { startKm: 1, endKm: 1.5, kinds: 'turnout,station' });
+
+    expect(overlay.bands.map(band => band.label)).toEqual(['21 12番 左']);
+    expect(overlay.markers.map(marker => marker.label)).toEqual(['A駅']);
+  });
+
+  test('未対応の表示種別・範囲の逆転は400エラー', () => {
+    expect(() => TrackEnvironmentOverlayService.build(rangeData, { startKm: 1, endKm: 1.5, kinds: 'river' }))
+      .toThrow(expect.objectContaining({ status: 400 }));
+    expect(() => TrackEnvironmentOverlayService.build(rangeData, { startKm: 1.5, endKm: 1 }))
+      .toThrow(expect.objectContaining({ status: 400 }));
+  });
+});
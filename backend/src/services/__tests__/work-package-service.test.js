@@ -0,0 +1,80 @@
+/**
+ * work-package-service.js のテスト
+ */
+import { describe, test, expect, beforeAll, afterAll, jest } from '@jest/globals';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import WorkPackageService from '../work-package-service.js';
+import workPackageManager from '../../utils/work-package-manager.js';
+import { RSQParser } from '../../parsers/rsq-parser.js';
+
+describe('WorkPackageService', () => {
+  const filePrefix = 'XTK001';
+  let baseDirectory;
+  let consoleSpies;
+
+  beforeAll(() => {
+    baseDirectory = fs.mkdtempSync(path.join(os.tmpdir(), 'work-package-'));
+    consoleSpies = ['log', 'warn', 'error'].map(method =>
+      jest.spyOn(console, method).mockImplementation(() => {})
+    );
+  });
+
+  afterAll(() => {
+    consoleSpies.forEach(spy => spy.mockRestore());
+    fs.rmSync(baseDirectory, { recursive: true, force: true });
+  });
+
+  /**
+   * 高低・通り(左右)のRSQファイルを作業ディレクトリへ書き出す
+   */
+  function writeRSQFiles(inputDir) {
+    const parser = new RSQParser();
+    const channels = [['1C', 5], ['2C', 4], ['5C', 3], ['6C', 3]];
+
+    fs.mkdirSync(inputDir, { recursive: true });
+    for (const [type, amplitude] of channels) {
+      const points = [];
+      for (let i = 0; i <= 2400; i++) {
+        const distance = 900 + i * 0.25;
+        points.push({ distance, value: amplitude * Math.sin(2 * Math.PI * distance / 25) });
+      }
+      const rsq = parser.fromMeasurementData(points, {
+        fileId: `TKD001${type}`,
+        measurementDate: new Date(2024, 0, 1)
+      });
+      fs.writeFileSync(path.join(inputDir, `${filePrefix}${type}.RSQ`), parser.write(rsq));
+    }
+  }
+
+  test('検測データから全工程を実行しZIPアーカイブを作成する', async () => {
+    const service = new WorkPackageService({ baseDirectory });
+    const packageId = workPackageManager.createPackage({
+      filePrefix,
+      workDirection: 'up',
+      curveSpecs: [],
+      parameters: {},
+      files: []
+    });
+    const workPackage = workPackageManager.getPackage(packageId);
+    workPackage.config.workSection = service.buildWorkSection(
+      { startKm: 1000, endKm: 1400, lineName: 'TK', mttType: '08-475' },
+      packageId
+    );
+    writeRSQFiles(service.getPackageDirectories(packageId).input);
+
+    await service.run(packageId);
+
+    expect(workPackage.error).toBeNull();
+    expect(workPackage.status).toBe('completed');
+    expect(workPackage.stages.every(stage => stage.status === 'completed')).toBe(true);
+    expect(fs.existsSync(workPackage.archivePath)).toBe(true);
+    expect(Object.keys(workPackage.result.exports)).toEqual(
+      expect.arrayContaining(['als', 'mtt', 'csv'])
+    );
+    expect(Number.isFinite(workPackage.result.statistics.averageUpward)).toBe(true);
+
+    workPackageManager.deletePackage(packageId);
+  }, 60000);
+});
@@ -0,0 +1,541 @@
+/**
+ * 整備前後比較サービス
+ * Before/after comparison of two inspection runs
+ *
+ * 別々の検測で得た整備前・整備後データは、キロ程のずれ（走行距離の誤差）を含むため、
+ * そのまま QualityAnalyzer / QualityVerifier に渡すことはできない。
+ * 1. CK（駅・構造物・曲線）/ PNT（地点）のキロ程マーカーを両方の検測で対応付け、区分線形に補正
+ * 2. 区間ごとに CorrelationMatcher の相互相関で残りのずれを補正
+ * 3. 整備後データを整備前の位置に再サンプリングし、200m区間別・波長帯域別の良化率を算出
+ * 4. 作業効果レポートを作成
+ */
+
+const CorrelationMatcher = require('../algorithms/correlation-matcher');
+const QualityAnalyzer = require('../analyzers/quality-analyzer');
+const QualityVerifier = require('../algorithms/quality-verifier');
+const WavebandAnalyzer = require('../analyzers/waveband-analyzer');
+const { createError, round, interpolate, findInterval } = require('../utils/common');
+
+const DIRECTIONS = ['lateral', 'vertical'];
+
+/**
+ * キヤ検測データの測定項目（standardMeasurements）→ 方向
+ */
+const DEFAULT_CHANNELS = {
+  lateral: 'alignment_left',
+  vertical: 'elevation_left'
+};
+
+class BeforeAfterComparisonService {
+  constructor(options = {}) {
+    this.sectionLength = options.sectionLength || 200;        // 区間別評価の区間長 (m)
+    this.windowLength = options.windowLength || 200;          // 相互相関の区間長 (m)
+    this.searchRange = options.searchRange || 10;             // 相互相関の探索範囲 ±(m)
+    this.stepSize = options.stepSize || 0.25;                 // 相互相関の探索ステップ (m)
+    this.correlationInterval = options.correlationInterval || 1; // 相互相関に使うデータ間隔 (m)
+    this.targetImprovement = options.targetImprovement || 40; // 目標良化率 (%)
+    this.matcher = new CorrelationMatcher({
+      searchRange: this.searchRange,
+      correlationThreshold: options.correlationThreshold
+    });
+    this.qualityAnalyzer = new QualityAnalyzer();
+    this.qualityVerifier = new QualityVerifier();
+  }
+
+  /**
+   * キヤ検測データセットを比較用の検測データに変換
+   * @param {Object} dataset - KiyaDataProcessor のデータセット
+   * @param {Object} [channels] - 方向ごとの測定項目名
+   * @returns {Object} 検測データ {label, lateral, vertical, positionInfo}
+   */
+  fromKiyaDataset(dataset, channels = DEFAULT_CHANNELS) {
+    const measurements = dataset.data?.standardMeasurements || [];
+    if (measurements.length === 0) {
+      throw createError(400, `データセット ${dataset.id} に測定データがありません`);
+    }
+
+    const run = {
+      label: dataset.name || dataset.id,
+      positionInfo: dataset.data.positionInfo || null
+    };
+    for (const direction of DIRECTIONS) {
+      const key = channels[direction];
+      run[direction] = measurements
+        .filter(m => Number.isFinite(m.measurements?.[key]))
+        .map(m => ({ position: m.distance, value: m.measurements[key] }));
+    }
+    return run;
+  }
+
+  /**
+   * 整備前後の検測データを位置合わせして比較
+   * @param {Object} beforeRun - 整備前 {lateral, vertical: [{position, value}], markers?, positionInfo?, pnt?}
+   * @param {Object} afterRun - 整備後（同上）
+   * @param {Object} options - 比較条件
+   * @param {number} [options.start] - 比較区間の開始位置（整備前のキロ程, m）
+   * @param {number} [options.end] - 比較区間の終了位置（整備前のキロ程, m）
+   * @param {string} [options.alignChannel] - 相互相関に使う方向（省略時は vertical、無ければ lateral）
+   * @returns {Object} 位置合わせ結果・区間別/波長帯域別の良化率・作業効果レポート
+   */
+  compare(beforeRun, afterRun, options = {}) {
+    const { alignment, aligned, directions, warnings } = this.align(beforeRun, afterRun, options);
+
+    // 4. 品質評価
+    const quality = this.evaluate(aligned, directions);
+
+    return {
+      alignment,
+      range: {
+        start: aligned.positions[0],
+        end: aligned.positions[aligned.positions.length - 1],
+        interval: aligned.interval,
+        points: aligned.positions.length
+      },
+      directions,
+      series: {
+        position: aligned.positions,
+        before: aligned.before,
+        after: aligned.after
+      },
+      ...quality,
+      warnings
+    };
+  }
+
+  /**
+   * 整備後データを整備前のキロ程へ位置合わせ（品質評価なし）
+   * @param {Object} beforeRun - 基準とする検測データ
+   * @param {Object} afterRun - 位置合わせする検測データ
+   * @param {Object} options - compare() と同じ
+   * @returns {Object} {alignment, aligned: {positions, interval, before, after}, directions, warnings}
+   */
+  align(beforeRun, afterRun, options = {}) {
+    const before = this.normalizeRun(beforeRun, '整備前');
+    const after = this.normalizeRun(afterRun, '整備後');
+    const directions = DIRECTIONS.filter(d => before[d] && after[d]);
+    if (directions.length === 0) {
+      throw createError(400, '整備前後で共通の方向（lateral / vertical）のデータがありません');
+    }
+
+    const warnings = [];
+    const alignChannel = options.alignChannel || (directions.includes('vertical') ? 'vertical' : 'lateral');
+    if (!directions.includes(alignChannel)) {
+      throw createError(400, `位置合わせに使う方向 ${alignChannel} のデータがありません`);
+    }
+
+    // 1. キロ程マーカーによる補正
+    const anchors = this.matchMarkers(this.extractMarkers(beforeRun), this.extractMarkers(afterRun));
+    if (anchors.length === 0) {
+      warnings.push('対応するキロ程マーカーがないため、相互相関のみで位置合わせします');
+    }
+    const markerMap = position => this.mapByAnchors(anchors, position);
+
+    // 2. 相互相関による補正
+    const windows = this.refineByCorrelation(before[alignChannel], after[alignChannel], markerMap);
+    const usedWindows = windows.filter(w => w.used);
+    if (usedWindows.length === 0) {
+      warnings.push('相互相関が閾値を超える区間がないため、キロ程マーカーのみで位置合わせします');
+    } else if (usedWindows.length < windows.length) {
+      warnings.push(`${windows.length - usedWindows.length}区間は相関が低いため、前後の区間のずれで補間しました`);
+    }
+    const positionMap = position => {
+      const mapped = markerMap(position);
+      return mapped + this.interpolateOffset(usedWindows, mapped);
+    };
+
+    // 3. 整備後データを整備前の位置へ再サンプリング
+    const aligned = this.alignRuns(before, after, directions, positionMap, options);
+    if (aligned.positions.length < 2) {
+      throw createError(422, '位置合わせ後に整備前後で重なる区間がありません');
+    }
+
+    return {
+      alignment: {
+        alignChannel,
+        anchors,
+        windows,
+        averageCorrelation: usedWindows.length > 0
+          ? round(usedWindows.reduce((sum, w) => sum + w.correlation, 0) / usedWindows.length)
+          : null,
+        offsetRange: usedWindows.length > 0
+          ? {
+            min: Math.min(...usedWindows.map(w => w.totalOffset)),
+            max: Math.max(...usedWindows.map(w => w.totalOffset))
+          }
+          : null
+      },
+      aligned,
+      directions,
+      warnings
+    };
+  }
+
+  /**
+   * 検測データを方向ごとの {positions, values} に揃える
+   */
+  normalizeRun(run, label) {
+    if (!run || typeof run !== 'object') {
+      throw createError(400, `${label}の検測データが指定されていません`);
+    }
+
+    const normalized = {};
+    for (const direction of DIRECTIONS) {
+      const data = run[direction];
+      if (!Array.isArray(data) || data.length === 0) continue;
+      if (data.length < 8) {
+        throw createError(400, `${label}の ${direction} のデータが不足しています`);
+      }
+
+      const points = data
+        .map(point => ({ position: point.position ?? point.distance, value: point.value }))
+        .filter(point => Number.isFinite(point.position) && Number.isFinite(point.value))
+        .sort((a, b) => a.position - b.position);
+      normalized[direction] = {
+        positions: points.map(point => point.position),
+        values: points.map(point => point.value)
+      };
+    }
+    return normalized;
+  }
+
+  /**
+   * キロ程マーカーを抽出
+   * - markers: [{key, position}] 直接指定
+   * - positionInfo: CK由来の位置情報（駅・構造物・曲線の始終点、キロ程は km）
+   * - pnt: PNTParser の結果（地点種別・地点番号、キロ程は m）
+   * @returns {Array<{key: string, position: number, source: string}>} position は検測データと同じ m
+   */
+  extractMarkers(run) {
+    const markers = [];
+
+    for (const marker of run.markers || []) {
+      const key = marker.key ?? marker.id ?? marker.name;
+      if (key !== undefined && Number.isFinite(marker.position)) {
+        markers.push({ key: String(key), position: marker.position, source: 'manual' });
+      }
+    }
+
+    const info = run.positionInfo;
+    if (info) {
+      const toMeters = km => (Number.isFinite(km) ? round(km * 1000) : null);
+      for (const station of info.stations || []) {
+        markers.push({ key: `CK:${station.id}`, position: toMeters(station.km), source: 'ck' });
+      }
+      for (const item of [...(info.structures || []), ...(info.curves || [])]) {
+        markers.push({ key: `CK:${item.id}:start`, position: toMeters(item.startKm), source: 'ck' });
+        markers.push({ key: `CK:${item.id}:end`, position: toMeters(item.endKm), source: 'ck' });
+      }
+    }
+
+    for (const point of run.pnt?.points || []) {
+      markers.push({
+        key: `PNT:${point.pointType}:${point.pointNumber}`,
+        position: point.kilometer,
+        source: 'pnt'
+      });
+    }
+
+    return markers.filter(marker => Number.isFinite(marker.position));
+  }
+
+  /**
+   * 整備前後のマーカーを対応付け
+   * キロ程の順序が入れ替わる対応（誤対応）は除外する
+   * @returns {Array<{key, before, after, offset, source}>} 整備後のキロ程順
+   */
+  matchMarkers(beforeMarkers, afterMarkers) {
+    const beforeByKey = new Map();
+    for (const marker of beforeMarkers) {
+      if (!beforeByKey.has(marker.key)) beforeByKey.set(marker.key, marker);
+    }
+
+    const pairs = [];
+    const seen = new Set();
+    for (const marker of afterMarkers) {
+      const match = beforeByKey.get(marker.key);
+      if (!match || seen.has(marker.key)) continue;
+      seen.add(marker.key);
+      pairs.push({
+        key: marker.key,
+        before: match.position,
+        after: marker.position,
+        offset: round(match.position - marker.position),
+        source: marker.source
+      });
+    }
+
+    pairs.sort((a, b) => a.after - b.after);
+    const anchors = [];
+    for (const pair of pairs) {
+      const last = anchors[anchors.length - 1];
+      if (last && (pair.before <= last.before || pair.after <= last.after)) continue;
+      anchors.push(pair);
+    }
+    return anchors;
+  }
+
+  /**
+   * マーカーによる整備後キロ程 → 整備前キロ程の区分線形変換（両端の外側は端のずれを一定とする）
+   */
+  mapByAnchors(anchors, position) {
+    if (anchors.length === 0) return position;
+    if (position <= anchors[0].after) return position + anchors[0].before - anchors[0].after;
+
+    const last = anchors[anchors.length - 1];
+    if (position >= last.after) return position + last.before - last.after;
+
+    const j = findInterval(anchors.map(a => a.after), position);
+    const a0 = anchors[j];
+    const a1 = anchors[j + 1];
+    const t = (position - a0.after) / (a1.after - a0.after);
+    return a0.before + (a1.before - a0.before) * t;
+  }
+
+  /**
+   * 区間ごとに相互相関で残りのずれを求める
+   * @returns {Array<{start, end, center, offset, totalOffset, correlation, quality, used}>}
+   */
+  refineByCorrelation(before, after, markerMap) {
+    const decimate = (series, mapper) => {
+      const interval = this.estimateInterval(series.positions);
+      const step = Math.max(1, Math.round(this.correlationInterval / interval));
+      const positions = [];
+      const values = [];
+      for (let i = 0; i < series.positions.length; i += step) {
+        positions.push(mapper(series.positions[i]));
+        values.push(series.values[i]);
+      }
+      return { positions, values };
+    };
+
+    const chart = decimate(before, position => position);
+    const field = decimate(after, markerMap);
+    const windows = [];
+
+    const first = Math.max(field.positions[0], chart.positions[0] + this.searchRange);
+    const last = Math.min(field.positions[field.positions.length - 1], chart.positions[chart.positions.length - 1] - this.searchRange);
+
+    for (let start = first; start + this.windowLength / 2 <= last; start += this.windowLength) {
+      const end = Math.min(start + this.windowLength, last);
+      const segment = this.slice(field, start, end);
+      if (segment.positions.length < 8) continue;
+
+      const chartSegment = this.slice(chart, start - this.searchRange - 1, end + this.searchRange + 1);
+      let match;
+      try {
+        match = this.matcher.findBestMatch(chartSegment, segment, {
+          searchRange: this.searchRange,
+          stepSize: this.stepSize
+        });
+      } catch (error) {
+        continue;
+      }
+
+      const center = (start + end) / 2;
+      windows.push({
+        start: round(start),
+        end: round(end),
+        center: round(center),
+        offset: match.bestOffset,
+        totalOffset: round(markerMap(center) - center + match.bestOffset),
+        correlation: round(match.bestCorrelation),
+        quality: match.quality,
+        used: match.bestCorrelation >= this.matcher.correlationThreshold
+      });
+    }
+
+    return windows;
+  }
+
+  /**
+   * 区間中心のずれを直線補間（両端の外側は端の値）
+   */
+  interpolateOffset(windows, position) {
+    if (windows.length === 0) return 0;
+    if (position <= windows[0].center) return windows[0].offset;
+
+    const last = windows[windows.length - 1];
+    if (position >= last.center) return last.offset;
+
+    const j = findInterval(windows.map(w => w.center), position);
+    const t = (position - windows[j].center) / (windows[j + 1].center - windows[j].center);
+    return windows[j].offset + (windows[j + 1].offset - windows[j].offset) * t;
+  }
+
+  /**
+   * 整備後データを整備前の位置へ再サンプリング
+   */
+  alignRuns(before, after, directions, positionMap, options) {
+    const reference = before[directions[0]];
+    const interval = this.estimateInterval(reference.positions);
+
+    const mapped = {};
+    for (const direction of directions) {
+      const points = after[direction].positions
+        .map((position, i) => ({ position: positionMap(position), value: after[direction].values[i] }))
+        .sort((a, b) => a.position - b.position);
+      mapped[direction] = {
+        positions: points.map(p => p.position),
+        values: points.map(p => p.value)
+      };
+    }
+
+    let start = options.start ?? -Infinity;
+    let end = options.end ?? Infinity;
+    for (const direction of directions) {
+      start = Math.max(start, mapped[direction].positions[0], before[direction].positions[0]);
+      end = Math.min(
+        end,
+        mapped[direction].positions[mapped[direction].positions.length - 1],
+        before[direction].positions[before[direction].positions.length - 1]
+      );
+    }
+
+    const positions = reference.positions.filter(position => position >= start && position <= end);
+    const result = { positions, interval, before: {}, after: {} };
+    for (const direction of directions) {
+      result.before[direction] = positions.map(position =>
+        interpolate(before[direction].positions, before[direction].values, position)
+      );
+      result.after[direction] = positions.map(position =>
+        interpolate(mapped[direction].positions, mapped[direction].values, position)
+      );
+    }
+    return result;
+  }
+
+  /**
+   * 全体・200m区間別・波長帯域別の良化率と作業効果
+   */
+  evaluate(aligned, directions) {
+    const n = aligned.positions.length;
+    const fill = source => {
+      const data = {};
+      for (const direction of DIRECTIONS) {
+        data[direction] = directions.includes(direction) ? source[direction] : new Array(n).fill(0);
+      }
+      return data;
+    };
+    const beforeData = fill(aligned.before);
+    const afterData = fill(aligned.after);
+
+    const overall = this.qualityAnalyzer.calculateOverallQuality(beforeData, afterData);
+
+    const pointsPerSection = Math.max(1, Math.round(this.sectionLength / aligned.interval));
+    const bySection = this.qualityAnalyzer
+      .analyzeBySections(beforeData, afterData, pointsPerSection)
+      .map(section => {
+        const startPosition = aligned.positions[section.startPosition];
+        const endPosition = aligned.positions[section.endPosition - 1] + aligned.interval;
+        return {
+          section: `${round(startPosition)}m - ${round(endPosition)}m`,
+          startPosition,
+          endPosition,
+          quality: section.quality,
+          achieved: this.meetsTarget(section.quality, directions)
+        };
+      })
+      // 区間長の1/4に満たない端数区間は評価しない
+      .filter(section => section.endPosition - section.startPosition >= this.sectionLength / 4);
+
+    const wavebandAnalyzer = new WavebandAnalyzer({ samplingInterval: aligned.interval });
+    const byWaveband = wavebandAnalyzer.wavebands.map(band => {
+      const filter = data => {
+        const filtered = {};
+        for (const direction of DIRECTIONS) {
+          filtered[direction] = directions.includes(direction)
+            ? wavebandAnalyzer.bandpassFilter(data[direction], band)
+            : data[direction];
+        }
+        return filtered;
+      };
+      return {
+        waveband: band.name,
+        range: `${band.min}m - ${band.max}m`,
+        quality: this.qualityAnalyzer.calculateOverallQuality(filter(beforeData), filter(afterData))
+      };
+    });
+
+    const effectiveness = {};
+    for (const direction of directions) {
+      const toPoints = values => values.map((value, i) => ({ position: aligned.positions[i], value }));
+      const comparison = this.qualityVerifier.compareBeforeAfter(
+        toPoints(beforeData[direction]),
+        toPoints(afterData[direction]),
+        { dataType: direction === 'vertical' ? 'level' : 'alignment', detailedComparison: false }
+      );
+      effectiveness[direction] = {
+        before: { score: comparison.before.score, level: comparison.before.level },
+        after: { score: comparison.after.score, level: comparison.after.level },
+        workQuality: comparison.workQuality,
+        workEffectiveness: this.qualityVerifier.evaluateWorkEffectiveness(comparison.improvements),
+        recommendations: comparison.recommendations
+      };
+    }
+
+    const analysis = { overall, bySection, byWaveband };
+    return {
+      overall,
+      bySection,
+      byWaveband,
+      effectiveness,
+      report: this.buildReport(analysis, directions)
+    };
+  }
+
+  /**
+   * 作業効果レポート
+   */
+  buildReport(analysis, directions) {
+    const report = this.qualityAnalyzer.generateReport(analysis);
+    const sections = analysis.bySection;
+    const achieved = sections.filter(section => section.achieved).length;
+
+    report.summary.targetImprovement = this.targetImprovement;
+    report.summary.achieved = this.meetsTarget(analysis.overall, directions);
+    report.summary.sectionsAchieved = `${achieved}/${sections.length}`;
+    report.details.sections = sections.map(section => ({
+      range: section.section,
+      improvement: section.quality.improvementRate,
+      achieved: section.achieved
+    }));
+    report.weakSections = sections
+      .filter(section => !section.achieved)
+      .map(section => section.section);
+
+    return report;
+  }
+
+  /**
+   * 比較した方向すべてで目標良化率を満たすか
+   */
+  meetsTarget(quality, directions) {
+    return directions.every(direction => quality.improvementRate[direction] >= this.targetImprovement);
+  }
+
+  slice(series, start, end) {
+    const positions = [];
+    const values = [];
+    for (let i = 0; i < series.positions.length; i++) {
+      if (series.positions[i] >= start && series.positions[i] <= end) {
+        positions.push(series.positions[i]);
+        values.push(series.values[i]);
+      }
+    }
+    return { positions, values };
+  }
+
+  /**
+   * データ間隔（中央値）
+   */
+  estimateInterval(positions) {
+    const diffs = [];
+    for (let i = 1; i < positions.length; i++) {
+      diffs.push(positions[i] - positions[i - 1]);
+    }
+    diffs.sort((a, b) => a - b);
+    return diffs[Math.floor(diffs.length / 2)] || 0.25;
+  }
+}
+
+module.exports = BeforeAfterComparisonService;
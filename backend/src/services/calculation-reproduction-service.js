@@ -0,0 +1,232 @@
+/**
+ * 計算再現サービス
+ *
+ * 仕様書「057_復元波形を用いた軌道整正計算の操作手順」P35-36に基づく実装
+ * - .PRMファイルから復元波形計算・計画線・移動量制限の設定を復元
+ * - 元の測定データで再計算
+ * - 保存済みの計算結果との差分を検証（過去の作業指示の再現性確認）
+ */
+
+const PRMExporter = require('../exporters/prm-exporter');
+const { RestorationEngine } = require('../algorithms/restoration-engine');
+
+// 差分判定の既定許容値 (mm) - 計算結果は小数点以下3桁で丸められている
+const DEFAULT_TOLERANCE = 0.001;
+
+class CalculationReproductionService {
+  constructor(options = {}) {
+    this.tolerance = options.tolerance ?? DEFAULT_TOLERANCE;
+    this.prmExporter = new PRMExporter();
+  }
+
+  /**
+   * PRMパラメータから計算設定を構築
+   * @param {Object} params - PRMExporter.parsePRMContent の結果
+   * @returns {Object} { engineOptions, restrictions }
+   */
+  buildSettings(params) {
+    const restoration = params.restoration || {};
+    const planLine = params.planLine || {};
+    const restriction = params.restriction || {};
+
+    // RestorationEngine / InverseFilter の設定
+    const engineOptions = {
+      minWavelength: restoration.minWavelength,
+      maxWavelength: restoration.maxWavelength,
+      samplingInterval: restoration.samplingInterval,
+      planLineMethod: planLine.generationMethod === 'MOVING_AVERAGE' ? 'moving-average' : 'zero-point'
+    };
+
+    // PlanLineZeroPointSystem.adjustPlanLineWithRestrictions の制限設定
+    const restrictions = {
+      standard: restriction.standardLimit,
+      maximum: restriction.maximumLimit,
+      upwardPriority: planLine.priorityMode === undefined ? undefined : planLine.priorityMode === 'UPWARD',
+      // 区間・制限量が数値でない行は不動点として扱わない
+      fixedPoints: (restriction.points || [])
+        .map(point => ({
+          startDistance: point.startKm,
+          endDistance: point.endKm,
+          maxMovement: point.isFixed ? 0 : point.amount,
+          direction: point.direction
+        }))
+        .filter(point =>
+          Number.isFinite(point.startDistance) &&
+          Number.isFinite(point.endDistance) &&
+          Number.isFinite(point.maxMovement)
+        )
+    };
+
+    // 未指定の項目は各モジュールの既定値を使用する
+    Object.keys(engineOptions).forEach(key => {
+      if (engineOptions[key] === undefined) delete engineOptions[key];
+    });
+    Object.keys(restrictions).forEach(key => {
+      if (restrictions[key] === undefined) delete restrictions[key];
+    });
+
+    return { engineOptions, restrictions };
+  }
+
+  /**
+   * 測定データのテキストを解析
+   * CSV（距離,測定値）またはJSON配列 [{ distance, value }] に対応
+   * @param {string} content - ファイル内容
+   * @returns {Array<{distance: number, value: number}>} 測定データ
+   */
+  parseMeasurementContent(content) {
+    const trimmed = content.trim();
+
+    if (trimmed.startsWith('[')) {
+      return JSON.parse(trimmed).map(point => ({
+        distance: Number(point.distance),
+        value: Number(point.value)
+      }));
+    }
+
+    const measurementData = [];
+    for (const line of trimmed.split(/\r?\n/)) {
+      const fields = line.split(',').map(f => f.trim());
+      const distance = parseFloat(fields[0]);
+      const value = parseFloat(fields[1]);
+
+      // ヘッダー行・コメント行は数値にならないため読み飛ばす
+      if (!isNaN(distance) && !isNaN(value)) {
+        measurementData.push({ distance, value });
+      }
+    }
+
+    return measurementData;
+  }
+
+  /**
+   * PRMファイルと測定データから計算を再実行
+   * @param {Object} input - 入力
+   * @param {string} input.prmContent - PRMファイル内容
+   * @param {Array} input.measurementData - 測定データ [{ distance, value }]
+   * @param {Object} input.storedResult - 保存済みの計算結果（任意）
+   * @param {number} input.tolerance - 差分判定の許容値 (mm)（任意）
+   * @returns {Object} 再計算結果と差分
+   */
+  reproduce({ prmContent, measurementData, storedResult = null, tolerance }) {
+    const parameters = this.prmExporter.parsePRMContent(prmContent);
+    const { engineOptions, restrictions } = this.buildSettings(parameters);
+
+    const engine = new RestorationEngine(engineOptions);
+    const result = engine.calculate(measurementData, { restrictions });
+
+    if (!result.success) {
+      throw new Error(`再計算に失敗しました: ${result.error}`);
+    }
+
+    const comparison = storedResult
+      ? this.compareResults(storedResult, result, tolerance ?? this.tolerance)
+      : null;
+
+    return {
+      parameters,
+      settings: { engineOptions, restrictions },
+      result,
+      comparison
+    };
+  }
+
+  /**
+   * 計算結果を比較用の形式に正規化
+   * /api/restoration/calculate のレスポンス形式と RestorationEngine.calculate の結果形式に対応
+   * @param {Object} result - 計算結果
+   * @returns {Object} { restoredWaveform, planLine, movement }
+   */
+  normalizeResult(result) {
+    const source = result.data || result;
+
+    const movement = source.movementData
+      ? source.movementData.map(d => ({ distance: d.distance, value: d.tamping }))
+      : (source.movementAmounts || []).map(d => ({ distance: d.distance, value: d.amount }));
+
+    return {
+      restoredWaveform: source.restoredWaveform || source.restorationWaveform || [],
+      planLine: source.planLine || [],
+      movement
+    };
+  }
+
+  /**
+   * 2系列の差分を計算
+   * @param {Array} stored - 保存済み系列 [{ distance, value }]
+   * @param {Array} current - 再計算系列 [{ distance, value }]
+   * @param {number} tolerance - 許容値
+   * @returns {Object} 差分統計
+   */
+  compareSeries(stored, current, tolerance) {
+    const count = Math.min(stored.length, current.length);
+    let maxAbsDiff = 0;
+    let sumSquares = 0;
+    let mismatchCount = 0;
+    let firstMismatch = null;
+
+    for (let i = 0; i < count; i++) {
+      const diff = current[i].value - stored[i].value;
+      const absDiff = Math.abs(diff);
+
+      maxAbsDiff = Math.max(maxAbsDiff, absDiff);
+      sumSquares += diff * diff;
+
+      if (absDiff > tolerance) {
+        mismatchCount++;
+        if (!firstMismatch) {
+          firstMismatch = {
+            index: i,
+            distance: stored[i].distance,
+            stored: stored[i].value,
+            current: current[i].value,
+            diff: parseFloat(diff.toFixed(6))
+          };
+        }
+      }
+    }
+
+    const lengthMatches = stored.length === current.length;
+
+    return {
+      storedLength: stored.length,
+      currentLength: current.length,
+      lengthMatches,
+      maxAbsDiff: parseFloat(maxAbsDiff.toFixed(6)),
+      rmsDiff: count > 0 ? parseFloat(Math.sqrt(sumSquares / count).toFixed(6)) : 0,
+      mismatchCount,
+      firstMismatch,
+      identical: lengthMatches && mismatchCount === 0
+    };
+  }
+
+  /**
+   * 保存済み結果と再計算結果を比較
+   * @param {Object} storedResult - 保存済み結果
+   * @param {Object} currentResult - 再計算結果
+   * @param {number} tolerance - 許容値 (mm)
+   * @returns {Object} 比較結果
+   */
+  compareResults(storedResult, currentResult, tolerance = this.tolerance) {
+    const stored = this.normalizeResult(storedResult);
+    const current = this.normalizeResult(currentResult);
+
+    const series = {
+      restoredWaveform: this.compareSeries(stored.restoredWaveform, current.restoredWaveform, tolerance),
+      planLine: this.compareSeries(stored.planLine, current.planLine, tolerance),
+      movement: this.compareSeries(stored.movement, current.movement, tolerance)
+    };
+
+    // 保存済み結果に含まれない系列は判定対象外
+    const compared = Object.entries(series).filter(([, s]) => s.storedLength > 0);
+
+    return {
+      tolerance,
+      reproducible: compared.length > 0 && compared.every(([, s]) => s.identical),
+      comparedSeries: compared.map(([name]) => name),
+      series
+    };
+  }
+}
+
+module.exports = CalculationReproductionService;
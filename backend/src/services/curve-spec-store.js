@@ -0,0 +1,86 @@
+/**
+ * 曲線諸元データセットストア
+ * Persistent curve-spec datasets shared between API servers
+ *
+ * 曲線諸元（CurveSpecParser 形式）をプロジェクトID（曲線諸元データセットID）ごとにファイル保存する。
+ * 補正処理など別プロセスのサーバーからも同じデータセットIDで参照できるよう、
+ * 自プロセスで保存したもの以外は参照のたびにファイルから読む。
+ */
+
+const path = require('path');
+const { ProjectStore } = require('../utils/project-store');
+
+class CurveSpecStore {
+  /**
+   * @param {ProjectStore} store - 永続化ストア
+   */
+  constructor(store = new ProjectStore(path.join(__dirname, '../../data/projects/curve-specs'))) {
+    this.store = store;
+    this.written = new Map(); // 自プロセスで保存したデータセット（書き込み完了前の参照用）
+  }
+
+  /**
+   * 曲線諸元データセットを取得
+   * @param {string} id - データセットID
+   * @returns {Object|null} {id, curveSpecs, filename, uploadedAt, summary}
+   */
+  get(id) {
+    return this.written.get(id) || this.store.loadSync(id);
+  }
+
+  /**
+   * 曲線諸元データセットが存在するか
+   * @param {string} id - データセットID
+   * @returns {boolean}
+   */
+  has(id) {
+    return this.get(id) !== null;
+  }
+
+  /**
+   * 曲線諸元データセットを保存
+   * @param {string} id - データセットID
+   * @param {Object} data - {curveSpecs, filename, uploadedAt, summary}
+   * @returns {Promise<void>}
+   */
+  set(id, data) {
+    const record = { ...data, id };
+    this.written.set(id, record);
+    return this.store.save(record).catch(error => {
+      console.error(`曲線諸元保存エラー (${id}):`, error);
+    });
+  }
+
+  /**
+   * 曲線諸元データセットを削除
+   * @param {string} id - データセットID
+   * @returns {Promise<void>}
+   */
+  delete(id) {
+    this.written.delete(id);
+    return this.store.delete(id).catch(error => {
+      console.error(`曲線諸元削除エラー (${id}):`, error);
+    });
+  }
+
+  /**
+   * 曲線諸元を取得（存在しない場合は404エラー）
+   * @param {string} id - データセットID
+   * @returns {Array} 曲線諸元
+   */
+  requireCurveSpecs(id) {
+    const data = this.get(id);
+    if (!data) {
+      const error = new Error(`曲線諸元データセットが見つかりません: ${id}`);
+      error.status = 404;
+      throw error;
+    }
+    return data.curveSpecs;
+  }
+}
+
+// シングルトンインスタンス
+const curveSpecStore = new CurveSpecStore();
+
+module.exports = curveSpecStore;
+module.exports.CurveSpecStore = CurveSpecStore;
@@ -0,0 +1,489 @@
+/**
+ * 軌道狂い進み（経年劣化）傾向分析サービス
+ * Long-term track degradation trend analysis
+ *
+ * 同一線区の検測データ（検測回）を蓄積し、ロット（100m / 200m）ごとに狂いの進みを回帰分析する。
+ * 1. 最新の検測回を基準に、過去の検測回を BeforeAfterComparisonService.align() でキロ程合わせ
+ * 2. ロットごとに各検測回の σ値・最大値（絶対値）を算出し、経過年数に対して直線回帰
+ * 3. 最大値の回帰直線が LK 管理値に達する時期を予測（σ値の管理値を指定した場合は σ値も）
+ * 4. 超過予測時期の早い順に整備優先順位を付ける
+ */
+
+const path = require('path');
+const { ProjectStore } = require('../utils/project-store');
+const QualityAnalyzer = require('../analyzers/quality-analyzer');
+const ExceedanceDetector = require('../analyzers/exceedance-detector');
+const BeforeAfterComparisonService = require('./before-after-comparison-service');
+const { createError, round, interpolate } = require('../utils/common');
+
+const DIRECTIONS = ['lateral', 'vertical'];
+const DAYS_PER_YEAR = 365.25;
+const MS_PER_YEAR = DAYS_PER_YEAR * 24 * 60 * 60 * 1000;
+
+class DegradationTrendService {
+  /**
+   * @param {ProjectStore} store - 検測回の永続化ストア
+   */
+  constructor(store = new ProjectStore(path.join(__dirname, '../../data/projects/inspection-runs'))) {
+    this.store = store;
+    this.runs = new Map();
+    this.loaded = null;
+    this.runIdCounter = 0;
+    this.qualityAnalyzer = new QualityAnalyzer();
+  }
+
+  /**
+   * 保存済みの検測回を読み込み（初回参照時に一度だけ）
+   */
+  ensureLoaded() {
+    if (!this.loaded) {
+      this.loaded = this.store.loadAll().then(records => {
+        for (const record of records) {
+          if (record && record.id && record.lineId) {
+            this.runs.set(record.id, record);
+          }
+        }
+      });
+    }
+    return this.loaded;
+  }
+
+  /**
+   * 線区の検測回一覧（測定日順、波形データは除く）
+   * @param {string} lineId - 線区ID
+   * @returns {Promise<Object[]>} 検測回の概要
+   */
+  async listRuns(lineId) {
+    const runs = await this.getRuns(lineId);
+    return runs.map(run => this.summarize(run));
+  }
+
+  /**
+   * 線区の検測回（測定日順）
+   */
+  async getRuns(lineId) {
+    await this.ensureLoaded();
+    return Array.from(this.runs.values())
+      .filter(run => run.lineId === lineId)
+      .sort((a, b) => new Date(a.date) - new Date(b.date));
+  }
+
+  /**
+   * 検測回を登録
+   * @param {string} lineId - 線区ID
+   * @param {Object} input - 検測データ {date, label, lateral, vertical: [{position, value}], markers, positionInfo, pnt, managementValues}
+   * @returns {Promise<Object>} 登録した検測回の概要
+   */
+  async addRun(lineId, input = {}) {
+    await this.ensureLoaded();
+
+    if (!lineId) {
+      throw createError(400, '線区ID（lineId）が指定されていません');
+    }
+    const date = this.parseDate(input.date);
+    if (!DIRECTIONS.some(direction => Array.isArray(input[direction]) && input[direction].length > 0)) {
+      throw createError(400, '検測データ（lateral / vertical）が指定されていません');
+    }
+
+    const record = {
+      id: `run_${Date.now()}_${++this.runIdCounter}`,
+      lineId,
+      date: date.toISOString(),
+      label: input.label || date.toISOString().slice(0, 10),
+      source: input.source || null,
+      lateral: input.lateral || null,
+      vertical: input.vertical || null,
+      markers: input.markers || null,
+      positionInfo: input.positionInfo || null,
+      pnt: input.pnt || null,
+      managementValues: input.managementValues || null,
+      createdAt: new Date().toISOString()
+    };
+
+    await this.store.save(record);
+    this.runs.set(record.id, record);
+    return this.summarize(record);
+  }
+
+  /**
+   * キヤ検測データセットを検測回として登録
+   * @param {string} lineId - 線区ID
+   * @param {Object} dataset - KiyaDataProcessor のデータセット
+   * @param {Object} options - {date, label, channels}
+   * @returns {Promise<Object>} 登録した検測回の概要
+   */
+  async addRunFromKiyaDataset(lineId, dataset, options = {}) {
+    const comparison = new BeforeAfterComparisonService();
+    const run = comparison.fromKiyaDataset(dataset, options.channels);
+
+    return this.addRun(lineId, {
+      ...run,
+      date: options.date || dataset.metadata?.measurementDate,
+      label: options.label || run.label,
+      source: { type: 'kiya', datasetId: dataset.id },
+      managementValues: dataset.data?.managementValues?.length > 0 ? dataset.data.managementValues : null
+    });
+  }
+
+  /**
+   * 検測回を削除
+   * @param {string} runId - 検測回ID
+   */
+  async deleteRun(runId) {
+    await this.ensureLoaded();
+
+    if (!this.runs.has(runId)) {
+      throw createError(404, `検測回が見つかりません: ${runId}`);
+    }
+    await this.store.delete(runId);
+    this.runs.delete(runId);
+  }
+
+  /**
+   * 線区の狂い進みを分析
+   * @param {string} lineId - 線区ID
+   * @param {Object} options - 分析条件
+   * @param {number} [options.lotLength=200] - ロット長 (m)
+   * @param {number} [options.start] - 分析区間の開始位置 (m)
+   * @param {number} [options.end] - 分析区間の終了位置 (m)
+   * @param {Object} [options.limits] - 方向ごとの管理値 (mm)。指定時は LK 管理値より優先
+   * @param {Object} [options.sigmaLimits] - 方向ごとの σ値の管理値 (mm)
+   * @param {Array} [options.managementValues] - LK 管理値（省略時は検測回に保存された値）
+   * @param {string} [options.asOf] - 予測の基準日（省略時は最新の測定日）
+   * @param {number} [options.horizonYears=10] - 予測期間 (年)。これより先の超過は優先順位の対象外
+   * @returns {Promise<Object>} ロット別の回帰結果・超過予測・整備優先順位
+   */
+  async analyze(lineId, options = {}) {
+    const runs = await this.getRuns(lineId);
+    if (runs.length < 2) {
+      throw createError(422, `線区 ${lineId} の検測回が不足しています（2回以上必要、登録済み ${runs.length}回）`);
+    }
+
+    const lotLength = options.lotLength || 200;
+    const horizonYears = options.horizonYears || 10;
+    const origin = new Date(runs[0].date).getTime();
+    const reference = runs[runs.length - 1];
+    const asOf = options.asOf ? this.parseDate(options.asOf).getTime() : new Date(reference.date).getTime();
+    const asOfYears = (asOf - origin) / MS_PER_YEAR;
+    const warnings = [];
+
+    // 1. 各検測回を最新の検測回のキロ程へ位置合わせ
+    const aligner = new BeforeAfterComparisonService();
+    const series = [];
+    for (const run of runs) {
+      if (run === reference) continue;
+      try {
+        const { alignment, aligned, directions } = aligner.align(reference, run, {
+          start: options.start,
+          end: options.end
+        });
+        series.push({
+          run,
+          years: (new Date(run.date).getTime() - origin) / MS_PER_YEAR,
+          positions: aligned.positions,
+          values: aligned.after,
+          directions,
+          alignment: {
+            anchors: alignment.anchors.length,
+            averageCorrelation: alignment.averageCorrelation,
+            offsetRange: alignment.offsetRange
+          }
+        });
+      } catch (error) {
+        if (!error.status) throw error;
+        warnings.push(`${run.label}: 位置合わせできないため除外しました（${error.message}）`);
+      }
+    }
+    series.push(this.referenceSeries(reference, (new Date(reference.date).getTime() - origin) / MS_PER_YEAR, options));
+
+    const directions = DIRECTIONS.filter(direction => series.every(item => item.directions.includes(direction)));
+    if (directions.length === 0) {
+      throw createError(422, '全検測回で共通の方向（lateral / vertical）のデータがありません');
+    }
+    if (series.length < 2) {
+      throw createError(422, '位置合わせできた検測回が不足しています（2回以上必要）');
+    }
+
+    // 2. ロット別の回帰と超過予測
+    const referencePositions = series[series.length - 1].positions;
+    if (referencePositions.length < 2) {
+      throw createError(422, '分析区間に最新の検測回のデータがありません');
+    }
+    // 一部区間しか重ならない検測回は、ロットごとのデータ欠け判定で除外する
+    const rangeStart = referencePositions[0];
+    const rangeEnd = referencePositions[referencePositions.length - 1];
+    const managementValues = options.managementValues
+      || [...runs].reverse().find(run => run.managementValues)?.managementValues
+      || [];
+    if (!options.limits && managementValues.length === 0) {
+      warnings.push('LK管理値がないため、管理値超過の予測は行いません');
+    }
+
+    const lots = [];
+    for (let lotStart = rangeStart; lotStart < rangeEnd; lotStart += lotLength) {
+      const lotEnd = Math.min(lotStart + lotLength, rangeEnd);
+      // ロット長の1/4に満たない端数ロットは評価しない
+      if (lotEnd - lotStart < lotLength / 4) break;
+
+      const expected = referencePositions.filter(p => p >= lotStart && p < lotEnd).length;
+      const lot = {
+        lot: `${round(lotStart)}m - ${round(lotEnd)}m`,
+        startPosition: lotStart,
+        endPosition: lotEnd,
+        directions: {}
+      };
+
+      for (const direction of directions) {
+        const history = [];
+        for (const item of series) {
+          const values = [];
+          item.positions.forEach((position, i) => {
+            if (position >= lotStart && position < lotEnd) values.push(item.values[direction][i]);
+          });
+          // データの半分以上が欠けている検測回は使わない
+          if (values.length < expected / 2 || values.length < 2) continue;
+          history.push({
+            runId: item.run.id,
+            date: item.run.date,
+            years: item.years,
+            sigma: round(this.qualityAnalyzer.calculateSigma(values)),
+            peak: round(values.reduce((max, value) => Math.max(max, Math.abs(value)), 0))
+          });
+        }
+
+        const limit = this.resolveLimit(direction, lotStart, lotEnd, options.limits, managementValues);
+        const sigmaLimit = options.sigmaLimits?.[direction] ?? null;
+        const sigmaTrend = this.regress(history.map(h => h.years), history.map(h => h.sigma));
+        const peakTrend = this.regress(history.map(h => h.years), history.map(h => h.peak));
+
+        lot.directions[direction] = {
+          history,
+          sigmaTrend,
+          peakTrend,
+          limit,
+          sigmaLimit,
+          forecast: {
+            peak: this.forecastExceedance(peakTrend, limit, asOfYears, origin),
+            sigma: this.forecastExceedance(sigmaTrend, sigmaLimit, asOfYears, origin)
+          }
+        };
+      }
+
+      lots.push(lot);
+    }
+
+    return {
+      lineId,
+      lotLength,
+      asOf: new Date(asOf).toISOString(),
+      horizonYears,
+      runs: series.map(item => ({
+        ...this.summarize(item.run),
+        years: round(item.years),
+        alignment: item.alignment || null
+      })),
+      directions,
+      range: { start: rangeStart, end: rangeEnd },
+      lots,
+      priorities: this.rankLots(lots, directions, horizonYears),
+      warnings
+    };
+  }
+
+  /**
+   * 基準（最新）の検測回を位置合わせ済みデータと同じ形式にする
+   */
+  referenceSeries(run, years, options) {
+    const aligner = new BeforeAfterComparisonService();
+    const normalized = aligner.normalizeRun(run, run.label);
+    const directions = DIRECTIONS.filter(direction => normalized[direction]);
+    const base = normalized[directions[0]];
+    const positions = base.positions.filter(p =>
+      (options.start === undefined || p >= options.start) && (options.end === undefined || p <= options.end)
+    );
+
+    const values = {};
+    for (const direction of directions) {
+      values[direction] = positions.map(p =>
+        interpolate(normalized[direction].positions, normalized[direction].values, p)
+      );
+    }
+    return { run, years, positions, values, directions };
+  }
+
+  /**
+   * ロット中央位置の LK 管理値 (mm)
+   * @returns {number|null}
+   */
+  resolveLimit(direction, lotStart, lotEnd, limits, managementValues) {
+    if (limits && Number.isFinite(limits[direction])) {
+      return limits[direction];
+    }
+
+    // 高低・通りの管理値は ExceedanceDetector と同じ L 行項目から読む
+    const detector = new ExceedanceDetector();
+    const entry = detector.findManagementValue(managementValues, (lotStart + lotEnd) / 2);
+    const limit = detector.getLimit(direction === 'vertical' ? 'level' : 'alignment', entry);
+    return limit ? limit.plus : null;
+  }
+
+  /**
+   * 最小二乗法による直線回帰 y = intercept + slope * years
+   * @returns {Object|null} {slope (mm/年), intercept, r2, count}
+   */
+  regress(xs, ys) {
+    const n = xs.length;
+    if (n < 2) return null;
+
+    const meanX = xs.reduce((sum, x) => sum + x, 0) / n;
+    const meanY = ys.reduce((sum, y) => sum + y, 0) / n;
+    let sxx = 0;
+    let sxy = 0;
+    let syy = 0;
+    for (let i = 0; i < n; i++) {
+      sxx += (xs[i] - meanX) ** 2;
+      sxy += (xs[i] - meanX) * (ys[i] - meanY);
+      syy += (ys[i] - meanY) ** 2;
+    }
+    if (sxx === 0) return null;
+
+    const slope = sxy / sxx;
+    return {
+      slope: round(slope),
+      intercept: round(meanY - slope * meanX),
+      // 2回のみの場合は決定係数を評価しない
+      r2: n > 2 && syy > 0 ? round((sxy * sxy) / (sxx * syy)) : null,
+      count: n
+    };
+  }
+
+  /**
+   * 回帰直線が管理値に達する時期
+   * @param {Object|null} trend - regress() の結果
+   * @param {number|null} limit - 管理値 (mm)
+   * @param {number} asOfYears - 基準日（最初の検測からの経過年数）
+   * @param {number} origin - 最初の検測日 (ms)
+   * @returns {Object|null} {status: 'exceeded'|'forecast'|'stable', date, remainingYears, current}
+   */
+  forecastExceedance(trend, limit, asOfYears, origin) {
+    if (!trend || !Number.isFinite(limit)) return null;
+
+    const current = round(trend.intercept + trend.slope * asOfYears);
+    if (current >= limit) {
+      const crossing = trend.slope > 0 ? (limit - trend.intercept) / trend.slope : asOfYears;
+      return {
+        status: 'exceeded',
+        date: this.toDate(origin, Math.min(crossing, asOfYears)),
+        remainingYears: 0,
+        current
+      };
+    }
+    if (trend.slope <= 0) {
+      return { status: 'stable', date: null, remainingYears: null, current };
+    }
+
+    const crossing = (limit - trend.intercept) / trend.slope;
+    return {
+      status: 'forecast',
+      date: this.toDate(origin, crossing),
+      remainingYears: round(crossing - asOfYears),
+      current
+    };
+  }
+
+  /**
+   * 整備優先順位（超過済み → 超過予測の早い順、同時期は進みの大きい順）
+   */
+  rankLots(lots, directions, horizonYears) {
+    const candidates = [];
+
+    for (const lot of lots) {
+      let earliest = null;
+      for (const direction of directions) {
+        const entry = lot.directions[direction];
+        for (const [metric, forecast] of Object.entries(entry.forecast)) {
+          if (!forecast || forecast.remainingYears === null || forecast.remainingYears > horizonYears) continue;
+
+          const trend = metric === 'peak' ? entry.peakTrend : entry.sigmaTrend;
+          const candidate = {
+            direction,
+            metric,
+            status: forecast.status,
+            date: forecast.date,
+            remainingYears: forecast.remainingYears,
+            slope: trend.slope,
+            limit: metric === 'peak' ? entry.limit : entry.sigmaLimit,
+            current: forecast.current
+          };
+          if (
+            !earliest ||
+            candidate.remainingYears < earliest.remainingYears ||
+            (candidate.remainingYears === earliest.remainingYears && candidate.slope > earliest.slope)
+          ) {
+            earliest = candidate;
+          }
+        }
+      }
+
+      if (earliest) {
+        candidates.push({
+          lot: lot.lot,
+          startPosition: lot.startPosition,
+          endPosition: lot.endPosition,
+          ...earliest
+        });
+      }
+    }
+
+    return candidates
+      .sort((a, b) => a.remainingYears - b.remainingYears || b.slope - a.slope)
+      .map((candidate, i) => ({ rank: i + 1, ...candidate }));
+  }
+
+  /**
+   * 検測回の概要（波形データを除く）
+   */
+  summarize(run) {
+    const points = {};
+    for (const direction of DIRECTIONS) {
+      if (Array.isArray(run[direction])) points[direction] = run[direction].length;
+    }
+    return {
+      id: run.id,
+      lineId: run.lineId,
+      date: run.date,
+      label: run.label,
+      source: run.source,
+      points,
+      hasManagementValues: Array.isArray(run.managementValues) && run.managementValues.length > 0,
+      createdAt: run.createdAt
+    };
+  }
+
+  /**
+   * 測定日を解釈（YYYYMMDD / YYYY/MM/DD / ISO形式）
+   */
+  parseDate(value) {
+    if (value instanceof Date && !isNaN(value)) return value;
+
+    const text = String(value ?? '').trim();
+    const compact = text.match(/^(\d{4})(\d{2})(\d{2})$/);
+    const date = compact
+      ? new Date(Date.UTC(Number(compact[1]), Number(compact[2]) - 1, Number(compact[3])))
+      : new Date(text.replace(/\//g, '-'));
+    if (!text || isNaN(date)) {
+      throw createError(400, `測定日が不正です: ${value}`);
+    }
+    return date;
+  }
+
+  toDate(origin, years) {
+    return new Date(origin + years * MS_PER_YEAR).toISOString().slice(0, 10);
+  }
+}
+
+// シングルトンインスタンス
+const degradationTrendService = new DegradationTrendService();
+
+module.exports = degradationTrendService;
+module.exports.DegradationTrendService = DegradationTrendService;
@@ -0,0 +1,416 @@
+/**
+ * 夜間作業スケジューラ
+ * Multi-night work scheduler for possession windows
+ *
+ * 長い作業区間を、線路閉鎖時間（夜間の作業時間帯）ごとの区間に分割する
+ * - MTTの作業速度と準備・撤収時間から1夜あたりの作業延長を算出
+ * - 区切り位置は WorkSection.isSafeFromWBSection を満たし、WB区間・分岐器などの除外区間に掛からない位置
+ * - 最終夜以外は区切り位置の先に仮すりつけ（RunOffRampDesigner）を設ける
+ *   徐行速度を指定すると、区切り位置の移動量と許容勾配からすりつけ長を決める
+ * - 夜ごとのALS/MJ/ALCデータ出力（仮すりつけを含む）
+ */
+
+const path = require('path');
+
+const WorkSection = require('../models/work-section');
+const RunOffRampDesigner = require('../algorithms/run-off-ramp-designer');
+const ALSDataExporter = require('../exporters/als-exporter');
+const ALCDataExporter = require('../exporters/alc-exporter');
+const MJDataExporter = require('../exporters/mj-exporter');
+const mttRegistry = require('../config/mtt-registry');
+const { createError } = require('../utils/common');
+
+const HOUR_MS = 3600000;
+
+class NightWorkScheduler {
+  constructor(options = {}) {
+    this.setupTime = options.setupTime ?? 0.5;             // 閉鎖開始から作業開始までの準備時間 (h)
+    this.clearanceTime = options.clearanceTime ?? 0.5;     // 作業終了から閉鎖終了までの撤収時間 (h)
+    this.rampLength = options.rampLength ?? 50;            // 仮すりつけ長 (m)（徐行速度の指定がない場合）
+    this.rampType = options.rampType || 'cubic';           // 仮すりつけの接続タイプ
+    this.rampDesigner = new RunOffRampDesigner({ rampType: this.rampType });
+    this.boundaryStep = options.boundaryStep || 1;         // 区切り位置の探索間隔 (m)
+    this.minSegmentLength = options.minSegmentLength || 50; // 1夜の最小作業延長 (m)
+    this.outputDirectory = options.outputDirectory || path.join(__dirname, '../../output/night-schedules');
+  }
+
+  /**
+   * 作業区間を夜ごとに分割
+   * @param {Object} workSectionOptions - 作業区間（WorkSectionのオプション）
+   * @param {Object} options - 計画条件
+   * @param {Array<{start: string, end: string}>} options.possessionWindows - 線路閉鎖時間帯
+   * @param {Array<{start: number, end: number, type?: string}>} [options.exclusionZones] - 分岐器等の除外区間 (m)
+   * @param {number} [options.speed] - 作業速度 (km/h)。省略時はMTT機種の作業速度
+   * @param {number} [options.speedRestriction] - 仮すりつけ区間を通過する次列車の徐行速度 (km/h)
+   * @param {Array} [options.movements] - 移動量 (mm)。徐行速度と合わせて指定するとすりつけを設計する
+   * @param {number} [options.rampLength] - すりつけ長の指定 (m, 0以上)。最小すりつけ長より短ければ警告する
+   * @returns {Object} 夜ごとの作業計画
+   */
+  plan(workSectionOptions, options = {}) {
+    const workSection = new WorkSection(workSectionOptions);
+    if (workSection.startPosition >= workSection.endPosition) {
+      throw createError(400, '作業開始位置が終了位置より後になっています');
+    }
+
+    const windows = this.normalizeWindows(options.possessionWindows);
+    const profile = mttRegistry.requireProfile(options.mttType || workSection.mttType);
+    const speed = options.speed || profile.workingSpeed;
+    if (!(speed > 0)) {
+      throw createError(400, '作業速度が不正です');
+    }
+    const fixedRampLength = options.rampLength ?? null;
+    if (fixedRampLength !== null && !(Number.isFinite(fixedRampLength) && fixedRampLength >= 0)) {
+      throw createError(400, `すりつけ長が不正です: ${fixedRampLength}`);
+    }
+
+    // WB区間と除外区間をまとめて、区切り位置の安全確認に使う
+    const zones = [
+      ...workSection.wbSections.map(zone => ({ ...zone, type: zone.type || 'wb' })),
+      ...(options.exclusionZones || []).map(zone => ({ ...zone, type: zone.type || 'turnout' }))
+    ];
+    const zoneSection = new WorkSection({ ...workSectionOptions, wbSections: zones });
+
+    const forward = workSection.workDirection !== 'backward';
+    const nights = [];
+    const warnings = [];
+    const sign = forward ? 1 : -1;
+    const sectionStart = workSection.startPosition;
+    const sectionEnd = workSection.endPosition;
+    const movements = Array.isArray(options.movements) && options.movements.length > 0
+      ? [...options.movements].sort((a, b) => a.position - b.position)
+      : null;
+    const designRamps = options.speedRestriction !== undefined && movements !== null;
+    if (options.speedRestriction !== undefined && !designRamps) {
+      warnings.push('移動量が指定されていないため、すりつけ長は固定値を使用します');
+    }
+
+    // 区切り位置ごとのすりつけ長（設計時は区切り位置の移動量から最小すりつけ長を算出）
+    const rampLengthAt = boundary => {
+      if (fixedRampLength !== null || !designRamps) {
+        return fixedRampLength ?? this.rampLength;
+      }
+      const stop = this.movementAt(movements, boundary);
+      return this.rampDesigner.calculateMinimumLength(
+        Math.max(Math.abs(stop.lateral), Math.abs(stop.vertical)),
+        options.speedRestriction
+      );
+    };
+
+    let cursor = forward ? sectionStart : sectionEnd;
+
+    for (const window of windows) {
+      const remaining = forward ? sectionEnd - cursor : cursor - sectionStart;
+      if (remaining <= 0) break;
+
+      const workHours = (window.end - window.start) / HOUR_MS - this.setupTime - this.clearanceTime;
+      const reach = workHours * speed * 1000; // m
+      if (reach <= 0) {
+        warnings.push(`閉鎖時間 ${window.start.toISOString()} は準備・撤収時間を除くと作業時間がありません`);
+        continue;
+      }
+
+      let boundary;
+      let ramp = null;
+      if (reach >= remaining) {
+        boundary = forward ? sectionEnd : sectionStart;
+      } else {
+        boundary = this.findBoundary(cursor, reach, sign, rampLengthAt, zoneSection, zones, {
+          sectionStart,
+          sectionEnd
+        });
+        if (boundary === null) {
+          warnings.push(
+            `閉鎖時間 ${window.start.toISOString()} では ${cursor}m から安全な区切り位置が見つかりません`
+          );
+          continue;
+        }
+        ramp = this.buildRamp(boundary, rampLengthAt(boundary), {
+          ...options,
+          workDirection: forward ? 'forward' : 'backward',
+          movements: designRamps ? movements : null
+        });
+        if (ramp.violations && ramp.violations.length > 0) {
+          warnings.push(...ramp.violations.map(violation => `第${nights.length + 1}夜: ${violation.message}`));
+        }
+      }
+
+      const segmentLength = Math.abs(boundary - cursor);
+      const workLength = segmentLength + (ramp ? ramp.length : 0);
+      const workStart = new Date(window.start.getTime() + this.setupTime * HOUR_MS);
+      const workEnd = new Date(workStart.getTime() + (workLength / 1000 / speed) * HOUR_MS);
+
+      nights.push({
+        night: nights.length + 1,
+        window: { start: window.start, end: window.end },
+        workStart,
+        workEnd,
+        segment: {
+          start: Math.min(cursor, boundary),
+          end: Math.max(cursor, boundary),
+          length: segmentLength
+        },
+        ramp,
+        utilization: Math.round((workLength / reach) * 1000) / 10 // %
+      });
+
+      cursor = boundary;
+    }
+
+    const remaining = forward ? sectionEnd - cursor : cursor - sectionStart;
+    const unscheduled = remaining > 0
+      ? { start: forward ? cursor : sectionStart, end: forward ? sectionEnd : cursor, length: remaining }
+      : null;
+    if (unscheduled) {
+      warnings.push(`閉鎖時間が不足しています（未計画 ${unscheduled.length}m）`);
+    }
+
+    return {
+      workSection: {
+        start: sectionStart,
+        end: sectionEnd,
+        length: sectionEnd - sectionStart,
+        workDirection: forward ? 'forward' : 'backward'
+      },
+      mttType: profile.id,
+      speed,
+      speedRestriction: options.speedRestriction ?? null,
+      exclusionZones: zones,
+      nights,
+      unscheduled,
+      complete: unscheduled === null,
+      warnings
+    };
+  }
+
+  /**
+   * 区切り位置を探索
+   * 到達可能な最遠点から作業開始側へ戻りながら、すりつけを含めて作業時間内に収まる安全な位置を探す
+   * @param {number} reach - 1夜の作業可能延長 (m)
+   * @param {Function} rampLengthAt - 区切り位置 → すりつけ長 (m)
+   * @returns {number|null} 区切り位置 (m)
+   */
+  findBoundary(cursor, reach, sign, rampLengthAt, zoneSection, zones, range) {
+    for (let length = Math.floor(reach / this.boundaryStep) * this.boundaryStep;
+      length >= this.minSegmentLength;
+      length -= this.boundaryStep) {
+      const boundary = cursor + sign * length;
+      const rampLength = rampLengthAt(boundary);
+      const rampEnd = boundary + sign * rampLength;
+
+      if (length + rampLength > reach) continue;
+      if (rampEnd < range.sectionStart || rampEnd > range.sectionEnd) continue;
+      if (zoneSection.isInWBSection(boundary) || !zoneSection.isSafeFromWBSection(boundary)) continue;
+      if (this.overlapsZone(Math.min(boundary, rampEnd), Math.max(boundary, rampEnd), zones, zoneSection.wbSafetyMargin)) {
+        continue;
+      }
+
+      return boundary;
+    }
+    return null;
+  }
+
+  /**
+   * 仮すりつけ区間が除外区間（安全距離を含む）と重なるか
+   */
+  overlapsZone(start, end, zones, margin) {
+    return zones.some(zone => start < zone.end + margin && end > zone.start - margin);
+  }
+
+  /**
+   * 区切り位置の仮すりつけ
+   * 移動量と徐行速度があれば RunOffRampDesigner で設計し、許容勾配の違反を含めて返す
+   */
+  buildRamp(boundary, length, options) {
+    const sign = options.workDirection === 'backward' ? -1 : 1;
+    const ramp = {
+      stopPosition: boundary,
+      start: Math.min(boundary, boundary + sign * length),
+      end: Math.max(boundary, boundary + sign * length),
+      length,
+      rampType: this.rampType
+    };
+    if (!options.movements) {
+      return ramp;
+    }
+
+    const stop = this.movementAt(options.movements, boundary);
+    const { profile, ...design } = this.rampDesigner.design(
+      { position: boundary, lift: stop.vertical, lining: stop.lateral },
+      {
+        speedRestriction: options.speedRestriction,
+        workDirection: options.workDirection,
+        rampType: this.rampType,
+        rampLength: length
+      }
+    );
+    return design;
+  }
+
+  /**
+   * 夜ごとの移動量を作成（仮すりつけ区間は区切り位置の移動量から0へすりつける）
+   * @param {Array<{position: number, lateral: number, vertical: number}>} movements - 移動量 (mm)
+   * @param {Object} night - plan() の夜ごとの計画
+   * @returns {Array<{position: number, lateral: number, vertical: number, ramp: boolean, turnout?: boolean}>} 移動量 (mm)
+   */
+  buildNightMovements(movements, night) {
+    const start = night.ramp ? Math.min(night.segment.start, night.ramp.start) : night.segment.start;
+    const end = night.ramp ? Math.max(night.segment.end, night.ramp.end) : night.segment.end;
+
+    const data = movements
+      .filter(m => m.position >= start && m.position <= end)
+      .map(m => ({
+        position: m.position,
+        lateral: m.lateral || 0,
+        vertical: m.vertical || 0,
+        ...(m.turnout ? { turnout: true } : {})
+      }));
+
+    if (!night.ramp || data.length === 0) {
+      return data.map(point => ({ ...point, ramp: false }));
+    }
+
+    const stop = this.movementAt(movements, night.ramp.stopPosition);
+    return this.rampDesigner
+      .applyToMovements(data, { ...night.ramp, lift: stop.vertical, lining: stop.lateral })
+      .map(point => ({ ...point, ramp: point.ramp === true }));
+  }
+
+  /**
+   * 位置の移動量（直線補間）
+   * @param {Array} movements - 位置順の移動量 (mm)
+   * @returns {{lateral: number, vertical: number}}
+   */
+  movementAt(movements, position) {
+    let j = 0;
+    while (j < movements.length - 2 && movements[j + 1].position <= position) j++;
+
+    const p0 = movements[j];
+    const p1 = movements[Math.min(j + 1, movements.length - 1)];
+    const t = p1.position === p0.position
+      ? 0
+      : Math.max(0, Math.min(1, (position - p0.position) / (p1.position - p0.position)));
+
+    return {
+      lateral: (p0.lateral || 0) + ((p1.lateral || 0) - (p0.lateral || 0)) * t,
+      vertical: (p0.vertical || 0) + ((p1.vertical || 0) - (p0.vertical || 0)) * t
+    };
+  }
+
+  /**
+   * 夜ごとのALS/MJ/ALCデータを出力
+   * @param {Object} schedule - plan() の結果
+   * @param {Array} movements - 作業区間全体の移動量 (mm)
+   * @param {Object} options - 出力条件
+   * @param {string} options.scheduleId - 出力フォルダ名
+   * @param {Array<string>} [options.formats=['als', 'mj', 'alc']] - 出力形式
+   * @param {Object} [options.workSection] - ファイル名・ヘッダー用の作業区間情報（filePrefix, liningDirection 等）
+   * @returns {Promise<Array>} 夜ごとの出力ファイル
+   */
+  async exportNightFiles(schedule, movements, options = {}) {
+    if (!Array.isArray(movements) || movements.length === 0) {
+      throw createError(400, '移動量データ（movements）が指定されていません');
+    }
+
+    const formats = options.formats || ['als', 'mj', 'alc'];
+    const scheduleId = String(options.scheduleId || Date.now()).replace(/[^A-Za-z0-9_.-]/g, '_');
+    const baseWorkSection = options.workSection || {};
+    const workDirection = schedule.workSection.workDirection;
+    const sorted = [...movements].sort((a, b) => a.position - b.position);
+
+    const results = [];
+    for (const night of schedule.nights) {
+      const nightMovements = this.buildNightMovements(sorted, night);
+      const outputDir = path.join(
+        this.outputDirectory,
+        scheduleId,
+        `night-${String(night.night).padStart(2, '0')}`
+      );
+      const start = nightMovements.length > 0 ? nightMovements[0].position : night.segment.start;
+      const nightSection = {
+        ...baseWorkSection,
+        id: String(night.night).padStart(6, '0'),
+        startKm: start,
+        startPosition: start,
+        workDirection
+      };
+
+      const files = {};
+      if (formats.includes('als')) {
+        const exporter = new ALSDataExporter({ outputDir, workDirection });
+        files.als = await exporter.exportALSData(this.resample(nightMovements, start, 1), nightSection);
+      }
+      if (formats.includes('mj')) {
+        const exporter = new MJDataExporter({ mttType: schedule.mttType, outputDir, workDirection });
+        files.mj = await exporter.exportMJData(
+          { movements: this.resample(nightMovements, start, 0.5), predictions: [] },
+          nightSection
+        );
+      }
+
+      if (formats.includes('alc')) {
+        const exporter = new ALCDataExporter({ outputDir, workDirection });
+        files.alc = await exporter.exportALCData(this.resample(nightMovements, start, 1), nightSection);
+      }
+
+      results.push({ night: night.night, files, pointCount: nightMovements.length });
+    }
+
+    return results;
+  }
+
+  /**
+   * 出力用に等間隔へ再サンプリング（mm → m）
+   * ALS/MJ/ALC出力は配列の添字を開始位置からの距離として扱うため
+   * 分岐器区間の印（turnout）は最も近い点から引き継ぐ
+   */
+  resample(movements, start, interval) {
+    if (movements.length === 0) return [];
+
+    const end = movements[movements.length - 1].position;
+    const count = Math.floor((end - start) / interval + 1e-9) + 1;
+    const result = [];
+    let j = 0;
+
+    for (let k = 0; k < count; k++) {
+      const position = start + k * interval;
+      while (j < movements.length - 2 && movements[j + 1].position <= position) j++;
+
+      const p0 = movements[j];
+      const p1 = movements[Math.min(j + 1, movements.length - 1)];
+      const t = p1.position === p0.position
+        ? 0
+        : Math.max(0, Math.min(1, (position - p0.position) / (p1.position - p0.position)));
+
+      const nearest = t < 0.5 ? p0 : p1;
+      result.push({
+        lateral: (p0.lateral + (p1.lateral - p0.lateral) * t) / 1000,
+        vertical: (p0.vertical + (p1.vertical - p0.vertical) * t) / 1000,
+        ...(nearest.turnout ? { turnout: true } : {})
+      });
+    }
+
+    return result;
+  }
+
+  /**
+   * 線路閉鎖時間帯を検証して開始時刻順に並べる
+   */
+  normalizeWindows(possessionWindows) {
+    if (!Array.isArray(possessionWindows) || possessionWindows.length === 0) {
+      throw createError(400, '線路閉鎖時間帯（possessionWindows）が指定されていません');
+    }
+
+    return possessionWindows
+      .map((window, index) => {
+        const start = new Date(window.start);
+        const end = new Date(window.end);
+        if (Number.isNaN(start.getTime()) || Number.isNaN(end.getTime()) || end <= start) {
+          throw createError(400, `線路閉鎖時間帯 ${index + 1} が不正です`);
+        }
+        return { start, end };
+      })
+      .sort((a, b) => a.start - b.start);
+  }
+}
+
+module.exports = NightWorkScheduler;
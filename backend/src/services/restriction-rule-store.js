@@ -0,0 +1,65 @@
+/**
+ * 移動量制限ルールストア
+ * Persistent, editable defaults for automatic movement restrictions
+ *
+ * RestrictionRuleEngine の要素種別ごとのルールを編集・保存する。
+ * 保存していない要素種別・項目は既定ルール（DEFAULT_RULES）を使う。
+ */
+
+const path = require('path');
+const { ProjectStore } = require('../utils/project-store');
+const RestrictionRuleEngine = require('../algorithms/restriction-rule-engine');
+
+const RECORD_ID = 'rules';
+
+class RestrictionRuleStore {
+  /**
+   * @param {ProjectStore} store - 永続化ストア
+   */
+  constructor(store = new ProjectStore(path.join(__dirname, '../../data/projects/restriction-rules'))) {
+    this.store = store;
+    this.record = undefined; // 読み込み済みのレコード（未読み込みは undefined）
+  }
+
+  /**
+   * 現在のルール（既定ルールと合成済み）
+   * @returns {{rules: Object, updatedAt: string|null}}
+   */
+  get() {
+    if (this.record === undefined) {
+      this.record = this.store.loadSync(RECORD_ID);
+    }
+    return {
+      rules: RestrictionRuleEngine.resolveRules(this.record ? this.record.rules : {}),
+      updatedAt: this.record ? this.record.updatedAt : null
+    };
+  }
+
+  /**
+   * ルールを保存（部分指定可、検証エラーは status 400）
+   * @param {Object} rules - 要素種別ごとのルール
+   * @returns {Promise<{rules: Object, updatedAt: string}>}
+   */
+  async set(rules) {
+    const resolved = RestrictionRuleEngine.resolveRules(rules);
+    this.record = { id: RECORD_ID, rules: resolved, updatedAt: new Date().toISOString() };
+    await this.store.save(this.record);
+    return { rules: resolved, updatedAt: this.record.updatedAt };
+  }
+
+  /**
+   * 既定ルールに戻す
+   * @returns {Promise<{rules: Object, updatedAt: null}>}
+   */
+  async reset() {
+    this.record = null;
+    await this.store.delete(RECORD_ID);
+    return this.get();
+  }
+}
+
+// シングルトンインスタンス
+const restrictionRuleStore = new RestrictionRuleStore();
+
+module.exports = restrictionRuleStore;
+module.exports.RestrictionRuleStore = RestrictionRuleStore;
@@ -18,7 +18,7 @@ const KilometerDataParser = require('../parsers/kk-kdt-parser');
 const MTTParser = require('../parsers/mtt-parser');
 
 // アルゴリズム群
-const RestorationWaveform = require('../algorithms/restoration-waveform');
+const RestorationFilter = require('../algorithms/restoration-filter');
 const ConvexPlanLine = require('../algorithms/convex-plan-line');
 const CurveTrapezoid = require('../algorithms/curve-trapezoid');
 const VerticalCurveExclusion = require('../algorithms/vertical-curve-exclusion');
@@ -41,39 +41,63 @@ class TrackDataIntegrationService {
 
   /**
    * 完全な軌道整正処理フロー
+   * @param {string} filePrefix - 入力ファイルのプレフィックス
+   * @param {Object} workSection - 作業区間
+   * @param {Object} options - オプション
+   * @param {Function} options.onStage - 工程状態の通知 (stage, status, detail) => void
    */
-  async processTrackCorrection(filePrefix, workSection) {
+  async processTrackCorrection(filePrefix, workSection, options = {}) {
+    const onStage = options.onStage || (() => {});
+    let currentStage = null;
+
+    // 工程を実行し、開始・完了・失敗を通知する
+    const runStage = async (stage, task) => {
+      currentStage = stage;
+      onStage(stage, 'running');
+      const result = await task();
+      onStage(stage, 'completed');
+      return result;
+    };
+
     try {
       console.log('=== 軌道整正処理開始 ===');
       console.log(`ファイルプレフィックス: ${filePrefix}`);
       console.log(`作業区間: ${workSection.startKm}km - ${workSection.endKm}km`);
 
       // 1. データ読み込みと統合
-      const trackData = await this.loadAndIntegrateData(filePrefix);
+      const trackData = await runStage('load', () => this.loadAndIntegrateData(filePrefix));
 
       // 2. 作業方向による符号調整
-      const adjustedData = this.adjustSignsByDirection(trackData);
+      const adjustedData = await runStage('direction', () => this.adjustSignsByDirection(trackData));
 
       // 3. 手検測データの統合（存在する場合）
-      const integratedData = await this.integrateHandMeasurements(adjustedData, workSection);
+      const integratedData = await runStage('handMeasurement', () =>
+        this.integrateHandMeasurements(adjustedData, workSection)
+      );
 
       // 4. 復元波形計算
-      const restorationResult = await this.calculateRestorationWaveform(integratedData);
+      const restorationResult = await runStage('restoration', () =>
+        this.calculateRestorationWaveform(integratedData)
+      );
 
       // 5. 計画線生成（こう上優先）
-      const planLine = await this.generatePlanLine(restorationResult, workSection);
+      const planLine = await runStage('planLine', () =>
+        this.generatePlanLine(restorationResult, workSection)
+      );
 
       // 6. 移動量計算
-      const movementData = this.calculateMovementAmount(restorationResult, planLine);
+      const movementData = await runStage('movement', () =>
+        this.calculateMovementAmount(restorationResult, planLine)
+      );
 
       // 7. MTT補正計算
-      const mttCorrectedData = await this.applyMTTCorrection(movementData, workSection);
+      const mttCorrectedData = await runStage('mttCorrection', () =>
+        this.applyMTTCorrection(movementData, workSection)
+      );
 
       // 8. データエクスポート
-      const exportResults = await this.exportAllFormats(
-        mttCorrectedData,
-        workSection,
-        filePrefix
+      const exportResults = await runStage('export', () =>
+        this.exportAllFormats(mttCorrectedData, workSection, filePrefix)
       );
 
       console.log('=== 軌道整正処理完了 ===');
@@ -89,6 +113,9 @@ class TrackDataIntegrationService {
 
     } catch (error) {
       console.error('軌道整正処理エラー:', error);
+      if (currentStage) {
+        onStage(currentStage, 'failed', error.message);
+      }
       throw error;
     }
   }
@@ -274,11 +301,9 @@ class TrackDataIntegrationService {
    */
   async calculateRestorationWaveform(trackData) {
     const options = {
-      method: 'fft',
-      windowSize: 100,
-      minWavelength: 6,   // MTT用は6m
-      maxWavelength: 40,
-      verbose: this.verbose
+      lambdaLower: 6,     // MTT用は6m
+      lambdaUpper: 40,
+      dataInterval: 0.25
     };
 
     // 高低と通りの復元波形を計算
@@ -292,19 +317,28 @@ class TrackDataIntegrationService {
       value: (p.alignmentLeft + p.alignmentRight) / 2
     }));
 
-    const levelRestoration = RestorationWaveform.calculateRestorationWaveform(
+    const levelRestoration = RestorationFilter.calculateRestorationWaveform(
       levelData,
-      options
+      { ...options, dataType: 'level' }
     );
 
-    const alignmentRestoration = RestorationWaveform.calculateRestorationWaveform(
+    const alignmentRestoration = RestorationFilter.calculateRestorationWaveform(
       alignmentData,
-      options
+      { ...options, dataType: 'alignment' }
     );
 
+    // ConvexPlanLineの入力形式 { position, level } に揃える
+    const withPositions = (result) => ({
+      ...result,
+      restoredWaveform: result.restoredWaveform.map((value, i) => ({
+        position: trackData[i].position,
+        level: value
+      }))
+    });
+
     return {
-      level: levelRestoration,
-      alignment: alignmentRestoration,
+      level: withPositions(levelRestoration),
+      alignment: withPositions(alignmentRestoration),
       originalData: trackData
     };
   }
@@ -315,8 +349,8 @@ class TrackDataIntegrationService {
   async generatePlanLine(restorationResult, workSection) {
     const options = {
       priorityMode: 'upward',  // こう上優先
-      maxDownward: 10,         // 最大下方向移動量 10mm
-      maxUpward: 50,          // 最大上方向移動量 50mm
+      maxDownwardMovement: 10,  // 最大下方向移動量 10mm
+      maxUpwardMovement: 50,    // 最大上方向移動量 50mm
       targetUpwardRatio: 0.7,  // 目標こう上率 70%
       verbose: this.verbose
     };
@@ -355,20 +389,20 @@ class TrackDataIntegrationService {
         kilometer: original.kilometer,
 
         // 垂直移動量（高低）
-        verticalMovement: levelPlan ? levelPlan.value - original.levelLeft : 0,
-        verticalMovementRight: levelPlan ? levelPlan.value - original.levelRight : 0,
+        verticalMovement: levelPlan ? levelPlan.targetLevel - original.levelLeft : 0,
+        verticalMovementRight: levelPlan ? levelPlan.targetLevel - original.levelRight : 0,
 
         // 水平移動量（通り）
-        lateralMovement: alignmentPlan ? alignmentPlan.value - original.alignmentLeft : 0,
-        lateralMovementRight: alignmentPlan ? alignmentPlan.value - original.alignmentRight : 0,
+        lateralMovement: alignmentPlan ? alignmentPlan.targetLevel - original.alignmentLeft : 0,
+        lateralMovementRight: alignmentPlan ? alignmentPlan.targetLevel - original.alignmentRight : 0,
 
         // 元データ
         originalLevel: (original.levelLeft + original.levelRight) / 2,
         originalAlignment: (original.alignmentLeft + original.alignmentRight) / 2,
 
         // 計画線
-        lateralPlanLine: alignmentPlan ? alignmentPlan.value : 0,
-        verticalPlanLine: levelPlan ? levelPlan.value : 0
+        lateralPlanLine: alignmentPlan ? alignmentPlan.targetLevel : 0,
+        verticalPlanLine: levelPlan ? levelPlan.targetLevel : 0
       });
     }
 
@@ -415,7 +449,7 @@ class TrackDataIntegrationService {
     const results = {};
 
     // ALSエクスポート
-    const alsExporter = new ALSDataExporter();
+    const alsExporter = new ALSDataExporter({ outputDir: path.join(this.outputDirectory, 'EXTVER') });
     results.als = await alsExporter.exportALSData(
       movementData.map(d => ({
         lateral: d.lateralMovementMTT,
@@ -425,7 +459,10 @@ class TrackDataIntegrationService {
     );
 
     // MTTエクスポート
-    const mttExporter = new MTTDataExporter({ mttType: workSection.mttType });
+    const mttExporter = new MTTDataExporter({
+      mttType: workSection.mttType,
+      outputDir: path.join(this.outputDirectory, 'MTT')
+    });
     results.mtt = await mttExporter.exportMTTData(
       movementData,
       null,  // カーブデータ（必要に応じて追加）
@@ -433,7 +470,7 @@ class TrackDataIntegrationService {
     );
 
     // CSVエクスポート
-    const csvExporter = new CSVMovementExporter();
+    const csvExporter = new CSVMovementExporter({ outputDir: path.join(this.outputDirectory, 'CSV') });
     results.csv = await csvExporter.exportMovementCSV(
       movementData,
       workSection
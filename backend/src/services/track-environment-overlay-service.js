@@ -0,0 +1,276 @@
+/**
+ * 軌道環境オーバーレイサービス
+ * Render-ready track-environment bands and markers for measurement charts
+ *
+ * TrackEnvironmentProcessor.findDataByRange の検索結果を、波形チャートに重ねて描画できる形に変換する
+ * - 帯（band）: 区間を持つもの。橋梁・トンネル等の構造物、緩和曲線・円曲線、ロングレール、分岐器
+ * - 目印（marker）: 地点のもの。駅、レール継目、EJ、IJ、こう配変化点
+ * 区間は表示範囲で切り詰め、元のキロ程は detail に残す。キロ程はすべて km
+ */
+
+const { createError } = require('../utils/common');
+
+/**
+ * 表示レーン（チャート上の段の並び順）
+ */
+const LANES = [
+  { id: 'structure', label: '構造物' },
+  { id: 'alignment', label: '曲線' },
+  { id: 'track', label: '軌道' },
+  { id: 'gradient', label: 'こう配' },
+  { id: 'station', label: '駅' }
+];
+
+/**
+ * 表示種別と描画スタイル
+ */
+const KINDS = {
+  bridge: { label: '橋梁', lane: 'structure', shape: 'band', color: '#4caf50', opacity: 0.18 },
+  tunnel: { label: 'トンネル', lane: 'structure', shape: 'band', color: '#757575', opacity: 0.22 },
+  structure: { label: 'その他構造物', lane: 'structure', shape: 'band', color: '#a1887f', opacity: 0.12 },
+  transitionCurve: { label: '緩和曲線', lane: 'alignment', shape: 'band', color: '#ffb74d', opacity: 0.18 },
+  circularCurve: { label: '円曲線', lane: 'alignment', shape: 'band', color: '#e57373', opacity: 0.18 },
+  longRail: { label: 'ロングレール', lane: 'track', shape: 'band', color: '#64b5f6', opacity: 0.1 },
+  turnout: { label: '分岐器', lane: 'track', shape: 'band', color: '#9c27b0', opacity: 0.25 },
+  joint: { label: 'レール継目', lane: 'track', shape: 'marker', color: '#ff5722' },
+  ej: { label: 'EJ', lane: 'track', shape: 'marker', color: '#009688' },
+  ij: { label: 'IJ', lane: 'track', shape: 'marker', color: '#3f51b5' },
+  gradientChange: { label: 'こう配変化点', lane: 'gradient', shape: 'marker', color: '#607d8b' },
+  station: { label: '駅', lane: 'station', shape: 'marker', color: '#263238' }
+};
+
+class TrackEnvironmentOverlayService {
+  /**
+   * 範囲検索結果からオーバーレイを作成
+   * @param {Object} rangeData - findDataByRange の結果
+   * @param {Object} options - 作成条件
+   * @param {number} options.startKm - 表示開始キロ程 (km)
+   * @param {number} options.endKm - 表示終了キロ程 (km)
+   * @param {string[]} [options.kinds] - 含める表示種別（省略時は全種別）
+   * @returns {Object} {range, lanes, bands, markers, legend}
+   */
+  static build(rangeData, options) {
+    const { startKm, endKm } = options;
+    if (!Number.isFinite(startKm) || !Number.isFinite(endKm) || startKm >= endKm) {
+      throw createError(400, 'startKm と endKm（startKm < endKm）を指定してください');
+    }
+    const kinds = this.resolveKinds(options.kinds);
+    const range = { startKm, endKm };
+
+    const bands = [
+      ...(rangeData.structures || []).map(record => this.structureBand(record)),
+      ...(rangeData.curves || []).flatMap(record => this.curveBands(record)),
+      ...(rangeData.longRails || []).map(record => this.longRailBand(record)),
+      ...(rangeData.turnouts || []).map(record => this.turnoutBand(record))
+    ]
+      .filter(band => kinds.includes(band.kind))
+      .map(band => this.clip(band, range))
+      .filter(band => band !== null);
+
+    const markers = [
+      ...(rangeData.stations || []).map(record => this.marker('station', record.kilometer, record.stationName, {
+        stationName: record.stationName
+      })),
+      ...(rangeData.joints || []).map(record => this.jointMarker(record)),
+      ...(rangeData.ejs || []).map(record => this.marker('ej', record.from, record.ejType || 'EJ', {
+        ejType: record.ejType,
+        ejDirection: record.ejDirection,
+        fromKm: record.from,
+        toKm: record.to
+      })),
+      ...(rangeData.ijs || []).map(record => this.marker('ij', record.from, record.ijType || 'IJ', {
+        ijType: record.ijType,
+        manufacturingMethod: record.manufacturingMethod,
+        fromKm: record.from,
+        toKm: record.to
+      })),
+      ...(rangeData.gradients || []).map(record => this.marker(
+        'gradientChange',
+        record.from,
+        record.profileType === 2 ? 'レベル' : `${record.gradient}‰`,
+        { gradient: record.gradient, profileType: record.profileType, curveRadius: record.curveRadius, toKm: record.to }
+      ))
+    ]
+      .filter(marker => kinds.includes(marker.kind))
+      .filter(marker => Number.isFinite(marker.km) && marker.km >= startKm && marker.km <= endKm);
+
+    const laneOrder = id => LANES.findIndex(lane => lane.id === id);
+    bands.sort((a, b) => laneOrder(a.lane) - laneOrder(b.lane) || a.startKm - b.startKm);
+    markers.sort((a, b) => a.km - b.km || laneOrder(a.lane) - laneOrder(b.lane));
+    bands.forEach((band, i) => { band.id = `${band.kind}-${i + 1}`; });
+    markers.forEach((marker, i) => { marker.id = `${marker.kind}-${i + 1}`; });
+
+    return {
+      range,
+      lanes: LANES,
+      bands,
+      markers,
+      legend: this.buildLegend(bands, markers)
+    };
+  }
+
+  /**
+   * 表示種別の指定を検証（カンマ区切り文字列または配列）
+   */
+  static resolveKinds(kinds) {
+    if (!kinds || kinds.length === 0) return Object.keys(KINDS);
+    const list = Array.isArray(kinds) ? kinds : String(kinds).split(',');
+    const resolved = list.map(kind => kind.trim()).filter(kind => kind);
+    const unknown = resolved.filter(kind => !KINDS[kind]);
+    if (unknown.length > 0) {
+      throw createError(400, `未対応の表示種別: ${unknown.join(', ')}（${Object.keys(KINDS).join(' / ')}）`);
+    }
+    return resolved;
+  }
+
+  /**
+   * 構造物（KR）の帯。構造物種別の名称から橋梁・トンネルを判定
+   */
+  static structureBand(record) {
+    const structureType = record.structureType || '';
+    let kind = 'structure';
+    if (structureType.includes('橋')) kind = 'bridge';
+    else if (structureType.includes('トンネル') || structureType.includes('隧道')) kind = 'tunnel';
+
+    return this.band(kind, record.from, record.to, record.structureName || structureType || KINDS[kind].label, {
+      structureType,
+      structureName: record.structureName,
+      length: record.length
+    });
+  }
+
+  /**
+   * 曲線（HS）の帯。BTC/BCC/ECC/ETC から緩和曲線・円曲線・緩和曲線に分割
+   * 変化点がない場合は区間全体を円曲線とする
+   */
+  static curveBands(record) {
+    const label = [
+      record.direction,
+      record.radius ? `R${record.radius}` : null,
+      record.cant ? `C${record.cant}` : null
+    ].filter(Boolean).join(' ');
+    const detail = {
+      radius: record.radius,
+      cant: record.cant,
+      slack: record.slack,
+      direction: record.direction,
+      btcKm: record.btcKm,
+      bccKm: record.bccKm,
+      eccKm: record.eccKm,
+      etcKm: record.etcKm
+    };
+
+    const { btcKm, bccKm, eccKm, etcKm } = record;
+    const ordered = [btcKm, bccKm, eccKm, etcKm].every(Number.isFinite) &&
+      etcKm > 0 && btcKm <= bccKm && bccKm <= eccKm && eccKm <= etcKm;
+    if (!ordered) {
+      return [this.band('circularCurve', record.from, record.to, label, detail)];
+    }
+
+    return [
+      this.band('transitionCurve', btcKm, bccKm, label, { ...detail, transitionType: record.transitionStartType }),
+      this.band('circularCurve', bccKm, eccKm, label, detail),
+      this.band('transitionCurve', eccKm, etcKm, label, { ...detail, transitionType: record.transitionEndType })
+    ].filter(band => band.endKm > band.startKm);
+  }
+
+  /**
+   * ロングレール（LR）の帯
+   */
+  static longRailBand(record) {
+    return this.band('longRail', record.from, record.to, record.longRailNumber || KINDS.longRail.label, {
+      longRailNumber: record.longRailNumber,
+      railWeight: record.railWeight,
+      settingTemperature: record.settingTemperature,
+      length: record.length
+    });
+  }
+
+  /**
+   * 分岐器（BK）の帯
+   */
+  static turnoutBand(record) {
+    const label = [record.turnoutNumber, record.number ? `${record.number}番` : null, record.leftRight]
+      .filter(Boolean)
+      .join(' ');
+    return this.band('turnout', record.from, record.to, label || KINDS.turnout.label, {
+      turnoutNumber: record.turnoutNumber,
+      number: record.number,
+      shape: record.shape,
+      leftRight: record.leftRight
+    });
+  }
+
+  /**
+   * レール継目（RT/RU）の目印
+   */
+  static jointMarker(record) {
+    const side = record.dataType === 'RU' ? 'right' : 'left';
+    return this.marker('joint', record.from, record.category || record.jointType || KINDS.joint.label, {
+      side,
+      jointType: record.jointType,
+      category: record.category,
+      kind: record.kind,
+      method: record.method
+    });
+  }
+
+  static band(kind, startKm, endKm, label, detail) {
+    const style = KINDS[kind];
+    return {
+      kind,
+      lane: style.lane,
+      startKm: Math.min(startKm, endKm),
+      endKm: Math.max(startKm, endKm),
+      label,
+      color: style.color,
+      opacity: style.opacity,
+      detail
+    };
+  }
+
+  static marker(kind, km, label, detail) {
+    const style = KINDS[kind];
+    return { kind, lane: style.lane, km, label, color: style.color, detail };
+  }
+
+  /**
+   * 帯を表示範囲で切り詰める（範囲外・長さ 0 は null）
+   */
+  static clip(band, range) {
+    const startKm = Math.max(band.startKm, range.startKm);
+    const endKm = Math.min(band.endKm, range.endKm);
+    if (!(endKm > startKm)) return null;
+    return {
+      ...band,
+      startKm,
+      endKm,
+      detail: { ...band.detail, fromKm: band.startKm, toKm: band.endKm }
+    };
+  }
+
+  /**
+   * 凡例（含まれる種別のみ、KINDS の順）
+   */
+  static buildLegend(bands, markers) {
+    const counts = {};
+    [...bands, ...markers].forEach(item => {
+      counts[item.kind] = (counts[item.kind] || 0) + 1;
+    });
+
+    return Object.entries(KINDS)
+      .filter(([kind]) => counts[kind])
+      .map(([kind, style]) => ({
+        kind,
+        label: style.label,
+        lane: style.lane,
+        shape: style.shape,
+        color: style.color,
+        count: counts[kind]
+      }));
+  }
+}
+
+module.exports = TrackEnvironmentOverlayService;
+module.exports.LANES = LANES;
+module.exports.KINDS = KINDS;
@@ -0,0 +1,189 @@
+/**
+ * 作業パッケージサービス
+ *
+ * 検測データの読み込みから標準フォルダ構成の出力までを一括実行する
+ * - TrackDataIntegrationService.processTrackCorrection による軌道整正処理
+ * - StandardFileExporter.exportAllFiles による仕様書準拠のファイル出力
+ * - 出力フォルダのZIPアーカイブ化
+ */
+
+const path = require('path');
+const fs = require('fs').promises;
+const { createWriteStream } = require('fs');
+const archiver = require('archiver');
+
+const workPackageManager = require('../utils/work-package-manager');
+const StandardFileExporter = require('../exporters/standard-file-exporter');
+const TrackDataIntegrationService = require('./track-data-integration-service');
+const WorkSection = require('../models/work-section');
+
+class WorkPackageService {
+  constructor(options = {}) {
+    this.baseDirectory = options.baseDirectory || path.join(__dirname, '../../data/work-packages');
+  }
+
+  /**
+   * パッケージの作業ディレクトリを取得
+   * @param {string} packageId - パッケージID
+   * @returns {Object} { root, input, output }
+   */
+  getPackageDirectories(packageId) {
+    const root = path.join(this.baseDirectory, packageId);
+    return {
+      root,
+      input: path.join(root, 'input'),
+      output: path.join(root, 'output')
+    };
+  }
+
+  /**
+   * 作業区間定義を処理用の形式に変換
+   * 計算・出力処理はキロ程をstartKm/endKm（m単位）で参照する
+   * @param {Object} definition - 作業区間定義（WorkSectionのオプション）
+   * @param {string} packageId - パッケージID
+   * @returns {Object} 作業区間
+   */
+  buildWorkSection(definition, packageId) {
+    const workSection = new WorkSection({
+      ...definition,
+      startPosition: definition.startPosition ?? definition.startKm,
+      endPosition: definition.endPosition ?? definition.endKm
+    });
+
+    const validation = workSection.validate();
+    if (!validation.valid) {
+      const error = new Error(`作業区間の定義が不正です: ${validation.errors.join(', ')}`);
+      error.status = 400;
+      throw error;
+    }
+
+    return {
+      ...definition,
+      id: definition.id || packageId,
+      startKm: workSection.startPosition,
+      endKm: workSection.endPosition,
+      mttType: workSection.mttType,
+      movementRestrictions: workSection.movementRestrictions,
+      summary: workSection.getSummary()
+    };
+  }
+
+  /**
+   * 作業パッケージを実行
+   * @param {string} packageId - パッケージID
+   * @returns {Promise<Object>} 作業パッケージ
+   */
+  async run(packageId) {
+    const workPackage = workPackageManager.getPackage(packageId);
+    if (!workPackage) {
+      throw new Error('Work package not found');
+    }
+
+    const { filePrefix, workSection, curveSpecs, workDirection, parameters } = workPackage.config;
+    const dirs = this.getPackageDirectories(packageId);
+    const onStage = (stage, status, error) => {
+      workPackageManager.updateStageStatus(packageId, stage, status, error || null);
+    };
+
+    workPackageManager.updatePackageStatus(packageId, 'running');
+
+    try {
+      // 1-8. 軌道整正処理（読み込み～各形式エクスポート）
+      const integrationService = new TrackDataIntegrationService({
+        workDirection,
+        dataDirectory: dirs.input,
+        outputDirectory: dirs.output,
+        verbose: false
+      });
+
+      const correction = await integrationService.processTrackCorrection(
+        filePrefix,
+        workSection,
+        { onStage }
+      );
+
+      // 9. 標準フォルダ構成出力
+      onStage('standardExport', 'running');
+      const exporter = new StandardFileExporter({
+        baseDir: path.join(dirs.output, filePrefix),
+        lineCode: workSection.lineCode,
+        sectionCode: workSection.sectionCode
+      });
+      const restrictions = workSection.movementRestrictions || [];
+      const standardFiles = await exporter.exportAllFiles({
+        movementData: correction.movementData,
+        parameters: parameters || {},
+        curveElements: {
+          horizontalCurves: curveSpecs.filter(c => c.type !== 'vertical'),
+          verticalCurves: curveSpecs.filter(c => c.type === 'vertical')
+        },
+        lateralRestrictions: restrictions.filter(r => r.direction === 'lateral'),
+        verticalRestrictions: restrictions.filter(r => r.direction === 'vertical')
+      }, workSection);
+      onStage('standardExport', 'completed');
+
+      // 10. ZIPアーカイブ作成
+      onStage('archive', 'running');
+      const archivePath = path.join(dirs.root, `${exporter.filePrefix}.zip`);
+      const archiveSize = await this.createArchive(path.join(dirs.output, filePrefix), archivePath);
+      onStage('archive', 'completed');
+
+      workPackage.archivePath = archivePath;
+      workPackage.result = {
+        statistics: correction.planLine?.level?.statistics || null,
+        dataPoints: correction.movementData.length,
+        exports: correction.exports,
+        standardFiles,
+        archiveSize
+      };
+      workPackageManager.updatePackageStatus(packageId, 'completed');
+    } catch (error) {
+      console.error(`Work package ${packageId} failed:`, error);
+
+      // 失敗した工程が記録されていない場合（読み込みエラー等）は実行中の工程を失敗扱いにする
+      const failedStage = workPackage.stages.find(s => s.status === 'failed');
+      if (!failedStage) {
+        const stage = workPackage.stages.find(s => s.status === 'running')
+          || workPackage.stages.find(s => s.status === 'pending');
+        if (stage) {
+          onStage(stage.id, 'failed', error.message);
+        }
+      }
+
+      workPackageManager.updatePackageStatus(packageId, 'failed', error.message);
+    }
+
+    return workPackage;
+  }
+
+  /**
+   * ディレクトリをZIPアーカイブ化
+   * @param {string} sourceDir - 対象ディレクトリ
+   * @param {string} outputPath - 出力ファイルパス
+   * @returns {Promise<number>} アーカイブサイズ（バイト）
+   */
+  createArchive(sourceDir, outputPath) {
+    return new Promise((resolve, reject) => {
+      const output = createWriteStream(outputPath);
+      const archive = archiver('zip', { zlib: { level: 9 } });
+
+      output.on('close', () => resolve(archive.pointer()));
+      archive.on('error', reject);
+
+      archive.pipe(output);
+      archive.directory(sourceDir, false);
+      archive.finalize();
+    });
+  }
+
+  /**
+   * パッケージの作業ディレクトリを削除
+   * @param {string} packageId - パッケージID
+   */
+  async removePackageFiles(packageId) {
+    const { root } = this.getPackageDirectories(packageId);
+    await fs.rm(root, { recursive: true, force: true });
+  }
+}
+
+module.exports = WorkPackageService;
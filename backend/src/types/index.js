@@ -208,6 +208,20 @@
  * @property {Uint8Array} items.jointMarkerLeft - 継目検知左
  */
 
+/**
+ * @typedef {Object} ImportResult
+ * @property {string} format - 判定された形式ID（rsq, hdrdat, dcp, pnt, tblddb, mdt, o010, ck, lk, lbx, ldt, mtt）
+ * @property {string} formatName - 形式名
+ * @property {number} confidence - 判定の信頼度（0-1）
+ * @property {Array<{format: string, name: string, confidence: number}>} candidates - 判定候補（信頼度順）
+ * @property {string[]} files - 読み込んだファイル名
+ * @property {number} dataPoints - データ点数
+ * @property {Object} header - 形式ごとのヘッダー情報
+ * @property {MeasurementData[]} [measurementData] - 単一項目の測定データ（RSQ, HDR/DAT）
+ * @property {MultiMeasurementData[]} [multiMeasurementData] - 複数項目の測定データ（DCP, O010, LBX, LDT, MTT）
+ * @property {Array|Object} [records] - 測定データ以外のレコード（PNT, TBL/DDB, CK, LK）
+ */
+
 module.exports = {
   // 型定義はJSDocで提供
   // 実際の利用例:
@@ -0,0 +1,54 @@
+/**
+ * common.js のテスト
+ */
+import { describe, test, expect, jest } from '@jest/globals';
+import { createError, sendError, round, findInterval, interpolate } from '../common.js';
+
+describe('common', () => {
+  test('createError はステータス付きのエラーを返す', () => {
+    const error = createError(404, 'not found');
+
+    expect(error).toBeInstanceOf(Error);
+    expect(error).toMatchObject({ status: 404, message: 'not found' });
+  });
+
+  test('sendError はエラーのステータスで応答し、ステータスのないエラーのみログに出す', () => {
+    const res = { status: jest.fn(() => res), json: jest.fn() };
+    const consoleSpy = jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    const invalid = createError(400, 'invalid');
+    invalid.details = ['field'];
+    sendError(res, invalid, 'label');
+    expect(res.status).toHaveBeenLastCalledWith(400);
+    expect(res.json).toHaveBeenLastCalledWith({ success: false, error: 'invalid', details: ['field'] });
+    expect(consoleSpy).not.toHaveBeenCalled();
+
+    sendError(res, new Error('boom'), 'label');
+    expect(res.status).toHaveBeenLastCalledWith(500);
+    expect(consoleSpy).toHaveBeenCalledTimes(1);
+    consoleSpy.mockRestore();
+  });
+
+  test('round は小数点以下3桁に丸める', () => {
+    expect(round(1.23456)).toBe(1.235);
+    expect(round(-0.0004)).toBe(-0);
+  });
+
+  describe('findInterval / interpolate', () => {
+    const positions = [0, 1, 2, 2, 4];
+    const values = [0, 10, 20, 30, 50];
+
+    test('findInterval は position 以下の最後の区間の始点を返す', () => {
+      expect(findInterval(positions, 0.5)).toBe(0);
+      expect(findInterval(positions, 3)).toBe(3);
+      expect(findInterval(positions, 4)).toBe(3);
+    });
+
+    test('interpolate は区間内を直線補間し、範囲外は端点の値', () => {
+      expect(interpolate(positions, values, 1.5)).toBe(15);
+      expect(interpolate(positions, values, 3)).toBe(40);
+      expect(interpolate(positions, values, -1)).toBe(0);
+      expect(interpolate(positions, values, 5)).toBe(50);
+    });
+  });
+});
@@ -2,6 +2,7 @@
  * encoding-detector.js のテスト
  */
 import { describe, test, expect } from '@jest/globals';
+import iconv from 'iconv-lite';
 import {
   detectEncoding,
   convertToUTF8,
@@ -140,7 +141,7 @@ describe('encoding-detector', () => {
     test('LKファイル形式のShift-JISテキストを処理できる', () => {
       // 実際のLKファイルに近いフォーマット（Shift-JIS）
       const lkContent = 'LK01,岩国線(下),三田尻～徳山駅出\n';
-      const sjisBuffer = Buffer.from(lkContent, 'shift_jis');
+      const sjisBuffer = iconv.encode(lkContent, 'Shift_JIS');
       const result = smartDecode(sjisBuffer);
 
       expect(result.success).toBe(true);
@@ -0,0 +1,73 @@
+/**
+ * kilometer-range.js のテスト
+ */
+import { describe, test, expect, beforeAll, afterAll } from '@jest/globals';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { getIndexRange, parseKilometerRange } from '../kilometer-range.js';
+import { RSQParser } from '../../parsers/rsq-parser.js';
+
+describe('kilometer-range', () => {
+  // 1000m から 0.25m 間隔で 400 点
+  const layout = { startPosition: 1000, samplingInterval: 0.25, dataPoints: 400 };
+
+  describe('getIndexRange', () => {
+    test('範囲の両端を含むインデックス範囲に変換する', () => {
+      expect(getIndexRange(layout, { startKm: 1010, endKm: 1020 }))
+        .toEqual({ startIndex: 40, endIndex: 81, truncated: false });
+    });
+
+    test('範囲の指定がなければ全点', () => {
+      expect(getIndexRange(layout)).toEqual({ startIndex: 0, endIndex: 400, truncated: false });
+    });
+
+    test('データ点数の上限を超える分は切り詰める', () => {
+      expect(getIndexRange(layout, { startKm: 1010, maxPoints: 100 }))
+        .toEqual({ startIndex: 40, endIndex: 140, truncated: true });
+      expect(getIndexRange(layout, { startKm: 1010, endKm: 1020, maxPoints: 100 }).truncated).toBe(false);
+    });
+  });
+
+  describe('parseKilometerRange', () => {
+    test('数値文字列を数値に変換し、空欄は未指定とする', () => {
+      expect(parseKilometerRange({ startKm: '1000.5', endKm: '' })).toEqual({ startKm: 1000.5, endKm: undefined });
+    });
+
+    test('数値でない・逆転した範囲は400エラー', () => {
+      expect(() => parseKilometerRange({ startKm: 'abc' })).toThrow(expect.objectContaining({ status: 400 }));
+      expect(() => parseKilometerRange({ startKm: 20, endKm: 10 })).toThrow(expect.objectContaining({ status: 400 }));
+    });
+  });
+
+  describe('RSQParser.extractRange の上限', () => {
+    let tempDir;
+    let filePath;
+    const parser = new RSQParser();
+
+    beforeAll(() => {
+      tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'kilometer-range-'));
+      filePath = path.join(tempDir, 'test.rsq');
+      const values = Array.from({ length: 400 }, (_, i) => i);
+      const rsqData = parser.fromMeasurementData(
+        values.map((value, i) => ({ distance: 1000 + i * 0.25, value })),
+        { fileId: 'TKD014KC' }
+      );
+      fs.writeFileSync(filePath, parser.write(rsqData));
+    });
+
+    afterAll(() => {
+      fs.rmSync(tempDir, { recursive: true, force: true });
+    });
+
+    test('上限を超える場合は続きの開始キロ程を返し、続きから読める', async () => {
+      const first = await parser.extractRange(filePath, { maxPoints: 150 });
+
+      expect(first.range).toMatchObject({ dataPoints: 150, startKm: 1000, endKm: 1037.25, truncated: true, nextStartKm: 1037.5 });
+
+      const last = await parser.extractRange(filePath, { startKm: 1075, maxPoints: 150 });
+      expect(last.range).toMatchObject({ dataPoints: 100, endKm: 1099.75, truncated: false, nextStartKm: null });
+      expect(last.measurementData[0]).toEqual({ distance: 1075, value: 300 });
+    });
+  });
+});
@@ -0,0 +1,126 @@
+/**
+ * plan-line-session-manager.js のテスト
+ */
+import { describe, test, expect, beforeAll, afterAll, beforeEach, jest } from '@jest/globals';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { PlanLineSessionManager, SNAPSHOT_INTERVAL } from '../plan-line-session-manager.js';
+import { ProjectStore } from '../project-store.js';
+
+describe('PlanLineSessionManager', () => {
+  let consoleSpy;
+  let tempDir;
+
+  beforeAll(() => {
+    consoleSpy = jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterAll(() => {
+    consoleSpy.mockRestore();
+  });
+
+  beforeEach(() => {
+    if (tempDir) fs.rmSync(tempDir, { recursive: true, force: true });
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'plan-line-sessions-'));
+  });
+
+  afterAll(() => {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  const createManager = () => new PlanLineSessionManager(new ProjectStore(tempDir, { indent: 0 }));
+  const planLine = values => values.map((value, i) => ({ distance: i * 0.25, value }));
+  const valuesOf = state => state.planLine.map(point => point.value);
+  const replace = (manager, id, values) => manager.applyOperation(id, 'replace', { planLine: planLine(values) });
+
+  test('同時に編集するセッションの履歴は混ざらず、それぞれ Undo/Redo できる', async () => {
+    const manager = createManager();
+    const [a, b] = await Promise.all([
+      manager.createSession({ name: 'A', planLine: planLine([0, 0, 0]) }),
+      manager.createSession({ name: 'B', planLine: planLine([1, 1, 1]) })
+    ]);
+
+    await Promise.all([replace(manager, a.id, [0, 5, 0]), replace(manager, b.id, [1, 2, 1])]);
+
+    expect(valuesOf(await manager.undo(a.id))).toEqual([0, 0, 0]);
+    expect(valuesOf(manager.getState(await manager.getSession(b.id)))).toEqual([1, 2, 1]);
+    await expect(manager.undo(a.id)).rejects.toMatchObject({ status: 409 });
+    expect(valuesOf(await manager.redo(a.id))).toEqual([0, 5, 0]);
+    await expect(manager.redo(a.id)).rejects.toMatchObject({ status: 409 });
+  });
+
+  test('分岐を切り替え、別の分岐の計画線を Undo できる操作として復元する', async () => {
+    const manager = createManager();
+    const { id } = await manager.createSession({ planLine: planLine([0, 0, 0]) });
+    await replace(manager, id, [0, 5, 0]);
+
+    await manager.createBranch(id, '案A');
+    await replace(manager, id, [2, 2, 2]);
+
+    expect(valuesOf(await manager.checkoutBranch(id, 'main'))).toEqual([0, 5, 0]);
+    const restored = await manager.restore(id, '案A');
+    expect(restored).toMatchObject({ currentBranch: 'main', canUndo: true });
+    expect(valuesOf(restored)).toEqual([2, 2, 2]);
+    expect((await manager.getHistory(id)).map(entry => entry.operation)).toEqual(['import', 'replace', 'restore']);
+    expect(valuesOf(await manager.undo(id))).toEqual([0, 5, 0]);
+  });
+
+  test('操作ごとの変更を追記し、再起動後に同じ状態を復元する', async () => {
+    const manager = createManager();
+    const { id } = await manager.createSession({ planLine: planLine([0, 0, 0]) });
+    const snapshotPath = path.join(tempDir, `${id}.json`);
+    const snapshot = fs.readFileSync(snapshotPath, 'utf8');
+
+    await replace(manager, id, [0, 5, 0]);
+    await manager.createCheckpoint(id, '初回');
+    await manager.createBranch(id, '案A');
+    await replace(manager, id, [2, 2, 2]);
+    await manager.checkoutBranch(id, 'main');
+    await manager.undo(id);
+
+    // セッション全体は書き直さず、改行なしのJSONのまま
+    expect(fs.readFileSync(snapshotPath, 'utf8')).toBe(snapshot);
+    expect(snapshot).not.toContain('\n');
+    const lines = fs.readFileSync(path.join(tempDir, `${id}.jsonl`), 'utf8').trim().split('\n');
+    expect(lines).toHaveLength(6);
+    expect(lines.map(line => JSON.parse(line).addedVersions.length)).toEqual([1, 0, 0, 1, 0, 0]);
+
+    const reloaded = createManager();
+    const session = await reloaded.getSession(id);
+    expect(reloaded.getState(session)).toEqual(manager.getState(await manager.getSession(id)));
+    expect(await reloaded.listVersions(id)).toEqual(await manager.listVersions(id));
+    expect(await reloaded.listBranches(id)).toEqual(await manager.listBranches(id));
+    expect(valuesOf(await reloaded.redo(id))).toEqual([0, 5, 0]);
+    expect(valuesOf(await reloaded.checkoutBranch(id, '案A'))).toEqual([2, 2, 2]);
+  });
+
+  test(`${SNAPSHOT_INTERVAL}件ごとにセッション全体を書き直して記録を空にする`, async () => {
+    const manager = createManager();
+    const { id } = await manager.createSession({ planLine: planLine([0, 0, 0]) });
+
+    for (let i = 1; i <= SNAPSHOT_INTERVAL; i++) {
+      await replace(manager, id, [0, i, 0]);
+    }
+
+    expect(fs.existsSync(path.join(tempDir, `${id}.jsonl`))).toBe(false);
+    const snapshot = JSON.parse(fs.readFileSync(path.join(tempDir, `${id}.json`), 'utf8'));
+    expect(Object.keys(snapshot.versions)).toHaveLength(SNAPSHOT_INTERVAL + 1);
+
+    await replace(manager, id, [0, 99, 0]);
+    const reloaded = createManager();
+    expect(valuesOf(reloaded.getState(await reloaded.getSession(id)))).toEqual([0, 99, 0]);
+    expect(valuesOf(await reloaded.undo(id))).toEqual([0, SNAPSHOT_INTERVAL, 0]);
+  });
+
+  test('削除したセッションは記録とともに削除される', async () => {
+    const manager = createManager();
+    const { id } = await manager.createSession({ planLine: planLine([0, 0, 0]) });
+    await replace(manager, id, [0, 5, 0]);
+
+    await manager.deleteSession(id);
+
+    expect(fs.readdirSync(tempDir)).toEqual([]);
+    await expect(createManager().getSession(id)).rejects.toMatchObject({ status: 404 });
+  });
+});
@@ -0,0 +1,161 @@
+/**
+ * project-store.js のテスト
+ */
+import { describe, test, expect, beforeEach, afterEach, jest } from '@jest/globals';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { ProjectStore } from '../project-store.js';
+
+describe('ProjectStore', () => {
+  let tempDir;
+
+  beforeEach(() => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'project-store-'));
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  const readJSON = name => fs.readFileSync(path.join(tempDir, name), 'utf8');
+
+  describe('save', () => {
+    test('一時ファイルに書いてから置き換え、インデントを指定できる', async () => {
+      await new ProjectStore(tempDir).save({ id: 'a', value: 1 });
+      await new ProjectStore(tempDir, { indent: 0 }).save({ id: 'b', value: 2 });
+
+      expect(fs.readdirSync(tempDir).sort()).toEqual(['a.json', 'b.json']);
+      expect(readJSON('a.json')).toBe('{\n  "id": "a",\n  "value": 1\n}');
+      expect(readJSON('b.json')).toBe('{"id":"b","value":2}');
+    });
+
+    test('書き込みに失敗しても保存済みのファイルは壊れない', async () => {
+      const store = new ProjectStore(tempDir);
+      await store.save({ id: 'a', value: 1 });
+      jest.spyOn(fs.promises, 'rename').mockRejectedValueOnce(new Error('disk full'));
+
+      await expect(store.save({ id: 'a', value: 2 })).rejects.toThrow('disk full');
+
+      expect(JSON.parse(readJSON('a.json'))).toEqual({ id: 'a', value: 1 });
+      expect(store.loadSync('a')).toEqual({ id: 'a', value: 1 });
+    });
+
+    test('IDのないレコードは保存しない', async () => {
+      await expect(new ProjectStore(tempDir).save({ value: 1 })).rejects.toThrow('Record id is required');
+    });
+
+    test('ファイル名に使えない文字はIDから置き換える', async () => {
+      const store = new ProjectStore(tempDir);
+      await store.save({ id: '../a/b' });
+
+      expect(fs.readdirSync(tempDir)).toEqual(['.._a_b.json']);
+      expect(store.loadSync('../a/b')).toEqual({ id: '../a/b' });
+    });
+  });
+
+  describe('書き込みの直列化', () => {
+    test('同じIDの書き込みは順に実行し、別のIDの書き込みは待たない', async () => {
+      const store = new ProjectStore(tempDir);
+      const events = [];
+      let releaseFirst;
+      const firstBlocked = new Promise(resolve => { releaseFirst = resolve; });
+      const writeFile = store.writeFile.bind(store);
+      jest.spyOn(store, 'writeFile').mockImplementation(async (id, json) => {
+        const { value } = JSON.parse(json);
+        events.push(`start ${id}${value}`);
+        if (id === 'a' && value === 1) await firstBlocked;
+        await writeFile(id, json);
+        events.push(`end ${id}${value}`);
+      });
+
+      const pending = [store.save({ id: 'a', value: 1 }), store.save({ id: 'a', value: 2 })];
+      await store.save({ id: 'b', value: 1 });
+      releaseFirst();
+      await Promise.all(pending);
+
+      expect(events).toEqual(['start a1', 'start b1', 'end b1', 'end a1', 'start a2', 'end a2']);
+      expect(store.loadSync('a')).toEqual({ id: 'a', value: 2 });
+      expect(store.writeQueues.size).toBe(0);
+    });
+
+    test('失敗した書き込みの後も同じIDの書き込みを続ける', async () => {
+      const store = new ProjectStore(tempDir);
+      jest.spyOn(fs.promises, 'rename').mockRejectedValueOnce(new Error('disk full'));
+
+      const failed = store.save({ id: 'a', value: 1 });
+      const saved = store.save({ id: 'a', value: 2 });
+
+      await expect(failed).rejects.toThrow('disk full');
+      await saved;
+      expect(store.loadSync('a')).toEqual({ id: 'a', value: 2 });
+    });
+
+    test('flush は書き込み待ちの処理がすべて終わるまで待つ', async () => {
+      const store = new ProjectStore(tempDir);
+      store.save({ id: 'a' });
+      store.save({ id: 'b' });
+
+      await store.flush();
+
+      expect(fs.readdirSync(tempDir).sort()).toEqual(['a.json', 'b.json']);
+    });
+  });
+
+  describe('読み込み', () => {
+    test('loadAllSync は .json のみ読み、壊れたファイルは読み飛ばす', async () => {
+      const store = new ProjectStore(tempDir);
+      await store.save({ id: 'a' });
+      await store.save({ id: 'b' });
+      await store.appendLines('a', [{ sequence: 1 }]);
+      fs.writeFileSync(path.join(tempDir, 'broken.json'), '{"id":');
+
+      const records = store.loadAllSync();
+
+      expect(records.map(record => record.id).sort()).toEqual(['a', 'b']);
+      expect(console.error).toHaveBeenCalledWith(expect.stringContaining('broken.json'), expect.any(String));
+      expect(await store.loadAll()).toEqual(expect.arrayContaining(records));
+    });
+
+    test('保存先ディレクトリがなければ空、レコードがなければ null', async () => {
+      const store = new ProjectStore(path.join(tempDir, 'missing'));
+
+      expect(store.loadAllSync()).toEqual([]);
+      expect(await store.loadAll()).toEqual([]);
+      expect(store.loadSync('a')).toBeNull();
+      expect(store.loadLinesSync('a')).toBeNull();
+    });
+  });
+
+  describe('JSON Lines', () => {
+    test('追記したレコードを読み、書き込み途中の行は読み飛ばす', async () => {
+      const store = new ProjectStore(tempDir);
+      await store.appendLines('log', [{ sequence: 1 }, { sequence: 2 }]);
+      await store.appendLines('log', [{ sequence: 3 }]);
+      fs.appendFileSync(path.join(tempDir, 'log.jsonl'), '{"sequence":');
+
+      expect(store.loadLinesSync('log')).toEqual([{ sequence: 1 }, { sequence: 2 }, { sequence: 3 }]);
+
+      await store.saveLines('log', [{ sequence: 9 }]);
+      expect(store.loadLinesSync('log')).toEqual([{ sequence: 9 }]);
+    });
+
+    test('deleteLines は指定した処理の完了を待ち、失敗した場合は削除しない', async () => {
+      const store = new ProjectStore(tempDir);
+      await store.appendLines('log', [{ sequence: 1 }]);
+
+      await expect(store.deleteLines('log', Promise.reject(new Error('save failed')))).rejects.toThrow('save failed');
+      expect(store.loadLinesSync('log')).toEqual([{ sequence: 1 }]);
+
+      let saved = false;
+      const after = new Promise(resolve => setTimeout(() => { saved = true; resolve(); }, 10));
+      await store.deleteLines('log', after);
+      expect(saved).toBe(true);
+      expect(store.loadLinesSync('log')).toBeNull();
+
+      await expect(store.deleteLines('log')).resolves.toBeUndefined();
+    });
+  });
+});
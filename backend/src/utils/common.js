@@ -0,0 +1,85 @@
+/**
+ * 共通ヘルパー
+ * Shared helpers for services, analyzers, algorithms and routes
+ */
+
+/**
+ * ステータス付きのエラーを作成
+ * ルートは error.status のステータスで応答する
+ * @param {number} status - HTTPステータス
+ * @param {string} message - エラーメッセージ
+ * @param {string[]} [details] - 詳細（sendError がレスポンスに含める）
+ * @returns {Error}
+ */
+function createError(status, message, details) {
+  const error = new Error(message);
+  error.status = status;
+  if (details) error.details = details;
+  return error;
+}
+
+/**
+ * エラーレスポンスを返す
+ * @param {Object} res - レスポンス
+ * @param {Error} error - エラー（status プロパティがあればそのステータスで返す）
+ * @param {string} label - ログ用ラベル
+ */
+function sendError(res, error, label) {
+  if (!error.status) {
+    console.error(`${label}:`, error);
+  }
+  res.status(error.status || 500).json({
+    success: false,
+    error: error.message,
+    details: error.details
+  });
+}
+
+/**
+ * 小数点以下3桁に丸める
+ * @param {number} value - 値
+ * @returns {number}
+ */
+function round(value) {
+  return Math.round(value * 1000) / 1000;
+}
+
+/**
+ * positions[i] <= position となる最大の区間インデックスを二分探索
+ * @param {number[]} positions - 昇順の位置
+ * @param {number} position - 位置
+ * @returns {number} 区間の始点インデックス（0 〜 positions.length - 2）
+ */
+function findInterval(positions, position) {
+  let lo = 0;
+  let hi = positions.length - 1;
+  while (hi - lo > 1) {
+    const mid = (lo + hi) >> 1;
+    if (positions[mid] <= position) {
+      lo = mid;
+    } else {
+      hi = mid;
+    }
+  }
+  return lo;
+}
+
+/**
+ * 線形補間（範囲外は端点の値）
+ * @param {number[]} positions - 昇順の位置
+ * @param {number[]} values - 各位置の値
+ * @param {number} position - 補間する位置
+ * @returns {number}
+ */
+function interpolate(positions, values, position) {
+  const n = positions.length;
+  if (position <= positions[0]) return values[0];
+  if (position >= positions[n - 1]) return values[n - 1];
+
+  const j = findInterval(positions, position);
+  const span = positions[j + 1] - positions[j];
+  if (span === 0) return values[j];
+  return values[j] + (values[j + 1] - values[j]) * (position - positions[j]) / span;
+}
+
+module.exports = { createError, sendError, round, findInterval, interpolate };
@@ -15,22 +15,6 @@ export const MTT_STANDARD_VALUES = {
   }
 };
 
-// カント補正係数（モック値）
-export const CANT_CORRECTION = {
-  coefficient: 0.15,      // カント補正係数
-  defaultValue: 0.0,      // デフォルトカント値
-  maxValue: 200.0,        // 最大カント値 (mm)
-  minValue: -200.0        // 最小カント値 (mm)
-};
-
-// スラック補正係数（モック値）
-export const SLACK_CORRECTION = {
-  coefficient: 0.08,      // スラック補正係数
-  defaultValue: 0.0,      // デフォルトスラック値
-  maxValue: 50.0,         // 最大スラック値 (mm)
-  minValue: -50.0         // 最小スラック値 (mm)
-};
-
 // FFT処理のデフォルトパラメータ
 export const FFT_PARAMS = {
   defaultSampleRate: 100,     // サンプリングレート (Hz)
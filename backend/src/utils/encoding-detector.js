@@ -201,3 +201,33 @@ function containsGarbledText(text) {
   // 10%以上が置換文字の場合は文字化けと判定
   return replacementChars > totalChars * 0.1;
 }
+
+/**
+ * バイナリ形式パーサー用のエンコーディング検出
+ * detect() は Buffer#toString に渡せるエンコーディング名を返す
+ * （日本語エンコーディングは 'shift_jis' として返し、各パーサーで扱いを決める）
+ */
+export class EncodingDetector {
+  /**
+   * バッファのエンコーディングを検出
+   * @param {Buffer} buffer - 対象バッファ
+   * @returns {string} 'utf8' | 'ascii' | 'latin1' | 'shift_jis'
+   */
+  detect(buffer) {
+    const detected = Encoding.detect(new Uint8Array(buffer));
+
+    switch (detected) {
+      case 'SJIS':
+      case 'EUCJP':
+      case 'JIS':
+        return 'shift_jis';
+      case 'ASCII':
+        return 'ascii';
+      case 'BINARY':
+        // ヘッダーに数値フィールドを含むバイナリ形式
+        return 'latin1';
+      default:
+        return 'utf8';
+    }
+  }
+}
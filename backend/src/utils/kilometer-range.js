@@ -0,0 +1,75 @@
+/**
+ * キロ程範囲ユーティリティ
+ * Kilometer range helpers for fixed-interval measurement data
+ */
+
+const { createError } = require('./common');
+
+/**
+ * 1回の範囲抽出で返す値（データ点数 × 項目数）の上限
+ * 線区全体のファイルを範囲指定なしで読み込んでもメモリを使い切らないよう、超える分は次の範囲として返す
+ */
+const MAX_RANGE_VALUES = 400000;
+
+/**
+ * キロ程範囲をデータ点のインデックス範囲に変換
+ * 範囲の両端を含む（startKm <= 距離 <= endKm）
+ * @param {Object} layout - データ配置
+ * @param {number} layout.startPosition - 先頭データ点のキロ程 (m)
+ * @param {number} layout.samplingInterval - サンプリング間隔 (m)
+ * @param {number} layout.dataPoints - データ点数
+ * @param {Object} range - 抽出範囲
+ * @param {number} [range.startKm] - 開始キロ程 (m)、省略時は先頭から
+ * @param {number} [range.endKm] - 終了キロ程 (m)、省略時は末尾まで
+ * @param {number} [range.maxPoints] - データ点数の上限（超える分は切り詰める）
+ * @returns {{startIndex: number, endIndex: number, truncated: boolean}}
+ *   インデックス範囲（endIndexは含まない）・上限で切り詰めたか
+ */
+function getIndexRange({ startPosition, samplingInterval, dataPoints }, range = {}) {
+  const hasStart = range.startKm !== undefined && range.startKm !== null && range.startKm !== '';
+  const hasEnd = range.endKm !== undefined && range.endKm !== null && range.endKm !== '';
+
+  // 浮動小数点誤差で境界の点が落ちないよう微小値を加味する
+  const epsilon = 1e-6;
+
+  let startIndex = hasStart
+    ? Math.ceil((Number(range.startKm) - startPosition) / samplingInterval - epsilon)
+    : 0;
+  let endIndex = hasEnd
+    ? Math.floor((Number(range.endKm) - startPosition) / samplingInterval + epsilon) + 1
+    : dataPoints;
+
+  startIndex = Math.max(0, Math.min(startIndex, dataPoints));
+  endIndex = Math.max(startIndex, Math.min(endIndex, dataPoints));
+
+  const truncated = Number.isFinite(range.maxPoints) && endIndex - startIndex > range.maxPoints;
+  if (truncated) {
+    endIndex = startIndex + Math.max(1, Math.floor(range.maxPoints));
+  }
+
+  return { startIndex, endIndex, truncated };
+}
+
+/**
+ * リクエストボディのキロ程範囲の指定を検証
+ * @param {Object} body - リクエストボディ
+ * @returns {{startKm: number|undefined, endKm: number|undefined}} キロ程範囲 (m)
+ */
+function parseKilometerRange(body = {}) {
+  const toNumber = value => (value === undefined || value === '' ? undefined : Number(value));
+  const range = {
+    startKm: toNumber(body.startKm),
+    endKm: toNumber(body.endKm)
+  };
+
+  if (Number.isNaN(range.startKm) || Number.isNaN(range.endKm)) {
+    throw createError(400, 'startKm and endKm must be numbers');
+  }
+  if (range.startKm !== undefined && range.endKm !== undefined && range.startKm > range.endKm) {
+    throw createError(400, 'startKm must be less than or equal to endKm');
+  }
+
+  return range;
+}
+
+module.exports = { getIndexRange, parseKilometerRange, MAX_RANGE_VALUES };
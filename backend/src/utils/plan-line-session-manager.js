@@ -0,0 +1,802 @@
+/**
+ * 計画線編集セッションマネージャー
+ * Plan line editing sessions with per-session undo/redo, checkpoints and branches
+ *
+ * 機能:
+ * - セッション単位の編集履歴（同時に編集する利用者同士で履歴が混ざらない）
+ * - 名前付きチェックポイント
+ * - 分岐（案A / 案B など）の作成・切り替え
+ * - バージョン間の差分・復元
+ * - ProjectStore によるファイル永続化（サーバー再起動後も継続）
+ *   操作ごとの変更（追加・削除したバージョンと履歴・分岐の状態）を JSON Lines の記録に追記し、
+ *   SNAPSHOT_INTERVAL 件ごとにセッション全体（改行なしのJSON）に書き直して記録を空にする
+ */
+
+const path = require('path');
+const { ProjectStore } = require('./project-store');
+const { PlanLineEditor } = require('../algorithms/plan-line-editor');
+const { createError } = require('./common');
+
+const DEFAULT_BRANCH = 'main';
+const MAX_HISTORY = 100; // 分岐ごとの履歴の上限（PlanLineEditor と同じ）
+const SNAPSHOT_INTERVAL = 20; // セッション全体を書き直すまでに追記する変更の件数
+
+/**
+ * 計画線のディープコピー
+ * @param {MeasurementData[]} planLine - 計画線
+ * @returns {MeasurementData[]} コピー
+ */
+function clonePlanLine(planLine) {
+  return planLine.map(point => ({ distance: point.distance, value: point.value }));
+}
+
+class PlanLineSessionManager {
+  /**
+   * @param {ProjectStore} store - 永続化ストア
+   */
+  constructor(store = new ProjectStore(path.join(__dirname, '../../data/projects/plan-line-sessions'), { indent: 0 })) {
+    this.sessions = new Map();
+    this.sessionIdCounter = 0;
+    this.store = store;
+    this.loadPromise = null;
+    this.journals = new Map(); // セッションID → { versionIds: 保存済みのバージョンID, entries: 追記した件数 }
+  }
+
+  /**
+   * 保存済みセッションを読み込み（初回アクセス時に一度だけ実行）
+   * @returns {Promise<number>} - 読み込んだセッション数
+   */
+  initialize() {
+    if (!this.loadPromise) {
+      this.loadPromise = this.store.loadAll().then(records => {
+        records.forEach(session => {
+          const entries = this.replayJournal(session, this.store.loadLinesSync(session.id) || []);
+          this.sessions.set(session.id, session);
+          this.journals.set(session.id, { versionIds: new Set(Object.keys(session.versions)), entries });
+        });
+        console.log(`✓ 計画線編集セッション読み込み完了: ${records.length}件`);
+        return records.length;
+      });
+    }
+    return this.loadPromise;
+  }
+
+  /**
+   * 保存済みのセッションに変更の記録を適用
+   * 書き直し済みの変更（journalSequence 以下）は読み飛ばす
+   * @param {Object} session - 保存済みのセッション
+   * @param {Array} entries - 変更の記録
+   * @returns {number} - 適用した件数
+   */
+  replayJournal(session, entries) {
+    let applied = 0;
+
+    for (const entry of entries) {
+      if (entry.sequence <= (session.journalSequence || 0)) continue;
+
+      const { versions } = session;
+      entry.addedVersions.forEach(version => { versions[version.id] = version; });
+      entry.removedVersionIds.forEach(versionId => { delete versions[versionId]; });
+      Object.assign(session, entry.state, { versions });
+      applied++;
+    }
+
+    return applied;
+  }
+
+  /**
+   * セッションを永続化
+   * 前回の保存からの変更だけを追記し、SNAPSHOT_INTERVAL 件ごとにセッション全体を書き直す
+   * @param {Object} session - セッション
+   * @returns {Promise<void>}
+   */
+  persist(session) {
+    session.updatedAt = new Date().toISOString();
+    session.journalSequence = (session.journalSequence || 0) + 1;
+
+    const journal = this.journals.get(session.id);
+    const versionIds = new Set(Object.keys(session.versions));
+    const snapshot = !journal || journal.entries + 1 >= SNAPSHOT_INTERVAL;
+    this.journals.set(session.id, { versionIds, entries: snapshot ? 0 : journal.entries + 1 });
+
+    let write;
+    if (snapshot) {
+      // 記録はセッション全体の書き直しが完了してから削除する
+      const saved = this.store.save(session);
+      write = Promise.all([saved, this.store.deleteLines(session.id, saved)]);
+    } else {
+      const { versions, ...state } = session;
+      write = this.store.appendLines(session.id, [{
+        sequence: session.journalSequence,
+        addedVersions: Array.from(versionIds).filter(id => !journal.versionIds.has(id)).map(id => versions[id]),
+        removedVersionIds: Array.from(journal.versionIds).filter(id => !versionIds.has(id)),
+        state
+      }]);
+    }
+
+    return write.catch(error => {
+      // 追記に失敗した変更が失われないよう、次回はセッション全体を書き直す
+      this.journals.delete(session.id);
+      console.error(`計画線編集セッション保存エラー (${session.id}):`, error);
+    });
+  }
+
+  /**
+   * 新しいセッションを作成
+   * @param {Object} config - セッション設定
+   * @param {string} [config.name] - セッション名
+   * @param {MeasurementData[]} [config.planLine] - 初期計画線
+   * @param {MeasurementData[]} [config.restoredWaveform] - 復元波形（planLine 省略時は移動平均で初期計画線を生成）
+   * @param {number} [config.windowSize] - 初期計画線の移動平均窓サイズ（点数）
+   * @param {number} [config.samplingInterval] - サンプリング間隔（m）
+   * @param {Object} [config.constraints] - 制約条件
+   * @returns {Promise<Object>} - セッション
+   */
+  async createSession(config = {}) {
+    await this.initialize();
+
+    const editor = this.createEditor(config);
+    let planLine;
+    let operation;
+
+    if (Array.isArray(config.planLine) && config.planLine.length > 0) {
+      planLine = clonePlanLine(config.planLine);
+      operation = 'import';
+    } else if (Array.isArray(config.restoredWaveform) && config.restoredWaveform.length > 0) {
+      planLine = editor.generateInitialPlanLine(config.restoredWaveform, config.windowSize || 800);
+      operation = 'initial';
+    } else {
+      throw createError(400, 'Plan line or restored waveform is required');
+    }
+
+    const now = new Date().toISOString();
+    const session = {
+      id: `pls_${Date.now()}_${++this.sessionIdCounter}`,
+      name: config.name || `計画線編集 ${now}`,
+      samplingInterval: editor.samplingInterval,
+      constraints: editor.getConstraints(),
+      versions: {},         // バージョンID → { id, parentId, branch, operation, params, planLine, timestamp }
+      versionCounter: 0,
+      branches: {},         // 分岐名 → { name, history: [バージョンID], currentIndex, baseVersionId, createdAt }
+      currentBranch: DEFAULT_BRANCH,
+      checkpoints: [],      // { name, versionId, branch, description, createdAt }
+      createdAt: now,
+      updatedAt: now
+    };
+
+    const version = this.addVersion(session, planLine, {
+      parentId: null,
+      branch: DEFAULT_BRANCH,
+      operation,
+      params: operation === 'initial' ? { windowSize: config.windowSize || 800 } : {}
+    });
+
+    session.branches[DEFAULT_BRANCH] = {
+      name: DEFAULT_BRANCH,
+      history: [version.id],
+      currentIndex: 0,
+      baseVersionId: null,
+      createdAt: now
+    };
+
+    this.sessions.set(session.id, session);
+    await this.persist(session);
+    return session;
+  }
+
+  /**
+   * セッションを取得
+   * @param {string} sessionId - セッションID
+   * @returns {Promise<Object>} - セッション
+   */
+  async getSession(sessionId) {
+    await this.initialize();
+
+    const session = this.sessions.get(sessionId);
+    if (!session) {
+      throw createError(404, 'Session not found');
+    }
+    return session;
+  }
+
+  /**
+   * すべてのセッションの概要を取得
+   * @returns {Promise<Array>} - セッション概要一覧
+   */
+  async getAllSessions() {
+    await this.initialize();
+
+    return Array.from(this.sessions.values())
+      .sort((a, b) => new Date(b.updatedAt) - new Date(a.updatedAt))
+      .map(session => this.getSummary(session));
+  }
+
+  /**
+   * セッションを削除
+   * @param {string} sessionId - セッションID
+   * @returns {Promise<void>}
+   */
+  async deleteSession(sessionId) {
+    await this.getSession(sessionId);
+    this.sessions.delete(sessionId);
+    this.journals.delete(sessionId);
+    await Promise.all([this.store.delete(sessionId), this.store.deleteLines(sessionId)]);
+  }
+
+  /**
+   * セッションの概要（計画線データを含まない）
+   * @param {Object} session - セッション
+   * @returns {Object} - 概要
+   */
+  getSummary(session) {
+    const branch = session.branches[session.currentBranch];
+
+    return {
+      id: session.id,
+      name: session.name,
+      currentBranch: session.currentBranch,
+      currentVersionId: branch.history[branch.currentIndex],
+      canUndo: branch.currentIndex > 0,
+      canRedo: branch.currentIndex < branch.history.length - 1,
+      branches: Object.keys(session.branches),
+      checkpointCount: session.checkpoints.length,
+      versionCount: Object.keys(session.versions).length,
+      samplingInterval: session.samplingInterval,
+      constraints: session.constraints,
+      createdAt: session.createdAt,
+      updatedAt: session.updatedAt
+    };
+  }
+
+  /**
+   * 現在の分岐の最新状態（概要 + 計画線）
+   * @param {Object} session - セッション
+   * @returns {Object} - セッション状態
+   */
+  getState(session) {
+    const version = this.getCurrentVersion(session);
+
+    return {
+      ...this.getSummary(session),
+      planLine: clonePlanLine(version.planLine)
+    };
+  }
+
+  /**
+   * 編集操作を適用
+   * @param {string} sessionId - セッションID
+   * @param {string} type - 操作種別 (straight, curve, smooth, editPoint, replace)
+   * @param {Object} params - 操作パラメータ
+   * @returns {Promise<Object>} - 操作後のセッション状態
+   */
+  async applyOperation(sessionId, type, params = {}) {
+    const session = await this.getSession(sessionId);
+    const current = this.getCurrentVersion(session);
+    const editor = this.createEditor(session);
+    const planLine = clonePlanLine(current.planLine);
+
+    let updatedPlanLine;
+    try {
+      switch (type) {
+        case 'straight':
+          updatedPlanLine = editor.setStraightLine(planLine, params.startDistance, params.endDistance);
+          break;
+        case 'curve':
+          updatedPlanLine = editor.setCircularCurve(
+            planLine,
+            params.startDistance,
+            params.endDistance,
+            params.radius,
+            params.direction || 'left'
+          );
+          break;
+        case 'smooth':
+          updatedPlanLine = editor.smoothSection(
+            planLine,
+            params.startDistance,
+            params.endDistance,
+            params.windowSize || 100
+          );
+          break;
+        case 'editPoint':
+          updatedPlanLine = editor.editPoint(planLine, params.distance, Number(params.value));
+          break;
+        case 'replace':
+          // 画面上のドラッグ編集など、クライアント側で編集した計画線をそのまま記録する
+          if (!Array.isArray(params.planLine) || params.planLine.length === 0) {
+            throw new Error('Plan line is required');
+          }
+          updatedPlanLine = clonePlanLine(params.planLine);
+          break;
+        default:
+          throw new Error(`Unknown operation: ${type}`);
+      }
+    } catch (error) {
+      throw createError(400, error.message);
+    }
+
+    const recordedParams = type === 'replace' ? {} : params;
+    this.commit(session, updatedPlanLine, type, recordedParams);
+    await this.persist(session);
+    return this.getState(session);
+  }
+
+  /**
+   * 元に戻す（Undo）
+   * @param {string} sessionId - セッションID
+   * @returns {Promise<Object>} - セッション状態
+   */
+  async undo(sessionId) {
+    const session = await this.getSession(sessionId);
+    const branch = session.branches[session.currentBranch];
+
+    if (branch.currentIndex <= 0) {
+      throw createError(409, 'Nothing to undo');
+    }
+
+    branch.currentIndex--;
+    await this.persist(session);
+    return this.getState(session);
+  }
+
+  /**
+   * やり直す（Redo）
+   * @param {string} sessionId - セッションID
+   * @returns {Promise<Object>} - セッション状態
+   */
+  async redo(sessionId) {
+    const session = await this.getSession(sessionId);
+    const branch = session.branches[session.currentBranch];
+
+    if (branch.currentIndex >= branch.history.length - 1) {
+      throw createError(409, 'Nothing to redo');
+    }
+
+    branch.currentIndex++;
+    await this.persist(session);
+    return this.getState(session);
+  }
+
+  /**
+   * 現在の分岐の編集履歴を取得
+   * @param {string} sessionId - セッションID
+   * @returns {Promise<Array>} - 履歴情報
+   */
+  async getHistory(sessionId) {
+    const session = await this.getSession(sessionId);
+    const branch = session.branches[session.currentBranch];
+
+    return branch.history.map((versionId, index) => ({
+      index,
+      ...this.describeVersion(session, session.versions[versionId]),
+      isCurrent: index === branch.currentIndex
+    }));
+  }
+
+  /**
+   * 全バージョンの一覧を取得
+   * @param {string} sessionId - セッションID
+   * @returns {Promise<Array>} - バージョン情報
+   */
+  async listVersions(sessionId) {
+    const session = await this.getSession(sessionId);
+
+    return Object.values(session.versions)
+      .sort((a, b) => a.sequence - b.sequence)
+      .map(version => this.describeVersion(session, version));
+  }
+
+  /**
+   * バージョンを取得（計画線を含む）
+   * @param {string} sessionId - セッションID
+   * @param {string} ref - バージョンID / チェックポイント名 / 分岐名
+   * @returns {Promise<Object>} - バージョン
+   */
+  async getVersion(sessionId, ref) {
+    const session = await this.getSession(sessionId);
+    const version = this.resolveRef(session, ref);
+
+    return {
+      ...this.describeVersion(session, version),
+      planLine: clonePlanLine(version.planLine)
+    };
+  }
+
+  /**
+   * 名前付きチェックポイントを作成（現在の分岐の最新状態）
+   * @param {string} sessionId - セッションID
+   * @param {string} name - チェックポイント名
+   * @param {string} [description] - 説明
+   * @returns {Promise<Object>} - チェックポイント
+   */
+  async createCheckpoint(sessionId, name, description = '') {
+    const session = await this.getSession(sessionId);
+
+    if (!name) {
+      throw createError(400, 'Checkpoint name is required');
+    }
+    if (session.checkpoints.some(checkpoint => checkpoint.name === name)) {
+      throw createError(409, `Checkpoint "${name}" already exists`);
+    }
+
+    const checkpoint = {
+      name,
+      versionId: this.getCurrentVersion(session).id,
+      branch: session.currentBranch,
+      description,
+      createdAt: new Date().toISOString()
+    };
+
+    session.checkpoints.push(checkpoint);
+    await this.persist(session);
+    return checkpoint;
+  }
+
+  /**
+   * チェックポイントを削除
+   * @param {string} sessionId - セッションID
+   * @param {string} name - チェックポイント名
+   * @returns {Promise<void>}
+   */
+  async deleteCheckpoint(sessionId, name) {
+    const session = await this.getSession(sessionId);
+    const index = session.checkpoints.findIndex(checkpoint => checkpoint.name === name);
+
+    if (index < 0) {
+      throw createError(404, `Checkpoint "${name}" not found`);
+    }
+
+    session.checkpoints.splice(index, 1);
+    this.pruneVersions(session);
+    await this.persist(session);
+  }
+
+  /**
+   * 分岐を作成して切り替える
+   * @param {string} sessionId - セッションID
+   * @param {string} name - 分岐名（例: 案A, 案B）
+   * @param {string} [from] - 分岐元（バージョンID / チェックポイント名 / 分岐名、省略時は現在の状態）
+   * @returns {Promise<Object>} - セッション状態
+   */
+  async createBranch(sessionId, name, from = null) {
+    const session = await this.getSession(sessionId);
+
+    if (!name) {
+      throw createError(400, 'Branch name is required');
+    }
+    if (session.branches[name]) {
+      throw createError(409, `Branch "${name}" already exists`);
+    }
+
+    const base = from ? this.resolveRef(session, from) : this.getCurrentVersion(session);
+
+    session.branches[name] = {
+      name,
+      history: [base.id],
+      currentIndex: 0,
+      baseVersionId: base.id,
+      createdAt: new Date().toISOString()
+    };
+    session.currentBranch = name;
+
+    await this.persist(session);
+    return this.getState(session);
+  }
+
+  /**
+   * 分岐を切り替える
+   * @param {string} sessionId - セッションID
+   * @param {string} name - 分岐名
+   * @returns {Promise<Object>} - セッション状態
+   */
+  async checkoutBranch(sessionId, name) {
+    const session = await this.getSession(sessionId);
+
+    if (!session.branches[name]) {
+      throw createError(404, `Branch "${name}" not found`);
+    }
+
+    session.currentBranch = name;
+    await this.persist(session);
+    return this.getState(session);
+  }
+
+  /**
+   * 分岐を削除（main と現在の分岐は削除不可）
+   * @param {string} sessionId - セッションID
+   * @param {string} name - 分岐名
+   * @returns {Promise<void>}
+   */
+  async deleteBranch(sessionId, name) {
+    const session = await this.getSession(sessionId);
+
+    if (!session.branches[name]) {
+      throw createError(404, `Branch "${name}" not found`);
+    }
+    if (name === DEFAULT_BRANCH || name === session.currentBranch) {
+      throw createError(409, `Branch "${name}" cannot be deleted`);
+    }
+
+    delete session.branches[name];
+    this.pruneVersions(session);
+    await this.persist(session);
+  }
+
+  /**
+   * 分岐の一覧を取得
+   * @param {string} sessionId - セッションID
+   * @returns {Promise<Array>} - 分岐情報
+   */
+  async listBranches(sessionId) {
+    const session = await this.getSession(sessionId);
+
+    return Object.values(session.branches).map(branch => ({
+      name: branch.name,
+      headVersionId: branch.history[branch.currentIndex],
+      baseVersionId: branch.baseVersionId,
+      historyLength: branch.history.length,
+      isCurrent: branch.name === session.currentBranch,
+      createdAt: branch.createdAt
+    }));
+  }
+
+  /**
+   * 2つのバージョンの差分を計算
+   * @param {string} sessionId - セッションID
+   * @param {string} fromRef - 比較元（バージョンID / チェックポイント名 / 分岐名）
+   * @param {string} toRef - 比較先（省略時は現在の状態）
+   * @param {Object} options - オプション
+   * @param {number} [options.tolerance] - 変更とみなす差 (mm)
+   * @param {boolean} [options.includePoints] - 点ごとの差分を含めるか
+   * @returns {Promise<Object>} - 差分
+   */
+  async diff(sessionId, fromRef, toRef = null, options = {}) {
+    const session = await this.getSession(sessionId);
+    const from = this.resolveRef(session, fromRef);
+    const to = toRef ? this.resolveRef(session, toRef) : this.getCurrentVersion(session);
+
+    return {
+      from: this.describeVersion(session, from),
+      to: this.describeVersion(session, to),
+      ...this.diffPlanLines(from.planLine, to.planLine, options)
+    };
+  }
+
+  /**
+   * 指定バージョンの計画線を現在の分岐に復元
+   * 復元も1つの編集操作として記録するため、Undo で復元前に戻せる
+   * @param {string} sessionId - セッションID
+   * @param {string} ref - 復元するバージョン（バージョンID / チェックポイント名 / 分岐名）
+   * @returns {Promise<Object>} - セッション状態
+   */
+  async restore(sessionId, ref) {
+    const session = await this.getSession(sessionId);
+    const version = this.resolveRef(session, ref);
+
+    this.commit(session, clonePlanLine(version.planLine), 'restore', { from: version.id });
+    await this.persist(session);
+    return this.getState(session);
+  }
+
+  /**
+   * 計画線同士の差分を計算（距離で対応付け）
+   * @param {MeasurementData[]} fromPlanLine - 比較元
+   * @param {MeasurementData[]} toPlanLine - 比較先
+   * @param {Object} options - diff() と同じオプション
+   * @returns {Object} - 差分統計・変更区間
+   */
+  diffPlanLines(fromPlanLine, toPlanLine, options = {}) {
+    const tolerance = options.tolerance ?? 0.001;
+    const fromMap = new Map(fromPlanLine.map(point => [point.distance.toFixed(2), point.value]));
+    const toKeys = new Set();
+
+    const points = [];
+    const sections = [];
+    let currentSection = null;
+    let sumSquares = 0;
+    let maxAbsDiff = 0;
+    let changedPoints = 0;
+
+    for (const point of toPlanLine) {
+      const key = point.distance.toFixed(2);
+      toKeys.add(key);
+      if (!fromMap.has(key)) continue;
+
+      const fromValue = fromMap.get(key);
+      const diff = point.value - fromValue;
+      const absDiff = Math.abs(diff);
+      sumSquares += diff * diff;
+      maxAbsDiff = Math.max(maxAbsDiff, absDiff);
+
+      if (absDiff > tolerance) {
+        changedPoints++;
+        if (options.includePoints) {
+          points.push({
+            distance: point.distance,
+            from: fromValue,
+            to: point.value,
+            diff: parseFloat(diff.toFixed(3))
+          });
+        }
+
+        // 連続する変更点を1つの区間にまとめる
+        if (!currentSection) {
+          currentSection = { startDistance: point.distance, endDistance: point.distance, points: 0, maxAbsDiff: 0 };
+          sections.push(currentSection);
+        }
+        currentSection.endDistance = point.distance;
+        currentSection.points++;
+        currentSection.maxAbsDiff = parseFloat(Math.max(currentSection.maxAbsDiff, absDiff).toFixed(3));
+      } else {
+        currentSection = null;
+      }
+    }
+
+    const comparedPoints = toPlanLine.filter(point => fromMap.has(point.distance.toFixed(2))).length;
+
+    const result = {
+      tolerance,
+      comparedPoints,
+      changedPoints,
+      identical: changedPoints === 0 && comparedPoints === fromPlanLine.length && comparedPoints === toPlanLine.length,
+      maxAbsDiff: parseFloat(maxAbsDiff.toFixed(3)),
+      rmsDiff: comparedPoints > 0 ? parseFloat(Math.sqrt(sumSquares / comparedPoints).toFixed(3)) : 0,
+      onlyInFrom: fromPlanLine.filter(point => !toKeys.has(point.distance.toFixed(2))).length,
+      onlyInTo: toPlanLine.length - comparedPoints,
+      sections
+    };
+
+    if (options.includePoints) {
+      result.points = points;
+    }
+
+    return result;
+  }
+
+  /**
+   * 現在の分岐に新しいバージョンを追加（Redo 側の履歴は破棄）
+   * @param {Object} session - セッション
+   * @param {MeasurementData[]} planLine - 計画線
+   * @param {string} operation - 操作名
+   * @param {Object} params - 操作パラメータ
+   */
+  commit(session, planLine, operation, params) {
+    const branch = session.branches[session.currentBranch];
+    const version = this.addVersion(session, planLine, {
+      parentId: branch.history[branch.currentIndex],
+      branch: branch.name,
+      operation,
+      params
+    });
+
+    branch.history = branch.history.slice(0, branch.currentIndex + 1);
+    branch.history.push(version.id);
+
+    // 履歴の上限（分岐元のバージョンは残す）
+    while (branch.history.length > MAX_HISTORY) {
+      branch.history.splice(1, 1);
+    }
+    branch.currentIndex = branch.history.length - 1;
+
+    this.pruneVersions(session);
+  }
+
+  /**
+   * バージョンを登録
+   * @param {Object} session - セッション
+   * @param {MeasurementData[]} planLine - 計画線
+   * @param {Object} info - { parentId, branch, operation, params }
+   * @returns {Object} - バージョン
+   */
+  addVersion(session, planLine, info) {
+    const sequence = ++session.versionCounter;
+    const version = {
+      id: `v${sequence}`,
+      sequence,
+      parentId: info.parentId,
+      branch: info.branch,
+      operation: info.operation,
+      params: info.params || {},
+      planLine,
+      timestamp: new Date().toISOString()
+    };
+
+    session.versions[version.id] = version;
+    return version;
+  }
+
+  /**
+   * どの分岐の履歴・チェックポイントからも参照されないバージョンを削除
+   * @param {Object} session - セッション
+   */
+  pruneVersions(session) {
+    const referenced = new Set();
+
+    Object.values(session.branches).forEach(branch => {
+      branch.history.forEach(versionId => referenced.add(versionId));
+      if (branch.baseVersionId) referenced.add(branch.baseVersionId);
+    });
+    session.checkpoints.forEach(checkpoint => referenced.add(checkpoint.versionId));
+
+    Object.keys(session.versions).forEach(versionId => {
+      if (!referenced.has(versionId)) {
+        delete session.versions[versionId];
+      }
+    });
+  }
+
+  /**
+   * 現在の分岐の最新バージョンを取得
+   * @param {Object} session - セッション
+   * @returns {Object} - バージョン
+   */
+  getCurrentVersion(session) {
+    const branch = session.branches[session.currentBranch];
+    return session.versions[branch.history[branch.currentIndex]];
+  }
+
+  /**
+   * バージョン参照を解決（バージョンID → チェックポイント名 → 分岐名の順）
+   * @param {Object} session - セッション
+   * @param {string} ref - 参照
+   * @returns {Object} - バージョン
+   */
+  resolveRef(session, ref) {
+    if (session.versions[ref]) {
+      return session.versions[ref];
+    }
+
+    const checkpoint = session.checkpoints.find(c => c.name === ref);
+    if (checkpoint) {
+      return session.versions[checkpoint.versionId];
+    }
+
+    const branch = session.branches[ref];
+    if (branch) {
+      return session.versions[branch.history[branch.currentIndex]];
+    }
+
+    throw createError(404, `Version "${ref}" not found`);
+  }
+
+  /**
+   * バージョンの概要（計画線データを含まない）
+   * @param {Object} session - セッション
+   * @param {Object} version - バージョン
+   * @returns {Object} - 概要
+   */
+  describeVersion(session, version) {
+    return {
+      id: version.id,
+      parentId: version.parentId,
+      branch: version.branch,
+      operation: version.operation,
+      params: version.params,
+      checkpoints: session.checkpoints
+        .filter(checkpoint => checkpoint.versionId === version.id)
+        .map(checkpoint => checkpoint.name),
+      dataPoints: version.planLine.length,
+      timestamp: version.timestamp
+    };
+  }
+
+  /**
+   * セッション設定に合わせた編集器を生成
+   * @param {Object} config - { samplingInterval, constraints }
+   * @returns {PlanLineEditor} - 編集器
+   */
+  createEditor(config) {
+    const editor = new PlanLineEditor(config.samplingInterval || 0.25);
+    if (config.constraints) {
+      editor.setConstraints(config.constraints);
+    }
+    return editor;
+  }
+}
+
+// シングルトンインスタンス
+const planLineSessionManager = new PlanLineSessionManager();
+
+module.exports = planLineSessionManager;
+module.exports.PlanLineSessionManager = PlanLineSessionManager;
+module.exports.SNAPSHOT_INTERVAL = SNAPSHOT_INTERVAL;
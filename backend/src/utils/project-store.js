@@ -0,0 +1,279 @@
+/**
+ * プロジェクトストア
+ * File-backed project store for dataset persistence
+ *
+ * 機能:
+ * - データセット単位のJSONファイル保存（1データセット = 1ファイル）
+ * - 起動時の一括読み込み
+ * - 一時ファイル経由の書き込みによる破損防止
+ * - 同一データセットへの書き込みの直列化
+ * - 追記専用のレコード列は JSON Lines（1行 = 1レコード）で保存し、追加時は追記のみ
+ */
+
+const fs = require('fs').promises;
+const fsSync = require('fs');
+const path = require('path');
+
+class ProjectStore {
+  /**
+   * @param {string} storeDirectory - 保存先ディレクトリ
+   * @param {Object} [options] - オプション
+   * @param {number} [options.indent=2] - JSONファイルのインデント（0 で改行なし）
+   */
+  constructor(storeDirectory = './data/projects', options = {}) {
+    this.storeDirectory = storeDirectory;
+    this.indent = options.indent ?? 2;
+    this.writeQueues = new Map(); // データセットID → 書き込み待ちPromise
+  }
+
+  /**
+   * データセットIDからファイルパスを取得
+   * @param {string} id - データセットID
+   * @returns {string} ファイルパス
+   */
+  getFilePath(id) {
+    const safeId = String(id).replace(/[^A-Za-z0-9_.-]/g, '_');
+    return path.join(this.storeDirectory, `${safeId}.json`);
+  }
+
+  /**
+   * レコード列のIDから JSON Lines ファイルのパスを取得
+   * @param {string} id - レコード列ID
+   * @returns {string} ファイルパス
+   */
+  getLinesFilePath(id) {
+    const safeId = String(id).replace(/[^A-Za-z0-9_.-]/g, '_');
+    return path.join(this.storeDirectory, `${safeId}.jsonl`);
+  }
+
+  /**
+   * 保存済みの全レコードを読み込み
+   * @returns {Promise<Array>} レコード配列
+   */
+  async loadAll() {
+    let entries;
+    try {
+      entries = await fs.readdir(this.storeDirectory);
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return [];
+      }
+      throw error;
+    }
+
+    const records = [];
+    for (const entry of entries) {
+      if (!entry.endsWith('.json')) continue;
+
+      const filePath = path.join(this.storeDirectory, entry);
+      try {
+        const data = await fs.readFile(filePath, 'utf8');
+        records.push(JSON.parse(data));
+      } catch (error) {
+        // 壊れたファイルは読み飛ばし、他のデータセットの復元を優先する
+        console.error(`Failed to load project file ${filePath}:`, error.message);
+      }
+    }
+
+    return records;
+  }
+
+  /**
+   * 保存済みの全レコードを同期的に読み込み
+   * 同期APIから参照される小さな設定データ用
+   * @returns {Array} レコード配列
+   */
+  loadAllSync() {
+    let entries;
+    try {
+      entries = fsSync.readdirSync(this.storeDirectory);
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return [];
+      }
+      throw error;
+    }
+
+    const records = [];
+    for (const entry of entries) {
+      if (!entry.endsWith('.json')) continue;
+
+      const filePath = path.join(this.storeDirectory, entry);
+      try {
+        records.push(JSON.parse(fsSync.readFileSync(filePath, 'utf8')));
+      } catch (error) {
+        console.error(`Failed to load project file ${filePath}:`, error.message);
+      }
+    }
+
+    return records;
+  }
+
+  /**
+   * 1件のレコードを同期的に読み込み
+   * 別プロセスが保存したレコードも参照できるよう、毎回ファイルから読む
+   * @param {string} id - データセットID
+   * @returns {Object|null} レコード（存在しなければ null）
+   */
+  loadSync(id) {
+    try {
+      return JSON.parse(fsSync.readFileSync(this.getFilePath(id), 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * JSON Lines のレコード列を同期的に読み込み
+   * 書き込み途中で終了した行など、解析できない行は読み飛ばす
+   * @param {string} id - レコード列ID
+   * @returns {Array|null} レコード配列（ファイルが無ければ null）
+   */
+  loadLinesSync(id) {
+    const filePath = this.getLinesFilePath(id);
+    let data;
+    try {
+      data = fsSync.readFileSync(filePath, 'utf8');
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return null;
+      }
+      throw error;
+    }
+
+    const records = [];
+    data.split('\n').forEach((line, index) => {
+      if (!line.trim()) return;
+      try {
+        records.push(JSON.parse(line));
+      } catch (error) {
+        console.error(`Failed to load line ${index + 1} of ${filePath}:`, error.message);
+      }
+    });
+    return records;
+  }
+
+  /**
+   * JSON Lines のレコード列に追記
+   * @param {string} id - レコード列ID
+   * @param {Array} records - 追記するレコード
+   * @returns {Promise<void>}
+   */
+  appendLines(id, records) {
+    const lines = records.map(record => `${JSON.stringify(record)}\n`).join('');
+    return this.enqueue(`${id}.jsonl`, async () => {
+      await fs.mkdir(this.storeDirectory, { recursive: true });
+      await fs.appendFile(this.getLinesFilePath(id), lines, 'utf8');
+    });
+  }
+
+  /**
+   * JSON Lines のレコード列を書き換え（削除・更新時）
+   * @param {string} id - レコード列ID
+   * @param {Array} records - 全レコード
+   * @returns {Promise<void>}
+   */
+  saveLines(id, records) {
+    const lines = records.map(record => `${JSON.stringify(record)}\n`).join('');
+    return this.enqueue(`${id}.jsonl`, async () => {
+      await fs.mkdir(this.storeDirectory, { recursive: true });
+      const filePath = this.getLinesFilePath(id);
+      const tempPath = `${filePath}.tmp`;
+      await fs.writeFile(tempPath, lines, 'utf8');
+      await fs.rename(tempPath, filePath);
+    });
+  }
+
+  /**
+   * JSON Lines のレコード列を削除
+   * @param {string} id - レコード列ID
+   * @param {Promise} [after] - 完了を待ってから削除する処理（失敗した場合は削除しない）
+   * @returns {Promise<void>}
+   */
+  deleteLines(id, after = Promise.resolve()) {
+    return this.enqueue(`${id}.jsonl`, async () => {
+      await after;
+      try {
+        await fs.unlink(this.getLinesFilePath(id));
+      } catch (error) {
+        if (error.code !== 'ENOENT') throw error;
+      }
+    });
+  }
+
+  /**
+   * レコードを保存
+   * @param {Object} record - 保存するレコード（idプロパティ必須）
+   * @returns {Promise<void>}
+   */
+  save(record) {
+    if (!record || !record.id) {
+      return Promise.reject(new Error('Record id is required'));
+    }
+
+    const json = JSON.stringify(record, null, this.indent);
+    return this.enqueue(record.id, () => this.writeFile(record.id, json));
+  }
+
+  /**
+   * レコードを削除
+   * @param {string} id - データセットID
+   * @returns {Promise<void>}
+   */
+  delete(id) {
+    return this.enqueue(id, async () => {
+      try {
+        await fs.unlink(this.getFilePath(id));
+      } catch (error) {
+        if (error.code !== 'ENOENT') throw error;
+      }
+    });
+  }
+
+  /**
+   * 書き込み待ちの処理がすべて完了するまで待機
+   * @returns {Promise<void>}
+   */
+  async flush() {
+    await Promise.all(Array.from(this.writeQueues.values()));
+  }
+
+  /**
+   * 一時ファイルに書き込んでからリネーム
+   * @param {string} id - データセットID
+   * @param {string} json - JSON文字列
+   */
+  async writeFile(id, json) {
+    await fs.mkdir(this.storeDirectory, { recursive: true });
+
+    const filePath = this.getFilePath(id);
+    const tempPath = `${filePath}.tmp`;
+    await fs.writeFile(tempPath, json, 'utf8');
+    await fs.rename(tempPath, filePath);
+  }
+
+  /**
+   * データセットごとに書き込みを直列化
+   * @param {string} id - データセットID
+   * @param {Function} task - 実行する非同期処理
+   * @returns {Promise<void>}
+   */
+  enqueue(id, task) {
+    const previous = this.writeQueues.get(id) || Promise.resolve();
+    const next = previous.catch(() => {}).then(task);
+
+    this.writeQueues.set(id, next);
+    next.finally(() => {
+      if (this.writeQueues.get(id) === next) {
+        this.writeQueues.delete(id);
+      }
+    }).catch(() => {});
+
+    return next;
+  }
+}
+
+module.exports = { ProjectStore };
@@ -0,0 +1,158 @@
+/**
+ * 作業パッケージジョブマネージャー
+ * Work package job manager for the end-to-end track correction pipeline
+ */
+
+// パイプラインの工程（実行順）
+const WORK_PACKAGE_STAGES = [
+  { id: 'load', name: 'データ読み込み・統合' },
+  { id: 'direction', name: '作業方向による符号調整' },
+  { id: 'handMeasurement', name: '手検測データ統合' },
+  { id: 'restoration', name: '復元波形計算' },
+  { id: 'planLine', name: '計画線生成' },
+  { id: 'movement', name: '移動量計算' },
+  { id: 'mttCorrection', name: 'MTT補正' },
+  { id: 'export', name: '各形式エクスポート' },
+  { id: 'standardExport', name: '標準フォルダ構成出力' },
+  { id: 'archive', name: 'ZIPアーカイブ作成' }
+];
+
+class WorkPackageManager {
+  constructor() {
+    this.packages = new Map();
+    this.packageIdCounter = 0;
+  }
+
+  /**
+   * 新しい作業パッケージを作成
+   * @param {Object} config - パッケージ設定
+   * @returns {string} - パッケージID
+   */
+  createPackage(config) {
+    const packageId = `wp_${Date.now()}_${++this.packageIdCounter}`;
+
+    const workPackage = {
+      id: packageId,
+      status: 'pending', // pending, running, completed, failed
+      config,
+      stages: WORK_PACKAGE_STAGES.map(stage => ({
+        id: stage.id,
+        name: stage.name,
+        status: 'pending', // pending, running, completed, failed
+        startTime: null,
+        endTime: null,
+        error: null
+      })),
+      currentStage: null,
+      progress: 0,
+      result: null,
+      archivePath: null,
+      error: null,
+      startTime: null,
+      endTime: null,
+      createdAt: new Date().toISOString()
+    };
+
+    this.packages.set(packageId, workPackage);
+    return packageId;
+  }
+
+  /**
+   * 作業パッケージを取得
+   * @param {string} packageId - パッケージID
+   * @returns {Object} - 作業パッケージ
+   */
+  getPackage(packageId) {
+    return this.packages.get(packageId);
+  }
+
+  /**
+   * すべての作業パッケージを取得
+   * @returns {Array} - 作業パッケージ一覧
+   */
+  getAllPackages() {
+    return Array.from(this.packages.values()).sort((a, b) =>
+      new Date(b.createdAt) - new Date(a.createdAt)
+    );
+  }
+
+  /**
+   * パッケージのステータスを更新
+   * @param {string} packageId - パッケージID
+   * @param {string} status - 新しいステータス
+   * @param {string} error - エラーメッセージ（失敗時）
+   */
+  updatePackageStatus(packageId, status, error = null) {
+    const workPackage = this.packages.get(packageId);
+    if (!workPackage) return;
+
+    workPackage.status = status;
+    if (error) {
+      workPackage.error = error;
+    }
+
+    if (status === 'running' && !workPackage.startTime) {
+      workPackage.startTime = new Date().toISOString();
+    } else if ((status === 'completed' || status === 'failed') && !workPackage.endTime) {
+      workPackage.endTime = new Date().toISOString();
+    }
+  }
+
+  /**
+   * 工程のステータスを更新
+   * @param {string} packageId - パッケージID
+   * @param {string} stageId - 工程ID
+   * @param {string} status - 新しいステータス
+   * @param {string} error - エラーメッセージ（失敗時）
+   */
+  updateStageStatus(packageId, stageId, status, error = null) {
+    const workPackage = this.packages.get(packageId);
+    if (!workPackage) return;
+
+    const stage = workPackage.stages.find(s => s.id === stageId);
+    if (!stage) return;
+
+    stage.status = status;
+    stage.error = error;
+
+    if (status === 'running') {
+      stage.startTime = new Date().toISOString();
+      workPackage.currentStage = stageId;
+    } else {
+      stage.endTime = new Date().toISOString();
+    }
+
+    // 進捗率を計算
+    const completed = workPackage.stages.filter(s => s.status === 'completed').length;
+    workPackage.progress = Math.round((completed / workPackage.stages.length) * 100);
+  }
+
+  /**
+   * パッケージを削除
+   * @param {string} packageId - パッケージID
+   */
+  deletePackage(packageId) {
+    return this.packages.delete(packageId);
+  }
+
+  /**
+   * パッケージの統計情報を取得
+   */
+  getStatistics() {
+    const packages = Array.from(this.packages.values());
+
+    return {
+      total: packages.length,
+      pending: packages.filter(p => p.status === 'pending').length,
+      running: packages.filter(p => p.status === 'running').length,
+      completed: packages.filter(p => p.status === 'completed').length,
+      failed: packages.filter(p => p.status === 'failed').length
+    };
+  }
+}
+
+// シングルトンインスタンス
+const workPackageManager = new WorkPackageManager();
+
+module.exports = workPackageManager;
+module.exports.WORK_PACKAGE_STAGES = WORK_PACKAGE_STAGES;
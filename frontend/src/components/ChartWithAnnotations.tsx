@@ -16,6 +16,8 @@ import {
 import annotationPlugin from 'chartjs-plugin-annotation'
 import { Line } from 'react-chartjs-2'
 import { useKiyaStore } from '../stores/kiyaStore'
+import { TrackEnvironmentKind, TrackEnvironmentOverlay } from '../types/track-environment'
+import { buildTrackEnvironmentAnnotations, TrackEnvironmentLegend } from './TrackEnvironmentLayer'
 import './ChartDisplay.css'
 
 ChartJS.register(
@@ -37,11 +39,17 @@ interface TrackData {
 interface ChartWithAnnotationsProps {
   originalData: TrackData[]
   restoredData?: TrackData[]
+  startKm?: number  // データの開始キロ程 (km)。distance はここからの距離 (m)
+  trackEnvironment?: TrackEnvironmentOverlay | null  // 軌道環境オーバーレイ（useTrackEnvironmentOverlay で取得、キロ程は km）
+  trackEnvironmentKinds?: TrackEnvironmentKind[]
 }
 
 export const ChartWithAnnotations: React.FC<ChartWithAnnotationsProps> = ({
   originalData,
-  restoredData
+  restoredData,
+  startKm = 0,
+  trackEnvironment,
+  trackEnvironmentKinds
 }) => {
   const { curves, structures, selectedCurveId, selectCurve } = useKiyaStore()
 
@@ -168,6 +176,16 @@ export const ChartWithAnnotations: React.FC<ChartWithAnnotationsProps> = ({
     return annotations
   }, [structures])
 
+  // 軌道環境アノテーションの生成（波形の下に描画）
+  const trackEnvironmentAnnotations = useMemo(
+    () => buildTrackEnvironmentAnnotations(
+      trackEnvironment,
+      originalData.map(d => startKm + d.distance / 1000),
+      trackEnvironmentKinds
+    ),
+    [trackEnvironment, originalData, startKm, trackEnvironmentKinds]
+  )
+
   const options = {
     responsive: true,
     maintainAspectRatio: false,
@@ -196,6 +214,7 @@ export const ChartWithAnnotations: React.FC<ChartWithAnnotationsProps> = ({
       },
       annotation: {
         annotations: {
+          ...trackEnvironmentAnnotations,
           ...structureAnnotations,
           ...curveAnnotations
         }
@@ -252,6 +271,8 @@ export const ChartWithAnnotations: React.FC<ChartWithAnnotationsProps> = ({
           </div>
         </div>
       )}
+
+      <TrackEnvironmentLegend overlay={trackEnvironment} kinds={trackEnvironmentKinds} />
     </div>
   )
 }
@@ -2,13 +2,21 @@ import React, { useState } from 'react'
 import { LineChart, Line, XAxis, YAxis, CartesianGrid, Tooltip, Legend, ResponsiveContainer } from 'recharts'
 import './CorrectionSettings.css'
 
-interface CorrectionCoefficients {
-  cant: number
-  slack: number
+type CorrectionChannel = 'crossLevel' | 'gauge'
+
+type TransitionType = 'linear' | 'clothoid' | 'cubic' | 'sine'
+
+interface CorrectionRequest {
+  curveSpecId: string
+  channel: CorrectionChannel
+  startKP: number
+  transitionType: TransitionType
 }
 
 interface CorrectionData {
   distance: number
+  cant: number
+  slack: number
   original: number
   cantCorrection: number
   slackCorrection: number
@@ -25,10 +33,13 @@ interface CorrectionResult {
     avg: number
     stdDev: number
   }
-  coefficients?: {
+  channel?: CorrectionChannel
+  channelLabel?: string
+  factors?: {
     cant: number
     slack: number
   }
+  curveSpecId?: string
   dataPoints: number
   error?: string
 }
@@ -39,23 +50,24 @@ interface CorrectionSettingsProps {
   onClose?: () => void
 }
 
+const DEFAULT_REQUEST: CorrectionRequest = {
+  curveSpecId: 'default',
+  channel: 'crossLevel',
+  startKP: 0,
+  transitionType: 'linear',
+}
+
 const CorrectionSettings: React.FC<CorrectionSettingsProps> = ({ data, onCorrectionApplied, onClose }) => {
-  const [coefficients, setCoefficients] = useState<CorrectionCoefficients>({
-    cant: 0.15,
-    slack: 0.08,
-  })
+  const [request, setRequest] = useState<CorrectionRequest>(DEFAULT_REQUEST)
   const [correctionResult, setCorrectionResult] = useState<CorrectionResult | null>(null)
   const [loading, setLoading] = useState(false)
   const [error, setError] = useState<string | null>(null)
   const [showComparison, setShowComparison] = useState(true)
 
-  const handleCoefficientChange = (type: 'cant' | 'slack', value: string) => {
+  const handleStartKPChange = (value: string) => {
     const numValue = parseFloat(value)
     if (!isNaN(numValue)) {
-      setCoefficients(prev => ({
-        ...prev,
-        [type]: numValue,
-      }))
+      setRequest(prev => ({ ...prev, startKP: numValue }))
     }
   }
 
@@ -74,7 +86,7 @@ const CorrectionSettings: React.FC<CorrectionSettingsProps> = ({ data, onCorrect
         headers: { 'Content-Type': 'application/json' },
         body: JSON.stringify({
           data,
-          coefficients,
+          ...request,
         }),
       })
 
@@ -97,7 +109,7 @@ const CorrectionSettings: React.FC<CorrectionSettingsProps> = ({ data, onCorrect
   }
 
   const handleReset = () => {
-    setCoefficients({ cant: 0.15, slack: 0.08 })
+    setRequest(DEFAULT_REQUEST)
     setCorrectionResult(null)
     setError(null)
   }
@@ -146,44 +158,62 @@ const CorrectionSettings: React.FC<CorrectionSettingsProps> = ({ data, onCorrect
       </div>
 
       <div className="correction-content">
-        {/* 補正係数入力フォーム */}
+        {/* 曲線諸元の指定 */}
         <div className="coefficient-form">
-          <h4>補正係数設定</h4>
+          <h4>曲線諸元（設計カント・スラック）</h4>
           <div className="coefficient-grid">
             <div className="coefficient-item">
-              <label htmlFor="cant-coeff">
-                カント補正係数:
-                <span className="recommended">(推奨: 0.15)</span>
-              </label>
+              <label htmlFor="curve-spec-id">曲線諸元データセットID:</label>
               <input
-                id="cant-coeff"
-                type="number"
-                min="0"
-                max="1"
-                step="0.01"
-                value={coefficients.cant}
-                onChange={(e) => handleCoefficientChange('cant', e.target.value)}
+                id="curve-spec-id"
+                type="text"
+                value={request.curveSpecId}
+                onChange={(e) => setRequest(prev => ({ ...prev, curveSpecId: e.target.value }))}
                 disabled={loading}
               />
-              <span className="coefficient-range">範囲: 0.0 - 1.0</span>
+              <span className="coefficient-range">曲線諸元インポート時のプロジェクトID</span>
             </div>
 
             <div className="coefficient-item">
-              <label htmlFor="slack-coeff">
-                スラック補正係数:
-                <span className="recommended">(推奨: 0.08)</span>
-              </label>
+              <label htmlFor="correction-channel">測定項目:</label>
+              <select
+                id="correction-channel"
+                value={request.channel}
+                onChange={(e) => setRequest(prev => ({ ...prev, channel: e.target.value as CorrectionChannel }))}
+                disabled={loading}
+              >
+                <option value="crossLevel">水準（設計カントを控除）</option>
+                <option value="gauge">軌間（設計スラックを控除）</option>
+              </select>
+            </div>
+
+            <div className="coefficient-item">
+              <label htmlFor="start-kp">距離0mのキロ程:</label>
               <input
-                id="slack-coeff"
+                id="start-kp"
                 type="number"
-                min="0"
-                max="0.5"
-                step="0.01"
-                value={coefficients.slack}
-                onChange={(e) => handleCoefficientChange('slack', e.target.value)}
+                step="0.001"
+                value={request.startKP}
+                onChange={(e) => handleStartKPChange(e.target.value)}
                 disabled={loading}
               />
-              <span className="coefficient-range">範囲: 0.0 - 0.5</span>
+              <span className="coefficient-range">単位: km</span>
+            </div>
+
+            <div className="coefficient-item">
+              <label htmlFor="transition-type">緩和曲線の逓減形状:</label>
+              <select
+                id="transition-type"
+                value={request.transitionType}
+                onChange={(e) => setRequest(prev => ({ ...prev, transitionType: e.target.value as TransitionType }))}
+                disabled={loading}
+              >
+                <option value="linear">直線逓減</option>
+                <option value="clothoid">クロソイド</option>
+                <option value="cubic">3次放物線</option>
+                <option value="sine">サイン逓減</option>
+              </select>
+              <span className="coefficient-range">曲線諸元に逓減形状がない緩和曲線に適用</span>
             </div>
           </div>
 
@@ -303,8 +333,7 @@ const CorrectionSettings: React.FC<CorrectionSettingsProps> = ({ data, onCorrect
                 ✓ 処理データ点数: <strong>{correctionResult.dataPoints}</strong> points
               </p>
               <p>
-                ✓ 使用係数: カント={correctionResult.coefficients?.cant.toFixed(2)}, スラック=
-                {correctionResult.coefficients?.slack.toFixed(2)}
+                ✓ 曲線諸元: {correctionResult.curveSpecId} / 測定項目: {correctionResult.channelLabel}
               </p>
             </div>
           </>
@@ -5,11 +5,15 @@
  * - 不動点や移動量制限箇所の新規入力・更新
  * - 作業方向順の入力
  * - 左右方向、上下方向の制限設定
+ * - 軌道環境データ（分岐器・橋梁・ガードレール・EJ/IJ・ホーム等）からの自動設定と要素種別ごとのルール編集
  */
 
 import React, { useState, useCallback, useEffect } from 'react';
+import axios from 'axios';
 import './MovementRestrictionEditor.css';
 
+const API_BASE_URL = 'http://localhost:5000/api';
+
 interface MovementRestriction {
   id: string;
   startKm: number;      // 開始キロ程 (m単位)
@@ -18,6 +22,34 @@ interface MovementRestriction {
   restrictionAmount: number;  // 制限量 (mm)
   isFixed: boolean;     // 不動点フラグ
   notes?: string;       // 備考
+  source?: 'auto' | 'manual';  // auto: 軌道環境データからの自動設定
+}
+
+interface RestrictionLimit {
+  amount: number;
+  isFixed: boolean;
+  direction?: 'left' | 'right' | 'both';
+}
+
+// 要素種別ごとの自動設定ルール（GET /api/restrictions/rules）
+interface RestrictionRule {
+  label: string;
+  source: string;
+  enabled: boolean;
+  margin: number;             // 前後に広げる距離 (m)
+  platformLength?: number;    // ホーム長 (m)
+  lateral: RestrictionLimit | null;
+  vertical: RestrictionLimit | null;
+}
+
+interface RestrictionConflict {
+  startKm: number;
+  endKm: number;
+  direction: MovementRestriction['direction'];
+  manualAmount: number;
+  autoAmount: number;
+  autoIsFixed: boolean;
+  notes: string;
 }
 
 interface MovementRestrictionEditorProps {
@@ -25,13 +57,15 @@ interface MovementRestrictionEditorProps {
   workDirection?: 'up' | 'down';
   onRestrictionsChange?: (restrictions: MovementRestriction[]) => void;
   maxRestrictions?: number;
+  trackEnvironmentDatasetId?: string;  // 自動設定に使う軌道環境データセットID
 }
 
 const MovementRestrictionEditor: React.FC<MovementRestrictionEditorProps> = ({
   restrictions: initialRestrictions = [],
   workDirection = 'up',
   onRestrictionsChange,
-  maxRestrictions = 50
+  maxRestrictions = 50,
+  trackEnvironmentDatasetId = ''
 }) => {
   const [restrictions, setRestrictions] = useState<MovementRestriction[]>(initialRestrictions);
   const [editingId, setEditingId] = useState<string | null>(null);
@@ -42,6 +76,17 @@ const MovementRestrictionEditor: React.FC<MovementRestrictionEditorProps> = ({
   });
   const [validationErrors, setValidationErrors] = useState<Record<string, string>>({});
   const [showImportDialog, setShowImportDialog] = useState(false);
+  const [autoSettings, setAutoSettings] = useState({
+    datasetId: trackEnvironmentDatasetId,
+    startKm: '',
+    endKm: ''
+  });
+  const [rules, setRules] = useState<Record<string, RestrictionRule> | null>(null);
+  const [showRules, setShowRules] = useState(false);
+  const [conflicts, setConflicts] = useState<RestrictionConflict[]>([]);
+  const [autoMessage, setAutoMessage] = useState<string | null>(null);
+  const [autoError, setAutoError] = useState<string | null>(null);
+  const [isAutoProcessing, setIsAutoProcessing] = useState(false);
 
   // 作業方向順のソート
   const sortByWorkDirection = useCallback((items: MovementRestriction[]) => {
@@ -121,10 +166,10 @@ const MovementRestrictionEditor: React.FC<MovementRestrictionEditorProps> = ({
     }
   }, [restrictions, onRestrictionsChange]);
 
-  // 制限箇所の更新
+  // 制限箇所の更新（編集した自動設定の制限箇所は手入力として扱い、再度の自動設定で上書きしない）
   const updateRestriction = useCallback((id: string, updates: Partial<MovementRestriction>) => {
     const updatedRestrictions = restrictions.map(r =>
-      r.id === id ? { ...r, ...updates } : r
+      r.id === id ? { ...r, ...updates, source: 'manual' as const } : r
     );
 
     const sortedRestrictions = sortByWorkDirection(updatedRestrictions);
@@ -196,6 +241,98 @@ const MovementRestrictionEditor: React.FC<MovementRestrictionEditorProps> = ({
     document.body.removeChild(link);
   }, [restrictions]);
 
+  // 軌道環境データから自動設定（手入力の制限箇所を優先して統合）
+  const proposeFromTrackEnvironment = useCallback(async () => {
+    const startKm = parseFloat(autoSettings.startKm);
+    const endKm = parseFloat(autoSettings.endKm);
+    if (!autoSettings.datasetId || isNaN(startKm) || isNaN(endKm) || startKm >= endKm) {
+      setAutoError('軌道環境データセットIDと対象範囲（開始 < 終了、km）を入力してください');
+      return;
+    }
+
+    setIsAutoProcessing(true);
+    setAutoError(null);
+    setAutoMessage(null);
+
+    try {
+      const response = await axios.post(`${API_BASE_URL}/restrictions/propose`, {
+        datasetId: autoSettings.datasetId,
+        startKm,
+        endKm,
+        manualRestrictions: restrictions.filter(r => r.source !== 'auto')
+      });
+
+      if (!response.data.success) {
+        throw new Error(response.data.error || '自動設定に失敗しました');
+      }
+
+      const merged: MovementRestriction[] = response.data.restrictions;
+      const updatedRestrictions = sortByWorkDirection(merged);
+      setRestrictions(updatedRestrictions);
+      setConflicts(response.data.conflicts || []);
+      setAutoMessage(
+        `自動設定 ${response.data.summary.auto}箇所、手入力 ${response.data.summary.manual}箇所` +
+        (merged.length > maxRestrictions ? `（上限 ${maxRestrictions} 箇所を超えています）` : '')
+      );
+
+      if (onRestrictionsChange) {
+        onRestrictionsChange(updatedRestrictions);
+      }
+    } catch (error: any) {
+      setAutoError(error.response?.data?.error || error.message);
+    } finally {
+      setIsAutoProcessing(false);
+    }
+  }, [autoSettings, restrictions, sortByWorkDirection, maxRestrictions, onRestrictionsChange]);
+
+  // 自動設定の制限箇所を取り除く
+  const clearAutoRestrictions = useCallback(() => {
+    const updatedRestrictions = restrictions.filter(r => r.source !== 'auto');
+    setRestrictions(updatedRestrictions);
+    setConflicts([]);
+    setAutoMessage(null);
+
+    if (onRestrictionsChange) {
+      onRestrictionsChange(updatedRestrictions);
+    }
+  }, [restrictions, onRestrictionsChange]);
+
+  // 自動設定ルールの読み込み・保存・既定値に戻す
+  const requestRules = useCallback(async (method: 'get' | 'put' | 'delete') => {
+    setAutoError(null);
+    try {
+      const url = `${API_BASE_URL}/restrictions/rules`;
+      const response = method === 'put'
+        ? await axios.put(url, { rules })
+        : await axios[method](url);
+      setRules(response.data.rules);
+      if (method !== 'get') {
+        setAutoMessage(method === 'put' ? 'ルールを保存しました' : 'ルールを既定値に戻しました');
+      }
+    } catch (error: any) {
+      setAutoError(error.response?.data?.error || error.message);
+    }
+  }, [rules]);
+
+  const updateRule = useCallback((type: string, updates: Partial<RestrictionRule>) => {
+    setRules(prev => prev ? { ...prev, [type]: { ...prev[type], ...updates } } : prev);
+  }, []);
+
+  const updateRuleLimit = useCallback((type: string, axis: 'lateral' | 'vertical', updates: Partial<RestrictionLimit>) => {
+    setRules(prev => {
+      if (!prev || !prev[type][axis]) return prev;
+      const limit = { ...prev[type][axis]!, ...updates };
+      if (limit.isFixed) limit.amount = 0;
+      return { ...prev, [type]: { ...prev[type], [axis]: limit } };
+    });
+  }, []);
+
+  useEffect(() => {
+    if (showRules && !rules) {
+      requestRules('get');
+    }
+  }, [showRules, rules, requestRules]);
+
   // 制限量の可視化用クラス
   const getRestrictionClass = (amount: number, isFixed: boolean) => {
     if (isFixed) return 'fixed-point';
@@ -349,6 +486,153 @@ const MovementRestrictionEditor: React.FC<MovementRestrictionEditorProps> = ({
         </div>
       </div>
 
+      {/* 軌道環境データからの自動設定 */}
+      <div className="input-form auto-restriction">
+        <h4>軌道環境データから自動設定</h4>
+        <div className="form-grid">
+          <div className="form-group">
+            <label>軌道環境データセットID</label>
+            <input
+              type="text"
+              value={autoSettings.datasetId}
+              onChange={e => setAutoSettings({ ...autoSettings, datasetId: e.target.value })}
+              placeholder="track_env_..."
+            />
+          </div>
+          <div className="form-group">
+            <label>開始キロ程 (km)</label>
+            <input
+              type="number"
+              value={autoSettings.startKm}
+              onChange={e => setAutoSettings({ ...autoSettings, startKm: e.target.value })}
+              placeholder="例: 540.100"
+            />
+          </div>
+          <div className="form-group">
+            <label>終了キロ程 (km)</label>
+            <input
+              type="number"
+              value={autoSettings.endKm}
+              onChange={e => setAutoSettings({ ...autoSettings, endKm: e.target.value })}
+              placeholder="例: 541.500"
+            />
+          </div>
+        </div>
+
+        {autoError && <div className="error-message">{autoError}</div>}
+        {autoMessage && <div className="auto-message">{autoMessage}</div>}
+
+        <div className="form-actions">
+          <button
+            onClick={proposeFromTrackEnvironment}
+            disabled={isAutoProcessing}
+            className="btn-primary"
+          >
+            {isAutoProcessing ? '設定中...' : '自動設定'}
+          </button>
+          <button
+            onClick={clearAutoRestrictions}
+            disabled={!restrictions.some(r => r.source === 'auto')}
+            className="btn-secondary"
+          >
+            自動設定を解除
+          </button>
+          <button
+            onClick={() => setShowRules(!showRules)}
+            className="btn-secondary"
+          >
+            {showRules ? 'ルールを閉じる' : 'ルール編集'}
+          </button>
+        </div>
+
+        {conflicts.length > 0 && (
+          <div className="conflict-list">
+            <strong>手入力より自動設定の方が厳しい区間（手入力を優先）</strong>
+            <ul>
+              {conflicts.map((conflict, index) => (
+                <li key={index}>
+                  {(conflict.startKm / 1000).toFixed(3)} km ～ {(conflict.endKm / 1000).toFixed(3)} km:
+                  手入力 {conflict.manualAmount}mm / 自動 {conflict.autoIsFixed ? '不動点' : `${conflict.autoAmount}mm`}
+                  （{conflict.notes}）
+                </li>
+              ))}
+            </ul>
+          </div>
+        )}
+
+        {showRules && rules && (
+          <div className="rule-editor">
+            <table>
+              <thead>
+                <tr>
+                  <th>要素</th>
+                  <th>適用</th>
+                  <th>前後余裕 (m)</th>
+                  <th>左右 (mm)</th>
+                  <th>左右不動点</th>
+                  <th>上下 (mm)</th>
+                  <th>上下不動点</th>
+                </tr>
+              </thead>
+              <tbody>
+                {Object.entries(rules).map(([type, rule]) => (
+                  <tr key={type}>
+                    <td>{rule.label}<span className="rule-source">{rule.source}</span></td>
+                    <td>
+                      <input
+                        type="checkbox"
+                        checked={rule.enabled}
+                        onChange={e => updateRule(type, { enabled: e.target.checked })}
+                      />
+                    </td>
+                    <td>
+                      <input
+                        type="number"
+                        value={rule.margin}
+                        onChange={e => updateRule(type, { margin: parseFloat(e.target.value) || 0 })}
+                      />
+                    </td>
+                    {(['lateral', 'vertical'] as const).map(axis => {
+                      const limit = rule[axis];
+                      if (!limit) {
+                        return <td key={axis} colSpan={2} className="rule-none">制限なし</td>;
+                      }
+                      return (
+                        <React.Fragment key={axis}>
+                          <td>
+                            <input
+                              type="number"
+                              value={limit.amount}
+                              disabled={limit.isFixed}
+                              onChange={e => updateRuleLimit(type, axis, { amount: parseFloat(e.target.value) || 0 })}
+                            />
+                          </td>
+                          <td>
+                            <input
+                              type="checkbox"
+                              checked={limit.isFixed}
+                              onChange={e => updateRuleLimit(type, axis, { isFixed: e.target.checked })}
+                            />
+                          </td>
+                        </React.Fragment>
+                      );
+                    })}
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+            <div className="form-actions">
+              <button onClick={() => requestRules('put')} className="btn-primary">
+                ルールを保存
+              </button>
+              <button onClick={() => requestRules('delete')} className="btn-secondary">
+                既定値に戻す
+              </button>
+            </div>
+          </div>
+        )}
+      </div>
+
       {/* 制限箇所リスト */}
       <div className="restrictions-list">
         <h4>登録済み制限箇所</h4>
@@ -380,6 +664,9 @@ const MovementRestrictionEditor: React.FC<MovementRestrictionEditorProps> = ({
                   <span className="restriction-amount">
                     {restriction.isFixed ? '不動点' : `${restriction.restrictionAmount}mm`}
                   </span>
+                  {restriction.source === 'auto' && (
+                    <span className="auto-badge">自動</span>
+                  )}
                   {restriction.notes && (
                     <span className="notes">{restriction.notes}</span>
                   )}
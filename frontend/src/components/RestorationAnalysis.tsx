@@ -1,6 +1,7 @@
-import React, { useState } from 'react';
+import React, { useState, useEffect, useMemo } from 'react';
 import axios from 'axios';
 import { WaveformChart } from './WaveformChart';
+import { useTrackEnvironmentOverlay } from '../hooks/useTrackEnvironmentOverlay';
 
 export const RestorationAnalysis: React.FC = () => {
   const [file, setFile] = useState<File | null>(null);
@@ -10,6 +11,33 @@ export const RestorationAnalysis: React.FC = () => {
   const [dataInterval, setDataInterval] = useState<number>(0.25);
   const [result, setResult] = useState<any>(null);
   const [loading, setLoading] = useState(false);
+  const [startKm, setStartKm] = useState<number>(0);
+  const [trackEnvDatasets, setTrackEnvDatasets] = useState<any[]>([]);
+  const [trackEnvDatasetId, setTrackEnvDatasetId] = useState<string>('');
+
+  // 軌道環境データセット一覧の取得
+  useEffect(() => {
+    axios.get('http://localhost:5000/api/track-env/datasets')
+      .then(response => {
+        if (response.data.success) {
+          setTrackEnvDatasets(response.data.datasets);
+        }
+      })
+      .catch(error => console.error('軌道環境データセット取得エラー:', error));
+  }, []);
+
+  // 復元波形の各点のキロ程 (km)
+  const kilometerPoints = useMemo(() => {
+    if (!result?.success) return undefined;
+    const interval = result.filterInfo.dataInterval;
+    return result.restoredWaveform.map((_: number, index: number) => startKm + (index * interval) / 1000);
+  }, [result, startKm]);
+
+  const { overlay: trackEnvironment, error: trackEnvironmentError } = useTrackEnvironmentOverlay(
+    trackEnvDatasetId,
+    kilometerPoints?.[0],
+    kilometerPoints?.[kilometerPoints.length - 1]
+  );
 
   // データタイプ変更時にデフォルト値を更新
   const handleDataTypeChange = async (newDataType: string) => {
@@ -177,6 +205,57 @@ export const RestorationAnalysis: React.FC = () => {
         </select>
       </div>
 
+      {/* 開始キロ程・軌道環境 */}
+      <div style={{
+        display: 'grid',
+        gridTemplateColumns: '1fr 1fr',
+        gap: '16px',
+        marginBottom: '20px'
+      }}>
+        <div>
+          <label style={{ display: 'block', marginBottom: '8px', fontWeight: 600, color: '#374151' }}>
+            開始キロ程 (km):
+          </label>
+          <input
+            type="number"
+            value={startKm}
+            onChange={(e) => setStartKm(Number(e.target.value))}
+            step="0.001"
+            style={{
+              width: '100%',
+              padding: '8px',
+              border: '1px solid #d1d5db',
+              borderRadius: '6px'
+            }}
+          />
+        </div>
+
+        <div>
+          <label style={{ display: 'block', marginBottom: '8px', fontWeight: 600, color: '#374151' }}>
+            軌道環境データ:
+          </label>
+          <select
+            value={trackEnvDatasetId}
+            onChange={(e) => setTrackEnvDatasetId(e.target.value)}
+            style={{
+              width: '100%',
+              padding: '8px 12px',
+              border: '1px solid #d1d5db',
+              borderRadius: '6px',
+              background: 'white',
+              cursor: 'pointer'
+            }}
+          >
+            <option value="">表示しない</option>
+            {trackEnvDatasets.map(dataset => (
+              <option key={dataset.id} value={dataset.id}>
+                {dataset.metadata?.lineName || dataset.id}
+              </option>
+            ))}
+          </select>
+        </div>
+      </div>
+
       {/* 実行ボタン */}
       <button
         onClick={handleAnalyze}
@@ -291,12 +370,19 @@ export const RestorationAnalysis: React.FC = () => {
           {/* 波形チャート表示 */}
           <div style={{ marginTop: '24px' }}>
             <h4 style={{ margin: '0 0 16px 0', color: '#374151' }}>復元波形チャート</h4>
+            {trackEnvironmentError && (
+              <div style={{ marginBottom: '12px', color: '#b91c1c', fontSize: '14px' }}>
+                軌道環境: {trackEnvironmentError}
+              </div>
+            )}
             <WaveformChart
               restoredWaveform={result.restoredWaveform}
+              kilometerPoints={kilometerPoints}
               dataInterval={result.filterInfo.dataInterval}
-              startKP={0}
+              startKP={startKm}
               showBrush={true}
               height={400}
+              trackEnvironment={trackEnvironment}
             />
           </div>
         </div>
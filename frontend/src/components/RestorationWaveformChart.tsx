@@ -6,6 +6,7 @@
  * - 復元波形（6m-40m波長成分）
  * - 計画線（ゼロクロス点を結んだ目標線）
  * - 移動量（復元波形 - 計画線）
+ * - 分岐器区間（分岐器モード: 復元計算・統計から除外、移動量 0）
  */
 
 import React, { useMemo } from 'react';
@@ -21,6 +22,7 @@ import {
   Legend,
   ChartOptions
 } from 'chart.js';
+import annotationPlugin from 'chartjs-plugin-annotation';
 import { RestorationWaveformResult, DataPoint } from '../types';
 
 ChartJS.register(
@@ -30,9 +32,12 @@ ChartJS.register(
   LineElement,
   Title,
   Tooltip,
-  Legend
+  Legend,
+  annotationPlugin
 );
 
+const TURNOUT_COLOR = '#7c3aed';
+
 interface RestorationWaveformChartProps {
   originalData: DataPoint[];
   result: RestorationWaveformResult;
@@ -108,6 +113,33 @@ const RestorationWaveformChart: React.FC<RestorationWaveformChartProps> = ({
     };
   }, [originalData, result]);
 
+  const turnouts = useMemo(() => result.data?.turnouts || [], [result]);
+
+  // 分岐器区間の帯（波形より先に描画）
+  const turnoutAnnotations = useMemo(() => {
+    const annotations: Record<string, any> = {};
+    turnouts.forEach((turnout, idx) => {
+      annotations[`turnout_${idx}`] = {
+        type: 'box',
+        drawTime: 'beforeDatasetsDraw',
+        xMin: turnout.start,
+        xMax: turnout.end,
+        backgroundColor: 'rgba(124, 58, 237, 0.12)',
+        borderColor: TURNOUT_COLOR,
+        borderWidth: 1,
+        borderDash: [4, 4],
+        label: {
+          display: true,
+          content: turnout.label,
+          position: 'start',
+          font: { size: 10 },
+          color: TURNOUT_COLOR
+        }
+      };
+    });
+    return annotations;
+  }, [turnouts]);
+
   const options: ChartOptions<'line'> = useMemo(() => ({
     responsive: true,
     maintainAspectRatio: false,
@@ -142,6 +174,9 @@ const RestorationWaveformChart: React.FC<RestorationWaveformChartProps> = ({
             return `${label}: ${value !== null ? value.toFixed(2) : 'N/A'} mm`;
           }
         }
+      },
+      annotation: {
+        annotations: turnoutAnnotations
       }
     },
     scales: {
@@ -177,7 +212,7 @@ const RestorationWaveformChart: React.FC<RestorationWaveformChartProps> = ({
         }
       }
     }
-  }), [measurementLabel]);
+  }), [measurementLabel, turnoutAnnotations]);
 
   if (!result.success || !result.data) {
     return (
@@ -224,9 +259,29 @@ const RestorationWaveformChart: React.FC<RestorationWaveformChartProps> = ({
             <span className="metadata-label">サンプリング間隔:</span>
             <span className="metadata-value">{result.data.metadata.samplingInterval}m</span>
           </div>
+          {turnouts.length > 0 && (
+            <div className="metadata-item">
+              <span className="metadata-label">統計から除外（分岐器）:</span>
+              <span className="metadata-value">{result.data.metadata.turnoutExcludedPoints ?? 0}点</span>
+            </div>
+          )}
         </div>
       </div>
 
+      {/* 分岐器区間 */}
+      {turnouts.length > 0 && (
+        <div className="turnout-section">
+          <h4>分岐器区間 ({turnouts.length}箇所) - 復元計算・σ統計から除外、移動量 0</h4>
+          <div className="turnout-list">
+            {turnouts.map((turnout, idx) => (
+              <span key={idx} className="turnout-badge">
+                {turnout.label}: {turnout.start.toFixed(1)}m - {turnout.end.toFixed(1)}m
+              </span>
+            ))}
+          </div>
+        </div>
+      )}
+
       {/* ゼロクロス点情報 */}
       {result.data.zeroCrossPoints.length > 0 && (
         <div className="zerocross-section">
@@ -320,6 +375,36 @@ const RestorationWaveformChart: React.FC<RestorationWaveformChartProps> = ({
           font-weight: 600;
         }
 
+        .turnout-section {
+          background: #f5f3ff;
+          border: 1px solid #ddd6fe;
+          border-radius: 6px;
+          padding: 12px;
+          margin-bottom: 12px;
+        }
+
+        .turnout-section h4 {
+          margin: 0 0 8px 0;
+          font-size: 14px;
+          font-weight: 600;
+          color: #5b21b6;
+        }
+
+        .turnout-list {
+          display: flex;
+          flex-wrap: wrap;
+          gap: 6px;
+        }
+
+        .turnout-badge {
+          padding: 4px 8px;
+          background: #7c3aed;
+          color: white;
+          border-radius: 4px;
+          font-size: 11px;
+          font-weight: 500;
+        }
+
         .zerocross-section {
           background: #f0f9ff;
           border: 1px solid #bfdbfe;
@@ -0,0 +1,255 @@
+/**
+ * 軌道環境レイヤー
+ * Track-environment bands and markers drawn under waveform charts
+ *
+ * 軌道環境オーバーレイ（橋梁・トンネル・曲線・分岐器・レール継目など）を
+ * recharts の ReferenceArea / ReferenceLine、chart.js の annotation に変換する。
+ * キロ程はチャートのデータ点のうち最も近い位置に合わせる（カテゴリ軸のため）。
+ */
+import React from 'react';
+import { ReferenceArea, ReferenceLine } from 'recharts';
+import {
+  TrackEnvironmentKind,
+  TrackEnvironmentLane,
+  TrackEnvironmentOverlay
+} from '../types/track-environment';
+
+// 帯ラベルの位置（レーンごとに重ならないよう振り分け）
+const BAND_LABEL_POSITIONS: Record<TrackEnvironmentLane, string> = {
+  structure: 'insideTopLeft',
+  alignment: 'insideBottomLeft',
+  track: 'insideTopRight',
+  gradient: 'insideBottomRight',
+  station: 'insideTop'
+};
+
+// ラベルを表示する目印（レール継目・EJ・IJ は数が多いため線のみ）
+const LABELED_MARKERS: TrackEnvironmentKind[] = ['station', 'gradientChange'];
+
+// ラベルを表示しない帯（ロングレールは区間が長く他の帯と重なるため）
+const UNLABELED_BANDS: TrackEnvironmentKind[] = ['longRail'];
+
+/**
+ * キロ程 → 最も近いデータ点のインデックス
+ * @param kilometers - データ点のキロ程 (km)
+ * @returns 範囲外（前後のデータ点より外側）は null
+ */
+const createSnapper = (kilometers: number[]) => {
+  const points = kilometers
+    .map((km, index) => ({ km, index }))
+    .filter(point => Number.isFinite(point.km))
+    .sort((a, b) => a.km - b.km);
+
+  return (km: number): number | null => {
+    if (points.length === 0) return null;
+    if (km < points[0].km || km > points[points.length - 1].km) return null;
+
+    let lo = 0;
+    let hi = points.length - 1;
+    while (hi - lo > 1) {
+      const mid = (lo + hi) >> 1;
+      if (points[mid].km <= km) lo = mid;
+      else hi = mid;
+    }
+    return km - points[lo].km <= points[hi].km - km ? points[lo].index : points[hi].index;
+  };
+};
+
+/**
+ * 帯の両端をデータ範囲内に収めてインデックスに変換（重ならなければ null）
+ */
+const snapRange = (kilometers: number[], snap: (km: number) => number | null, startKm: number, endKm: number) => {
+  let min = Infinity;
+  let max = -Infinity;
+  kilometers.forEach(km => {
+    if (!Number.isFinite(km)) return;
+    if (km < min) min = km;
+    if (km > max) max = km;
+  });
+  if (min > max) return null;
+  if (endKm < min || startKm > max) return null;
+
+  const start = snap(Math.max(startKm, min));
+  const end = snap(Math.min(endKm, max));
+  if (start === null || end === null || start === end) return null;
+  return { start, end };
+};
+
+const isVisible = (kind: TrackEnvironmentKind, kinds?: TrackEnvironmentKind[]) =>
+  !kinds || kinds.length === 0 || kinds.includes(kind);
+
+const toRgba = (hex: string, alpha: number) => {
+  const value = parseInt(hex.replace('#', ''), 16);
+  return `rgba(${(value >> 16) & 255}, ${(value >> 8) & 255}, ${value & 255}, ${alpha})`;
+};
+
+/**
+ * recharts 用の軌道環境レイヤー
+ * ComposedChart の子要素として、波形の Line より前に展開する（波形の下に描画される）
+ * @param overlay - 軌道環境オーバーレイ
+ * @param chartData - チャートデータ（kilometerPoint: km、kp: X軸のカテゴリ値）
+ * @param kinds - 表示種別（省略時はすべて）
+ */
+export const renderTrackEnvironmentLayer = (
+  overlay: TrackEnvironmentOverlay | null | undefined,
+  chartData: { kilometerPoint: number; kp: string }[],
+  kinds?: TrackEnvironmentKind[]
+): React.ReactElement[] => {
+  if (!overlay || chartData.length === 0) return [];
+
+  const kilometers = chartData.map(d => d.kilometerPoint);
+  const snap = createSnapper(kilometers);
+  const elements: React.ReactElement[] = [];
+
+  overlay.bands.forEach(band => {
+    if (!isVisible(band.kind, kinds)) return;
+    const range = snapRange(kilometers, snap, band.startKm, band.endKm);
+    if (!range) return;
+
+    elements.push(
+      <ReferenceArea
+        key={`track-env-${band.id}`}
+        x1={chartData[range.start].kp}
+        x2={chartData[range.end].kp}
+        fill={band.color}
+        fillOpacity={band.opacity}
+        stroke="none"
+        label={UNLABELED_BANDS.includes(band.kind) ? undefined : {
+          value: band.label,
+          position: BAND_LABEL_POSITIONS[band.lane] as any,
+          fill: band.color,
+          fontSize: 9
+        }}
+      />
+    );
+  });
+
+  overlay.markers.forEach(marker => {
+    if (!isVisible(marker.kind, kinds)) return;
+    const index = snap(marker.km);
+    if (index === null) return;
+
+    elements.push(
+      <ReferenceLine
+        key={`track-env-${marker.id}`}
+        x={chartData[index].kp}
+        stroke={marker.color}
+        strokeWidth={marker.kind === 'station' ? 2 : 1}
+        strokeDasharray={marker.kind === 'joint' ? '2 2' : undefined}
+        strokeOpacity={0.7}
+        label={LABELED_MARKERS.includes(marker.kind) ? {
+          value: marker.label,
+          position: marker.kind === 'station' ? 'top' : 'insideBottomRight',
+          fill: marker.color,
+          fontSize: 10
+        } : undefined}
+      />
+    );
+  });
+
+  return elements;
+};
+
+/**
+ * chart.js (chartjs-plugin-annotation) 用の軌道環境アノテーション
+ * カテゴリ軸のため xMin / xMax はデータ点のインデックス。波形より先に描画する
+ * @param overlay - 軌道環境オーバーレイ
+ * @param kilometers - データ点のキロ程 (km)
+ * @param kinds - 表示種別（省略時はすべて）
+ */
+export const buildTrackEnvironmentAnnotations = (
+  overlay: TrackEnvironmentOverlay | null | undefined,
+  kilometers: number[],
+  kinds?: TrackEnvironmentKind[]
+): Record<string, any> => {
+  if (!overlay || kilometers.length === 0) return {};
+
+  const snap = createSnapper(kilometers);
+  const annotations: Record<string, any> = {};
+
+  overlay.bands.forEach(band => {
+    if (!isVisible(band.kind, kinds)) return;
+    const range = snapRange(kilometers, snap, band.startKm, band.endKm);
+    if (!range) return;
+
+    annotations[`trackEnv_${band.id}`] = {
+      type: 'box',
+      drawTime: 'beforeDatasetsDraw',
+      xMin: Math.min(range.start, range.end),
+      xMax: Math.max(range.start, range.end),
+      backgroundColor: toRgba(band.color, band.opacity),
+      borderWidth: 0,
+      label: {
+        display: !UNLABELED_BANDS.includes(band.kind),
+        content: band.label,
+        position: band.lane === 'alignment' ? 'end' : 'start',
+        font: { size: 9 },
+        color: band.color
+      }
+    };
+  });
+
+  overlay.markers.forEach(marker => {
+    if (!isVisible(marker.kind, kinds)) return;
+    const index = snap(marker.km);
+    if (index === null) return;
+
+    annotations[`trackEnv_${marker.id}`] = {
+      type: 'line',
+      drawTime: 'beforeDatasetsDraw',
+      xMin: index,
+      xMax: index,
+      borderColor: toRgba(marker.color, 0.7),
+      borderWidth: marker.kind === 'station' ? 2 : 1,
+      borderDash: marker.kind === 'joint' ? [2, 2] : undefined,
+      label: {
+        display: LABELED_MARKERS.includes(marker.kind),
+        content: marker.label,
+        position: 'start',
+        font: { size: 9 },
+        color: marker.color
+      }
+    };
+  });
+
+  return annotations;
+};
+
+interface TrackEnvironmentLegendProps {
+  overlay: TrackEnvironmentOverlay | null | undefined;
+  kinds?: TrackEnvironmentKind[];
+}
+
+/**
+ * 軌道環境レイヤーの凡例
+ */
+export const TrackEnvironmentLegend: React.FC<TrackEnvironmentLegendProps> = ({ overlay, kinds }) => {
+  const items = (overlay?.legend || []).filter(item => isVisible(item.kind, kinds));
+  if (items.length === 0) return null;
+
+  return (
+    <div style={{
+      marginTop: '16px',
+      padding: '12px',
+      background: '#f9fafb',
+      borderRadius: '8px',
+      border: '1px solid #e5e7eb'
+    }}>
+      <div style={{ fontWeight: 'bold', marginBottom: '8px', fontSize: '13px', color: '#374151' }}>
+        軌道環境
+      </div>
+      <div style={{ display: 'flex', gap: '16px', flexWrap: 'wrap', fontSize: '12px' }}>
+        {items.map(item => (
+          <div key={item.kind} style={{ display: 'flex', alignItems: 'center', gap: '6px' }}>
+            {item.shape === 'band' ? (
+              <div style={{ width: '24px', height: '12px', background: toRgba(item.color, 0.35), border: `1px solid ${item.color}`, borderRadius: '2px' }}></div>
+            ) : (
+              <div style={{ width: '2px', height: '14px', background: item.color }}></div>
+            )}
+            <span>{item.label} ({item.count})</span>
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+};
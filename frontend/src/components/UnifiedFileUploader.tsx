@@ -9,12 +9,13 @@
  * - PNT: ポイントデータ (単一ファイル)
  * - TBL/DDB: LABOCS表形式データ (2ファイル構成)
  * - MDT/O010: 旧ラボデータ (2ファイル構成)
+ * - LABOX: ラボックスデータ LBX/LDT (単一ファイル、チャンネル選択可)
  */
 
 import React, { useState } from 'react';
 import axios from 'axios';
 
-export type FileFormat = 'RSQ' | 'HDR_DAT' | 'DCP' | 'PNT' | 'TBL_DDB' | 'MDT_O010';
+export type FileFormat = 'RSQ' | 'HDR_DAT' | 'DCP' | 'PNT' | 'TBL_DDB' | 'MDT_O010' | 'LABOX';
 
 interface UnifiedFileUploaderProps {
   onUploadSuccess?: (data: any, format: FileFormat) => void;
@@ -31,10 +32,23 @@ interface UploadedFileInfo {
 const API_BASE_URL_5000 = 'http://localhost:5000/api';
 const API_BASE_URL_3002 = 'http://localhost:5000/api';
 
+// LABOXチャンネル（未選択時は全チャンネルを読み込む）
+const LABOX_CHANNELS: { key: string; label: string }[] = [
+  { key: 'leftLevel', label: '左高低' },
+  { key: 'rightLevel', label: '右高低' },
+  { key: 'leftAlignment', label: '左通り' },
+  { key: 'rightAlignment', label: '右通り' },
+  { key: 'gauge', label: '軌間' },
+  { key: 'cant', label: 'カント' },
+  { key: 'twist', label: '水準' },
+  { key: 'leftVersine', label: '左正矢' },
+  { key: 'rightVersine', label: '右正矢' }
+];
+
 export const UnifiedFileUploader: React.FC<UnifiedFileUploaderProps> = ({
   onUploadSuccess,
   onUploadError,
-  allowedFormats = ['RSQ', 'HDR_DAT', 'DCP', 'PNT', 'TBL_DDB', 'MDT_O010']
+  allowedFormats = ['RSQ', 'HDR_DAT', 'DCP', 'PNT', 'TBL_DDB', 'MDT_O010', 'LABOX']
 }) => {
   const [selectedFormat, setSelectedFormat] = useState<FileFormat>('RSQ');
   const [file1, setFile1] = useState<UploadedFileInfo | null>(null);
@@ -43,6 +57,7 @@ export const UnifiedFileUploader: React.FC<UnifiedFileUploaderProps> = ({
   const [uploadProgress, setUploadProgress] = useState(0);
   const [error, setError] = useState<string | null>(null);
   const [uploadedData, setUploadedData] = useState<any | null>(null);
+  const [laboxChannels, setLaboxChannels] = useState<string[]>([]);
 
   // フォーマット設定
   const formatConfig: Record<FileFormat, {
@@ -115,6 +130,15 @@ export const UnifiedFileUploader: React.FC<UnifiedFileUploaderProps> = ({
       requiresTwoFiles: true,
       apiEndpoint: '/legacy-data/upload',
       apiBaseUrl: API_BASE_URL_5000
+    },
+    LABOX: {
+      label: 'LABOX形式',
+      description: 'ラボックスデータ（LBX/LDT、1ファイル）',
+      file1Label: 'LBXファイルまたはLDTファイル',
+      file1Extensions: '.lbx,.LBX,.ldt,.LDT',
+      requiresTwoFiles: false,
+      apiEndpoint: '/files/upload-labox',
+      apiBaseUrl: API_BASE_URL_5000
     }
   };
 
@@ -133,6 +157,12 @@ export const UnifiedFileUploader: React.FC<UnifiedFileUploaderProps> = ({
     }
   };
 
+  const handleLaboxChannelToggle = (channel: string) => {
+    setLaboxChannels(prev =>
+      prev.includes(channel) ? prev.filter(c => c !== channel) : [...prev, channel]
+    );
+  };
+
   const handleFile2Change = (e: React.ChangeEvent<HTMLInputElement>) => {
     const file = e.target.files?.[0];
     if (file) {
@@ -180,6 +210,11 @@ export const UnifiedFileUploader: React.FC<UnifiedFileUploaderProps> = ({
       } else if (selectedFormat === 'MDT_O010') {
         formData.append('mdt', file1.file);
         formData.append('o010', file2!.file);
+      } else if (selectedFormat === 'LABOX') {
+        formData.append('file', file1.file);
+        if (laboxChannels.length > 0) {
+          formData.append('channels', laboxChannels.join(','));
+        }
       }
 
       const response = await axios.post(
@@ -299,6 +334,28 @@ export const UnifiedFileUploader: React.FC<UnifiedFileUploaderProps> = ({
             )}
           </div>
         )}
+
+        {/* LABOXチャンネル選択 */}
+        {selectedFormat === 'LABOX' && (
+          <div className="file-input-group">
+            <label>
+              <strong>読み込むチャンネル（未選択時は全て）</strong>
+            </label>
+            <div className="channel-options">
+              {LABOX_CHANNELS.map(channel => (
+                <label key={channel.key} className="channel-option">
+                  <input
+                    type="checkbox"
+                    checked={laboxChannels.includes(channel.key)}
+                    onChange={() => handleLaboxChannelToggle(channel.key)}
+                    disabled={uploading}
+                  />
+                  {channel.label}
+                </label>
+              ))}
+            </div>
+          </div>
+        )}
       </div>
 
       {/* アップロードボタン */}
@@ -476,6 +533,20 @@ export const UnifiedFileUploader: React.FC<UnifiedFileUploaderProps> = ({
           margin-left: 12px;
         }
 
+        .channel-options {
+          display: flex;
+          flex-wrap: wrap;
+          gap: 8px 16px;
+        }
+
+        .channel-option {
+          display: flex;
+          align-items: center;
+          gap: 4px;
+          font-size: 13px;
+          color: #374151;
+        }
+
         .upload-actions {
           display: flex;
           gap: 12px;
@@ -13,6 +13,8 @@ import {
   ReferenceLine,
   ReferenceArea
 } from 'recharts';
+import { TrackEnvironmentKind, TrackEnvironmentOverlay } from '../types/track-environment';
+import { renderTrackEnvironmentLayer, TrackEnvironmentLegend } from './TrackEnvironmentLayer';
 
 interface MovementRestriction {
   startKP: number;
@@ -46,6 +48,8 @@ interface WaveformChartProps {
   curveSpecifications?: CurveSpecification[];
   standardLimit?: number;
   maximumLimit?: number;
+  trackEnvironment?: TrackEnvironmentOverlay | null;  // 軌道環境オーバーレイ（useTrackEnvironmentOverlay で取得）
+  trackEnvironmentKinds?: TrackEnvironmentKind[];     // 表示する軌道環境の種別（省略時はすべて）
 }
 
 export const WaveformChart: React.FC<WaveformChartProps> = ({
@@ -61,7 +65,9 @@ export const WaveformChart: React.FC<WaveformChartProps> = ({
   movementRestrictions: _movementRestrictions = [],
   curveSpecifications = [],
   standardLimit = 30,
-  maximumLimit = 50
+  maximumLimit = 50,
+  trackEnvironment,
+  trackEnvironmentKinds
 }) => {
   const [brushRange, setBrushRange] = useState<{ startIndex: number; endIndex: number } | null>(null);
 
@@ -229,6 +235,9 @@ export const WaveformChart: React.FC<WaveformChartProps> = ({
             );
           })}
 
+          {/* 軌道環境オーバーレイ（波形の下に描画） */}
+          {renderTrackEnvironmentLayer(trackEnvironment, chartData, trackEnvironmentKinds)}
+
           {/* 基準線 (0mm) */}
           <ReferenceLine
             y={0}
@@ -354,6 +363,9 @@ export const WaveformChart: React.FC<WaveformChartProps> = ({
         </div>
       )}
 
+      {/* 軌道環境凡例 */}
+      <TrackEnvironmentLegend overlay={trackEnvironment} kinds={trackEnvironmentKinds} />
+
       {/* 曲線諸元凡例 */}
       {curveSpecifications.length > 0 && (
         <div style={{
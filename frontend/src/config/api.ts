@@ -42,6 +42,7 @@ export const apiConfig = {
       autoPlanFromCurves: `${API_BASE_URL}/api/restoration/vb6/auto-plan-from-curves`,
       curveSectionStatistics: `${API_BASE_URL}/api/restoration/vb6/curve-section-statistics`,
       generateCurveReport: `${API_BASE_URL}/api/restoration/vb6/generate-curve-report`,
+      planLineSessions: `${API_BASE_URL}/api/restoration/plan-line-sessions`, // POST for create, GET/DELETE with /:id
     },
 
     // 曲線諸元関連
@@ -52,6 +53,7 @@ export const apiConfig = {
       update: `${API_BASE_URL}/api/curve-spec/update`,
       delete: `${API_BASE_URL}/api/curve-spec/delete`,
       export: `${API_BASE_URL}/api/curve-spec/export`,
+      fit: `${API_BASE_URL}/api/curve-spec/fit`, // POST versineData -> curveSpecs / KS.TXT
     },
 
     // 分析関連
@@ -62,6 +64,13 @@ export const apiConfig = {
       bs05: `${API_BASE_URL}/api/analysis/bs05`,
       outlier: `${API_BASE_URL}/api/outlier/detect`,
       correction: `${API_BASE_URL}/api/corrections/apply`,
+      beforeAfter: `${API_BASE_URL}/api/analysis/before-after`, // POST 整備前後比較
+    },
+
+    // 軌道狂い進み分析
+    degradationTrend: {
+      lines: `${API_BASE_URL}/api/degradation-trend/lines`, // /:lineId/runs (GET/POST), /:lineId/analyze (POST)
+      runs: `${API_BASE_URL}/api/degradation-trend/runs`, // DELETE /:runId
     },
 
     // キヤデータページ専用
@@ -0,0 +1,66 @@
+/**
+ * 軌道環境オーバーレイ取得カスタムフック
+ * Custom hook for fetching track-environment chart overlays
+ */
+
+import { useState, useEffect } from 'react';
+import axios from 'axios';
+import { TrackEnvironmentKind, TrackEnvironmentOverlay } from '../types/track-environment';
+
+const API_BASE_URL = 'http://localhost:5000/api';
+
+/**
+ * 軌道環境データセットからキロ程範囲のオーバーレイを取得
+ * @param datasetId - 軌道環境データセットID（null の場合は取得しない）
+ * @param startKm - 開始キロ程 (km)
+ * @param endKm - 終了キロ程 (km)
+ * @param kinds - 表示種別（省略時は全種別）
+ */
+export const useTrackEnvironmentOverlay = (
+  datasetId: string | null | undefined,
+  startKm: number | null | undefined,
+  endKm: number | null | undefined,
+  kinds?: TrackEnvironmentKind[]
+) => {
+  const [overlay, setOverlay] = useState<TrackEnvironmentOverlay | null>(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+  const kindsParam = kinds && kinds.length > 0 ? kinds.join(',') : undefined;
+
+  useEffect(() => {
+    if (!datasetId || startKm === null || startKm === undefined || endKm === null || endKm === undefined || startKm >= endKm) {
+      setOverlay(null);
+      return;
+    }
+
+    let cancelled = false;
+    setLoading(true);
+    setError(null);
+
+    axios.get(`${API_BASE_URL}/track-env/dataset/${datasetId}/overlay`, {
+      params: { startKm, endKm, kinds: kindsParam }
+    })
+      .then(response => {
+        if (cancelled) return;
+        if (response.data.success) {
+          setOverlay(response.data.overlay);
+        } else {
+          throw new Error(response.data.error || '軌道環境の取得に失敗しました');
+        }
+      })
+      .catch((err: any) => {
+        if (cancelled) return;
+        setOverlay(null);
+        setError(err.response?.data?.error || err.message);
+      })
+      .finally(() => {
+        if (!cancelled) setLoading(false);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [datasetId, startKm, endKm, kindsParam]);
+
+  return { overlay, loading, error };
+};
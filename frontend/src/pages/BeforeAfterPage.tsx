@@ -2,9 +2,11 @@
  * 整備前後比較ページ
  * PDF P28-29の仕様に基づく実装
  * 軌道整備前後のデータを比較・評価
+ * 整備前後の検測データはキロ程マーカーと相互相関で自動的に位置合わせする
  */
 
 import React, { useState, useEffect } from 'react';
+import axios from 'axios';
 import { Line } from 'react-chartjs-2';
 import {
   Chart as ChartJS,
@@ -17,6 +19,7 @@ import {
   Legend
 } from 'chart.js';
 import { PresetButtons, StandardButton } from '../components/StandardButton';
+import { apiConfig } from '../config/api';
 import './PageStyles.css';
 
 // Chart.jsのコンポーネントを登録
@@ -30,45 +33,145 @@ ChartJS.register(
   Legend
 );
 
+type Direction = 'lateral' | 'vertical';
+
+interface DirectionValues {
+  lateral: number;
+  vertical: number;
+}
+
+interface QualityResult {
+  before: DirectionValues;
+  after: DirectionValues;
+  improvementRate: DirectionValues;
+  evaluation: {
+    grade: string;
+    description: string;
+  };
+}
+
+interface KiyaDataset {
+  id: string;
+  status: string;
+  files: {
+    o010: string | null;
+  };
+}
+
 interface ComparisonData {
-  position: number[];
-  beforeData: {
-    leveling: number[];
-    lining: number[];
-    sigma: number;
-    maxDeviation: number;
+  alignment: {
+    alignChannel: Direction;
+    anchors: Array<{ key: string; before: number; after: number; offset: number }>;
+    windows: Array<{ start: number; end: number; totalOffset: number; correlation: number; used: boolean }>;
+    averageCorrelation: number | null;
+    offsetRange: { min: number; max: number } | null;
   };
-  afterData: {
-    leveling: number[];
-    lining: number[];
-    sigma: number;
-    maxDeviation: number;
+  range: {
+    start: number;
+    end: number;
+    interval: number;
+    points: number;
   };
-  improvementRate: number;
+  directions: Direction[];
+  series: {
+    position: number[];
+    before: Partial<Record<Direction, number[]>>;
+    after: Partial<Record<Direction, number[]>>;
+  };
+  overall: QualityResult;
+  bySection: Array<{
+    section: string;
+    startPosition: number;
+    endPosition: number;
+    quality: QualityResult;
+    achieved: boolean;
+  }>;
+  byWaveband: Array<{
+    waveband: string;
+    range: string;
+    quality: QualityResult;
+  }>;
+  report: any;
+  warnings: string[];
 }
 
+// 方向の表示名（通り = ライニング、高低 = レベリング）
+const DIRECTION_LABELS: Record<Direction, string> = {
+  lateral: 'ライニング',
+  vertical: 'レベリング'
+};
+
+// 良化率の判定（評価基準表に合わせる）
+const judgeImprovement = (rate: number) => {
+  if (rate >= 45) return '優良';
+  if (rate >= 40) return '良好';
+  if (rate >= 35) return '要注意';
+  return '不良';
+};
+
 export const BeforeAfterPage: React.FC = () => {
   const [comparisonData, setComparisonData] = useState<ComparisonData | null>(null);
-  const [selectedSection, setSelectedSection] = useState({
-    start: 0,
-    end: 1000
+  const [datasets, setDatasets] = useState<KiyaDataset[]>([]);
+  const [beforeDatasetId, setBeforeDatasetId] = useState('');
+  const [afterDatasetId, setAfterDatasetId] = useState('');
+  const [selectedSection, setSelectedSection] = useState<{ start: string; end: string }>({
+    start: '',
+    end: ''
   });
-  const [displayMode, setDisplayMode] = useState<'overlay' | 'sideBySide'>('overlay');
+  const [isLoading, setIsLoading] = useState(false);
+  const [error, setError] = useState<string | null>(null);
   const [showStatistics, setShowStatistics] = useState(true);
 
   useEffect(() => {
-    loadComparisonData();
-  }, [selectedSection]);
+    fetchDatasets();
+  }, []);
+
+  // キヤ検測データセット一覧を取得
+  const fetchDatasets = async () => {
+    try {
+      const response = await axios.get(apiConfig.endpoints.kiyaData.datasets);
+      if (response.data.success) {
+        // 測定データ（O010）を読み込み済みのデータセットのみ比較対象にする
+        const measured = response.data.datasets.filter(
+          (d: KiyaDataset) => d.files.o010 && d.status !== 'error'
+        );
+        setDatasets(measured);
+        // 新しい順に並んでいるので、直近2回を整備前・整備後の初期値にする
+        if (measured.length >= 2) {
+          setBeforeDatasetId(measured[1].id);
+          setAfterDatasetId(measured[0].id);
+        }
+      }
+    } catch (err: any) {
+      console.error('データセット取得エラー:', err);
+      setError(err.message);
+    }
+  };
 
   const loadComparisonData = async () => {
+    if (!beforeDatasetId || !afterDatasetId) {
+      alert('整備前・整備後のデータセットを選択してください');
+      return;
+    }
+
     try {
-      const response = await fetch(`/api/analysis/before-after?start=${selectedSection.start}&end=${selectedSection.end}`);
-      const data = await response.json();
-      if (data.success) {
-        setComparisonData(data.data);
+      setIsLoading(true);
+      setError(null);
+      const response = await axios.post(apiConfig.endpoints.analysis.beforeAfter, {
+        beforeDatasetId,
+        afterDatasetId,
+        start: selectedSection.start === '' ? undefined : Number(selectedSection.start),
+        end: selectedSection.end === '' ? undefined : Number(selectedSection.end)
+      });
+      if (response.data.success) {
+        setComparisonData(response.data.data);
       }
-    } catch (error) {
-      console.error('データ読込エラー:', error);
+    } catch (err: any) {
+      console.error('データ読込エラー:', err);
+      setComparisonData(null);
+      setError(err.response?.data?.error || err.message);
+    } finally {
+      setIsLoading(false);
     }
   };
 
@@ -103,67 +206,56 @@ export const BeforeAfterPage: React.FC = () => {
     }
   };
 
-  const levelingChartData = {
-    labels: comparisonData?.position || [],
+  const buildChartData = (direction: Direction, colors: { before: string; after: string }) => ({
+    labels: comparisonData?.series.position || [],
     datasets: [
       {
-        label: '整備前（レベリング）',
-        data: comparisonData?.beforeData.leveling || [],
-        borderColor: 'rgb(255, 99, 132)',
-        backgroundColor: 'rgba(255, 99, 132, 0.1)',
-        borderDash: [5, 5]
+        label: `整備前（${DIRECTION_LABELS[direction]}）`,
+        data: comparisonData?.series.before[direction] || [],
+        borderColor: colors.before,
+        borderDash: [5, 5],
+        borderWidth: 1,
+        pointRadius: 0
       },
       {
-        label: '整備後（レベリング）',
-        data: comparisonData?.afterData.leveling || [],
-        borderColor: 'rgb(53, 162, 235)',
-        backgroundColor: 'rgba(53, 162, 235, 0.1)'
+        label: `整備後（${DIRECTION_LABELS[direction]}）`,
+        data: comparisonData?.series.after[direction] || [],
+        borderColor: colors.after,
+        borderWidth: 1,
+        pointRadius: 0
       }
     ]
-  };
+  });
 
-  const liningChartData = {
-    labels: comparisonData?.position || [],
-    datasets: [
-      {
-        label: '整備前（ライニング）',
-        data: comparisonData?.beforeData.lining || [],
-        borderColor: 'rgb(255, 159, 64)',
-        backgroundColor: 'rgba(255, 159, 64, 0.1)',
-        borderDash: [5, 5]
-      },
-      {
-        label: '整備後（ライニング）',
-        data: comparisonData?.afterData.lining || [],
-        borderColor: 'rgb(75, 192, 192)',
-        backgroundColor: 'rgba(75, 192, 192, 0.1)'
-      }
-    ]
-  };
+  const levelingChartData = buildChartData('vertical', {
+    before: 'rgb(255, 99, 132)',
+    after: 'rgb(53, 162, 235)'
+  });
 
-  const exportReport = async () => {
-    try {
-      const response = await fetch('/api/export/comparison-report', {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({
-          section: selectedSection,
-          data: comparisonData
-        })
-      });
+  const liningChartData = buildChartData('lateral', {
+    before: 'rgb(255, 159, 64)',
+    after: 'rgb(75, 192, 192)'
+  });
 
-      if (response.ok) {
-        const blob = await response.blob();
-        const url = window.URL.createObjectURL(blob);
-        const a = document.createElement('a');
-        a.href = url;
-        a.download = `比較レポート_${selectedSection.start}-${selectedSection.end}m.pdf`;
-        a.click();
-      }
-    } catch (error) {
-      console.error('レポート出力エラー:', error);
-      alert('レポート出力に失敗しました');
+  // 作業効果レポート（JSON）を保存
+  const exportReport = () => {
+    if (!comparisonData) {
+      alert('比較データがありません');
+      return;
     }
+
+    // 波形データは除いて保存する
+    const result = { beforeDatasetId, afterDatasetId, ...comparisonData, series: undefined };
+    const blob = new Blob(
+      [JSON.stringify(result, null, 2)],
+      { type: 'application/json' }
+    );
+    const url = window.URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = `比較レポート_${comparisonData.range.start}-${comparisonData.range.end}m.json`;
+    a.click();
+    window.URL.revokeObjectURL(url);
   };
 
   return (
@@ -176,18 +268,41 @@ export const BeforeAfterPage: React.FC = () => {
       <div className="content-grid">
         <div className="card">
           <div className="card-header">
-            <h2>比較区間設定</h2>
+            <h2>比較データ選択</h2>
           </div>
           <div className="card-body">
             <div className="form-inline">
+              <div className="form-group">
+                <label>整備前データ</label>
+                <select value={beforeDatasetId} onChange={(e) => setBeforeDatasetId(e.target.value)}>
+                  <option value="">選択してください</option>
+                  {datasets.map(dataset => (
+                    <option key={dataset.id} value={dataset.id}>{dataset.id}</option>
+                  ))}
+                </select>
+              </div>
+
+              <div className="form-group">
+                <label>整備後データ</label>
+                <select value={afterDatasetId} onChange={(e) => setAfterDatasetId(e.target.value)}>
+                  <option value="">選択してください</option>
+                  {datasets.map(dataset => (
+                    <option key={dataset.id} value={dataset.id}>{dataset.id}</option>
+                  ))}
+                </select>
+              </div>
+            </div>
+
+            <div className="form-inline mt-3">
               <div className="form-group">
                 <label>開始位置 (m)</label>
                 <input
                   type="number"
+                  placeholder="全区間"
                   value={selectedSection.start}
                   onChange={(e) => setSelectedSection({
                     ...selectedSection,
-                    start: Number(e.target.value)
+                    start: e.target.value
                   })}
                 />
               </div>
@@ -196,35 +311,71 @@ export const BeforeAfterPage: React.FC = () => {
                 <label>終了位置 (m)</label>
                 <input
                   type="number"
+                  placeholder="全区間"
                   value={selectedSection.end}
                   onChange={(e) => setSelectedSection({
                     ...selectedSection,
-                    end: Number(e.target.value)
+                    end: e.target.value
                   })}
                 />
               </div>
 
               <StandardButton
-                label="データ読込"
+                label={isLoading ? '比較中...' : '比較実行'}
                 icon="📊"
                 type="primary"
                 onClick={loadComparisonData}
+                disabled={isLoading}
               />
             </div>
 
             <div className="form-group mt-3">
-              <label>表示モード</label>
-              <select
-                value={displayMode}
-                onChange={(e) => setDisplayMode(e.target.value as 'overlay' | 'sideBySide')}
-              >
-                <option value="overlay">重ね表示</option>
-                <option value="sideBySide">並列表示</option>
-              </select>
+              <label>
+                <input
+                  type="checkbox"
+                  checked={showStatistics}
+                  onChange={(e) => setShowStatistics(e.target.checked)}
+                />
+                統計情報を表示
+              </label>
             </div>
+
+            {error && (
+              <div className="quality-warning">
+                ⚠️ {error}
+              </div>
+            )}
           </div>
         </div>
 
+        {comparisonData && (
+          <div className="card">
+            <div className="card-header">
+              <h2>キロ程位置合わせ</h2>
+            </div>
+            <div className="card-body">
+              <p>比較区間: <strong>{comparisonData.range.start}m - {comparisonData.range.end}m</strong>
+                （{comparisonData.range.interval}m間隔 {comparisonData.range.points}点）</p>
+              <p>対応マーカー: <strong>{comparisonData.alignment.anchors.length}点</strong></p>
+              <p>平均相関係数: <strong>
+                {comparisonData.alignment.averageCorrelation !== null
+                  ? comparisonData.alignment.averageCorrelation.toFixed(3)
+                  : '-'}
+              </strong></p>
+              {comparisonData.alignment.offsetRange && (
+                <p>補正量: <strong>
+                  {comparisonData.alignment.offsetRange.min.toFixed(2)}m 〜 {comparisonData.alignment.offsetRange.max.toFixed(2)}m
+                </strong></p>
+              )}
+              {comparisonData.warnings.map((warning, index) => (
+                <div key={index} className="quality-warning">
+                  ⚠️ {warning}
+                </div>
+              ))}
+            </div>
+          </div>
+        )}
+
         {comparisonData && showStatistics && (
           <div className="card">
             <div className="card-header">
@@ -232,37 +383,35 @@ export const BeforeAfterPage: React.FC = () => {
             </div>
             <div className="card-body">
               <div className="stats-grid">
-                <div className="stat-item">
-                  <h3>整備前</h3>
-                  <p>σ値: <strong>{comparisonData.beforeData.sigma.toFixed(2)}mm</strong></p>
-                  <p>最大偏差: <strong>{comparisonData.beforeData.maxDeviation.toFixed(1)}mm</strong></p>
-                </div>
-
-                <div className="stat-item">
-                  <h3>整備後</h3>
-                  <p>σ値: <strong>{comparisonData.afterData.sigma.toFixed(2)}mm</strong></p>
-                  <p>最大偏差: <strong>{comparisonData.afterData.maxDeviation.toFixed(1)}mm</strong></p>
-                </div>
+                {comparisonData.directions.map(direction => {
+                  const { before, after, improvementRate } = comparisonData.overall;
+                  return (
+                    <div key={direction} className="stat-item">
+                      <h3>{DIRECTION_LABELS[direction]}</h3>
+                      <p>整備前σ値: <strong>{before[direction].toFixed(2)}mm</strong></p>
+                      <p>整備後σ値: <strong>{after[direction].toFixed(2)}mm</strong></p>
+                      <p>良化率: <strong className="improvement-rate">
+                        {improvementRate[direction].toFixed(1)}%
+                      </strong></p>
+                    </div>
+                  );
+                })}
 
                 <div className="stat-item highlight">
                   <h3>改善効果</h3>
-                  <p>良化率: <strong className="improvement-rate">
-                    {comparisonData.improvementRate.toFixed(1)}%
-                  </strong></p>
-                  <p>σ値改善: <strong>
-                    {(comparisonData.beforeData.sigma - comparisonData.afterData.sigma).toFixed(2)}mm
-                  </strong></p>
+                  <p>評価: <strong>{comparisonData.overall.evaluation.grade}</strong></p>
+                  <p>{comparisonData.overall.evaluation.description}</p>
                 </div>
               </div>
 
               <div className="quality-indicator">
-                {comparisonData.improvementRate >= 40 ? (
+                {comparisonData.report?.summary?.achieved ? (
                   <div className="quality-good">
-                    ✅ 目標良化率40%を達成しています
+                    ✅ 目標良化率{comparisonData.report.summary.targetImprovement}%を達成しています
                   </div>
                 ) : (
                   <div className="quality-warning">
-                    ⚠️ 良化率が目標の40%未満です
+                    ⚠️ 良化率が目標の{comparisonData.report?.summary?.targetImprovement ?? 40}%未満です
                   </div>
                 )}
               </div>
@@ -292,63 +441,87 @@ export const BeforeAfterPage: React.FC = () => {
           </div>
         </div>
 
-        <div className="card">
-          <div className="card-header">
-            <h2>改善区間分析</h2>
+        {comparisonData && (
+          <div className="card">
+            <div className="card-header">
+              <h2>改善区間分析</h2>
+            </div>
+            <div className="card-body">
+              <div className="table-container">
+                <table className="data-table">
+                  <thead>
+                    <tr>
+                      <th>区間</th>
+                      {comparisonData.directions.map(direction => (
+                        <React.Fragment key={direction}>
+                          <th>{DIRECTION_LABELS[direction]} 整備前σ値</th>
+                          <th>整備後σ値</th>
+                          <th>良化率</th>
+                          <th>評価</th>
+                        </React.Fragment>
+                      ))}
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {comparisonData.bySection.map(section => (
+                      <tr key={section.section}>
+                        <td>{section.section}</td>
+                        {comparisonData.directions.map(direction => (
+                          <React.Fragment key={direction}>
+                            <td>{section.quality.before[direction].toFixed(2)}mm</td>
+                            <td>{section.quality.after[direction].toFixed(2)}mm</td>
+                            <td>{section.quality.improvementRate[direction].toFixed(1)}%</td>
+                            <td>{judgeImprovement(section.quality.improvementRate[direction])}</td>
+                          </React.Fragment>
+                        ))}
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            </div>
           </div>
-          <div className="card-body">
-            <div className="table-container">
-              <table className="data-table">
-                <thead>
-                  <tr>
-                    <th>区間</th>
-                    <th>整備前σ値</th>
-                    <th>整備後σ値</th>
-                    <th>良化率</th>
-                    <th>評価</th>
-                  </tr>
-                </thead>
-                <tbody>
-                  <tr>
-                    <td>0-200m</td>
-                    <td>3.2mm</td>
-                    <td>1.8mm</td>
-                    <td>43.8%</td>
-                    <td>良好</td>
-                  </tr>
-                  <tr>
-                    <td>200-400m</td>
-                    <td>2.8mm</td>
-                    <td>1.6mm</td>
-                    <td>42.9%</td>
-                    <td>良好</td>
-                  </tr>
-                  <tr>
-                    <td>400-600m</td>
-                    <td>3.5mm</td>
-                    <td>2.2mm</td>
-                    <td>37.1%</td>
-                    <td>要注意</td>
-                  </tr>
-                  <tr>
-                    <td>600-800m</td>
-                    <td>2.9mm</td>
-                    <td>1.5mm</td>
-                    <td>48.3%</td>
-                    <td>優良</td>
-                  </tr>
-                  <tr>
-                    <td>800-1000m</td>
-                    <td>3.1mm</td>
-                    <td>1.7mm</td>
-                    <td>45.2%</td>
-                    <td>良好</td>
-                  </tr>
-                </tbody>
-              </table>
+        )}
+
+        {comparisonData && (
+          <div className="card">
+            <div className="card-header">
+              <h2>波長帯域別分析</h2>
+            </div>
+            <div className="card-body">
+              <div className="table-container">
+                <table className="data-table">
+                  <thead>
+                    <tr>
+                      <th>波長帯域</th>
+                      {comparisonData.directions.map(direction => (
+                        <React.Fragment key={direction}>
+                          <th>{DIRECTION_LABELS[direction]} 整備前σ値</th>
+                          <th>整備後σ値</th>
+                          <th>良化率</th>
+                        </React.Fragment>
+                      ))}
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {comparisonData.byWaveband.map(band => (
+                      <tr key={band.waveband}>
+                        <td>{band.range}</td>
+                        {comparisonData.directions.map(direction => (
+                          <React.Fragment key={direction}>
+                            <td>{band.quality.before[direction].toFixed(2)}mm</td>
+                            <td>{band.quality.after[direction].toFixed(2)}mm</td>
+                            <td>{band.quality.improvementRate[direction].toFixed(1)}%</td>
+                          </React.Fragment>
+                        ))}
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
             </div>
           </div>
-        </div>
+        )}
 
         <div className="card">
           <div className="card-header">
@@ -396,4 +569,4 @@ export const BeforeAfterPage: React.FC = () => {
       </div>
     </div>
   );
-};
\ No newline at end of file
+};
@@ -141,6 +141,41 @@ export const DataImportPage: React.FC = () => {
           </div>
         );
 
+      case 'LABOX':
+        return (
+          <div className="data-details">
+            <h4>ラボックスデータ ({data.format?.toUpperCase() || 'LBX/LDT'})</h4>
+            <div className="detail-grid">
+              <div className="detail-item">
+                <span className="label">線区:</span>
+                <span className="value">{data.header?.lineSection || 'N/A'}</span>
+              </div>
+              <div className="detail-item">
+                <span className="label">測定日:</span>
+                <span className="value">{data.header?.measurementDate ? new Date(data.header.measurementDate).toLocaleDateString('ja-JP') : 'N/A'}</span>
+              </div>
+              <div className="detail-item">
+                <span className="label">データ点数:</span>
+                <span className="value">{data.dataPoints?.toLocaleString() || 'N/A'}</span>
+              </div>
+              <div className="detail-item">
+                <span className="label">キロ程範囲:</span>
+                <span className="value">{data.range?.startKm ?? 'N/A'} m - {data.range?.endKm ?? 'N/A'} m</span>
+              </div>
+              <div className="detail-item full-width">
+                <span className="label">読み込みチャンネル:</span>
+                <div className="items-list">
+                  {data.channels?.map((channel: string) => (
+                    <span key={channel} className="item-badge">
+                      {channel} ({data.items?.[channel]?.length?.toLocaleString() || 0}点)
+                    </span>
+                  ))}
+                </div>
+              </div>
+            </div>
+          </div>
+        );
+
       default:
         return (
           <div className="data-details">
@@ -188,6 +223,7 @@ export const DataImportPage: React.FC = () => {
                     {entry.format === 'HDR_DAT' && '📉'}
                     {entry.format === 'PNT' && '📍'}
                     {entry.format === 'MDT_O010' && '📄'}
+                    {entry.format === 'LABOX' && '🚃'}
                   </div>
                   <div className="history-info">
                     <div className="history-format">{entry.format}</div>
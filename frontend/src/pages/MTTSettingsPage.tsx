@@ -8,54 +8,174 @@ import { PresetButtons } from '../components/StandardButton';
 import MTTGuidancePanel from '../components/MTTGuidancePanel';
 import './PageStyles.css';
 
-interface MTTType {
-  value: string;
-  label: string;
-  config: {
-    leveling: { bcLength: number; cdLength: number };
-    lining: { bcLength: number; cdLength: number };
-  };
+interface MTTProfile {
+  id: string;
+  name: string;
+  description: string;
+  manufacturer: string;
+  builtIn: boolean;
+  basedOn?: string | null;
+  leveling: { bcLength: number; cdLength: number };
+  lining: { bcLength: number; cdLength: number };
+  connection: { dPointDistance: number; cPointDistance: number };
+  correctionChord: { bcLength: number; cdLength: number };
+  frontOffset: number;
+  liftCapacity: number;
+  liningCapacity: number;
+  workingSpeed: number;
+  tampingUnits: number;
+  measurementChord: number;
+  liftingPoints: number;
+  liningPoints: number;
+  eccFactor: number;
+  correctionFactors: { level: number; alignment: number; cant: number; gauge: number };
 }
 
+// 編集可能な数値項目（path はプロファイル内のドット区切りのキー）
+const PROFILE_FIELDS: { path: string; label: string; step: number }[] = [
+  { path: 'leveling.bcLength', label: 'レベリング BC間 (m)', step: 0.01 },
+  { path: 'leveling.cdLength', label: 'レベリング CD間 (m)', step: 0.01 },
+  { path: 'lining.bcLength', label: 'ライニング BC間 (m)', step: 0.01 },
+  { path: 'lining.cdLength', label: 'ライニング CD間 (m)', step: 0.01 },
+  { path: 'connection.dPointDistance', label: '接続 D点距離 (m)', step: 0.05 },
+  { path: 'connection.cPointDistance', label: '接続 C点距離 (m)', step: 0.05 },
+  { path: 'correctionChord.bcLength', label: '偏心矢 BC間 (m)', step: 0.01 },
+  { path: 'correctionChord.cdLength', label: '偏心矢 CD間 (m)', step: 0.01 },
+  { path: 'frontOffset', label: 'フロントオフセット (m)', step: 0.1 },
+  { path: 'liftCapacity', label: '最大こう上量 (mm)', step: 1 },
+  { path: 'liningCapacity', label: '最大通り移動量 (mm)', step: 1 },
+  { path: 'workingSpeed', label: '作業速度 (km/h)', step: 0.1 },
+  { path: 'tampingUnits', label: 'タンピングユニット数', step: 1 },
+  { path: 'measurementChord', label: '測定弦長 (m)', step: 0.5 },
+  { path: 'liftingPoints', label: 'こう上点数', step: 1 },
+  { path: 'liningPoints', label: '通り整正点数', step: 1 },
+  { path: 'eccFactor', label: '偏心矢の倍率', step: 0.1 },
+  { path: 'correctionFactors.level', label: '高低補正係数', step: 0.01 },
+  { path: 'correctionFactors.alignment', label: '通り補正係数', step: 0.01 },
+  { path: 'correctionFactors.cant', label: '水準補正係数', step: 0.01 },
+  { path: 'correctionFactors.gauge', label: '軌間補正係数', step: 0.01 }
+];
+
+const getField = (profile: MTTProfile, path: string): number =>
+  path.split('.').reduce((value: any, key) => value?.[key], profile);
+
+const setField = (profile: MTTProfile, path: string, value: number): MTTProfile => {
+  const [head, tail] = path.split('.');
+  if (!tail) {
+    return { ...profile, [head]: value };
+  }
+  return { ...profile, [head]: { ...(profile as any)[head], [tail]: value } };
+};
+
 export const MTTSettingsPage: React.FC = () => {
-  const [mttTypes, setMttTypes] = useState<MTTType[]>([]);
+  const [profiles, setProfiles] = useState<MTTProfile[]>([]);
   const [selectedMTT, setSelectedMTT] = useState<string>('08-16');
-  const [mttConfig, setMttConfig] = useState<any>(null);
+  const [mttConfig, setMttConfig] = useState<MTTProfile | null>(null);
   const [corrections, setCorrections] = useState({
     levelingCorrection: true,
     liningCorrection: true,
     correctionRate: 1.0
   });
 
+  // 機種プロファイル編集
+  const [draft, setDraft] = useState<MTTProfile | null>(null);
+  const [newProfileId, setNewProfileId] = useState('');
+  const [profileErrors, setProfileErrors] = useState<string[]>([]);
+
   // MTT誘導パネルの表示制御
   const [showGuidancePanel, setShowGuidancePanel] = useState(false);
 
   useEffect(() => {
-    fetchMTTTypes();
+    fetchProfiles();
   }, []);
 
-  const fetchMTTTypes = async () => {
+  const fetchProfiles = async (selectId?: string) => {
     try {
-      const response = await fetch('/api/mtt-types');
+      const response = await fetch('/api/mtt-profiles');
       const data = await response.json();
       if (data.success) {
-        setMttTypes(data.data);
+        setProfiles(data.profiles);
+        handleMTTChange(selectId || selectedMTT, data.profiles);
       }
     } catch (error) {
       console.error('MTT機種取得エラー:', error);
     }
   };
 
-  const handleMTTChange = async (mttType: string) => {
+  const handleMTTChange = (mttType: string, list: MTTProfile[] = profiles) => {
+    const profile = list.find(p => p.id === mttType) || null;
     setSelectedMTT(mttType);
+    setMttConfig(profile);
+    setDraft(profile);
+    setProfileErrors([]);
+  };
+
+  const showProfileError = (data: any) => {
+    setProfileErrors(data.details || [data.error || '保存に失敗しました']);
+  };
+
+  const handleCreateProfile = async () => {
+    if (!mttConfig) return;
+    try {
+      const response = await fetch('/api/mtt-profiles', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          ...draft,
+          id: newProfileId,
+          name: newProfileId,
+          basedOn: mttConfig.id
+        })
+      });
+      const data = await response.json();
+      if (data.success) {
+        setNewProfileId('');
+        await fetchProfiles(data.profile.id);
+      } else {
+        showProfileError(data);
+      }
+    } catch (error) {
+      console.error('MTT機種作成エラー:', error);
+      setProfileErrors(['MTT機種の作成に失敗しました']);
+    }
+  };
+
+  const handleUpdateProfile = async () => {
+    if (!draft) return;
+    try {
+      const response = await fetch(`/api/mtt-profiles/${encodeURIComponent(draft.id)}`, {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(draft)
+      });
+      const data = await response.json();
+      if (data.success) {
+        await fetchProfiles(data.profile.id);
+        alert('MTT機種を保存しました');
+      } else {
+        showProfileError(data);
+      }
+    } catch (error) {
+      console.error('MTT機種保存エラー:', error);
+      setProfileErrors(['MTT機種の保存に失敗しました']);
+    }
+  };
+
+  const handleDeleteProfile = async () => {
+    if (!mttConfig || !window.confirm(`MTT機種 ${mttConfig.id} を削除しますか？`)) return;
     try {
-      const response = await fetch(`/api/mtt-types/${mttType}`);
+      const response = await fetch(`/api/mtt-profiles/${encodeURIComponent(mttConfig.id)}`, {
+        method: 'DELETE'
+      });
       const data = await response.json();
       if (data.success) {
-        setMttConfig(data.data);
+        await fetchProfiles('08-16');
+      } else {
+        showProfileError(data);
       }
     } catch (error) {
-      console.error('MTT詳細取得エラー:', error);
+      console.error('MTT機種削除エラー:', error);
+      setProfileErrors(['MTT機種の削除に失敗しました']);
     }
   };
 
@@ -95,16 +215,18 @@ export const MTTSettingsPage: React.FC = () => {
                 onChange={(e) => handleMTTChange(e.target.value)}
                 className="form-select"
               >
-                <option value="08-16">08-16（標準）</option>
-                <option value="08-475">08-475</option>
-                <option value="08-1X">08-1X</option>
-                <option value="08-2X">08-2X</option>
-                <option value="08-32幹">08-32幹</option>
-                <option value="08-32幹2670">08-32幹2670</option>
-                <option value="08-275">08-275</option>
-                <option value="09-16在">09-16在</option>
-                <option value="09-32">09-32</option>
-                <option value="09-475">09-475</option>
+                <optgroup label="組み込み機種">
+                  {profiles.filter(p => p.builtIn).map(p => (
+                    <option key={p.id} value={p.id}>{p.id}（{p.description}）</option>
+                  ))}
+                </optgroup>
+                {profiles.some(p => !p.builtIn) && (
+                  <optgroup label="利用者定義機種">
+                    {profiles.filter(p => !p.builtIn).map(p => (
+                      <option key={p.id} value={p.id}>{p.name}（{p.id}）</option>
+                    ))}
+                  </optgroup>
+                )}
               </select>
             </div>
 
@@ -123,11 +245,82 @@ export const MTTSettingsPage: React.FC = () => {
                     <p>CD間: <strong>{mttConfig.lining?.cdLength}m</strong></p>
                   </div>
                 </div>
+                <h3>能力</h3>
+                <div className="config-grid">
+                  <div>
+                    <p>フロントオフセット: <strong>{mttConfig.frontOffset}m</strong></p>
+                    <p>作業速度: <strong>{mttConfig.workingSpeed}km/h</strong></p>
+                  </div>
+                  <div>
+                    <p>最大こう上量: <strong>{mttConfig.liftCapacity}mm</strong></p>
+                    <p>最大通り移動量: <strong>{mttConfig.liningCapacity}mm</strong></p>
+                  </div>
+                </div>
               </div>
             )}
           </div>
         </div>
 
+        {draft && mttConfig && (
+          <div className="card">
+            <div className="card-header">
+              <h2>機種プロファイル編集</h2>
+            </div>
+            <div className="card-body">
+              {mttConfig.builtIn && (
+                <div className="info-box">
+                  <p>組み込み機種は変更できません。値を調整して新しい機種IDで保存してください。</p>
+                </div>
+              )}
+
+              <div className="form-grid">
+                {PROFILE_FIELDS.map(field => (
+                  <div className="form-group" key={field.path}>
+                    <label>{field.label}</label>
+                    <input
+                      type="number"
+                      value={getField(draft, field.path)}
+                      step={field.step}
+                      onChange={(e) => setDraft(setField(draft, field.path, Number(e.target.value)))}
+                    />
+                  </div>
+                ))}
+              </div>
+
+              {profileErrors.length > 0 && (
+                <div className="alert alert-warning">
+                  <ul>
+                    {profileErrors.map((message, index) => (
+                      <li key={index}>{message}</li>
+                    ))}
+                  </ul>
+                </div>
+              )}
+
+              {mttConfig.builtIn ? (
+                <div className="form-inline">
+                  <input
+                    type="text"
+                    value={newProfileId}
+                    onChange={(e) => setNewProfileId(e.target.value)}
+                    placeholder="新しい機種ID（英数字・_ . -）"
+                  />
+                  <PresetButtons.Add
+                    onClick={handleCreateProfile}
+                    label="新しい機種として保存"
+                    disabled={!newProfileId}
+                  />
+                </div>
+              ) : (
+                <div className="form-inline">
+                  <PresetButtons.Save onClick={handleUpdateProfile} label="機種を保存" />
+                  <PresetButtons.Delete onClick={handleDeleteProfile} label="機種を削除" />
+                </div>
+              )}
+            </div>
+          </div>
+        )}
+
         <div className="card">
           <div className="card-header">
             <h2>移動量補正設定</h2>
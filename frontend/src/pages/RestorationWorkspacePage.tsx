@@ -5,6 +5,13 @@ import { useGlobalWorkspace } from '../contexts/GlobalWorkspaceContext';
 import { apiConfig } from '../config/api';
 import WavelengthSettings from '../components/WavelengthSettings';
 
+// 計算再現の比較系列名
+const SERIES_LABELS: Record<string, string> = {
+  restoredWaveform: '復元波形',
+  planLine: '計画線',
+  movement: '移動量'
+};
+
 export const RestorationWorkspacePage: React.FC = () => {
   const [file, setFile] = useState<File | null>(null);
   const [restorationResult, setRestorationResult] = useState<any>(null);
@@ -23,6 +30,13 @@ export const RestorationWorkspacePage: React.FC = () => {
   // 波長設定パネルの表示制御
   const [showWavelengthSettings, setShowWavelengthSettings] = useState(false);
 
+  // PRMファイルからの計算再現
+  const [prmFile, setPrmFile] = useState<File | null>(null);
+  const [reproductionMeasurementFile, setReproductionMeasurementFile] = useState<File | null>(null);
+  const [storedResultFile, setStoredResultFile] = useState<File | null>(null);
+  const [reproductionResult, setReproductionResult] = useState<any>(null);
+  const [reproducing, setReproducing] = useState(false);
+
   // 復元波形計算（グローバルデータ使用版）
   const handleCalculateRestorationFromGlobal = async () => {
     if (!state.originalData.cutData && !state.originalData.mttData) {
@@ -156,6 +170,43 @@ export const RestorationWorkspacePage: React.FC = () => {
     setLoading(false);
   };
 
+  // PRMファイルから計算を再現し、保存済み結果と比較
+  const handleReproduceFromPRM = async () => {
+    if (!prmFile || !reproductionMeasurementFile) return;
+    setReproducing(true);
+
+    try {
+      const prmContent = await prmFile.text();
+      const measurementContent = await reproductionMeasurementFile.text();
+      const storedResult = storedResultFile ? JSON.parse(await storedResultFile.text()) : undefined;
+
+      const response = await axios.post(`${apiConfig.baseURL}/api/restoration/reproduce-from-prm`, {
+        prmContent,
+        measurementContent,
+        storedResult
+      });
+
+      setReproductionResult(response.data);
+    } catch (error: any) {
+      console.error('計算再現エラー詳細:', error);
+      alert(`計算再現エラーが発生しました: ${error.response?.data?.error || error.message}`);
+    }
+
+    setReproducing(false);
+  };
+
+  // 再計算結果をJSONで保存（次回の比較用）
+  const handleDownloadReproduction = () => {
+    if (!reproductionResult) return;
+
+    const blob = new Blob([JSON.stringify(reproductionResult, null, 2)], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `${prmFile?.name.replace(/\.PRM$/i, '') || 'reproduction'}_result.json`;
+    link.click();
+    URL.revokeObjectURL(url);
+  };
 
   // リセット
   const handleReset = () => {
@@ -500,6 +551,140 @@ export const RestorationWorkspacePage: React.FC = () => {
 
           </div>
         )}
+
+        {/* PRMファイルからの計算再現 */}
+        <div style={{
+          background: 'white',
+          borderRadius: '12px',
+          padding: '32px',
+          marginTop: '24px',
+          boxShadow: '0 10px 40px rgba(0, 0, 0, 0.1)'
+        }}>
+          <h3 style={{ margin: '0 0 8px 0', color: '#1f2937', fontSize: '20px' }}>
+            PRMファイルから計算を再現
+          </h3>
+          <p style={{ margin: '0 0 24px 0', fontSize: '14px', color: '#6b7280' }}>
+            過去の作業指示のPRMファイルと元の測定データで再計算し、保存済みの結果と比較します
+          </p>
+
+          <div style={{
+            display: 'grid',
+            gridTemplateColumns: 'repeat(auto-fit, minmax(250px, 1fr))',
+            gap: '20px',
+            marginBottom: '24px'
+          }}>
+            <div>
+              <label style={{ display: 'block', marginBottom: '8px', fontWeight: 600, color: '#374151' }}>
+                PRMファイル:
+              </label>
+              <input
+                type="file"
+                accept=".prm,.PRM"
+                onChange={(e) => setPrmFile(e.target.files?.[0] || null)}
+              />
+            </div>
+            <div>
+              <label style={{ display: 'block', marginBottom: '8px', fontWeight: 600, color: '#374151' }}>
+                測定データ (CSV/JSON):
+              </label>
+              <input
+                type="file"
+                accept=".csv,.json"
+                onChange={(e) => setReproductionMeasurementFile(e.target.files?.[0] || null)}
+              />
+            </div>
+            <div>
+              <label style={{ display: 'block', marginBottom: '8px', fontWeight: 600, color: '#374151' }}>
+                保存済み結果 (JSON, 任意):
+              </label>
+              <input
+                type="file"
+                accept=".json"
+                onChange={(e) => setStoredResultFile(e.target.files?.[0] || null)}
+              />
+            </div>
+          </div>
+
+          <div style={{ textAlign: 'center' }}>
+            <PresetButtons.Execute
+              onClick={handleReproduceFromPRM}
+              disabled={!prmFile || !reproductionMeasurementFile || reproducing}
+              loading={reproducing}
+              label="再計算して比較"
+            />
+          </div>
+
+          {reproductionResult && (
+            <div style={{ marginTop: '24px' }}>
+              {reproductionResult.comparison ? (
+                <div style={{
+                  background: reproductionResult.comparison.reproducible ? '#e8f5e9' : '#fef2f2',
+                  border: `2px solid ${reproductionResult.comparison.reproducible ? '#4caf50' : '#ef4444'}`,
+                  borderRadius: '8px',
+                  padding: '20px',
+                  marginBottom: '16px'
+                }}>
+                  <div style={{
+                    fontWeight: 700,
+                    fontSize: '18px',
+                    color: reproductionResult.comparison.reproducible ? '#2e7d32' : '#b91c1c'
+                  }}>
+                    {reproductionResult.comparison.reproducible
+                      ? '✅ 保存済みの結果と一致しました'
+                      : '⚠️ 保存済みの結果と差異があります'}
+                  </div>
+                  <div style={{ fontSize: '13px', color: '#6b7280', marginTop: '4px' }}>
+                    許容値: {reproductionResult.comparison.tolerance} mm
+                  </div>
+                </div>
+              ) : (
+                <div style={{ fontSize: '14px', color: '#6b7280', marginBottom: '16px' }}>
+                  保存済み結果が指定されていないため、再計算のみ実行しました
+                </div>
+              )}
+
+              {reproductionResult.comparison && (
+                <div style={{
+                  display: 'grid',
+                  gridTemplateColumns: 'repeat(auto-fit, minmax(250px, 1fr))',
+                  gap: '16px',
+                  marginBottom: '16px'
+                }}>
+                  {Object.entries(reproductionResult.comparison.series).map(([name, series]: [string, any]) => (
+                    <div key={name} style={{
+                      background: '#f9fafb',
+                      borderRadius: '8px',
+                      padding: '16px',
+                      fontSize: '14px'
+                    }}>
+                      <div style={{ fontWeight: 700, color: '#374151', marginBottom: '8px' }}>
+                        {SERIES_LABELS[name] || name} {series.identical ? '✓' : '✕'}
+                      </div>
+                      <div>点数: {series.storedLength} → {series.currentLength}</div>
+                      <div>最大差: {series.maxAbsDiff} mm</div>
+                      <div>RMS差: {series.rmsDiff} mm</div>
+                      <div>不一致点数: {series.mismatchCount}</div>
+                      {series.firstMismatch && (
+                        <div style={{ color: '#b91c1c' }}>
+                          最初の不一致: {series.firstMismatch.distance} m（差 {series.firstMismatch.diff} mm）
+                        </div>
+                      )}
+                    </div>
+                  ))}
+                </div>
+              )}
+
+              <div style={{ textAlign: 'center' }}>
+                <StandardButton
+                  onClick={handleDownloadReproduction}
+                  label="再計算結果を保存"
+                  type="secondary"
+                  icon="💾"
+                />
+              </div>
+            </div>
+          )}
+        </div>
       </div>
     </div>
   );
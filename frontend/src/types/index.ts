@@ -403,12 +403,23 @@ export interface MultiMeasurementDataSet {
 export interface DataPoint {
   distance: number
   value: number
+  turnout?: boolean              // 分岐器区間内（分岐器モード）
 }
 
 // 移動量ポイント型
 export interface MovementPoint {
   distance: number
   amount: number
+  turnout?: boolean              // 分岐器区間内（移動量 0 で保持）
+}
+
+// 分岐器区間型（分岐器モード）
+export interface TurnoutSegment {
+  start: number                  // 開始位置（m）
+  end: number                    // 終了位置（m）
+  label: string
+  turnoutNumber: string
+  pointCount: number
 }
 
 // ゼロクロス点型
@@ -431,6 +442,11 @@ export interface RestorationWaveformOptions {
   minWavelength?: number        // 最小波長（m）デフォルト: 6.0
   maxWavelength?: number         // 最大波長（m）デフォルト: 40.0
   samplingInterval?: number      // サンプリング間隔（m）デフォルト: 0.25
+  turnouts?: { start: number; end: number; label?: string }[]  // 分岐器区間（m）
+  trackEnvDatasetId?: string     // 分岐器 (BK) を取得する軌道環境データセット
+  startKP?: number               // 測定位置 0m のキロ程（km）
+  turnoutMargin?: number         // 分岐器区間の前後の余裕（m）
+  turnoutTransition?: number     // 計画線のすり付け長（m）デフォルト: 10
 }
 
 // 復元波形計算結果型
@@ -440,6 +456,7 @@ export interface RestorationWaveformResult {
     restorationWaveform: DataPoint[]     // 復元波形
     planLine: DataPoint[]                // 計画線
     movementAmounts: MovementPoint[]     // 移動量
+    turnouts?: TurnoutSegment[]          // 分岐器区間（分岐器モード）
     zeroCrossPoints: ZeroCrossPoint[]    // ゼロクロス点
     filterInfo: FilterInfo               // フィルタ情報
     metadata: {
@@ -450,6 +467,7 @@ export interface RestorationWaveformResult {
       minWavelength: number
       maxWavelength: number
       samplingInterval: number
+      turnoutExcludedPoints?: number     // 統計から除いた分岐器区間の点数
     }
   }
   error?: string
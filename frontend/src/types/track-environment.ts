@@ -0,0 +1,61 @@
+/**
+ * 軌道環境オーバーレイ型定義
+ * GET /api/track-env/dataset/:datasetId/overlay の応答（キロ程はすべて km）
+ */
+
+export type TrackEnvironmentKind =
+  | 'bridge'
+  | 'tunnel'
+  | 'structure'
+  | 'transitionCurve'
+  | 'circularCurve'
+  | 'longRail'
+  | 'turnout'
+  | 'joint'
+  | 'ej'
+  | 'ij'
+  | 'gradientChange'
+  | 'station'
+
+export type TrackEnvironmentLane = 'structure' | 'alignment' | 'track' | 'gradient' | 'station'
+
+// 区間を持つ要素（構造物・曲線・ロングレール・分岐器）
+export interface TrackEnvironmentBand {
+  id: string
+  kind: TrackEnvironmentKind
+  lane: TrackEnvironmentLane
+  startKm: number        // 表示範囲で切り詰めた開始キロ程
+  endKm: number          // 表示範囲で切り詰めた終了キロ程
+  label: string
+  color: string
+  opacity: number
+  detail: Record<string, unknown>  // 元のキロ程 (fromKm, toKm) と種別ごとの諸元
+}
+
+// 地点の要素（駅・レール継目・EJ・IJ・こう配変化点）
+export interface TrackEnvironmentMarker {
+  id: string
+  kind: TrackEnvironmentKind
+  lane: TrackEnvironmentLane
+  km: number
+  label: string
+  color: string
+  detail: Record<string, unknown>
+}
+
+export interface TrackEnvironmentLegendItem {
+  kind: TrackEnvironmentKind
+  label: string
+  lane: TrackEnvironmentLane
+  shape: 'band' | 'marker'
+  color: string
+  count: number
+}
+
+export interface TrackEnvironmentOverlay {
+  range: { startKm: number; endKm: number }
+  lanes: { id: TrackEnvironmentLane; label: string }[]
+  bands: TrackEnvironmentBand[]
+  markers: TrackEnvironmentMarker[]
+  legend: TrackEnvironmentLegendItem[]
+}